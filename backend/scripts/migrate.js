@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Database migrations
+ * @description Runs the data migrations in order; each one can safely run again
+ * @module scripts/migrate
+ */
+
+const { connectDB, disconnectDB } = require('../src/database/connection');
+const logger = require('../src/utils/logger');
+const workoutExerciseSets = require('./migrations/001-workout-exercise-sets');
+const dataExportStorage = require('./migrations/002-data-export-storage');
+const postAuthorVisibility = require('./migrations/003-post-author-visibility');
+const uniqueSeriesOccurrences = require('./migrations/004-unique-series-occurrences');
+const existingUsersEmailVerified = require('./migrations/005-existing-users-email-verified');
+
+/**
+ * Migrations, oldest first
+ */
+const MIGRATIONS = [
+  workoutExerciseSets,
+  dataExportStorage,
+  postAuthorVisibility,
+  uniqueSeriesOccurrences,
+  existingUsersEmailVerified,
+];
+
+/**
+ * Run one migration and log what it changed
+ * @param {Object} migration - { name, up }
+ * @returns {Promise<void>}
+ */
+const runMigration = async (migration) => {
+  const modified = await migration.up();
+  logger.info(`Migration ${migration.name} done`, { modified });
+};
+
+/**
+ * Run every migration, one after another
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  await connectDB();
+  try {
+    await MIGRATIONS.reduce(
+      (previous, migration) => previous.then(() => runMigration(migration)),
+      Promise.resolve(),
+    );
+  } finally {
+    await disconnectDB();
+  }
+};
+
+migrate().catch((err) => {
+  logger.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Migration: workout exercises with sets
+ * @description Wraps exercises stored as bare IDs, from before per-set logging, as exercise entries
+ * @module scripts/migrations/001-workout-exercise-sets
+ */
+
+const Workout = require('../../src/entities/Workout');
+
+/**
+ * Rewrite each bare exercise ID as { exercise, sets: [], notes: '', estimatedCalories: null }
+ * Runs on the server in one update; entries already in the new shape are kept, so it can run again.
+ * @returns {Promise<number>} Number of workouts rewritten
+ */
+const up = async () => {
+  const result = await Workout.collection.updateMany(
+    { exercises: { $type: 'objectId' } },
+    [
+      {
+        $set: {
+          exercises: {
+            $map: {
+              input: '$exercises',
+              as: 'entry',
+              in: {
+                $cond: [
+                  { $eq: [{ $type: '$$entry' }, 'objectId'] },
+                  {
+                    exercise: '$$entry',
+                    sets: [],
+                    notes: '',
+                    estimatedCalories: null,
+                  },
+                  '$$entry',
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  name: 'workout-exercise-sets',
+  up,
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Migration: data export archives in file storage
+ * @description Removes the archives data exports used to hold in MongoDB and their TTL index
+ * @module scripts/migrations/002-data-export-storage
+ */
+
+const DataExport = require('../../src/entities/DataExport');
+
+/**
+ * Drop the TTL index on expiresAt, which would delete exports without their stored archives, and
+ * delete exports whose archive is still inline; their owners can request a new export
+ * Both steps are skipped once done, so it can run again.
+ * @returns {Promise<number>} Number of exports deleted
+ */
+const up = async () => {
+  const indexes = await DataExport.collection.indexes().catch(() => []);
+  const ttlIndex = indexes.find((index) => index.key.expiresAt === 1
+    && index.expireAfterSeconds !== undefined);
+  if (ttlIndex) {
+    await DataExport.collection.dropIndex(ttlIndex.name);
+    await DataExport.syncIndexes();
+  }
+
+  const result = await DataExport.collection.deleteMany({ archive: { $exists: true } });
+  return result.deletedCount;
+};
+
+module.exports = {
+  name: 'data-export-storage',
+  up,
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Migration: author visibility on posts
+ * @description Copies the profile setting of followers-only and private users onto their posts
+ * @module scripts/migrations/003-post-author-visibility
+ */
+
+const User = require('../../src/entities/User');
+const Post = require('../../src/entities/Post');
+
+/**
+ * Profile settings to copy; posts without authorVisibility already count as public
+ */
+const RESTRICTED_LEVELS = ['followers', 'private'];
+
+/**
+ * Set authorVisibility on the posts of users whose profile is not public
+ * Each level is written in one update, so it can run again.
+ * @returns {Promise<number>} Number of posts updated
+ */
+const up = async () => {
+  const results = await Promise.all(RESTRICTED_LEVELS.map(async (level) => {
+    const userIds = await User.distinct('_id', { 'privacy.profile': level });
+    return Post.collection.updateMany(
+      { userId: { $in: userIds }, authorVisibility: { $ne: level } },
+      { $set: { authorVisibility: level } },
+    );
+  }));
+
+  return results.reduce((sum, result) => sum + result.modifiedCount, 0);
+};
+
+module.exports = {
+  name: 'post-author-visibility',
+  up,
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Migration: unique series occurrences
+ * @description Removes duplicate workouts of recurring series and makes the occurrence index unique
+ * @module scripts/migrations/004-unique-series-occurrences
+ */
+
+const Workout = require('../../src/entities/Workout');
+
+/**
+ * Order in which duplicates are kept: edited exceptions, then workouts already started or
+ * logged, then the oldest
+ * @param {Object} a - Workout
+ * @param {Object} b - Workout
+ * @returns {number} Sort order
+ */
+const keepFirst = (a, b) => Number(b.isSeriesException) - Number(a.isSeriesException)
+  || Number(b.status !== 'planned') - Number(a.status !== 'planned')
+  || a.createdAt - b.createdAt;
+
+/**
+ * Delete all but one workout of each series occurrence, then rebuild the indexes so the
+ * { seriesId, occurrenceDate } index becomes unique
+ * Concurrent reads used to materialize the same occurrences twice. Once no duplicates are left
+ * it changes nothing, so it can run again.
+ * @returns {Promise<number>} Number of workouts deleted
+ */
+const up = async () => {
+  const groups = await Workout.collection.aggregate([
+    { $match: { seriesId: { $type: 'objectId' } } },
+    {
+      $group: {
+        _id: { seriesId: '$seriesId', occurrenceDate: '$occurrenceDate' },
+        workouts: {
+          $push: {
+            _id: '$_id',
+            status: '$status',
+            isSeriesException: '$isSeriesException',
+            createdAt: '$createdAt',
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]).toArray();
+
+  const duplicateIds = groups.flatMap((group) => [...group.workouts]
+    .sort(keepFirst)
+    .slice(1)
+    .map((workout) => workout._id));
+
+  let deleted = 0;
+  if (duplicateIds.length > 0) {
+    const result = await Workout.collection.deleteMany({ _id: { $in: duplicateIds } });
+    deleted = result.deletedCount;
+  }
+
+  await Workout.syncIndexes();
+  return deleted;
+};
+
+module.exports = {
+  name: 'unique-series-occurrences',
+  up,
+};
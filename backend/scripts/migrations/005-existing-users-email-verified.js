@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Migration: email verification of existing accounts
+ * @description Marks accounts created before email verification existed as verified
+ * @module scripts/migrations/005-existing-users-email-verified
+ */
+
+const User = require('../../src/entities/User');
+
+/**
+ * Mark users without an emailVerified field as verified since they signed up
+ * Accounts registered since then always have the field, so it can run again.
+ * @returns {Promise<number>} Number of users updated
+ */
+const up = async () => {
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }],
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  name: 'existing-users-email-verified',
+  up,
+};
@@ -36,7 +36,7 @@ const config = {
       }
       return 'development-secret-change-in-production';
     })(),
-    expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     refreshSecret: process.env.JWT_REFRESH_SECRET || (() => {
       if (process.env.NODE_ENV === 'production') {
         throw new Error('JWT_REFRESH_SECRET must be set in production');
@@ -67,6 +67,35 @@ const config = {
     maxSize: process.env.LOG_MAX_SIZE || '20m',
   },
 
+  // Scheduling Configuration
+  schedule: {
+    // How far ahead recurring workouts are materialized as planned workouts
+    horizonDays: parseInt(process.env.SCHEDULE_HORIZON_DAYS, 10) || 90,
+  },
+
+  // Data Export Configuration
+  dataExport: {
+    // How long the download link of a finished export stays valid
+    linkTtlHours: parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS, 10) || 24,
+  },
+
+  // Account Deletion Configuration
+  accountDeletion: {
+    // Days a deleted account can be restored before its data is removed
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+    // How often accounts past their grace period are purged
+    purgeIntervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+  },
+
+  // File Storage Configuration
+  storage: {
+    // 'local' writes uploads to disk and serves them from /uploads; 's3' uses config.aws
+    driver: process.env.STORAGE_DRIVER || 'local',
+    localDir: process.env.UPLOAD_DIR || 'uploads',
+    publicUrl: process.env.UPLOADS_PUBLIC_URL
+      || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}/uploads`,
+  },
+
   // Frontend Configuration
   frontend: {
     url: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -78,19 +107,53 @@ const config = {
     s3Bucket: process.env.AWS_S3_BUCKET,
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    // S3-compatible services (MinIO, R2...) are addressed path-style at their endpoint
+    s3Endpoint: process.env.AWS_S3_ENDPOINT,
+    s3PublicUrl: process.env.AWS_S3_PUBLIC_URL,
   },
 
   // Email Configuration (Optional)
   email: {
+    // smtp, file (writes .eml files to outboxDir) or console (logs messages)
+    transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
     smtp: {
       host: process.env.SMTP_HOST,
       port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      // TLS from the start (usually port 465); otherwise STARTTLS is used when offered
+      secure: process.env.SMTP_SECURE === 'true',
       user: process.env.SMTP_USER,
       pass: process.env.SMTP_PASS,
     },
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || 'mail',
     from: process.env.EMAIL_FROM || 'noreply@fitness-tracker.com',
   },
 
+  // Two-Factor Authentication Configuration
+  twoFactor: {
+    // Name shown in authenticator apps
+    issuer: process.env.TOTP_ISSUER || 'Fitness Tracker',
+    // Key encrypting stored TOTP secrets; derived from JWT_SECRET when unset
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+    // Time between the password step and the code step of a login
+    challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 10) || 5,
+  },
+
+  // OAuth Configuration (third-party apps)
+  oauth: {
+    // Time between the user's consent and the app exchanging the authorization code
+    codeTtlMinutes: parseInt(process.env.OAUTH_CODE_TTL_MINUTES, 10) || 10,
+    accessTokenExpiresIn: process.env.OAUTH_ACCESS_TOKEN_EXPIRES_IN || '1h',
+    // Unused refresh tokens expire; each refresh extends the grant again
+    refreshTokenTtlDays: parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  },
+
+  // Emailed Account Link Configuration
+  accountTokens: {
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48,
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+    emailChangeTtlHours: parseInt(process.env.EMAIL_CHANGE_TTL_HOURS, 10) || 24,
+  },
+
   // Redis Configuration (Optional)
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
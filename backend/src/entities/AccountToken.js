@@ -0,0 +1,106 @@
+/**
+ * @fileoverview AccountToken Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A single-use emailed link (verification, password reset, email change)
+ * @module entities/AccountToken
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * What an emailed link allows
+ */
+const TOKEN_PURPOSES = ['email_verification', 'password_reset', 'email_change'];
+
+/**
+ * AccountToken Schema Definition
+ * The link carries a signed token naming this record; the record makes it single-use. Issuing a
+ * new link of the same purpose replaces older ones. MongoDB removes expired records through the
+ * TTL index on expiresAt.
+ */
+const AccountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: {
+        values: TOKEN_PURPOSES,
+        message: '{VALUE} is not a valid token purpose',
+      },
+      required: [true, 'Purpose is required'],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: [true, 'Email is required'], // Address the link was sent to
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for performance
+AccountTokenSchema.index({ userId: 1, purpose: 1 });
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to issue a link, replacing the user's unused links of the same purpose
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {string} email - Address the link is sent to
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<AccountToken>} Saved token record
+ */
+AccountTokenSchema.statics.issue = async function (userId, purpose, email, ttlMs) {
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  return this.create({
+    userId,
+    purpose,
+    email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+};
+
+/**
+ * Static method to use a link
+ * Atomic, so a link clicked twice at the same time is only honored once.
+ * @param {string} tokenId - Token record ID
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @returns {Promise<AccountToken|null>} The token record, or null if used, replaced or expired
+ */
+AccountTokenSchema.statics.consume = function (tokenId, userId, purpose) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: tokenId,
+      userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { new: true },
+  );
+};
+
+// Export constants for use in other modules
+AccountTokenSchema.statics.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+const AccountToken = mongoose.model('AccountToken', AccountTokenSchema);
+
+module.exports = AccountToken;
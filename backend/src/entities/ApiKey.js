@@ -0,0 +1,135 @@
+/**
+ * @fileoverview API Key Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A personal, scoped key for the user's own scripts
+ * @module entities/ApiKey
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { OAUTH_SCOPES } = require('../utils/oauth');
+
+/**
+ * Prefix of every key, so leaked keys are easy to recognize and search for
+ */
+const KEY_PREFIX = 'ftk_';
+
+/**
+ * Keys a user can have at a time
+ */
+const MAX_KEYS_PER_USER = 20;
+
+/**
+ * Minimum time between two writes of lastUsedAt, so busy scripts don't write on every request
+ */
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} key - Plain key
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * API Key Schema Definition
+ * Keys do not expire; they carry the same scopes as OAuth apps and work until revoked.
+ * Only the hash and a short prefix for display are stored.
+ */
+const ApiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name must be less than 100 characters'],
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // Secret; only the SHA-256 hash of the key is stored
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: OAUTH_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+/**
+ * Instance method to create the key
+ * @returns {string} Plain key, shown to the user once
+ */
+ApiKeySchema.methods.generateKey = function () {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  this.keyHash = hashApiKey(key);
+  this.prefix = key.slice(0, KEY_PREFIX.length + 6);
+  return key;
+};
+
+/**
+ * Instance method to check whether a use should be recorded
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if lastUsedAt is unset or older than LAST_USED_PRECISION_MS
+ */
+ApiKeySchema.methods.isLastUseStale = function (now = new Date()) {
+  return !this.lastUsedAt || now - this.lastUsedAt >= LAST_USED_PRECISION_MS;
+};
+
+/**
+ * Static method to find the active key matching a presented key
+ * @param {string} key - Plain key from the X-API-Key header
+ * @returns {Query} Key, or null if unknown or revoked
+ */
+ApiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+};
+
+/**
+ * Static method to list a user's active keys
+ * @param {string} userId - User ID
+ * @returns {Query} Keys, newest first
+ */
+ApiKeySchema.statics.findActiveByUser = function (userId) {
+  return this.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+// Export constants for use in other modules
+ApiKeySchema.statics.KEY_PREFIX = KEY_PREFIX;
+ApiKeySchema.statics.MAX_KEYS_PER_USER = MAX_KEYS_PER_USER;
+ApiKeySchema.statics.hashApiKey = hashApiKey;
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
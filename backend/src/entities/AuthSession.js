@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Auth Session Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A signed-in device and its rotating refresh token
+ * @module entities/AuthSession
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Why a session ended before expiring
+ */
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse', 'password_change', 'account_deleted'];
+
+/**
+ * Rotated refresh token hashes kept per session to recognize replayed tokens
+ */
+const MAX_PREVIOUS_TOKENS = 50;
+
+/**
+ * How long the token exchanged last is answered without revoking the session, so tabs that
+ * refreshed with the same token at once are not taken for a replay
+ */
+const ROTATION_GRACE_MS = 30 * 1000;
+
+/**
+ * Auth Session Schema Definition
+ * Each refresh exchanges the current token for a new one. Presenting a token that was already
+ * exchanged means it leaked, so the whole session is revoked. MongoDB removes sessions once
+ * their refresh token expires through the TTL index on expiresAt.
+ */
+const AuthSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false, // Secret; only the SHA-256 hash of the current refresh token is stored
+    },
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: {
+        values: REVOKE_REASONS,
+        message: '{VALUE} is not a valid revoke reason',
+      },
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    // A refresh token must not be rotated twice by concurrent requests
+    optimisticConcurrency: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        delete ret.previousTokenHashes;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Indexes for performance
+AuthSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a refresh token for storage and comparison
+ * @param {string} token - Plain refresh token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Instance method to check whether the session can still be refreshed
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if not revoked and not expired
+ */
+AuthSessionSchema.methods.isValid = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Instance method to compare a presented refresh token with the current one
+ * Requires tokenHash to be selected.
+ * @param {string} token - Plain refresh token
+ * @returns {boolean} True if it is the current token
+ */
+AuthSessionSchema.methods.isCurrentToken = function (token) {
+  return this.tokenHash === hashRefreshToken(token);
+};
+
+/**
+ * Instance method to check whether a refresh token was already exchanged
+ * Requires previousTokenHashes to be selected.
+ * @param {string} token - Plain refresh token
+ * @returns {boolean} True if the token was rotated out
+ */
+AuthSessionSchema.methods.isRotatedToken = function (token) {
+  return this.previousTokenHashes.includes(hashRefreshToken(token));
+};
+
+/**
+ * Instance method to check whether a refresh token was the one exchanged moments ago
+ * Requires previousTokenHashes to be selected.
+ * @param {string} token - Plain refresh token
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if it is the last rotated token and still within the grace period
+ */
+AuthSessionSchema.methods.isJustRotatedToken = function (token, now = new Date()) {
+  return this.previousTokenHashes[this.previousTokenHashes.length - 1] === hashRefreshToken(token)
+    && now - this.lastUsedAt < ROTATION_GRACE_MS;
+};
+
+/**
+ * Instance method to replace the refresh token
+ * The old hash is remembered so a replay of it can be detected.
+ * @param {string} token - New plain refresh token
+ * @param {Date} expiresAt - Expiry of the new token
+ * @param {Object} [context] - Request details { userAgent, ip }
+ */
+AuthSessionSchema.methods.rotateToken = function (token, expiresAt, context = {}) {
+  if (this.tokenHash) {
+    this.previousTokenHashes = [...this.previousTokenHashes, this.tokenHash]
+      .slice(-MAX_PREVIOUS_TOKENS);
+  }
+  this.tokenHash = hashRefreshToken(token);
+  this.expiresAt = expiresAt;
+  this.lastUsedAt = new Date();
+  if (context.userAgent) this.userAgent = context.userAgent.slice(0, 500);
+  if (context.ip) this.ip = context.ip;
+};
+
+/**
+ * Instance method to end the session
+ * @param {string} reason - One of REVOKE_REASONS
+ */
+AuthSessionSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+/**
+ * Static method to list a user's signed-in devices
+ * @param {string} userId - User ID
+ * @returns {Query} Sessions, most recently used first
+ */
+AuthSessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Static method to end all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {string} [exceptSessionId] - Session to keep, e.g. the one making the request
+ * @returns {Promise<Object>} Update result
+ */
+AuthSessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+  return this.updateMany(
+    {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+    },
+    // The version bump makes an in-flight refresh of these sessions fail
+    { $set: { revokedAt: new Date(), revokedReason: reason }, $inc: { __v: 1 } },
+  );
+};
+
+// Export constants for use in other modules
+AuthSessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+AuthSessionSchema.statics.ROTATION_GRACE_MS = ROTATION_GRACE_MS;
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+
+module.exports = AuthSession;
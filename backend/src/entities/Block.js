@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Block Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - One user blocking another
+ * @module entities/Block
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Block Schema Definition
+ * Blocking works both ways: neither user sees the other's profile, posts, comments, likes or
+ * challenge participation, and neither can follow the other. Only the blocker can lift it.
+ */
+const BlockSchema = new mongoose.Schema(
+  {
+    blockerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Blocker ID is required'],
+    },
+    blockedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Blocked user ID is required'],
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+BlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+
+/**
+ * Static method to get the users hidden from someone: those they blocked and those blocking them
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<ObjectId>>} Hidden user IDs
+ */
+BlockSchema.statics.getHiddenUserIds = async function (userId) {
+  const blocks = await this.find({ $or: [{ blockerId: userId }, { blockedId: userId }] })
+    .select('blockerId blockedId')
+    .lean();
+
+  return blocks.map((block) => (String(block.blockerId) === String(userId)
+    ? block.blockedId
+    : block.blockerId));
+};
+
+/**
+ * Static method to check whether either of two users blocked the other
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {Promise<boolean>} True if blocked either way
+ */
+BlockSchema.statics.existsBetween = async function (userId, otherUserId) {
+  const block = await this.exists({
+    $or: [
+      { blockerId: userId, blockedId: otherUserId },
+      { blockerId: otherUserId, blockedId: userId },
+    ],
+  });
+  return Boolean(block);
+};
+
+const Block = mongoose.model('Block', BlockSchema);
+
+module.exports = Block;
@@ -5,6 +5,43 @@
  */
 
 const mongoose = require('mongoose');
+const { GOAL_METRICS, GOAL_UNITS } = require('../utils/challengeProgress');
+
+/**
+ * Challenge Goal Schema Definition
+ * What participants compete on, counted from their completed workouts between the start and
+ * end dates. Without a target, participants are only ranked.
+ */
+const GoalSchema = new mongoose.Schema(
+  {
+    metric: {
+      type: String,
+      enum: {
+        values: GOAL_METRICS,
+        message: `Goal metric must be one of: ${GOAL_METRICS.join(', ')}`,
+      },
+      default: 'workouts',
+    },
+    target: {
+      type: Number,
+      min: [0.01, 'Goal target must be positive'],
+      max: [1000000, 'Goal target seems unrealistic'],
+      default: null,
+    },
+    exerciseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+      default: null,
+      validate: {
+        validator: function (exerciseId) {
+          return this.metric !== 'exercise-volume' || Boolean(exerciseId);
+        },
+        message: 'Exercise volume goals need an exercise',
+      },
+    },
+  },
+  { _id: false },
+);
 
 /**
  * Challenge Schema Definition
@@ -26,6 +63,10 @@ const ChallengeSchema = new mongoose.Schema(
       maxlength: [1000, 'Description must be less than 1000 characters'],
       default: '',
     },
+    goal: {
+      type: GoalSchema,
+      default: () => ({}),
+    },
     participants: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -129,11 +170,11 @@ ChallengeSchema.methods.isParticipant = function (userId) {
 
 /**
  * Static method to get active challenges
- * @param {Object} options - Query options (page, limit)
+ * @param {Object} options - Query options (page, limit, hiddenUserIds to leave out of participants)
  * @returns {Promise<Object>} Challenges with pagination info
  */
 ChallengeSchema.statics.getActiveChallenges = async function (options = {}) {
-  const { page = 1, limit = 20 } = options;
+  const { page = 1, limit = 20, hiddenUserIds = [] } = options;
   const skip = (page - 1) * limit;
 
   const query = {
@@ -144,7 +185,12 @@ ChallengeSchema.statics.getActiveChallenges = async function (options = {}) {
   const [challenges, total] = await Promise.all([
     this.find(query)
       .populate('createdBy', 'username profile.name profile.avatar')
-      .populate('participants', 'username profile.name')
+      .populate('goal.exerciseId', 'name')
+      .populate({
+        path: 'participants',
+        select: 'username profile.name',
+        match: { _id: { $nin: hiddenUserIds } },
+      })
       .sort({ startDate: -1 })
       .skip(skip)
       .limit(parseInt(limit, 10))
@@ -163,6 +209,10 @@ ChallengeSchema.statics.getActiveChallenges = async function (options = {}) {
   };
 };
 
+// Export constants for use in other modules
+ChallengeSchema.statics.GOAL_METRICS = GOAL_METRICS;
+ChallengeSchema.statics.GOAL_UNITS = GOAL_UNITS;
+
 const Challenge = mongoose.model('Challenge', ChallengeSchema);
 
 module.exports = Challenge;
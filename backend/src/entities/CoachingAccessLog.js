@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Coaching Access Log Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - Audit trail of a coach's access to client data
+ * @module entities/CoachingAccessLog
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Audited coach actions
+ */
+const ACCESS_ACTIONS = ['workouts:list', 'stats:view', 'workout:assign', 'template:assign'];
+
+/**
+ * Coaching Access Log Schema Definition
+ * One entry per delegated request, written before the client's data is returned or changed.
+ * Clients can review the entries about them.
+ */
+const CoachingAccessLogSchema = new mongoose.Schema(
+  {
+    relationshipId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CoachingRelationship',
+      required: [true, 'Relationship ID is required'],
+    },
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Coach ID is required'],
+      index: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Client ID is required'],
+    },
+    action: {
+      type: String,
+      enum: ACCESS_ACTIONS,
+      required: [true, 'Action is required'],
+    },
+    // Filters of a read, or the IDs of what was assigned
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+CoachingAccessLogSchema.index({ clientId: 1, createdAt: -1 });
+
+// Export constants for use in other modules
+CoachingAccessLogSchema.statics.ACTIONS = ACCESS_ACTIONS;
+
+const CoachingAccessLog = mongoose.model('CoachingAccessLog', CoachingAccessLogSchema);
+
+module.exports = CoachingAccessLog;
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Coaching Relationship Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A coach's access to a client's training data
+ * @module entities/CoachingRelationship
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * What a client can let a coach do
+ */
+const COACHING_SCOPES = ['workouts:read', 'stats:read', 'workouts:assign'];
+
+/**
+ * Relationship states: invited, accepted, turned down, or ended by either side
+ */
+const COACHING_STATUSES = ['pending', 'active', 'declined', 'ended'];
+
+/**
+ * Coaching Relationship Schema Definition
+ * A coach invites a client with the scopes they ask for. Nothing is shared until the client
+ * accepts, possibly granting fewer scopes. Either side can end the relationship at any time.
+ */
+const CoachingRelationshipSchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Coach ID is required'],
+      index: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Client ID is required'],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: COACHING_STATUSES,
+      default: 'pending',
+    },
+    scopes: {
+      type: [{ type: String, enum: COACHING_SCOPES }],
+      default: () => [...COACHING_SCOPES],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Message must be less than 500 characters'],
+      default: '',
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+CoachingRelationshipSchema.index({ coachId: 1, clientId: 1, status: 1 });
+
+/**
+ * Instance method to check whether the relationship grants a scope
+ * @param {string} scope - Scope
+ * @returns {boolean} True if active and granted
+ */
+CoachingRelationshipSchema.methods.allows = function (scope) {
+  return this.status === 'active' && this.scopes.includes(scope);
+};
+
+/**
+ * Instance method to accept the invitation
+ * @param {Array<string>} [scopes] - Scopes to grant; a subset of those requested, all by default
+ * @param {Date} [now] - Time of the answer
+ * @returns {boolean} False if a scope was not requested by the coach
+ */
+CoachingRelationshipSchema.methods.accept = function (scopes, now = new Date()) {
+  if (scopes && !scopes.every((scope) => this.scopes.includes(scope))) {
+    return false;
+  }
+
+  if (scopes) {
+    this.scopes = [...new Set(scopes)];
+  }
+  this.status = 'active';
+  this.respondedAt = now;
+  return true;
+};
+
+/**
+ * Instance method to decline the invitation
+ * @param {Date} [now] - Time of the answer
+ */
+CoachingRelationshipSchema.methods.decline = function (now = new Date()) {
+  this.status = 'declined';
+  this.respondedAt = now;
+};
+
+/**
+ * Instance method to end the relationship, or withdraw a pending invitation
+ * @param {string} userId - Coach or client ending it
+ * @param {Date} [now] - End time
+ */
+CoachingRelationshipSchema.methods.end = function (userId, now = new Date()) {
+  this.status = 'ended';
+  this.endedAt = now;
+  this.endedBy = userId;
+};
+
+/**
+ * Static method to find the pending or active relationship between a coach and a client
+ * @param {string} coachId - Coach user ID
+ * @param {string} clientId - Client user ID
+ * @returns {Promise<CoachingRelationship|null>} Relationship document or null
+ */
+CoachingRelationshipSchema.statics.findOpen = function (coachId, clientId) {
+  return this.findOne({ coachId, clientId, status: { $in: ['pending', 'active'] } });
+};
+
+// Export constants for use in other modules
+CoachingRelationshipSchema.statics.SCOPES = COACHING_SCOPES;
+CoachingRelationshipSchema.statics.STATUSES = COACHING_STATUSES;
+
+const CoachingRelationship = mongoose.model('CoachingRelationship', CoachingRelationshipSchema);
+
+module.exports = CoachingRelationship;
@@ -64,14 +64,14 @@ CommentSchema.index({ userId: 1, createdAt: -1 });
 /**
  * Static method to get comments for a post
  * @param {ObjectId} postId - Post ID
- * @param {Object} options - Query options (page, limit)
+ * @param {Object} options - Query options (page, limit, hiddenUserIds to leave out)
  * @returns {Promise<Array>} Array of comment documents
  */
 CommentSchema.statics.getByPostId = function (postId, options = {}) {
-  const { page = 1, limit = 50 } = options;
+  const { page = 1, limit = 50, hiddenUserIds = [] } = options;
   const skip = (page - 1) * limit;
 
-  return this.find({ postId, isActive: true })
+  return this.find({ postId, isActive: true, userId: { $nin: hiddenUserIds } })
     .populate('userId', 'username profile.name profile.avatar')
     .sort({ createdAt: -1 })
     .skip(skip)
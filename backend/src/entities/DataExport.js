@@ -0,0 +1,120 @@
+/**
+ * @fileoverview DataExport Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A user's request for a copy of their account data
+ * @module entities/DataExport
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Export job statuses
+ */
+const EXPORT_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+
+/**
+ * DataExport Schema Definition
+ * The generated ZIP archive is kept in file storage under archiveKey until the download link
+ * expires; expired exports are removed with their archives by PurgeExpiredDataExports.
+ */
+const DataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: EXPORT_STATUSES,
+        message: '{VALUE} is not a valid export status',
+      },
+      default: 'pending',
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false, // Secret; only the SHA-256 hash of the download token is stored
+    },
+    archiveKey: {
+      type: String,
+      default: null,
+      select: false, // Only loaded for downloads and clean-up
+    },
+    size: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        delete ret.archiveKey;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Indexes for performance
+DataExportSchema.index({ userId: 1, createdAt: -1 });
+DataExportSchema.index({ tokenHash: 1 }, { unique: true });
+DataExportSchema.index({ expiresAt: 1 });
+
+/**
+ * Hash a download token for storage and lookup
+ * @param {string} token - Plain download token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashDownloadToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Instance method to issue the download token
+ * @returns {string} Plain download token (only available at creation)
+ */
+DataExportSchema.methods.generateDownloadToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = hashDownloadToken(token);
+  return token;
+};
+
+/**
+ * Static method to find a downloadable export by its token
+ * Expired exports are ignored even before they are purged.
+ * @param {string} token - Plain download token
+ * @returns {Promise<DataExport|null>} Export with its archive key, or null
+ */
+DataExportSchema.statics.findByDownloadToken = function (token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    tokenHash: hashDownloadToken(token),
+    status: 'ready',
+    expiresAt: { $gt: new Date() },
+  }).select('+archiveKey');
+};
+
+// Export constants for use in other modules
+DataExportSchema.statics.EXPORT_STATUSES = EXPORT_STATUSES;
+
+const DataExport = mongoose.model('DataExport', DataExportSchema);
+
+module.exports = DataExport;
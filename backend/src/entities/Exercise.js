@@ -5,6 +5,8 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_METS, GENERIC_MET } = require('../utils/calories');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
 
 /**
  * Valid muscle groups
@@ -76,6 +78,12 @@ const ExerciseSchema = new mongoose.Schema(
       },
       index: true,
     },
+    met: {
+      type: Number,
+      min: [1, 'MET must be between 1 and 25'],
+      max: [25, 'MET must be between 1 and 25'],
+      default: null,
+    },
     media: {
       imageUrl: {
         type: String,
@@ -218,6 +226,30 @@ ExerciseSchema.statics.search = async function (filters = {}, options = {}) {
   };
 };
 
+/**
+ * Instance method to get the exercise's metabolic equivalent
+ * Falls back to a default for the difficulty when no MET is set
+ * @returns {number} MET value
+ */
+ExerciseSchema.methods.getMet = function () {
+  return this.met || DEFAULT_METS[this.difficulty] || GENERIC_MET;
+};
+
+/**
+ * Instance method to check whether a user may edit or remove the exercise
+ * Exercises without a creator form the global library, curated by moderators. Custom exercises
+ * belong to their creator; admins may manage them too.
+ * @param {Object} user - Authenticated user { id, roles }
+ * @returns {boolean} True if allowed
+ */
+ExerciseSchema.methods.canBeEditedBy = function (user) {
+  if (!this.createdBy) {
+    return hasPermission(user.roles, PERMISSIONS.CURATE_EXERCISES);
+  }
+  return String(this.createdBy) === String(user.id)
+    || hasPermission(user.roles, PERMISSIONS.MANAGE_EXERCISES);
+};
+
 /**
  * Static method to get exercises by muscle group
  * @param {string|Array<string>} muscleGroups - Muscle group(s)
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Follow Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - One user following another
+ * @module entities/Follow
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Follow states: waiting for the followed user to approve, or following
+ */
+const FOLLOW_STATUSES = ['pending', 'accepted'];
+
+/**
+ * Follow Schema Definition
+ * Following a public account is accepted at once; other accounts approve each request.
+ * Unfollowing, withdrawing and declining delete the document, so a user can ask again later.
+ */
+const FollowSchema = new mongoose.Schema(
+  {
+    followerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Follower ID is required'],
+    },
+    followingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Followed user ID is required'],
+    },
+    status: {
+      type: String,
+      enum: FOLLOW_STATUSES,
+      default: 'accepted',
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+FollowSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+FollowSchema.index({ followerId: 1, status: 1, createdAt: -1 });
+FollowSchema.index({ followingId: 1, status: 1, createdAt: -1 });
+
+/**
+ * Instance method to accept a follow request
+ * @param {Date} [now] - Time of approval
+ */
+FollowSchema.methods.accept = function (now = new Date()) {
+  this.status = 'accepted';
+  this.acceptedAt = now;
+};
+
+/**
+ * Static method to get the IDs of the users someone follows
+ * @param {string} userId - Follower user ID
+ * @returns {Promise<Array<ObjectId>>} Followed user IDs
+ */
+FollowSchema.statics.getFollowingIds = function (userId) {
+  return this.find({ followerId: userId, status: 'accepted' }).distinct('followingId');
+};
+
+/**
+ * Static method to get how a user follows each of the given users
+ * @param {string} followerId - Follower user ID
+ * @param {Array<string>} userIds - Users to look up
+ * @returns {Promise<Object>} 'pending' or 'accepted' by user ID; users not followed are left out
+ */
+FollowSchema.statics.getStatuses = async function (followerId, userIds) {
+  const follows = await this.find({ followerId, followingId: { $in: userIds } })
+    .select('followingId status')
+    .lean();
+
+  return Object.fromEntries(follows.map((follow) => [String(follow.followingId), follow.status]));
+};
+
+/**
+ * Static method to count a user's followers and followed users
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { followers, following }
+ */
+FollowSchema.statics.getCounts = async function (userId) {
+  const [followers, following] = await Promise.all([
+    this.countDocuments({ followingId: userId, status: 'accepted' }),
+    this.countDocuments({ followerId: userId, status: 'accepted' }),
+  ]);
+
+  return { followers, following };
+};
+
+// Export constants for use in other modules
+FollowSchema.statics.STATUSES = FOLLOW_STATUSES;
+
+const Follow = mongoose.model('Follow', FollowSchema);
+
+module.exports = Follow;
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview OAuth Client Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A third-party app registered to request access to user data
+ * @module entities/OAuthClient
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashOAuthToken, isAllowedRedirectUri } = require('../utils/oauth');
+
+/**
+ * Redirect URIs a client can register
+ */
+const MAX_REDIRECT_URIS = 10;
+
+/**
+ * OAuth Client Schema Definition
+ * Confidential clients (servers that can keep a secret) authenticate with their client secret;
+ * public clients (scripts, native apps) have none and rely on PKCE alone.
+ */
+const OAuthClientSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'App name is required'],
+      trim: true,
+      maxlength: [100, 'App name must be less than 100 characters'],
+    },
+    redirectUris: {
+      type: [String],
+      validate: [
+        {
+          validator: (uris) => uris.length > 0 && uris.length <= MAX_REDIRECT_URIS,
+          message: `Between 1 and ${MAX_REDIRECT_URIS} redirect URIs are required`,
+        },
+        {
+          validator: (uris) => uris.every(isAllowedRedirectUri),
+          message: 'Redirect URIs must use https (or http on localhost) and have no fragment',
+        },
+      ],
+    },
+    secretHash: {
+      type: String,
+      default: null,
+      select: false, // Secret; only the SHA-256 hash of the client secret is stored
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner ID is required'],
+      index: true,
+    },
+    isConfidential: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.secretHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+/**
+ * Instance method to check a redirect URI against the registered ones
+ * URIs must match exactly, as required for clients without a secret.
+ * @param {string} uri - Redirect URI from the request
+ * @returns {boolean} True if registered
+ */
+OAuthClientSchema.methods.hasRedirectUri = function (uri) {
+  return this.redirectUris.includes(uri);
+};
+
+/**
+ * Instance method to set a new client secret
+ * @param {string} secret - Plain client secret, shown to the owner once
+ */
+OAuthClientSchema.methods.setSecret = function (secret) {
+  this.secretHash = hashOAuthToken(secret);
+  this.isConfidential = true;
+};
+
+/**
+ * Instance method to check a client secret
+ * Requires secretHash to be selected. Public clients have no secret to check.
+ * @param {string} secret - Plain client secret
+ * @returns {boolean} True if it matches
+ */
+OAuthClientSchema.methods.verifySecret = function (secret) {
+  if (!this.secretHash || typeof secret !== 'string') {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(this.secretHash, 'hex'),
+    Buffer.from(hashOAuthToken(secret), 'hex'),
+  );
+};
+
+// Export constants for use in other modules
+OAuthClientSchema.statics.MAX_REDIRECT_URIS = MAX_REDIRECT_URIS;
+
+const OAuthClient = mongoose.model('OAuthClient', OAuthClientSchema);
+
+module.exports = OAuthClient;
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview OAuth Grant Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A user's consent to a third-party app, with its authorization code and rotating refresh token
+ * @module entities/OAuthGrant
+ */
+
+const mongoose = require('mongoose');
+const {
+  OAUTH_SCOPES,
+  generateOAuthToken,
+  hashOAuthToken,
+  verifyCodeChallenge,
+} = require('../utils/oauth');
+
+/**
+ * Why a grant ended before expiring
+ */
+const REVOKE_REASONS = ['user', 'client', 'client_deleted', 'reuse', 'account_deleted'];
+
+/**
+ * Rotated refresh token hashes kept per grant to recognize replayed tokens
+ */
+const MAX_PREVIOUS_TOKENS = 50;
+
+/**
+ * OAuth Grant Schema Definition
+ * Created when the user approves an app. The authorization code can be exchanged once, within
+ * minutes; presenting it again revokes the grant, as does replaying a rotated refresh token.
+ * MongoDB removes grants once their code or refresh token expires through the TTL index.
+ */
+const OAuthGrantSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OAuthClient',
+      required: [true, 'Client ID is required'],
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: OAUTH_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    codeHash: {
+      type: String,
+      select: false,
+    },
+    codeChallenge: {
+      type: String,
+      required: [true, 'Code challenge is required'],
+    },
+    redirectUri: {
+      type: String,
+      required: [true, 'Redirect URI is required'],
+    },
+    codeRedeemedAt: {
+      type: Date,
+      default: null,
+    },
+    refreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    previousRefreshTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: {
+        values: REVOKE_REASONS,
+        message: '{VALUE} is not a valid revoke reason',
+      },
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    // A code or refresh token must not be exchanged twice by concurrent requests
+    optimisticConcurrency: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.codeHash;
+        delete ret.codeChallenge;
+        delete ret.refreshTokenHash;
+        delete ret.previousRefreshTokenHashes;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Indexes for performance
+OAuthGrantSchema.index({ codeHash: 1 }, { sparse: true });
+OAuthGrantSchema.index({ refreshTokenHash: 1 }, { sparse: true });
+OAuthGrantSchema.index({ previousRefreshTokenHashes: 1 });
+OAuthGrantSchema.index({ userId: 1, revokedAt: 1, createdAt: -1 });
+OAuthGrantSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Instance method to check whether the grant still gives access
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if not revoked and not expired
+ */
+OAuthGrantSchema.methods.isValid = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Instance method to create the authorization code sent to the app
+ * @param {number} ttlMinutes - Minutes the code can be exchanged
+ * @returns {string} Plain code
+ */
+OAuthGrantSchema.methods.issueCode = function (ttlMinutes) {
+  const code = generateOAuthToken();
+  this.codeHash = hashOAuthToken(code);
+  this.expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return code;
+};
+
+/**
+ * Instance method to exchange the authorization code
+ * Checks the redirect URI and the PKCE verifier, and marks the code as used.
+ * @param {Object} request - Token request { redirectUri, codeVerifier }
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the code was accepted
+ */
+OAuthGrantSchema.methods.redeemCode = function ({ redirectUri, codeVerifier }, now = new Date()) {
+  if (this.codeRedeemedAt || !this.isValid(now) || redirectUri !== this.redirectUri) {
+    return false;
+  }
+  if (!verifyCodeChallenge(codeVerifier, this.codeChallenge)) {
+    return false;
+  }
+  this.codeRedeemedAt = now;
+  return true;
+};
+
+/**
+ * Instance method to compare a presented refresh token with the current one
+ * Requires refreshTokenHash to be selected.
+ * @param {string} token - Plain refresh token
+ * @returns {boolean} True if it is the current token
+ */
+OAuthGrantSchema.methods.isCurrentRefreshToken = function (token) {
+  return Boolean(this.refreshTokenHash) && this.refreshTokenHash === hashOAuthToken(token);
+};
+
+/**
+ * Instance method to issue a new refresh token, extending the grant
+ * The old hash is remembered so a replay of it can be detected.
+ * @param {Date} expiresAt - Expiry of the new token
+ * @returns {string} Plain refresh token
+ */
+OAuthGrantSchema.methods.rotateRefreshToken = function (expiresAt) {
+  if (this.refreshTokenHash) {
+    this.previousRefreshTokenHashes = [...this.previousRefreshTokenHashes, this.refreshTokenHash]
+      .slice(-MAX_PREVIOUS_TOKENS);
+  }
+  const token = generateOAuthToken();
+  this.refreshTokenHash = hashOAuthToken(token);
+  this.expiresAt = expiresAt;
+  this.lastUsedAt = new Date();
+  return token;
+};
+
+/**
+ * Instance method to end the grant
+ * @param {string} reason - One of REVOKE_REASONS
+ */
+OAuthGrantSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+/**
+ * Static method to find the grant of an authorization code
+ * @param {string} code - Plain code
+ * @returns {Query} Grant with its secret fields selected
+ */
+OAuthGrantSchema.statics.findByCode = function (code) {
+  return this.findOne({ codeHash: hashOAuthToken(code) })
+    .select('+codeHash +refreshTokenHash +previousRefreshTokenHashes');
+};
+
+/**
+ * Static method to find the grant of a current or rotated refresh token
+ * @param {string} token - Plain refresh token
+ * @returns {Query} Grant with its secret fields selected
+ */
+OAuthGrantSchema.statics.findByRefreshToken = function (token) {
+  const hash = hashOAuthToken(token);
+  return this.findOne({ $or: [{ refreshTokenHash: hash }, { previousRefreshTokenHashes: hash }] })
+    .select('+refreshTokenHash +previousRefreshTokenHashes');
+};
+
+/**
+ * Static method to list the apps a user has connected
+ * @param {string} userId - User ID
+ * @returns {Query} Grants whose code was exchanged, newest first
+ */
+OAuthGrantSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    codeRedeemedAt: { $ne: null },
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Static method to end grants in bulk
+ * @param {Object} filter - Grants to revoke, e.g. { userId } or { clientId }
+ * @param {string} reason - One of REVOKE_REASONS
+ * @returns {Promise<Object>} Update result
+ */
+OAuthGrantSchema.statics.revokeAll = function (filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    // The version bump makes an in-flight token exchange of these grants fail
+    { $set: { revokedAt: new Date(), revokedReason: reason }, $inc: { __v: 1 } },
+  );
+};
+
+// Export constants for use in other modules
+OAuthGrantSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+const OAuthGrant = mongoose.model('OAuthGrant', OAuthGrantSchema);
+
+module.exports = OAuthGrant;
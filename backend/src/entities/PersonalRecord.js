@@ -0,0 +1,138 @@
+/**
+ * @fileoverview PersonalRecord Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - Per-exercise personal bests and their history
+ * @module entities/PersonalRecord
+ */
+
+const mongoose = require('mongoose');
+const { RECORD_TYPES } = require('../utils/personalRecords');
+
+/**
+ * PersonalRecord Schema Definition
+ * Each document is one record-setting event; the latest per type (and load) is flagged isCurrent
+ */
+const PersonalRecordSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    exerciseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+      required: [true, 'Exercise ID is required'],
+      index: true,
+    },
+    workoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workout',
+      required: [true, 'Workout ID is required'],
+      index: true,
+    },
+    type: {
+      type: String,
+      required: [true, 'Record type is required'],
+      enum: {
+        values: RECORD_TYPES,
+        message: `Record type must be one of: ${RECORD_TYPES.join(', ')}`,
+      },
+    },
+    value: {
+      type: Number,
+      required: [true, 'Record value is required'],
+      min: [0, 'Record value cannot be negative'],
+    },
+    unit: {
+      type: String,
+      enum: ['kg', 'reps'],
+      required: true,
+    },
+    load: {
+      type: Number,
+      default: null,
+    },
+    reps: {
+      type: Number,
+      default: null,
+    },
+    weight: {
+      type: Number,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    exerciseIndex: {
+      type: Number,
+      default: null,
+    },
+    setIndex: {
+      type: Number,
+      default: null,
+    },
+    previousValue: {
+      type: Number,
+      default: null,
+    },
+    isCurrent: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    achievedAt: {
+      type: Date,
+      required: [true, 'Achieved date is required'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+PersonalRecordSchema.index({ userId: 1, exerciseId: 1, achievedAt: -1 });
+PersonalRecordSchema.index({ userId: 1, isCurrent: 1 });
+
+/**
+ * Static method to get a user's current bests
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} [exerciseId] - Optional exercise filter
+ * @returns {Promise<Array>} Current record documents
+ */
+PersonalRecordSchema.statics.getCurrentRecords = function (userId, exerciseId) {
+  const query = { userId, isCurrent: true };
+  if (exerciseId) {
+    query.exerciseId = exerciseId;
+  }
+
+  return this.find(query)
+    .populate('exerciseId', 'name muscleGroup')
+    .sort({ exerciseId: 1, type: 1, load: 1 })
+    .lean();
+};
+
+/**
+ * Static method to get the record history for one exercise
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} exerciseId - Exercise ID
+ * @returns {Promise<Array>} Record documents, newest first
+ */
+PersonalRecordSchema.statics.getHistory = function (userId, exerciseId) {
+  return this.find({ userId, exerciseId }).sort({ achievedAt: -1, createdAt: -1 }).lean();
+};
+
+// Export constants for use in other modules
+PersonalRecordSchema.statics.RECORD_TYPES = RECORD_TYPES;
+
+const PersonalRecord = mongoose.model('PersonalRecord', PersonalRecordSchema);
+
+module.exports = PersonalRecord;
@@ -5,6 +5,18 @@
  */
 
 const mongoose = require('mongoose');
+const { encodeCursor, cursorCondition } = require('../utils/cursor');
+const {
+  VISIBILITY_LEVELS,
+  includesId,
+  canView,
+  visibleCondition,
+} = require('../utils/visibility');
+
+/**
+ * Workout fields shown with a post; the owner and visibility decide whether it is shown at all
+ */
+const SHARED_WORKOUT_FIELDS = 'title duration caloriesBurned userId visibility';
 
 /**
  * Post Schema Definition
@@ -38,6 +50,16 @@ const PostSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    visibility: {
+      type: String,
+      enum: VISIBILITY_LEVELS,
+      default: 'public', // Narrowed further by the author's profile setting
+    },
+    authorVisibility: {
+      type: String,
+      enum: VISIBILITY_LEVELS,
+      default: 'public', // Copy of the author's profile setting, kept in step by UpdateProfile
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -93,26 +115,52 @@ PostSchema.methods.isLikedBy = function (userId) {
   return this.likes.some((id) => id.toString() === userId.toString());
 };
 
+/**
+ * Remove from a post what its viewer may not see: likes of hidden users and a workout
+ * the viewer has no access to
+ * @param {Object} post - Lean post with workoutId populated
+ * @param {Object} audience - Viewer's relations, from GetAudience
+ * @returns {Object} Post
+ */
+const forAudience = (post, audience) => ({
+  ...post,
+  likes: post.likes.filter((id) => !includesId(audience.hiddenUserIds, id)),
+  // Posts only share their author's workouts, so the author's profile setting applies
+  workoutId: post.workoutId
+    && canView(audience, post.workoutId.userId, post.authorVisibility, post.workoutId.visibility)
+    ? post.workoutId
+    : null,
+});
+
 /**
  * Static method to get posts with pagination
+ * With an audience, only the posts the viewer may see are returned.
  * @param {Object} filters - Filter options
- * @param {Object} options - Query options (page, limit)
+ * @param {Object} options - Query options (page, limit, audience)
  * @returns {Promise<Object>} Posts with pagination info
  */
 PostSchema.statics.getPosts = async function (filters = {}, options = {}) {
-  const { userId, page = 1, limit = 20 } = { ...filters, ...options };
+  const {
+    userId,
+    page = 1,
+    limit = 20,
+    audience,
+  } = { ...filters, ...options };
 
   const query = { isActive: true };
   if (userId) {
     query.userId = userId;
   }
+  if (audience) {
+    Object.assign(query, visibleCondition(audience));
+  }
 
   const skip = (page - 1) * limit;
 
   const [posts, total] = await Promise.all([
     this.find(query)
       .populate('userId', 'username profile.name profile.avatar')
-      .populate('workoutId', 'title duration caloriesBurned')
+      .populate('workoutId', SHARED_WORKOUT_FIELDS)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit, 10))
@@ -121,7 +169,7 @@ PostSchema.statics.getPosts = async function (filters = {}, options = {}) {
   ]);
 
   return {
-    posts,
+    posts: audience ? posts.map((post) => forAudience(post, audience)) : posts,
     pagination: {
       page: parseInt(page, 10),
       limit: parseInt(limit, 10),
@@ -131,6 +179,60 @@ PostSchema.statics.getPosts = async function (filters = {}, options = {}) {
   };
 };
 
+/**
+ * Static method to get the posts of some users, newest first, a page at a time
+ * Cursors stay stable while new posts arrive, unlike page numbers.
+ * @param {Array<ObjectId>} userIds - Authors to include
+ * @param {Object} options - Query options
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit] - Posts per page
+ * @param {Object} options.audience - Viewer's relations; only posts they may see are returned
+ * @returns {Promise<Object>} { posts, nextCursor }; nextCursor is null on the last page
+ */
+PostSchema.statics.getFeed = async function (userIds, { cursor, limit = 20, audience } = {}) {
+  const pageSize = parseInt(limit, 10);
+  const query = {
+    isActive: true,
+    userId: { $in: userIds },
+    $and: [visibleCondition(audience), cursorCondition(cursor)],
+  };
+
+  const posts = await this.find(query)
+    .populate('userId', 'username profile.name profile.avatar')
+    .populate('workoutId', SHARED_WORKOUT_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = posts.length > pageSize;
+  if (hasMore) {
+    posts.pop();
+  }
+
+  return {
+    posts: posts.map((post) => forAudience(post, audience)),
+    nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null,
+  };
+};
+
+/**
+ * Static method to find a post its viewer may see
+ * @param {string} postId - Post ID
+ * @param {Object} audience - Viewer's relations, from GetAudience
+ * @returns {Promise<Post|null>} Post document, or null if missing, removed or not visible
+ */
+PostSchema.statics.findVisible = async function (postId, audience) {
+  const post = await this.findById(postId);
+  if (
+    !post
+    || !post.isActive
+    || !canView(audience, post.userId, post.authorVisibility, post.visibility)
+  ) {
+    return null;
+  }
+  return post;
+};
+
 const Post = mongoose.model('Post', PostSchema);
 
 module.exports = Post;
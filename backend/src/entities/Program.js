@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Program Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - Multi-week periodized training programs
+ * @module entities/Program
+ */
+
+const mongoose = require('mongoose');
+const { PROGRESSION_TYPES } = require('../utils/periodization');
+
+/**
+ * Program Day Schema Definition
+ * A training day within a week that runs a workout template
+ */
+const ProgramDaySchema = new mongoose.Schema(
+  {
+    dayOffset: {
+      type: Number,
+      required: [true, 'Day offset is required'],
+      min: [0, 'Day offset must be between 0 and 6'],
+      max: [6, 'Day offset must be between 0 and 6'],
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate',
+      required: [true, 'Template ID is required'],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Program Week Schema Definition
+ * A week of training days, optionally a deload week or a percentage-of-1RM wave step
+ */
+const ProgramWeekSchema = new mongoose.Schema(
+  {
+    isDeload: {
+      type: Boolean,
+      default: false,
+    },
+    intensity: {
+      type: Number,
+      min: [1, 'Intensity must be between 1 and 100 percent'],
+      max: [100, 'Intensity must be between 1 and 100 percent'],
+      default: null,
+    },
+    days: {
+      type: [ProgramDaySchema],
+      validate: {
+        validator: (days) => days.length > 0 && days.length <= 7,
+        message: 'A week must have between 1 and 7 training days',
+      },
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Program Schema Definition
+ * Represents a block of weeks with a progression rule applied to template loads
+ */
+const ProgramSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Program title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [100, 'Title must be less than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description must be less than 1000 characters'],
+      default: '',
+    },
+    weeks: {
+      type: [ProgramWeekSchema],
+      validate: {
+        validator: (weeks) => weeks.length > 0 && weeks.length <= 52,
+        message: 'A program must have between 1 and 52 weeks',
+      },
+    },
+    progression: {
+      type: {
+        type: String,
+        enum: {
+          values: PROGRESSION_TYPES,
+          message: `Progression type must be one of: ${PROGRESSION_TYPES.join(', ')}`,
+        },
+        default: 'none',
+      },
+      increment: {
+        type: Number,
+        min: [0, 'Increment cannot be negative'],
+        max: [50, 'Increment seems unrealistic'],
+        default: 2.5,
+      },
+      deloadFactor: {
+        type: Number,
+        min: [0.1, 'Deload factor must be between 0.1 and 1'],
+        max: [1, 'Deload factor must be between 0.1 and 1'],
+        default: 0.6,
+      },
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    isPublic: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+ProgramSchema.index({ userId: 1, isActive: 1 });
+ProgramSchema.index({ isPublic: 1, isActive: 1, createdAt: -1 });
+
+/**
+ * Instance method to check if a user may view or enroll in the program
+ * @param {ObjectId} userId - User ID to check
+ * @returns {boolean} True if the user owns the program or it is public
+ */
+ProgramSchema.methods.isAccessibleBy = function (userId) {
+  return this.isPublic || this.userId.toString() === userId.toString();
+};
+
+/**
+ * Instance method to get the distinct templates the program references
+ * @returns {Array<string>} Unique template IDs
+ */
+ProgramSchema.methods.getTemplateIds = function () {
+  return [
+    ...new Set(
+      this.weeks.flatMap((week) => week.days.map((day) => day.templateId.toString())),
+    ),
+  ];
+};
+
+const Program = mongoose.model('Program', ProgramSchema);
+
+module.exports = Program;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview ProgramEnrollment Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - A user's run through a training program
+ * @module entities/ProgramEnrollment
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * ProgramEnrollment Schema Definition
+ * Links a user to a program and anchors its generated workouts to a start date
+ */
+const ProgramEnrollmentSchema = new mongoose.Schema(
+  {
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Program',
+      required: [true, 'Program ID is required'],
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled'],
+      default: 'active',
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+ProgramEnrollmentSchema.index({ userId: 1, status: 1, startDate: -1 });
+ProgramEnrollmentSchema.index({ userId: 1, programId: 1, status: 1 });
+
+const ProgramEnrollment = mongoose.model('ProgramEnrollment', ProgramEnrollmentSchema);
+
+module.exports = ProgramEnrollment;
@@ -4,8 +4,25 @@
  * @module entities/User
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { toKilograms } = require('../utils/units');
+const {
+  generateSecret,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+const { ROLES, hasPermission } = require('../utils/permissions');
+const { VISIBILITY_LEVELS } = require('../utils/visibility');
+
+/**
+ * Hidden two-factor fields, selected when checking or changing two-factor settings
+ */
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret '
+  + '+twoFactor.lastUsedStep +twoFactor.recoveryCodeHashes';
 
 /**
  * User Schema Definition
@@ -51,6 +68,17 @@ const UserSchema = new mongoose.Schema(
         max: [150, 'Age must be realistic'],
         default: null,
       },
+      bodyWeight: {
+        type: Number,
+        min: [20, 'Body weight must be realistic'],
+        max: [1000, 'Body weight must be realistic'],
+        default: null,
+      },
+      bodyWeightUnit: {
+        type: String,
+        enum: ['kg', 'lb'],
+        default: 'kg',
+      },
       fitnessGoals: {
         type: [String],
         default: [],
@@ -71,6 +99,13 @@ const UserSchema = new mongoose.Schema(
         default: '',
       },
     },
+    privacy: {
+      profile: {
+        type: String,
+        enum: VISIBILITY_LEVELS,
+        default: 'public', // Who sees the profile, posts and workouts; caps each post's visibility
+      },
+    },
     achievements: [
       {
         badgeName: {
@@ -89,10 +124,67 @@ const UserSchema = new mongoose.Schema(
         },
       },
     ],
+    roles: {
+      type: [{ type: String, enum: ROLES }],
+      default: ['user'],
+      validate: {
+        validator: (roles) => roles.includes('user'),
+        message: 'Every account must keep the user role',
+      },
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false, // Unverified accounts cannot post, comment or create challenges
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false, // Encrypted TOTP secret
+      },
+      pendingSecret: {
+        type: String,
+        select: false, // Encrypted secret of an unfinished setup
+      },
+      lastUsedStep: {
+        type: Number,
+        default: -1,
+        select: false, // Time step of the last accepted code, so codes cannot be replayed
+      },
+      recoveryCodeHashes: {
+        type: [String],
+        default: [],
+        select: false, // SHA-256 hashes of the unused recovery codes
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    calendarTokenHash: {
+      type: String,
+      default: undefined,
+      select: false, // Secret; only the SHA-256 hash of the feed token is stored
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null, // Hard deletion date while a deletion request is pending
+    },
     lastLogin: {
       type: Date,
       default: null,
@@ -112,6 +204,13 @@ const UserSchema = new mongoose.Schema(
     toJSON: {
       transform: (doc, ret) => {
         delete ret.password;
+        delete ret.calendarTokenHash;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.lastUsedStep;
+          delete ret.twoFactor.recoveryCodeHashes;
+        }
         delete ret.__v;
         return ret;
       },
@@ -124,6 +223,16 @@ UserSchema.index({ username: 1 });
 UserSchema.index({ email: 1 });
 UserSchema.index({ createdAt: -1 });
 UserSchema.index({ 'profile.name': 'text' }); // Text search index
+UserSchema.index({ calendarTokenHash: 1 }, { unique: true, sparse: true });
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+UserSchema.index({ 'privacy.profile': 1 });
+
+/**
+ * Hash a calendar feed token for storage and lookup
+ * @param {string} token - Plain feed token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashCalendarToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 /**
  * Pre-save hook to hash password
@@ -166,6 +275,186 @@ UserSchema.methods.updateLastLogin = function () {
   return this.save({ validateBeforeSave: false });
 };
 
+/**
+ * Instance method to record that the user controls their email address
+ */
+UserSchema.methods.markEmailVerified = function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+};
+
+/**
+ * Instance method to start setting up two-factor authentication
+ * The secret only takes effect once enableTwoFactor() accepts a code generated from it.
+ * @returns {string} Base32 secret for the authenticator app
+ */
+UserSchema.methods.startTwoFactorSetup = function () {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+  return secret;
+};
+
+/**
+ * Instance method to finish setting up two-factor authentication
+ * Requires the hidden two-factor fields to be selected.
+ * @param {string} code - Code from the authenticator app
+ * @returns {string[]|null} New recovery codes, or null if the code is wrong
+ */
+UserSchema.methods.enableTwoFactor = function (code) {
+  const step = verifyTotp(decryptSecret(this.twoFactor.pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  return this.regenerateRecoveryCodes();
+};
+
+/**
+ * Instance method to check a second-factor code
+ * Accepts a TOTP code or an unused recovery code. Either is used up, so save the user afterwards.
+ * Requires the hidden two-factor fields to be selected.
+ * @param {string} code - TOTP or recovery code
+ * @returns {string|null} 'totp' or 'recovery', or null if the code is wrong
+ */
+UserSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactor.enabled) {
+    return null;
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.secret), code, {
+    lastUsedStep: this.twoFactor.lastUsedStep,
+  });
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (this.twoFactor.recoveryCodeHashes.includes(hash)) {
+    this.twoFactor.recoveryCodeHashes = this.twoFactor.recoveryCodeHashes
+      .filter((candidate) => candidate !== hash);
+    return 'recovery';
+  }
+  return null;
+};
+
+/**
+ * Instance method to replace the recovery codes
+ * @returns {string[]} New recovery codes (only available now; only hashes are stored)
+ */
+UserSchema.methods.regenerateRecoveryCodes = function () {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodeHashes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Instance method to turn two-factor authentication off
+ */
+UserSchema.methods.disableTwoFactor = function () {
+  this.twoFactor = {
+    enabled: false,
+    secret: undefined,
+    pendingSecret: undefined,
+    lastUsedStep: -1,
+    recoveryCodeHashes: [],
+    enabledAt: null,
+  };
+};
+
+/**
+ * Instance method to get body weight in kilograms
+ * @returns {number|null} Body weight in kg, or null if not set
+ */
+UserSchema.methods.getBodyWeightKg = function () {
+  const { bodyWeight, bodyWeightUnit } = this.profile || {};
+  return bodyWeight ? toKilograms(bodyWeight, bodyWeightUnit) : null;
+};
+
+/**
+ * Instance method to issue a new calendar feed token
+ * Replaces any previous token, which stops working immediately.
+ * @returns {string} Plain feed token (only available at creation)
+ */
+UserSchema.methods.generateCalendarToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.calendarTokenHash = hashCalendarToken(token);
+  return token;
+};
+
+/**
+ * Instance method to check whether the user's roles grant permissions
+ * @param {...string} permissions - Required permissions
+ * @returns {boolean} True if all are granted
+ */
+UserSchema.methods.hasPermission = function (...permissions) {
+  return hasPermission(this.roles, ...permissions);
+};
+
+/**
+ * Static method to find an active user by calendar feed token
+ * @param {string} token - Plain feed token
+ * @returns {Promise<User|null>} User document or null
+ */
+UserSchema.statics.findByCalendarToken = function (token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ calendarTokenHash: hashCalendarToken(token), isActive: true });
+};
+
+/**
+ * Instance method to request account deletion
+ * The account is deactivated at once and hard-deleted once the grace period ends.
+ * @param {number} graceDays - Days during which the account can be restored
+ * @param {Date} [now] - Request time
+ */
+UserSchema.methods.scheduleDeletion = function (graceDays, now = new Date()) {
+  this.isActive = false;
+  this.deletionRequestedAt = now;
+  this.deletionScheduledFor = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Instance method to check whether a deletion request can still be withdrawn
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True during the grace period
+ */
+UserSchema.methods.isRestorable = function (now = new Date()) {
+  return !this.isActive && Boolean(this.deletionScheduledFor) && this.deletionScheduledFor > now;
+};
+
+/**
+ * Instance method to withdraw a deletion request and reactivate the account
+ */
+UserSchema.methods.cancelDeletion = function () {
+  this.isActive = true;
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+};
+
+/**
+ * Static method to find accounts whose deletion grace period has ended
+ * @param {Date} [now] - Current time
+ * @returns {Query} Users due for hard deletion
+ */
+UserSchema.statics.findDueForDeletion = function (now = new Date()) {
+  return this.find({ isActive: false, deletionScheduledFor: { $ne: null, $lte: now } });
+};
+
+/**
+ * Instance method to check whether new followers need approval
+ * @returns {boolean} True unless the profile is public
+ */
+UserSchema.methods.requiresFollowApproval = function () {
+  return this.privacy.profile !== 'public';
+};
+
 /**
  * Static method to find user by email or username
  * @param {string} identifier - Email or username
@@ -197,6 +486,10 @@ UserSchema.statics.emailExists = async function (email) {
   return !!user;
 };
 
+// Export constants for use in other modules
+UserSchema.statics.TWO_FACTOR_FIELDS = TWO_FACTOR_FIELDS;
+UserSchema.statics.ROLES = ROLES;
+
 const User = mongoose.model('User', UserSchema);
 
 module.exports = User;
@@ -5,6 +5,312 @@
  */
 
 const mongoose = require('mongoose');
+const { toKilograms } = require('../utils/units');
+const { estimateCalories, CARDIO_METS } = require('../utils/calories');
+const {
+  ACTIVITY_TYPES,
+  DISTANCE_UNITS,
+  computePace,
+  computeSpeed,
+} = require('../utils/cardio');
+const { VISIBILITY_LEVELS } = require('../utils/visibility');
+
+/**
+ * Valid set types
+ */
+const SET_TYPES = ['warmup', 'working', 'drop', 'failure'];
+
+/**
+ * Valid weight units
+ */
+const WEIGHT_UNITS = ['kg', 'lb'];
+
+/**
+ * Where a workout's calories came from: entered by the user, estimated from exercise METs or
+ * recorded by the device of an imported activity
+ */
+const CALORIE_SOURCES = ['entered', 'met', 'device'];
+
+/**
+ * How a workout was created: in the app, imported from an activity file or from another app's
+ * CSV export
+ */
+const WORKOUT_SOURCES = ['manual', 'gpx', 'tcx', 'fit', 'csv'];
+
+/**
+ * Performed Set Schema Definition
+ * A single set logged against a workout exercise
+ */
+const SetSchema = new mongoose.Schema(
+  {
+    reps: {
+      type: Number,
+      min: [0, 'Reps cannot be negative'],
+      max: [1000, 'Reps seems unrealistic'],
+      default: 0,
+    },
+    weight: {
+      type: Number,
+      min: [0, 'Weight cannot be negative'],
+      max: [2000, 'Weight seems unrealistic'],
+      default: 0,
+    },
+    weightUnit: {
+      type: String,
+      enum: {
+        values: WEIGHT_UNITS,
+        message: `Weight unit must be one of: ${WEIGHT_UNITS.join(', ')}`,
+      },
+      default: 'kg',
+    },
+    rpe: {
+      type: Number,
+      min: [1, 'RPE must be between 1 and 10'],
+      max: [10, 'RPE must be between 1 and 10'],
+      default: null,
+    },
+    rir: {
+      type: Number,
+      min: [0, 'RIR cannot be negative'],
+      max: [10, 'RIR must be 10 or less'],
+      default: null,
+    },
+    restSeconds: {
+      type: Number,
+      min: [0, 'Rest cannot be negative'],
+      max: [3600, 'Rest cannot exceed 1 hour'],
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: SET_TYPES,
+        message: `Set type must be one of: ${SET_TYPES.join(', ')}`,
+      },
+      default: 'working',
+    },
+    completedAt: {
+      type: Date,
+      default: undefined,
+    },
+    // Prescription from a template or program; only reps and weight count as performed
+    targetReps: {
+      type: Number,
+      min: [1, 'Target reps must be at least 1'],
+      max: [100, 'Target reps cannot exceed 100'],
+      default: null,
+    },
+    targetWeight: {
+      type: Number,
+      min: [0, 'Target weight cannot be negative'],
+      max: [2000, 'Target weight seems unrealistic'],
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Workout Exercise Schema Definition
+ * An exercise within a workout together with its ordered list of performed sets
+ */
+const WorkoutExerciseSchema = new mongoose.Schema(
+  {
+    exercise: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+      required: [true, 'Exercise ID is required'],
+    },
+    sets: {
+      type: [SetSchema],
+      default: [],
+      validate: {
+        validator: (sets) => sets.length <= 50,
+        message: 'Cannot have more than 50 sets per exercise',
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Exercise notes must be less than 500 characters'],
+      default: '',
+    },
+    estimatedCalories: {
+      type: Number,
+      min: [0, 'Estimated calories cannot be negative'],
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Lap Split Schema Definition
+ * One lap or split of an endurance activity
+ */
+const SplitSchema = new mongoose.Schema(
+  {
+    distance: {
+      type: Number,
+      min: [0, 'Split distance cannot be negative'],
+      max: [1000, 'Split distance seems unrealistic'],
+      default: 0,
+    },
+    movingTimeSeconds: {
+      type: Number,
+      min: [0, 'Split time cannot be negative'],
+      max: [86400, 'Split time cannot exceed 24 hours'],
+      default: 0,
+    },
+    elevationGain: {
+      type: Number,
+      min: [0, 'Elevation gain cannot be negative'],
+      max: [10000, 'Elevation gain seems unrealistic'],
+      default: null,
+    },
+    avgHeartRate: {
+      type: Number,
+      min: [30, 'Heart rate must be between 30 and 250'],
+      max: [250, 'Heart rate must be between 30 and 250'],
+      default: null,
+    },
+    paceSecondsPerKm: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Track Point Schema Definition
+ * One sample of a simplified recorded track
+ */
+const TrackPointSchema = new mongoose.Schema(
+  {
+    // Seconds from the start of the activity
+    t: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    lat: {
+      type: Number,
+      min: -90,
+      max: 90,
+      default: null,
+    },
+    lon: {
+      type: Number,
+      min: -180,
+      max: 180,
+      default: null,
+    },
+    ele: {
+      type: Number,
+      default: null,
+    },
+    hr: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Cardio Entry Schema Definition
+ * An endurance activity (run, ride, row...) with distance, time and heart rate
+ */
+const CardioEntrySchema = new mongoose.Schema(
+  {
+    activityType: {
+      type: String,
+      required: [true, 'Activity type is required'],
+      enum: {
+        values: ACTIVITY_TYPES,
+        message: `Activity type must be one of: ${ACTIVITY_TYPES.join(', ')}`,
+      },
+    },
+    distance: {
+      type: Number,
+      min: [0, 'Distance cannot be negative'],
+      max: [1000, 'Distance seems unrealistic'],
+      default: 0,
+    },
+    distanceUnit: {
+      type: String,
+      enum: {
+        values: DISTANCE_UNITS,
+        message: `Distance unit must be one of: ${DISTANCE_UNITS.join(', ')}`,
+      },
+      default: 'km',
+    },
+    movingTimeSeconds: {
+      type: Number,
+      min: [0, 'Moving time cannot be negative'],
+      max: [86400, 'Moving time cannot exceed 24 hours'],
+      default: 0,
+    },
+    elapsedTimeSeconds: {
+      type: Number,
+      min: [0, 'Elapsed time cannot be negative'],
+      default: null,
+    },
+    elevationGain: {
+      type: Number,
+      min: [0, 'Elevation gain cannot be negative'],
+      max: [10000, 'Elevation gain seems unrealistic'],
+      default: null,
+    },
+    avgHeartRate: {
+      type: Number,
+      min: [30, 'Heart rate must be between 30 and 250'],
+      max: [250, 'Heart rate must be between 30 and 250'],
+      default: null,
+    },
+    maxHeartRate: {
+      type: Number,
+      min: [30, 'Heart rate must be between 30 and 250'],
+      max: [250, 'Heart rate must be between 30 and 250'],
+      default: null,
+    },
+    splits: {
+      type: [SplitSchema],
+      default: [],
+      validate: {
+        validator: (splits) => splits.length <= 500,
+        message: 'Cannot have more than 500 splits per activity',
+      },
+    },
+    // Simplified recorded track of an imported activity, for drawing the route
+    track: {
+      type: [TrackPointSchema],
+      default: [],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Activity notes must be less than 500 characters'],
+      default: '',
+    },
+    // Derived on validation from distance and moving time
+    paceSecondsPerKm: {
+      type: Number,
+      default: null,
+    },
+    speedKmh: {
+      type: Number,
+      default: null,
+    },
+    estimatedCalories: {
+      type: Number,
+      min: [0, 'Estimated calories cannot be negative'],
+      default: null,
+    },
+  },
+  { _id: false },
+);
 
 /**
  * Workout Schema Definition
@@ -26,13 +332,18 @@ const WorkoutSchema = new mongoose.Schema(
       maxlength: [500, 'Description must be less than 500 characters'],
       default: '',
     },
-    exercises: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Exercise',
-        required: true,
+    exercises: {
+      type: [WorkoutExerciseSchema],
+      default: [],
+    },
+    cardio: {
+      type: [CardioEntrySchema],
+      default: [],
+      validate: {
+        validator: (entries) => entries.length <= 20,
+        message: 'Cannot have more than 20 cardio activities per workout',
       },
-    ],
+    },
     date: {
       type: Date,
       default: Date.now,
@@ -50,18 +361,103 @@ const WorkoutSchema = new mongoose.Schema(
       max: [10000, 'Calories burned seems unrealistic'],
       default: 0,
     },
+    caloriesSource: {
+      type: String,
+      enum: {
+        values: CALORIE_SOURCES,
+        message: `Calorie source must be one of: ${CALORIE_SOURCES.join(', ')}`,
+      },
+      default: 'entered',
+    },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: [true, 'User ID is required'],
       index: true,
     },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate',
+      default: null,
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Coach who planned the workout for the user
+    },
+    enrollmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProgramEnrollment',
+      default: null,
+      index: true,
+    },
+    programWeek: {
+      type: Number,
+      min: [1, 'Program week must be at least 1'],
+      default: null,
+    },
+    programDay: {
+      type: Number,
+      min: [0, 'Program day must be between 0 and 6'],
+      max: [6, 'Program day must be between 0 and 6'],
+      default: null,
+    },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutSeries',
+      default: null,
+      index: true,
+    },
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
+    isSeriesException: {
+      type: Boolean,
+      default: false,
+    },
+    icalUid: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'Calendar UID must be less than 255 characters'],
+      default: undefined,
+    },
     status: {
       type: String,
       enum: ['planned', 'in-progress', 'completed', 'cancelled'],
       default: 'planned',
       index: true,
     },
+    visibility: {
+      type: String,
+      enum: VISIBILITY_LEVELS,
+      default: 'public', // Who sees it when shared in a post; narrowed by the profile setting
+    },
+    source: {
+      type: String,
+      enum: {
+        values: WORKOUT_SOURCES,
+        message: `Source must be one of: ${WORKOUT_SOURCES.join(', ')}`,
+      },
+      default: 'manual',
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    pausedSeconds: {
+      type: Number,
+      min: [0, 'Paused time cannot be negative'],
+      default: 0,
+    },
     notes: {
       type: String,
       trim: true,
@@ -94,24 +490,201 @@ WorkoutSchema.index({ userId: 1, date: -1 });
 WorkoutSchema.index({ userId: 1, createdAt: -1 });
 WorkoutSchema.index({ date: -1 });
 WorkoutSchema.index({ status: 1 });
+WorkoutSchema.index({ userId: 1, icalUid: 1 });
+// One workout per series occurrence, however many requests materialize the series at once
+WorkoutSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } },
+);
+WorkoutSchema.index({ userId: 1, status: 1, startedAt: -1 });
+
+/**
+ * Wrap exercises stored as bare IDs, from before sets were logged, as exercise entries
+ * @param {Array<ObjectId|Object>} exercises - Stored exercises
+ * @returns {Array<Object>} Exercise entries
+ */
+const upgradeLegacyExercises = (exercises) => exercises.map((entry) => (
+  entry && entry.exercise === undefined ? { exercise: entry, sets: [] } : entry
+));
+
+/**
+ * Pre-init hook to read workouts saved before exercises had sets
+ * scripts/migrate.js rewrites them in the database; until then they load and save in the new shape.
+ */
+WorkoutSchema.pre('init', function (doc) {
+  if (Array.isArray(doc.exercises)) {
+    doc.exercises = upgradeLegacyExercises(doc.exercises);
+  }
+});
+
+/**
+ * Pre-validate hook to derive pace and speed for cardio entries and their splits
+ */
+WorkoutSchema.pre('validate', function (next) {
+  this.cardio.forEach((entry) => {
+    entry.paceSecondsPerKm = computePace(entry.distance, entry.distanceUnit, entry.movingTimeSeconds);
+    entry.speedKmh = computeSpeed(entry.distance, entry.distanceUnit, entry.movingTimeSeconds);
+    entry.splits.forEach((split) => {
+      split.paceSecondsPerKm = computePace(split.distance, entry.distanceUnit, split.movingTimeSeconds);
+    });
+  });
+  next();
+});
 
 /**
  * Instance method to calculate total estimated calories
+ * Uses MET x body weight (kg) x hours per exercise and stores each exercise's share
+ * @param {Object} metByExercise - MET values keyed by exercise ID
+ * @param {number} [bodyWeightKg] - Body weight (defaults to the reference weight)
  * @returns {number} Total estimated calories
  */
-WorkoutSchema.methods.calculateEstimatedCalories = function () {
-  // Simple estimation: 10 calories per minute of exercise
-  return Math.round(this.duration * 10);
+WorkoutSchema.methods.calculateEstimatedCalories = function (metByExercise = {}, bodyWeightKg = null) {
+  // Cardio activities are costed on their own moving time; strength work gets the rest
+  const cardioCalories = this.cardio.map((entry) => estimateCalories({
+    exercises: [{ met: CARDIO_METS[entry.activityType], setCount: 1 }],
+    durationMinutes: entry.movingTimeSeconds / 60,
+    bodyWeightKg,
+  }).total);
+  const cardioMinutes = this.cardio.reduce((sum, entry) => sum + entry.movingTimeSeconds / 60, 0);
+
+  const strength = this.exercises.length === 0 && this.cardio.length > 0
+    ? { total: 0, perExercise: [] }
+    : estimateCalories({
+      exercises: this.exercises.map((entry) => ({
+        met: metByExercise[(entry.exercise._id || entry.exercise).toString()],
+        setCount: entry.sets.filter((set) => set.type !== 'warmup' && set.reps > 0).length,
+      })),
+      durationMinutes: Math.max(this.duration - cardioMinutes, 0),
+      bodyWeightKg,
+    });
+
+  this.exercises.forEach((entry, index) => {
+    entry.estimatedCalories = strength.perExercise[index];
+  });
+  this.cardio.forEach((entry, index) => {
+    entry.estimatedCalories = cardioCalories[index];
+  });
+
+  const total = strength.total + cardioCalories.reduce((sum, calories) => sum + calories, 0);
+  return Math.min(total, 10000);
+};
+
+/**
+ * Instance method to calculate total lifted volume (reps x weight) in kilograms
+ * Warm-up sets are excluded
+ * @returns {number} Total volume in kg
+ */
+WorkoutSchema.methods.calculateTotalVolume = function () {
+  return this.exercises.reduce(
+    (total, entry) => total
+      + entry.sets
+        .filter((set) => set.type !== 'warmup')
+        .reduce((sum, set) => sum + set.reps * toKilograms(set.weight, set.weightUnit), 0),
+    0,
+  );
 };
 
 /**
  * Instance method to check if workout is overdue
+ * Recurring workouts are materialized one document per occurrence, so this applies per occurrence
  * @returns {boolean} True if workout date is in the past and status is planned
  */
 WorkoutSchema.methods.isOverdue = function () {
   return this.status === 'planned' && this.date < new Date();
 };
 
+/**
+ * Instance method to get the time spent training in a live session
+ * Paused time, including a pause still running, is excluded
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {number} Active seconds
+ */
+WorkoutSchema.methods.getActiveSeconds = function (now = new Date()) {
+  if (!this.startedAt) {
+    return 0;
+  }
+
+  const end = this.finishedAt || this.pausedAt || now;
+  return Math.max(0, Math.round((end - this.startedAt) / 1000) - this.pausedSeconds);
+};
+
+/**
+ * Instance method to start a live session, or resume a paused one
+ * The workout date moves to the actual start time.
+ * @param {Date} [now] - Start time (defaults to the current time)
+ */
+WorkoutSchema.methods.startSession = function (now = new Date()) {
+  if (this.status === 'in-progress') {
+    if (this.pausedAt) {
+      this.pausedSeconds += Math.round((now - this.pausedAt) / 1000);
+      this.pausedAt = null;
+    }
+    return;
+  }
+
+  this.status = 'in-progress';
+  this.startedAt = now;
+  this.date = now;
+  this.pausedAt = null;
+  this.pausedSeconds = 0;
+};
+
+/**
+ * Instance method to pause a live session
+ * @param {Date} [now] - Pause time (defaults to the current time)
+ */
+WorkoutSchema.methods.pauseSession = function (now = new Date()) {
+  if (this.status === 'in-progress' && !this.pausedAt) {
+    this.pausedAt = now;
+  }
+};
+
+/**
+ * Instance method to finish a live session
+ * Planned sets that were never performed are dropped, and the duration becomes the active time.
+ * @param {Date} [now] - Finish time (defaults to the current time)
+ */
+WorkoutSchema.methods.finishSession = function (now = new Date()) {
+  if (this.pausedAt) {
+    this.pausedSeconds += Math.round((now - this.pausedAt) / 1000);
+    this.pausedAt = null;
+  }
+
+  this.finishedAt = now;
+  this.status = 'completed';
+  this.duration = Math.min(Math.round(this.getActiveSeconds(now) / 60), 1440);
+  this.exercises.forEach((entry) => {
+    entry.sets = entry.sets.filter((set) => set.completedAt);
+  });
+};
+
+/**
+ * Instance method to describe a live session for clients
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {Object} Session timing and the current and next exercise positions
+ */
+WorkoutSchema.methods.getSessionState = function (now = new Date()) {
+  // The current exercise is the first one with a planned set still to do
+  const pending = this.exercises
+    .map((entry, index) => ({ index, setIndex: entry.sets.findIndex((set) => !set.completedAt) }))
+    .filter((position) => position.setIndex !== -1);
+
+  const lastCompletedAt = this.exercises
+    .flatMap((entry) => entry.sets.map((set) => set.completedAt))
+    .filter(Boolean)
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+  return {
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    isPaused: Boolean(this.pausedAt),
+    activeSeconds: this.getActiveSeconds(now),
+    lastSetAt: lastCompletedAt,
+    current: pending[0] || null,
+    next: pending[1] || null,
+  };
+};
+
 /**
  * Static method to get user's workout statistics
  * @param {ObjectId} userId - User ID
@@ -170,9 +743,87 @@ WorkoutSchema.statics.getByDateRange = function (userId, startDate, endDate) {
     if (endDate) query.date.$lte = endDate;
   }
 
-  return this.find(query).populate('exercises', 'name muscleGroup difficulty').sort({ date: -1 });
+  return this.find(query).populate('exercises.exercise', 'name muscleGroup difficulty').sort({ date: -1 });
 };
 
+/**
+ * Static method to normalize workout exercise input
+ * Accepts bare exercise IDs (legacy clients) or { exercise, sets, notes } entries
+ * @param {Array<string|Object>} entries - Exercise entries from the request body
+ * @returns {Array<Object>} Normalized exercise entries
+ */
+WorkoutSchema.statics.normalizeExercises = function (entries = []) {
+  return entries.map((entry) => {
+    if (typeof entry === 'string') {
+      return { exercise: entry, sets: [], notes: '' };
+    }
+
+    return {
+      exercise: entry.exercise,
+      sets: (entry.sets || []).map((set) => ({
+        reps: set.reps,
+        weight: set.weight,
+        weightUnit: set.weightUnit,
+        rpe: set.rpe,
+        rir: set.rir,
+        restSeconds: set.restSeconds,
+        type: set.type,
+        completedAt: set.completedAt,
+        targetReps: set.targetReps,
+        targetWeight: set.targetWeight,
+      })),
+      notes: entry.notes || '',
+    };
+  });
+};
+
+/**
+ * Static method to normalize cardio entry input
+ * Derived fields (pace, speed, calories) are dropped and recomputed; tracks only come from imports.
+ * When entries replace earlier ones, each keeps the track of the entry at its position if the
+ * activity type is unchanged, so editing an imported activity doesn't lose its route.
+ * @param {Array<Object>} entries - Cardio entries from the request body
+ * @param {Array<Object>} [replaced] - Cardio entries being replaced
+ * @returns {Array<Object>} Normalized cardio entries
+ */
+WorkoutSchema.statics.normalizeCardio = function (entries = [], replaced = []) {
+  return entries.map((entry, index) => ({
+    activityType: entry.activityType,
+    distance: entry.distance,
+    distanceUnit: entry.distanceUnit,
+    movingTimeSeconds: entry.movingTimeSeconds,
+    elapsedTimeSeconds: entry.elapsedTimeSeconds,
+    elevationGain: entry.elevationGain,
+    avgHeartRate: entry.avgHeartRate,
+    maxHeartRate: entry.maxHeartRate,
+    splits: (entry.splits || []).map((split) => ({
+      distance: split.distance,
+      movingTimeSeconds: split.movingTimeSeconds,
+      elevationGain: split.elevationGain,
+      avgHeartRate: split.avgHeartRate,
+    })),
+    ...(replaced[index]?.activityType === entry.activityType && { track: replaced[index].track }),
+    notes: entry.notes || '',
+  }));
+};
+
+/**
+ * Static method to get the distinct exercise IDs referenced by normalized entries
+ * @param {Array<Object>} entries - Normalized exercise entries
+ * @returns {Array<string>} Unique exercise IDs
+ */
+WorkoutSchema.statics.getExerciseIds = function (entries = []) {
+  return [...new Set(entries.map((entry) => entry.exercise.toString()))];
+};
+
+// Export constants for use in other modules
+WorkoutSchema.statics.SET_TYPES = SET_TYPES;
+WorkoutSchema.statics.WEIGHT_UNITS = WEIGHT_UNITS;
+WorkoutSchema.statics.CALORIE_SOURCES = CALORIE_SOURCES;
+WorkoutSchema.statics.WORKOUT_SOURCES = WORKOUT_SOURCES;
+WorkoutSchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+WorkoutSchema.statics.DISTANCE_UNITS = DISTANCE_UNITS;
+
 const Workout = mongoose.model('Workout', WorkoutSchema);
 
 module.exports = Workout;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview WorkoutSeries Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - Recurring workout schedules
+ * @module entities/WorkoutSeries
+ */
+
+const mongoose = require('mongoose');
+const Workout = require('./Workout');
+const { parseRRule } = require('../utils/rrule');
+const { isValidTimeZone } = require('../utils/timeZones');
+
+/**
+ * WorkoutSeries Schema Definition
+ * A workout blueprint repeated by an iCalendar RRULE; occurrences are materialized as planned Workouts
+ */
+const WorkoutSeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Series title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [100, 'Title must be less than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description must be less than 500 characters'],
+      default: '',
+    },
+    // Same shape as workout exercise entries
+    exercises: {
+      type: [Workout.schema.path('exercises').schema],
+      default: [],
+    },
+    duration: {
+      type: Number,
+      min: [0, 'Duration cannot be negative'],
+      max: [1440, 'Duration cannot exceed 24 hours (1440 minutes)'],
+      default: 0,
+    },
+    rrule: {
+      type: String,
+      required: [true, 'Recurrence rule is required'],
+      trim: true,
+      validate: {
+        validator: (value) => {
+          try {
+            parseRRule(value);
+            return true;
+          } catch (err) {
+            return false;
+          }
+        },
+        message: 'Recurrence rule must be a supported RRULE',
+      },
+    },
+    dtstart: {
+      type: Date,
+      required: [true, 'Series start date is required'],
+    },
+    // Occurrences keep dtstart's local time of day and weekday in this zone
+    tzid: {
+      type: String,
+      trim: true,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Time zone must be an IANA time zone, e.g. Europe/Berlin',
+      },
+    },
+    exdates: {
+      type: [Date],
+      default: [],
+    },
+    materializedUntil: {
+      type: Date,
+      default: null,
+    },
+    icalUid: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'Calendar UID must be less than 255 characters'],
+      default: undefined,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+WorkoutSeriesSchema.index({ userId: 1, isActive: 1, materializedUntil: 1 });
+WorkoutSeriesSchema.index({ userId: 1, icalUid: 1 });
+
+/**
+ * Instance method to exclude one occurrence (EXDATE)
+ * @param {Date} occurrenceDate - Occurrence to exclude
+ * @returns {boolean} True if added, false if already excluded
+ */
+WorkoutSeriesSchema.methods.addExdate = function (occurrenceDate) {
+  const time = new Date(occurrenceDate).getTime();
+  if (this.exdates.some((date) => date.getTime() === time)) {
+    return false;
+  }
+  this.exdates.push(new Date(time));
+  return true;
+};
+
+/**
+ * Instance method to get the workout fields every occurrence shares
+ * @returns {Object} Workout fields
+ */
+WorkoutSeriesSchema.methods.toWorkoutFields = function () {
+  return {
+    title: this.title,
+    description: this.description,
+    exercises: this.exercises.map((entry) => entry.toObject()),
+    duration: this.duration,
+  };
+};
+
+const WorkoutSeries = mongoose.model('WorkoutSeries', WorkoutSeriesSchema);
+
+module.exports = WorkoutSeries;
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview WorkoutTemplate Entity (Domain Model)
+ * @description Clean Architecture: Entity layer - Reusable workout blueprints
+ * @module entities/WorkoutTemplate
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Template Exercise Schema Definition
+ * An exercise in a template with its target prescription
+ */
+const TemplateExerciseSchema = new mongoose.Schema(
+  {
+    exercise: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+      required: [true, 'Exercise ID is required'],
+    },
+    targetSets: {
+      type: Number,
+      min: [1, 'Target sets must be at least 1'],
+      max: [20, 'Target sets cannot exceed 20'],
+      default: 3,
+    },
+    targetReps: {
+      type: Number,
+      min: [1, 'Target reps must be at least 1'],
+      max: [100, 'Target reps cannot exceed 100'],
+      default: 10,
+    },
+    targetWeight: {
+      type: Number,
+      min: [0, 'Target weight cannot be negative'],
+      max: [2000, 'Target weight seems unrealistic'],
+      default: 0,
+    },
+    weightUnit: {
+      type: String,
+      enum: ['kg', 'lb'],
+      default: 'kg',
+    },
+    restSeconds: {
+      type: Number,
+      min: [0, 'Rest cannot be negative'],
+      max: [3600, 'Rest cannot exceed 1 hour'],
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Exercise notes must be less than 500 characters'],
+      default: '',
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * WorkoutTemplate Schema Definition
+ * Represents an ordered list of exercises with targets that can be turned into workouts
+ */
+const WorkoutTemplateSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Template title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [100, 'Title must be less than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description must be less than 500 characters'],
+      default: '',
+    },
+    exercises: {
+      type: [TemplateExerciseSchema],
+      validate: {
+        validator: (exercises) => exercises.length > 0 && exercises.length <= 50,
+        message: 'A template must have between 1 and 50 exercises',
+      },
+    },
+    estimatedDuration: {
+      type: Number,
+      min: [0, 'Duration cannot be negative'],
+      max: [1440, 'Duration cannot exceed 24 hours (1440 minutes)'],
+      default: 0,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Compound indexes for performance
+WorkoutTemplateSchema.index({ userId: 1, isActive: 1, title: 1 });
+
+/**
+ * Instance method to expand the template into workout exercise entries
+ * Each target set becomes a working set carrying the target reps and load as targetReps and
+ * targetWeight; its performed reps and weight stay at 0 until the user logs them, so an untouched
+ * plan adds nothing to volume, records or calorie shares.
+ * @param {Function} [resolveLoad] - Optional (entry) => { weight, weightUnit } load override
+ * @returns {Array<Object>} Workout exercise entries
+ */
+WorkoutTemplateSchema.methods.toWorkoutExercises = function (resolveLoad) {
+  return this.exercises.map((entry) => {
+    const { weight, weightUnit } = resolveLoad
+      ? resolveLoad(entry)
+      : { weight: entry.targetWeight, weightUnit: entry.weightUnit };
+
+    return {
+      exercise: entry.exercise._id || entry.exercise,
+      sets: Array.from({ length: entry.targetSets }, () => ({
+        targetReps: entry.targetReps,
+        targetWeight: weight,
+        weightUnit,
+        restSeconds: entry.restSeconds,
+        type: 'working',
+      })),
+      notes: entry.notes,
+    };
+  });
+};
+
+const WorkoutTemplate = mongoose.model('WorkoutTemplate', WorkoutTemplateSchema);
+
+module.exports = WorkoutTemplate;
@@ -6,18 +6,71 @@
 
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const { UnauthorizedError } = require('../utils/errors');
+const User = require('../entities/User');
+const OAuthGrant = require('../entities/OAuthGrant');
+const ApiKey = require('../entities/ApiKey');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const logger = require('../utils/logger');
+const { hasPermission } = require('../utils/permissions');
+const { verifyOAuthAccessToken } = require('../utils/authTokens');
+const { apiKeyRateLimiter } = require('./security');
+
+/**
+ * Methods that only read data; apps and API keys need the write scope for the others
+ */
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticate a personal API key
+ * Keys only work on routers that declare scopes (see scopedAuth), which then check them.
+ * Apps and keys act with plain user rights, whatever the roles of the user.
+ * @param {Request} req - Express request object
+ * @param {string} key - Key from the X-API-Key header
+ * @returns {Promise<Object>} User to attach to the request
+ * @throws {ForbiddenError} If the router does not accept API keys
+ * @throws {UnauthorizedError} If the key is unknown or revoked
+ */
+const authenticateApiKey = async (req, key) => {
+  if (!req.authScopes) {
+    throw new ForbiddenError('API keys only work for workout, exercise and social endpoints');
+  }
+
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    throw new UnauthorizedError('Invalid API key');
+  }
+
+  if (apiKey.isLastUseStale()) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch((err) => logger.error('Error recording API key use:', err));
+  }
+
+  return {
+    id: String(apiKey.userId),
+    roles: ['user'],
+    apiKeyId: String(apiKey._id),
+    scopes: apiKey.scopes,
+  };
+};
 
 /**
  * JWT Authentication middleware
- * Verifies JWT token from Authorization header and attaches user to request
+ * Verifies JWT token from Authorization header and attaches user to request.
+ * A personal API key in the X-API-Key header is accepted instead on routers using scopedAuth.
+ * Requests with a key then go through the key's own rate limit.
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 const authMiddleware = async (req, res, next) => {
   try {
+    const apiKey = req.header('X-API-Key');
+    if (apiKey) {
+      req.user = await authenticateApiKey(req, apiKey);
+      // Verified keys are rate limited per key rather than per IP
+      return apiKeyRateLimiter(req, res, next);
+    }
+
     // Extract token from Authorization header
     const authHeader = req.header('Authorization');
 
@@ -56,9 +109,11 @@ const authMiddleware = async (req, res, next) => {
       id: decoded.userId,
       ...(decoded.username && { username: decoded.username }),
       ...(decoded.email && { email: decoded.email }),
+      ...(decoded.sessionId && { sessionId: decoded.sessionId }),
+      roles: decoded.roles || ['user'],
     };
 
-    next();
+    return next();
   } catch (err) {
     // Log authentication failures for security monitoring
     logger.warn('Authentication failed', {
@@ -68,7 +123,7 @@ const authMiddleware = async (req, res, next) => {
       error: err.message,
     });
 
-    next(err);
+    return next(err);
   }
 };
 
@@ -93,6 +148,8 @@ const optionalAuth = async (req, res, next) => {
             id: decoded.userId,
             ...(decoded.username && { username: decoded.username }),
             ...(decoded.email && { email: decoded.email }),
+            ...(decoded.sessionId && { sessionId: decoded.sessionId }),
+            roles: decoded.roles || ['user'],
           };
         } catch (err) {
           // Silently fail for optional auth
@@ -107,8 +164,124 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Check that an app or API key holds the scope a request needs
+ * Session tokens of the user themselves carry no scopes and are never limited.
+ * @param {Request} req - Express request object, after authentication
+ * @param {Response} res - Express response object
+ * @param {Object} scopes - Required scopes { read, write }
+ * @returns {ForbiddenError|undefined} Error if the scope is missing
+ */
+const checkScope = (req, res, { read, write }) => {
+  const scope = READ_METHODS.includes(req.method) ? read : write;
+  if (!req.user.scopes || !scope || req.user.scopes.includes(scope)) {
+    return undefined;
+  }
+
+  res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+  return new ForbiddenError(`This request requires the ${scope} scope`);
+};
+
+/**
+ * Authentication middleware factory for routers that apps and scripts may use
+ * Besides session tokens, accepts OAuth access tokens of third-party apps and personal API keys
+ * (through authMiddleware). These must carry the scope for the request: `read` for GET requests,
+ * `write` for the others. When no scope is given for a kind of request, any of them may make it.
+ * @param {Object} scopes - Required scopes { read, write } (see utils/oauth)
+ * @returns {Function} Express middleware
+ */
+const scopedAuth = (scopes) => async (req, res, next) => {
+  // Tells authMiddleware that API keys are welcome here
+  req.authScopes = scopes;
+
+  const [type, token] = (req.header('Authorization') || '').split(' ');
+  const claims = type === 'Bearer' && token ? verifyOAuthAccessToken(token) : null;
+
+  if (!claims) {
+    return authMiddleware(req, res, (err) => next(err || checkScope(req, res, scopes)));
+  }
+
+  try {
+    const grant = await OAuthGrant.findById(claims.grantId).select('userId revokedAt expiresAt');
+    if (!grant || !grant.isValid() || String(grant.userId) !== claims.userId) {
+      throw new UnauthorizedError('Token has been revoked');
+    }
+
+    req.user = {
+      id: claims.userId,
+      roles: ['user'],
+      clientId: claims.clientId,
+      scopes: claims.scopes,
+    };
+
+    return next(checkScope(req, res, scopes));
+  } catch (err) {
+    logger.warn('OAuth authentication failed', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+      clientId: claims.clientId,
+      error: err.message,
+    });
+
+    return next(err);
+  }
+};
+
+/**
+ * Authorization middleware factory
+ * Must follow authMiddleware. Rejects users whose roles do not grant every listed permission.
+ * Roles come from the access token, so no database lookup is needed.
+ * @param {...string} permissions - Required permissions (see utils/permissions)
+ * @returns {Function} Express middleware
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  if (!hasPermission(req.user.roles, ...permissions)) {
+    logger.warn('Authorization denied', {
+      userId: req.user.id,
+      path: req.path,
+      method: req.method,
+      permissions,
+    });
+    return next(new ForbiddenError('You do not have permission to perform this action'));
+  }
+
+  return next();
+};
+
+/**
+ * Verified email middleware
+ * Must follow authMiddleware. Rejects users who have not confirmed their email address.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified isActive');
+
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('Account is deactivated');
+    }
+    if (!user.emailVerified) {
+      throw new ForbiddenError('Verify your email address to post, comment or create challenges');
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   authMiddleware,
   optionalAuth,
+  scopedAuth,
+  authorize,
+  requireVerifiedEmail,
 };
 
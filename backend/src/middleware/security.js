@@ -27,25 +27,53 @@ const helmetConfig = helmet({
   crossOriginEmbedderPolicy: false,
 });
 
+/**
+ * Check whether a request was made with a verified API key
+ * @param {Request} req - Express request object, after authentication
+ * @returns {boolean} True if authMiddleware accepted its X-API-Key
+ */
+const hasVerifiedApiKey = (req) => Boolean(req.user && req.user.apiKeyId);
+
 /**
  * Rate limiting middleware
- * Prevents abuse by limiting the number of requests from a single IP
+ * Prevents abuse by limiting the number of requests from a single IP. Requests whose API key
+ * turns out valid are handed back to the IP afterwards, as apiKeyRateLimiter counts them per key.
+ * Made-up keys keep counting against the IP.
  */
 const rateLimiter = rateLimit({
   windowMs: config.security.rateLimit.windowMs,
   max: config.security.rateLimit.maxRequests,
   message: {
     status: 'error',
-    message: 'Too many requests from this IP, please try again later.',
+    message: 'Too many requests, please try again later.',
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: hasVerifiedApiKey,
   skip: (req) => {
     // Skip rate limiting for health checks
     return req.path === '/health' || req.path === '/api/health';
   },
 });
 
+/**
+ * Rate limiting middleware for API keys
+ * Run by authMiddleware once a key is verified, so scripts sharing an address (a gym, an office)
+ * don't use up each other's limit
+ */
+const apiKeyRateLimiter = rateLimit({
+  windowMs: config.security.rateLimit.windowMs,
+  max: config.security.rateLimit.maxRequests,
+  message: {
+    status: 'error',
+    message: 'Too many requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `api-key:${req.user.apiKeyId}`,
+});
+
 /**
  * Stricter rate limiter for authentication endpoints
  * Prevents brute force attacks
@@ -62,6 +90,40 @@ const authRateLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+/**
+ * Rate limiter for rejected API keys
+ * Counts, per IP, requests whose API key was refused: unknown or revoked keys get 401, keys
+ * sent to routers that take none get 403
+ */
+const apiKeyFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 rejected keys per window
+  message: {
+    status: 'error',
+    message: 'Too many invalid API keys, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.header('X-API-Key'),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401 && res.statusCode !== 403,
+});
+
+/**
+ * Rate limiter for endpoints that send email
+ * Counts every request, successful or not, so they cannot be used to flood inboxes
+ */
+const emailRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 emails per window
+  message: {
+    status: 'error',
+    message: 'Too many email requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * MongoDB injection protection
  * Removes any keys that start with "$" or contain "."
@@ -101,7 +163,10 @@ const xssProtection = xss();
 module.exports = {
   helmetConfig,
   rateLimiter,
+  apiKeyRateLimiter,
   authRateLimiter,
+  apiKeyFailureLimiter,
+  emailRateLimiter,
   mongoSanitizeConfig,
   hppConfig,
   xssProtection,
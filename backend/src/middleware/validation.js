@@ -6,6 +6,15 @@
 
 const { body, query, param, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/errors');
+const { parseRRule } = require('../utils/rrule');
+const { isValidTimeZone } = require('../utils/timeZones');
+const { ROLES } = require('../utils/permissions');
+const { OAUTH_SCOPES } = require('../utils/oauth');
+const { decodeCursor } = require('../utils/cursor');
+const { VISIBILITY_LEVELS } = require('../utils/visibility');
+const { GOAL_METRICS } = require('../utils/challengeProgress');
+const CoachingRelationship = require('../entities/CoachingRelationship');
+const OAuthClient = require('../entities/OAuthClient');
 
 /**
  * Middleware to handle validation errors
@@ -64,6 +73,391 @@ const validateLogin = [
   handleValidationErrors,
 ];
 
+/**
+ * Account restore validation rules
+ * The login credentials, plus the second factor when two-factor authentication is on
+ */
+const validateRestoreAccount = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Invalid authentication code')
+    .bail()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Invalid authentication code'),
+  handleValidationErrors,
+];
+
+/**
+ * Account deletion validation rules
+ * The current password confirms the request
+ */
+const validateDeleteAccount = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account'),
+  handleValidationErrors,
+];
+
+/**
+ * Refresh token validation rules (refresh and logout)
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isLength({ max: 2000 })
+    .withMessage('Invalid refresh token'),
+  handleValidationErrors,
+];
+
+/**
+ * Emailed link validation rules (email verification, email change)
+ */
+const validateAccountToken = [
+  body('token')
+    .isString()
+    .withMessage('Token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Token is required')
+    .isLength({ max: 2000 })
+    .withMessage('Invalid token'),
+  handleValidationErrors,
+];
+
+/**
+ * Forgot password validation rules
+ * The address is normalized like at registration, so it matches the stored one
+ */
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  handleValidationErrors,
+];
+
+/**
+ * Password reset validation rules
+ */
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('Token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidationErrors,
+];
+
+/**
+ * Email change validation rules
+ * The current password confirms the request
+ */
+const validateChangeEmail = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to change your email'),
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor code rule: an authenticator code or a recovery code
+ */
+const twoFactorCode = () => body('code')
+  .isString()
+  .withMessage('Authentication code is required')
+  .bail()
+  .trim()
+  .notEmpty()
+  .withMessage('Authentication code is required')
+  .isLength({ max: 20 })
+  .withMessage('Invalid authentication code');
+
+/**
+ * Two-factor login step validation rules
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .withMessage('Challenge token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Challenge token is required')
+    .isLength({ max: 2000 })
+    .withMessage('Invalid challenge token'),
+  twoFactorCode(),
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor setup validation rules
+ */
+const validateTwoFactorSetup = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to set up two-factor authentication'),
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor enable validation rules
+ */
+const validateTwoFactorCode = [
+  twoFactorCode(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for disabling two-factor authentication or regenerating recovery codes
+ */
+const validateTwoFactorConfirm = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  twoFactorCode(),
+  handleValidationErrors,
+];
+
+/**
+ * Role update validation rules
+ */
+const validateUpdateRoles = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('roles')
+    .isArray({ min: 1, max: ROLES.length })
+    .withMessage('Roles must be a non-empty array'),
+  body('roles.*')
+    .isIn(ROLES)
+    .withMessage(`Roles must be one of: ${ROLES.join(', ')}`),
+  handleValidationErrors,
+];
+
+/**
+ * Profile update validation rules
+ * All fields are optional; null clears age and body weight
+ */
+const validateUpdateProfile = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('age')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 150 })
+    .withMessage('Age must be between 0 and 150')
+    .toInt(),
+  body('bodyWeight')
+    .optional({ values: 'null' })
+    .isFloat({ min: 20, max: 1000 })
+    .withMessage('Body weight must be between 20 and 1000')
+    .toFloat(),
+  body('bodyWeightUnit')
+    .optional()
+    .isIn(['kg', 'lb'])
+    .withMessage('Body weight unit must be kg or lb'),
+  body('fitnessGoals')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Fitness goals must be a list of at most 10 goals'),
+  body('fitnessGoals.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each fitness goal must be between 1 and 100 characters'),
+  body('bio')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bio must be less than 500 characters'),
+  body('privacy.profile')
+    .optional()
+    .isIn(VISIBILITY_LEVELS)
+    .withMessage(`Profile visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`),
+  handleValidationErrors,
+];
+
+/**
+ * Password change validation rules
+ * The new password follows the registration rules
+ */
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  handleValidationErrors,
+];
+
+/**
+ * Avatar upload validation rules
+ * Expects the raw image file as the request body
+ */
+const validateAvatarUpload = [
+  body()
+    .custom((value) => Buffer.isBuffer(value) && value.length > 0)
+    .withMessage('Send the image as the raw request body (image/png, image/jpeg or image/webp)'),
+  handleValidationErrors,
+];
+
+/**
+ * Validates workout exercise entries
+ * Each entry is either an exercise ID (legacy) or an { exercise, sets, notes } object
+ * @param {Array<string|Object>} exercises - Exercise entries
+ * @returns {boolean} True if all entries are valid
+ * @throws {Error} If an entry is malformed
+ */
+const isValidWorkoutExercises = (exercises) => {
+  const isObjectId = (id) => typeof id === 'string' && /^[a-f\d]{24}$/i.test(id);
+
+  const valid = exercises.every((entry) => {
+    if (typeof entry === 'string') return isObjectId(entry);
+    return entry !== null && typeof entry === 'object' && isObjectId(entry.exercise);
+  });
+
+  if (!valid) {
+    throw new Error('All exercise IDs must be valid MongoDB ObjectIds');
+  }
+  return true;
+};
+
+/**
+ * Performed set validation rules shared by workout create and update
+ */
+const workoutSetRules = [
+  body('exercises.*.sets')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Sets must be an array of at most 50 sets'),
+  body('exercises.*.notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Exercise notes must be less than 500 characters'),
+  body('exercises.*.sets.*.reps')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Reps must be between 0 and 1000'),
+  body('exercises.*.sets.*.weight')
+    .optional()
+    .isFloat({ min: 0, max: 2000 })
+    .withMessage('Weight must be between 0 and 2000'),
+  body('exercises.*.sets.*.weightUnit')
+    .optional()
+    .isIn(['kg', 'lb'])
+    .withMessage('Weight unit must be kg or lb'),
+  body('exercises.*.sets.*.rpe')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 10 })
+    .withMessage('RPE must be between 1 and 10'),
+  body('exercises.*.sets.*.rir')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10 })
+    .withMessage('RIR must be between 0 and 10'),
+  body('exercises.*.sets.*.restSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Rest must be between 0 and 3600 seconds'),
+  body('exercises.*.sets.*.type')
+    .optional()
+    .isIn(['warmup', 'working', 'drop', 'failure'])
+    .withMessage('Set type must be warmup, working, drop, or failure'),
+  body('exercises.*.sets.*.targetReps')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Target reps must be between 1 and 100'),
+  body('exercises.*.sets.*.targetWeight')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 2000 })
+    .withMessage('Target weight must be between 0 and 2000'),
+];
+
+/**
+ * Cardio activity validation rules shared by workout create and update
+ */
+const workoutCardioRules = [
+  body('cardio')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Cardio must be an array of at most 20 activities'),
+  body('cardio.*.activityType')
+    .isIn(['run', 'ride', 'walk', 'hike', 'row', 'swim', 'elliptical', 'other'])
+    .withMessage('Activity type must be run, ride, walk, hike, row, swim, elliptical, or other'),
+  body('cardio.*.distance')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Distance must be between 0 and 1000'),
+  body('cardio.*.distanceUnit')
+    .optional()
+    .isIn(['km', 'mi'])
+    .withMessage('Distance unit must be km or mi'),
+  body('cardio.*.movingTimeSeconds')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Moving time must be between 0 and 86400 seconds'),
+  body('cardio.*.elapsedTimeSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Elapsed time must be a positive number of seconds'),
+  body('cardio.*.elevationGain')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Elevation gain must be between 0 and 10000 meters'),
+  body(['cardio.*.avgHeartRate', 'cardio.*.maxHeartRate'])
+    .optional({ values: 'null' })
+    .isInt({ min: 30, max: 250 })
+    .withMessage('Heart rate must be between 30 and 250'),
+  body('cardio.*.splits')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Splits must be an array of at most 500 laps'),
+  body('cardio.*.splits.*.distance')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Split distance must be between 0 and 1000'),
+  body('cardio.*.splits.*.movingTimeSeconds')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Split time must be between 0 and 86400 seconds'),
+  body('cardio.*.notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Activity notes must be less than 500 characters'),
+];
+
 /**
  * Workout creation validation rules
  */
@@ -77,15 +471,18 @@ const validateCreateWorkout = [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Description must be less than 500 characters'),
+  // A cardio-only workout needs no strength exercises
   body('exercises')
+    .if((value, { req }) => !Array.isArray(req.body.cardio) || req.body.cardio.length === 0)
     .isArray({ min: 1 })
-    .withMessage('At least one exercise is required')
-    .custom((exercises) => {
-      if (!exercises.every((id) => typeof id === 'string' && id.length === 24)) {
-        throw new Error('All exercise IDs must be valid MongoDB ObjectIds');
-      }
-      return true;
-    }),
+    .withMessage('At least one exercise is required'),
+  body('exercises')
+    .optional()
+    .isArray()
+    .withMessage('Exercises must be an array')
+    .custom(isValidWorkoutExercises),
+  ...workoutSetRules,
+  ...workoutCardioRules,
   body('duration')
     .optional()
     .isInt({ min: 0, max: 1440 })
@@ -98,6 +495,18 @@ const validateCreateWorkout = [
     .optional()
     .isISO8601()
     .withMessage('Date must be a valid ISO 8601 date'),
+  body('status')
+    .optional()
+    .isIn(['planned', 'in-progress', 'completed', 'cancelled'])
+    .withMessage('Status must be planned, in-progress, completed, or cancelled'),
+  body('templateId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITY_LEVELS)
+    .withMessage(`Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`),
   handleValidationErrors,
 ];
 
@@ -121,7 +530,10 @@ const validateUpdateWorkout = [
   body('exercises')
     .optional()
     .isArray({ min: 1 })
-    .withMessage('Exercises array must contain at least one exercise'),
+    .withMessage('Exercises array must contain at least one exercise')
+    .custom(isValidWorkoutExercises),
+  ...workoutSetRules,
+  ...workoutCardioRules,
   body('duration')
     .optional()
     .isInt({ min: 0, max: 1440 })
@@ -130,6 +542,563 @@ const validateUpdateWorkout = [
     .optional()
     .isInt({ min: 0, max: 10000 })
     .withMessage('Calories burned must be between 0 and 10000'),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITY_LEVELS)
+    .withMessage(`Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`),
+  handleValidationErrors,
+];
+
+/**
+ * Live session set validation rules
+ */
+const validateSessionSet = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid workout ID'),
+  body('exercise')
+    .isMongoId()
+    .withMessage('Exercise ID must be a valid MongoDB ObjectId'),
+  body('setIndex')
+    .optional()
+    .isInt({ min: 0, max: 49 })
+    .withMessage('Set index must be between 0 and 49')
+    .toInt(),
+  body('reps')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Reps must be between 0 and 1000'),
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 2000 })
+    .withMessage('Weight must be between 0 and 2000'),
+  body('weightUnit')
+    .optional()
+    .isIn(['kg', 'lb'])
+    .withMessage('Weight unit must be kg or lb'),
+  body('rpe')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 10 })
+    .withMessage('RPE must be between 1 and 10'),
+  body('rir')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10 })
+    .withMessage('RIR must be between 0 and 10'),
+  body('restSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Rest must be between 0 and 3600 seconds'),
+  body('type')
+    .optional()
+    .isIn(['warmup', 'working', 'drop', 'failure'])
+    .withMessage('Set type must be warmup, working, drop, or failure'),
+  handleValidationErrors,
+];
+
+/**
+ * Personal records query validation rules
+ */
+const validateRecordsQuery = [
+  query('exerciseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid exercise ID'),
+  handleValidationErrors,
+];
+
+/**
+ * Calendar feed validation rules
+ */
+const validateCalendarFeed = [
+  query('token')
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('A valid calendar token is required'),
+  handleValidationErrors,
+];
+
+/**
+ * Data export download validation rules
+ */
+const validateExportDownload = [
+  query('token')
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('A valid download token is required'),
+  handleValidationErrors,
+];
+
+/**
+ * Calendar import validation rules
+ * Expects a text/calendar request body
+ */
+const validateCalendarImport = [
+  body()
+    .isString()
+    .withMessage('Send the .ics file as a text/calendar request body')
+    .bail()
+    .contains('BEGIN:VCALENDAR')
+    .withMessage('Request body must be an iCalendar file'),
+  handleValidationErrors,
+];
+
+/**
+ * Activity file import validation rules
+ * Expects the raw GPX, TCX or FIT file as the request body
+ */
+const validateActivityImport = [
+  body()
+    .custom((value) => Buffer.isBuffer(value) && value.length > 0)
+    .withMessage('Send the GPX, TCX or FIT file as the raw request body'),
+  query('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  query('activityType')
+    .optional()
+    .isIn(['run', 'ride', 'walk', 'hike', 'row', 'swim', 'elliptical', 'other'])
+    .withMessage('Activity type must be run, ride, walk, hike, row, swim, elliptical, or other'),
+  handleValidationErrors,
+];
+
+/**
+ * Workout CSV import validation rules
+ * Expects a JSON body with the file contents and parse options
+ */
+const validateCsvImport = [
+  body('csv')
+    .isString()
+    .withMessage('CSV file contents are required')
+    .bail()
+    .notEmpty()
+    .withMessage('CSV file is empty'),
+  body('weightUnit')
+    .optional()
+    .isIn(['kg', 'lb'])
+    .withMessage('Weight unit must be kg or lb'),
+  body('dateOrder')
+    .optional()
+    .isIn(['mdy', 'dmy'])
+    .withMessage('Date order must be mdy or dmy'),
+  body('utcOffsetMinutes')
+    .optional()
+    .isInt({ min: -720, max: 840 })
+    .withMessage('UTC offset must be between -720 and 840 minutes')
+    .toInt(),
+  body('mappings')
+    .optional()
+    .isObject()
+    .withMessage('Mappings must be an object keyed by exercise name')
+    .bail()
+    .custom((mappings) => Object.values(mappings).every((value) => (
+      value === 'new' || (typeof value === 'string' && /^[a-f\d]{24}$/i.test(value))
+    )))
+    .withMessage('Each mapping must be an exercise ID or "new"'),
+  handleValidationErrors,
+];
+
+/**
+ * Template exercise validation rules shared by template create and update
+ */
+const templateExerciseRules = [
+  body('exercises.*.exercise')
+    .isMongoId()
+    .withMessage('All exercise IDs must be valid MongoDB ObjectIds'),
+  body('exercises.*.targetSets')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Target sets must be between 1 and 20'),
+  body('exercises.*.targetReps')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Target reps must be between 1 and 100'),
+  body('exercises.*.targetWeight')
+    .optional()
+    .isFloat({ min: 0, max: 2000 })
+    .withMessage('Target weight must be between 0 and 2000'),
+  body('exercises.*.weightUnit')
+    .optional()
+    .isIn(['kg', 'lb'])
+    .withMessage('Weight unit must be kg or lb'),
+  body('exercises.*.restSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Rest must be between 0 and 3600 seconds'),
+  body('exercises.*.notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Exercise notes must be less than 500 characters'),
+];
+
+/**
+ * Workout template creation validation rules
+ */
+const validateCreateTemplate = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('exercises')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('A template must have between 1 and 50 exercises'),
+  ...templateExerciseRules,
+  body('estimatedDuration')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Estimated duration must be between 0 and 1440 minutes'),
+  handleValidationErrors,
+];
+
+/**
+ * Workout template update validation rules
+ */
+const validateUpdateTemplate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('exercises')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('A template must have between 1 and 50 exercises'),
+  ...templateExerciseRules,
+  body('estimatedDuration')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Estimated duration must be between 0 and 1440 minutes'),
+  handleValidationErrors,
+];
+
+/**
+ * Template instantiation validation rules
+ */
+const validateInstantiateTemplate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rule for reading another user's data as their coach
+ */
+const validateTargetUser = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  handleValidationErrors,
+];
+
+/**
+ * Coaching invitation validation rules
+ */
+const validateCoachingInvitation = [
+  body('client')
+    .trim()
+    .notEmpty()
+    .withMessage('Username or email of the client is required')
+    .isLength({ max: 254 })
+    .withMessage('Invalid username or email'),
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(CoachingRelationship.SCOPES)
+    .withMessage(`Scopes must be one of: ${CoachingRelationship.SCOPES.join(', ')}`),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters'),
+  handleValidationErrors,
+];
+
+/**
+ * Coaching invitation acceptance validation rules
+ */
+const validateCoachingAcceptance = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invitation ID'),
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(CoachingRelationship.SCOPES)
+    .withMessage(`Scopes must be one of: ${CoachingRelationship.SCOPES.join(', ')}`),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a coach planning a workout for a client
+ */
+const validateAssignWorkout = [
+  param('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  ...validateCreateWorkout,
+];
+
+/**
+ * Validation rules for scheduling a coach's template for a client
+ */
+const validateAssignTemplate = [
+  param('clientId')
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  ...validateInstantiateTemplate,
+];
+
+/**
+ * API key creation validation rules
+ */
+const validateCreateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(OAUTH_SCOPES)
+    .withMessage(`Scopes must be one of: ${OAUTH_SCOPES.join(', ')}`),
+  handleValidationErrors,
+];
+
+/**
+ * OAuth app registration validation rules
+ */
+const validateOAuthClient = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters'),
+  body('redirectUris')
+    .isArray({ min: 1, max: OAuthClient.MAX_REDIRECT_URIS })
+    .withMessage(`Between 1 and ${OAuthClient.MAX_REDIRECT_URIS} redirect URIs are required`),
+  body('redirectUris.*')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Redirect URIs must be strings of at most 2000 characters'),
+  body('confidential')
+    .optional()
+    .isBoolean()
+    .withMessage('Confidential must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the user's answer on the OAuth consent screen
+ * The authorization request itself is checked by the use case, which reports problems to the app.
+ */
+const validateOAuthConsent = [
+  body('approve')
+    .isBoolean()
+    .withMessage('Approve must be a boolean')
+    .toBoolean(),
+  body(['client_id', 'redirect_uri', 'scope', 'state', 'code_challenge'])
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Authorization request parameters must be strings'),
+  handleValidationErrors,
+];
+
+/**
+ * Program creation validation rules
+ */
+const validateCreateProgram = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('weeks')
+    .isArray({ min: 1, max: 52 })
+    .withMessage('A program must have between 1 and 52 weeks'),
+  body('weeks.*.isDeload')
+    .optional()
+    .isBoolean()
+    .withMessage('isDeload must be a boolean'),
+  body('weeks.*.intensity')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Intensity must be between 1 and 100 percent'),
+  body('weeks.*.days')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('A week must have between 1 and 7 training days'),
+  body('weeks.*.days.*.dayOffset')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day offset must be between 0 and 6'),
+  body('weeks.*.days.*.templateId')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+  body('progression.type')
+    .optional()
+    .isIn(['none', 'linear', 'percentage'])
+    .withMessage('Progression type must be none, linear, or percentage'),
+  body('progression.increment')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Increment must be between 0 and 50'),
+  body('progression.deloadFactor')
+    .optional()
+    .isFloat({ min: 0.1, max: 1 })
+    .withMessage('Deload factor must be between 0.1 and 1'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  handleValidationErrors,
+];
+
+/**
+ * Program enrollment and reschedule validation rules
+ */
+const validateProgramStartDate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid id'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  handleValidationErrors,
+];
+
+/**
+ * Custom validator for recurrence rules
+ * @param {string} value - RRULE value
+ * @returns {boolean} True if the rule parses
+ * @throws {Error} With the parser's message if it does not
+ */
+const isValidRRule = (value) => {
+  parseRRule(value);
+  return true;
+};
+
+/**
+ * Workout series creation validation rules
+ */
+const validateCreateSeries = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('exercises')
+    .isArray({ min: 1 })
+    .withMessage('At least one exercise is required')
+    .custom(isValidWorkoutExercises),
+  ...workoutSetRules,
+  body('duration')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Duration must be between 0 and 1440 minutes'),
+  body('rrule')
+    .isString()
+    .withMessage('Recurrence rule is required')
+    .bail()
+    .custom(isValidRRule),
+  body('dtstart')
+    .isISO8601()
+    .withMessage('Start must be a valid ISO 8601 date'),
+  body('tzid')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone, e.g. Europe/Berlin'),
+  body('exdates')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Excluded dates must be an array'),
+  body('exdates.*')
+    .isISO8601()
+    .withMessage('Excluded dates must be valid ISO 8601 dates'),
+  handleValidationErrors,
+];
+
+/**
+ * Workout series update validation rules
+ */
+const validateUpdateSeries = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid series ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('exercises')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Exercises array must contain at least one exercise')
+    .custom(isValidWorkoutExercises),
+  ...workoutSetRules,
+  body('duration')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Duration must be between 0 and 1440 minutes'),
+  body('rrule')
+    .optional()
+    .isString()
+    .withMessage('Recurrence rule must be a string')
+    .bail()
+    .custom(isValidRRule),
+  body('dtstart')
+    .optional()
+    .isISO8601()
+    .withMessage('Start must be a valid ISO 8601 date'),
+  body('tzid')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone, e.g. Europe/Berlin'),
+  body('exdates')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Excluded dates must be an array'),
+  body('exdates.*')
+    .isISO8601()
+    .withMessage('Excluded dates must be valid ISO 8601 dates'),
   handleValidationErrors,
 ];
 
@@ -165,6 +1134,10 @@ const validateCreateExercise = [
   body('difficulty')
     .isIn(['Beginner', 'Intermediate', 'Advanced'])
     .withMessage('Difficulty must be Beginner, Intermediate, or Advanced'),
+  body('met')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 25 })
+    .withMessage('MET must be between 1 and 25'),
   body('media.imageUrl')
     .optional()
     .isURL()
@@ -173,6 +1146,11 @@ const validateCreateExercise = [
     .optional()
     .isURL()
     .withMessage('Video URL must be a valid URL'),
+  body('global')
+    .optional()
+    .isBoolean()
+    .withMessage('Global must be a boolean')
+    .toBoolean(),
   handleValidationErrors,
 ];
 
@@ -223,6 +1201,14 @@ const validateCreatePost = [
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Post content must be between 1 and 1000 characters'),
+  body('workoutId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid workout ID'),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITY_LEVELS)
+    .withMessage(`Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`),
   handleValidationErrors,
 ];
 
@@ -240,6 +1226,72 @@ const validateCreateComment = [
   handleValidationErrors,
 ];
 
+/**
+ * Feed query validation rules
+ */
+const validateFeed = [
+  query('cursor')
+    .optional()
+    .custom((value) => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  handleValidationErrors,
+];
+
+/**
+ * Comment listing validation rules
+ */
+const validateCommentsQuery = [
+  query('postId')
+    .notEmpty()
+    .withMessage('Post ID is required')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+  handleValidationErrors,
+];
+
+/**
+ * Challenge creation validation rules
+ */
+const validateCreateChallenge = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+  body('goal.metric')
+    .optional()
+    .isIn(GOAL_METRICS)
+    .withMessage(`Goal metric must be one of: ${GOAL_METRICS.join(', ')}`),
+  body('goal.target')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01, max: 1000000 })
+    .withMessage('Goal target must be a positive number')
+    .toFloat(),
+  // Exercise volume is counted for one exercise
+  body('goal.exerciseId')
+    .if((value, { req }) => req.body.goal?.metric === 'exercise-volume')
+    .isMongoId()
+    .withMessage('Exercise volume goals need a valid exercise ID'),
+  handleValidationErrors,
+];
+
 /**
  * MongoDB ID parameter validation
  */
@@ -253,12 +1305,52 @@ const validateMongoId = (paramName = 'id') => [
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRestoreAccount,
+  validateDeleteAccount,
+  validateRefreshToken,
+  validateAccountToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangeEmail,
+  validateTwoFactorLogin,
+  validateTwoFactorSetup,
+  validateTwoFactorCode,
+  validateTwoFactorConfirm,
+  validateUpdateRoles,
+  validateUpdateProfile,
+  validateChangePassword,
+  validateAvatarUpload,
   validateCreateWorkout,
   validateUpdateWorkout,
+  validateSessionSet,
+  validateRecordsQuery,
+  validateCalendarFeed,
+  validateCalendarImport,
+  validateActivityImport,
+  validateCsvImport,
+  validateTargetUser,
+  validateCoachingInvitation,
+  validateCoachingAcceptance,
+  validateAssignWorkout,
+  validateAssignTemplate,
+  validateCreateApiKey,
+  validateOAuthClient,
+  validateOAuthConsent,
+  validateExportDownload,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateInstantiateTemplate,
+  validateCreateProgram,
+  validateProgramStartDate,
+  validateCreateSeries,
+  validateUpdateSeries,
   validateCreateExercise,
   validateExerciseSearch,
   validateCreatePost,
   validateCreateComment,
+  validateFeed,
+  validateCommentsQuery,
+  validateCreateChallenge,
   validateMongoId,
   handleValidationErrors,
 };
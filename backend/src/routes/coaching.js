@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Coaching Routes
+ * @description RESTful API routes for coach-client relationships and delegated workout planning
+ * @module routes/coaching
+ */
+
+const express = require('express');
+const inviteClient = require('../useCases/coaching/InviteClient');
+const respondToInvitation = require('../useCases/coaching/RespondToInvitation');
+const endCoaching = require('../useCases/coaching/EndCoaching');
+const getCoachingRelationships = require('../useCases/coaching/GetCoachingRelationships');
+const getCoachingAccessLog = require('../useCases/coaching/GetCoachingAccessLog');
+const assignWorkout = require('../useCases/coaching/AssignWorkout');
+const assignTemplate = require('../useCases/coaching/AssignTemplate');
+const {
+  validateCoachingInvitation,
+  validateCoachingAcceptance,
+  validateAssignWorkout,
+  validateAssignTemplate,
+  validateMongoId,
+} = require('../middleware/validation');
+const { authMiddleware, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// All coaching routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/coaching
+ * @desc    Get the user's clients and coaches, including pending invitations
+ * @access  Private
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const result = await getCoachingRelationships(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coaching relationships retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/coaching/access-log
+ * @desc    Get the record of coaches accessing the user's data
+ * @access  Private
+ */
+router.get(
+  '/access-log',
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await getCoachingAccessLog(req.user.id, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Access log retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/coaching/invitations
+ * @desc    Invite a user to become a client
+ * @access  Private (coaches)
+ */
+router.post(
+  '/invitations',
+  authorize(PERMISSIONS.COACH_CLIENTS),
+  validateCoachingInvitation,
+  asyncHandler(async (req, res) => {
+    const { client, scopes, message } = req.body;
+
+    const relationship = await inviteClient(req.user.id, { client, scopes, message });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation sent successfully',
+      data: { relationship },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/coaching/invitations/:id/accept
+ * @desc    Accept a coaching invitation, optionally granting fewer scopes
+ * @access  Private (invited user)
+ */
+router.post(
+  '/invitations/:id/accept',
+  validateCoachingAcceptance,
+  asyncHandler(async (req, res) => {
+    const relationship = await respondToInvitation(req.user.id, req.params.id, {
+      accept: true,
+      scopes: req.body.scopes,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation accepted',
+      data: { relationship },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/coaching/invitations/:id/decline
+ * @desc    Decline a coaching invitation
+ * @access  Private (invited user)
+ */
+router.post(
+  '/invitations/:id/decline',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const relationship = await respondToInvitation(req.user.id, req.params.id, { accept: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation declined',
+      data: { relationship },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/coaching/:id
+ * @desc    End a coaching relationship, or withdraw a pending invitation
+ * @access  Private (coach or client)
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await endCoaching(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coaching relationship ended',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/coaching/clients/:clientId/workouts
+ * @desc    Plan a workout for a client
+ * @access  Private (coaches granted workouts:assign)
+ */
+router.post(
+  '/clients/:clientId/workouts',
+  authorize(PERMISSIONS.COACH_CLIENTS),
+  validateAssignWorkout,
+  asyncHandler(async (req, res) => {
+    const workout = await assignWorkout(req.user.id, req.params.clientId, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Workout assigned successfully',
+      data: { workout },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/coaching/clients/:clientId/templates/:id
+ * @desc    Schedule one of the coach's templates as a planned workout of a client
+ * @access  Private (coaches granted workouts:assign)
+ */
+router.post(
+  '/clients/:clientId/templates/:id',
+  authorize(PERMISSIONS.COACH_CLIENTS),
+  validateAssignTemplate,
+  asyncHandler(async (req, res) => {
+    const workout = await assignTemplate(req.user.id, req.params.clientId, req.params.id, {
+      date: req.body.date,
+      title: req.body.title,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Template assigned successfully',
+      data: { workout },
+    });
+  }),
+);
+
+module.exports = router;
@@ -6,25 +6,44 @@
 
 const express = require('express');
 const Exercise = require('../entities/Exercise');
+const getPersonalRecords = require('../useCases/records/GetPersonalRecords');
 const { validateCreateExercise, validateExerciseSearch, validateMongoId } = require('../middleware/validation');
-const { authMiddleware } = require('../middleware/auth');
-const { asyncHandler, NotFoundError, BadRequestError } = require('../utils/errors');
+const { scopedAuth } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const {
+  asyncHandler, NotFoundError, BadRequestError, ForbiddenError,
+} = require('../utils/errors');
 
 const router = express.Router();
 
-// All exercise routes require authentication
-router.use(authMiddleware);
+// All exercise routes require authentication; apps and API keys need the workouts scopes
+router.use(scopedAuth({ read: 'workouts:read', write: 'workouts:write' }));
 
 /**
  * @route   POST /api/exercises
- * @desc    Create a new exercise
- * @access  Private
+ * @desc    Create a custom exercise, or a global library exercise with `global: true`
+ * @access  Private (global: moderators and admins)
  */
 router.post(
   '/',
   validateCreateExercise,
   asyncHandler(async (req, res) => {
-    const { name, description, muscleGroup, equipment, difficulty, media, instructions, tips } = req.body;
+    const {
+      name,
+      description,
+      muscleGroup,
+      equipment,
+      difficulty,
+      met,
+      media,
+      instructions,
+      tips,
+      global: inLibrary,
+    } = req.body;
+
+    if (inLibrary && !hasPermission(req.user.roles, PERMISSIONS.CURATE_EXERCISES)) {
+      throw new ForbiddenError('Only moderators can add exercises to the global library');
+    }
 
     // Check if exercise exists
     const existingExercise = await Exercise.findOne({ name });
@@ -38,10 +57,11 @@ router.post(
       muscleGroup: Array.isArray(muscleGroup) ? muscleGroup : [muscleGroup],
       equipment: Array.isArray(equipment) ? equipment : equipment ? [equipment] : [],
       difficulty,
+      met: met || null,
       media: media || {},
       instructions: instructions || [],
       tips: tips || [],
-      createdBy: req.user.id,
+      createdBy: inLibrary ? null : req.user.id,
     });
 
     await exercise.save();
@@ -106,10 +126,38 @@ router.get(
   }),
 );
 
+/**
+ * @route   GET /api/exercises/:id/records
+ * @desc    Get the authenticated user's personal records and record history for an exercise
+ * @access  Private
+ */
+router.get(
+  '/:id/records',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const exercise = await Exercise.findById(req.params.id);
+
+    if (!exercise || !exercise.isActive) {
+      throw new NotFoundError('Exercise not found');
+    }
+
+    const result = await getPersonalRecords(req.user.id, {
+      exerciseId: exercise._id,
+      includeHistory: true,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Personal records retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
 /**
  * @route   PUT /api/exercises/:id
  * @desc    Update an exercise by ID
- * @access  Private
+ * @access  Private (creator or admin; global library: moderators and admins)
  */
 router.put(
   '/:id',
@@ -120,6 +168,9 @@ router.put(
     if (!exercise) {
       throw new NotFoundError('Exercise not found');
     }
+    if (!exercise.canBeEditedBy(req.user)) {
+      throw new ForbiddenError('You do not have permission to edit this exercise');
+    }
 
     // Update fields
     if (req.body.name !== undefined) exercise.name = req.body.name;
@@ -133,6 +184,7 @@ router.put(
       exercise.equipment = Array.isArray(req.body.equipment) ? req.body.equipment : [req.body.equipment];
     }
     if (req.body.difficulty !== undefined) exercise.difficulty = req.body.difficulty;
+    if (req.body.met !== undefined) exercise.met = req.body.met;
     if (req.body.media !== undefined) exercise.media = req.body.media;
     if (req.body.instructions !== undefined) exercise.instructions = req.body.instructions;
     if (req.body.tips !== undefined) exercise.tips = req.body.tips;
@@ -150,7 +202,7 @@ router.put(
 /**
  * @route   DELETE /api/exercises/:id
  * @desc    Delete an exercise by ID (soft delete)
- * @access  Private
+ * @access  Private (creator or admin; global library: moderators and admins)
  */
 router.delete(
   '/:id',
@@ -161,6 +213,9 @@ router.delete(
     if (!exercise) {
       throw new NotFoundError('Exercise not found');
     }
+    if (!exercise.canBeEditedBy(req.user)) {
+      throw new ForbiddenError('You do not have permission to delete this exercise');
+    }
 
     // Soft delete
     exercise.isActive = false;
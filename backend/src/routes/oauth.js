@@ -0,0 +1,303 @@
+/**
+ * @fileoverview OAuth Routes
+ * @description OAuth 2.0 authorization server for third-party apps: app registration, consent,
+ * token, introspection and revocation endpoints, and the user's connected apps
+ * @module routes/oauth
+ */
+
+const express = require('express');
+const registerOAuthClient = require('../useCases/oauth/RegisterOAuthClient');
+const getOAuthClients = require('../useCases/oauth/GetOAuthClients');
+const deleteOAuthClient = require('../useCases/oauth/DeleteOAuthClient');
+const prepareAuthorization = require('../useCases/oauth/PrepareAuthorization');
+const authorizeOAuthClient = require('../useCases/oauth/AuthorizeOAuthClient');
+const exchangeOAuthToken = require('../useCases/oauth/ExchangeOAuthToken');
+const introspectOAuthToken = require('../useCases/oauth/IntrospectOAuthToken');
+const revokeOAuthToken = require('../useCases/oauth/RevokeOAuthToken');
+const getOAuthAuthorizations = require('../useCases/oauth/GetOAuthAuthorizations');
+const revokeOAuthAuthorization = require('../useCases/oauth/RevokeOAuthAuthorization');
+const {
+  validateOAuthClient,
+  validateOAuthConsent,
+  validateMongoId,
+} = require('../middleware/validation');
+const { authRateLimiter } = require('../middleware/security');
+const { authMiddleware } = require('../middleware/auth');
+const { parseBasicCredentials } = require('../utils/oauth');
+const { asyncHandler, OAuthError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Read the parameters of an authorization request from the query or body
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} Request in the shape expected by the use cases
+ */
+const authorizationRequest = (source) => ({
+  responseType: source.response_type,
+  clientId: source.client_id,
+  redirectUri: source.redirect_uri,
+  scope: source.scope,
+  state: source.state,
+  codeChallenge: source.code_challenge,
+  codeChallengeMethod: source.code_challenge_method,
+});
+
+/**
+ * Read the client credentials of a token endpoint request (HTTP Basic or body)
+ * @param {Request} req - Express request object
+ * @returns {Object} { clientId, clientSecret }
+ */
+const clientCredentials = (req) => parseBasicCredentials(req.header('Authorization')) || {
+  clientId: req.body.client_id,
+  clientSecret: req.body.client_secret,
+};
+
+/**
+ * Token responses must never be cached (RFC 6749 section 5.1)
+ * @param {Response} res - Express response object
+ */
+const noStore = (res) => res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+/**
+ * @route   GET /api/oauth/authorize
+ * @desc    Check an authorization request and describe it for the consent screen
+ * @access  Private
+ */
+router.get(
+  '/authorize',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const request = await prepareAuthorization(authorizationRequest(req.query));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Authorization request checked',
+      data: request.redirectTo
+        ? { redirectTo: request.redirectTo }
+        : {
+          client: { clientId: request.client.clientId, name: request.client.name },
+          scopes: request.scopes,
+        },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/oauth/authorize
+ * @desc    Approve or deny an authorization request; returns where to send the user back to
+ * @access  Private
+ */
+router.post(
+  '/authorize',
+  authMiddleware,
+  validateOAuthConsent,
+  asyncHandler(async (req, res) => {
+    const result = await authorizeOAuthClient(
+      req.user.id,
+      authorizationRequest(req.body),
+      req.body.approve,
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: req.body.approve ? 'App authorized' : 'Access denied',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/oauth/token
+ * @desc    Exchange an authorization code or refresh token for tokens (RFC 6749 format)
+ * @access  Public (client credentials)
+ */
+router.post(
+  '/token',
+  authRateLimiter,
+  asyncHandler(async (req, res) => {
+    const tokens = await exchangeOAuthToken(
+      {
+        grantType: req.body.grant_type,
+        code: req.body.code,
+        redirectUri: req.body.redirect_uri,
+        codeVerifier: req.body.code_verifier,
+        refreshToken: req.body.refresh_token,
+      },
+      clientCredentials(req),
+    );
+
+    noStore(res);
+    res.status(200).json({
+      access_token: tokens.accessToken,
+      token_type: 'Bearer',
+      expires_in: tokens.expiresIn,
+      refresh_token: tokens.refreshToken,
+      scope: tokens.scopes.join(' '),
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/oauth/introspect
+ * @desc    Describe one of the app's tokens (RFC 7662 format)
+ * @access  Public (client credentials)
+ */
+router.post(
+  '/introspect',
+  asyncHandler(async (req, res) => {
+    const result = await introspectOAuthToken(req.body.token, clientCredentials(req));
+
+    noStore(res);
+    res.status(200).json(
+      result.active
+        ? {
+          active: true,
+          scope: result.scopes.join(' '),
+          client_id: result.clientId,
+          username: result.username,
+          sub: result.userId,
+          ...(result.tokenType === 'access_token' && { token_type: 'Bearer' }),
+          iat: Math.floor(new Date(result.issuedAt).getTime() / 1000),
+          exp: Math.floor(new Date(result.expiresAt).getTime() / 1000),
+        }
+        : { active: false },
+    );
+  }),
+);
+
+/**
+ * @route   POST /api/oauth/revoke
+ * @desc    Revoke the grant behind one of the app's tokens (RFC 7009)
+ * @access  Public (client credentials)
+ */
+router.post(
+  '/revoke',
+  asyncHandler(async (req, res) => {
+    await revokeOAuthToken(req.body.token, clientCredentials(req));
+
+    res.status(200).end();
+  }),
+);
+
+/**
+ * @route   GET /api/oauth/clients
+ * @desc    Get the apps registered by the user
+ * @access  Private
+ */
+router.get(
+  '/clients',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const result = await getOAuthClients(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Apps retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/oauth/clients
+ * @desc    Register an app; the client secret of confidential apps is only returned here
+ * @access  Private
+ */
+router.post(
+  '/clients',
+  authMiddleware,
+  validateOAuthClient,
+  asyncHandler(async (req, res) => {
+    const result = await registerOAuthClient(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'App registered successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/oauth/clients/:id
+ * @desc    Delete an app, revoking its access to every user
+ * @access  Private (owner)
+ */
+router.delete(
+  '/clients/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await deleteOAuthClient(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'App deleted successfully',
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/oauth/authorizations
+ * @desc    Get the apps the user has given access to
+ * @access  Private
+ */
+router.get(
+  '/authorizations',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const result = await getOAuthAuthorizations(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Connected apps retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/oauth/authorizations/:id
+ * @desc    Disconnect an app from the user's account
+ * @access  Private
+ */
+router.delete(
+  '/authorizations/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await revokeOAuthAuthorization(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'App disconnected',
+    });
+  }),
+);
+
+/**
+ * Report OAuth errors the way apps expect them (RFC 6749 section 5.2)
+ * Other errors go on to the global error handler.
+ */
+router.use((err, req, res, next) => {
+  if (!(err instanceof OAuthError)) {
+    return next(err);
+  }
+
+  logger.warn('OAuth error', {
+    error: err.code,
+    message: err.message,
+    url: req.originalUrl,
+    ip: req.ip,
+  });
+
+  if (err.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+  noStore(res);
+  return res.status(err.statusCode).json({ error: err.code, error_description: err.message });
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Program Routes
+ * @description RESTful API routes for periodized training programs and enrollments
+ * @module routes/programs
+ */
+
+const express = require('express');
+const createProgram = require('../useCases/programs/CreateProgram');
+const getPrograms = require('../useCases/programs/GetPrograms');
+const getProgram = require('../useCases/programs/GetProgram');
+const deleteProgram = require('../useCases/programs/DeleteProgram');
+const enrollInProgram = require('../useCases/programs/EnrollInProgram');
+const getUserEnrollments = require('../useCases/programs/GetUserEnrollments');
+const rescheduleEnrollment = require('../useCases/programs/RescheduleEnrollment');
+const cancelEnrollment = require('../useCases/programs/CancelEnrollment');
+const {
+  validateCreateProgram,
+  validateProgramStartDate,
+  validateMongoId,
+} = require('../middleware/validation');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// All program routes require authentication
+router.use(authMiddleware);
+
+// ==================== ENROLLMENTS ====================
+
+/**
+ * @route   GET /api/programs/enrollments
+ * @desc    Get the authenticated user's program enrollments
+ * @access  Private
+ */
+router.get(
+  '/enrollments',
+  asyncHandler(async (req, res) => {
+    const result = await getUserEnrollments(req.user.id, { status: req.query.status });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Program enrollments retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/programs/enrollments/:id
+ * @desc    Move an enrollment's start date and reschedule its planned workouts
+ * @access  Private
+ */
+router.patch(
+  '/enrollments/:id',
+  validateProgramStartDate,
+  asyncHandler(async (req, res) => {
+    const result = await rescheduleEnrollment(
+      req.params.id,
+      { startDate: req.body.startDate },
+      req.user.id,
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Program enrollment rescheduled successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/programs/enrollments/:id
+ * @desc    Cancel an enrollment and remove its remaining planned workouts
+ * @access  Private
+ */
+router.delete(
+  '/enrollments/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const result = await cancelEnrollment(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Program enrollment cancelled successfully',
+      data: result,
+    });
+  }),
+);
+
+// ==================== PROGRAMS ====================
+
+/**
+ * @route   POST /api/programs
+ * @desc    Create a new training program
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateCreateProgram,
+  asyncHandler(async (req, res) => {
+    const program = await createProgram(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Program created successfully',
+      data: { program },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/programs
+ * @desc    Get the user's own and public programs
+ * @access  Private
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await getPrograms(req.user.id, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Programs retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/programs/:id
+ * @desc    Get a program by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const program = await getProgram(req.params.id, req.user.id);
+    await program.populate('weeks.days.templateId', 'title estimatedDuration');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Program retrieved successfully',
+      data: { program },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/programs/:id
+ * @desc    Delete a program by ID (soft delete)
+ * @access  Private
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await deleteProgram(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Program deleted successfully',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/programs/:id/enroll
+ * @desc    Enroll in a program and schedule its workouts from the start date
+ * @access  Private
+ */
+router.post(
+  '/:id/enroll',
+  validateProgramStartDate,
+  asyncHandler(async (req, res) => {
+    const result = await enrollInProgram(
+      req.params.id,
+      { startDate: req.body.startDate },
+      req.user.id,
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Enrolled in program successfully',
+      data: result,
+    });
+  }),
+);
+
+module.exports = router;
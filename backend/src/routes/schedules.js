@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Workout Schedule Routes
+ * @description RESTful API routes for recurring workout series
+ * @module routes/schedules
+ */
+
+const express = require('express');
+const createSeries = require('../useCases/schedules/CreateSeries');
+const getUserSeries = require('../useCases/schedules/GetUserSeries');
+const getSeriesOccurrences = require('../useCases/schedules/GetSeriesOccurrences');
+const updateSeries = require('../useCases/schedules/UpdateSeries');
+const deleteSeries = require('../useCases/schedules/DeleteSeries');
+const {
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateMongoId,
+} = require('../middleware/validation');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// All schedule routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/schedules
+ * @desc    Create a recurring workout series and schedule its upcoming occurrences
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateCreateSeries,
+  asyncHandler(async (req, res) => {
+    const result = await createSeries(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Workout series created successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/schedules
+ * @desc    Get all recurring workout series for the authenticated user
+ * @access  Private
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const result = await getUserSeries(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout series retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/schedules/:id/occurrences
+ * @desc    Get the scheduled workouts of a series
+ * @access  Private
+ */
+router.get(
+  '/:id/occurrences',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+
+    const result = await getSeriesOccurrences(req.params.id, req.user.id, {
+      startDate,
+      endDate,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Series occurrences retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   PUT /api/schedules/:id
+ * @desc    Update every upcoming, unedited occurrence of a series
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  validateUpdateSeries,
+  asyncHandler(async (req, res) => {
+    const result = await updateSeries(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout series updated successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/schedules/:id
+ * @desc    End a series and remove its upcoming, unedited occurrences
+ * @access  Private
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const result = await deleteSeries(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout series deleted successfully',
+      data: result,
+    });
+  }),
+);
+
+module.exports = router;
@@ -1,39 +1,75 @@
 /**
  * @fileoverview Social Routes
- * @description RESTful API routes for social features (posts, comments, likes, challenges)
+ * @description RESTful API routes for social features (posts, follows, blocks, feed, comments, likes, challenges)
  * @module routes/social
  */
 
 const express = require('express');
+const User = require('../entities/User');
 const Post = require('../entities/Post');
 const Comment = require('../entities/Comment');
 const Challenge = require('../entities/Challenge');
-const { validateCreatePost, validateCreateComment, validateMongoId } = require('../middleware/validation');
-const { authMiddleware } = require('../middleware/auth');
-const { asyncHandler, NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const Follow = require('../entities/Follow');
+const Block = require('../entities/Block');
+const Workout = require('../entities/Workout');
+const followUser = require('../useCases/social/FollowUser');
+const unfollowUser = require('../useCases/social/UnfollowUser');
+const acceptFollowRequest = require('../useCases/social/AcceptFollowRequest');
+const removeFollower = require('../useCases/social/RemoveFollower');
+const getFollowers = require('../useCases/social/GetFollowers');
+const getFollowing = require('../useCases/social/GetFollowing');
+const getSocialProfile = require('../useCases/social/GetSocialProfile');
+const getFeed = require('../useCases/social/GetFeed');
+const createChallenge = require('../useCases/social/CreateChallenge');
+const getChallengeLeaderboard = require('../useCases/social/GetChallengeLeaderboard');
+const getAudience = require('../useCases/social/GetAudience');
+const blockUser = require('../useCases/social/BlockUser');
+const unblockUser = require('../useCases/social/UnblockUser');
+const getBlockedUsers = require('../useCases/social/GetBlockedUsers');
+const { includesId } = require('../utils/visibility');
+const {
+  validateCreatePost,
+  validateCreateComment,
+  validateFeed,
+  validateCommentsQuery,
+  validateCreateChallenge,
+  validateMongoId,
+} = require('../middleware/validation');
+const { scopedAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ConflictError } = require('../utils/errors');
 
 const router = express.Router();
 
-// All social routes require authentication
-router.use(authMiddleware);
+// All social routes require authentication; apps and API keys can read with any scope
+// and need social:write to post, comment, like or join challenges
+router.use(scopedAuth({ write: 'social:write' }));
 
 // ==================== POSTS ====================
 
 /**
  * @route   POST /api/social/posts
  * @desc    Create a new post
- * @access  Private
+ * @access  Private (verified email)
  */
 router.post(
   '/posts',
+  requireVerifiedEmail,
   validateCreatePost,
   asyncHandler(async (req, res) => {
-    const { content, workoutId } = req.body;
+    const { content, workoutId, visibility } = req.body;
 
+    // Only one's own workouts can be shared
+    if (workoutId && !(await Workout.exists({ _id: workoutId, userId: req.user.id }))) {
+      throw new NotFoundError('Workout not found');
+    }
+
+    const author = await User.findById(req.user.id).select('privacy.profile');
     const post = new Post({
       content,
       userId: req.user.id,
       workoutId: workoutId || null,
+      ...(visibility && { visibility }),
+      authorVisibility: author.privacy.profile,
     });
 
     await post.save();
@@ -49,7 +85,7 @@ router.post(
 
 /**
  * @route   GET /api/social/posts
- * @desc    Get all posts
+ * @desc    Get all posts the user may see, with how the user follows their authors
  * @access  Private
  */
 router.get(
@@ -57,11 +93,35 @@ router.get(
   asyncHandler(async (req, res) => {
     const { userId, page, limit } = req.query;
 
-    const result = await Post.getPosts({ userId }, { page, limit });
+    const audience = await getAudience(req.user.id);
+    const result = await Post.getPosts({ userId }, { page, limit, audience });
+    const authorIds = [...new Set(result.posts.map((post) => String(post.userId._id)))];
+    const followStatuses = await Follow.getStatuses(req.user.id, authorIds);
 
     res.status(200).json({
       status: 'success',
       message: 'Posts retrieved successfully',
+      data: { ...result, followStatuses },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/social/feed?cursor=&limit=
+ * @desc    Get posts of followed users and the user's own, newest first
+ * @access  Private
+ */
+router.get(
+  '/feed',
+  validateFeed,
+  asyncHandler(async (req, res) => {
+    const { cursor, limit } = req.query;
+
+    const result = await getFeed(req.user.id, { cursor, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Feed retrieved successfully',
       data: result,
     });
   }),
@@ -76,9 +136,10 @@ router.post(
   '/posts/:id/like',
   validateMongoId('id'),
   asyncHandler(async (req, res) => {
-    const post = await Post.findById(req.params.id);
+    const audience = await getAudience(req.user.id);
+    const post = await Post.findVisible(req.params.id, audience);
 
-    if (!post || !post.isActive) {
+    if (!post) {
       throw new NotFoundError('Post not found');
     }
 
@@ -90,28 +151,243 @@ router.post(
       message: `Post ${wasLiked ? 'liked' : 'unliked'} successfully`,
       data: {
         liked: wasLiked,
-        likesCount: post.likes.length,
+        likesCount: post.likes.filter((id) => !includesId(audience.hiddenUserIds, id)).length,
       },
     });
   }),
 );
 
+// ==================== FOLLOWS ====================
+
+/**
+ * @route   GET /api/social/users/:id
+ * @desc    Get a user's profile, follow counts and whether the user follows them
+ * @access  Private
+ */
+router.get(
+  '/users/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const result = await getSocialProfile(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Profile retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/social/users/:id/follow
+ * @desc    Follow a user; accounts that are not public receive a follow request instead
+ * @access  Private
+ */
+router.post(
+  '/users/:id/follow',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const follow = await followUser(req.user.id, req.params.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: follow.status === 'pending' ? 'Follow request sent' : 'User followed successfully',
+      data: { follow },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/social/users/:id/follow
+ * @desc    Unfollow a user or withdraw a follow request
+ * @access  Private
+ */
+router.delete(
+  '/users/:id/follow',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await unfollowUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User unfollowed successfully',
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/social/users/:id/followers
+ * @desc    Get the followers of a user
+ * @access  Private
+ */
+router.get(
+  '/users/:id/followers',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await getFollowers(req.user.id, req.params.id, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Followers retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/social/users/:id/following
+ * @desc    Get the users a user follows
+ * @access  Private
+ */
+router.get(
+  '/users/:id/following',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await getFollowing(req.user.id, req.params.id, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Followed users retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/social/follow-requests
+ * @desc    Get pending requests to follow the user
+ * @access  Private
+ */
+router.get(
+  '/follow-requests',
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await getFollowers(req.user.id, req.user.id, { status: 'pending', page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Follow requests retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/social/follow-requests/:userId/accept
+ * @desc    Accept a user's request to follow
+ * @access  Private
+ */
+router.post(
+  '/follow-requests/:userId/accept',
+  validateMongoId('userId'),
+  asyncHandler(async (req, res) => {
+    const follow = await acceptFollowRequest(req.user.id, req.params.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Follow request accepted',
+      data: { follow },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/social/followers/:userId
+ * @desc    Remove a follower or decline their follow request
+ * @access  Private
+ */
+router.delete(
+  '/followers/:userId',
+  validateMongoId('userId'),
+  asyncHandler(async (req, res) => {
+    await removeFollower(req.user.id, req.params.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Follower removed successfully',
+    });
+  }),
+);
+
+// ==================== BLOCKS ====================
+
+/**
+ * @route   GET /api/social/blocks
+ * @desc    Get the users the user blocked
+ * @access  Private
+ */
+router.get(
+  '/blocks',
+  asyncHandler(async (req, res) => {
+    const result = await getBlockedUsers(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Blocked users retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/social/users/:id/block
+ * @desc    Block a user; follows between the two end
+ * @access  Private
+ */
+router.post(
+  '/users/:id/block',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const block = await blockUser(req.user.id, req.params.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'User blocked successfully',
+      data: { block },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/social/users/:id/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete(
+  '/users/:id/block',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await unblockUser(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User unblocked successfully',
+    });
+  }),
+);
+
 // ==================== COMMENTS ====================
 
 /**
  * @route   POST /api/social/comments
  * @desc    Add a comment to a post
- * @access  Private
+ * @access  Private (verified email)
  */
 router.post(
   '/comments',
+  requireVerifiedEmail,
   validateCreateComment,
   asyncHandler(async (req, res) => {
     const { postId, content } = req.body;
 
-    // Verify post exists
-    const post = await Post.findById(postId);
-    if (!post || !post.isActive) {
+    // Verify post exists and the user may see it
+    const post = await Post.findVisible(postId, await getAudience(req.user.id));
+    if (!post) {
       throw new NotFoundError('Post not found');
     }
 
@@ -134,19 +410,25 @@ router.post(
 
 /**
  * @route   GET /api/social/comments
- * @desc    Get comments for a post
+ * @desc    Get comments for a post the user may see, without those of blocked users
  * @access  Private
  */
 router.get(
   '/comments',
+  validateCommentsQuery,
   asyncHandler(async (req, res) => {
     const { postId, page, limit } = req.query;
 
-    if (!postId) {
-      throw new BadRequestError('Post ID is required');
+    const audience = await getAudience(req.user.id);
+    if (!(await Post.findVisible(postId, audience))) {
+      throw new NotFoundError('Post not found');
     }
 
-    const comments = await Comment.getByPostId(postId, { page, limit });
+    const comments = await Comment.getByPostId(postId, {
+      page,
+      limit,
+      hiddenUserIds: audience.hiddenUserIds,
+    });
 
     res.status(200).json({
       status: 'success',
@@ -160,29 +442,15 @@ router.get(
 
 /**
  * @route   POST /api/social/challenges
- * @desc    Create a new challenge
- * @access  Private
+ * @desc    Create a new challenge with a goal metric and optional target
+ * @access  Private (verified email)
  */
 router.post(
   '/challenges',
+  requireVerifiedEmail,
+  validateCreateChallenge,
   asyncHandler(async (req, res) => {
-    const { title, description, endDate } = req.body;
-
-    if (!title || !endDate) {
-      throw new BadRequestError('Title and end date are required');
-    }
-
-    const challenge = new Challenge({
-      title,
-      description: description || '',
-      createdBy: req.user.id,
-      startDate: new Date(),
-      endDate: new Date(endDate),
-      status: 'upcoming',
-    });
-
-    await challenge.save();
-    await challenge.populate('createdBy', 'username profile.name profile.avatar');
+    const challenge = await createChallenge(req.body, req.user.id);
 
     res.status(201).json({
       status: 'success',
@@ -194,7 +462,7 @@ router.post(
 
 /**
  * @route   GET /api/social/challenges
- * @desc    Get all active challenges
+ * @desc    Get all active challenges; blocked users are left out of the participants
  * @access  Private
  */
 router.get(
@@ -202,7 +470,8 @@ router.get(
   asyncHandler(async (req, res) => {
     const { page, limit } = req.query;
 
-    const result = await Challenge.getActiveChallenges({ page, limit });
+    const hiddenUserIds = await Block.getHiddenUserIds(req.user.id);
+    const result = await Challenge.getActiveChallenges({ page, limit, hiddenUserIds });
 
     res.status(200).json({
       status: 'success',
@@ -234,10 +503,32 @@ router.post(
     challenge.addParticipant(req.user.id);
     await challenge.save();
 
+    const hiddenUserIds = await Block.getHiddenUserIds(req.user.id);
+    const participants = challenge.participants.filter((id) => !includesId(hiddenUserIds, id));
+
     res.status(200).json({
       status: 'success',
       message: 'Joined challenge successfully',
-      data: { challenge },
+      data: { challenge: { ...challenge.toJSON(), participants } },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/social/challenges/:id/leaderboard
+ * @desc    Rank the participants of a challenge by progress toward its goal
+ * @access  Private
+ */
+router.get(
+  '/challenges/:id/leaderboard',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const result = await getChallengeLeaderboard(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Leaderboard retrieved successfully',
+      data: result,
     });
   }),
 );
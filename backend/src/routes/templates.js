@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Workout Template Routes
+ * @description RESTful API routes for reusable workout templates
+ * @module routes/templates
+ */
+
+const express = require('express');
+const createTemplate = require('../useCases/templates/CreateTemplate');
+const getUserTemplates = require('../useCases/templates/GetUserTemplates');
+const getTemplate = require('../useCases/templates/GetTemplate');
+const updateTemplate = require('../useCases/templates/UpdateTemplate');
+const deleteTemplate = require('../useCases/templates/DeleteTemplate');
+const instantiateTemplate = require('../useCases/templates/InstantiateTemplate');
+const {
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateInstantiateTemplate,
+  validateMongoId,
+} = require('../middleware/validation');
+const { authMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/errors');
+
+const router = express.Router();
+
+// All template routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/templates
+ * @desc    Create a new workout template
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateCreateTemplate,
+  asyncHandler(async (req, res) => {
+    const template = await createTemplate(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Workout template created successfully',
+      data: { template },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/templates
+ * @desc    Get all workout templates for the authenticated user
+ * @access  Private
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    const result = await getUserTemplates(req.user.id, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout templates retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/templates/:id
+ * @desc    Get a workout template by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const template = await getTemplate(req.params.id, req.user.id);
+    await template.populate('exercises.exercise', 'name muscleGroup difficulty equipment');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout template retrieved successfully',
+      data: { template },
+    });
+  }),
+);
+
+/**
+ * @route   PUT /api/templates/:id
+ * @desc    Update a workout template by ID
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  validateUpdateTemplate,
+  asyncHandler(async (req, res) => {
+    const template = await updateTemplate(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout template updated successfully',
+      data: { template },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/templates/:id
+ * @desc    Delete a workout template by ID (soft delete)
+ * @access  Private
+ */
+router.delete(
+  '/:id',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await deleteTemplate(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout template deleted successfully',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/templates/:id/instantiate
+ * @desc    Create a planned workout from a template on the given date
+ * @access  Private
+ */
+router.post(
+  '/:id/instantiate',
+  validateInstantiateTemplate,
+  asyncHandler(async (req, res) => {
+    const { date, title } = req.body;
+
+    const workout = await instantiateTemplate(req.params.id, { date, title }, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Workout created from template successfully',
+      data: { workout },
+    });
+  }),
+);
+
+module.exports = router;
@@ -7,12 +7,74 @@
 const express = require('express');
 const registerUser = require('../useCases/auth/RegisterUser');
 const loginUser = require('../useCases/auth/LoginUser');
-const { validateRegister, validateLogin } = require('../middleware/validation');
-const { authRateLimiter } = require('../middleware/security');
+const completeTwoFactorLogin = require('../useCases/auth/CompleteTwoFactorLogin');
+const refreshAuthSession = require('../useCases/auth/RefreshAuthSession');
+const logoutUser = require('../useCases/auth/LogoutUser');
+const getAuthSessions = require('../useCases/auth/GetAuthSessions');
+const revokeAuthSession = require('../useCases/auth/RevokeAuthSession');
+const sendEmailVerification = require('../useCases/auth/SendEmailVerification');
+const verifyEmail = require('../useCases/auth/VerifyEmail');
+const requestPasswordReset = require('../useCases/auth/RequestPasswordReset');
+const resetPassword = require('../useCases/auth/ResetPassword');
+const confirmEmailChange = require('../useCases/auth/ConfirmEmailChange');
+const getCurrentUser = require('../useCases/account/GetCurrentUser');
+const updateProfile = require('../useCases/account/UpdateProfile');
+const changePassword = require('../useCases/account/ChangePassword');
+const requestEmailChange = require('../useCases/account/RequestEmailChange');
+const setupTwoFactor = require('../useCases/account/SetupTwoFactor');
+const enableTwoFactor = require('../useCases/account/EnableTwoFactor');
+const disableTwoFactor = require('../useCases/account/DisableTwoFactor');
+const regenerateRecoveryCodes = require('../useCases/account/RegenerateRecoveryCodes');
+const updateAvatar = require('../useCases/account/UpdateAvatar');
+const removeAvatar = require('../useCases/account/RemoveAvatar');
+const deleteAccount = require('../useCases/account/DeleteAccount');
+const restoreAccount = require('../useCases/account/RestoreAccount');
+const updateUserRoles = require('../useCases/account/UpdateUserRoles');
+const createApiKey = require('../useCases/account/CreateApiKey');
+const getApiKeys = require('../useCases/account/GetApiKeys');
+const revokeApiKey = require('../useCases/account/RevokeApiKey');
+const requestDataExport = require('../useCases/exports/RequestDataExport');
+const getDataExport = require('../useCases/exports/GetDataExport');
+const downloadDataExport = require('../useCases/exports/DownloadDataExport');
+const {
+  validateRegister,
+  validateLogin,
+  validateRestoreAccount,
+  validateDeleteAccount,
+  validateRefreshToken,
+  validateAccountToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangeEmail,
+  validateTwoFactorLogin,
+  validateTwoFactorSetup,
+  validateTwoFactorCode,
+  validateTwoFactorConfirm,
+  validateUpdateRoles,
+  validateCreateApiKey,
+  validateUpdateProfile,
+  validateChangePassword,
+  validateAvatarUpload,
+  validateExportDownload,
+  validateMongoId,
+} = require('../middleware/validation');
+const { authRateLimiter, emailRateLimiter } = require('../middleware/security');
+const { authMiddleware, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const { asyncHandler } = require('../utils/errors');
 
 const router = express.Router();
 
+/**
+ * Request details stored with a session, to tell devices apart
+ * @param {Request} req - Express request object
+ * @returns {Object} { userAgent, ip }
+ */
+const sessionContext = (req) => ({
+  userAgent: req.get('User-Agent') || '',
+  ip: req.ip,
+});
+
 /**
  * @route   POST /api/users/register
  * @desc    Register a new user
@@ -25,7 +87,7 @@ router.post(
   asyncHandler(async (req, res) => {
     const { username, email, password } = req.body;
 
-    const result = await registerUser({ username, email, password });
+    const result = await registerUser({ username, email, password }, sessionContext(req));
 
     res.status(201).json({
       status: 'success',
@@ -37,7 +99,8 @@ router.post(
 
 /**
  * @route   POST /api/users/login
- * @desc    Authenticate user and return JWT
+ * @desc    Authenticate user and return an access token and a refresh token,
+ *          or a challenge for /login/2fa when two-factor authentication is enabled
  * @access  Public
  */
 router.post(
@@ -47,7 +110,29 @@ router.post(
   asyncHandler(async (req, res) => {
     const { username, password } = req.body;
 
-    const result = await loginUser({ username, password });
+    const result = await loginUser({ username, password }, sessionContext(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: result.twoFactorRequired ? 'Authentication code required' : 'Login successful',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/login/2fa
+ * @desc    Complete a login with an authenticator code or a recovery code
+ * @access  Public (challenge token in the body)
+ */
+router.post(
+  '/login/2fa',
+  authRateLimiter,
+  validateTwoFactorLogin,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const result = await completeTwoFactorLogin(challengeToken, code, sessionContext(req));
 
     res.status(200).json({
       status: 'success',
@@ -57,5 +142,564 @@ router.post(
   }),
 );
 
+/**
+ * @route   POST /api/users/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (refresh token in the body)
+ */
+router.post(
+  '/refresh',
+  authRateLimiter,
+  validateRefreshToken,
+  asyncHandler(async (req, res) => {
+    const result = await refreshAuthSession(req.body.refreshToken, sessionContext(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session refreshed successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/logout
+ * @desc    End the session of a refresh token
+ * @access  Public (refresh token in the body)
+ */
+router.post(
+  '/logout',
+  validateRefreshToken,
+  asyncHandler(async (req, res) => {
+    await logoutUser(req.body.refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  emailRateLimiter,
+  validateForgotPassword,
+  asyncHandler(async (req, res) => {
+    await requestPasswordReset(req.body.email);
+
+    // Same response whether or not the address has an account
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account uses this email address, a reset link has been sent to it',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/reset-password
+ * @desc    Set a new password with a reset link token
+ * @access  Public (token from the emailed link)
+ */
+router.post(
+  '/reset-password',
+  authRateLimiter,
+  validateResetPassword,
+  asyncHandler(async (req, res) => {
+    await resetPassword(req.body.token, req.body.password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset successfully, please log in',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/verify-email
+ * @desc    Verify the email address with a verification link token
+ * @access  Public (token from the emailed link)
+ */
+router.post(
+  '/verify-email',
+  authRateLimiter,
+  validateAccountToken,
+  asyncHandler(async (req, res) => {
+    const result = await verifyEmail(req.body.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/confirm-email
+ * @desc    Switch to a new email address with a confirmation link token
+ * @access  Public (token from the emailed link)
+ */
+router.post(
+  '/confirm-email',
+  authRateLimiter,
+  validateAccountToken,
+  asyncHandler(async (req, res) => {
+    const result = await confirmEmailChange(req.body.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email changed successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/users/me
+ * @desc    Get the signed-in user's account and profile
+ * @access  Private
+ */
+router.get(
+  '/me',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await getCurrentUser(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User retrieved successfully',
+      data: { user },
+    });
+  }),
+);
+
+/**
+ * @route   PATCH /api/users/me
+ * @desc    Update profile fields (name, age, body weight, fitness goals, bio) and profile privacy
+ * @access  Private
+ */
+router.patch(
+  '/me',
+  authMiddleware,
+  validateUpdateProfile,
+  asyncHandler(async (req, res) => {
+    const user = await updateProfile(req.user.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Profile updated successfully',
+      data: { user },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/password
+ * @desc    Change the password after verifying the current one and sign out other devices
+ * @access  Private
+ */
+router.post(
+  '/me/password',
+  authMiddleware,
+  authRateLimiter,
+  validateChangePassword,
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    await changePassword(req.user.id, currentPassword, newPassword, req.user.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed successfully',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/verify-email
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post(
+  '/me/verify-email',
+  authMiddleware,
+  emailRateLimiter,
+  asyncHandler(async (req, res) => {
+    await sendEmailVerification(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/email
+ * @desc    Request an email change; the new address must be confirmed from the emailed link
+ * @access  Private
+ */
+router.post(
+  '/me/email',
+  authMiddleware,
+  emailRateLimiter,
+  validateChangeEmail,
+  asyncHandler(async (req, res) => {
+    const result = await requestEmailChange(req.user.id, req.body.password, req.body.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Confirmation email sent to the new address',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/2fa/setup
+ * @desc    Start two-factor enrollment; returns the secret and the otpauth URI for a QR code
+ * @access  Private
+ */
+router.post(
+  '/me/2fa/setup',
+  authMiddleware,
+  authRateLimiter,
+  validateTwoFactorSetup,
+  asyncHandler(async (req, res) => {
+    const result = await setupTwoFactor(req.user.id, req.body.password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the code with your authenticator app',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/2fa/enable
+ * @desc    Confirm enrollment with a code from the app and receive recovery codes
+ * @access  Private
+ */
+router.post(
+  '/me/2fa/enable',
+  authMiddleware,
+  authRateLimiter,
+  validateTwoFactorCode,
+  asyncHandler(async (req, res) => {
+    const result = await enableTwoFactor(req.user.id, req.body.code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/2fa/disable
+ * @desc    Disable two-factor authentication with the password and a code
+ * @access  Private
+ */
+router.post(
+  '/me/2fa/disable',
+  authMiddleware,
+  authRateLimiter,
+  validateTwoFactorConfirm,
+  asyncHandler(async (req, res) => {
+    await disableTwoFactor(req.user.id, req.body.password, req.body.code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled',
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/2fa/recovery-codes
+ * @desc    Replace the recovery codes with a new set
+ * @access  Private
+ */
+router.post(
+  '/me/2fa/recovery-codes',
+  authMiddleware,
+  authRateLimiter,
+  validateTwoFactorConfirm,
+  asyncHandler(async (req, res) => {
+    const result = await regenerateRecoveryCodes(req.user.id, req.body.password, req.body.code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Recovery codes regenerated',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/users/me/sessions
+ * @desc    List the devices signed in to the account
+ * @access  Private
+ */
+router.get(
+  '/me/sessions',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const sessions = await getAuthSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Sessions retrieved successfully',
+      data: { sessions },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/users/me/sessions/:id
+ * @desc    Sign a device out
+ * @access  Private
+ */
+router.delete(
+  '/me/sessions/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await revokeAuthSession(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully',
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/users/me/api-keys
+ * @desc    List the personal API keys of the account
+ * @access  Private
+ */
+router.get(
+  '/me/api-keys',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const result = await getApiKeys(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API keys retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/api-keys
+ * @desc    Create a personal API key; the key is only returned in this response
+ * @access  Private
+ */
+router.post(
+  '/me/api-keys',
+  authMiddleware,
+  validateCreateApiKey,
+  asyncHandler(async (req, res) => {
+    const result = await createApiKey(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/users/me/api-keys/:id
+ * @desc    Revoke a personal API key
+ * @access  Private
+ */
+router.delete(
+  '/me/api-keys/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    await revokeApiKey(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revoked successfully',
+    });
+  }),
+);
+
+/**
+ * @route   PUT /api/users/me/avatar
+ * @desc    Upload a profile picture (raw PNG, JPEG or WebP body, up to 2 MB)
+ * @access  Private
+ */
+router.put(
+  '/me/avatar',
+  authMiddleware,
+  express.raw({ type: ['image/png', 'image/jpeg', 'image/webp'], limit: '2mb' }),
+  validateAvatarUpload,
+  asyncHandler(async (req, res) => {
+    const user = await updateAvatar(req.user.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Avatar updated successfully',
+      data: { user },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/users/me/avatar
+ * @desc    Remove the profile picture
+ * @access  Private
+ */
+router.delete(
+  '/me/avatar',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await removeAvatar(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Avatar removed successfully',
+      data: { user },
+    });
+  }),
+);
+
+/**
+ * @route   DELETE /api/users/me
+ * @desc    Deactivate the account and schedule its deletion after the grace period
+ * @access  Private
+ */
+router.delete(
+  '/me',
+  authMiddleware,
+  validateDeleteAccount,
+  asyncHandler(async (req, res) => {
+    const result = await deleteAccount(req.user.id, req.body.password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account scheduled for deletion',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/restore
+ * @desc    Cancel a pending account deletion during the grace period
+ * @access  Public (account credentials)
+ */
+router.post(
+  '/me/restore',
+  authRateLimiter,
+  validateRestoreAccount,
+  asyncHandler(async (req, res) => {
+    const { username, password, code } = req.body;
+
+    const result = await restoreAccount({ username, password, code });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account restored successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/users/me/export
+ * @desc    Request a ZIP of the user's data; the download link works once the export is ready
+ * @access  Private
+ */
+router.post(
+  '/me/export',
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const { export: dataExport, token } = await requestDataExport(req.user.id);
+    const downloadUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/me/export/download?token=${token}`;
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Data export started',
+      data: { export: dataExport, downloadUrl },
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/users/me/export/download?token=<download token>
+ * @desc    Download a finished data export
+ * @access  Public (download token)
+ */
+router.get(
+  '/me/export/download',
+  validateExportDownload,
+  asyncHandler(async (req, res) => {
+    const { archive, filename } = await downloadDataExport(req.query.token);
+
+    res.set({
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    });
+    res.type('application/zip').status(200).send(archive);
+  }),
+);
+
+/**
+ * @route   GET /api/users/me/export/:id
+ * @desc    Get the status of a data export
+ * @access  Private
+ */
+router.get(
+  '/me/export/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const dataExport = await getDataExport(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Data export retrieved successfully',
+      data: { export: dataExport },
+    });
+  }),
+);
+
+/**
+ * @route   PUT /api/users/:id/roles
+ * @desc    Replace the roles of a user
+ * @access  Private (admin)
+ */
+router.put(
+  '/:id/roles',
+  authMiddleware,
+  authorize(PERMISSIONS.MANAGE_ROLES),
+  validateUpdateRoles,
+  asyncHandler(async (req, res) => {
+    const result = await updateUserRoles(req.user.id, req.params.id, req.body.roles);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Roles updated successfully',
+      data: result,
+    });
+  }),
+);
+
 module.exports = router;
 
@@ -10,14 +10,164 @@ const getUserWorkouts = require('../useCases/workouts/GetUserWorkouts');
 const updateWorkout = require('../useCases/workouts/UpdateWorkout');
 const deleteWorkout = require('../useCases/workouts/DeleteWorkout');
 const getWorkoutStats = require('../useCases/workouts/GetWorkoutStats');
-const { validateCreateWorkout, validateUpdateWorkout, validateMongoId } = require('../middleware/validation');
-const { authMiddleware } = require('../middleware/auth');
+const getPersonalRecords = require('../useCases/records/GetPersonalRecords');
+const getCalendarFeed = require('../useCases/calendar/GetCalendarFeed');
+const createCalendarToken = require('../useCases/calendar/CreateCalendarToken');
+const importCalendar = require('../useCases/calendar/ImportCalendar');
+const importActivity = require('../useCases/imports/ImportActivity');
+const importCsvWorkouts = require('../useCases/imports/ImportCsvWorkouts');
+const startSession = require('../useCases/sessions/StartSession');
+const pauseSession = require('../useCases/sessions/PauseSession');
+const logSessionSet = require('../useCases/sessions/LogSessionSet');
+const finishSession = require('../useCases/sessions/FinishSession');
+const getActiveSession = require('../useCases/sessions/GetActiveSession');
+const {
+  validateCreateWorkout,
+  validateUpdateWorkout,
+  validateRecordsQuery,
+  validateSessionSet,
+  validateCalendarFeed,
+  validateCalendarImport,
+  validateActivityImport,
+  validateCsvImport,
+  validateTargetUser,
+  validateMongoId,
+} = require('../middleware/validation');
+const { scopedAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../utils/errors');
 
 const router = express.Router();
 
-// All workout routes require authentication
-router.use(authMiddleware);
+/**
+ * @route   GET /api/workouts/calendar.ics?token=<calendar token>
+ * @desc    iCalendar feed of planned and completed workouts for calendar apps
+ * @access  Public (calendar token)
+ */
+router.get(
+  '/calendar.ics',
+  validateCalendarFeed,
+  asyncHandler(async (req, res) => {
+    const ics = await getCalendarFeed(req.query.token);
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8').status(200).send(ics);
+  }),
+);
+
+// All other workout routes require authentication; apps and API keys need the workouts scopes
+router.use(scopedAuth({ read: 'workouts:read', write: 'workouts:write' }));
+
+/**
+ * @route   POST /api/workouts/calendar/token
+ * @desc    Issue a new calendar feed token, revoking the previous one
+ * @access  Private
+ */
+router.post(
+  '/calendar/token',
+  asyncHandler(async (req, res) => {
+    const { token } = await createCalendarToken(req.user.id);
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${token}`;
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar feed token created successfully',
+      data: { token, feedUrl },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/calendar/import
+ * @desc    Import the events of an .ics file (text/calendar body) as planned workouts
+ * @access  Private
+ */
+router.post(
+  '/calendar/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  validateCalendarImport,
+  asyncHandler(async (req, res) => {
+    const result = await importCalendar(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar imported successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/import?title=&activityType=
+ * @desc    Import a recorded GPX, TCX or FIT activity (raw file body) as a completed workout
+ * @access  Private
+ */
+router.post(
+  '/import',
+  express.raw({
+    type: [
+      'application/gpx+xml',
+      'application/vnd.garmin.tcx+xml',
+      'application/vnd.ant.fit',
+      'application/xml',
+      'text/xml',
+      'application/octet-stream',
+    ],
+    limit: '15mb',
+  }),
+  validateActivityImport,
+  asyncHandler(async (req, res) => {
+    const result = await importActivity(req.body, req.user.id, {
+      title: req.query.title,
+      activityType: req.query.activityType,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Activity imported successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/import/csv/preview
+ * @desc    Preview a lifting-app CSV import: workouts found and how exercise names will be mapped
+ * @access  Private
+ */
+router.post(
+  '/import/csv/preview',
+  validateCsvImport,
+  asyncHandler(async (req, res) => {
+    const { csv, ...options } = req.body;
+    const preview = await importCsvWorkouts(csv, req.user.id, { ...options, dryRun: true });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'CSV import preview created successfully',
+      data: preview,
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/import/csv
+ * @desc    Import a lifting-app CSV export (Strong, Hevy, FitNotes...) as completed workouts
+ * @access  Private
+ */
+router.post(
+  '/import/csv',
+  validateCsvImport,
+  asyncHandler(async (req, res) => {
+    const { csv, ...options } = req.body;
+    const result = await importCsvWorkouts(csv, req.user.id, { ...options, dryRun: false });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'CSV workouts imported successfully',
+      data: result,
+    });
+  }),
+);
 
 /**
  * @route   POST /api/workouts
@@ -39,14 +189,15 @@ router.post(
 );
 
 /**
- * @route   GET /api/workouts
- * @desc    Get all workouts for the authenticated user
- * @access  Private
+ * @route   GET /api/workouts?userId=<client>
+ * @desc    Get all workouts for the authenticated user, or for a client of a coach
+ * @access  Private (userId: coaches granted workouts:read)
  */
 router.get(
   '/',
+  validateTargetUser,
   asyncHandler(async (req, res) => {
-    const { startDate, endDate, status, page, limit } = req.query;
+    const { startDate, endDate, status, page, limit, userId } = req.query;
 
     const result = await getUserWorkouts(req.user.id, {
       startDate,
@@ -54,6 +205,7 @@ router.get(
       status,
       page,
       limit,
+      targetUserId: userId,
     });
 
     res.status(200).json({
@@ -65,18 +217,20 @@ router.get(
 );
 
 /**
- * @route   GET /api/workouts/stats
- * @desc    Get aggregate workout stats
- * @access  Private
+ * @route   GET /api/workouts/stats?userId=<client>
+ * @desc    Get aggregate workout stats of the authenticated user, or of a client of a coach
+ * @access  Private (userId: coaches granted stats:read)
  */
 router.get(
   '/stats',
+  validateTargetUser,
   asyncHandler(async (req, res) => {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, userId } = req.query;
 
     const stats = await getWorkoutStats(req.user.id, {
       startDate,
       endDate,
+      targetUserId: userId,
     });
 
     res.status(200).json({
@@ -87,6 +241,121 @@ router.get(
   }),
 );
 
+/**
+ * @route   GET /api/workouts/records
+ * @desc    Get current personal records across all exercises
+ * @access  Private
+ */
+router.get(
+  '/records',
+  validateRecordsQuery,
+  asyncHandler(async (req, res) => {
+    const result = await getPersonalRecords(req.user.id, {
+      exerciseId: req.query.exerciseId,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Personal records retrieved successfully',
+      data: result,
+    });
+  }),
+);
+
+/**
+ * @route   GET /api/workouts/session/active
+ * @desc    Get the workout session in progress, if any
+ * @access  Private
+ */
+router.get(
+  '/session/active',
+  asyncHandler(async (req, res) => {
+    const workout = await getActiveSession(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: workout ? 'Active session retrieved successfully' : 'No active session',
+      data: { workout },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/:id/start
+ * @desc    Start a live session for a planned workout, or resume a paused one
+ * @access  Private
+ */
+router.post(
+  '/:id/start',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const workout = await startSession(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout session started successfully',
+      data: { workout },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/:id/sets
+ * @desc    Log a performed set in a live session
+ * @access  Private
+ */
+router.post(
+  '/:id/sets',
+  validateSessionSet,
+  asyncHandler(async (req, res) => {
+    const workout = await logSessionSet(req.params.id, req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Set logged successfully',
+      data: { workout },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/:id/pause
+ * @desc    Pause a live session
+ * @access  Private
+ */
+router.post(
+  '/:id/pause',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const workout = await pauseSession(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout session paused successfully',
+      data: { workout },
+    });
+  }),
+);
+
+/**
+ * @route   POST /api/workouts/:id/finish
+ * @desc    Finish a live session and mark the workout completed
+ * @access  Private
+ */
+router.post(
+  '/:id/finish',
+  validateMongoId('id'),
+  asyncHandler(async (req, res) => {
+    const workout = await finishSession(req.params.id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workout session finished successfully',
+      data: { workout },
+    });
+  }),
+);
+
 /**
  * @route   PUT /api/workouts/:id
  * @desc    Update a workout by ID
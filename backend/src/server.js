@@ -14,17 +14,26 @@ const { connectDB } = require('./database/connection');
 const {
   helmetConfig,
   rateLimiter,
+  apiKeyFailureLimiter,
   mongoSanitizeConfig,
   hppConfig,
   xssProtection,
 } = require('./middleware/security');
 const { globalErrorHandler, notFoundHandler } = require('./utils/errors');
+const { PRIVATE_PREFIX } = require('./utils/storage');
+const purgeDeletedAccounts = require('./useCases/account/PurgeDeletedAccounts');
+const purgeExpiredDataExports = require('./useCases/exports/PurgeExpiredDataExports');
 
 // Import routes
 const userRoutes = require('./routes/users');
 const workoutRoutes = require('./routes/workouts');
 const exerciseRoutes = require('./routes/exercises');
 const socialRoutes = require('./routes/social');
+const templateRoutes = require('./routes/templates');
+const programRoutes = require('./routes/programs');
+const scheduleRoutes = require('./routes/schedules');
+const coachingRoutes = require('./routes/coaching');
+const oauthRoutes = require('./routes/oauth');
 const healthRoutes = require('./routes/health');
 
 // Initialize Express app
@@ -65,9 +74,25 @@ if (config.env !== 'test') {
 
 // Rate limiting (applied to all routes except health checks)
 app.use(rateLimiter);
+app.use(apiKeyFailureLimiter);
 
 // ==================== ROUTES ====================
 
+// Uploaded files stored on local disk; names are unique, so they never change
+if (config.storage.driver === 'local') {
+  app.use(`/uploads/${PRIVATE_PREFIX}`, notFoundHandler);
+  app.use(
+    '/uploads',
+    express.static(config.storage.localDir, {
+      immutable: true,
+      maxAge: '365d',
+      index: false,
+      // Loaded as <img> by the frontend on another origin
+      setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+    }),
+  );
+}
+
 // Health check routes (no rate limiting)
 app.use('/health', healthRoutes);
 app.use('/api/health', healthRoutes);
@@ -77,12 +102,22 @@ app.use(`/api/${config.apiVersion}/users`, userRoutes);
 app.use(`/api/${config.apiVersion}/workouts`, workoutRoutes);
 app.use(`/api/${config.apiVersion}/exercises`, exerciseRoutes);
 app.use(`/api/${config.apiVersion}/social`, socialRoutes);
+app.use(`/api/${config.apiVersion}/templates`, templateRoutes);
+app.use(`/api/${config.apiVersion}/programs`, programRoutes);
+app.use(`/api/${config.apiVersion}/schedules`, scheduleRoutes);
+app.use(`/api/${config.apiVersion}/coaching`, coachingRoutes);
+app.use(`/api/${config.apiVersion}/oauth`, oauthRoutes);
 
 // Legacy route support (without version)
 app.use('/api/users', userRoutes);
 app.use('/api/workouts', workoutRoutes);
 app.use('/api/exercises', exerciseRoutes);
 app.use('/api/social', socialRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/programs', programRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/coaching', coachingRoutes);
+app.use('/api/oauth', oauthRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -118,9 +153,16 @@ const startServer = async () => {
       logger.info(`API available at http://localhost:${config.port}/api/${config.apiVersion}`);
     });
 
+    // Hard-delete accounts whose deletion grace period has ended, and expired export archives
+    const purgeTimer = setInterval(() => {
+      purgeDeletedAccounts().catch((err) => logger.error('Error purging deleted accounts:', err));
+      purgeExpiredDataExports().catch((err) => logger.error('Error purging data exports:', err));
+    }, config.accountDeletion.purgeIntervalMinutes * 60 * 1000);
+
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
+      clearInterval(purgeTimer);
 
       server.close(() => {
         logger.info('HTTP server closed');
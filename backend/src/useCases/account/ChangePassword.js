@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Change Password Use Case
+ * @description Clean Architecture: Use Case layer - Replaces an account password after verifying the current one
+ * @module useCases/account/ChangePassword
+ */
+
+const User = require('../../entities/User');
+const AuthSession = require('../../entities/AuthSession');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Change the password of the signed-in user
+ * Every other device is signed out, in case the old password was compromised.
+ * @param {string} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password (strength is checked by the route validation)
+ * @param {string} [currentSessionId] - Session making the request, which stays signed in
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {ForbiddenError} If the current password is wrong (not 401, which would end the session)
+ * @throws {BadRequestError} If the new password equals the current one
+ */
+const changePassword = async (userId, currentPassword, newPassword, currentSessionId) => {
+  try {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      throw new ForbiddenError('Current password is incorrect');
+    }
+    if (currentPassword === newPassword) {
+      throw new BadRequestError('New password must be different from the current password');
+    }
+
+    // Hashed by the pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    await AuthSession.revokeAllForUser(userId, 'password_change', currentSessionId);
+
+    logger.info('Password changed successfully', { userId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error changing password:', err);
+    throw new BadRequestError('Failed to change password');
+  }
+};
+
+module.exports = changePassword;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Create API Key Use Case
+ * @description Clean Architecture: Use Case layer - Issues a personal API key for the user's scripts
+ * @module useCases/account/CreateApiKey
+ */
+
+const ApiKey = require('../../entities/ApiKey');
+const { BadRequestError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Create a named, scoped API key
+ * Only its hash is stored, so the key is returned this once.
+ * @param {string} userId - User ID
+ * @param {Object} keyData - Key data { name, scopes }
+ * @returns {Promise<Object>} { apiKey, key }
+ * @throws {ConflictError} If the user already has the maximum number of keys
+ * @throws {BadRequestError} If validation fails
+ */
+const createApiKey = async (userId, { name, scopes }) => {
+  try {
+    const count = await ApiKey.countDocuments({ userId, revokedAt: null });
+    if (count >= ApiKey.MAX_KEYS_PER_USER) {
+      throw new ConflictError(
+        `You can have up to ${ApiKey.MAX_KEYS_PER_USER} API keys; revoke one you no longer use`,
+      );
+    }
+
+    const apiKey = new ApiKey({ userId, name, scopes });
+    const key = apiKey.generateKey();
+    await apiKey.save();
+
+    logger.info('API key created', { userId, apiKeyId: apiKey._id, scopes });
+
+    return { apiKey: apiKey.toJSON(), key };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(messages.join(', '));
+    }
+
+    logger.error('Error creating API key:', err);
+    throw new BadRequestError('Failed to create API key');
+  }
+};
+
+module.exports = createApiKey;
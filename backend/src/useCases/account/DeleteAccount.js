@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Delete Account Use Case
+ * @description Clean Architecture: Use Case layer - Deactivates an account and schedules its deletion
+ * @module useCases/account/DeleteAccount
+ */
+
+const config = require('../../config');
+const User = require('../../entities/User');
+const AuthSession = require('../../entities/AuthSession');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const ApiKey = require('../../entities/ApiKey');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Request deletion of the user's account
+ * The account is deactivated and signed out everywhere immediately; it and everything it owns
+ * are removed by PurgeDeletedAccounts once the grace period ends, unless it is restored first.
+ * @param {string} userId - User ID
+ * @param {string} password - Current password, confirming the request
+ * @returns {Promise<Object>} { deletionScheduledFor }
+ * @throws {NotFoundError} If user not found or already deactivated
+ * @throws {ForbiddenError} If the password is wrong (not 401, which would end the session)
+ */
+const deleteAccount = async (userId, password) => {
+  try {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ForbiddenError('Password is incorrect');
+    }
+
+    user.scheduleDeletion(config.accountDeletion.graceDays);
+    await user.save({ validateBeforeSave: false });
+    await AuthSession.revokeAllForUser(userId, 'account_deleted');
+    await OAuthGrant.revokeAll({ userId }, 'account_deleted');
+    await ApiKey.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+    logger.info('Account deletion scheduled', {
+      userId,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+
+    return { deletionScheduledFor: user.deletionScheduledFor };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error deleting account:', err);
+    throw new BadRequestError('Failed to delete account');
+  }
+};
+
+module.exports = deleteAccount;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Disable Two-Factor Use Case
+ * @description Clean Architecture: Use Case layer - Turns two-factor authentication off
+ * @module useCases/account/DisableTwoFactor
+ */
+
+const User = require('../../entities/User');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Disable two-factor authentication of the signed-in user
+ * Needs both factors, so a stolen session alone cannot weaken the account.
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {BadRequestError} If two-factor authentication is not enabled
+ * @throws {ForbiddenError} If the password or code is wrong (not 401, which would end the session)
+ */
+const disableTwoFactor = async (userId, password, code) => {
+  try {
+    const user = await User.findById(userId).select(`+password ${User.TWO_FACTOR_FIELDS}`);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+    if (!user.twoFactor.enabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ForbiddenError('Password is incorrect');
+    }
+    if (!user.verifyTwoFactorCode(code)) {
+      throw new ForbiddenError('Invalid authentication code');
+    }
+
+    user.disableTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor authentication disabled', { userId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error disabling two-factor authentication:', err);
+    throw new BadRequestError('Failed to disable two-factor authentication');
+  }
+};
+
+module.exports = disableTwoFactor;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Enable Two-Factor Use Case
+ * @description Clean Architecture: Use Case layer - Turns two-factor authentication on after a first valid code
+ * @module useCases/account/EnableTwoFactor
+ */
+
+const User = require('../../entities/User');
+const { NotFoundError, ConflictError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Finish two-factor enrollment
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app, proving it holds the secret
+ * @returns {Promise<Object>} { recoveryCodes } - shown once; only hashes are stored
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {ConflictError} If two-factor authentication is already enabled
+ * @throws {BadRequestError} If setup was not started or the code is wrong
+ */
+const enableTwoFactor = async (userId, code) => {
+  try {
+    const user = await User.findById(userId).select(User.TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.twoFactor.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new BadRequestError('Start the two-factor setup first');
+    }
+
+    const recoveryCodes = user.enableTwoFactor(code);
+    if (!recoveryCodes) {
+      throw new BadRequestError('Invalid authentication code');
+    }
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor authentication enabled', { userId });
+
+    return { recoveryCodes };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error enabling two-factor authentication:', err);
+    throw new BadRequestError('Failed to enable two-factor authentication');
+  }
+};
+
+module.exports = enableTwoFactor;
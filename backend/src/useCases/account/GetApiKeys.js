@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Get API Keys Use Case
+ * @description Clean Architecture: Use Case layer - Lists the user's personal API keys
+ * @module useCases/account/GetApiKeys
+ */
+
+const ApiKey = require('../../entities/ApiKey');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the user's active API keys
+ * Keys are identified by name and prefix; the keys themselves cannot be shown again.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { apiKeys }, newest first
+ */
+const getApiKeys = async (userId) => {
+  try {
+    const apiKeys = await ApiKey.findActiveByUser(userId);
+
+    return { apiKeys: apiKeys.map((apiKey) => apiKey.toJSON()) };
+  } catch (err) {
+    logger.error('Error getting API keys:', err);
+    throw new Error('Failed to retrieve API keys');
+  }
+};
+
+module.exports = getApiKeys;
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Get Current User Use Case
+ * @description Clean Architecture: Use Case layer - Retrieves the signed-in user's account
+ * @module useCases/account/GetCurrentUser
+ */
+
+const User = require('../../entities/User');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the account of the signed-in user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User without secrets
+ * @throws {NotFoundError} If user not found or deactivated
+ */
+const getCurrentUser = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    return user.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error getting current user:', err);
+    throw new BadRequestError('Failed to get user');
+  }
+};
+
+module.exports = getCurrentUser;
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Purge Deleted Accounts Use Case
+ * @description Clean Architecture: Use Case layer - Hard-deletes accounts whose deletion grace period has ended
+ * @module useCases/account/PurgeDeletedAccounts
+ */
+
+const User = require('../../entities/User');
+const Workout = require('../../entities/Workout');
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const PersonalRecord = require('../../entities/PersonalRecord');
+const Program = require('../../entities/Program');
+const ProgramEnrollment = require('../../entities/ProgramEnrollment');
+const Exercise = require('../../entities/Exercise');
+const Post = require('../../entities/Post');
+const Comment = require('../../entities/Comment');
+const Challenge = require('../../entities/Challenge');
+const Follow = require('../../entities/Follow');
+const Block = require('../../entities/Block');
+const AuthSession = require('../../entities/AuthSession');
+const AccountToken = require('../../entities/AccountToken');
+const ApiKey = require('../../entities/ApiKey');
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+const CoachingAccessLog = require('../../entities/CoachingAccessLog');
+const OAuthClient = require('../../entities/OAuthClient');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const deleteDataExports = require('../exports/DeleteDataExports');
+const { removeStoredFile } = require('../../utils/storage');
+const logger = require('../../utils/logger');
+
+/**
+ * Remove everything a user owns and their traces in other users' content
+ * The user document is deleted last, so an interrupted purge is picked up again by the next run.
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<void>}
+ */
+const deleteUserData = async (userId) => {
+  const [postIds, programIds, clientIds] = await Promise.all([
+    Post.find({ userId }).distinct('_id'),
+    Program.find({ userId }).distinct('_id'),
+    OAuthClient.find({ ownerId: userId }).distinct('_id'),
+  ]);
+
+  // Challenges other users have joined pass to their earliest other participant; the rest go below
+  await Challenge.updateMany(
+    { createdBy: userId, participants: { $elemMatch: { $ne: userId } } },
+    [{
+      $set: {
+        createdBy: {
+          $arrayElemAt: [
+            { $filter: { input: '$participants', cond: { $ne: ['$$this', userId] } } },
+            0,
+          ],
+        },
+      },
+    }],
+  );
+
+  await Promise.all([
+    Workout.deleteMany({ userId }),
+    WorkoutTemplate.deleteMany({ userId }),
+    WorkoutSeries.deleteMany({ userId }),
+    PersonalRecord.deleteMany({ userId }),
+    ProgramEnrollment.deleteMany({ userId }),
+    deleteDataExports({ userId }),
+    AuthSession.deleteMany({ userId }),
+    AccountToken.deleteMany({ userId }),
+    ApiKey.deleteMany({ userId }),
+    // Coaching on either side, with its audit trail
+    CoachingRelationship.deleteMany({ $or: [{ coachId: userId }, { clientId: userId }] }),
+    CoachingAccessLog.deleteMany({ $or: [{ coachId: userId }, { clientId: userId }] }),
+    Workout.updateMany({ assignedBy: userId }, { $set: { assignedBy: null } }),
+    // Apps the user connected, and apps the user registered with every user's grants
+    OAuthGrant.deleteMany({ $or: [{ userId }, { clientId: { $in: clientIds } }] }),
+    OAuthClient.deleteMany({ ownerId: userId }),
+    // Comments by the user, and other users' comments on the user's posts
+    Comment.deleteMany({ $or: [{ userId }, { postId: { $in: postIds } }] }),
+    Post.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    Challenge.updateMany({ participants: userId }, { $pull: { participants: userId } }),
+    Challenge.deleteMany({ createdBy: userId }),
+    Follow.deleteMany({ $or: [{ followerId: userId }, { followingId: userId }] }),
+    Block.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] }),
+    // Custom exercises stay in the library; other users' workouts may reference them
+    Exercise.updateMany({ createdBy: userId }, { $set: { createdBy: null } }),
+  ]);
+
+  // Other users' runs of the user's programs end, keeping the workouts already generated
+  await ProgramEnrollment.updateMany(
+    { programId: { $in: programIds }, status: 'active' },
+    { $set: { status: 'cancelled' } },
+  );
+  await Promise.all([
+    Post.deleteMany({ _id: { $in: postIds } }),
+    Program.deleteMany({ _id: { $in: programIds } }),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+};
+
+/**
+ * Hard-delete every account past its deletion grace period
+ * One failing account does not stop the others; it is retried on the next run.
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+const purgeDeletedAccounts = async () => {
+  const users = await User.findDueForDeletion().select('_id profile.avatar');
+
+  /**
+   * Purge one account
+   * @param {Object} user - User with avatar
+   * @returns {Promise<boolean>} True if the account was deleted
+   */
+  const purge = async (user) => {
+    try {
+      await deleteUserData(user._id);
+      await removeStoredFile(user.profile && user.profile.avatar);
+      logger.info('Deleted account purged', { userId: user._id });
+      return true;
+    } catch (err) {
+      logger.error(`Error purging deleted account ${user._id}:`, err);
+      return false;
+    }
+  };
+
+  // Sequential, to keep the load of a large backlog low
+  return users.reduce(
+    (previous, user) => previous.then(async (deleted) => deleted + ((await purge(user)) ? 1 : 0)),
+    Promise.resolve(0),
+  );
+};
+
+module.exports = purgeDeletedAccounts;
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Regenerate Recovery Codes Use Case
+ * @description Clean Architecture: Use Case layer - Replaces the two-factor recovery codes
+ * @module useCases/account/RegenerateRecoveryCodes
+ */
+
+const User = require('../../entities/User');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Issue a new set of recovery codes; the previous ones stop working
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<Object>} { recoveryCodes } - shown once; only hashes are stored
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {BadRequestError} If two-factor authentication is not enabled
+ * @throws {ForbiddenError} If the password or code is wrong (not 401, which would end the session)
+ */
+const regenerateRecoveryCodes = async (userId, password, code) => {
+  try {
+    const user = await User.findById(userId).select(`+password ${User.TWO_FACTOR_FIELDS}`);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+    if (!user.twoFactor.enabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ForbiddenError('Password is incorrect');
+    }
+    if (!user.verifyTwoFactorCode(code)) {
+      throw new ForbiddenError('Invalid authentication code');
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Recovery codes regenerated', { userId });
+
+    return { recoveryCodes };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error regenerating recovery codes:', err);
+    throw new BadRequestError('Failed to regenerate recovery codes');
+  }
+};
+
+module.exports = regenerateRecoveryCodes;
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Remove Avatar Use Case
+ * @description Clean Architecture: Use Case layer - Deletes a user's profile picture
+ * @module useCases/account/RemoveAvatar
+ */
+
+const User = require('../../entities/User');
+const { removeStoredFile } = require('../../utils/storage');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Remove the profile picture of the signed-in user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated user
+ * @throws {NotFoundError} If user not found or deactivated
+ */
+const removeAvatar = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const previous = user.profile.avatar;
+    user.profile.avatar = '';
+    await user.save({ validateBeforeSave: false });
+    await removeStoredFile(previous);
+
+    logger.info('Avatar removed successfully', { userId });
+
+    return user.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error removing avatar:', err);
+    throw new BadRequestError('Failed to remove avatar');
+  }
+};
+
+module.exports = removeAvatar;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Request Email Change Use Case
+ * @description Clean Architecture: Use Case layer - Emails a confirmation link to a new address
+ * @module useCases/account/RequestEmailChange
+ */
+
+const config = require('../../config');
+const User = require('../../entities/User');
+const AccountToken = require('../../entities/AccountToken');
+const { signAccountToken } = require('../../utils/authTokens');
+const { sendMail } = require('../../utils/mailer');
+const { emailChangeEmail } = require('../../utils/emails');
+const {
+  NotFoundError, ForbiddenError, BadRequestError, ConflictError,
+} = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Start changing the email address of the signed-in user
+ * The current address stays in use until the link sent to the new one is followed.
+ * @param {string} userId - User ID
+ * @param {string} password - Current password, confirming the request
+ * @param {string} newEmail - Requested address
+ * @returns {Promise<Object>} { pendingEmail }
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {ForbiddenError} If the password is wrong (not 401, which would end the session)
+ * @throws {BadRequestError} If the address is unchanged or the email cannot be sent
+ * @throws {ConflictError} If another account uses the address
+ */
+const requestEmailChange = async (userId, password, newEmail) => {
+  const email = newEmail.toLowerCase();
+
+  try {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ForbiddenError('Password is incorrect');
+    }
+    if (email === user.email) {
+      throw new BadRequestError('New email must be different from the current email');
+    }
+    if (await User.emailExists(email)) {
+      throw new ConflictError('Email already exists');
+    }
+
+    const accountToken = await AccountToken.issue(
+      user._id,
+      'email_change',
+      email,
+      config.accountTokens.emailChangeTtlHours * 60 * 60 * 1000,
+    );
+    await sendMail(emailChangeEmail(user, email, signAccountToken(accountToken)));
+
+    logger.info('Email change requested', { userId });
+
+    return { pendingEmail: email };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error requesting email change:', err);
+    throw new BadRequestError('Failed to send confirmation email');
+  }
+};
+
+module.exports = requestEmailChange;
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Restore Account Use Case
+ * @description Clean Architecture: Use Case layer - Withdraws a pending account deletion
+ * @module useCases/account/RestoreAccount
+ */
+
+const User = require('../../entities/User');
+const { UnauthorizedError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Reactivate an account during its deletion grace period
+ * Deactivated users cannot sign in, so the request is authenticated with their credentials,
+ * including the second factor when two-factor authentication is on.
+ * @param {Object} credentials - User credentials
+ * @param {string} credentials.username - Username or email
+ * @param {string} credentials.password - Password
+ * @param {string} [credentials.code] - Authenticator or recovery code, if two-factor is enabled
+ * @returns {Promise<Object>} Restored user
+ * @throws {UnauthorizedError} If the credentials are invalid or the account cannot be restored
+ */
+const restoreAccount = async (credentials) => {
+  const { username, password, code } = credentials;
+
+  try {
+    const user = await User.findByEmailOrUsername(username)
+      .select(`+password ${User.TWO_FACTOR_FIELDS}`);
+
+    if (!user || !(await user.comparePassword(password))) {
+      throw new UnauthorizedError('Invalid credentials');
+    }
+
+    if (!user.isRestorable()) {
+      throw new UnauthorizedError('Account has no pending deletion to cancel');
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      if (!code) {
+        throw new UnauthorizedError('Authentication code is required');
+      }
+      // Used up along with the restore when the user is saved
+      if (!user.verifyTwoFactorCode(code)) {
+        logger.warn('Invalid two-factor code on account restore', { userId: user._id });
+        throw new UnauthorizedError('Invalid authentication code');
+      }
+    }
+
+    user.cancelDeletion();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Account deletion cancelled', { userId: user._id });
+
+    return {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+      },
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error restoring account:', err);
+    throw new BadRequestError('Failed to restore account');
+  }
+};
+
+module.exports = restoreAccount;
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Revoke API Key Use Case
+ * @description Clean Architecture: Use Case layer - Disables one of the user's personal API keys
+ * @module useCases/account/RevokeApiKey
+ */
+
+const ApiKey = require('../../entities/ApiKey');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Revoke an API key; requests with it fail from now on
+ * @param {string} userId - User ID
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user has no active key with this ID
+ */
+const revokeApiKey = async (userId, apiKeyId) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: apiKeyId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    );
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+
+    logger.info('API key revoked', { userId, apiKeyId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error revoking API key:', err);
+    throw new BadRequestError('Failed to revoke API key');
+  }
+};
+
+module.exports = revokeApiKey;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Setup Two-Factor Use Case
+ * @description Clean Architecture: Use Case layer - Starts two-factor enrollment with a new authenticator secret
+ * @module useCases/account/SetupTwoFactor
+ */
+
+const config = require('../../config');
+const User = require('../../entities/User');
+const { otpauthUri } = require('../../utils/totp');
+const {
+  NotFoundError, ForbiddenError, ConflictError, BadRequestError,
+} = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Create an authenticator secret for the signed-in user
+ * Two-factor authentication stays off until EnableTwoFactor receives a code from the app.
+ * Starting again replaces an unfinished setup.
+ * @param {string} userId - User ID
+ * @param {string} password - Current password, confirming the request
+ * @returns {Promise<Object>} { secret, otpauthUri } - the URI is the QR code payload
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {ForbiddenError} If the password is wrong (not 401, which would end the session)
+ * @throws {ConflictError} If two-factor authentication is already enabled
+ */
+const setupTwoFactor = async (userId, password) => {
+  try {
+    const user = await User.findById(userId).select(`+password ${User.TWO_FACTOR_FIELDS}`);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new ForbiddenError('Password is incorrect');
+    }
+    if (user.twoFactor.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor setup started', { userId });
+
+    return {
+      secret,
+      otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: config.twoFactor.issuer }),
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error starting two-factor setup:', err);
+    throw new BadRequestError('Failed to start two-factor setup');
+  }
+};
+
+module.exports = setupTwoFactor;
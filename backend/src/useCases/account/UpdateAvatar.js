@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Update Avatar Use Case
+ * @description Clean Architecture: Use Case layer - Stores an uploaded profile picture
+ * @module useCases/account/UpdateAvatar
+ */
+
+const crypto = require('crypto');
+const User = require('../../entities/User');
+const { getStorage, removeStoredFile } = require('../../utils/storage');
+const { detectImageType } = require('../../utils/images');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Replace the profile picture of the signed-in user
+ * The image is stored under a new name so cached copies of the old one are never served in its
+ * place; the old file is deleted afterwards.
+ * @param {string} userId - User ID
+ * @param {Buffer} data - Image file contents
+ * @returns {Promise<Object>} Updated user
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {BadRequestError} If the file is not a PNG, JPEG or WebP image
+ */
+const updateAvatar = async (userId, data) => {
+  const type = detectImageType(data);
+  if (!type) {
+    throw new BadRequestError('Avatar must be a PNG, JPEG or WebP image');
+  }
+
+  try {
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const key = `avatars/${user._id}-${crypto.randomBytes(8).toString('hex')}.${type.extension}`;
+    const previous = user.profile.avatar;
+
+    user.profile.avatar = await getStorage().save(key, data, type.mimeType);
+    await user.save({ validateBeforeSave: false });
+    await removeStoredFile(previous);
+
+    logger.info('Avatar updated successfully', { userId });
+
+    return user.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error updating avatar:', err);
+    throw new BadRequestError('Failed to update avatar');
+  }
+};
+
+module.exports = updateAvatar;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Update Profile Use Case
+ * @description Clean Architecture: Use Case layer - Edits the profile fields of an account
+ * @module useCases/account/UpdateProfile
+ */
+
+const User = require('../../entities/User');
+const Follow = require('../../entities/Follow');
+const Post = require('../../entities/Post');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Profile fields users may edit; the avatar has its own endpoint
+ */
+const EDITABLE_FIELDS = ['name', 'age', 'bodyWeight', 'bodyWeightUnit', 'fitnessGoals', 'bio'];
+
+/**
+ * Update the profile of the signed-in user
+ * Only the fields present in `updates` change; null clears age and body weight.
+ * Making a followers-only or private account public accepts its pending follow requests.
+ * A new privacy setting is copied onto the user's posts, whose queries filter on it.
+ * @param {string} userId - User ID
+ * @param {Object} updates - Profile fields to change
+ * @param {Object} [updates.privacy] - Privacy settings, { profile: 'public'|'followers'|'private' }
+ * @returns {Promise<Object>} Updated user
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {BadRequestError} If a value is invalid
+ */
+const updateProfile = async (userId, updates) => {
+  try {
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (updates[field] !== undefined) {
+        user.profile[field] = updates[field];
+      }
+    });
+
+    const neededApproval = user.requiresFollowApproval();
+    if (updates.privacy && updates.privacy.profile !== undefined) {
+      user.privacy.profile = updates.privacy.profile;
+    }
+
+    const privacyChanged = user.isModified('privacy.profile');
+    await user.save();
+
+    if (privacyChanged) {
+      await Post.updateMany(
+        { userId: user._id },
+        { $set: { authorVisibility: user.privacy.profile } },
+      );
+    }
+
+    if (neededApproval && !user.requiresFollowApproval()) {
+      await Follow.updateMany(
+        { followingId: user._id, status: 'pending' },
+        { $set: { status: 'accepted', acceptedAt: new Date() } },
+      );
+    }
+
+    logger.info('Profile updated successfully', { userId });
+
+    return user.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error updating profile:', err);
+    throw new BadRequestError('Failed to update profile');
+  }
+};
+
+module.exports = updateProfile;
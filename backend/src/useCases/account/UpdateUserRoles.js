@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Update User Roles Use Case
+ * @description Clean Architecture: Use Case layer - Grants and revokes roles of an account
+ * @module useCases/account/UpdateUserRoles
+ */
+
+const User = require('../../entities/User');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Replace the roles of a user
+ * The 'user' role is always kept. The new roles reach the user's access token at its next
+ * refresh.
+ * @param {string} adminId - ID of the admin making the change
+ * @param {string} userId - ID of the user to update
+ * @param {Array<string>} roles - New roles
+ * @returns {Promise<Object>} { user } with id, username and roles
+ * @throws {NotFoundError} If user not found
+ * @throws {BadRequestError} If admins would remove their own admin role
+ */
+const updateUserRoles = async (adminId, userId, roles) => {
+  try {
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+
+    const nextRoles = [...new Set(['user', ...roles])];
+
+    // Keeps at least the acting admin able to manage roles
+    if (String(user._id) === String(adminId) && !nextRoles.includes('admin')) {
+      throw new BadRequestError('You cannot remove your own admin role');
+    }
+
+    const previousRoles = [...user.roles];
+    user.roles = nextRoles;
+    await user.save();
+
+    logger.info('User roles updated', {
+      adminId,
+      userId,
+      previousRoles,
+      roles: nextRoles,
+    });
+
+    return {
+      user: {
+        id: user._id,
+        username: user.username,
+        roles: user.roles,
+      },
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error updating user roles:', err);
+    throw new BadRequestError('Failed to update user roles');
+  }
+};
+
+module.exports = updateUserRoles;
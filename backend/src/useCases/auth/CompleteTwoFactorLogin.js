@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Complete Two-Factor Login Use Case
+ * @description Clean Architecture: Use Case layer - Second login step, checking an authenticator or recovery code
+ * @module useCases/auth/CompleteTwoFactorLogin
+ */
+
+const User = require('../../entities/User');
+const createAuthSession = require('./CreateAuthSession');
+const { verifyTwoFactorChallenge } = require('../../utils/authTokens');
+const { UnauthorizedError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Finish a login that requires a second factor
+ * @param {string} challengeToken - Challenge returned by the password step
+ * @param {string} code - Authenticator code or recovery code
+ * @param {Object} [context] - Request details { userAgent, ip }, to tell sessions apart
+ * @returns {Promise<Object>} User object with access and refresh tokens; recoveryCodesRemaining
+ * when a recovery code was used
+ * @throws {UnauthorizedError} If the challenge has expired or the code is wrong
+ */
+const completeTwoFactorLogin = async (challengeToken, code, context = {}) => {
+  try {
+    const claims = verifyTwoFactorChallenge(challengeToken);
+    if (!claims) {
+      throw new UnauthorizedError('Sign-in has expired, please log in again');
+    }
+
+    const user = await User.findById(claims.userId).select(User.TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      throw new UnauthorizedError('Sign-in has expired, please log in again');
+    }
+
+    const method = user.verifyTwoFactorCode(code);
+    if (!method) {
+      logger.warn('Invalid two-factor code', { userId: user._id, ip: context.ip });
+      throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    // Saves the used-up code along with the login time
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const { token, refreshToken } = await createAuthSession(user, context);
+
+    logger.info('User logged in successfully', {
+      userId: user._id,
+      username: user.username,
+      twoFactorMethod: method,
+    });
+
+    return {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        roles: user.roles,
+        profile: user.profile,
+        lastLogin: user.lastLogin,
+      },
+      token,
+      refreshToken,
+      ...(method === 'recovery' && {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
+      }),
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error completing two-factor login:', err);
+    throw new UnauthorizedError('Failed to authenticate user');
+  }
+};
+
+module.exports = completeTwoFactorLogin;
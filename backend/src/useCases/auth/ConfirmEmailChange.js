@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Confirm Email Change Use Case
+ * @description Clean Architecture: Use Case layer - Switches an account to a new address from an emailed link
+ * @module useCases/auth/ConfirmEmailChange
+ */
+
+const User = require('../../entities/User');
+const AccountToken = require('../../entities/AccountToken');
+const { verifyAccountToken } = require('../../utils/authTokens');
+const { sendMail } = require('../../utils/mailer');
+const { emailChangedNotice } = require('../../utils/emails');
+const { BadRequestError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Apply a requested email change
+ * The new address is verified by the link itself. The previous address is told about the change.
+ * @param {string} token - Token from the confirmation link
+ * @returns {Promise<Object>} { user }
+ * @throws {BadRequestError} If the link is invalid, used, replaced or expired
+ * @throws {ConflictError} If another account took the address meanwhile
+ */
+const confirmEmailChange = async (token) => {
+  try {
+    const claims = verifyAccountToken(token, 'email_change');
+    const accountToken = claims
+      && await AccountToken.consume(claims.tokenId, claims.userId, 'email_change');
+
+    if (!accountToken) {
+      throw new BadRequestError('Confirmation link is invalid or has expired');
+    }
+
+    const user = await User.findById(claims.userId);
+
+    if (!user || !user.isActive) {
+      throw new BadRequestError('Confirmation link is invalid or has expired');
+    }
+    if (await User.emailExists(accountToken.email)) {
+      throw new ConflictError('Email already exists');
+    }
+
+    const previousEmail = user.email;
+    user.email = accountToken.email;
+    user.markEmailVerified();
+    await user.save();
+
+    sendMail(emailChangedNotice(user, previousEmail, user.email)).catch((err) => {
+      logger.error('Error sending email change notice:', err);
+    });
+
+    logger.info('Email changed', { userId: user._id });
+
+    return {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle MongoDB duplicate key errors
+    if (err.code === 11000) {
+      throw new ConflictError('Email already exists');
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error confirming email change:', err);
+    throw new BadRequestError('Failed to change email');
+  }
+};
+
+module.exports = confirmEmailChange;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Create Auth Session Use Case
+ * @description Clean Architecture: Use Case layer - Starts a device session and issues its tokens
+ * @module useCases/auth/CreateAuthSession
+ */
+
+const AuthSession = require('../../entities/AuthSession');
+const { signAccessToken, signRefreshToken } = require('../../utils/authTokens');
+
+/**
+ * Start a session for a user who has just authenticated
+ * Errors propagate to the calling login or registration use case.
+ * @param {Object} user - Authenticated user document
+ * @param {Object} [context] - Request details
+ * @param {string} [context.userAgent] - User-Agent header, to tell devices apart
+ * @param {string} [context.ip] - Client IP address
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+const createAuthSession = async (user, context = {}) => {
+  const session = new AuthSession({ userId: user._id });
+  const { token: refreshToken, expiresAt } = signRefreshToken(user._id, session._id);
+
+  session.rotateToken(refreshToken, expiresAt, context);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+module.exports = createAuthSession;
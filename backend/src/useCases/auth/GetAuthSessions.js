@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Get Auth Sessions Use Case
+ * @description Clean Architecture: Use Case layer - Lists the devices signed in to an account
+ * @module useCases/auth/GetAuthSessions
+ */
+
+const AuthSession = require('../../entities/AuthSession');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the request, flagged as current
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+const getAuthSessions = async (userId, currentSessionId) => {
+  try {
+    const sessions = await AuthSession.findActiveByUser(userId);
+
+    return sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(currentSessionId),
+    }));
+  } catch (err) {
+    logger.error('Error fetching sessions:', err);
+    throw new BadRequestError('Failed to fetch sessions');
+  }
+};
+
+module.exports = getAuthSessions;
@@ -5,20 +5,25 @@
  */
 
 const User = require('../../entities/User');
-const jwt = require('jsonwebtoken');
-const config = require('../../config');
-const { UnauthorizedError } = require('../../utils/errors');
+const createAuthSession = require('./CreateAuthSession');
+const { signTwoFactorChallenge } = require('../../utils/authTokens');
+const { UnauthorizedError, ForbiddenError } = require('../../utils/errors');
 const logger = require('../../utils/logger');
 
 /**
  * Authenticate user and generate JWT token
+ * With two-factor authentication enabled, no session starts yet: the result is a challenge to
+ * complete with a code through CompleteTwoFactorLogin.
  * @param {Object} credentials - User credentials
  * @param {string} credentials.username - Username or email
  * @param {string} credentials.password - Password
- * @returns {Promise<Object>} User object with JWT token
+ * @param {Object} [context] - Request details { userAgent, ip }, to tell sessions apart
+ * @returns {Promise<Object>} User object with access and refresh tokens,
+ * or { twoFactorRequired, challengeToken }
  * @throws {UnauthorizedError} If credentials are invalid
+ * @throws {ForbiddenError} If the account is scheduled for deletion
  */
-const loginUser = async (credentials) => {
+const loginUser = async (credentials, context = {}) => {
   const { username, password } = credentials;
 
   try {
@@ -29,30 +34,33 @@ const loginUser = async (credentials) => {
       throw new UnauthorizedError('Invalid credentials');
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      throw new UnauthorizedError('Account is deactivated');
-    }
-
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       throw new UnauthorizedError('Invalid credentials');
     }
 
+    // Check if user is active (after the password, so only the owner learns the account state)
+    if (user.isRestorable()) {
+      throw new ForbiddenError(
+        `Account is scheduled for deletion on ${user.deletionScheduledFor.toISOString().slice(0, 10)}. `
+        + 'Restore it to sign in again.',
+      );
+    }
+    if (!user.isActive) {
+      throw new UnauthorizedError('Account is deactivated');
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      logger.info('Two-factor challenge issued', { userId: user._id });
+      return { twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user._id) };
+    }
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        username: user.username,
-        email: user.email,
-      },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn },
-    );
+    // Start a session for this device
+    const { token, refreshToken } = await createAuthSession(user, context);
 
     logger.info('User logged in successfully', {
       userId: user._id,
@@ -64,10 +72,13 @@ const loginUser = async (credentials) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
+        roles: user.roles,
         profile: user.profile,
         lastLogin: user.lastLogin,
       },
       token,
+      refreshToken,
     };
   } catch (err) {
     // Re-throw known errors
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Logout User Use Case
+ * @description Clean Architecture: Use Case layer - Ends the session a refresh token belongs to
+ * @module useCases/auth/LogoutUser
+ */
+
+const AuthSession = require('../../entities/AuthSession');
+const { verifyRefreshToken } = require('../../utils/authTokens');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Log out of the current device
+ * Succeeds for unknown, expired or already revoked tokens, so a client can always clear its
+ * state. Access tokens already issued stay valid until they expire.
+ * @param {string} refreshToken - Refresh token of the session to end
+ * @returns {Promise<void>}
+ */
+const logoutUser = async (refreshToken) => {
+  try {
+    const claims = verifyRefreshToken(refreshToken);
+    if (!claims) {
+      return;
+    }
+
+    const session = await AuthSession.findById(claims.sessionId).select('+tokenHash');
+
+    // Only the current token may end the session; a stale copy could belong to anyone
+    if (!session || !session.isCurrentToken(refreshToken) || session.revokedAt) {
+      return;
+    }
+
+    session.revoke('logout');
+    await session.save();
+
+    logger.info('User logged out', { userId: claims.userId, sessionId: session._id });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error logging out user:', err);
+    throw new BadRequestError('Failed to log out');
+  }
+};
+
+module.exports = logoutUser;
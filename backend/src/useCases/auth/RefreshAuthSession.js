@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Refresh Auth Session Use Case
+ * @description Clean Architecture: Use Case layer - Exchanges a refresh token for new tokens, detecting reuse
+ * @module useCases/auth/RefreshAuthSession
+ */
+
+const User = require('../../entities/User');
+const AuthSession = require('../../entities/AuthSession');
+const { signAccessToken, signRefreshToken, verifyRefreshToken } = require('../../utils/authTokens');
+const { UnauthorizedError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Rotate a refresh token
+ * A refresh token can be exchanged once. If a token that was already exchanged comes back, either
+ * the client or an attacker holds a stolen copy; the session is revoked so neither can continue.
+ * The token exchanged last is only refused during the grace period: browser tabs share one token,
+ * and a tab that refreshed alongside another picks up the pair that tab stored.
+ * @param {string} refreshToken - Refresh token issued at login or by the previous refresh
+ * @param {Object} [context] - Request details { userAgent, ip }
+ * @returns {Promise<Object>} { token, refreshToken }
+ * @throws {UnauthorizedError} If the token is invalid, expired, reused or the session has ended
+ */
+const refreshAuthSession = async (refreshToken, context = {}) => {
+  try {
+    const claims = verifyRefreshToken(refreshToken);
+    if (!claims) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    const session = await AuthSession.findById(claims.sessionId)
+      .select('+tokenHash +previousTokenHashes');
+
+    if (!session || String(session.userId) !== claims.userId || !session.isValid()) {
+      throw new UnauthorizedError('Session has ended, please log in again');
+    }
+
+    if (!session.isCurrentToken(refreshToken)) {
+      if (session.isJustRotatedToken(refreshToken)) {
+        throw new UnauthorizedError('Refresh token was already exchanged');
+      }
+      if (session.isRotatedToken(refreshToken)) {
+        session.revoke('reuse');
+        await session.save();
+
+        logger.warn('Refresh token reuse detected, session revoked', {
+          userId: claims.userId,
+          sessionId: session._id,
+          ip: context.ip,
+        });
+      }
+      throw new UnauthorizedError('Session has ended, please log in again');
+    }
+
+    const user = await User.findById(claims.userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('Account is deactivated');
+    }
+
+    const next = signRefreshToken(user._id, session._id);
+    session.rotateToken(next.token, next.expiresAt, context);
+    await session.save();
+
+    return { token: signAccessToken(user, session._id), refreshToken: next.token };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Another request rotated the same token first
+    if (err.name === 'VersionError') {
+      throw new UnauthorizedError('Session has ended, please log in again');
+    }
+
+    logger.error('Error refreshing session:', err);
+    throw new UnauthorizedError('Failed to refresh session');
+  }
+};
+
+module.exports = refreshAuthSession;
@@ -5,22 +5,24 @@
  */
 
 const User = require('../../entities/User');
-const jwt = require('jsonwebtoken');
-const config = require('../../config');
+const createAuthSession = require('./CreateAuthSession');
+const sendEmailVerification = require('./SendEmailVerification');
 const { ConflictError, BadRequestError } = require('../../utils/errors');
 const logger = require('../../utils/logger');
 
 /**
  * Register a new user
+ * A link to verify the email address is sent in the background.
  * @param {Object} userData - User registration data
  * @param {string} userData.username - Username
  * @param {string} userData.email - Email address
  * @param {string} userData.password - Password
- * @returns {Promise<Object>} User object with JWT token
+ * @param {Object} [context] - Request details { userAgent, ip }, to tell sessions apart
+ * @returns {Promise<Object>} User object with access and refresh tokens
  * @throws {ConflictError} If username or email already exists
  * @throws {BadRequestError} If validation fails
  */
-const registerUser = async (userData) => {
+const registerUser = async (userData, context = {}) => {
   const { username, email, password } = userData;
 
   try {
@@ -46,16 +48,11 @@ const registerUser = async (userData) => {
     // Save user (password will be hashed by pre-save hook)
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        username: user.username,
-        email: user.email,
-      },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn },
-    );
+    // Not awaited: a slow or failing mail server must not block sign-up, and the link can be resent
+    sendEmailVerification(user._id).catch(() => {});
+
+    // Start a session for this device
+    const { token, refreshToken } = await createAuthSession(user, context);
 
     logger.info('User registered successfully', {
       userId: user._id,
@@ -67,10 +64,13 @@ const registerUser = async (userData) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
+        roles: user.roles,
         profile: user.profile,
         createdAt: user.createdAt,
       },
       token,
+      refreshToken,
     };
   } catch (err) {
     // Re-throw known errors
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Request Password Reset Use Case
+ * @description Clean Architecture: Use Case layer - Emails a password reset link
+ * @module useCases/auth/RequestPasswordReset
+ */
+
+const config = require('../../config');
+const User = require('../../entities/User');
+const AccountToken = require('../../entities/AccountToken');
+const { signAccountToken } = require('../../utils/authTokens');
+const { sendMail } = require('../../utils/mailer');
+const { passwordResetEmail } = require('../../utils/emails');
+const logger = require('../../utils/logger');
+
+/**
+ * Send a password reset link to an account's email address
+ * Never fails for unknown addresses or delivery problems, so the response does not reveal
+ * which addresses have accounts.
+ * @param {string} email - Email address of the account
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  try {
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    const accountToken = await AccountToken.issue(
+      user._id,
+      'password_reset',
+      user.email,
+      config.accountTokens.passwordResetTtlMinutes * 60 * 1000,
+    );
+    await sendMail(passwordResetEmail(user, signAccountToken(accountToken)));
+
+    logger.info('Password reset email sent', { userId: user._id });
+  } catch (err) {
+    logger.error('Error requesting password reset:', err);
+  }
+};
+
+module.exports = requestPasswordReset;
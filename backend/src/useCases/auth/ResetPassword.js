@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Reset Password Use Case
+ * @description Clean Architecture: Use Case layer - Sets a new password from an emailed reset link
+ * @module useCases/auth/ResetPassword
+ */
+
+const User = require('../../entities/User');
+const AccountToken = require('../../entities/AccountToken');
+const AuthSession = require('../../entities/AuthSession');
+const { verifyAccountToken } = require('../../utils/authTokens');
+const { sendMail } = require('../../utils/mailer');
+const { passwordChangedNotice } = require('../../utils/emails');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Replace a forgotten password
+ * Every device is signed out. Since the link was emailed, the address also counts as verified.
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password (strength is checked by the route validation)
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the link is invalid, used, replaced or expired
+ */
+const resetPassword = async (token, newPassword) => {
+  try {
+    const claims = verifyAccountToken(token, 'password_reset');
+    const accountToken = claims
+      && await AccountToken.consume(claims.tokenId, claims.userId, 'password_reset');
+
+    if (!accountToken) {
+      throw new BadRequestError('Reset link is invalid or has expired');
+    }
+
+    const user = await User.findById(claims.userId);
+
+    if (!user || !user.isActive || user.email !== accountToken.email) {
+      throw new BadRequestError('Reset link is invalid or has expired');
+    }
+
+    // Hashed by the pre-save hook
+    user.password = newPassword;
+    if (!user.emailVerified) {
+      user.markEmailVerified();
+    }
+    await user.save();
+
+    await AuthSession.revokeAllForUser(user._id, 'password_change');
+
+    sendMail(passwordChangedNotice(user)).catch((err) => {
+      logger.error('Error sending password reset notice:', err);
+    });
+
+    logger.info('Password reset successfully', { userId: user._id });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error resetting password:', err);
+    throw new BadRequestError('Failed to reset password');
+  }
+};
+
+module.exports = resetPassword;
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Revoke Auth Session Use Case
+ * @description Clean Architecture: Use Case layer - Signs a single device out of an account
+ * @module useCases/auth/RevokeAuthSession
+ */
+
+const AuthSession = require('../../entities/AuthSession');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Revoke one of the user's sessions
+ * The device can no longer refresh; its current access token lapses within its short lifetime.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the session does not exist, belongs to someone else or has ended
+ */
+const revokeAuthSession = async (userId, sessionId) => {
+  try {
+    const session = await AuthSession.findOne({ _id: sessionId, userId, revokedAt: null });
+
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    session.revoke('revoked');
+    await session.save();
+
+    logger.info('Session revoked', { userId, sessionId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error revoking session:', err);
+    throw new BadRequestError('Failed to revoke session');
+  }
+};
+
+module.exports = revokeAuthSession;
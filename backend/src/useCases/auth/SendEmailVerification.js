@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Send Email Verification Use Case
+ * @description Clean Architecture: Use Case layer - Emails a link confirming the account's address
+ * @module useCases/auth/SendEmailVerification
+ */
+
+const config = require('../../config');
+const User = require('../../entities/User');
+const AccountToken = require('../../entities/AccountToken');
+const { signAccountToken } = require('../../utils/authTokens');
+const { sendMail } = require('../../utils/mailer');
+const { emailVerificationEmail } = require('../../utils/emails');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Send a verification link to the user's email address
+ * Earlier links stop working.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If user not found or deactivated
+ * @throws {BadRequestError} If the address is already verified or the email cannot be sent
+ */
+const sendEmailVerification = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.emailVerified) {
+      throw new BadRequestError('Email address is already verified');
+    }
+
+    const accountToken = await AccountToken.issue(
+      user._id,
+      'email_verification',
+      user.email,
+      config.accountTokens.emailVerificationTtlHours * 60 * 60 * 1000,
+    );
+    await sendMail(emailVerificationEmail(user, signAccountToken(accountToken)));
+
+    logger.info('Email verification sent', { userId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error sending email verification:', err);
+    throw new BadRequestError('Failed to send verification email');
+  }
+};
+
+module.exports = sendEmailVerification;
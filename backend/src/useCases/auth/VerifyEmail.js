@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Verify Email Use Case
+ * @description Clean Architecture: Use Case layer - Confirms an account's address from an emailed link
+ * @module useCases/auth/VerifyEmail
+ */
+
+const User = require('../../entities/User');
+const AccountToken = require('../../entities/AccountToken');
+const { verifyAccountToken } = require('../../utils/authTokens');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Mark the email address of a user as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} { user }
+ * @throws {BadRequestError} If the link is invalid, used, replaced or expired
+ */
+const verifyEmail = async (token) => {
+  try {
+    const claims = verifyAccountToken(token, 'email_verification');
+    const accountToken = claims
+      && await AccountToken.consume(claims.tokenId, claims.userId, 'email_verification');
+
+    if (!accountToken) {
+      throw new BadRequestError('Verification link is invalid or has expired');
+    }
+
+    const user = await User.findById(claims.userId);
+
+    // The address may have changed since the link was sent
+    if (!user || !user.isActive || user.email !== accountToken.email) {
+      throw new BadRequestError('Verification link is invalid or has expired');
+    }
+
+    if (!user.emailVerified) {
+      user.markEmailVerified();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    logger.info('Email verified', { userId: user._id });
+
+    return {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+      },
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error verifying email:', err);
+    throw new BadRequestError('Failed to verify email');
+  }
+};
+
+module.exports = verifyEmail;
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Create Calendar Token Use Case
+ * @description Clean Architecture: Use Case layer - Issues the secret token for a user's calendar feed
+ * @module useCases/calendar/CreateCalendarToken
+ */
+
+const User = require('../../entities/User');
+const { NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Issue a new calendar feed token, revoking the previous one
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { token }
+ * @throws {NotFoundError} If user not found
+ */
+const createCalendarToken = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive) {
+    throw new NotFoundError('User not found');
+  }
+
+  const token = user.generateCalendarToken();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Calendar feed token issued', { userId });
+
+  return { token };
+};
+
+module.exports = createCalendarToken;
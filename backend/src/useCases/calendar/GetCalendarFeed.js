@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Get Calendar Feed Use Case
+ * @description Clean Architecture: Use Case layer - Renders a user's workouts as an iCalendar feed
+ * @module useCases/calendar/GetCalendarFeed
+ */
+
+const User = require('../../entities/User');
+const Workout = require('../../entities/Workout');
+const { buildCalendar, EVENT_STATUSES } = require('../../utils/ical');
+const { UnauthorizedError } = require('../../utils/errors');
+
+/**
+ * How far back the feed reaches
+ */
+const FEED_HISTORY_DAYS = 365;
+
+/**
+ * Event length used when a workout has no duration
+ */
+const DEFAULT_EVENT_MINUTES = 60;
+
+/**
+ * Describe a workout for the event body
+ * @param {Object} workout - Workout with populated exercises
+ * @returns {string} Description text
+ */
+const describeWorkout = (workout) => {
+  const lines = [];
+  if (workout.description) {
+    lines.push(workout.description);
+  }
+
+  const exerciseLines = workout.exercises
+    .filter((entry) => entry.exercise)
+    .map((entry) => {
+      const sets = entry.sets.length > 0 ? ` (${entry.sets.length} sets)` : '';
+      return `- ${entry.exercise.name}${sets}`;
+    });
+  if (exerciseLines.length > 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push(...exerciseLines);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Build the iCalendar feed for the owner of a feed token
+ * @param {string} token - Calendar feed token
+ * @returns {Promise<string>} iCalendar text
+ * @throws {UnauthorizedError} If the token is unknown or revoked
+ */
+const getCalendarFeed = async (token) => {
+  const user = await User.findByCalendarToken(token);
+
+  if (!user) {
+    throw new UnauthorizedError('Invalid calendar token');
+  }
+
+  const workouts = await Workout.find({
+    userId: user._id,
+    status: { $in: ['planned', 'in-progress', 'completed'] },
+    date: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+  })
+    .populate('exercises.exercise', 'name')
+    .sort({ date: 1 })
+    .lean();
+
+  const events = workouts.map((workout) => ({
+    uid: `${workout._id}@fitness-tracker`,
+    summary: workout.title,
+    description: describeWorkout(workout),
+    start: workout.date,
+    end: new Date(workout.date.getTime() + (workout.duration || DEFAULT_EVENT_MINUTES) * 60 * 1000),
+    status: EVENT_STATUSES[workout.status],
+    lastModified: workout.updatedAt,
+  }));
+
+  return buildCalendar(events, { name: `${user.username}'s workouts` });
+};
+
+module.exports = getCalendarFeed;
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Import Calendar Use Case
+ * @description Clean Architecture: Use Case layer - Turns iCalendar events into planned workouts
+ * @module useCases/calendar/ImportCalendar
+ */
+
+const Workout = require('../../entities/Workout');
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const materializeSeries = require('../schedules/MaterializeSeries');
+const { parseCalendar } = require('../../utils/ical');
+const { parseRRule, formatRRule } = require('../../utils/rrule');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Upper bound on events accepted per import
+ */
+const MAX_IMPORT_EVENTS = 500;
+
+/**
+ * Title used when an event has no usable summary
+ */
+const DEFAULT_TITLE = 'Imported workout';
+
+/**
+ * Map a calendar event onto workout fields
+ * @param {Object} event - Parsed VEVENT
+ * @returns {Object} { title, description, duration }
+ */
+const toWorkoutFields = (event) => {
+  const summary = (event.summary || '').trim().slice(0, 100);
+
+  let duration = 0;
+  if (!event.isAllDay) {
+    if (event.end && event.end > event.start) {
+      duration = Math.round((event.end - event.start) / 60000);
+    } else if (event.durationMinutes) {
+      duration = event.durationMinutes;
+    }
+  }
+
+  return {
+    title: summary.length >= 3 ? summary : DEFAULT_TITLE,
+    description: (event.description || '').trim().slice(0, 500),
+    duration: Math.min(duration, 1440),
+  };
+};
+
+/**
+ * Import the events of an iCalendar file as planned workouts
+ * Recurring events become workout series when their RRULE is supported; otherwise only the
+ * first occurrence is imported. Cancelled events and UIDs imported before are skipped.
+ * @param {string} icsText - iCalendar file contents
+ * @param {string} userId - User ID importing the calendar
+ * @returns {Promise<Object>} { imported, seriesCreated, skipped, warnings }
+ * @throws {BadRequestError} If the file has no events or too many
+ */
+const importCalendar = async (icsText, userId) => {
+  const events = parseCalendar(icsText);
+
+  if (events.length === 0) {
+    throw new BadRequestError('No events found in calendar file');
+  }
+  if (events.length > MAX_IMPORT_EVENTS) {
+    throw new BadRequestError(`Calendar files can contain at most ${MAX_IMPORT_EVENTS} events`);
+  }
+
+  try {
+    const uids = events.map((event) => event.uid).filter(Boolean);
+    const [existingWorkouts, existingSeries] = await Promise.all([
+      Workout.find({ userId, icalUid: { $in: uids } }).select('icalUid').lean(),
+      WorkoutSeries.find({ userId, icalUid: { $in: uids }, isActive: true }).select('icalUid').lean(),
+    ]);
+    const seen = new Set([...existingWorkouts, ...existingSeries].map((doc) => doc.icalUid));
+
+    // Skip cancelled events and events imported before (including repeats within the file)
+    const pending = events.filter((event) => {
+      if (event.status === 'CANCELLED' || (event.uid && seen.has(event.uid))) {
+        return false;
+      }
+      if (event.uid) seen.add(event.uid);
+      return true;
+    });
+
+    const warnings = [];
+    const parsed = pending.map((event) => {
+      const fields = toWorkoutFields(event);
+      let rule = null;
+
+      if (event.rrule) {
+        try {
+          rule = parseRRule(event.rrule);
+        } catch (err) {
+          warnings.push(`"${fields.title}": ${err.message}; only the first occurrence was imported`);
+        }
+      }
+
+      return { event, fields, rule };
+    });
+
+    const recurring = parsed.filter(({ rule }) => rule);
+    // Series are saved one at a time so a failure leaves the rest of the calendar untouched
+    await recurring.reduce((previous, { event, fields, rule }) => previous.then(async () => {
+      const series = new WorkoutSeries({
+        ...fields,
+        rrule: formatRRule(rule),
+        dtstart: event.start,
+        tzid: event.tzid,
+        exdates: event.exdates,
+        icalUid: event.uid,
+        userId,
+      });
+      await series.save();
+      // Past occurrences of imported rules are history, not plans
+      await materializeSeries(series, { from: new Date() });
+    }), Promise.resolve());
+    const seriesCreated = recurring.length;
+
+    const workouts = parsed
+      .filter(({ rule }) => !rule)
+      .map(({ event, fields }) => ({
+        ...fields,
+        date: event.start,
+        status: 'planned',
+        icalUid: event.uid,
+        userId,
+      }));
+
+    const skipped = events.length - pending.length;
+
+    if (workouts.length > 0) {
+      await Workout.insertMany(workouts);
+    }
+
+    logger.info('Calendar imported successfully', {
+      userId,
+      imported: workouts.length,
+      seriesCreated,
+      skipped,
+    });
+
+    return {
+      imported: workouts.length,
+      seriesCreated,
+      skipped,
+      warnings,
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error importing calendar:', err);
+    throw new BadRequestError('Failed to import calendar');
+  }
+};
+
+module.exports = importCalendar;
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Assign Template Use Case
+ * @description Clean Architecture: Use Case layer - A coach schedules one of their templates for a client
+ * @module useCases/coaching/AssignTemplate
+ */
+
+const authorizeCoachAccess = require('./AuthorizeCoachAccess');
+const getTemplate = require('../templates/GetTemplate');
+const createWorkout = require('../workouts/CreateWorkout');
+
+/**
+ * Turn a template of the coach into a planned workout of the client
+ * @param {string} coachId - Coach user ID
+ * @param {string} clientId - Client user ID
+ * @param {string} templateId - Template ID, owned by the coach
+ * @param {Object} options - Instantiation options
+ * @param {Date} options.date - Date to schedule the workout on
+ * @param {string} options.title - Optional title override
+ * @returns {Promise<Object>} Created workout object
+ * @throws {NotFoundError} If template not found
+ * @throws {ForbiddenError} If the coach doesn't own the template or may not assign workouts
+ */
+const assignTemplate = async (coachId, clientId, templateId, { date, title }) => {
+  const template = await getTemplate(templateId, coachId);
+
+  await authorizeCoachAccess(coachId, clientId, 'workouts:assign', 'template:assign', {
+    templateId: template._id,
+    date,
+  });
+
+  return createWorkout(
+    {
+      title: title || template.title,
+      description: template.description,
+      exercises: template.toWorkoutExercises(),
+      duration: template.estimatedDuration,
+      date,
+      status: 'planned',
+      assignedBy: coachId,
+    },
+    clientId,
+  );
+};
+
+module.exports = assignTemplate;
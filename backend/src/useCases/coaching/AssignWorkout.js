@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Assign Workout Use Case
+ * @description Clean Architecture: Use Case layer - A coach plans a workout for a client
+ * @module useCases/coaching/AssignWorkout
+ */
+
+const authorizeCoachAccess = require('./AuthorizeCoachAccess');
+const createWorkout = require('../workouts/CreateWorkout');
+
+/**
+ * Add a planned workout to a client's schedule
+ * @param {string} coachId - Coach user ID
+ * @param {string} clientId - Client user ID
+ * @param {Object} workoutData - Workout data, as for CreateWorkout
+ * @returns {Promise<Object>} Created workout object
+ * @throws {ForbiddenError} If the coach may not assign workouts to the client
+ */
+const assignWorkout = async (coachId, clientId, workoutData) => {
+  await authorizeCoachAccess(coachId, clientId, 'workouts:assign', 'workout:assign', {
+    title: workoutData.title,
+    date: workoutData.date,
+  });
+
+  return createWorkout(
+    {
+      ...workoutData,
+      status: 'planned',
+      templateId: null,
+      assignedBy: coachId,
+      visibility: undefined, // Clients decide who sees their workouts
+    },
+    clientId,
+  );
+};
+
+module.exports = assignWorkout;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Authorize Coach Access Use Case
+ * @description Clean Architecture: Use Case layer - Checks and audits a coach's access to client data
+ * @module useCases/coaching/AuthorizeCoachAccess
+ */
+
+const User = require('../../entities/User');
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+const CoachingAccessLog = require('../../entities/CoachingAccessLog');
+const { PERMISSIONS } = require('../../utils/permissions');
+const { ForbiddenError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Allow a coach to act on a client's data, recording the access
+ * The coach must still hold the coach role and the client must have granted the scope. The
+ * audit entry is written before the caller touches any data; if it cannot be written, access
+ * is refused.
+ * @param {string} coachId - Coach user ID
+ * @param {string} clientId - Client user ID
+ * @param {string} scope - Required scope (see CoachingRelationship.SCOPES)
+ * @param {string} action - Audited action (see CoachingAccessLog.ACTIONS)
+ * @param {Object} [details] - Filters or IDs to record with the access
+ * @returns {Promise<Object>} Active relationship document
+ * @throws {ForbiddenError} If the coach has no such grant
+ */
+const authorizeCoachAccess = async (coachId, clientId, scope, action, details = {}) => {
+  const [relationship, coach, client] = await Promise.all([
+    CoachingRelationship.findOne({ coachId, clientId, status: 'active' }),
+    User.findById(coachId).select('roles isActive'),
+    User.findById(clientId).select('isActive'),
+  ]);
+
+  if (
+    !relationship
+    || !relationship.allows(scope)
+    || !coach || !coach.isActive || !coach.hasPermission(PERMISSIONS.COACH_CLIENTS)
+    || !client || !client.isActive
+  ) {
+    logger.warn('Coach access denied', {
+      coachId, clientId, scope, action,
+    });
+    throw new ForbiddenError('You do not have access to this user\'s data');
+  }
+
+  await CoachingAccessLog.create({
+    relationshipId: relationship._id,
+    coachId,
+    clientId,
+    action,
+    details: Object.fromEntries(
+      Object.entries(details).filter(([, value]) => value !== undefined),
+    ),
+  });
+
+  return relationship;
+};
+
+module.exports = authorizeCoachAccess;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview End Coaching Use Case
+ * @description Clean Architecture: Use Case layer - Ends a coaching relationship or withdraws an invitation
+ * @module useCases/coaching/EndCoaching
+ */
+
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * End a relationship; the coach loses access right away
+ * Either side can end an active relationship. A pending invitation can be withdrawn by the
+ * coach; clients decline it instead.
+ * @param {string} userId - Coach or client user ID
+ * @param {string} relationshipId - Relationship ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If no open relationship of the user has this ID
+ */
+const endCoaching = async (userId, relationshipId) => {
+  try {
+    const relationship = await CoachingRelationship.findOne({
+      _id: relationshipId,
+      $or: [
+        { coachId: userId, status: { $in: ['pending', 'active'] } },
+        { clientId: userId, status: 'active' },
+      ],
+    });
+
+    if (!relationship) {
+      throw new NotFoundError('Coaching relationship not found');
+    }
+
+    relationship.end(userId);
+    await relationship.save();
+
+    logger.info('Coaching relationship ended', { relationshipId, endedBy: userId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error ending coaching relationship:', err);
+    throw new BadRequestError('Failed to end coaching relationship');
+  }
+};
+
+module.exports = endCoaching;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Get Coaching Access Log Use Case
+ * @description Clean Architecture: Use Case layer - Shows clients when coaches accessed their data
+ * @module useCases/coaching/GetCoachingAccessLog
+ */
+
+const CoachingAccessLog = require('../../entities/CoachingAccessLog');
+
+/**
+ * Get the audit entries about a client, newest first
+ * @param {string} clientId - Client user ID
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Results per page
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+const getCoachingAccessLog = async (clientId, { page = 1, limit = 50 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    CoachingAccessLog.find({ clientId })
+      .populate('coachId', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit, 10)),
+    CoachingAccessLog.countDocuments({ clientId }),
+  ]);
+
+  return {
+    entries: entries.map((entry) => entry.toJSON()),
+    pagination: {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = getCoachingAccessLog;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Get Coaching Relationships Use Case
+ * @description Clean Architecture: Use Case layer - Lists a user's coaches, clients and invitations
+ * @module useCases/coaching/GetCoachingRelationships
+ */
+
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+
+/**
+ * Get the pending and active relationships of a user, from both sides
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { clients, coaches } - clients of the user as a coach, and the user's
+ * coaches; each relationship names the other user
+ */
+const getCoachingRelationships = async (userId) => {
+  const open = { status: { $in: ['pending', 'active'] } };
+
+  const [clients, coaches] = await Promise.all([
+    CoachingRelationship.find({ coachId: userId, ...open })
+      .populate('clientId', 'username profile.name profile.avatar')
+      .sort({ createdAt: -1 }),
+    CoachingRelationship.find({ clientId: userId, ...open })
+      .populate('coachId', 'username profile.name profile.avatar')
+      .sort({ createdAt: -1 }),
+  ]);
+
+  return {
+    clients: clients.map((relationship) => relationship.toJSON()),
+    coaches: coaches.map((relationship) => relationship.toJSON()),
+  };
+};
+
+module.exports = getCoachingRelationships;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Invite Client Use Case
+ * @description Clean Architecture: Use Case layer - A coach invites a user to become their client
+ * @module useCases/coaching/InviteClient
+ */
+
+const User = require('../../entities/User');
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+const { sendMail } = require('../../utils/mailer');
+const { coachingInvitationEmail } = require('../../utils/emails');
+const { PERMISSIONS } = require('../../utils/permissions');
+const {
+  NotFoundError, ForbiddenError, BadRequestError, ConflictError,
+} = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Invite a user to be coached
+ * The client is emailed and nothing is shared until they accept.
+ * @param {string} coachId - Coach user ID
+ * @param {Object} invitation - Invitation details
+ * @param {string} invitation.client - Username or email of the client
+ * @param {Array<string>} [invitation.scopes] - Requested scopes (all by default)
+ * @param {string} [invitation.message] - Note for the client
+ * @returns {Promise<Object>} Created relationship
+ * @throws {ForbiddenError} If the user does not hold the coach role
+ * @throws {NotFoundError} If the client does not exist
+ * @throws {BadRequestError} If coaches invite themselves
+ * @throws {ConflictError} If an invitation is pending or the client is already coached
+ */
+const inviteClient = async (coachId, { client, scopes, message }) => {
+  try {
+    const coach = await User.findById(coachId);
+    if (!coach || !coach.isActive || !coach.hasPermission(PERMISSIONS.COACH_CLIENTS)) {
+      throw new ForbiddenError('Only coaches can invite clients');
+    }
+
+    const clientUser = await User.findByEmailOrUsername(client);
+    if (!clientUser || !clientUser.isActive) {
+      throw new NotFoundError('User not found');
+    }
+    if (clientUser._id.equals(coach._id)) {
+      throw new BadRequestError('You cannot coach yourself');
+    }
+
+    const existing = await CoachingRelationship.findOpen(coach._id, clientUser._id);
+    if (existing) {
+      throw new ConflictError(existing.status === 'active'
+        ? 'You already coach this user'
+        : 'An invitation to this user is already pending');
+    }
+
+    const relationship = await CoachingRelationship.create({
+      coachId: coach._id,
+      clientId: clientUser._id,
+      ...(scopes && { scopes: [...new Set(scopes)] }),
+      message: message || '',
+    });
+
+    sendMail(coachingInvitationEmail(clientUser, coach, relationship.message)).catch((err) => {
+      logger.error('Error sending coaching invitation:', err);
+    });
+
+    logger.info('Coaching invitation sent', {
+      relationshipId: relationship._id,
+      coachId,
+      clientId: clientUser._id,
+    });
+
+    return {
+      ...relationship.toJSON(),
+      client: { id: clientUser._id, username: clientUser.username },
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error inviting client:', err);
+    throw new BadRequestError('Failed to send coaching invitation');
+  }
+};
+
+module.exports = inviteClient;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Respond To Invitation Use Case
+ * @description Clean Architecture: Use Case layer - A client accepts or declines a coaching invitation
+ * @module useCases/coaching/RespondToInvitation
+ */
+
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Accept or decline a pending coaching invitation
+ * @param {string} clientId - Invited user ID
+ * @param {string} relationshipId - Relationship ID
+ * @param {Object} response - Answer
+ * @param {boolean} response.accept - True to accept, false to decline
+ * @param {Array<string>} [response.scopes] - Scopes to grant when accepting (all requested by default)
+ * @returns {Promise<Object>} Updated relationship
+ * @throws {NotFoundError} If there is no pending invitation for the user
+ * @throws {BadRequestError} If a scope was not requested
+ */
+const respondToInvitation = async (clientId, relationshipId, { accept, scopes }) => {
+  try {
+    const relationship = await CoachingRelationship.findOne({
+      _id: relationshipId,
+      clientId,
+      status: 'pending',
+    });
+
+    if (!relationship) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    if (!accept) {
+      relationship.decline();
+    } else if (!relationship.accept(scopes)) {
+      throw new BadRequestError('You can only grant the scopes the coach asked for');
+    }
+    await relationship.save();
+
+    logger.info(`Coaching invitation ${relationship.status === 'active' ? 'accepted' : 'declined'}`, {
+      relationshipId,
+      clientId,
+      scopes: relationship.scopes,
+    });
+
+    return relationship.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error responding to coaching invitation:', err);
+    throw new BadRequestError('Failed to respond to invitation');
+  }
+};
+
+module.exports = respondToInvitation;
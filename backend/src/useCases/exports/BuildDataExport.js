@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Build Data Export Use Case
+ * @description Clean Architecture: Use Case layer - Assembles the ZIP archive of a requested data export
+ * @module useCases/exports/BuildDataExport
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const DataExport = require('../../entities/DataExport');
+const User = require('../../entities/User');
+const Workout = require('../../entities/Workout');
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const PersonalRecord = require('../../entities/PersonalRecord');
+const Program = require('../../entities/Program');
+const ProgramEnrollment = require('../../entities/ProgramEnrollment');
+const Post = require('../../entities/Post');
+const Comment = require('../../entities/Comment');
+const Challenge = require('../../entities/Challenge');
+const Follow = require('../../entities/Follow');
+const Block = require('../../entities/Block');
+const CoachingRelationship = require('../../entities/CoachingRelationship');
+const CoachingAccessLog = require('../../entities/CoachingAccessLog');
+const Exercise = require('../../entities/Exercise');
+const ApiKey = require('../../entities/ApiKey');
+const OAuthClient = require('../../entities/OAuthClient');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const { buildExportEntries } = require('../../utils/accountExport');
+const { createZip } = require('../../utils/zip');
+const { getStorage, PRIVATE_PREFIX } = require('../../utils/storage');
+const logger = require('../../utils/logger');
+
+/**
+ * Load everything exported for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { user, workouts, templates, schedules, personalRecords, programs,
+ *   programEnrollments, posts, comments, challenges, follows, blocks, coaching, coachingAccess,
+ *   exercises, apiKeys, oauthApps, oauthAuthorizations }
+ */
+const loadUserData = async (userId) => {
+  const [
+    user,
+    workouts,
+    templates,
+    schedules,
+    personalRecords,
+    programs,
+    programEnrollments,
+    posts,
+    comments,
+    challenges,
+    follows,
+    blocks,
+    coaching,
+    coachingAccess,
+    exercises,
+    apiKeys,
+    oauthApps,
+    oauthAuthorizations,
+  ] = await Promise.all([
+    User.findById(userId).lean(),
+    Workout.find({ userId })
+      .populate('exercises.exercise', 'name')
+      .sort({ date: 1 })
+      .lean(),
+    WorkoutTemplate.find({ userId })
+      .populate('exercises.exercise', 'name')
+      .sort({ createdAt: 1 })
+      .lean(),
+    WorkoutSeries.find({ userId })
+      .populate('exercises.exercise', 'name')
+      .sort({ dtstart: 1 })
+      .lean(),
+    PersonalRecord.find({ userId })
+      .populate('exerciseId', 'name')
+      .sort({ achievedAt: 1 })
+      .lean(),
+    Program.find({ userId }).sort({ createdAt: 1 }).lean(),
+    // Only the title of programs by other users
+    ProgramEnrollment.find({ userId })
+      .populate('programId', 'title')
+      .sort({ startDate: 1 })
+      .lean(),
+    Post.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Comment.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Challenge.find({ $or: [{ createdBy: userId }, { participants: userId }] })
+      .sort({ startDate: 1 })
+      .lean(),
+    Follow.find({ $or: [{ followerId: userId }, { followingId: userId }] })
+      .populate('followerId followingId', 'username')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Block.find({ blockerId: userId })
+      .populate('blockedId', 'username')
+      .sort({ createdAt: 1 })
+      .lean(),
+    CoachingRelationship.find({ $or: [{ coachId: userId }, { clientId: userId }] })
+      .populate('coachId clientId', 'username')
+      .sort({ createdAt: 1 })
+      .lean(),
+    CoachingAccessLog.find({ $or: [{ coachId: userId }, { clientId: userId }] })
+      .populate('coachId clientId', 'username')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Exercise.find({ createdBy: userId }).sort({ createdAt: 1 }).lean(),
+    ApiKey.find({ userId }).sort({ createdAt: 1 }).lean(),
+    OAuthClient.find({ ownerId: userId }).sort({ createdAt: 1 }).lean(),
+    // Only connected apps; codes that were never exchanged are left out
+    OAuthGrant.find({ userId, codeRedeemedAt: { $ne: null } })
+      .populate('clientId', 'clientId name')
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+
+  return {
+    user,
+    workouts,
+    templates,
+    schedules,
+    personalRecords,
+    programs,
+    programEnrollments,
+    posts,
+    comments,
+    challenges,
+    follows,
+    blocks,
+    coaching,
+    coachingAccess,
+    exercises,
+    apiKeys,
+    oauthApps,
+    oauthAuthorizations,
+  };
+};
+
+/**
+ * Build the archive of a pending data export
+ * Runs in the background after the export is requested, so failures are recorded on the export
+ * instead of being thrown. The download link expires a fixed time after the archive is ready.
+ * @param {string} exportId - Data export ID
+ * @returns {Promise<void>}
+ */
+const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { new: true },
+  );
+  if (!dataExport) {
+    return;
+  }
+
+  try {
+    const data = await loadUserData(dataExport.userId);
+    if (!data.user) {
+      throw new Error('User no longer exists');
+    }
+
+    const generatedAt = new Date();
+    const archive = createZip(buildExportEntries(data, generatedAt), { date: generatedAt });
+    const archiveKey = `${PRIVATE_PREFIX}/exports/${crypto.randomBytes(16).toString('hex')}.zip`;
+    await getStorage().save(archiveKey, archive, 'application/zip');
+
+    const completedAt = new Date();
+    await DataExport.updateOne({ _id: dataExport._id }, {
+      $set: {
+        status: 'ready',
+        archiveKey,
+        size: archive.length,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + config.dataExport.linkTtlHours * 3600 * 1000),
+      },
+    });
+
+    logger.info('Data export ready', {
+      exportId: dataExport._id,
+      userId: dataExport.userId,
+      size: archive.length,
+    });
+  } catch (err) {
+    logger.error('Error building data export:', err);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $set: { status: 'failed', error: 'The export could not be generated. Please try again later.' } },
+    ).catch((updateErr) => logger.error('Error recording failed data export:', updateErr));
+  }
+};
+
+module.exports = buildDataExport;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Delete Data Exports Use Case
+ * @description Clean Architecture: Use Case layer - Removes data exports together with their stored archives
+ * @module useCases/exports/DeleteDataExports
+ */
+
+const DataExport = require('../../entities/DataExport');
+const { getStorage } = require('../../utils/storage');
+const logger = require('../../utils/logger');
+
+/**
+ * Delete the data exports matching a filter and their archives
+ * An export whose archive can't be removed is kept, so the next run retries it.
+ * @param {Object} filter - MongoDB filter on data exports
+ * @returns {Promise<number>} Number of exports deleted
+ */
+const deleteDataExports = async (filter) => {
+  const exports = await DataExport.find(filter).select('+archiveKey').lean();
+  const storage = getStorage();
+
+  const removed = await Promise.all(exports.map(async (dataExport) => {
+    try {
+      if (dataExport.archiveKey) {
+        await storage.remove(dataExport.archiveKey);
+      }
+      return dataExport._id;
+    } catch (err) {
+      logger.error(`Error removing archive of data export ${dataExport._id}:`, err);
+      return null;
+    }
+  }));
+
+  const ids = removed.filter(Boolean);
+  if (ids.length > 0) {
+    await DataExport.deleteMany({ _id: { $in: ids } });
+  }
+  return ids.length;
+};
+
+module.exports = deleteDataExports;
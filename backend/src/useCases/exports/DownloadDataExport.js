@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Download Data Export Use Case
+ * @description Clean Architecture: Use Case layer - Serves the archive behind an export download link
+ * @module useCases/exports/DownloadDataExport
+ */
+
+const DataExport = require('../../entities/DataExport');
+const { getStorage } = require('../../utils/storage');
+const { NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the archive of a ready data export
+ * @param {string} token - Download token from the export link
+ * @returns {Promise<Object>} { archive, filename }
+ * @throws {NotFoundError} If the token is unknown, the export is not ready or the link has expired
+ */
+const downloadDataExport = async (token) => {
+  const dataExport = await DataExport.findByDownloadToken(token);
+
+  if (!dataExport) {
+    throw new NotFoundError('Export not ready, or the download link has expired');
+  }
+
+  const archive = await getStorage().load(dataExport.archiveKey);
+
+  logger.info('Data export downloaded', { exportId: dataExport._id, userId: dataExport.userId });
+
+  const day = dataExport.completedAt.toISOString().slice(0, 10);
+  return {
+    archive,
+    filename: `fitness-tracker-export-${day}.zip`,
+  };
+};
+
+module.exports = downloadDataExport;
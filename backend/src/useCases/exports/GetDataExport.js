@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Get Data Export Use Case
+ * @description Clean Architecture: Use Case layer - Reports the progress of a data export
+ * @module useCases/exports/GetDataExport
+ */
+
+const DataExport = require('../../entities/DataExport');
+const { NotFoundError } = require('../../utils/errors');
+
+/**
+ * Get a data export of the user
+ * @param {string} exportId - Data export ID
+ * @param {string} userId - User ID (for ownership check)
+ * @returns {Promise<Object>} Data export without its archive
+ * @throws {NotFoundError} If the export does not exist, belongs to someone else or has expired
+ */
+const getDataExport = async (exportId, userId) => {
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    userId,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!dataExport) {
+    throw new NotFoundError('Data export not found');
+  }
+
+  return dataExport.toJSON();
+};
+
+module.exports = getDataExport;
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Purge Expired Data Exports Use Case
+ * @description Clean Architecture: Use Case layer - Deletes data exports whose download link has expired
+ * @module useCases/exports/PurgeExpiredDataExports
+ */
+
+const deleteDataExports = require('./DeleteDataExports');
+const logger = require('../../utils/logger');
+
+/**
+ * Delete every expired data export and its archive
+ * @returns {Promise<number>} Number of exports deleted
+ */
+const purgeExpiredDataExports = async () => {
+  const deleted = await deleteDataExports({ expiresAt: { $lte: new Date() } });
+
+  if (deleted > 0) {
+    logger.info('Expired data exports purged', { deleted });
+  }
+  return deleted;
+};
+
+module.exports = purgeExpiredDataExports;
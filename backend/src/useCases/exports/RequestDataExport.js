@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Request Data Export Use Case
+ * @description Clean Architecture: Use Case layer - Starts generating a copy of a user's account data
+ * @module useCases/exports/RequestDataExport
+ */
+
+const config = require('../../config');
+const DataExport = require('../../entities/DataExport');
+const User = require('../../entities/User');
+const buildDataExport = require('./BuildDataExport');
+const { NotFoundError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Exports still running after this long are assumed lost (e.g. to a restart) and no longer block
+ * new requests
+ */
+const STALE_EXPORT_MINUTES = 15;
+
+/**
+ * Request a data export
+ * The archive is assembled in the background; the returned token makes up the download link,
+ * which works once the export is ready.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { export, token }
+ * @throws {NotFoundError} If user not found
+ * @throws {ConflictError} If an export is already being generated
+ */
+const requestDataExport = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive) {
+    throw new NotFoundError('User not found');
+  }
+
+  const inProgress = await DataExport.exists({
+    userId,
+    status: { $in: ['pending', 'processing'] },
+    createdAt: { $gt: new Date(Date.now() - STALE_EXPORT_MINUTES * 60 * 1000) },
+  });
+  if (inProgress) {
+    throw new ConflictError('A data export is already being generated');
+  }
+
+  const dataExport = new DataExport({
+    userId,
+    // Replaced by the link expiry once the archive is ready
+    expiresAt: new Date(Date.now() + config.dataExport.linkTtlHours * 3600 * 1000),
+  });
+  const token = dataExport.generateDownloadToken();
+  await dataExport.save();
+
+  setImmediate(() => {
+    buildDataExport(dataExport._id).catch((err) => logger.error('Error starting data export:', err));
+  });
+
+  logger.info('Data export requested', { exportId: dataExport._id, userId });
+
+  return { export: dataExport.toJSON(), token };
+};
+
+module.exports = requestDataExport;
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Import Activity Use Case
+ * @description Clean Architecture: Use Case layer - Turns recorded GPX/TCX/FIT activities into completed workouts
+ * @module useCases/imports/ImportActivity
+ */
+
+const Workout = require('../../entities/Workout');
+const Exercise = require('../../entities/Exercise');
+const estimateWorkoutCalories = require('../workouts/EstimateWorkoutCalories');
+const recalculatePersonalRecords = require('../records/RecalculatePersonalRecords');
+const { parseActivityFile } = require('../../utils/activityFiles');
+const { isFitFile, parseFitActivity } = require('../../utils/fit');
+const { LB_TO_KG } = require('../../utils/units');
+const { usableExercises } = require('../../utils/exerciseMatching');
+const { summarizeTrack, splitByDistance, simplifyTrack } = require('../../utils/track');
+const { BadRequestError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Split length for activities without recorded laps
+ */
+const AUTO_SPLIT_METERS = 1000;
+
+/**
+ * Longest activity accepted, matching the cardio moving-time limit
+ */
+const MAX_ACTIVITY_SECONDS = 86400;
+
+/**
+ * Round meters to kilometers with meter precision
+ * @param {number} meters - Distance in meters
+ * @returns {number} Kilometers
+ */
+const toKm = (meters) => Math.round(meters) / 1000;
+
+/**
+ * Build the lap splits of an activity
+ * Recorded laps are used as-is, preferring the device's lap totals; otherwise the track is
+ * split every kilometer.
+ * @param {Object} activity - Parsed activity
+ * @returns {Array<Object>} Splits { distance (km), movingTimeSeconds, elevationGain, avgHeartRate }
+ */
+const buildSplits = (activity) => {
+  if (activity.laps.length > 1) {
+    return activity.laps.map((lap) => {
+      const summary = summarizeTrack(lap.points);
+      return {
+        distance: toKm(lap.distanceMeters ?? summary.distanceMeters),
+        movingTimeSeconds: Math.round(lap.totalTimeSeconds ?? summary.movingTimeSeconds),
+        elevationGain: summary.elevationGain,
+        avgHeartRate: lap.avgHeartRate ?? summary.avgHeartRate,
+      };
+    });
+  }
+
+  const segments = splitByDistance(activity.points, AUTO_SPLIT_METERS);
+  // A single segment is the whole activity, not a split
+  if (segments.length < 2) {
+    return [];
+  }
+
+  return segments.map((segment) => {
+    const summary = summarizeTrack(segment);
+    return {
+      distance: toKm(summary.distanceMeters),
+      movingTimeSeconds: summary.movingTimeSeconds,
+      elevationGain: summary.elevationGain,
+      avgHeartRate: summary.avgHeartRate,
+    };
+  });
+};
+
+/**
+ * Build the cardio entry of an activity
+ * @param {Object} activity - Parsed activity
+ * @param {string} activityType - Activity type to record
+ * @returns {Object} Cardio entry
+ */
+const buildCardioEntry = (activity, activityType) => {
+  const { points, laps } = activity;
+  const summary = summarizeTrack(points);
+
+  // Device lap totals are more reliable than totals recomputed from samples
+  const lapDistances = laps.map((lap) => lap.distanceMeters).filter((meters) => meters !== null);
+  const lapTimes = laps.map((lap) => lap.totalTimeSeconds).filter((seconds) => seconds !== null);
+  const distanceMeters = lapDistances.length === laps.length && laps.length > 0
+    ? lapDistances.reduce((sum, meters) => sum + meters, 0)
+    : summary.distanceMeters;
+  const movingTimeSeconds = Math.min(
+    Math.round(lapTimes.length === laps.length && laps.length > 0
+      ? lapTimes.reduce((sum, seconds) => sum + seconds, 0)
+      : summary.movingTimeSeconds),
+    MAX_ACTIVITY_SECONDS,
+  );
+
+  return {
+    activityType,
+    distance: toKm(distanceMeters),
+    distanceUnit: 'km',
+    movingTimeSeconds,
+    elapsedTimeSeconds: summary.elapsedTimeSeconds,
+    elevationGain: summary.elevationGain,
+    avgHeartRate: summary.avgHeartRate,
+    maxHeartRate: summary.maxHeartRate,
+    splits: buildSplits(activity),
+    track: simplifyTrack(points),
+  };
+};
+
+/**
+ * Group strength sets into workout exercise entries
+ * FIT exercise categories are matched by name to active exercises of the global library or the
+ * user's own; sets without a match are left out and reported.
+ * @param {Array<Object>} sets - Parsed strength sets
+ * @param {string} userId - User ID importing the activity
+ * @returns {Promise<Object>} { exercises, warnings }
+ */
+const resolveStrengthSets = async (sets, userId) => {
+  if (sets.length === 0) {
+    return { exercises: [], warnings: [] };
+  }
+
+  const names = [...new Set(sets.map((set) => set.categoryName).filter(Boolean))];
+  const matches = await Promise.all(names.map((name) => Exercise.findOne({
+    name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+    ...usableExercises(userId),
+  }).select('_id name')));
+  const exerciseByName = names.reduce((acc, name, index) => {
+    if (matches[index]) acc[name] = matches[index]._id;
+    return acc;
+  }, {});
+
+  const entries = new Map();
+  const unmatched = {};
+  sets.forEach((set) => {
+    const exerciseId = exerciseByName[set.categoryName];
+    if (!exerciseId) {
+      const label = set.categoryName || 'Unknown exercise';
+      unmatched[label] = (unmatched[label] || 0) + 1;
+      return;
+    }
+
+    const key = exerciseId.toString();
+    if (!entries.has(key)) entries.set(key, { exercise: exerciseId, sets: [], notes: '' });
+    entries.get(key).sets.push({
+      reps: Math.min(set.reps, 1000),
+      // Keep the unit the device displayed
+      weight: Math.round((set.weightUnit === 'lb' ? set.weightKg / LB_TO_KG : set.weightKg) * 10) / 10,
+      weightUnit: set.weightUnit,
+      restSeconds: set.restSeconds !== null ? Math.min(set.restSeconds, 3600) : null,
+      type: 'working',
+      completedAt: set.completedAt,
+    });
+  });
+
+  return {
+    exercises: [...entries.values()].map((entry) => ({ ...entry, sets: entry.sets.slice(0, 50) })),
+    warnings: Object.entries(unmatched).map(([label, count]) => (
+      `Skipped ${count} set(s) of "${label}": no matching exercise in the library`
+    )),
+  };
+};
+
+/**
+ * Build a completed workout from a parsed activity
+ * The workout is not saved. A cardio entry is recorded when the file has a track, unless it only
+ * carries heart-rate samples for a strength session.
+ * @param {Object} activity - Parsed activity
+ * @param {Array<Object>} exercises - Strength exercise entries from resolveStrengthSets
+ * @param {string} userId - Workout owner
+ * @param {Object} [options] - Overrides { title, activityType }
+ * @returns {Object} Workout document
+ * @throws {BadRequestError} If the activity has no timed data or is too long
+ */
+const buildActivityWorkout = (activity, exercises, userId, options = {}) => {
+  const { points, sets } = activity;
+  const summary = summarizeTrack(points);
+  const activityType = options.activityType || activity.activityType;
+  const hasTrack = points.length >= 2
+    && Boolean(activityType)
+    && (summary.distanceMeters > 0 || sets.length === 0);
+
+  const setTimes = sets.map((set) => set.startedAt).filter(Boolean);
+  const startedAt = activity.startTime || (points[0] && points[0].time) || setTimes[0];
+  const finishedAt = points.length > 0 ? points[points.length - 1].time : setTimes[setTimes.length - 1];
+  if (!startedAt || (!hasTrack && exercises.length === 0)) {
+    throw new BadRequestError('Activity file contains no timed track points or strength sets');
+  }
+  if ((finishedAt - startedAt) / 1000 > MAX_ACTIVITY_SECONDS) {
+    throw new BadRequestError('Activities longer than 24 hours are not supported');
+  }
+
+  const cardio = hasTrack ? [buildCardioEntry(activity, activityType)] : [];
+  const durationSeconds = hasTrack ? cardio[0].movingTimeSeconds : (finishedAt - startedAt) / 1000;
+  const name = (options.title || activity.name || '').trim().slice(0, 100);
+
+  return new Workout({
+    title: name.length >= 3 ? name : `Imported ${activityType || 'workout'}`,
+    userId,
+    status: 'completed',
+    source: activity.format,
+    date: startedAt,
+    startedAt,
+    finishedAt,
+    duration: Math.min(Math.round(durationSeconds / 60), 1440),
+    exercises,
+    cardio,
+  });
+};
+
+/**
+ * Save a parsed activity as a completed workout
+ * Activities already imported (same format and start time) are rejected.
+ * @param {Object} activity - Parsed activity
+ * @param {string} userId - User ID importing the activity
+ * @param {Object} [options] - Overrides { title, activityType }
+ * @returns {Promise<Object>} { workout, warnings }
+ * @throws {ConflictError} If the activity was imported before
+ */
+const saveActivity = async (activity, userId, options = {}) => {
+  const { exercises, warnings } = await resolveStrengthSets(activity.sets, userId);
+  const workout = buildActivityWorkout(activity, exercises, userId, options);
+
+  const existing = await Workout.exists({
+    userId,
+    source: workout.source,
+    startedAt: workout.startedAt,
+  });
+  if (existing) {
+    throw new ConflictError('This activity has already been imported');
+  }
+
+  if (activity.calories !== null && activity.calories !== undefined) {
+    workout.caloriesBurned = Math.min(Math.round(activity.calories), 10000);
+    workout.caloriesSource = 'device';
+  } else {
+    await estimateWorkoutCalories(workout, userId);
+  }
+
+  await workout.save();
+
+  // Imported strength sets may set new personal records
+  if (workout.exercises.length > 0) {
+    await recalculatePersonalRecords(userId, Workout.getExerciseIds(workout.exercises));
+  }
+
+  return { workout, warnings };
+};
+
+/**
+ * Parse an uploaded activity file, detecting FIT by its header and GPX/TCX by the root element
+ * @param {Buffer|string} file - Uploaded file contents
+ * @returns {Object} Parsed activity
+ * @throws {Error} If the file cannot be read
+ */
+const parseUpload = (file) => {
+  if (isFitFile(file)) {
+    return parseFitActivity(file);
+  }
+  return parseActivityFile(Buffer.isBuffer(file) ? file.toString('utf8') : file);
+};
+
+/**
+ * Import a GPX, TCX or FIT file as a completed workout
+ * FIT strength sets become exercise entries when their category matches a library exercise.
+ * @param {Buffer|string} file - Uploaded file contents
+ * @param {string} userId - User ID importing the activity
+ * @param {Object} [options] - Import options
+ * @param {string} [options.title] - Workout title (defaults to the activity name)
+ * @param {string} [options.activityType] - Activity type (defaults to the file's sport)
+ * @returns {Promise<Object>} { workout, unsupportedMessages, warnings }
+ * @throws {BadRequestError} If the file cannot be read
+ * @throws {ConflictError} If the activity was imported before
+ */
+const importActivity = async (file, userId, options = {}) => {
+  let activity;
+  try {
+    activity = parseUpload(file);
+  } catch (err) {
+    throw new BadRequestError(`Could not read activity file: ${err.message}`);
+  }
+
+  try {
+    const { workout, warnings } = await saveActivity(activity, userId, options);
+
+    logger.info('Activity imported successfully', {
+      workoutId: workout._id,
+      userId,
+      format: activity.format,
+    });
+
+    await workout.populate('exercises.exercise', 'name muscleGroup difficulty');
+
+    return {
+      workout: workout.toJSON(),
+      unsupportedMessages: activity.unsupportedMessages,
+      warnings,
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error importing activity:', err);
+    throw new BadRequestError('Failed to import activity');
+  }
+};
+
+module.exports = importActivity;
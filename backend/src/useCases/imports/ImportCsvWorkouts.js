@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Import CSV Workouts Use Case
+ * @description Clean Architecture: Use Case layer - Turns lifting-app CSV exports into completed workouts
+ * @module useCases/imports/ImportCsvWorkouts
+ */
+
+const Workout = require('../../entities/Workout');
+const Exercise = require('../../entities/Exercise');
+const User = require('../../entities/User');
+const recalculatePersonalRecords = require('../records/RecalculatePersonalRecords');
+const { parseWorkoutCsv, groupWorkoutRows } = require('../../utils/workoutCsv');
+const {
+  findBestMatch,
+  inferExerciseDetails,
+  usableExercises,
+  isUsable,
+} = require('../../utils/exerciseMatching');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Upper bounds on a single import
+ */
+const MAX_IMPORT_ROWS = 50000;
+const MAX_IMPORT_WORKOUTS = 5000;
+
+/**
+ * Skipped rows listed in the response; the rest are only counted
+ */
+const MAX_REPORTED_SKIPS = 50;
+
+/**
+ * Workouts written per insert
+ */
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Mapping value that forces a new custom exercise
+ */
+const CREATE_NEW = 'new';
+
+/**
+ * Appended to a new exercise's name when the imported name is taken by an exercise the user
+ * can't use; names are unique across the library
+ */
+const IMPORTED_SUFFIX = ' (imported)';
+
+/**
+ * Name for an exercise created when the imported name is taken
+ * @param {string} name - Imported name
+ * @returns {string} Name with IMPORTED_SUFFIX, shortened to the 100-character limit
+ */
+const importedName = (name) => `${name.slice(0, 100 - IMPORTED_SUFFIX.length)}${IMPORTED_SUFFIX}`;
+
+/**
+ * Decide which library exercise each imported name maps to
+ * Explicit mappings from the preview win; other names are fuzzy-matched against the active global
+ * library and the user's own exercises, and marked for creation when nothing is close enough.
+ * @param {Array<Object>} workouts - Grouped workouts
+ * @param {Object} mappings - Exercise ID or 'new' keyed by imported name
+ * @param {string} userId - User ID importing the workouts
+ * @returns {Promise<Array<Object>>} { name, setCount, action, exercise, score } per name
+ * @throws {BadRequestError} If a mapping names an exercise the user can't use
+ */
+const resolveExercises = async (workouts, mappings, userId) => {
+  const setCounts = new Map();
+  workouts.forEach((workout) => workout.exercises.forEach((entry) => {
+    setCounts.set(entry.name, (setCounts.get(entry.name) || 0) + entry.sets.length);
+  }));
+
+  const mappedIds = Object.values(mappings).filter((value) => value !== CREATE_NEW);
+  const [library, mapped] = await Promise.all([
+    Exercise.find(usableExercises(userId)).select('name').lean(),
+    Exercise.find({ _id: { $in: mappedIds }, ...usableExercises(userId) }).select('name').lean(),
+  ]);
+  const mappedById = new Map(mapped.map((exercise) => [exercise._id.toString(), exercise]));
+
+  return [...setCounts.entries()].map(([name, setCount]) => {
+    const mapping = Object.prototype.hasOwnProperty.call(mappings, name) ? mappings[name] : null;
+
+    if (mapping === CREATE_NEW) {
+      return { name, setCount, action: 'create', exercise: null, score: null };
+    }
+    if (mapping) {
+      const exercise = mappedById.get(mapping);
+      if (!exercise) {
+        throw new BadRequestError(`Exercise mapped to "${name}" was not found`);
+      }
+      return { name, setCount, action: 'mapped', exercise, score: null };
+    }
+
+    const match = findBestMatch(name, library);
+    return match
+      ? { name, setCount, action: 'match', exercise: match.exercise, score: match.score }
+      : { name, setCount, action: 'create', exercise: null, score: null };
+  });
+};
+
+/**
+ * Create custom exercises for names without a library match
+ * An active global or own exercise of the same name is reused rather than duplicated. When the
+ * name is taken by a deactivated exercise or another user's, the new one gets IMPORTED_SUFFIX.
+ * @param {Array<Object>} resolved - Resolved names from resolveExercises (updated in place)
+ * @param {string} userId - User ID the exercises are created for
+ * @returns {Promise<Object>} { created, warnings }
+ */
+const createMissingExercises = async (resolved, userId) => {
+  const pending = resolved.filter((entry) => entry.action === 'create');
+  const warnings = [];
+  if (pending.length === 0) {
+    return { created: 0, warnings };
+  }
+
+  const names = pending.flatMap((entry) => [entry.name, importedName(entry.name)]);
+  const existing = await Exercise.find({ name: { $in: names } })
+    .select('name isActive createdBy')
+    .lean();
+  const existingByName = new Map(existing.map((exercise) => [exercise.name, exercise]));
+
+  const documents = [];
+  pending.forEach((entry) => {
+    const candidates = [entry.name, importedName(entry.name)];
+    const reusable = candidates
+      .map((name) => existingByName.get(name))
+      .find((exercise) => exercise && isUsable(exercise, userId));
+    const freeName = candidates.find((name) => !existingByName.has(name));
+
+    if (reusable) {
+      entry.exercise = reusable;
+    } else if (entry.name.length < 3) {
+      warnings.push(`Skipped ${entry.setCount} set(s) of "${entry.name}": exercise names need at least 3 characters`);
+    } else if (!freeName) {
+      warnings.push(`Skipped ${entry.setCount} set(s) of "${entry.name}": the name is taken by another exercise`);
+    } else {
+      const exercise = new Exercise({
+        name: freeName,
+        ...inferExerciseDetails(entry.name),
+        difficulty: 'Intermediate',
+        createdBy: userId,
+      });
+      entry.exercise = exercise;
+      documents.push(exercise);
+      existingByName.set(freeName, exercise);
+    }
+  });
+
+  if (documents.length > 0) {
+    await Exercise.insertMany(documents);
+  }
+
+  return { created: documents.length, warnings };
+};
+
+/**
+ * Build unsaved workout documents from grouped workouts
+ * @param {Array<Object>} workouts - Grouped workouts
+ * @param {Map<string, Object>} exerciseByName - Library exercise per imported name
+ * @param {string} userId - Workout owner
+ * @returns {Array<Object>} Workout documents
+ */
+const buildWorkouts = (workouts, exerciseByName, userId) => workouts
+  .map((workout) => new Workout({
+    title: workout.title,
+    userId,
+    status: 'completed',
+    source: 'csv',
+    date: workout.date,
+    duration: workout.durationMinutes || 0,
+    notes: workout.notes,
+    exercises: workout.exercises
+      .filter((entry) => exerciseByName.has(entry.name))
+      .map((entry) => ({
+        exercise: exerciseByName.get(entry.name)._id,
+        sets: entry.sets,
+        notes: entry.notes,
+      })),
+  }))
+  .filter((workout) => workout.exercises.length > 0);
+
+/**
+ * Estimate calories of timed workouts with one lookup of METs and body weight
+ * @param {Array<Object>} workouts - Workout documents (updated in place)
+ * @param {string} userId - Workout owner
+ * @returns {Promise<void>}
+ */
+const estimateCalories = async (workouts, userId) => {
+  const timed = workouts.filter((workout) => workout.duration > 0);
+  if (timed.length === 0) {
+    return;
+  }
+
+  const exerciseIds = [...new Set(timed.flatMap((workout) => (
+    Workout.getExerciseIds(workout.exercises)
+  )))];
+  const [exercises, user] = await Promise.all([
+    Exercise.find({ _id: { $in: exerciseIds } }).select('met difficulty'),
+    User.findById(userId).select('profile'),
+  ]);
+  const metByExercise = exercises.reduce((acc, exercise) => {
+    acc[exercise._id.toString()] = exercise.getMet();
+    return acc;
+  }, {});
+  const bodyWeightKg = user ? user.getBodyWeightKg() : null;
+
+  timed.forEach((workout) => {
+    workout.caloriesBurned = workout.calculateEstimatedCalories(metByExercise, bodyWeightKg);
+    workout.caloriesSource = 'met';
+  });
+};
+
+/**
+ * Summarize the date range of grouped workouts
+ * @param {Array<Object>} workouts - Grouped workouts, oldest first
+ * @returns {Object|null} { from, to }
+ */
+const dateRange = (workouts) => (workouts.length > 0
+  ? { from: workouts[0].date, to: workouts[workouts.length - 1].date }
+  : null);
+
+/**
+ * Import a lifting-app CSV export as completed workouts
+ * With `dryRun` nothing is saved and the result previews how exercise names will be mapped, so
+ * the caller can correct mappings before committing. Workouts imported before (same start time
+ * and title) are skipped.
+ * @param {string} csv - CSV file contents
+ * @param {string} userId - User ID importing the workouts
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dryRun] - Preview without saving
+ * @param {string} [options.weightUnit] - Unit of weights the file does not label (default 'kg')
+ * @param {string} [options.dateOrder] - 'mdy' or 'dmy' for slash and dot dates
+ * @param {number} [options.utcOffsetMinutes] - Time zone offset of dates without one
+ * @param {Object} [options.mappings] - Exercise ID, or 'new' to create one, keyed by imported name
+ * @returns {Promise<Object>} Preview { format, columns, workoutCount, duplicateCount, setCount,
+ * dateRange, exercises, skipped, skippedCount }, plus { imported, createdExercises, warnings }
+ * when committed
+ * @throws {BadRequestError} If the file cannot be read, has no sets or is too large
+ */
+const importCsvWorkouts = async (csv, userId, options = {}) => {
+  const { dryRun = false, mappings = {} } = options;
+
+  let parsed;
+  try {
+    parsed = parseWorkoutCsv(csv, options);
+  } catch (err) {
+    throw new BadRequestError(`Could not read CSV file: ${err.message}`);
+  }
+
+  if (parsed.rows.length === 0) {
+    throw new BadRequestError('No strength sets found in CSV file');
+  }
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`CSV files can contain at most ${MAX_IMPORT_ROWS} sets`);
+  }
+
+  const grouped = groupWorkoutRows(parsed.rows);
+  if (grouped.length > MAX_IMPORT_WORKOUTS) {
+    throw new BadRequestError(`CSV files can contain at most ${MAX_IMPORT_WORKOUTS} workouts`);
+  }
+
+  try {
+    const existing = await Workout.find({
+      userId,
+      source: 'csv',
+      date: { $in: grouped.map((workout) => workout.date) },
+    }).select('date title').lean();
+    const seen = new Set(existing.map((workout) => `${workout.date.toISOString()}|${workout.title}`));
+    const workouts = grouped.filter((workout) => (
+      !seen.has(`${workout.date.toISOString()}|${workout.title}`)
+    ));
+
+    const resolved = await resolveExercises(workouts, mappings, userId);
+
+    const preview = {
+      format: parsed.format,
+      columns: parsed.columns,
+      workoutCount: workouts.length,
+      duplicateCount: grouped.length - workouts.length,
+      setCount: workouts.reduce((sum, workout) => (
+        sum + workout.exercises.reduce((count, entry) => count + entry.sets.length, 0)
+      ), 0),
+      dateRange: dateRange(workouts),
+      exercises: resolved.map((entry) => ({
+        ...entry,
+        exercise: entry.exercise ? { _id: entry.exercise._id, name: entry.exercise.name } : null,
+      })),
+      skipped: parsed.skipped.slice(0, MAX_REPORTED_SKIPS),
+      skippedCount: parsed.skipped.length,
+    };
+
+    if (dryRun) {
+      return preview;
+    }
+
+    const { created, warnings } = await createMissingExercises(resolved, userId);
+    const exerciseByName = new Map(resolved
+      .filter((entry) => entry.exercise)
+      .map((entry) => [entry.name, entry.exercise]));
+
+    const truncatedSets = workouts.reduce((sum, workout) => sum + workout.truncatedSets, 0);
+    if (truncatedSets > 0) {
+      warnings.push(`Skipped ${truncatedSets} set(s) beyond the limit of 50 per exercise`);
+    }
+
+    const documents = buildWorkouts(workouts, exerciseByName, userId);
+    await estimateCalories(documents, userId);
+
+    // Validate everything before writing anything
+    await Promise.all(documents.map((workout) => workout.validate()));
+    const batches = Array.from(
+      { length: Math.ceil(documents.length / INSERT_BATCH_SIZE) },
+      (_, index) => documents.slice(index * INSERT_BATCH_SIZE, (index + 1) * INSERT_BATCH_SIZE),
+    );
+    await batches.reduce(
+      (previous, batch) => previous.then(() => Workout.insertMany(batch)),
+      Promise.resolve(),
+    );
+
+    if (documents.length > 0) {
+      const exerciseIds = [...new Set(documents.flatMap((workout) => (
+        Workout.getExerciseIds(workout.exercises)
+      )))];
+      // Imported history may hold personal records
+      await recalculatePersonalRecords(userId, exerciseIds);
+    }
+
+    logger.info('CSV workouts imported successfully', {
+      userId,
+      format: parsed.format,
+      imported: documents.length,
+      createdExercises: created,
+    });
+
+    return {
+      ...preview,
+      imported: documents.length,
+      createdExercises: created,
+      warnings,
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error importing CSV workouts:', err);
+    throw new BadRequestError('Failed to import CSV workouts');
+  }
+};
+
+module.exports = importCsvWorkouts;
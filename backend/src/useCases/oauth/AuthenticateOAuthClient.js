@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Authenticate OAuth Client Use Case
+ * @description Clean Architecture: Use Case layer - Identifies the app calling the token, introspection or revocation endpoint
+ * @module useCases/oauth/AuthenticateOAuthClient
+ */
+
+const OAuthClient = require('../../entities/OAuthClient');
+const { OAuthError } = require('../../utils/errors');
+
+/**
+ * Authenticate an app by its client credentials
+ * Confidential apps must present their secret. Public apps only name themselves; PKCE and
+ * possession of the token protect their requests.
+ * @param {Object} credentials - { clientId, clientSecret } from the body or HTTP Basic
+ * @returns {Promise<Object>} OAuthClient document
+ * @throws {OAuthError} invalid_client (401) if the app is unknown or the secret is wrong
+ */
+const authenticateOAuthClient = async ({ clientId, clientSecret } = {}) => {
+  const client = clientId
+    ? await OAuthClient.findOne({ clientId: String(clientId), isActive: true })
+      .select('+secretHash')
+    : null;
+
+  if (!client || (client.isConfidential && !client.verifySecret(clientSecret))) {
+    throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+  }
+
+  return client;
+};
+
+module.exports = authenticateOAuthClient;
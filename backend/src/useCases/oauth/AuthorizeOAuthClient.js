@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Authorize OAuth Client Use Case
+ * @description Clean Architecture: Use Case layer - Records the user's answer on the consent screen and issues the authorization code
+ * @module useCases/oauth/AuthorizeOAuthClient
+ */
+
+const config = require('../../config');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const prepareAuthorization = require('./PrepareAuthorization');
+const { withQuery } = require('../../utils/oauth');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Approve or deny an app's authorization request
+ * Approving creates a grant holding a short-lived, single-use code bound to the PKCE challenge.
+ * @param {string} userId - User ID
+ * @param {Object} params - Authorization request, as for prepareAuthorization
+ * @param {boolean} approved - Whether the user allowed access
+ * @returns {Promise<Object>} { redirectTo } taking the user back to the app
+ * @throws {BadRequestError} If the app or its redirect URI is unknown
+ */
+const authorizeOAuthClient = async (userId, params, approved) => {
+  try {
+    const request = await prepareAuthorization(params);
+    if (request.redirectTo) {
+      return { redirectTo: request.redirectTo };
+    }
+
+    if (!approved) {
+      return {
+        redirectTo: withQuery(request.redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied access',
+          state: params.state,
+        }),
+      };
+    }
+
+    const grant = new OAuthGrant({
+      clientId: request.client._id,
+      userId,
+      scopes: request.scopes,
+      codeChallenge: params.codeChallenge,
+      redirectUri: request.redirectUri,
+    });
+    const code = grant.issueCode(config.oauth.codeTtlMinutes);
+    await grant.save();
+
+    logger.info('OAuth app authorized', {
+      userId,
+      clientId: request.client.clientId,
+      scopes: request.scopes,
+    });
+
+    return { redirectTo: withQuery(request.redirectUri, { code, state: params.state }) };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error authorizing OAuth app:', err);
+    throw new BadRequestError('Failed to authorize app');
+  }
+};
+
+module.exports = authorizeOAuthClient;
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Delete OAuth Client Use Case
+ * @description Clean Architecture: Use Case layer - Removes an app and cuts off its access to every user
+ * @module useCases/oauth/DeleteOAuthClient
+ */
+
+const OAuthClient = require('../../entities/OAuthClient');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Delete an app owned by the user
+ * Its grants are revoked, so refresh tokens stop working and access tokens are rejected.
+ * @param {string} ownerId - User ID of the developer
+ * @param {string} id - App document ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user owns no app with this ID
+ */
+const deleteOAuthClient = async (ownerId, id) => {
+  try {
+    const client = await OAuthClient.findOne({ _id: id, ownerId });
+
+    if (!client) {
+      throw new NotFoundError('App not found');
+    }
+
+    await OAuthGrant.revokeAll({ clientId: client._id }, 'client_deleted');
+    await client.deleteOne();
+
+    logger.info('OAuth client deleted', { clientId: client.clientId, ownerId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error deleting OAuth client:', err);
+    throw new BadRequestError('Failed to delete app');
+  }
+};
+
+module.exports = deleteOAuthClient;
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Exchange OAuth Token Use Case
+ * @description Clean Architecture: Use Case layer - Token endpoint: trades authorization codes and refresh tokens for access tokens
+ * @module useCases/oauth/ExchangeOAuthToken
+ */
+
+const config = require('../../config');
+const User = require('../../entities/User');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const authenticateOAuthClient = require('./AuthenticateOAuthClient');
+const { signOAuthAccessToken } = require('../../utils/authTokens');
+const { OAuthError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Error for any code or refresh token that cannot be used, without saying why
+ * @returns {OAuthError} invalid_grant
+ */
+const invalidGrant = () => new OAuthError(
+  'invalid_grant',
+  'The grant is invalid, expired or revoked',
+);
+
+/**
+ * Rotate the refresh token and sign an access token for a grant
+ * @param {Object} grant - OAuthGrant document, with its token hashes selected
+ * @param {Object} client - OAuthClient document
+ * @returns {Promise<Object>} { accessToken, expiresIn, refreshToken, scopes }
+ */
+const issueTokens = async (grant, client) => {
+  const user = await User.findById(grant.userId).select('isActive');
+  if (!user || !user.isActive) {
+    throw invalidGrant();
+  }
+
+  const refreshTtl = config.oauth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+  const refreshToken = grant.rotateRefreshToken(new Date(Date.now() + refreshTtl));
+  await grant.save();
+
+  const access = signOAuthAccessToken(grant, client);
+
+  return {
+    accessToken: access.token,
+    expiresIn: Math.round((access.expiresAt.getTime() - Date.now()) / 1000),
+    refreshToken,
+    scopes: grant.scopes,
+  };
+};
+
+/**
+ * Revoke a grant whose code or refresh token came back after being exchanged
+ * Either the app or an attacker holds a stolen copy, so neither may continue.
+ * @param {Object} grant - OAuthGrant document
+ * @param {string} what - What was replayed, for the log
+ * @returns {Promise<void>}
+ */
+const revokeReplayedGrant = async (grant, what) => {
+  grant.revoke('reuse');
+  await grant.save();
+
+  logger.warn(`OAuth ${what} reuse detected, grant revoked`, {
+    grantId: grant._id,
+    userId: grant.userId,
+  });
+};
+
+/**
+ * Exchange an authorization code (RFC 6749 section 4.1.3, RFC 7636 section 4.5)
+ * @param {Object} client - Authenticated OAuthClient document
+ * @param {Object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} Tokens
+ */
+const exchangeCode = async (client, { code, redirectUri, codeVerifier }) => {
+  if (!code || !redirectUri || !codeVerifier) {
+    throw new OAuthError('invalid_request', 'code, redirect_uri and code_verifier are required');
+  }
+
+  const grant = await OAuthGrant.findByCode(String(code));
+  if (!grant || String(grant.clientId) !== String(client._id)) {
+    throw invalidGrant();
+  }
+
+  if (grant.codeRedeemedAt) {
+    await revokeReplayedGrant(grant, 'authorization code');
+    throw invalidGrant();
+  }
+
+  if (!grant.redeemCode({ redirectUri, codeVerifier })) {
+    throw invalidGrant();
+  }
+
+  return issueTokens(grant, client);
+};
+
+/**
+ * Exchange a refresh token (RFC 6749 section 6)
+ * Refresh tokens rotate: each can be used once, and reusing one revokes the grant.
+ * @param {Object} client - Authenticated OAuthClient document
+ * @param {Object} params - { refreshToken }
+ * @returns {Promise<Object>} Tokens
+ */
+const exchangeRefreshToken = async (client, { refreshToken }) => {
+  if (!refreshToken) {
+    throw new OAuthError('invalid_request', 'refresh_token is required');
+  }
+
+  const grant = await OAuthGrant.findByRefreshToken(String(refreshToken));
+  if (!grant || String(grant.clientId) !== String(client._id) || !grant.isValid()) {
+    throw invalidGrant();
+  }
+
+  if (!grant.isCurrentRefreshToken(refreshToken)) {
+    await revokeReplayedGrant(grant, 'refresh token');
+    throw invalidGrant();
+  }
+
+  return issueTokens(grant, client);
+};
+
+/**
+ * Handle a token request
+ * @param {Object} params - Request { grantType, code, redirectUri, codeVerifier, refreshToken }
+ * @param {Object} credentials - Client credentials { clientId, clientSecret }
+ * @returns {Promise<Object>} { accessToken, expiresIn, refreshToken, scopes }
+ * @throws {OAuthError} With the RFC 6749 error code
+ */
+const exchangeOAuthToken = async (params, credentials) => {
+  try {
+    const client = await authenticateOAuthClient(credentials);
+
+    if (params.grantType === 'authorization_code') {
+      return await exchangeCode(client, params);
+    }
+    if (params.grantType === 'refresh_token') {
+      return await exchangeRefreshToken(client, params);
+    }
+
+    throw new OAuthError(
+      'unsupported_grant_type',
+      'grant_type must be authorization_code or refresh_token',
+    );
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Another request exchanged the same code or token first
+    if (err.name === 'VersionError') {
+      throw invalidGrant();
+    }
+
+    logger.error('Error exchanging OAuth token:', err);
+    throw new OAuthError('invalid_request', 'Failed to issue tokens');
+  }
+};
+
+module.exports = exchangeOAuthToken;
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Get OAuth Authorizations Use Case
+ * @description Clean Architecture: Use Case layer - Lists the third-party apps a user has given access
+ * @module useCases/oauth/GetOAuthAuthorizations
+ */
+
+const OAuthGrant = require('../../entities/OAuthGrant');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the user's connected apps
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { authorizations }, each with the app's name and the granted scopes
+ */
+const getOAuthAuthorizations = async (userId) => {
+  try {
+    const grants = await OAuthGrant.findActiveByUser(userId).populate('clientId', 'clientId name');
+
+    return {
+      authorizations: grants
+        // Apps deleted since are skipped; their grants are already revoked
+        .filter((grant) => grant.clientId)
+        .map((grant) => grant.toJSON()),
+    };
+  } catch (err) {
+    logger.error('Error getting OAuth authorizations:', err);
+    throw new Error('Failed to retrieve connected apps');
+  }
+};
+
+module.exports = getOAuthAuthorizations;
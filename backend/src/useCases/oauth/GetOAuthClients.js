@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Get OAuth Clients Use Case
+ * @description Clean Architecture: Use Case layer - Lists the apps a developer has registered
+ * @module useCases/oauth/GetOAuthClients
+ */
+
+const OAuthClient = require('../../entities/OAuthClient');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the apps owned by a user
+ * @param {string} ownerId - User ID of the developer
+ * @returns {Promise<Object>} { clients }, newest first
+ */
+const getOAuthClients = async (ownerId) => {
+  try {
+    const clients = await OAuthClient.find({ ownerId }).sort({ createdAt: -1 });
+
+    return { clients: clients.map((client) => client.toJSON()) };
+  } catch (err) {
+    logger.error('Error getting OAuth clients:', err);
+    throw new Error('Failed to retrieve apps');
+  }
+};
+
+module.exports = getOAuthClients;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Introspect OAuth Token Use Case
+ * @description Clean Architecture: Use Case layer - Tells an app whether one of its tokens is active and what it grants (RFC 7662)
+ * @module useCases/oauth/IntrospectOAuthToken
+ */
+
+const User = require('../../entities/User');
+const OAuthGrant = require('../../entities/OAuthGrant');
+const authenticateOAuthClient = require('./AuthenticateOAuthClient');
+const { verifyOAuthAccessToken } = require('../../utils/authTokens');
+const logger = require('../../utils/logger');
+
+/**
+ * Describe an active token
+ * @param {Object} grant - OAuthGrant document
+ * @param {Object} details - { tokenType, clientId, scopes, issuedAt, expiresAt }
+ * @returns {Promise<Object>} Token description, or { active: false } if the user is gone
+ */
+const describe = async (grant, details) => {
+  const user = await User.findById(grant.userId).select('username isActive');
+  if (!user || !user.isActive) {
+    return { active: false };
+  }
+
+  return {
+    active: true,
+    ...details,
+    userId: String(grant.userId),
+    username: user.username,
+  };
+};
+
+/**
+ * Introspect an access or refresh token
+ * Apps only learn about their own tokens; anything else is reported as inactive, like
+ * invalid, expired or revoked tokens.
+ * @param {string} token - Token to describe
+ * @param {Object} credentials - Client credentials { clientId, clientSecret }
+ * @returns {Promise<Object>} { active: false } or { active: true, tokenType, clientId, scopes,
+ * userId, username, issuedAt, expiresAt }
+ * @throws {OAuthError} invalid_client if the app cannot be authenticated
+ */
+const introspectOAuthToken = async (token, credentials) => {
+  const client = await authenticateOAuthClient(credentials);
+  const inactive = { active: false };
+
+  if (!token) {
+    return inactive;
+  }
+
+  try {
+    const claims = verifyOAuthAccessToken(String(token));
+    if (claims) {
+      const grant = await OAuthGrant.findById(claims.grantId);
+      if (!grant || !grant.isValid() || claims.clientId !== client.clientId) {
+        return inactive;
+      }
+      return describe(grant, {
+        tokenType: 'access_token',
+        clientId: claims.clientId,
+        scopes: claims.scopes,
+        issuedAt: claims.issuedAt,
+        expiresAt: claims.expiresAt,
+      });
+    }
+
+    const grant = await OAuthGrant.findByRefreshToken(String(token));
+    if (!grant || String(grant.clientId) !== String(client._id)
+      || !grant.isValid() || !grant.isCurrentRefreshToken(token)) {
+      return inactive;
+    }
+    return describe(grant, {
+      tokenType: 'refresh_token',
+      clientId: client.clientId,
+      scopes: grant.scopes,
+      issuedAt: grant.lastUsedAt,
+      expiresAt: grant.expiresAt,
+    });
+  } catch (err) {
+    logger.error('Error introspecting OAuth token:', err);
+    throw new Error('Failed to introspect token');
+  }
+};
+
+module.exports = introspectOAuthToken;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Prepare Authorization Use Case
+ * @description Clean Architecture: Use Case layer - Checks an OAuth authorization request before the consent screen
+ * @module useCases/oauth/PrepareAuthorization
+ */
+
+const OAuthClient = require('../../entities/OAuthClient');
+const { OAUTH_SCOPES, parseScope, withQuery } = require('../../utils/oauth');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Shape of an S256 code challenge: base64url of a SHA-256 hash
+ */
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Check an authorization request (RFC 6749 section 4.1.1, with PKCE)
+ * Until the app and its redirect URI are known to be genuine, problems are shown to the user.
+ * After that they are reported to the app through its redirect URI, as the RFC requires.
+ * @param {Object} params - Request { responseType, clientId, redirectUri, scope, state,
+ * codeChallenge, codeChallengeMethod }
+ * @returns {Promise<Object>} { client, scopes, redirectUri } for a valid request, otherwise
+ * { redirectTo } with the error for the app
+ * @throws {BadRequestError} If the app or its redirect URI is unknown
+ */
+const prepareAuthorization = async (params) => {
+  try {
+    const client = params.clientId
+      ? await OAuthClient.findOne({ clientId: String(params.clientId), isActive: true })
+      : null;
+
+    if (!client) {
+      throw new BadRequestError('Unknown app');
+    }
+    if (!params.redirectUri || !client.hasRedirectUri(params.redirectUri)) {
+      throw new BadRequestError('The redirect URI is not registered for this app');
+    }
+
+    const fail = (error, description) => ({
+      redirectTo: withQuery(params.redirectUri, {
+        error,
+        error_description: description,
+        state: params.state,
+      }),
+    });
+
+    if (params.responseType !== 'code') {
+      return fail('unsupported_response_type', 'Only response_type=code is supported');
+    }
+    if (params.codeChallengeMethod !== 'S256'
+      || !CODE_CHALLENGE_PATTERN.test(params.codeChallenge || '')) {
+      return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    const scopes = parseScope(params.scope);
+    if (!scopes) {
+      return fail('invalid_scope', `Request one or more of: ${OAUTH_SCOPES.join(' ')}`);
+    }
+
+    return { client, scopes, redirectUri: params.redirectUri };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error preparing OAuth authorization:', err);
+    throw new BadRequestError('Failed to check the authorization request');
+  }
+};
+
+module.exports = prepareAuthorization;
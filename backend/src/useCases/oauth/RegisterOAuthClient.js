@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Register OAuth Client Use Case
+ * @description Clean Architecture: Use Case layer - Registers a third-party app that can ask users for access
+ * @module useCases/oauth/RegisterOAuthClient
+ */
+
+const OAuthClient = require('../../entities/OAuthClient');
+const { generateOAuthToken } = require('../../utils/oauth');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Register an app owned by the user
+ * Confidential apps get a client secret. Only its hash is stored, so it is returned this once.
+ * @param {string} ownerId - User ID of the developer
+ * @param {Object} clientData - App data { name, redirectUris, confidential }
+ * @returns {Promise<Object>} { client, clientSecret } (clientSecret only for confidential apps)
+ * @throws {BadRequestError} If validation fails
+ */
+const registerOAuthClient = async (ownerId, { name, redirectUris, confidential = false }) => {
+  try {
+    const client = new OAuthClient({
+      clientId: generateOAuthToken(16),
+      name,
+      redirectUris,
+      ownerId,
+    });
+
+    let clientSecret;
+    if (confidential) {
+      clientSecret = generateOAuthToken();
+      client.setSecret(clientSecret);
+    }
+
+    await client.save();
+
+    logger.info('OAuth client registered', { clientId: client.clientId, ownerId });
+
+    return { client: client.toJSON(), ...(clientSecret && { clientSecret }) };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(messages.join(', '));
+    }
+
+    logger.error('Error registering OAuth client:', err);
+    throw new BadRequestError('Failed to register app');
+  }
+};
+
+module.exports = registerOAuthClient;
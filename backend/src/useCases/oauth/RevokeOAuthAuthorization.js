@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Revoke OAuth Authorization Use Case
+ * @description Clean Architecture: Use Case layer - Disconnects a third-party app from the user's account
+ * @module useCases/oauth/RevokeOAuthAuthorization
+ */
+
+const OAuthGrant = require('../../entities/OAuthGrant');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Revoke one of the user's grants
+ * The app's refresh token stops working and its access tokens are rejected right away.
+ * @param {string} userId - User ID
+ * @param {string} grantId - Grant ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user has no active grant with this ID
+ */
+const revokeOAuthAuthorization = async (userId, grantId) => {
+  try {
+    const grant = await OAuthGrant.findOne({ _id: grantId, userId, revokedAt: null });
+
+    if (!grant) {
+      throw new NotFoundError('Connected app not found');
+    }
+
+    grant.revoke('user');
+    await grant.save();
+
+    logger.info('OAuth grant revoked by user', { grantId, userId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error revoking OAuth authorization:', err);
+    throw new BadRequestError('Failed to disconnect app');
+  }
+};
+
+module.exports = revokeOAuthAuthorization;
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Revoke OAuth Token Use Case
+ * @description Clean Architecture: Use Case layer - Lets an app give up its access, e.g. when the user signs out of it (RFC 7009)
+ * @module useCases/oauth/RevokeOAuthToken
+ */
+
+const OAuthGrant = require('../../entities/OAuthGrant');
+const authenticateOAuthClient = require('./AuthenticateOAuthClient');
+const { verifyOAuthAccessToken } = require('../../utils/authTokens');
+const logger = require('../../utils/logger');
+
+/**
+ * Revoke the grant behind an access or refresh token
+ * Unknown tokens and tokens of other apps are ignored, so the response reveals nothing.
+ * @param {string} token - Access or refresh token
+ * @param {Object} credentials - Client credentials { clientId, clientSecret }
+ * @returns {Promise<void>}
+ * @throws {OAuthError} invalid_client if the app cannot be authenticated
+ */
+const revokeOAuthToken = async (token, credentials) => {
+  const client = await authenticateOAuthClient(credentials);
+
+  if (!token) {
+    return;
+  }
+
+  try {
+    const claims = verifyOAuthAccessToken(String(token));
+    const grant = claims
+      ? await OAuthGrant.findById(claims.grantId)
+      : await OAuthGrant.findByRefreshToken(String(token));
+
+    if (!grant || String(grant.clientId) !== String(client._id) || grant.revokedAt) {
+      return;
+    }
+
+    grant.revoke('client');
+    await grant.save();
+
+    logger.info('OAuth grant revoked by app', { grantId: grant._id, clientId: client.clientId });
+  } catch (err) {
+    logger.error('Error revoking OAuth token:', err);
+    throw new Error('Failed to revoke token');
+  }
+};
+
+module.exports = revokeOAuthToken;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Cancel Enrollment Use Case
+ * @description Clean Architecture: Use Case layer - Leaves a program and clears its remaining schedule
+ * @module useCases/programs/CancelEnrollment
+ */
+
+const ProgramEnrollment = require('../../entities/ProgramEnrollment');
+const Workout = require('../../entities/Workout');
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Cancel an enrollment and delete its remaining planned workouts
+ * Logged workouts are kept as training history.
+ * @param {string} enrollmentId - Enrollment ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Number of removed workouts
+ * @throws {NotFoundError} If enrollment not found
+ * @throws {ForbiddenError} If user doesn't own the enrollment
+ */
+const cancelEnrollment = async (enrollmentId, userId) => {
+  try {
+    const enrollment = await ProgramEnrollment.findById(enrollmentId);
+
+    if (!enrollment) {
+      throw new NotFoundError('Program enrollment not found');
+    }
+
+    if (enrollment.userId.toString() !== userId) {
+      throw new ForbiddenError('Unauthorized to cancel this program enrollment');
+    }
+
+    enrollment.status = 'cancelled';
+    await enrollment.save();
+
+    const { deletedCount } = await Workout.deleteMany({ enrollmentId, status: 'planned' });
+
+    logger.info('Program enrollment cancelled successfully', {
+      enrollmentId,
+      userId,
+      removedWorkouts: deletedCount,
+    });
+
+    return { removedWorkouts: deletedCount };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error cancelling program enrollment:', err);
+    throw new Error('Failed to cancel program enrollment');
+  }
+};
+
+module.exports = cancelEnrollment;
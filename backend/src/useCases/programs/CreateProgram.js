@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Create Program Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for creating training programs
+ * @module useCases/programs/CreateProgram
+ */
+
+const Program = require('../../entities/Program');
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Create a new training program
+ * @param {Object} programData - Program data
+ * @param {string} programData.title - Program title
+ * @param {string} programData.description - Program description
+ * @param {Array<Object>} programData.weeks - Weeks of { isDeload, intensity, days: [{ dayOffset, templateId }] }
+ * @param {Object} programData.progression - Progression rule ({ type, increment, deloadFactor })
+ * @param {boolean} programData.isPublic - Whether other users may enroll
+ * @param {string} userId - User ID creating the program
+ * @returns {Promise<Object>} Created program document
+ * @throws {BadRequestError} If validation fails
+ * @throws {NotFoundError} If referenced templates are not found
+ */
+const createProgram = async (programData, userId) => {
+  const { title, description, weeks, progression, isPublic } = programData;
+
+  try {
+    const program = new Program({
+      title,
+      description: description || '',
+      weeks,
+      progression: progression || {},
+      isPublic: Boolean(isPublic),
+      userId,
+    });
+
+    // Programs may only be built from the author's own templates
+    const templateIds = program.getTemplateIds();
+    const templateCount = await WorkoutTemplate.countDocuments({
+      _id: { $in: templateIds },
+      userId,
+      isActive: true,
+    });
+
+    if (templateCount !== templateIds.length) {
+      throw new NotFoundError('One or more workout templates not found');
+    }
+
+    await program.save();
+
+    logger.info('Program created successfully', {
+      programId: program._id,
+      userId,
+    });
+
+    return program;
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error creating program:', err);
+    throw new BadRequestError('Failed to create program');
+  }
+};
+
+module.exports = createProgram;
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Delete Program Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for deleting training programs
+ * @module useCases/programs/DeleteProgram
+ */
+
+const getProgram = require('./GetProgram');
+const { ForbiddenError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Delete a program (soft delete)
+ * Existing enrollments and their workouts are kept
+ * @param {string} programId - Program ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If program not found
+ * @throws {ForbiddenError} If user doesn't own the program
+ */
+const deleteProgram = async (programId, userId) => {
+  try {
+    const program = await getProgram(programId, userId);
+
+    if (program.userId.toString() !== userId) {
+      throw new ForbiddenError('Unauthorized to delete this program');
+    }
+
+    program.isActive = false;
+    await program.save();
+
+    logger.info('Program deleted successfully', {
+      programId: program._id,
+      userId,
+    });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error deleting program:', err);
+    throw new Error('Failed to delete program');
+  }
+};
+
+module.exports = deleteProgram;
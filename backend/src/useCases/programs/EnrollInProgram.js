@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Enroll In Program Use Case
+ * @description Clean Architecture: Use Case layer - Enrolls a user and schedules the program's workouts
+ * @module useCases/programs/EnrollInProgram
+ */
+
+const ProgramEnrollment = require('../../entities/ProgramEnrollment');
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+const PersonalRecord = require('../../entities/PersonalRecord');
+const Workout = require('../../entities/Workout');
+const getProgram = require('./GetProgram');
+const { computeWeekLoad, scheduleDate } = require('../../utils/periodization');
+const { ConflictError, NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Load the user's current estimated 1RMs keyed by exercise ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Map<string, number>>} Estimated 1RM in kg per exercise
+ */
+const getOneRepMaxes = async (userId) => {
+  const records = await PersonalRecord.find({
+    userId,
+    type: 'estimated-1rm',
+    isCurrent: true,
+  }).lean();
+
+  return new Map(records.map((record) => [record.exerciseId.toString(), record.value]));
+};
+
+/**
+ * Build the planned workouts for every day of the program
+ * @param {Object} program - Program document
+ * @param {Object} enrollment - Enrollment document
+ * @param {Map<string, Object>} templates - Templates keyed by ID
+ * @param {Map<string, number>} oneRepMaxes - Estimated 1RMs keyed by exercise ID
+ * @returns {Array<Object>} Workout documents to insert
+ */
+const buildProgramWorkouts = (program, enrollment, templates, oneRepMaxes) => program.weeks.flatMap(
+  (week, weekIndex) => week.days.map((day) => {
+    const template = templates.get(day.templateId.toString());
+
+    return {
+      title: template.title,
+      description: template.description,
+      exercises: template.toWorkoutExercises((target) => computeWeekLoad({
+        target,
+        weeks: program.weeks,
+        weekIndex,
+        progression: program.progression,
+        oneRepMax: oneRepMaxes.get(target.exercise.toString()) || null,
+      })),
+      duration: template.estimatedDuration,
+      date: scheduleDate(enrollment.startDate, weekIndex, day.dayOffset),
+      userId: enrollment.userId,
+      status: 'planned',
+      templateId: template._id,
+      enrollmentId: enrollment._id,
+      programWeek: weekIndex + 1,
+      programDay: day.dayOffset,
+    };
+  }),
+);
+
+/**
+ * Enroll a user in a program and generate its dated planned workouts
+ * @param {string} programId - Program ID
+ * @param {Object} options - Enrollment options
+ * @param {Date} options.startDate - Date of the first week's day 0
+ * @param {string} userId - User ID enrolling
+ * @returns {Promise<Object>} Enrollment and number of scheduled workouts
+ * @throws {NotFoundError} If program or its templates are not found
+ * @throws {ConflictError} If the user is already enrolled
+ */
+const enrollInProgram = async (programId, options, userId) => {
+  const { startDate } = options;
+
+  try {
+    const program = await getProgram(programId, userId);
+
+    const existing = await ProgramEnrollment.findOne({ programId, userId, status: 'active' });
+    if (existing) {
+      throw new ConflictError('User is already enrolled in this program');
+    }
+
+    const templateIds = program.getTemplateIds();
+    const templateDocs = await WorkoutTemplate.find({ _id: { $in: templateIds }, isActive: true });
+    if (templateDocs.length !== templateIds.length) {
+      throw new NotFoundError('One or more program templates not found');
+    }
+
+    const templates = new Map(templateDocs.map((template) => [template._id.toString(), template]));
+    const oneRepMaxes = program.progression.type === 'percentage'
+      ? await getOneRepMaxes(userId)
+      : new Map();
+
+    const enrollment = await ProgramEnrollment.create({
+      programId,
+      userId,
+      startDate: new Date(startDate),
+    });
+
+    let workouts;
+    try {
+      workouts = await Workout.insertMany(
+        buildProgramWorkouts(program, enrollment, templates, oneRepMaxes),
+      );
+    } catch (err) {
+      // Do not leave an enrollment without its schedule
+      await enrollment.deleteOne();
+      throw err;
+    }
+
+    logger.info('User enrolled in program successfully', {
+      programId,
+      enrollmentId: enrollment._id,
+      userId,
+      workouts: workouts.length,
+    });
+
+    return {
+      enrollment,
+      scheduledWorkouts: workouts.length,
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error enrolling in program:', err);
+    throw new BadRequestError('Failed to enroll in program');
+  }
+};
+
+module.exports = enrollInProgram;
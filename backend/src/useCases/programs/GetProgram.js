@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Get Program Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for loading a single training program
+ * @module useCases/programs/GetProgram
+ */
+
+const Program = require('../../entities/Program');
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Get a program the user owns or that is public
+ * @param {string} programId - Program ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Program document
+ * @throws {NotFoundError} If program not found
+ * @throws {ForbiddenError} If the program is private to another user
+ */
+const getProgram = async (programId, userId) => {
+  const program = await Program.findById(programId);
+
+  if (!program || !program.isActive) {
+    throw new NotFoundError('Program not found');
+  }
+
+  if (!program.isAccessibleBy(userId)) {
+    throw new ForbiddenError('Unauthorized to access this program');
+  }
+
+  return program;
+};
+
+module.exports = getProgram;
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Get Programs Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for listing training programs
+ * @module useCases/programs/GetPrograms
+ */
+
+const Program = require('../../entities/Program');
+
+/**
+ * Get the user's own programs plus public programs
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Results per page
+ * @returns {Promise<Object>} Programs with pagination info
+ */
+const getPrograms = async (userId, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+
+  try {
+    const query = {
+      isActive: true,
+      $or: [{ userId }, { isPublic: true }],
+    };
+    const skip = (page - 1) * limit;
+
+    const [programs, total] = await Promise.all([
+      Program.find(query)
+        .populate('userId', 'username profile.name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10))
+        .lean(),
+      Program.countDocuments(query),
+    ]);
+
+    return {
+      programs,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (err) {
+    throw new Error('Failed to retrieve programs');
+  }
+};
+
+module.exports = getPrograms;
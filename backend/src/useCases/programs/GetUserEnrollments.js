@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Get User Enrollments Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for listing program enrollments
+ * @module useCases/programs/GetUserEnrollments
+ */
+
+const ProgramEnrollment = require('../../entities/ProgramEnrollment');
+
+/**
+ * Get a user's program enrollments
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {string} options.status - Status filter
+ * @returns {Promise<Object>} Enrollments with their programs
+ */
+const getUserEnrollments = async (userId, options = {}) => {
+  const { status } = options;
+
+  try {
+    const query = { userId };
+    if (status) {
+      query.status = status;
+    }
+
+    const enrollments = await ProgramEnrollment.find(query)
+      .populate('programId', 'title description progression')
+      .sort({ startDate: -1 })
+      .lean();
+
+    return { enrollments };
+  } catch (err) {
+    throw new Error('Failed to retrieve program enrollments');
+  }
+};
+
+module.exports = getUserEnrollments;
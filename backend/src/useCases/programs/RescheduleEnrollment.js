@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Reschedule Enrollment Use Case
+ * @description Clean Architecture: Use Case layer - Moves a program enrollment to a new start date
+ * @module useCases/programs/RescheduleEnrollment
+ */
+
+const ProgramEnrollment = require('../../entities/ProgramEnrollment');
+const Workout = require('../../entities/Workout');
+const { scheduleDate } = require('../../utils/periodization');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Move an enrollment's start date and keep its planned workouts in sync
+ * Workouts that are already in progress, completed or cancelled keep their dates.
+ * @param {string} enrollmentId - Enrollment ID
+ * @param {Object} options - Reschedule options
+ * @param {Date} options.startDate - New start date
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Updated enrollment and number of moved workouts
+ * @throws {NotFoundError} If enrollment not found
+ * @throws {ForbiddenError} If user doesn't own the enrollment
+ * @throws {BadRequestError} If the enrollment is no longer active
+ */
+const rescheduleEnrollment = async (enrollmentId, options, userId) => {
+  const { startDate } = options;
+
+  try {
+    const enrollment = await ProgramEnrollment.findById(enrollmentId);
+
+    if (!enrollment) {
+      throw new NotFoundError('Program enrollment not found');
+    }
+
+    if (enrollment.userId.toString() !== userId) {
+      throw new ForbiddenError('Unauthorized to update this program enrollment');
+    }
+
+    if (enrollment.status !== 'active') {
+      throw new BadRequestError('Only active enrollments can be rescheduled');
+    }
+
+    enrollment.startDate = new Date(startDate);
+    await enrollment.save();
+
+    const planned = await Workout.find({ enrollmentId, status: 'planned' })
+      .select('programWeek programDay')
+      .lean();
+
+    if (planned.length > 0) {
+      await Workout.bulkWrite(
+        planned.map((workout) => ({
+          updateOne: {
+            filter: { _id: workout._id },
+            update: {
+              $set: {
+                date: scheduleDate(enrollment.startDate, workout.programWeek - 1, workout.programDay),
+              },
+            },
+          },
+        })),
+      );
+    }
+
+    logger.info('Program enrollment rescheduled successfully', {
+      enrollmentId,
+      userId,
+      workouts: planned.length,
+    });
+
+    return {
+      enrollment,
+      rescheduledWorkouts: planned.length,
+    };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error rescheduling program enrollment:', err);
+    throw new BadRequestError('Failed to reschedule program enrollment');
+  }
+};
+
+module.exports = rescheduleEnrollment;
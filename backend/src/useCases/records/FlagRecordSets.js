@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Flag Record Sets Use Case
+ * @description Clean Architecture: Use Case layer - Marks record-setting sets in workout responses
+ * @module useCases/records/FlagRecordSets
+ */
+
+const PersonalRecord = require('../../entities/PersonalRecord');
+
+/**
+ * Annotate workouts with the personal records they set
+ * Each set gains isPersonalRecord and recordTypes, and each workout a personalRecords summary.
+ * @param {Array<Object>} workouts - Plain workout objects
+ * @returns {Promise<Array<Object>>} Annotated workouts
+ */
+const flagRecordSets = async (workouts) => {
+  if (workouts.length === 0) {
+    return workouts;
+  }
+
+  const records = await PersonalRecord.find({
+    workoutId: { $in: workouts.map((workout) => workout._id) },
+  }).lean();
+
+  const byWorkout = records.reduce((acc, record) => {
+    const key = record.workoutId.toString();
+    (acc[key] = acc[key] || []).push(record);
+    return acc;
+  }, {});
+
+  return workouts.map((workout) => {
+    const workoutRecords = byWorkout[workout._id.toString()] || [];
+
+    return {
+      ...workout,
+      exercises: (workout.exercises || []).map((entry, exerciseIndex) => ({
+        ...entry,
+        sets: (entry.sets || []).map((set, setIndex) => {
+          const recordTypes = workoutRecords
+            .filter((record) => record.exerciseIndex === exerciseIndex && record.setIndex === setIndex)
+            .map((record) => record.type);
+
+          return {
+            ...set,
+            isPersonalRecord: recordTypes.length > 0,
+            recordTypes,
+          };
+        }),
+      })),
+      personalRecords: workoutRecords.map((record) => ({
+        exerciseId: record.exerciseId,
+        type: record.type,
+        value: record.value,
+        unit: record.unit,
+        load: record.load,
+        previousValue: record.previousValue,
+        exerciseIndex: record.exerciseIndex,
+        setIndex: record.setIndex,
+      })),
+    };
+  });
+};
+
+module.exports = flagRecordSets;
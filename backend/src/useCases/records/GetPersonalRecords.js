@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Get Personal Records Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for retrieving personal records
+ * @module useCases/records/GetPersonalRecords
+ */
+
+const PersonalRecord = require('../../entities/PersonalRecord');
+
+/**
+ * Get a user's personal records
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {string} options.exerciseId - Restrict to one exercise
+ * @param {boolean} options.includeHistory - Also return every past record (requires exerciseId)
+ * @returns {Promise<Object>} Current records and, optionally, their history
+ */
+const getPersonalRecords = async (userId, options = {}) => {
+  const { exerciseId, includeHistory = false } = options;
+
+  try {
+    const [records, history] = await Promise.all([
+      PersonalRecord.getCurrentRecords(userId, exerciseId),
+      includeHistory && exerciseId ? PersonalRecord.getHistory(userId, exerciseId) : null,
+    ]);
+
+    return {
+      records,
+      ...(history && { history }),
+    };
+  } catch (err) {
+    throw new Error('Failed to retrieve personal records');
+  }
+};
+
+module.exports = getPersonalRecords;
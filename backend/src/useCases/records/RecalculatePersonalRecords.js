@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Recalculate Personal Records Use Case
+ * @description Clean Architecture: Use Case layer - Rebuilds per-exercise records after workouts change
+ * @module useCases/records/RecalculatePersonalRecords
+ */
+
+const Workout = require('../../entities/Workout');
+const PersonalRecord = require('../../entities/PersonalRecord');
+const { computeRecordHistory } = require('../../utils/personalRecords');
+const logger = require('../../utils/logger');
+
+/**
+ * Rebuild the personal record history for the given exercises
+ * The history is recomputed from all completed workouts so edits and deletions of
+ * older sessions are reflected. Failures are logged rather than thrown because the
+ * workout itself has already been saved; the next save recomputes the records.
+ * @param {string} userId - User ID
+ * @param {Array<string>} exerciseIds - Exercise IDs whose records may have changed
+ * @returns {Promise<void>}
+ */
+const recalculatePersonalRecords = async (userId, exerciseIds = []) => {
+  try {
+    await Promise.all(
+      exerciseIds.map(async (exerciseId) => {
+        const workouts = await Workout.find({
+          userId,
+          status: 'completed',
+          'exercises.exercise': exerciseId,
+        })
+          .sort({ date: 1, createdAt: 1 })
+          .lean();
+
+        const history = computeRecordHistory(workouts, exerciseId);
+
+        await PersonalRecord.deleteMany({ userId, exerciseId });
+        if (history.length > 0) {
+          await PersonalRecord.insertMany(
+            history.map((record) => ({ ...record, userId, exerciseId })),
+          );
+        }
+      }),
+    );
+  } catch (err) {
+    logger.error('Error recalculating personal records:', err);
+  }
+};
+
+module.exports = recalculatePersonalRecords;
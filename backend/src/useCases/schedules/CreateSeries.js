@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Create Series Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for creating recurring workouts
+ * @module useCases/schedules/CreateSeries
+ */
+
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const Workout = require('../../entities/Workout');
+const Exercise = require('../../entities/Exercise');
+const materializeSeries = require('./MaterializeSeries');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Create a recurring workout series and materialize its upcoming occurrences
+ * @param {Object} seriesData - Series data
+ * @param {string} seriesData.title - Workout title
+ * @param {string} seriesData.description - Workout description
+ * @param {Array<string|Object>} seriesData.exercises - Exercise IDs or { exercise, sets, notes } entries
+ * @param {number} seriesData.duration - Duration in minutes
+ * @param {string} seriesData.rrule - iCalendar RRULE (e.g. FREQ=WEEKLY;BYDAY=MO,WE,FR)
+ * @param {Date} seriesData.dtstart - First occurrence, including time of day
+ * @param {string} seriesData.tzid - IANA time zone the schedule follows (defaults to UTC)
+ * @param {Array<Date>} seriesData.exdates - Excluded occurrences
+ * @param {string} userId - User ID creating the series
+ * @returns {Promise<Object>} Created series and number of scheduled workouts
+ * @throws {BadRequestError} If validation fails
+ * @throws {NotFoundError} If exercises not found
+ */
+const createSeries = async (seriesData, userId) => {
+  const {
+    title,
+    description,
+    exercises,
+    duration,
+    rrule,
+    dtstart,
+    tzid,
+    exdates,
+  } = seriesData;
+
+  try {
+    const exerciseEntries = Workout.normalizeExercises(exercises);
+
+    // Validate exercises exist
+    if (exerciseEntries.length > 0) {
+      const exerciseIds = Workout.getExerciseIds(exerciseEntries);
+      const exerciseDocs = await Exercise.find({
+        _id: { $in: exerciseIds },
+        isActive: true,
+      });
+
+      if (exerciseDocs.length !== exerciseIds.length) {
+        throw new NotFoundError('One or more exercises not found');
+      }
+    }
+
+    const series = new WorkoutSeries({
+      title,
+      description: description || '',
+      exercises: exerciseEntries,
+      duration: duration || 0,
+      rrule,
+      dtstart: new Date(dtstart),
+      tzid: tzid || 'UTC',
+      exdates: (exdates || []).map((date) => new Date(date)),
+      userId,
+    });
+
+    await series.save();
+    const scheduledWorkouts = await materializeSeries(series);
+
+    logger.info('Workout series created successfully', {
+      seriesId: series._id,
+      userId,
+      workouts: scheduledWorkouts,
+    });
+
+    return { series, scheduledWorkouts };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error creating workout series:', err);
+    throw new BadRequestError('Failed to create workout series');
+  }
+};
+
+module.exports = createSeries;
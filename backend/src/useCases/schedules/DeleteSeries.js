@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Delete Series Use Case
+ * @description Clean Architecture: Use Case layer - Ends a recurring workout
+ * @module useCases/schedules/DeleteSeries
+ */
+
+const Workout = require('../../entities/Workout');
+const getSeries = require('./GetSeries');
+const logger = require('../../utils/logger');
+
+/**
+ * Delete a series (soft delete) and its upcoming, unedited planned occurrences
+ * Past and individually edited occurrences are kept.
+ * @param {string} seriesId - Series ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Number of removed workouts
+ * @throws {NotFoundError} If series not found
+ * @throws {ForbiddenError} If user doesn't own the series
+ */
+const deleteSeries = async (seriesId, userId) => {
+  try {
+    const series = await getSeries(seriesId, userId);
+
+    series.isActive = false;
+    await series.save();
+
+    const { deletedCount } = await Workout.deleteMany({
+      seriesId: series._id,
+      status: 'planned',
+      isSeriesException: false,
+      date: { $gte: new Date() },
+    });
+
+    logger.info('Workout series deleted successfully', {
+      seriesId: series._id,
+      userId,
+      removedWorkouts: deletedCount,
+    });
+
+    return { removedWorkouts: deletedCount };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error deleting workout series:', err);
+    throw new Error('Failed to delete workout series');
+  }
+};
+
+module.exports = deleteSeries;
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Extend User Series Use Case
+ * @description Clean Architecture: Use Case layer - Rolls recurring workouts forward as time passes
+ * @module useCases/schedules/ExtendUserSeries
+ */
+
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const config = require('../../config');
+const materializeSeries = require('./MaterializeSeries');
+const logger = require('../../utils/logger');
+
+/**
+ * Milliseconds in a day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Series are topped up once their materialized window is this much shorter than the horizon
+ */
+const EXTEND_THRESHOLD_DAYS = 7;
+
+/**
+ * Materialize a stale series, unless a concurrent request already does
+ * The series is claimed by moving materializedUntil past the threshold in one update; if that
+ * fails, the window was already taken. A failed run gives the claim back so a later read retries.
+ * @param {Object} series - WorkoutSeries document
+ * @param {Date} threshold - Series materialized before this date are stale
+ * @returns {Promise<number>} Number of workouts created
+ */
+const extendSeries = async (series, threshold) => {
+  const previous = series.materializedUntil;
+  const claim = await WorkoutSeries.updateOne(
+    { _id: series._id, materializedUntil: previous },
+    { $set: { materializedUntil: threshold } },
+  );
+  if (claim.modifiedCount === 0) {
+    return 0;
+  }
+
+  try {
+    return await materializeSeries(series, { from: previous });
+  } catch (err) {
+    await WorkoutSeries.updateOne(
+      { _id: series._id, materializedUntil: threshold },
+      { $set: { materializedUntil: previous } },
+    );
+    throw err;
+  }
+};
+
+/**
+ * Materialize occurrences that have come within the scheduling horizon since the last run
+ * Series whose window still reaches far enough are not touched, so most reads write nothing.
+ * Failures are logged rather than thrown so reading workouts never fails because of it.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const extendUserSeries = async (userId) => {
+  try {
+    const threshold = new Date(
+      Date.now() + (config.schedule.horizonDays - EXTEND_THRESHOLD_DAYS) * DAY_MS,
+    );
+
+    const stale = await WorkoutSeries.find({
+      userId,
+      isActive: true,
+      materializedUntil: { $lt: threshold },
+    });
+
+    // Series are independent of each other, so they can be topped up together
+    await Promise.all(stale.map((series) => extendSeries(series, threshold)));
+  } catch (err) {
+    logger.error('Error extending workout series:', err);
+  }
+};
+
+module.exports = extendUserSeries;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Get Series Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for loading a single workout series
+ * @module useCases/schedules/GetSeries
+ */
+
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Get a series owned by the user
+ * @param {string} seriesId - Series ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} WorkoutSeries document
+ * @throws {NotFoundError} If series not found
+ * @throws {ForbiddenError} If user doesn't own the series
+ */
+const getSeries = async (seriesId, userId) => {
+  const series = await WorkoutSeries.findById(seriesId);
+
+  if (!series || !series.isActive) {
+    throw new NotFoundError('Workout series not found');
+  }
+
+  // Check ownership
+  if (series.userId.toString() !== userId) {
+    throw new ForbiddenError('Unauthorized to access this workout series');
+  }
+
+  return series;
+};
+
+module.exports = getSeries;
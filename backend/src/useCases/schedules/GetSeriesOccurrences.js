@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Get Series Occurrences Use Case
+ * @description Clean Architecture: Use Case layer - Lists the materialized occurrences of a series
+ * @module useCases/schedules/GetSeriesOccurrences
+ */
+
+const Workout = require('../../entities/Workout');
+const getSeries = require('./GetSeries');
+
+/**
+ * Get the workouts materialized for a series
+ * @param {string} seriesId - Series ID
+ * @param {string} userId - User ID (for authorization)
+ * @param {Object} options - Query options
+ * @param {Date} options.startDate - Start date filter
+ * @param {Date} options.endDate - End date filter
+ * @returns {Promise<Object>} Series and its occurrences, each flagged with isOverdue
+ * @throws {NotFoundError} If series not found
+ * @throws {ForbiddenError} If user doesn't own the series
+ */
+const getSeriesOccurrences = async (seriesId, userId, options = {}) => {
+  const { startDate, endDate } = options;
+
+  const series = await getSeries(seriesId, userId);
+
+  const query = { seriesId: series._id };
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  const workouts = await Workout.find(query)
+    .populate('exercises.exercise', 'name muscleGroup difficulty')
+    .sort({ date: 1 });
+
+  return {
+    series,
+    occurrences: workouts.map((workout) => ({
+      ...workout.toJSON(),
+      isOverdue: workout.isOverdue(),
+    })),
+  };
+};
+
+module.exports = getSeriesOccurrences;
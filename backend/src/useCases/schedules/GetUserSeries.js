@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Get User Series Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for listing recurring workouts
+ * @module useCases/schedules/GetUserSeries
+ */
+
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+
+/**
+ * Get all active workout series for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Series list
+ */
+const getUserSeries = async (userId) => {
+  try {
+    const series = await WorkoutSeries.find({ userId, isActive: true })
+      .populate('exercises.exercise', 'name muscleGroup difficulty')
+      .sort({ dtstart: -1 })
+      .lean();
+
+    return { series };
+  } catch (err) {
+    throw new Error('Failed to retrieve workout series');
+  }
+};
+
+module.exports = getUserSeries;
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Materialize Series Use Case
+ * @description Clean Architecture: Use Case layer - Creates planned workouts for upcoming series occurrences
+ * @module useCases/schedules/MaterializeSeries
+ */
+
+const Workout = require('../../entities/Workout');
+const config = require('../../config');
+const { parseRRule, expandRRule } = require('../../utils/rrule');
+
+/**
+ * Milliseconds in a day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether an insert only failed on occurrences that already have a workout
+ * The unique { seriesId, occurrenceDate } index refuses them when another request got there first.
+ * @param {Error} err - Error from insertMany
+ * @returns {boolean} True if every failed write was a duplicate key
+ */
+const isDuplicateOccurrence = (err) => err.code === 11000
+  && (err.writeErrors || []).every((writeError) => writeError.code === 11000);
+
+/**
+ * Create planned workouts for a series' occurrences up to the scheduling horizon
+ * Occurrences that already have a workout (including edited exceptions) are left alone, even when
+ * several requests materialize the same series at once.
+ * @param {Object} series - WorkoutSeries document
+ * @param {Object} options - Materialization options
+ * @param {Date} options.from - Earliest occurrence to create (defaults to the series start)
+ * @returns {Promise<number>} Number of workouts created
+ */
+const materializeSeries = async (series, options = {}) => {
+  const horizon = new Date(Date.now() + config.schedule.horizonDays * DAY_MS);
+  const from = options.from && options.from > series.dtstart ? options.from : series.dtstart;
+
+  const dates = expandRRule(parseRRule(series.rrule), series.dtstart, {
+    from,
+    to: horizon,
+    exdates: series.exdates,
+    tzid: series.tzid,
+  });
+
+  const existing = await Workout.find({
+    seriesId: series._id,
+    occurrenceDate: { $in: dates },
+  })
+    .select('occurrenceDate')
+    .lean();
+  const existingTimes = new Set(existing.map((workout) => workout.occurrenceDate.getTime()));
+
+  const fields = series.toWorkoutFields();
+  const workouts = dates
+    .filter((date) => !existingTimes.has(date.getTime()))
+    .map((date) => ({
+      ...fields,
+      date,
+      occurrenceDate: date,
+      seriesId: series._id,
+      userId: series.userId,
+      status: 'planned',
+    }));
+
+  let created = workouts.length;
+  if (workouts.length > 0) {
+    try {
+      await Workout.insertMany(workouts, { ordered: false });
+    } catch (err) {
+      if (!isDuplicateOccurrence(err)) {
+        throw err;
+      }
+      created -= (err.writeErrors || []).length;
+    }
+  }
+
+  series.materializedUntil = horizon;
+  await series.save();
+
+  return created;
+};
+
+module.exports = materializeSeries;
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Update Series Use Case
+ * @description Clean Architecture: Use Case layer - Edits every upcoming occurrence of a recurring workout
+ * @module useCases/schedules/UpdateSeries
+ */
+
+const Workout = require('../../entities/Workout');
+const Exercise = require('../../entities/Exercise');
+const getSeries = require('./GetSeries');
+const materializeSeries = require('./MaterializeSeries');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Update a whole series
+ * Only future occurrences that are still planned and were not edited individually are changed.
+ * Changing the rule, start or exclusions re-materializes those occurrences; other changes are
+ * copied onto them in place.
+ * @param {string} seriesId - Series ID
+ * @param {Object} updateData - Series update data
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Updated series and number of affected workouts
+ * @throws {NotFoundError} If series or exercises not found
+ * @throws {ForbiddenError} If user doesn't own the series
+ * @throws {BadRequestError} If validation fails
+ */
+const updateSeries = async (seriesId, updateData, userId) => {
+  try {
+    const series = await getSeries(seriesId, userId);
+
+    // Validate exercises if provided
+    const exerciseEntries = updateData.exercises !== undefined
+      ? Workout.normalizeExercises(updateData.exercises)
+      : undefined;
+
+    if (exerciseEntries && exerciseEntries.length > 0) {
+      const exerciseIds = Workout.getExerciseIds(exerciseEntries);
+      const exerciseDocs = await Exercise.find({
+        _id: { $in: exerciseIds },
+        isActive: true,
+      });
+
+      if (exerciseDocs.length !== exerciseIds.length) {
+        throw new NotFoundError('One or more exercises not found');
+      }
+    }
+
+    // Update fields
+    if (updateData.title !== undefined) series.title = updateData.title;
+    if (updateData.description !== undefined) series.description = updateData.description;
+    if (exerciseEntries !== undefined) series.exercises = exerciseEntries;
+    if (updateData.duration !== undefined) series.duration = updateData.duration;
+    if (updateData.rrule !== undefined) series.rrule = updateData.rrule;
+    if (updateData.dtstart !== undefined) series.dtstart = new Date(updateData.dtstart);
+    if (updateData.tzid !== undefined) series.tzid = updateData.tzid;
+    if (updateData.exdates !== undefined) {
+      series.exdates = updateData.exdates.map((date) => new Date(date));
+    }
+
+    const timingChanged = series.isModified('rrule')
+      || series.isModified('dtstart')
+      || series.isModified('tzid')
+      || series.isModified('exdates');
+
+    await series.save();
+
+    const now = new Date();
+    const upcoming = {
+      seriesId: series._id,
+      status: 'planned',
+      isSeriesException: false,
+      date: { $gte: now },
+    };
+
+    let affectedWorkouts;
+    if (timingChanged) {
+      await Workout.deleteMany(upcoming);
+      affectedWorkouts = await materializeSeries(series, { from: now });
+    } else {
+      const { modifiedCount } = await Workout.updateMany(upcoming, {
+        $set: series.toWorkoutFields(),
+      });
+      affectedWorkouts = modifiedCount;
+    }
+
+    logger.info('Workout series updated successfully', {
+      seriesId: series._id,
+      userId,
+      workouts: affectedWorkouts,
+    });
+
+    return { series, affectedWorkouts };
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error updating workout series:', err);
+    throw new BadRequestError('Failed to update workout series');
+  }
+};
+
+module.exports = updateSeries;
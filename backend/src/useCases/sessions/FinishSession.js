@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Finish Session Use Case
+ * @description Clean Architecture: Use Case layer - Completes a live workout session
+ * @module useCases/sessions/FinishSession
+ */
+
+const Workout = require('../../entities/Workout');
+const getSessionWorkout = require('./GetSessionWorkout');
+const formatSession = require('./FormatSession');
+const recalculatePersonalRecords = require('../records/RecalculatePersonalRecords');
+const estimateWorkoutCalories = require('../workouts/EstimateWorkoutCalories');
+const { BadRequestError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Finish a running session
+ * The workout becomes completed with its real duration, unperformed planned sets are dropped,
+ * and personal records are recalculated.
+ * @param {string} workoutId - Workout ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Completed workout with session state
+ * @throws {NotFoundError} If workout not found
+ * @throws {ForbiddenError} If user doesn't own the workout
+ * @throws {ConflictError} If the workout is not in progress
+ * @throws {BadRequestError} If validation fails
+ */
+const finishSession = async (workoutId, userId) => {
+  try {
+    const workout = await getSessionWorkout(workoutId, userId);
+
+    if (workout.status !== 'in-progress') {
+      throw new ConflictError('Workout session is not in progress');
+    }
+
+    workout.finishSession();
+    if (workout.caloriesSource === 'met' || !workout.caloriesBurned) {
+      await estimateWorkoutCalories(workout, userId);
+    }
+    await workout.save();
+
+    await recalculatePersonalRecords(userId, Workout.getExerciseIds(workout.exercises));
+
+    logger.info('Workout session finished', {
+      workoutId: workout._id,
+      userId,
+      duration: workout.duration,
+    });
+
+    return await formatSession(workout);
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error finishing workout session:', err);
+    throw new BadRequestError('Failed to finish workout session');
+  }
+};
+
+module.exports = finishSession;
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Format Session Use Case
+ * @description Clean Architecture: Use Case layer - Shapes a live session for API responses
+ * @module useCases/sessions/FormatSession
+ */
+
+/**
+ * Populate a session workout and attach its live state
+ * @param {Object} workout - Workout document
+ * @returns {Promise<Object>} Workout fields with a session object
+ */
+const formatSession = async (workout) => {
+  await workout.populate('exercises.exercise', 'name muscleGroup difficulty equipment');
+
+  return {
+    ...workout.toJSON(),
+    session: workout.getSessionState(),
+  };
+};
+
+module.exports = formatSession;
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Get Active Session Use Case
+ * @description Clean Architecture: Use Case layer - Finds the user's running workout session
+ * @module useCases/sessions/GetActiveSession
+ */
+
+const Workout = require('../../entities/Workout');
+const formatSession = require('./FormatSession');
+
+/**
+ * Get the workout session the user has in progress, so clients can resume after a reload
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Workout with session state, or null when none is running
+ */
+const getActiveSession = async (userId) => {
+  const workout = await Workout.findOne({ userId, status: 'in-progress' }).sort({ startedAt: -1 });
+
+  return workout ? formatSession(workout) : null;
+};
+
+module.exports = getActiveSession;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Get Session Workout Use Case
+ * @description Clean Architecture: Use Case layer - Loads a workout for live session changes
+ * @module useCases/sessions/GetSessionWorkout
+ */
+
+const Workout = require('../../entities/Workout');
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Get a workout owned by the user
+ * @param {string} workoutId - Workout ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Workout document
+ * @throws {NotFoundError} If workout not found
+ * @throws {ForbiddenError} If user doesn't own the workout
+ */
+const getSessionWorkout = async (workoutId, userId) => {
+  const workout = await Workout.findById(workoutId);
+
+  if (!workout) {
+    throw new NotFoundError('Workout not found');
+  }
+
+  // Check ownership
+  if (workout.userId.toString() !== userId) {
+    throw new ForbiddenError('Unauthorized to access this workout');
+  }
+
+  return workout;
+};
+
+module.exports = getSessionWorkout;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Log Session Set Use Case
+ * @description Clean Architecture: Use Case layer - Records a performed set during a live session
+ * @module useCases/sessions/LogSessionSet
+ */
+
+const Exercise = require('../../entities/Exercise');
+const getSessionWorkout = require('./GetSessionWorkout');
+const formatSession = require('./FormatSession');
+const { ConflictError, NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Set fields that can be logged
+ */
+const SET_FIELDS = ['reps', 'weight', 'weightUnit', 'rpe', 'rir', 'restSeconds', 'type'];
+
+/**
+ * Log a set in a running session
+ * With setIndex, the planned set at that position is completed with the actual values;
+ * otherwise a new set is appended, adding the exercise to the workout if needed.
+ * @param {string} workoutId - Workout ID
+ * @param {Object} setData - Set data
+ * @param {string} setData.exercise - Exercise ID
+ * @param {number} setData.setIndex - Planned set to complete (optional)
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Workout with session state
+ * @throws {NotFoundError} If workout, exercise or planned set not found
+ * @throws {ForbiddenError} If user doesn't own the workout
+ * @throws {ConflictError} If the session is not running
+ * @throws {BadRequestError} If validation fails
+ */
+const logSessionSet = async (workoutId, setData, userId) => {
+  try {
+    const workout = await getSessionWorkout(workoutId, userId);
+
+    if (workout.status !== 'in-progress') {
+      throw new ConflictError('Workout session is not in progress');
+    }
+    if (workout.pausedAt) {
+      throw new ConflictError('Resume the workout session before logging sets');
+    }
+
+    const values = SET_FIELDS.reduce((acc, field) => {
+      if (setData[field] !== undefined) acc[field] = setData[field];
+      return acc;
+    }, {});
+    values.completedAt = new Date();
+
+    let entry = workout.exercises.find((item) => item.exercise.toString() === setData.exercise);
+
+    if (setData.setIndex !== undefined) {
+      const set = entry && entry.sets[setData.setIndex];
+      if (!set) {
+        throw new NotFoundError('Planned set not found');
+      }
+      set.set(values);
+    } else {
+      if (!entry) {
+        const exercise = await Exercise.exists({ _id: setData.exercise, isActive: true });
+        if (!exercise) {
+          throw new NotFoundError('Exercise not found');
+        }
+        workout.exercises.push({ exercise: setData.exercise, sets: [] });
+        entry = workout.exercises[workout.exercises.length - 1];
+      }
+      entry.sets.push(values);
+    }
+
+    await workout.save();
+
+    logger.info('Session set logged', { workoutId: workout._id, userId });
+
+    return await formatSession(workout);
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error logging session set:', err);
+    throw new BadRequestError('Failed to log set');
+  }
+};
+
+module.exports = logSessionSet;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Pause Session Use Case
+ * @description Clean Architecture: Use Case layer - Pauses a live workout session
+ * @module useCases/sessions/PauseSession
+ */
+
+const getSessionWorkout = require('./GetSessionWorkout');
+const formatSession = require('./FormatSession');
+const { ConflictError } = require('../../utils/errors');
+
+/**
+ * Pause a running session; paused time does not count towards the duration
+ * @param {string} workoutId - Workout ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Workout with session state
+ * @throws {NotFoundError} If workout not found
+ * @throws {ForbiddenError} If user doesn't own the workout
+ * @throws {ConflictError} If the workout is not in progress
+ */
+const pauseSession = async (workoutId, userId) => {
+  const workout = await getSessionWorkout(workoutId, userId);
+
+  if (workout.status !== 'in-progress') {
+    throw new ConflictError('Workout session is not in progress');
+  }
+
+  workout.pauseSession();
+  await workout.save();
+
+  return formatSession(workout);
+};
+
+module.exports = pauseSession;
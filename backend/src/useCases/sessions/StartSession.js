@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Start Session Use Case
+ * @description Clean Architecture: Use Case layer - Starts or resumes a live workout session
+ * @module useCases/sessions/StartSession
+ */
+
+const Workout = require('../../entities/Workout');
+const getSessionWorkout = require('./GetSessionWorkout');
+const formatSession = require('./FormatSession');
+const { ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Start a planned workout as a live session, or resume it if paused
+ * Only one session per user can be in progress at a time.
+ * @param {string} workoutId - Workout ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Workout with session state
+ * @throws {NotFoundError} If workout not found
+ * @throws {ForbiddenError} If user doesn't own the workout
+ * @throws {ConflictError} If the workout is finished or another session is running
+ */
+const startSession = async (workoutId, userId) => {
+  const workout = await getSessionWorkout(workoutId, userId);
+
+  if (workout.status === 'completed' || workout.status === 'cancelled') {
+    throw new ConflictError(`Cannot start a ${workout.status} workout`);
+  }
+
+  if (workout.status === 'planned') {
+    const running = await Workout.exists({
+      userId,
+      status: 'in-progress',
+      _id: { $ne: workout._id },
+    });
+    if (running) {
+      throw new ConflictError('Another workout session is already in progress');
+    }
+  }
+
+  workout.startSession();
+  await workout.save();
+
+  logger.info('Workout session started', { workoutId: workout._id, userId });
+
+  return formatSession(workout);
+};
+
+module.exports = startSession;
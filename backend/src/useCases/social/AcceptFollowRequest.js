@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Accept Follow Request Use Case
+ * @description Clean Architecture: Use Case layer - A user approves a request to follow them
+ * @module useCases/social/AcceptFollowRequest
+ */
+
+const Follow = require('../../entities/Follow');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Accept a pending follow request
+ * Declining is done by removing the follower.
+ * @param {string} userId - Followed user ID
+ * @param {string} followerId - User who asked to follow
+ * @returns {Promise<Object>} Accepted follow
+ * @throws {NotFoundError} If the user has no pending request from the follower
+ */
+const acceptFollowRequest = async (userId, followerId) => {
+  try {
+    const follow = await Follow.findOne({ followerId, followingId: userId, status: 'pending' });
+
+    if (!follow) {
+      throw new NotFoundError('Follow request not found');
+    }
+
+    follow.accept();
+    await follow.save();
+
+    logger.info('Follow request accepted', { followingId: userId, followerId });
+
+    return follow.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error accepting follow request:', err);
+    throw new BadRequestError('Failed to accept follow request');
+  }
+};
+
+module.exports = acceptFollowRequest;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Block User Use Case
+ * @description Clean Architecture: Use Case layer - Blocks a user and ends follows between the two
+ * @module useCases/social/BlockUser
+ */
+
+const User = require('../../entities/User');
+const Follow = require('../../entities/Follow');
+const Block = require('../../entities/Block');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Block a user
+ * Follows and follow requests between the two are removed; the blocked user is not notified.
+ * @param {string} userId - User ID of the blocker
+ * @param {string} blockedId - User to block
+ * @returns {Promise<Object>} Created block
+ * @throws {BadRequestError} If users block themselves
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {ConflictError} If the user is already blocked
+ */
+const blockUser = async (userId, blockedId) => {
+  try {
+    if (String(userId) === String(blockedId)) {
+      throw new BadRequestError('You cannot block yourself');
+    }
+
+    const user = await User.findById(blockedId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const block = await Block.create({ blockerId: userId, blockedId: user._id });
+    await Follow.deleteMany({
+      $or: [
+        { followerId: userId, followingId: user._id },
+        { followerId: user._id, followingId: userId },
+      ],
+    });
+
+    logger.info('User blocked', { blockerId: userId, blockedId });
+
+    return block.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle MongoDB duplicate key errors
+    if (err.code === 11000) {
+      throw new ConflictError('You already blocked this user');
+    }
+
+    logger.error('Error blocking user:', err);
+    throw new BadRequestError('Failed to block user');
+  }
+};
+
+module.exports = blockUser;
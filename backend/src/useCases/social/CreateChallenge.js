@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Create Challenge Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for creating challenges
+ * @module useCases/social/CreateChallenge
+ */
+
+const Challenge = require('../../entities/Challenge');
+const Exercise = require('../../entities/Exercise');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Create a new challenge
+ * @param {Object} challengeData - Challenge data
+ * @param {string} challengeData.title - Challenge title
+ * @param {string} challengeData.description - Challenge description
+ * @param {string} [challengeData.startDate] - First day workouts count; now if omitted
+ * @param {string} challengeData.endDate - Last day workouts count
+ * @param {Object} [challengeData.goal] - { metric, target, exerciseId }; counts workouts if omitted
+ * @param {string} userId - User ID creating the challenge
+ * @returns {Promise<Object>} Created challenge document
+ * @throws {BadRequestError} If validation fails
+ * @throws {NotFoundError} If the goal exercise is not found
+ */
+const createChallenge = async (challengeData, userId) => {
+  const {
+    title,
+    description,
+    startDate,
+    endDate,
+    goal = {},
+  } = challengeData;
+
+  try {
+    const exerciseId = goal.metric === 'exercise-volume' ? goal.exerciseId : null;
+    if (exerciseId && !(await Exercise.exists({ _id: exerciseId, isActive: true }))) {
+      throw new NotFoundError('Exercise not found');
+    }
+
+    const challenge = new Challenge({
+      title,
+      description: description || '',
+      createdBy: userId,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      endDate: new Date(endDate),
+      status: 'upcoming',
+      goal: {
+        metric: goal.metric || 'workouts',
+        target: goal.target ?? null,
+        exerciseId,
+      },
+    });
+
+    await challenge.save();
+    await challenge.populate('createdBy', 'username profile.name profile.avatar');
+    await challenge.populate('goal.exerciseId', 'name');
+
+    logger.info('Challenge created successfully', {
+      challengeId: challenge._id,
+      userId,
+    });
+
+    return challenge;
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error creating challenge:', err);
+    throw new BadRequestError('Failed to create challenge');
+  }
+};
+
+module.exports = createChallenge;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Follow User Use Case
+ * @description Clean Architecture: Use Case layer - Follows a user, or asks to if they approve followers
+ * @module useCases/social/FollowUser
+ */
+
+const User = require('../../entities/User');
+const Follow = require('../../entities/Follow');
+const Block = require('../../entities/Block');
+const { NotFoundError, BadRequestError, ConflictError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Follow a user
+ * Public accounts are followed at once; other accounts get a follow request to approve.
+ * Users who blocked each other cannot follow one another.
+ * @param {string} followerId - User ID of the follower
+ * @param {string} userId - User to follow
+ * @returns {Promise<Object>} Created follow; status is 'accepted' or 'pending'
+ * @throws {BadRequestError} If users follow themselves
+ * @throws {NotFoundError} If the user does not exist or a block is in place
+ * @throws {ConflictError} If the user is already followed or asked
+ */
+const followUser = async (followerId, userId) => {
+  try {
+    if (String(followerId) === String(userId)) {
+      throw new BadRequestError('You cannot follow yourself');
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive || await Block.existsBetween(followerId, user._id)) {
+      throw new NotFoundError('User not found');
+    }
+
+    const approvalRequired = user.requiresFollowApproval();
+    const follow = await Follow.create({
+      followerId,
+      followingId: user._id,
+      status: approvalRequired ? 'pending' : 'accepted',
+      acceptedAt: approvalRequired ? null : new Date(),
+    });
+
+    logger.info(approvalRequired ? 'Follow requested' : 'User followed', {
+      followerId,
+      followingId: userId,
+    });
+
+    return follow.toJSON();
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle MongoDB duplicate key errors
+    if (err.code === 11000) {
+      throw new ConflictError('You already follow or asked to follow this user');
+    }
+
+    logger.error('Error following user:', err);
+    throw new BadRequestError('Failed to follow user');
+  }
+};
+
+module.exports = followUser;
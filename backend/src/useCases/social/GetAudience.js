@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Get Audience Use Case
+ * @description Clean Architecture: Use Case layer - Loads what decides which shared content a user may see
+ * @module useCases/social/GetAudience
+ */
+
+const Follow = require('../../entities/Follow');
+const Block = require('../../entities/Block');
+
+/**
+ * Get a viewer's relations to other users, for the rules in utils/visibility
+ * Profile settings are not loaded here: posts carry their author's, and profiles have their own.
+ * @param {string} viewerId - User ID of the viewer
+ * @returns {Promise<Object>} { viewerId, followingIds, hiddenUserIds }
+ */
+const getAudience = async (viewerId) => {
+  const [followingIds, hiddenUserIds] = await Promise.all([
+    Follow.getFollowingIds(viewerId),
+    Block.getHiddenUserIds(viewerId),
+  ]);
+
+  return { viewerId, followingIds, hiddenUserIds };
+};
+
+module.exports = getAudience;
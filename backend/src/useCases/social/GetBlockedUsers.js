@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Get Blocked Users Use Case
+ * @description Clean Architecture: Use Case layer - Lists the users someone blocked
+ * @module useCases/social/GetBlockedUsers
+ */
+
+const Block = require('../../entities/Block');
+
+/**
+ * Get the users a user blocked, newest first
+ * @param {string} userId - User ID of the blocker
+ * @returns {Promise<Object>} { blocks }; each block has blockedId populated
+ */
+const getBlockedUsers = async (userId) => {
+  const blocks = await Block.find({ blockerId: userId })
+    .populate('blockedId', 'username profile.name profile.avatar')
+    .sort({ createdAt: -1 });
+
+  return { blocks: blocks.map((block) => block.toJSON()) };
+};
+
+module.exports = getBlockedUsers;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Get Challenge Leaderboard Use Case
+ * @description Clean Architecture: Use Case layer - Ranks challenge participants by goal progress
+ * @module useCases/social/GetChallengeLeaderboard
+ */
+
+const Challenge = require('../../entities/Challenge');
+const Workout = require('../../entities/Workout');
+const User = require('../../entities/User');
+const getAudience = require('./GetAudience');
+const { NotFoundError } = require('../../utils/errors');
+const { canView } = require('../../utils/visibility');
+const { rankParticipants, challengePeriod, GOAL_UNITS } = require('../../utils/challengeProgress');
+
+/**
+ * Workout fields each goal metric is measured from
+ */
+const METRIC_FIELDS = {
+  workouts: '',
+  minutes: 'duration',
+  calories: 'caloriesBurned',
+  distance: 'cardio.distance cardio.distanceUnit',
+  'exercise-volume': 'exercises.exercise exercises.sets',
+};
+
+/**
+ * Get the leaderboard of a challenge
+ * Progress counts completed workouts dated from the challenge's start date to the end of its end
+ * date. Users blocked either way and users whose profile the viewer may not see are left out.
+ * A listed participant's total counts all of their completed workouts, private ones included, so
+ * every viewer sees the same standings.
+ * @param {string} viewerId - User ID of the viewer
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise<Object>} { challenge, unit, leaderboard, currentUser }; leaderboard entries
+ *   are { rank, user, value, percent, completed }, and currentUser is the viewer's entry or null
+ * @throws {NotFoundError} If the challenge is not found
+ */
+const getChallengeLeaderboard = async (viewerId, challengeId) => {
+  const challenge = await Challenge.findById(challengeId)
+    .populate('goal.exerciseId', 'name')
+    .lean();
+
+  if (!challenge || !challenge.isActive) {
+    throw new NotFoundError('Challenge not found');
+  }
+
+  const { participants, ...details } = challenge;
+  const audience = await getAudience(viewerId);
+  const participantUsers = await User.find({
+    _id: { $in: participants, $nin: audience.hiddenUserIds },
+    isActive: true,
+  })
+    .select('username profile.name profile.avatar privacy.profile')
+    .lean();
+
+  const users = participantUsers
+    .filter((user) => canView(audience, user._id, user.privacy?.profile))
+    .map(({ privacy, ...user }) => user);
+
+  const userIds = users.map((user) => user._id);
+  // Challenges from before goals existed count workouts
+  const goal = {
+    metric: 'workouts',
+    target: null,
+    ...details.goal,
+    exerciseId: details.goal?.exerciseId?._id || null,
+  };
+
+  const workouts = await Workout.find({
+    userId: { $in: userIds },
+    status: 'completed',
+    date: challengePeriod(details),
+  })
+    .select(`userId ${METRIC_FIELDS[goal.metric]}`)
+    .lean();
+
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+  const leaderboard = rankParticipants(userIds, workouts, goal).map(({ userId, ...entry }) => ({
+    ...entry,
+    user: usersById.get(userId),
+  }));
+
+  return {
+    challenge: { ...details, goal: { ...goal, exerciseId: details.goal?.exerciseId || null } },
+    unit: GOAL_UNITS[goal.metric],
+    leaderboard,
+    currentUser: leaderboard.find((entry) => String(entry.user._id) === String(viewerId)) || null,
+  };
+};
+
+module.exports = getChallengeLeaderboard;
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Get Feed Use Case
+ * @description Clean Architecture: Use Case layer - Builds a user's home feed from the people they follow
+ * @module useCases/social/GetFeed
+ */
+
+const Post = require('../../entities/Post');
+const getAudience = require('./GetAudience');
+
+/**
+ * Get the posts of the users someone follows and their own, newest first
+ * Posts the user may not see, such as private ones, are left out.
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit] - Posts per page
+ * @returns {Promise<Object>} { posts, nextCursor }
+ */
+const getFeed = async (userId, { cursor, limit = 20 } = {}) => {
+  const audience = await getAudience(userId);
+
+  return Post.getFeed([...audience.followingIds, userId], { cursor, limit, audience });
+};
+
+module.exports = getFeed;
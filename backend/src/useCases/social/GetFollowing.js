@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Get Following Use Case
+ * @description Clean Architecture: Use Case layer - Lists the users someone follows
+ * @module useCases/social/GetFollowing
+ */
+
+const User = require('../../entities/User');
+const Follow = require('../../entities/Follow');
+const getAudience = require('./GetAudience');
+const { includesId, canView } = require('../../utils/visibility');
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Get the users a user follows, newest first
+ * The list is shown to those who may see the user's profile, and leaves out blocked users.
+ * @param {string} viewerId - User ID of the viewer
+ * @param {string} userId - Follower user ID
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Results per page
+ * @returns {Promise<Object>} { follows, pagination }; each follow has followingId populated
+ * @throws {NotFoundError} If the user does not exist or a block is in place with the viewer
+ * @throws {ForbiddenError} If the viewer may not see the user's profile
+ */
+const getFollowing = async (viewerId, userId, { page = 1, limit = 20 } = {}) => {
+  const [user, audience] = await Promise.all([
+    User.findById(userId).select('privacy.profile isActive'),
+    getAudience(viewerId),
+  ]);
+  if (!user || !user.isActive || includesId(audience.hiddenUserIds, userId)) {
+    throw new NotFoundError('User not found');
+  }
+  if (!canView(audience, userId, user.privacy.profile)) {
+    throw new ForbiddenError('Only people this user approved can see who they follow');
+  }
+
+  const query = {
+    followerId: userId,
+    followingId: { $nin: audience.hiddenUserIds },
+    status: 'accepted',
+  };
+  const skip = (page - 1) * limit;
+
+  const [follows, total] = await Promise.all([
+    Follow.find(query)
+      .populate('followingId', 'username profile.name profile.avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit, 10)),
+    Follow.countDocuments(query),
+  ]);
+
+  return {
+    follows: follows.map((follow) => follow.toJSON()),
+    pagination: {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = getFollowing;
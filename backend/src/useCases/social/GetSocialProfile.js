@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Get Social Profile Use Case
+ * @description Clean Architecture: Use Case layer - Shows a user's public profile and follow counts
+ * @module useCases/social/GetSocialProfile
+ */
+
+const User = require('../../entities/User');
+const Follow = require('../../entities/Follow');
+const getAudience = require('./GetAudience');
+const { includesId, canView } = require('../../utils/visibility');
+const { NotFoundError } = require('../../utils/errors');
+
+/**
+ * Get a user's profile as seen by another user
+ * Viewers who may not see the profile only get the name and picture, so they can ask to follow.
+ * @param {string} viewerId - User ID of the viewer
+ * @param {string} userId - User to show
+ * @returns {Promise<Object>} { user, restricted, followers, following, followStatus };
+ *   followStatus is null, 'pending' or 'accepted' and tells how the viewer follows the user
+ * @throws {NotFoundError} If the user does not exist or a block is in place
+ */
+const getSocialProfile = async (viewerId, userId) => {
+  const [user, audience] = await Promise.all([User.findById(userId), getAudience(viewerId)]);
+  if (!user || !user.isActive || includesId(audience.hiddenUserIds, user._id)) {
+    throw new NotFoundError('User not found');
+  }
+
+  const restricted = !canView(audience, user._id, user.privacy.profile);
+  const [counts, statuses] = await Promise.all([
+    restricted ? { followers: null, following: null } : Follow.getCounts(user._id),
+    Follow.getStatuses(viewerId, [user._id]),
+  ]);
+
+  return {
+    user: {
+      id: user._id,
+      username: user.username,
+      profile: {
+        name: user.profile.name,
+        avatar: user.profile.avatar,
+        ...(!restricted && { bio: user.profile.bio }),
+      },
+      privacy: { profile: user.privacy.profile },
+      createdAt: user.createdAt,
+    },
+    restricted,
+    ...counts,
+    followStatus: statuses[String(user._id)] || null,
+  };
+};
+
+module.exports = getSocialProfile;
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Remove Follower Use Case
+ * @description Clean Architecture: Use Case layer - Removes a follower or declines a follow request
+ * @module useCases/social/RemoveFollower
+ */
+
+const Follow = require('../../entities/Follow');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Remove a user from one's followers, or decline their pending follow request
+ * They are not notified and can ask again.
+ * @param {string} userId - Followed user ID
+ * @param {string} followerId - Follower to remove
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user neither follows nor asked to
+ */
+const removeFollower = async (userId, followerId) => {
+  try {
+    const result = await Follow.deleteOne({ followerId, followingId: userId });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('This user does not follow you');
+    }
+
+    logger.info('Follower removed', { followingId: userId, followerId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error removing follower:', err);
+    throw new BadRequestError('Failed to remove follower');
+  }
+};
+
+module.exports = removeFollower;
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Unblock User Use Case
+ * @description Clean Architecture: Use Case layer - Lifts a block
+ * @module useCases/social/UnblockUser
+ */
+
+const Block = require('../../entities/Block');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Unblock a user
+ * Follows removed by the block are not restored.
+ * @param {string} userId - User ID of the blocker
+ * @param {string} blockedId - Blocked user
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user did not block them
+ */
+const unblockUser = async (userId, blockedId) => {
+  try {
+    const result = await Block.deleteOne({ blockerId: userId, blockedId });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('You have not blocked this user');
+    }
+
+    logger.info('User unblocked', { blockerId: userId, blockedId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error unblocking user:', err);
+    throw new BadRequestError('Failed to unblock user');
+  }
+};
+
+module.exports = unblockUser;
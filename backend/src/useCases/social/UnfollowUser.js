@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Unfollow User Use Case
+ * @description Clean Architecture: Use Case layer - Unfollows a user or withdraws a follow request
+ * @module useCases/social/UnfollowUser
+ */
+
+const Follow = require('../../entities/Follow');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Stop following a user, or withdraw a pending follow request
+ * @param {string} followerId - User ID of the follower
+ * @param {string} userId - Followed user ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user is neither followed nor asked
+ */
+const unfollowUser = async (followerId, userId) => {
+  try {
+    const result = await Follow.deleteOne({ followerId, followingId: userId });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('You do not follow this user');
+    }
+
+    logger.info('User unfollowed', { followerId, followingId: userId });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error unfollowing user:', err);
+    throw new BadRequestError('Failed to unfollow user');
+  }
+};
+
+module.exports = unfollowUser;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Create Template Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for creating workout templates
+ * @module useCases/templates/CreateTemplate
+ */
+
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+const Exercise = require('../../entities/Exercise');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Create a new workout template
+ * @param {Object} templateData - Template data
+ * @param {string} templateData.title - Template title
+ * @param {string} templateData.description - Template description
+ * @param {Array<Object>} templateData.exercises - Ordered { exercise, targetSets, targetReps, targetWeight, weightUnit, restSeconds, notes } entries
+ * @param {number} templateData.estimatedDuration - Estimated duration in minutes
+ * @param {string} userId - User ID creating the template
+ * @returns {Promise<Object>} Created template document
+ * @throws {BadRequestError} If validation fails
+ * @throws {NotFoundError} If exercises not found
+ */
+const createTemplate = async (templateData, userId) => {
+  const { title, description, exercises, estimatedDuration } = templateData;
+
+  try {
+    // Validate exercises exist
+    const exerciseIds = [...new Set(exercises.map((entry) => entry.exercise))];
+    const exerciseDocs = await Exercise.find({
+      _id: { $in: exerciseIds },
+      isActive: true,
+    });
+
+    if (exerciseDocs.length !== exerciseIds.length) {
+      throw new NotFoundError('One or more exercises not found');
+    }
+
+    const template = new WorkoutTemplate({
+      title,
+      description: description || '',
+      exercises,
+      estimatedDuration: estimatedDuration || 0,
+      userId,
+    });
+
+    await template.save();
+    await template.populate('exercises.exercise', 'name muscleGroup difficulty');
+
+    logger.info('Workout template created successfully', {
+      templateId: template._id,
+      userId,
+    });
+
+    return template;
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error creating workout template:', err);
+    throw new BadRequestError('Failed to create workout template');
+  }
+};
+
+module.exports = createTemplate;
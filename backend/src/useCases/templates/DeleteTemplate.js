@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Delete Template Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for deleting workout templates
+ * @module useCases/templates/DeleteTemplate
+ */
+
+const getTemplate = require('./GetTemplate');
+const logger = require('../../utils/logger');
+
+/**
+ * Delete a workout template (soft delete)
+ * Workouts already created from the template are kept
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If template not found
+ * @throws {ForbiddenError} If user doesn't own the template
+ */
+const deleteTemplate = async (templateId, userId) => {
+  try {
+    const template = await getTemplate(templateId, userId);
+
+    template.isActive = false;
+    await template.save();
+
+    logger.info('Workout template deleted successfully', {
+      templateId: template._id,
+      userId,
+    });
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    logger.error('Error deleting workout template:', err);
+    throw new Error('Failed to delete workout template');
+  }
+};
+
+module.exports = deleteTemplate;
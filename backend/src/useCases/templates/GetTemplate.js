@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Get Template Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for loading a single workout template
+ * @module useCases/templates/GetTemplate
+ */
+
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+const { NotFoundError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Get a template owned by the user
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Template document
+ * @throws {NotFoundError} If template not found
+ * @throws {ForbiddenError} If user doesn't own the template
+ */
+const getTemplate = async (templateId, userId) => {
+  const template = await WorkoutTemplate.findById(templateId);
+
+  if (!template || !template.isActive) {
+    throw new NotFoundError('Workout template not found');
+  }
+
+  // Check ownership
+  if (template.userId.toString() !== userId) {
+    throw new ForbiddenError('Unauthorized to access this workout template');
+  }
+
+  return template;
+};
+
+module.exports = getTemplate;
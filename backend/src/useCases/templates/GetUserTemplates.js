@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Get User Templates Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for listing workout templates
+ * @module useCases/templates/GetUserTemplates
+ */
+
+const WorkoutTemplate = require('../../entities/WorkoutTemplate');
+
+/**
+ * Get all active templates for a user
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Results per page
+ * @returns {Promise<Object>} Templates with pagination info
+ */
+const getUserTemplates = async (userId, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+
+  try {
+    const query = { userId, isActive: true };
+    const skip = (page - 1) * limit;
+
+    const [templates, total] = await Promise.all([
+      WorkoutTemplate.find(query)
+        .populate('exercises.exercise', 'name muscleGroup difficulty equipment')
+        .sort({ title: 1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10))
+        .lean(),
+      WorkoutTemplate.countDocuments(query),
+    ]);
+
+    return {
+      templates,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (err) {
+    throw new Error('Failed to retrieve workout templates');
+  }
+};
+
+module.exports = getUserTemplates;
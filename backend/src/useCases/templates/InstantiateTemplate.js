@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Instantiate Template Use Case
+ * @description Clean Architecture: Use Case layer - Turns a workout template into a planned workout
+ * @module useCases/templates/InstantiateTemplate
+ */
+
+const getTemplate = require('./GetTemplate');
+const createWorkout = require('../workouts/CreateWorkout');
+
+/**
+ * Create a planned workout from a template
+ * Target sets are copied in as planned sets with their targets; they count once reps are logged
+ * @param {string} templateId - Template ID
+ * @param {Object} options - Instantiation options
+ * @param {Date} options.date - Date to schedule the workout on
+ * @param {string} options.title - Optional title override
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Created workout object
+ * @throws {NotFoundError} If template not found
+ * @throws {ForbiddenError} If user doesn't own the template
+ */
+const instantiateTemplate = async (templateId, options, userId) => {
+  const { date, title } = options;
+
+  const template = await getTemplate(templateId, userId);
+
+  return createWorkout(
+    {
+      title: title || template.title,
+      description: template.description,
+      exercises: template.toWorkoutExercises(),
+      duration: template.estimatedDuration,
+      date,
+      status: 'planned',
+      templateId: template._id,
+    },
+    userId,
+  );
+};
+
+module.exports = instantiateTemplate;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Update Template Use Case
+ * @description Clean Architecture: Use Case layer - Business logic for updating workout templates
+ * @module useCases/templates/UpdateTemplate
+ */
+
+const Exercise = require('../../entities/Exercise');
+const getTemplate = require('./GetTemplate');
+const { NotFoundError, BadRequestError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Update a workout template
+ * @param {string} templateId - Template ID
+ * @param {Object} updateData - Template update data
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Updated template document
+ * @throws {NotFoundError} If template or exercises not found
+ * @throws {ForbiddenError} If user doesn't own the template
+ * @throws {BadRequestError} If validation fails
+ */
+const updateTemplate = async (templateId, updateData, userId) => {
+  try {
+    const template = await getTemplate(templateId, userId);
+
+    // Validate exercises if provided
+    if (updateData.exercises !== undefined) {
+      const exerciseIds = [...new Set(updateData.exercises.map((entry) => entry.exercise))];
+      const exerciseDocs = await Exercise.find({
+        _id: { $in: exerciseIds },
+        isActive: true,
+      });
+
+      if (exerciseDocs.length !== exerciseIds.length) {
+        throw new NotFoundError('One or more exercises not found');
+      }
+    }
+
+    // Update fields
+    if (updateData.title !== undefined) template.title = updateData.title;
+    if (updateData.description !== undefined) template.description = updateData.description;
+    if (updateData.exercises !== undefined) template.exercises = updateData.exercises;
+    if (updateData.estimatedDuration !== undefined) {
+      template.estimatedDuration = updateData.estimatedDuration;
+    }
+
+    await template.save();
+    await template.populate('exercises.exercise', 'name muscleGroup difficulty');
+
+    logger.info('Workout template updated successfully', {
+      templateId: template._id,
+      userId,
+    });
+
+    return template;
+  } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
+    // Handle validation errors
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map((e) => e.message);
+      throw new BadRequestError(errors.join(', '));
+    }
+
+    logger.error('Error updating workout template:', err);
+    throw new BadRequestError('Failed to update workout template');
+  }
+};
+
+module.exports = updateTemplate;
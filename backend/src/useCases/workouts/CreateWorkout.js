@@ -6,6 +6,9 @@
 
 const Workout = require('../../entities/Workout');
 const Exercise = require('../../entities/Exercise');
+const recalculatePersonalRecords = require('../records/RecalculatePersonalRecords');
+const flagRecordSets = require('../records/FlagRecordSets');
+const estimateWorkoutCalories = require('./EstimateWorkoutCalories');
 const { BadRequestError, NotFoundError } = require('../../utils/errors');
 const logger = require('../../utils/logger');
 
@@ -14,27 +17,52 @@ const logger = require('../../utils/logger');
  * @param {Object} workoutData - Workout data
  * @param {string} workoutData.title - Workout title
  * @param {string} workoutData.description - Workout description
- * @param {Array<string>} workoutData.exercises - Array of exercise IDs
- * @param {number} workoutData.duration - Duration in minutes
- * @param {number} workoutData.caloriesBurned - Calories burned
+ * @param {Array<string|Object>} workoutData.exercises - Exercise IDs or { exercise, sets, notes } entries
+ * @param {Array<Object>} workoutData.cardio - Endurance activities with distance, time and splits
+ * @param {number} workoutData.duration - Duration in minutes (defaults to the cardio moving time)
+ * @param {number} workoutData.caloriesBurned - Calories burned (estimated from exercise METs when omitted)
  * @param {Date} workoutData.date - Workout date
+ * @param {string} workoutData.status - Initial status (defaults to planned)
+ * @param {string} workoutData.templateId - Template the workout was created from
+ * @param {string} workoutData.assignedBy - Coach planning the workout for the user
+ * @param {string} workoutData.visibility - Who may see the workout when shared (defaults to public)
  * @param {string} userId - User ID creating the workout
  * @returns {Promise<Object>} Created workout object
  * @throws {BadRequestError} If validation fails
  * @throws {NotFoundError} If exercises not found
  */
 const createWorkout = async (workoutData, userId) => {
-  const { title, description, exercises, duration, caloriesBurned, date } = workoutData;
+  const {
+    title,
+    description,
+    exercises,
+    cardio,
+    duration,
+    caloriesBurned,
+    date,
+    status,
+    templateId,
+    assignedBy,
+    visibility,
+  } = workoutData;
 
   try {
+    const exerciseEntries = Workout.normalizeExercises(exercises);
+    const cardioEntries = Workout.normalizeCardio(cardio);
+    const cardioMinutes = cardioEntries.reduce(
+      (sum, entry) => sum + (entry.movingTimeSeconds || 0) / 60,
+      0,
+    );
+
     // Validate exercises exist
-    if (exercises && exercises.length > 0) {
+    if (exerciseEntries.length > 0) {
+      const exerciseIds = Workout.getExerciseIds(exerciseEntries);
       const exerciseDocs = await Exercise.find({
-        _id: { $in: exercises },
+        _id: { $in: exerciseIds },
         isActive: true,
       });
 
-      if (exerciseDocs.length !== exercises.length) {
+      if (exerciseDocs.length !== exerciseIds.length) {
         throw new NotFoundError('One or more exercises not found');
       }
     }
@@ -43,19 +71,33 @@ const createWorkout = async (workoutData, userId) => {
     const workout = new Workout({
       title,
       description: description || '',
-      exercises: exercises || [],
-      duration: duration || 0,
+      exercises: exerciseEntries,
+      cardio: cardioEntries,
+      duration: duration || Math.round(cardioMinutes),
       caloriesBurned: caloriesBurned || 0,
       date: date ? new Date(date) : new Date(),
       userId,
-      status: 'planned',
+      status: status || 'planned',
+      templateId: templateId || null,
+      assignedBy: assignedBy || null,
+      ...(visibility && { visibility }),
     });
 
+    if (caloriesBurned === undefined || caloriesBurned === null) {
+      await estimateWorkoutCalories(workout, userId);
+    }
+
     // Save workout
     await workout.save();
 
+    // Logged sets of a completed workout may set new personal records
+    if (workout.status === 'completed') {
+      await recalculatePersonalRecords(userId, Workout.getExerciseIds(workout.exercises));
+    }
+
     // Populate exercises for response
-    await workout.populate('exercises', 'name muscleGroup difficulty');
+    await workout.populate('exercises.exercise', 'name muscleGroup difficulty');
+    const [flagged] = await flagRecordSets([workout.toObject()]);
 
     logger.info('Workout created successfully', {
       workoutId: workout._id,
@@ -66,11 +108,17 @@ const createWorkout = async (workoutData, userId) => {
       id: workout._id,
       title: workout.title,
       description: workout.description,
-      exercises: workout.exercises,
+      exercises: flagged.exercises,
+      personalRecords: flagged.personalRecords,
+      cardio: workout.cardio,
       duration: workout.duration,
       caloriesBurned: workout.caloriesBurned,
+      caloriesSource: workout.caloriesSource,
       date: workout.date,
       status: workout.status,
+      templateId: workout.templateId,
+      assignedBy: workout.assignedBy,
+      visibility: workout.visibility,
       createdAt: workout.createdAt,
     };
   } catch (err) {
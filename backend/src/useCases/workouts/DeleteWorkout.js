@@ -5,6 +5,8 @@
  */
 
 const Workout = require('../../entities/Workout');
+const WorkoutSeries = require('../../entities/WorkoutSeries');
+const recalculatePersonalRecords = require('../records/RecalculatePersonalRecords');
 const { NotFoundError, ForbiddenError } = require('../../utils/errors');
 const logger = require('../../utils/logger');
 
@@ -33,6 +35,19 @@ const deleteWorkout = async (workoutId, userId) => {
     // Delete workout
     await workout.deleteOne();
 
+    // Keep the series from materializing this occurrence again
+    if (workout.seriesId && workout.occurrenceDate) {
+      const series = await WorkoutSeries.findById(workout.seriesId);
+      if (series && series.addExdate(workout.occurrenceDate)) {
+        await series.save();
+      }
+    }
+
+    // Records set in this workout no longer stand
+    if (workout.status === 'completed') {
+      await recalculatePersonalRecords(userId, Workout.getExerciseIds(workout.exercises));
+    }
+
     logger.info('Workout deleted successfully', {
       workoutId: workout._id,
       userId,
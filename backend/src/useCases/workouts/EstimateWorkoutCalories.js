@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Estimate Workout Calories Use Case
+ * @description Clean Architecture: Use Case layer - Applies MET-based calorie estimates to workouts
+ * @module useCases/workouts/EstimateWorkoutCalories
+ */
+
+const Exercise = require('../../entities/Exercise');
+const User = require('../../entities/User');
+const Workout = require('../../entities/Workout');
+
+/**
+ * Estimate a workout's calories from its exercises' METs and the user's body weight
+ * Sets caloriesBurned, marks the value as estimated and records per-exercise estimates.
+ * The workout is not saved.
+ * @param {Object} workout - Workout document
+ * @param {string} userId - Workout owner
+ * @returns {Promise<Object>} The same workout document
+ */
+const estimateWorkoutCalories = async (workout, userId) => {
+  const [exercises, user] = await Promise.all([
+    Exercise.find({ _id: { $in: Workout.getExerciseIds(workout.exercises) } }).select('met difficulty'),
+    User.findById(userId).select('profile'),
+  ]);
+
+  const metByExercise = exercises.reduce((acc, exercise) => {
+    acc[exercise._id.toString()] = exercise.getMet();
+    return acc;
+  }, {});
+
+  workout.caloriesBurned = workout.calculateEstimatedCalories(
+    metByExercise,
+    user ? user.getBodyWeightKg() : null,
+  );
+  workout.caloriesSource = 'met';
+
+  return workout;
+};
+
+module.exports = estimateWorkoutCalories;
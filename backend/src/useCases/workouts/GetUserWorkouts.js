@@ -5,17 +5,23 @@
  */
 
 const Workout = require('../../entities/Workout');
+const flagRecordSets = require('../records/FlagRecordSets');
+const extendUserSeries = require('../schedules/ExtendUserSeries');
+const authorizeCoachAccess = require('../coaching/AuthorizeCoachAccess');
 
 /**
  * Get all workouts for a user
- * @param {string} userId - User ID
+ * Coaches can list a client's workouts by passing targetUserId; each such access is audited.
+ * @param {string} userId - User ID of the caller
  * @param {Object} options - Query options
+ * @param {string} options.targetUserId - Client whose workouts to list (defaults to the caller)
  * @param {Date} options.startDate - Start date filter
  * @param {Date} options.endDate - End date filter
  * @param {string} options.status - Status filter
  * @param {number} options.page - Page number
  * @param {number} options.limit - Results per page
  * @returns {Promise<Object>} Workouts with pagination info
+ * @throws {ForbiddenError} If the caller may not read the target user's workouts
  */
 const getUserWorkouts = async (userId, options = {}) => {
   const {
@@ -24,10 +30,21 @@ const getUserWorkouts = async (userId, options = {}) => {
     status,
     page = 1,
     limit = 20,
+    targetUserId,
   } = options;
 
   try {
-    const query = { userId };
+    const ownerId = targetUserId || userId;
+    if (String(ownerId) !== String(userId)) {
+      await authorizeCoachAccess(userId, ownerId, 'workouts:read', 'workouts:list', {
+        startDate, endDate, status, page,
+      });
+    }
+
+    // Roll recurring workouts forward before listing
+    await extendUserSeries(ownerId);
+
+    const query = { userId: ownerId };
 
     // Date range filter
     if (startDate || endDate) {
@@ -45,7 +62,7 @@ const getUserWorkouts = async (userId, options = {}) => {
 
     const [workouts, total] = await Promise.all([
       Workout.find(query)
-        .populate('exercises', 'name muscleGroup difficulty equipment')
+        .populate('exercises.exercise', 'name muscleGroup difficulty equipment')
         .sort({ date: -1 })
         .skip(skip)
         .limit(parseInt(limit, 10))
@@ -54,7 +71,7 @@ const getUserWorkouts = async (userId, options = {}) => {
     ]);
 
     return {
-      workouts,
+      workouts: await flagRecordSets(workouts),
       pagination: {
         page: parseInt(page, 10),
         limit: parseInt(limit, 10),
@@ -63,6 +80,11 @@ const getUserWorkouts = async (userId, options = {}) => {
       },
     };
   } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
     throw new Error('Failed to retrieve workouts');
   }
 };
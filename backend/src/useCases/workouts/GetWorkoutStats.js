@@ -6,21 +6,102 @@
 
 const Workout = require('../../entities/Workout');
 const mongoose = require('mongoose');
+const { MI_TO_KM } = require('../../utils/units');
+const authorizeCoachAccess = require('../coaching/AuthorizeCoachAccess');
+
+/**
+ * Aggregate cardio distance and time per ISO week and activity type
+ * @param {Object} matchStage - Workout match stage
+ * @returns {Promise<Array<Object>>} Rows { week, activityType, distanceKm, movingTimeSeconds, sessions }
+ */
+const aggregateCardioWeeks = async (matchStage) => {
+  const rows = await Workout.aggregate([
+    { $match: { ...matchStage, 'cardio.0': { $exists: true } } },
+    { $unwind: '$cardio' },
+    {
+      $group: {
+        _id: {
+          week: { $dateToString: { format: '%G-W%V', date: '$date' } },
+          activityType: '$cardio.activityType',
+        },
+        distanceKm: {
+          $sum: {
+            $cond: [
+              { $eq: ['$cardio.distanceUnit', 'mi'] },
+              { $multiply: ['$cardio.distance', MI_TO_KM] },
+              '$cardio.distance',
+            ],
+          },
+        },
+        movingTimeSeconds: { $sum: '$cardio.movingTimeSeconds' },
+        sessions: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.week': 1, '_id.activityType': 1 } },
+  ]);
+
+  return rows.map((row) => ({
+    week: row._id.week,
+    activityType: row._id.activityType,
+    distanceKm: Math.round(row.distanceKm * 100) / 100,
+    movingTimeSeconds: row.movingTimeSeconds,
+    sessions: row.sessions,
+    // Distance-weighted: total time over total distance, not the mean of per-activity paces
+    avgPaceSecondsPerKm: row.distanceKm > 0 ? Math.round(row.movingTimeSeconds / row.distanceKm) : null,
+  }));
+};
+
+/**
+ * Summarize weekly cardio rows per activity type
+ * @param {Array<Object>} weekly - Rows from aggregateCardioWeeks
+ * @returns {Array<Object>} Rows { activityType, distanceKm, movingTimeSeconds, sessions, avgPaceSecondsPerKm }
+ */
+const summarizeCardioByActivity = (weekly) => {
+  const byActivity = {};
+  weekly.forEach((row) => {
+    const summary = byActivity[row.activityType] || {
+      activityType: row.activityType,
+      distanceKm: 0,
+      movingTimeSeconds: 0,
+      sessions: 0,
+    };
+    summary.distanceKm += row.distanceKm;
+    summary.movingTimeSeconds += row.movingTimeSeconds;
+    summary.sessions += row.sessions;
+    byActivity[row.activityType] = summary;
+  });
+
+  return Object.values(byActivity).map((summary) => ({
+    ...summary,
+    distanceKm: Math.round(summary.distanceKm * 100) / 100,
+    avgPaceSecondsPerKm: summary.distanceKm > 0
+      ? Math.round(summary.movingTimeSeconds / summary.distanceKm)
+      : null,
+  }));
+};
 
 /**
  * Get aggregated workout statistics for a user
- * @param {string} userId - User ID
+ * Coaches can get a client's statistics by passing targetUserId; each such access is audited.
+ * @param {string} userId - User ID of the caller
  * @param {Object} options - Query options
+ * @param {string} options.targetUserId - Client whose statistics to get (defaults to the caller)
  * @param {Date} options.startDate - Start date for statistics
  * @param {Date} options.endDate - End date for statistics
  * @returns {Promise<Object>} Statistics object
+ * @throws {ForbiddenError} If the caller may not read the target user's statistics
  */
 const getWorkoutStats = async (userId, options = {}) => {
-  const { startDate, endDate } = options;
+  const { startDate, endDate, targetUserId } = options;
 
   try {
+    const ownerId = targetUserId || userId;
+    if (String(ownerId) !== String(userId)) {
+      await authorizeCoachAccess(userId, ownerId, 'stats:read', 'stats:view', { startDate, endDate });
+    }
+
     const matchStage = {
-      userId: new mongoose.Types.ObjectId(userId),
+      userId: new mongoose.Types.ObjectId(ownerId),
       status: 'completed',
     };
 
@@ -57,11 +138,22 @@ const getWorkoutStats = async (userId, options = {}) => {
       { totalDuration: 0, totalCalories: 0, totalWorkouts: 0 },
     );
 
+    const weeklyCardio = await aggregateCardioWeeks(matchStage);
+
     return {
       dailyStats: stats,
       totals,
+      cardio: {
+        weekly: weeklyCardio,
+        byActivity: summarizeCardioByActivity(weeklyCardio),
+      },
     };
   } catch (err) {
+    // Re-throw known errors
+    if (err.isOperational) {
+      throw err;
+    }
+
     throw new Error('Failed to retrieve workout statistics');
   }
 };
@@ -6,6 +6,9 @@
 
 const Workout = require('../../entities/Workout');
 const Exercise = require('../../entities/Exercise');
+const recalculatePersonalRecords = require('../records/RecalculatePersonalRecords');
+const flagRecordSets = require('../records/FlagRecordSets');
+const estimateWorkoutCalories = require('./EstimateWorkoutCalories');
 const { NotFoundError, ForbiddenError, BadRequestError } = require('../../utils/errors');
 const logger = require('../../utils/logger');
 
@@ -34,32 +37,71 @@ const updateWorkout = async (workoutId, updateData, userId) => {
     }
 
     // Validate exercises if provided
-    if (updateData.exercises && updateData.exercises.length > 0) {
+    const exerciseEntries = updateData.exercises !== undefined
+      ? Workout.normalizeExercises(updateData.exercises)
+      : undefined;
+
+    if (exerciseEntries && exerciseEntries.length > 0) {
+      const exerciseIds = Workout.getExerciseIds(exerciseEntries);
       const exerciseDocs = await Exercise.find({
-        _id: { $in: updateData.exercises },
+        _id: { $in: exerciseIds },
         isActive: true,
       });
 
-      if (exerciseDocs.length !== updateData.exercises.length) {
+      if (exerciseDocs.length !== exerciseIds.length) {
         throw new NotFoundError('One or more exercises not found');
       }
     }
 
+    // Exercises dropped by this update may lose their records
+    const previousExerciseIds = Workout.getExerciseIds(workout.exercises);
+
     // Update fields
     if (updateData.title !== undefined) workout.title = updateData.title;
     if (updateData.description !== undefined) workout.description = updateData.description;
-    if (updateData.exercises !== undefined) workout.exercises = updateData.exercises;
+    if (exerciseEntries !== undefined) workout.exercises = exerciseEntries;
+    if (updateData.cardio !== undefined) {
+      workout.cardio = Workout.normalizeCardio(updateData.cardio, workout.cardio);
+    }
     if (updateData.duration !== undefined) workout.duration = updateData.duration;
-    if (updateData.caloriesBurned !== undefined) workout.caloriesBurned = updateData.caloriesBurned;
+    if (updateData.caloriesBurned !== undefined) {
+      workout.caloriesBurned = updateData.caloriesBurned;
+      workout.caloriesSource = 'entered';
+    }
     if (updateData.date !== undefined) workout.date = new Date(updateData.date);
     if (updateData.status !== undefined) workout.status = updateData.status;
     if (updateData.notes !== undefined) workout.notes = updateData.notes;
+    if (updateData.visibility !== undefined) workout.visibility = updateData.visibility;
+
+    // Keep estimates in step with what they were estimated from
+    const estimateInputsChanged = workout.isModified('duration')
+      || workout.isModified('exercises')
+      || workout.isModified('cardio')
+      || workout.isModified('status');
+    if (
+      updateData.caloriesBurned === undefined
+      && (workout.caloriesSource === 'met' || !workout.caloriesBurned)
+      && estimateInputsChanged
+    ) {
+      await estimateWorkoutCalories(workout, userId);
+    }
+
+    // An edited occurrence no longer follows later whole-series edits
+    if (workout.seriesId && workout.isModified()) {
+      workout.isSeriesException = true;
+    }
 
     // Save updated workout
     await workout.save();
 
+    // Recompute records for every exercise this workout touches or used to touch
+    await recalculatePersonalRecords(userId, [
+      ...new Set([...previousExerciseIds, ...Workout.getExerciseIds(workout.exercises)]),
+    ]);
+
     // Populate exercises for response
-    await workout.populate('exercises', 'name muscleGroup difficulty');
+    await workout.populate('exercises.exercise', 'name muscleGroup difficulty');
+    const [flagged] = await flagRecordSets([workout.toObject()]);
 
     logger.info('Workout updated successfully', {
       workoutId: workout._id,
@@ -70,12 +112,16 @@ const updateWorkout = async (workoutId, updateData, userId) => {
       id: workout._id,
       title: workout.title,
       description: workout.description,
-      exercises: workout.exercises,
+      exercises: flagged.exercises,
+      personalRecords: flagged.personalRecords,
+      cardio: workout.cardio,
       duration: workout.duration,
       caloriesBurned: workout.caloriesBurned,
+      caloriesSource: workout.caloriesSource,
       date: workout.date,
       status: workout.status,
       notes: workout.notes,
+      visibility: workout.visibility,
       updatedAt: workout.updatedAt,
     };
   } catch (err) {
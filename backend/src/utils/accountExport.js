@@ -0,0 +1,563 @@
+/**
+ * @fileoverview Account data export
+ * @description Lays out a user's data as the JSON and CSV files of a portable export archive
+ * @module utils/accountExport
+ *
+ * Every dataset is written twice: complete documents under json/ and flattened tables under csv/.
+ * Other users' identities (likes, fellow challenge participants) are reduced to counts, except in
+ * relationships the user is a party to: follows, blocks and coaching name the other user.
+ */
+
+const { toCsv } = require('./csv');
+
+/**
+ * Identifier of a document or reference as a string
+ * @param {*} value - ObjectId, populated document or string
+ * @returns {string|null} Hex ID
+ */
+const idOf = (value) => {
+  if (!value) return null;
+  if (value._id) return value._id.toString();
+  return value.toString();
+};
+
+/**
+ * Profile fields of the account
+ * @param {Object} user - Lean user document
+ * @returns {Object} Profile record
+ */
+const toProfile = (user) => ({
+  id: idOf(user),
+  username: user.username,
+  email: user.email,
+  ...(user.profile || {}),
+  profileVisibility: (user.privacy && user.privacy.profile) || 'public',
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+  lastLogin: user.lastLogin,
+});
+
+/**
+ * Complete document with its ID as a string and without MongoDB internals
+ * @param {Object} doc - Lean document
+ * @returns {Object} Record
+ */
+const toRecord = (doc) => ({
+  id: idOf(doc),
+  ...doc,
+  _id: undefined,
+  __v: undefined,
+});
+
+/**
+ * The other user of a relationship, by ID and username
+ * @param {*} value - Populated user or ID
+ * @returns {Object} { userId, username }; username is null if the account is gone
+ */
+const otherUser = (value) => ({
+  userId: idOf(value),
+  username: value && value.username ? value.username : null,
+});
+
+/**
+ * Name of a populated reference
+ * @param {*} value - Populated document or ID
+ * @returns {string|null} Name, or null if not populated
+ */
+const nameOf = (value) => (value && value.name ? value.name : null);
+
+/**
+ * Document whose exercise entries have their references resolved to names
+ * Used for workouts, templates and recurring schedules, which share the entry layout.
+ * @param {Object} doc - Lean document with populated exercises
+ * @returns {Object} Record
+ */
+const toWorkout = (doc) => ({
+  ...toRecord(doc),
+  exercises: (doc.exercises || []).map((entry) => ({
+    ...entry,
+    _id: undefined,
+    exercise: idOf(entry.exercise),
+    exerciseName: nameOf(entry.exercise),
+  })),
+});
+
+/**
+ * Personal record with its exercise name
+ * @param {Object} record - Lean personal record with populated exercise
+ * @returns {Object} Personal record
+ */
+const toPersonalRecord = (record) => ({
+  ...toRecord(record),
+  exerciseId: idOf(record.exerciseId),
+  exerciseName: nameOf(record.exerciseId),
+  workoutId: idOf(record.workoutId),
+});
+
+/**
+ * Program enrollment with the program's title; the program may belong to another user
+ * @param {Object} enrollment - Lean enrollment with populated program
+ * @returns {Object} Enrollment record
+ */
+const toProgramEnrollment = (enrollment) => ({
+  ...toRecord(enrollment),
+  programId: idOf(enrollment.programId),
+  programTitle: enrollment.programId && enrollment.programId.title
+    ? enrollment.programId.title
+    : null,
+});
+
+/**
+ * Post without the identities of the users who liked it
+ * @param {Object} post - Lean post
+ * @returns {Object} Post record
+ */
+const toPost = (post) => ({
+  id: idOf(post),
+  content: post.content,
+  workoutId: idOf(post.workoutId),
+  visibility: post.visibility,
+  likeCount: (post.likes || []).length,
+  isActive: post.isActive,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt,
+});
+
+/**
+ * Comment record
+ * @param {Object} comment - Lean comment
+ * @returns {Object} Comment record
+ */
+const toComment = (comment) => ({
+  id: idOf(comment),
+  postId: idOf(comment.postId),
+  content: comment.content,
+  isActive: comment.isActive,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+});
+
+/**
+ * Challenge with the user's role in it
+ * @param {Object} challenge - Lean challenge
+ * @param {string} userId - Exporting user
+ * @returns {Object} Challenge participation record
+ */
+const toChallenge = (challenge, userId) => {
+  const participants = (challenge.participants || []).map(idOf);
+  const roles = [];
+  if (idOf(challenge.createdBy) === userId) roles.push('creator');
+  if (participants.includes(userId)) roles.push('participant');
+
+  return {
+    id: idOf(challenge),
+    title: challenge.title,
+    description: challenge.description,
+    startDate: challenge.startDate,
+    endDate: challenge.endDate,
+    status: challenge.status,
+    goal: challenge.goal || null,
+    roles,
+    participantCount: participants.length,
+  };
+};
+
+/**
+ * Follow in either direction, pending requests included
+ * @param {Object} follow - Lean follow with populated users
+ * @param {string} userId - Exporting user
+ * @returns {Object} Follow record; direction is 'following' or 'follower'
+ */
+const toFollow = (follow, userId) => {
+  const following = idOf(follow.followerId) === userId;
+
+  return {
+    id: idOf(follow),
+    direction: following ? 'following' : 'follower',
+    ...otherUser(following ? follow.followingId : follow.followerId),
+    status: follow.status,
+    createdAt: follow.createdAt,
+    acceptedAt: follow.acceptedAt,
+  };
+};
+
+/**
+ * Block made by the user; blocks of the user by others are not theirs to see
+ * @param {Object} block - Lean block with populated blocked user
+ * @returns {Object} Block record
+ */
+const toBlock = (block) => ({
+  id: idOf(block),
+  ...otherUser(block.blockedId),
+  createdAt: block.createdAt,
+});
+
+/**
+ * Coaching relationship with the user's side of it
+ * @param {Object} relationship - Lean relationship with populated users
+ * @param {string} userId - Exporting user
+ * @returns {Object} Relationship record; role is 'coach' or 'client'
+ */
+const toCoaching = (relationship, userId) => {
+  const coaching = idOf(relationship.coachId) === userId;
+
+  return {
+    id: idOf(relationship),
+    role: coaching ? 'coach' : 'client',
+    ...otherUser(coaching ? relationship.clientId : relationship.coachId),
+    status: relationship.status,
+    scopes: relationship.scopes,
+    message: relationship.message,
+    createdAt: relationship.createdAt,
+    respondedAt: relationship.respondedAt,
+    endedAt: relationship.endedAt,
+    endedBy: idOf(relationship.endedBy),
+  };
+};
+
+/**
+ * Coach access to a client's data, as the coach or the client
+ * @param {Object} entry - Lean access log entry with populated users
+ * @param {string} userId - Exporting user
+ * @returns {Object} Access log record
+ */
+const toCoachingAccess = (entry, userId) => {
+  const coaching = idOf(entry.coachId) === userId;
+
+  return {
+    id: idOf(entry),
+    relationshipId: idOf(entry.relationshipId),
+    role: coaching ? 'coach' : 'client',
+    ...otherUser(coaching ? entry.clientId : entry.coachId),
+    action: entry.action,
+    details: entry.details,
+    createdAt: entry.createdAt,
+  };
+};
+
+/**
+ * API key without its hash
+ * @param {Object} key - Lean API key
+ * @returns {Object} API key record
+ */
+const toApiKey = (key) => ({
+  id: idOf(key),
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  createdAt: key.createdAt,
+  lastUsedAt: key.lastUsedAt,
+  revokedAt: key.revokedAt,
+});
+
+/**
+ * OAuth app registered by the user, without its secret
+ * @param {Object} client - Lean OAuth client
+ * @returns {Object} OAuth app record
+ */
+const toOAuthApp = (client) => ({
+  id: idOf(client),
+  clientId: client.clientId,
+  name: client.name,
+  redirectUris: client.redirectUris,
+  isConfidential: client.isConfidential,
+  isActive: client.isActive,
+  createdAt: client.createdAt,
+});
+
+/**
+ * Access the user granted an OAuth app, without its codes and tokens
+ * @param {Object} grant - Lean OAuth grant with populated client
+ * @returns {Object} Authorization record
+ */
+const toOAuthAuthorization = (grant) => ({
+  id: idOf(grant),
+  clientId: grant.clientId && grant.clientId.clientId ? grant.clientId.clientId : null,
+  appName: nameOf(grant.clientId),
+  scopes: grant.scopes,
+  createdAt: grant.createdAt,
+  lastUsedAt: grant.lastUsedAt,
+  expiresAt: grant.expiresAt,
+  revokedAt: grant.revokedAt,
+  revokedReason: grant.revokedReason,
+});
+
+/**
+ * One row per workout
+ * @param {Array<Object>} workouts - Workout records
+ * @returns {string} CSV text
+ */
+const workoutsCsv = (workouts) => toCsv(
+  workouts.map((workout) => ({
+    ...workout,
+    exerciseCount: workout.exercises.length,
+    setCount: workout.exercises.reduce((sum, entry) => sum + (entry.sets || []).length, 0),
+    cardioCount: (workout.cardio || []).length,
+  })),
+  [
+    'id', 'date', 'title', 'description', 'status', 'source', 'duration', 'caloriesBurned',
+    'caloriesSource', 'startedAt', 'finishedAt', 'exerciseCount', 'setCount', 'cardioCount', 'notes',
+  ],
+);
+
+/**
+ * One row per performed set
+ * @param {Array<Object>} workouts - Workout records
+ * @returns {string} CSV text
+ */
+const workoutSetsCsv = (workouts) => toCsv(
+  workouts.flatMap((workout) => workout.exercises.flatMap((entry) => (
+    (entry.sets || []).map((set, index) => ({
+      ...set,
+      workoutId: workout.id,
+      workoutDate: workout.date,
+      workoutTitle: workout.title,
+      exerciseId: entry.exercise,
+      exerciseName: entry.exerciseName,
+      setNumber: index + 1,
+    }))
+  ))),
+  [
+    'workoutId', 'workoutDate', 'workoutTitle', 'exerciseId', 'exerciseName', 'setNumber', 'type',
+    'reps', 'weight', 'weightUnit', 'rpe', 'rir', 'restSeconds', 'completedAt',
+  ],
+);
+
+/**
+ * One row per cardio activity; GPS tracks and splits are only in the JSON files
+ * @param {Array<Object>} workouts - Workout records
+ * @returns {string} CSV text
+ */
+const workoutCardioCsv = (workouts) => toCsv(
+  workouts.flatMap((workout) => (workout.cardio || []).map((entry) => ({
+    ...entry,
+    workoutId: workout.id,
+    workoutDate: workout.date,
+    workoutTitle: workout.title,
+  }))),
+  [
+    'workoutId', 'workoutDate', 'workoutTitle', 'activityType', 'distance', 'distanceUnit',
+    'movingTimeSeconds', 'elapsedTimeSeconds', 'elevationGain', 'avgHeartRate', 'maxHeartRate',
+    'paceSecondsPerKm', 'speedKmh', 'estimatedCalories', 'notes',
+  ],
+);
+
+/**
+ * Number of exercises in each record, for tables of templates and schedules
+ * @param {Array<Object>} records - Records with exercise entries
+ * @returns {Array<Object>} Records with exerciseCount
+ */
+const withExerciseCount = (records) => records.map((record) => ({
+  ...record,
+  exerciseCount: record.exercises.length,
+}));
+
+/**
+ * Describe the archive for people opening it
+ * @param {Object} profile - Profile record
+ * @param {Date} generatedAt - Export time
+ * @returns {string} README text
+ */
+const readme = (profile, generatedAt) => [
+  'Fitness Tracker data export',
+  '',
+  `Account: ${profile.username} (${profile.email})`,
+  `Generated: ${generatedAt.toISOString()}`,
+  '',
+  'json/  Complete records, including GPS tracks and lap splits.',
+  'csv/   The same data as spreadsheet tables. Sets and cardio activities have',
+  '       their own tables linked to workouts.csv by workoutId. The exercises of',
+  '       templates and schedules and the weeks of programs are only in the JSON files.',
+  '',
+  'Likes and fellow challenge participants are only counted. Follows, blocks and',
+  'coaching name the other user by ID and username. API keys, OAuth apps and app',
+  'authorizations are listed without their secrets.',
+  '',
+  'Dates are ISO 8601 in UTC. Weights are in the unit shown next to them;',
+  'cardio distances are in the unit of the distanceUnit column.',
+  '',
+].join('\r\n');
+
+/**
+ * Build the files of a data export
+ * @param {Object} data - Lean documents of the user
+ * @param {Object} data.user - User
+ * @param {Array<Object>} data.workouts - Workouts with populated exercise names
+ * @param {Array<Object>} data.templates - Workout templates with populated exercise names
+ * @param {Array<Object>} data.schedules - Recurring workout series with populated exercise names
+ * @param {Array<Object>} data.personalRecords - Personal records with populated exercise names
+ * @param {Array<Object>} data.programs - Programs created by the user
+ * @param {Array<Object>} data.programEnrollments - Program runs with populated program titles
+ * @param {Array<Object>} data.posts - Posts written by the user
+ * @param {Array<Object>} data.comments - Comments written by the user
+ * @param {Array<Object>} data.challenges - Challenges created or joined by the user
+ * @param {Array<Object>} data.follows - Follows and follow requests from or to the user
+ * @param {Array<Object>} data.blocks - Blocks made by the user
+ * @param {Array<Object>} data.coaching - Coaching relationships as coach or client
+ * @param {Array<Object>} data.coachingAccess - Coach access log entries as coach or client
+ * @param {Array<Object>} data.exercises - Custom exercises created by the user
+ * @param {Array<Object>} data.apiKeys - API keys of the user
+ * @param {Array<Object>} data.oauthApps - OAuth apps registered by the user
+ * @param {Array<Object>} data.oauthAuthorizations - OAuth grants with populated app names
+ * @param {Date} [generatedAt] - Export time
+ * @returns {Array<Object>} Archive entries { name, data }
+ */
+const buildExportEntries = (data, generatedAt = new Date()) => {
+  const userId = idOf(data.user);
+  const profile = toProfile(data.user);
+  const achievements = (data.user.achievements || []).map((achievement) => ({
+    badgeName: achievement.badgeName,
+    description: achievement.description,
+    dateEarned: achievement.dateEarned,
+  }));
+  const workouts = data.workouts.map(toWorkout);
+  const templates = data.templates.map(toWorkout);
+  const schedules = data.schedules.map(toWorkout);
+  const personalRecords = data.personalRecords.map(toPersonalRecord);
+  const programs = data.programs.map(toRecord);
+  const programEnrollments = data.programEnrollments.map(toProgramEnrollment);
+  const posts = data.posts.map(toPost);
+  const comments = data.comments.map(toComment);
+  const challenges = data.challenges.map((challenge) => toChallenge(challenge, userId));
+  const follows = data.follows.map((follow) => toFollow(follow, userId));
+  const blocks = data.blocks.map(toBlock);
+  const coaching = data.coaching.map((relationship) => toCoaching(relationship, userId));
+  const coachingAccess = data.coachingAccess.map((entry) => toCoachingAccess(entry, userId));
+  const exercises = data.exercises.map(toRecord);
+  const apiKeys = data.apiKeys.map(toApiKey);
+  const oauthApps = data.oauthApps.map(toOAuthApp);
+  const oauthAuthorizations = data.oauthAuthorizations.map(toOAuthAuthorization);
+
+  const json = (name, value) => ({ name: `json/${name}.json`, data: JSON.stringify(value, null, 2) });
+
+  return [
+    { name: 'README.txt', data: readme(profile, generatedAt) },
+    json('profile', profile),
+    json('achievements', achievements),
+    json('workouts', workouts),
+    json('templates', templates),
+    json('schedules', schedules),
+    json('personal_records', personalRecords),
+    json('programs', programs),
+    json('program_enrollments', programEnrollments),
+    json('posts', posts),
+    json('comments', comments),
+    json('challenges', challenges),
+    json('follows', follows),
+    json('blocks', blocks),
+    json('coaching', coaching),
+    json('coaching_access', coachingAccess),
+    json('exercises', exercises),
+    json('api_keys', apiKeys),
+    json('oauth_apps', oauthApps),
+    json('oauth_authorizations', oauthAuthorizations),
+    {
+      name: 'csv/profile.csv',
+      data: toCsv([profile], [
+        'id', 'username', 'email', 'name', 'age', 'bodyWeight', 'bodyWeightUnit', 'fitnessGoals',
+        'bio', 'avatar', 'profileVisibility', 'createdAt', 'lastLogin',
+      ]),
+    },
+    { name: 'csv/achievements.csv', data: toCsv(achievements, ['badgeName', 'description', 'dateEarned']) },
+    { name: 'csv/workouts.csv', data: workoutsCsv(workouts) },
+    { name: 'csv/workout_sets.csv', data: workoutSetsCsv(workouts) },
+    { name: 'csv/workout_cardio.csv', data: workoutCardioCsv(workouts) },
+    {
+      name: 'csv/templates.csv',
+      data: toCsv(withExerciseCount(templates), [
+        'id', 'createdAt', 'title', 'description', 'exerciseCount', 'estimatedDuration', 'isActive',
+      ]),
+    },
+    {
+      name: 'csv/schedules.csv',
+      data: toCsv(withExerciseCount(schedules), [
+        'id', 'createdAt', 'title', 'rrule', 'dtstart', 'tzid', 'duration', 'exerciseCount',
+        'isActive',
+      ]),
+    },
+    {
+      name: 'csv/personal_records.csv',
+      data: toCsv(personalRecords, [
+        'id', 'achievedAt', 'exerciseId', 'exerciseName', 'type', 'value', 'unit', 'reps', 'weight',
+        'previousValue', 'isCurrent', 'workoutId',
+      ]),
+    },
+    {
+      name: 'csv/programs.csv',
+      data: toCsv(
+        programs.map((program) => ({ ...program, weekCount: (program.weeks || []).length })),
+        ['id', 'createdAt', 'title', 'description', 'weekCount', 'isPublic', 'isActive'],
+      ),
+    },
+    {
+      name: 'csv/program_enrollments.csv',
+      data: toCsv(programEnrollments, ['id', 'programId', 'programTitle', 'startDate', 'status']),
+    },
+    {
+      name: 'csv/posts.csv',
+      data: toCsv(posts, [
+        'id', 'createdAt', 'content', 'workoutId', 'visibility', 'likeCount', 'isActive',
+      ]),
+    },
+    {
+      name: 'csv/comments.csv',
+      data: toCsv(comments, ['id', 'createdAt', 'postId', 'content', 'isActive']),
+    },
+    {
+      name: 'csv/challenges.csv',
+      data: toCsv(challenges, [
+        'id', 'title', 'description', 'startDate', 'endDate', 'status', 'roles', 'participantCount',
+      ]),
+    },
+    {
+      name: 'csv/follows.csv',
+      data: toCsv(follows, [
+        'id', 'direction', 'userId', 'username', 'status', 'createdAt', 'acceptedAt',
+      ]),
+    },
+    { name: 'csv/blocks.csv', data: toCsv(blocks, ['id', 'userId', 'username', 'createdAt']) },
+    {
+      name: 'csv/coaching.csv',
+      data: toCsv(coaching, [
+        'id', 'role', 'userId', 'username', 'status', 'scopes', 'message', 'createdAt',
+        'respondedAt', 'endedAt', 'endedBy',
+      ]),
+    },
+    {
+      name: 'csv/coaching_access.csv',
+      data: toCsv(coachingAccess, [
+        'id', 'createdAt', 'relationshipId', 'role', 'userId', 'username', 'action', 'details',
+      ]),
+    },
+    {
+      name: 'csv/exercises.csv',
+      data: toCsv(exercises, [
+        'id', 'createdAt', 'name', 'description', 'muscleGroup', 'equipment', 'difficulty', 'met',
+        'isActive',
+      ]),
+    },
+    {
+      name: 'csv/api_keys.csv',
+      data: toCsv(apiKeys, [
+        'id', 'createdAt', 'name', 'prefix', 'scopes', 'lastUsedAt', 'revokedAt',
+      ]),
+    },
+    {
+      name: 'csv/oauth_apps.csv',
+      data: toCsv(oauthApps, [
+        'id', 'createdAt', 'clientId', 'name', 'redirectUris', 'isConfidential', 'isActive',
+      ]),
+    },
+    {
+      name: 'csv/oauth_authorizations.csv',
+      data: toCsv(oauthAuthorizations, [
+        'id', 'createdAt', 'clientId', 'appName', 'scopes', 'lastUsedAt', 'expiresAt', 'revokedAt',
+        'revokedReason',
+      ]),
+    },
+  ];
+};
+
+module.exports = {
+  buildExportEntries,
+};
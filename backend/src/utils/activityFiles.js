@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Activity file parsing
+ * @description Reads GPX 1.1 and TCX (Garmin Training Center) exports into a common activity shape
+ * @module utils/activityFiles
+ *
+ * Activity shape shared with utils/fit:
+ * { format, name, sport, activityType, startTime, points, laps, calories, sets, unsupportedMessages }
+ */
+
+const {
+  parseXml,
+  childNamed,
+  childrenNamed,
+  descendantsNamed,
+  childText,
+} = require('./xml');
+
+/**
+ * Sport names used by GPS devices and services, mapped to cardio activity types
+ */
+const SPORT_ACTIVITY_TYPES = {
+  running: 'run',
+  run: 'run',
+  trail_running: 'run',
+  biking: 'ride',
+  cycling: 'ride',
+  ride: 'ride',
+  road_biking: 'ride',
+  mountain_biking: 'ride',
+  walking: 'walk',
+  walk: 'walk',
+  hiking: 'hike',
+  hike: 'hike',
+  rowing: 'row',
+  row: 'row',
+  swimming: 'swim',
+  swim: 'swim',
+  open_water_swimming: 'swim',
+  elliptical: 'elliptical',
+};
+
+/**
+ * Map a device sport name onto a cardio activity type
+ * @param {string} sport - Sport name, e.g. "Running" or "road_biking"
+ * @returns {string} Activity type, 'other' when unknown
+ */
+const toActivityType = (sport) => {
+  const key = String(sport || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return SPORT_ACTIVITY_TYPES[key] || 'other';
+};
+
+/**
+ * Parse a number, keeping null for missing or malformed values
+ * @param {string|null} value - Raw value
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read the heart rate from a GPX extensions element (Garmin TrackPointExtension and similar)
+ * @param {Object} point - trkpt element
+ * @returns {number|null} Beats per minute
+ */
+const gpxHeartRate = (point) => {
+  const [hr] = descendantsNamed(childNamed(point, 'extensions'), 'hr');
+  return hr ? toNumber(hr.text.trim()) : null;
+};
+
+/**
+ * Keep points with a valid timestamp, in time order
+ * @param {Array<Object>} points - Parsed points
+ * @returns {Array<Object>} Timed points
+ */
+const timedPoints = (points) => points
+  .filter((point) => point.time instanceof Date && !Number.isNaN(point.time.getTime()))
+  .sort((a, b) => a.time - b.time);
+
+/**
+ * Parse a GPX document
+ * Every track segment is read; GPX has no laps, so none are returned.
+ * @param {Object} root - Parsed <gpx> element
+ * @returns {Object} Activity
+ */
+const parseGpx = (root) => {
+  const track = childNamed(root, 'trk');
+  const name = childText(track, 'name') || childText(childNamed(root, 'metadata'), 'name');
+  const sport = childText(track, 'type');
+
+  const points = descendantsNamed(track, 'trkpt').map((point) => ({
+    time: new Date(childText(point, 'time')),
+    lat: toNumber(point.attributes.lat),
+    lon: toNumber(point.attributes.lon),
+    ele: toNumber(childText(point, 'ele')),
+    hr: gpxHeartRate(point),
+    distance: null,
+  }));
+
+  return {
+    format: 'gpx',
+    name,
+    sport,
+    activityType: toActivityType(sport),
+    startTime: null,
+    points: timedPoints(points),
+    laps: [],
+    calories: null,
+    sets: [],
+    unsupportedMessages: [],
+  };
+};
+
+/**
+ * Parse a TCX trackpoint
+ * @param {Object} point - Trackpoint element
+ * @returns {Object} Track point
+ */
+const parseTcxPoint = (point) => {
+  const position = childNamed(point, 'Position');
+  return {
+    time: new Date(childText(point, 'Time')),
+    lat: toNumber(childText(position, 'LatitudeDegrees')),
+    lon: toNumber(childText(position, 'LongitudeDegrees')),
+    ele: toNumber(childText(point, 'AltitudeMeters')),
+    hr: toNumber(childText(childNamed(point, 'HeartRateBpm'), 'Value')),
+    distance: toNumber(childText(point, 'DistanceMeters')),
+  };
+};
+
+/**
+ * Parse a TCX document
+ * Only the first activity is read.
+ * @param {Object} root - Parsed <TrainingCenterDatabase> element
+ * @returns {Object} Activity
+ */
+const parseTcx = (root) => {
+  const [activity] = descendantsNamed(root, 'Activity');
+  if (!activity) {
+    return {
+      format: 'tcx',
+      name: null,
+      sport: null,
+      activityType: 'other',
+      startTime: null,
+      points: [],
+      laps: [],
+      calories: null,
+      sets: [],
+      unsupportedMessages: [],
+    };
+  }
+
+  const laps = childrenNamed(activity, 'Lap').map((lap) => ({
+    points: timedPoints(descendantsNamed(lap, 'Trackpoint').map(parseTcxPoint)),
+    totalTimeSeconds: toNumber(childText(lap, 'TotalTimeSeconds')),
+    distanceMeters: toNumber(childText(lap, 'DistanceMeters')),
+    calories: toNumber(childText(lap, 'Calories')),
+    avgHeartRate: toNumber(childText(childNamed(lap, 'AverageHeartRateBpm'), 'Value')),
+    maxHeartRate: toNumber(childText(childNamed(lap, 'MaximumHeartRateBpm'), 'Value')),
+  }));
+
+  const lapCalories = laps.map((lap) => lap.calories).filter((calories) => calories !== null);
+  const sport = activity.attributes.Sport || null;
+  const [firstLap] = childrenNamed(activity, 'Lap');
+  const startTime = firstLap && firstLap.attributes.StartTime ? new Date(firstLap.attributes.StartTime) : null;
+
+  return {
+    format: 'tcx',
+    name: childText(activity, 'Notes'),
+    sport,
+    activityType: toActivityType(sport),
+    startTime: startTime && !Number.isNaN(startTime.getTime()) ? startTime : null,
+    points: timedPoints(laps.flatMap((lap) => lap.points)),
+    laps,
+    calories: lapCalories.length > 0 ? lapCalories.reduce((sum, calories) => sum + calories, 0) : null,
+    sets: [],
+    unsupportedMessages: [],
+  };
+};
+
+/**
+ * Parse a GPX or TCX file, detecting the format from the root element
+ * @param {string} text - File contents
+ * @returns {Object} Activity
+ * @throws {Error} If the XML is malformed or the format is not GPX or TCX
+ */
+const parseActivityFile = (text) => {
+  const root = parseXml(text);
+
+  if (root.name === 'gpx') return parseGpx(root);
+  if (root.name === 'TrainingCenterDatabase') return parseTcx(root);
+
+  throw new Error(`Unsupported activity file format <${root.name}>`);
+};
+
+module.exports = {
+  SPORT_ACTIVITY_TYPES,
+  toActivityType,
+  parseActivityFile,
+};
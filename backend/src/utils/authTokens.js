@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Authentication tokens
+ * @description Signs short-lived access tokens, long-lived refresh tokens bound to a session,
+ * two-factor login challenges, tokens for emailed account links and access tokens of OAuth apps
+ * @module utils/authTokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * Sign an access token
+ * Carries the roles, so a role change applies once the token is refreshed.
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT accepted by authMiddleware
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user._id,
+    username: user.username,
+    email: user.email,
+    roles: user.roles,
+    sessionId,
+  },
+  config.jwt.secret,
+  { expiresIn: config.jwt.expiresIn },
+);
+
+/**
+ * Sign a refresh token
+ * Every token gets a random ID, so two tokens issued in the same second still differ.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { token, expiresAt }
+ */
+const signRefreshToken = (userId, sessionId) => {
+  const token = jwt.sign(
+    { sub: String(userId), sid: String(sessionId) },
+    config.jwt.refreshSecret,
+    { expiresIn: config.jwt.refreshExpiresIn, jwtid: crypto.randomBytes(16).toString('hex') },
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Refresh token
+ * @returns {Object|null} { userId, sessionId }, or null if invalid or expired
+ */
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, config.jwt.refreshSecret);
+    return decoded.sub && decoded.sid ? { userId: decoded.sub, sessionId: decoded.sid } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Key for a kind of token, derived so it can never pass as an access or refresh token
+ * @param {string} kind - Token kind
+ * @returns {Buffer} Signing key
+ */
+const derivedKey = (kind) => crypto.createHmac('sha256', config.jwt.secret).update(kind).digest();
+
+/**
+ * Sign the challenge of a login waiting for its second factor
+ * Proves the password step succeeded; it is not accepted anywhere else.
+ * @param {string} userId - User ID
+ * @returns {string} Challenge token
+ */
+const signTwoFactorChallenge = (userId) => jwt.sign(
+  { sub: String(userId) },
+  derivedKey('two-factor-challenge'),
+  { expiresIn: `${config.twoFactor.challengeTtlMinutes}m` },
+);
+
+/**
+ * Verify a two-factor login challenge
+ * @param {string} token - Challenge token
+ * @returns {Object|null} { userId }, or null if invalid or expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, derivedKey('two-factor-challenge'));
+    return decoded.sub ? { userId: decoded.sub } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Sign the token of an emailed link
+ * @param {Object} accountToken - AccountToken document
+ * @returns {string} JWT naming the record, valid until the record expires
+ */
+const signAccountToken = (accountToken) => jwt.sign(
+  {
+    sub: String(accountToken.userId),
+    exp: Math.floor(accountToken.expiresAt.getTime() / 1000),
+  },
+  derivedKey('account-tokens'),
+  { audience: accountToken.purpose, jwtid: String(accountToken._id) },
+);
+
+/**
+ * Verify the token of an emailed link
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} { userId, tokenId }, or null if invalid, expired or for another purpose
+ */
+const verifyAccountToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, derivedKey('account-tokens'), { audience: purpose });
+    return decoded.sub && decoded.jti ? { userId: decoded.sub, tokenId: decoded.jti } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Sign the access token of an OAuth app
+ * Signed with its own key, so authMiddleware alone rejects it; only routers that accept
+ * OAuth tokens (see scopedAuth) do. It carries no roles: apps act with plain user rights.
+ * @param {Object} grant - OAuthGrant document
+ * @param {Object} client - OAuthClient document
+ * @returns {Object} { token, expiresAt }
+ */
+const signOAuthAccessToken = (grant, client) => {
+  const token = jwt.sign(
+    {
+      sub: String(grant.userId),
+      cid: client.clientId,
+      gid: String(grant._id),
+      scope: grant.scopes.join(' '),
+    },
+    derivedKey('oauth-access'),
+    { expiresIn: config.oauth.accessTokenExpiresIn },
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verify the access token of an OAuth app
+ * @param {string} token - Access token
+ * @returns {Object|null} { userId, clientId, grantId, scopes, issuedAt, expiresAt },
+ * or null if invalid or expired
+ */
+const verifyOAuthAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, derivedKey('oauth-access'));
+    if (!decoded.sub || !decoded.gid) {
+      return null;
+    }
+    return {
+      userId: decoded.sub,
+      clientId: decoded.cid,
+      grantId: decoded.gid,
+      scopes: String(decoded.scope || '').split(' ').filter(Boolean),
+      issuedAt: new Date(decoded.iat * 1000),
+      expiresAt: new Date(decoded.exp * 1000),
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signAccountToken,
+  verifyAccountToken,
+  signOAuthAccessToken,
+  verifyOAuthAccessToken,
+};
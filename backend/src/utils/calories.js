@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Calorie estimation
+ * @description MET-based energy expenditure: kcal = MET x body weight (kg) x hours
+ * @module utils/calories
+ */
+
+/**
+ * Body weight assumed when the user has not entered one
+ */
+const REFERENCE_BODY_WEIGHT_KG = 70;
+
+/**
+ * Default MET values by exercise difficulty
+ * Light, moderate and vigorous resistance training in the Compendium of Physical Activities
+ */
+const DEFAULT_METS = {
+  Beginner: 3.5,
+  Intermediate: 5.0,
+  Advanced: 6.0,
+};
+
+/**
+ * MET used for time not attributed to any exercise
+ */
+const GENERIC_MET = 5.0;
+
+/**
+ * Moderate-effort MET values for endurance activities, from the Compendium of Physical Activities
+ */
+const CARDIO_METS = {
+  run: 9.8,
+  ride: 7.5,
+  walk: 3.5,
+  hike: 6.0,
+  row: 7.0,
+  swim: 8.0,
+  elliptical: 5.0,
+  other: 6.0,
+};
+
+/**
+ * Estimate the calories of a session
+ * The duration is split across exercises in proportion to their set counts (evenly when no
+ * sets are logged).
+ * @param {Object} params - Estimation inputs
+ * @param {Array<Object>} params.exercises - Entries { met, setCount }
+ * @param {number} params.durationMinutes - Session duration
+ * @param {number} [params.bodyWeightKg] - Body weight (defaults to the reference weight)
+ * @returns {Object} { total, perExercise } in kcal, rounded to whole numbers
+ */
+const estimateCalories = ({ exercises = [], durationMinutes, bodyWeightKg }) => {
+  const weight = bodyWeightKg || REFERENCE_BODY_WEIGHT_KG;
+  const hours = (durationMinutes || 0) / 60;
+
+  if (exercises.length === 0) {
+    return { total: Math.round(GENERIC_MET * weight * hours), perExercise: [] };
+  }
+
+  const totalSets = exercises.reduce((sum, entry) => sum + (entry.setCount || 0), 0);
+  const perExercise = exercises.map((entry) => {
+    const share = totalSets > 0 ? (entry.setCount || 0) / totalSets : 1 / exercises.length;
+    return Math.round((entry.met || GENERIC_MET) * weight * hours * share);
+  });
+
+  return {
+    total: perExercise.reduce((sum, calories) => sum + calories, 0),
+    perExercise,
+  };
+};
+
+module.exports = {
+  REFERENCE_BODY_WEIGHT_KG,
+  DEFAULT_METS,
+  GENERIC_MET,
+  CARDIO_METS,
+  estimateCalories,
+};
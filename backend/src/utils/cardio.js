@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Cardio metrics
+ * @description Pace and speed calculations for endurance activities
+ * @module utils/cardio
+ */
+
+const { toKilometers } = require('./units');
+
+/**
+ * Supported endurance activity types
+ */
+const ACTIVITY_TYPES = ['run', 'ride', 'walk', 'hike', 'row', 'swim', 'elliptical', 'other'];
+
+/**
+ * Valid distance units
+ */
+const DISTANCE_UNITS = ['km', 'mi'];
+
+/**
+ * Pace in seconds per kilometer
+ * @param {number} distance - Distance covered
+ * @param {string} unit - Distance unit ('km' or 'mi')
+ * @param {number} movingTimeSeconds - Moving time
+ * @returns {number|null} Seconds per km, or null without distance or time
+ */
+const computePace = (distance, unit, movingTimeSeconds) => {
+  const km = toKilometers(distance || 0, unit);
+  if (!km || !movingTimeSeconds) {
+    return null;
+  }
+  return Math.round(movingTimeSeconds / km);
+};
+
+/**
+ * Speed in kilometers per hour
+ * @param {number} distance - Distance covered
+ * @param {string} unit - Distance unit ('km' or 'mi')
+ * @param {number} movingTimeSeconds - Moving time
+ * @returns {number|null} km/h to two decimals, or null without distance or time
+ */
+const computeSpeed = (distance, unit, movingTimeSeconds) => {
+  const km = toKilometers(distance || 0, unit);
+  if (!km || !movingTimeSeconds) {
+    return null;
+  }
+  return Math.round((km / (movingTimeSeconds / 3600)) * 100) / 100;
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  DISTANCE_UNITS,
+  computePace,
+  computeSpeed,
+};
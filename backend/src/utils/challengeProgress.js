@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Challenge progress calculations
+ * @description How much each completed workout counts toward a challenge goal, and participant ranking
+ * @module utils/challengeProgress
+ */
+
+const { toKilograms, toKilometers } = require('./units');
+
+/**
+ * Challenge goal metrics
+ * - workouts: number of completed workouts
+ * - minutes: total workout duration
+ * - calories: total calories burned
+ * - distance: total cardio distance, in km
+ * - exercise-volume: reps x load of one exercise, in kg; warm-up sets are excluded
+ */
+const GOAL_METRICS = ['workouts', 'minutes', 'calories', 'distance', 'exercise-volume'];
+
+/**
+ * Unit each goal metric is measured in
+ */
+const GOAL_UNITS = {
+  workouts: 'workouts',
+  minutes: 'min',
+  calories: 'kcal',
+  distance: 'km',
+  'exercise-volume': 'kg',
+};
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Measure how much a completed workout counts toward a goal
+ * @param {Object} workout - Workout, with duration, caloriesBurned, cardio and exercises
+ * @param {Object} goal - Challenge goal { metric, exerciseId }
+ * @returns {number} Amount in the unit of the goal metric
+ */
+const measureWorkout = (workout, goal) => {
+  switch (goal.metric) {
+    case 'minutes':
+      return workout.duration || 0;
+    case 'calories':
+      return workout.caloriesBurned || 0;
+    case 'distance':
+      return (workout.cardio || []).reduce(
+        (sum, entry) => sum + toKilometers(entry.distance || 0, entry.distanceUnit),
+        0,
+      );
+    case 'exercise-volume':
+      return (workout.exercises || [])
+        .filter((entry) => String(entry.exercise) === String(goal.exerciseId))
+        .reduce(
+          (total, entry) => total
+            + entry.sets
+              .filter((set) => set.type !== 'warmup')
+              .reduce((sum, set) => sum + set.reps * toKilograms(set.weight, set.weightUnit), 0),
+          0,
+        );
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Date condition matching the workouts a challenge counts
+ * The end date is a whole day: workouts count until the start of the next one (UTC).
+ * @param {Object} challenge - Challenge { startDate, endDate }
+ * @returns {Object} Condition for the workout date
+ */
+const challengePeriod = ({ startDate, endDate }) => {
+  const end = new Date(endDate);
+  end.setUTCHours(0, 0, 0, 0);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { $gte: new Date(startDate), $lt: end };
+};
+
+/**
+ * Rank challenge participants by their progress toward the goal
+ * Equal progress shares a rank (1, 1, 3); ties are listed by user ID for a stable order.
+ * @param {Array<ObjectId|string>} participantIds - Participants, including those without workouts
+ * @param {Array<Object>} workouts - Completed workouts of the participants in the challenge period
+ * @param {Object} goal - Challenge goal { metric, target, exerciseId }
+ * @returns {Array<Object>} Entries { userId, value, percent, completed, rank }, best first;
+ *   percent is null without a target
+ */
+const rankParticipants = (participantIds, workouts, goal) => {
+  const totals = new Map(participantIds.map((id) => [String(id), 0]));
+  workouts.forEach((workout) => {
+    const userId = String(workout.userId);
+    if (totals.has(userId)) {
+      totals.set(userId, totals.get(userId) + measureWorkout(workout, goal));
+    }
+  });
+
+  const entries = [...totals.entries()]
+    .map(([userId, total]) => ({
+      userId,
+      value: round(total),
+      percent: goal.target ? Math.min(100, Math.round((total / goal.target) * 100)) : null,
+      completed: Boolean(goal.target) && total >= goal.target,
+    }))
+    .sort((a, b) => b.value - a.value || a.userId.localeCompare(b.userId));
+
+  let rank = 0;
+  return entries.map((entry, index) => {
+    if (index === 0 || entry.value !== entries[index - 1].value) {
+      rank = index + 1;
+    }
+    return { ...entry, rank };
+  });
+};
+
+module.exports = {
+  GOAL_METRICS,
+  GOAL_UNITS,
+  measureWorkout,
+  challengePeriod,
+  rankParticipants,
+};
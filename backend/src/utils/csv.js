@@ -0,0 +1,157 @@
+/**
+ * @fileoverview CSV serialization
+ * @description Reading and writing RFC 4180 CSV tables
+ * @module utils/csv
+ */
+
+/**
+ * Characters that make spreadsheet applications evaluate a cell as a formula
+ */
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format a single cell value
+ * Dates become ISO strings, arrays are joined with "; " and objects are written as JSON. Text that
+ * a spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} Cell text (unquoted)
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return value.map(formatCell).join('; ');
+  if (typeof value === 'object') {
+    // ObjectIds
+    if (typeof value.toHexString === 'function') return value.toHexString();
+    return JSON.stringify(value);
+  }
+
+  const text = String(value);
+  return FORMULA_PREFIXES.includes(text[0]) ? `'${text}` : text;
+};
+
+/**
+ * Quote a cell when it contains a delimiter, quote or line break
+ * @param {string} text - Cell text
+ * @returns {string} CSV field
+ */
+const quoteCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Serialize rows as a CSV table with a header line
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @param {Array<string|Object>} columns - Column keys, or { key, header } to rename the header
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (rows, columns) => {
+  const normalized = columns.map((column) => (
+    typeof column === 'string' ? { key: column, header: column } : { header: column.key, ...column }
+  ));
+
+  const lines = [normalized.map((column) => quoteCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(normalized.map((column) => quoteCell(formatCell(row[column.key]))).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Delimiters recognized when reading; some locales export with semicolons
+ */
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter occurring most often outside quotes in the first line
+ */
+const detectDelimiter = (text) => {
+  const counts = DELIMITERS.reduce((acc, delimiter) => ({ ...acc, [delimiter]: 0 }), {});
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && char in counts) counts[char] += 1;
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best));
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with embedded delimiters, quotes and line breaks, CRLF or LF line endings
+ * and a leading byte order mark. Blank lines are dropped.
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter] - Cell delimiter (detected from the header when omitted)
+ * @returns {Array<Array<string>>} Rows, each with a 1-based `line` property for error reporting
+ * @throws {Error} If a quoted cell is never closed
+ */
+const parseCsv = (text, options = {}) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell starting on line ${rowLine}`);
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  formatCell,
+  toCsv,
+  detectDelimiter,
+  parseCsv,
+};
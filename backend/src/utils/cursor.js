@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Cursor pagination helpers
+ * @description Opaque cursors for lists sorted newest first by creation time and ID
+ * @module utils/cursor
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Create the cursor pointing after a document
+ * @param {Object} doc - Last document of a page, with createdAt and _id
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (doc) => Buffer.from(`${new Date(doc.createdAt).getTime()}.${doc._id}`)
+  .toString('base64url');
+
+/**
+ * Read a cursor created by encodeCursor
+ * @param {string} cursor - Cursor from a client
+ * @returns {Object|null} { createdAt, id }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  const match = /^(\d{1,15})\.([0-9a-f]{24})$/.exec(Buffer.from(cursor, 'base64url').toString());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    createdAt: new Date(Number(match[1])),
+    id: new mongoose.Types.ObjectId(match[2]),
+  };
+};
+
+/**
+ * Build the query condition for the documents after a cursor, newest first
+ * @param {string} [cursor] - Cursor from a client
+ * @returns {Object} Condition to merge into a query; empty without a valid cursor
+ */
+const cursorCondition = (cursor) => {
+  const position = decodeCursor(cursor);
+  if (!position) {
+    return {};
+  }
+
+  return {
+    $or: [
+      { createdAt: { $lt: position.createdAt } },
+      { createdAt: position.createdAt, _id: { $lt: position.id } },
+    ],
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Account emails
+ * @description Text and HTML bodies of the emails sent about an account
+ * @module utils/emails
+ */
+
+const config = require('../config');
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Link to a frontend page, optionally carrying a token
+ * @param {string} page - Page path, e.g. /reset-password
+ * @param {string} [token] - Signed token
+ * @returns {string} URL
+ */
+const frontendLink = (page, token) => {
+  const url = `${config.frontend.url.replace(/\/+$/, '')}${page}`;
+  return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+};
+
+/**
+ * Email with a greeting, paragraphs and an optional button
+ * @param {Object} options - { to, subject, username, paragraphs, action: { label, url } }
+ * @returns {Object} { to, subject, text, html }
+ */
+const compose = ({
+  to, subject, username, paragraphs, action,
+}) => ({
+  to,
+  subject,
+  text: [
+    `Hi ${username},`,
+    ...paragraphs,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    '— Fitness Tracker',
+  ].join('\n\n'),
+  html: [
+    `<p>Hi ${escapeHtml(username)},</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    '<p>— Fitness Tracker</p>',
+  ].join('\n'),
+});
+
+/**
+ * Email asking a new user to confirm their address
+ * @param {Object} user - { username, email }
+ * @param {string} token - Signed email verification token
+ * @returns {Object} Message
+ */
+const emailVerificationEmail = (user, token) => compose({
+  to: user.email,
+  subject: 'Confirm your email address',
+  username: user.username,
+  paragraphs: [
+    'Please confirm your email address to finish setting up your account. Until then you can '
+      + 'track workouts, but not post or comment.',
+    `The link expires in ${config.accountTokens.emailVerificationTtlHours} hours.`,
+  ],
+  action: { label: 'Confirm email address', url: frontendLink('/verify-email', token) },
+});
+
+/**
+ * Email with a password reset link
+ * @param {Object} user - { username, email }
+ * @param {string} token - Signed password reset token
+ * @returns {Object} Message
+ */
+const passwordResetEmail = (user, token) => compose({
+  to: user.email,
+  subject: 'Reset your password',
+  username: user.username,
+  paragraphs: [
+    'Someone asked to reset the password of your account. If it was you, choose a new password '
+      + 'with the link below. Otherwise you can ignore this email.',
+    `The link expires in ${config.accountTokens.passwordResetTtlMinutes} minutes and works once.`,
+  ],
+  action: { label: 'Reset password', url: frontendLink('/reset-password', token) },
+});
+
+/**
+ * Email to a new address, confirming an email change
+ * @param {Object} user - { username }
+ * @param {string} newEmail - Requested address
+ * @param {string} token - Signed email change token
+ * @returns {Object} Message
+ */
+const emailChangeEmail = (user, newEmail, token) => compose({
+  to: newEmail,
+  subject: 'Confirm your new email address',
+  username: user.username,
+  paragraphs: [
+    'Confirm this address to use it for your account. Your current address stays in use until '
+      + 'you do.',
+    `The link expires in ${config.accountTokens.emailChangeTtlHours} hours.`,
+  ],
+  action: { label: 'Confirm new email address', url: frontendLink('/confirm-email', token) },
+});
+
+/**
+ * Notice to the previous address after an email change
+ * @param {Object} user - { username }
+ * @param {string} previousEmail - Address that was replaced
+ * @param {string} newEmail - Address now in use
+ * @returns {Object} Message
+ */
+const emailChangedNotice = (user, previousEmail, newEmail) => compose({
+  to: previousEmail,
+  subject: 'Your email address was changed',
+  username: user.username,
+  paragraphs: [
+    `The email address of your account was changed to ${newEmail}.`,
+    'If you did not make this change, reset your password and contact support.',
+  ],
+});
+
+/**
+ * Notice after a password reset
+ * @param {Object} user - { username, email }
+ * @returns {Object} Message
+ */
+const passwordChangedNotice = (user) => compose({
+  to: user.email,
+  subject: 'Your password was reset',
+  username: user.username,
+  paragraphs: [
+    'The password of your account was reset and all devices were signed out.',
+    'If you did not make this change, reset your password again and contact support.',
+  ],
+});
+
+/**
+ * Email telling a user that a coach invited them
+ * @param {Object} client - { username, email }
+ * @param {Object} coach - { username }
+ * @param {string} [message] - Note from the coach
+ * @returns {Object} Message
+ */
+const coachingInvitationEmail = (client, coach, message) => compose({
+  to: client.email,
+  subject: `${coach.username} invited you to be coached`,
+  username: client.username,
+  paragraphs: [
+    `${coach.username} would like to coach you. If you accept, they can see your workouts and `
+      + 'statistics and plan workouts for you, depending on what you allow.',
+    ...(message ? [`Their message: "${message}"`] : []),
+    'You can accept, decline or end coaching at any time.',
+  ],
+  action: { label: 'Review the invitation', url: frontendLink('/coaching') },
+});
+
+module.exports = {
+  emailVerificationEmail,
+  passwordResetEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+  passwordChangedNotice,
+  coachingInvitationEmail,
+};
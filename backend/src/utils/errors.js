@@ -94,6 +94,26 @@ class ValidationError extends AppError {
   }
 }
 
+/**
+ * OAuth Error
+ * Error of the OAuth token endpoints, reported as { error, error_description }
+ * (RFC 6749 section 5.2)
+ * @extends AppError
+ */
+class OAuthError extends AppError {
+  /**
+   * Creates an instance of OAuthError
+   * @param {string} code - OAuth error code, e.g. invalid_grant
+   * @param {string} description - Human-readable description
+   * @param {number} statusCode - HTTP status code (401 for invalid_client)
+   */
+  constructor(code, description, statusCode = 400) {
+    super(description, statusCode);
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
 /**
  * Global error handler middleware
  * @param {Error} err - Error object
@@ -176,6 +196,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   ValidationError,
+  OAuthError,
   globalErrorHandler,
   asyncHandler,
   notFoundHandler,
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Exercise name matching
+ * @description Fuzzy matching of exercise names from other apps against the exercise library
+ * @module utils/exerciseMatching
+ */
+
+/**
+ * Lowest similarity accepted as the same exercise
+ */
+const MATCH_THRESHOLD = 0.8;
+
+/**
+ * Score multiplier for matches that only agree once equipment words are ignored, so that an exact
+ * equipment match wins over a bare name
+ */
+const EQUIPMENT_AGNOSTIC_FACTOR = 0.95;
+
+/**
+ * Abbreviations and spellings used by lifting apps, mapped to library wording
+ */
+const WORD_ALIASES = {
+  db: 'dumbbell',
+  dbs: 'dumbbell',
+  dumbbells: 'dumbbell',
+  bb: 'barbell',
+  kb: 'kettlebell',
+  kettlebells: 'kettlebell',
+  ohp: 'overhead press',
+  rdl: 'romanian deadlift',
+  bw: 'bodyweight',
+  pullup: 'pull up',
+  pullups: 'pull up',
+  chinup: 'chin up',
+  chinups: 'chin up',
+  pushup: 'push up',
+  pushups: 'push up',
+  situp: 'sit up',
+  situps: 'sit up',
+  ups: 'up',
+  raises: 'raise',
+  curls: 'curl',
+  rows: 'row',
+  squats: 'squat',
+  lunges: 'lunge',
+  dips: 'dip',
+  presses: 'press',
+  extensions: 'extension',
+  triceps: 'tricep',
+  biceps: 'bicep',
+  flyes: 'fly',
+  flys: 'fly',
+  flies: 'fly',
+};
+
+/**
+ * Equipment named in exercise titles, e.g. "Bench Press (Barbell)"
+ */
+const EQUIPMENT_WORDS = {
+  barbell: 'Barbell',
+  dumbbell: 'Dumbbells',
+  kettlebell: 'Kettlebell',
+  machine: 'Machine',
+  cable: 'Machine',
+  smith: 'Machine',
+  band: 'Resistance Band',
+  bodyweight: 'Bodyweight',
+};
+
+/**
+ * Keywords hinting at the muscle group of an exercise, checked in order
+ */
+const MUSCLE_GROUP_KEYWORDS = [
+  ['Chest', ['bench', 'chest', 'fly', 'push up', 'pec']],
+  ['Shoulders', ['overhead', 'shoulder', 'military', 'lateral raise', 'front raise', 'shrug', 'face pull']],
+  ['Back', ['row', 'pull up', 'chin up', 'pulldown', 'pull down', 'deadlift', 'back extension']],
+  ['Arms', ['curl', 'tricep', 'bicep', 'skull', 'dip', 'pushdown']],
+  ['Legs', ['squat', 'lunge', 'leg', 'calf', 'hip thrust', 'glute', 'step up']],
+  ['Core', ['crunch', 'plank', 'sit up', 'ab ', 'abs', 'core', 'russian twist', 'hanging knee']],
+];
+
+/**
+ * Normalize an exercise name for comparison
+ * Lowercases, drops punctuation, expands abbreviations and sorts the words so that
+ * "Bench Press (Barbell)" and "Barbell Bench Press" compare equal.
+ * @param {string} name - Exercise name
+ * @returns {string} Normalized name
+ */
+const normalizeExerciseName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[-_/]/g, ' ')
+  .replace(/[^a-z0-9\s]/g, '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .flatMap((word) => (WORD_ALIASES[word] || word).split(' '))
+  .sort()
+  .join(' ');
+
+/**
+ * Character bigrams of a string, spaces removed
+ * @param {string} text - Text
+ * @returns {Map<string, number>} Bigram counts
+ */
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const counts = new Map();
+  for (let i = 0; i < compact.length - 1; i += 1) {
+    const pair = compact.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Sørensen–Dice similarity of two normalized names
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity from 0 to 1
+ */
+const nameSimilarity = (a, b) => {
+  if (a === b) return 1;
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  const total = [...pairsA.values(), ...pairsB.values()].reduce((sum, count) => sum + count, 0);
+  if (total === 0) return 0;
+
+  let shared = 0;
+  pairsA.forEach((count, pair) => {
+    shared += Math.min(count, pairsB.get(pair) || 0);
+  });
+  return (2 * shared) / total;
+};
+
+/**
+ * Drop equipment words from a normalized name
+ * @param {string} normalized - Normalized name
+ * @returns {string} Name without equipment
+ */
+const withoutEquipment = (normalized) => normalized
+  .split(' ')
+  .filter((word) => !EQUIPMENT_WORDS[word])
+  .join(' ');
+
+/**
+ * Similarity of an imported name to a library name
+ * Apps often qualify names with equipment ("Squat (Barbell)") that the library leaves out, so names
+ * are also compared without equipment words, at a small discount.
+ * @param {string} a - Normalized imported name
+ * @param {string} b - Normalized library name
+ * @returns {number} Similarity from 0 to 1
+ */
+const matchScore = (a, b) => {
+  const bareA = withoutEquipment(a);
+  const bareB = withoutEquipment(b);
+  const bare = bareA && bareB ? nameSimilarity(bareA, bareB) * EQUIPMENT_AGNOSTIC_FACTOR : 0;
+  return Math.max(nameSimilarity(a, b), bare);
+};
+
+/**
+ * Find the library exercise that best matches a name
+ * @param {string} name - Exercise name from an import
+ * @param {Array<Object>} exercises - Library exercises { _id, name }
+ * @param {number} [threshold] - Lowest similarity accepted
+ * @returns {Object|null} { exercise, score } or null when nothing is close enough
+ */
+const findBestMatch = (name, exercises, threshold = MATCH_THRESHOLD) => {
+  const target = normalizeExerciseName(name);
+  if (!target) return null;
+
+  let best = null;
+  exercises.forEach((exercise) => {
+    const score = matchScore(target, normalizeExerciseName(exercise.name));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { exercise, score: Math.round(score * 100) / 100 };
+    }
+  });
+  return best;
+};
+
+/**
+ * Filter for exercises an import may link to: active, and in the global library or the user's own
+ * @param {string} userId - User ID
+ * @returns {Object} MongoDB filter
+ */
+const usableExercises = (userId) => ({
+  isActive: true,
+  $or: [{ createdBy: null }, { createdBy: userId }],
+});
+
+/**
+ * Check whether a looked-up exercise passes usableExercises
+ * @param {Object} exercise - Lean exercise with isActive and createdBy
+ * @param {string} userId - User ID
+ * @returns {boolean} True if usable
+ */
+const isUsable = (exercise, userId) => exercise.isActive
+  && (!exercise.createdBy || String(exercise.createdBy) === String(userId));
+
+/**
+ * Guess library fields for an exercise created from an imported name
+ * @param {string} name - Exercise name
+ * @returns {Object} { muscleGroup, equipment }
+ */
+const inferExerciseDetails = (name) => {
+  const words = ` ${String(name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ')} `;
+  const expanded = words.split(' ').map((word) => WORD_ALIASES[word] || word).join(' ');
+
+  const group = MUSCLE_GROUP_KEYWORDS.find(([, keywords]) => (
+    keywords.some((keyword) => expanded.includes(keyword))
+  ));
+  const equipment = [...new Set(Object.entries(EQUIPMENT_WORDS)
+    .filter(([word]) => expanded.includes(` ${word} `))
+    .map(([, type]) => type))];
+
+  return {
+    muscleGroup: [group ? group[0] : 'Full Body'],
+    equipment,
+  };
+};
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeExerciseName,
+  nameSimilarity,
+  findBestMatch,
+  inferExerciseDetails,
+  usableExercises,
+  isUsable,
+};
@@ -0,0 +1,494 @@
+/**
+ * @fileoverview FIT file decoding
+ * @description Decoder for the Garmin FIT binary protocol and mapping of activity files to the
+ * common activity shape used by imports
+ * @module utils/fit
+ */
+
+/**
+ * Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+ */
+const FIT_EPOCH_OFFSET = 631065600;
+
+/**
+ * Degrees per semicircle (2^31 semicircles = 180 degrees)
+ */
+const SEMICIRCLE_TO_DEGREES = 180 / 2 ** 31;
+
+/**
+ * Global message numbers read by the importer
+ */
+const MESSAGE_NUMBERS = {
+  fileId: 0,
+  session: 18,
+  lap: 19,
+  record: 20,
+  set: 225,
+};
+
+/**
+ * Names of common global messages, used when reporting unsupported ones
+ */
+const MESSAGE_NAMES = {
+  0: 'file_id',
+  2: 'device_settings',
+  3: 'user_profile',
+  7: 'zones_target',
+  12: 'sport',
+  18: 'session',
+  19: 'lap',
+  20: 'record',
+  21: 'event',
+  22: 'source',
+  23: 'device_info',
+  26: 'workout',
+  27: 'workout_step',
+  34: 'activity',
+  49: 'file_creator',
+  72: 'training_file',
+  78: 'hrv',
+  101: 'length',
+  104: 'device_aux_battery_info',
+  113: 'memo_glob',
+  206: 'field_description',
+  207: 'developer_data_id',
+  216: 'time_in_zone',
+  225: 'set',
+  264: 'exercise_title',
+};
+
+/**
+ * Base types: size in bytes, reader and invalid (no data) raw value
+ */
+const BASE_TYPES = {
+  0x00: { size: 1, read: 'UInt8', invalid: 0xff },
+  0x01: { size: 1, read: 'Int8', invalid: 0x7f },
+  0x02: { size: 1, read: 'UInt8', invalid: 0xff },
+  0x83: { size: 2, read: 'Int16', invalid: 0x7fff },
+  0x84: { size: 2, read: 'UInt16', invalid: 0xffff },
+  0x85: { size: 4, read: 'Int32', invalid: 0x7fffffff },
+  0x86: { size: 4, read: 'UInt32', invalid: 0xffffffff },
+  0x07: { size: 1, read: 'String', invalid: null },
+  0x88: { size: 4, read: 'Float', invalid: null },
+  0x89: { size: 8, read: 'Double', invalid: null },
+  0x0a: { size: 1, read: 'UInt8', invalid: 0x00 },
+  0x8b: { size: 2, read: 'UInt16', invalid: 0x0000 },
+  0x8c: { size: 4, read: 'UInt32', invalid: 0x00000000 },
+  0x0d: { size: 1, read: 'UInt8', invalid: 0xff },
+  0x8e: { size: 8, read: 'BigInt64', invalid: 0x7fffffffffffffffn },
+  0x8f: { size: 8, read: 'BigUInt64', invalid: 0xffffffffffffffffn },
+  0x90: { size: 8, read: 'BigUInt64', invalid: 0x0n },
+};
+
+/**
+ * FIT sport enum values mapped to cardio activity types
+ */
+const SPORT_ACTIVITY_TYPES = {
+  1: 'run',
+  2: 'ride',
+  5: 'swim',
+  11: 'walk',
+  15: 'row',
+  17: 'hike',
+};
+
+/**
+ * FIT sub-sport values that identify a cardio machine regardless of sport
+ */
+const SUB_SPORT_ACTIVITY_TYPES = {
+  14: 'row', // indoor_rowing
+  15: 'elliptical',
+};
+
+/**
+ * FIT sport value for strength and other gym training
+ */
+const TRAINING_SPORT = 10;
+
+/**
+ * FIT exercise_category names, matched against exercise library names
+ */
+const EXERCISE_CATEGORIES = {
+  0: 'Bench Press',
+  1: 'Calf Raise',
+  2: 'Cardio',
+  3: 'Carry',
+  4: 'Chop',
+  5: 'Core',
+  6: 'Crunch',
+  7: 'Curl',
+  8: 'Deadlift',
+  9: 'Flye',
+  10: 'Hip Raise',
+  11: 'Hip Stability',
+  12: 'Hip Swing',
+  13: 'Hyperextension',
+  14: 'Lateral Raise',
+  15: 'Leg Curl',
+  16: 'Leg Raise',
+  17: 'Lunge',
+  18: 'Olympic Lift',
+  19: 'Plank',
+  20: 'Plyo',
+  21: 'Pull Up',
+  22: 'Push Up',
+  23: 'Row',
+  24: 'Shoulder Press',
+  25: 'Shoulder Stability',
+  26: 'Shrug',
+  27: 'Sit Up',
+  28: 'Squat',
+  29: 'Total Body',
+  30: 'Triceps Extension',
+  31: 'Warm Up',
+  32: 'Run',
+};
+
+/**
+ * CRC-16 nibble table from the FIT SDK
+ */
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+/**
+ * FIT CRC-16 of a byte range
+ * @param {Buffer} buffer - Data
+ * @param {number} [start=0] - First byte
+ * @param {number} [end=buffer.length] - End (exclusive)
+ * @returns {number} CRC
+ */
+const fitCrc = (buffer, start = 0, end = buffer.length) => {
+  let crc = 0;
+  for (let i = start; i < end; i += 1) {
+    const byte = buffer[i];
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf];
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return crc;
+};
+
+/**
+ * Check whether a buffer starts with a FIT file header
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for FIT files
+ */
+const isFitFile = (buffer) => Buffer.isBuffer(buffer)
+  && buffer.length >= 12
+  && (buffer[0] === 12 || buffer[0] === 14)
+  && buffer.toString('ascii', 8, 12) === '.FIT';
+
+/**
+ * Read one field value
+ * Multi-value fields (size larger than the base type) are returned as arrays.
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Field offset
+ * @param {Object} field - Field definition { size, baseType }
+ * @param {boolean} littleEndian - Byte order of the message
+ * @returns {*} Value, or null when the device recorded no data
+ */
+const readField = (buffer, offset, field, littleEndian) => {
+  const type = BASE_TYPES[field.baseType] || BASE_TYPES[0x0d];
+
+  if (type.read === 'String') {
+    const raw = buffer.subarray(offset, offset + field.size);
+    const end = raw.indexOf(0);
+    const text = raw.toString('utf8', 0, end === -1 ? raw.length : end);
+    return text || null;
+  }
+
+  const readOne = (at) => {
+    const suffix = type.size === 1 ? '' : littleEndian ? 'LE' : 'BE';
+    const value = buffer[`read${type.read}${suffix}`](at);
+    if (type.invalid !== null && value === type.invalid) return null;
+    if (typeof value === 'bigint') return Number(value);
+    if (type.read === 'Float' || type.read === 'Double') return Number.isFinite(value) ? value : null;
+    return value;
+  };
+
+  const count = Math.floor(field.size / type.size);
+  if (count <= 1) {
+    return field.size < type.size ? null : readOne(offset);
+  }
+  const values = Array.from({ length: count }, (_, i) => readOne(offset + i * type.size));
+  return values.every((value) => value === null) ? null : values;
+};
+
+/**
+ * Decode the messages of a FIT file
+ * Developer fields are skipped. Compressed-timestamp records get their full timestamp in
+ * field 253.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { protocolVersion, profileVersion, messages: [{ globalMessageNumber, fields }] }
+ * @throws {Error} If the file is truncated, corrupt or not a FIT file
+ */
+const decodeFit = (buffer) => {
+  if (!isFitFile(buffer)) {
+    throw new Error('Not a FIT file');
+  }
+
+  const headerSize = buffer[0];
+  const dataSize = buffer.readUInt32LE(4);
+  const dataEnd = headerSize + dataSize;
+  if (buffer.length < dataEnd + 2) {
+    throw new Error('FIT file is truncated');
+  }
+  if (fitCrc(buffer, 0, dataEnd) !== buffer.readUInt16LE(dataEnd)) {
+    throw new Error('FIT file checksum does not match');
+  }
+
+  const definitions = {};
+  const messages = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  const ensure = (bytes) => {
+    if (offset + bytes > dataEnd) throw new Error('FIT record runs past the end of the data');
+  };
+
+  while (offset < dataEnd) {
+    const header = buffer[offset];
+    offset += 1;
+
+    const compressed = (header & 0x80) !== 0;
+    const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+
+    if (!compressed && (header & 0x40) !== 0) {
+      // Definition message
+      ensure(5);
+      const littleEndian = buffer[offset + 1] === 0;
+      const globalMessageNumber = littleEndian
+        ? buffer.readUInt16LE(offset + 2)
+        : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer[offset + 4];
+      offset += 5;
+
+      ensure(fieldCount * 3);
+      const fields = Array.from({ length: fieldCount }, (_, i) => ({
+        number: buffer[offset + i * 3],
+        size: buffer[offset + i * 3 + 1],
+        baseType: buffer[offset + i * 3 + 2],
+      }));
+      offset += fieldCount * 3;
+
+      let developerSize = 0;
+      if ((header & 0x20) !== 0) {
+        ensure(1);
+        const developerCount = buffer[offset];
+        offset += 1;
+        ensure(developerCount * 3);
+        for (let i = 0; i < developerCount; i += 1) {
+          developerSize += buffer[offset + i * 3 + 1];
+        }
+        offset += developerCount * 3;
+      }
+
+      definitions[localType] = {
+        globalMessageNumber,
+        littleEndian,
+        fields,
+        developerSize,
+      };
+    } else {
+      // Data message
+      const definition = definitions[localType];
+      if (!definition) {
+        throw new Error(`FIT data record uses undefined local message type ${localType}`);
+      }
+
+      const fields = {};
+      definition.fields.forEach((field) => {
+        ensure(field.size);
+        fields[field.number] = readField(buffer, offset, field, definition.littleEndian);
+        offset += field.size;
+      });
+      ensure(definition.developerSize);
+      offset += definition.developerSize;
+
+      if (compressed && lastTimestamp !== null) {
+        const timeOffset = header & 0x1f;
+        let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        fields[253] = timestamp;
+      }
+      if (typeof fields[253] === 'number') {
+        lastTimestamp = fields[253];
+      }
+
+      messages.push({ globalMessageNumber: definition.globalMessageNumber, fields });
+    }
+  }
+
+  return {
+    protocolVersion: buffer[1],
+    profileVersion: buffer.readUInt16LE(2),
+    messages,
+  };
+};
+
+/**
+ * Convert a FIT timestamp to a date
+ * @param {number|null} value - Seconds since the FIT epoch
+ * @returns {Date|null} Date
+ */
+const toDate = (value) => (typeof value === 'number' ? new Date((value + FIT_EPOCH_OFFSET) * 1000) : null);
+
+/**
+ * Apply a FIT scale and offset
+ * @param {number|null} value - Raw value
+ * @param {number} scale - Scale divisor
+ * @param {number} [offset=0] - Offset subtracted after scaling
+ * @returns {number|null} Scaled value
+ */
+const scaled = (value, scale, offset = 0) => (typeof value === 'number' ? value / scale - offset : null);
+
+/**
+ * First non-null value
+ * @param {...*} values - Candidates
+ * @returns {*} The first value that is not null or undefined
+ */
+const firstOf = (...values) => values.find((value) => value !== null && value !== undefined) ?? null;
+
+/**
+ * Map a record message to a track point
+ * @param {Object} fields - Record fields
+ * @returns {Object} Track point { time, lat, lon, ele, hr, distance }
+ */
+const toTrackPoint = (fields) => ({
+  time: toDate(fields[253]),
+  lat: typeof fields[0] === 'number' ? fields[0] * SEMICIRCLE_TO_DEGREES : null,
+  lon: typeof fields[1] === 'number' ? fields[1] * SEMICIRCLE_TO_DEGREES : null,
+  ele: firstOf(scaled(fields[78], 5, 500), scaled(fields[2], 5, 500)),
+  hr: typeof fields[3] === 'number' ? fields[3] : null,
+  distance: scaled(fields[5], 100),
+});
+
+/**
+ * Map set messages to performed strength sets
+ * Rest sets set the rest time of the active set before them.
+ * @param {Array<Object>} setMessages - Set message fields, in file order
+ * @returns {Array<Object>} Sets { category, categoryName, reps, weightKg, weightUnit, durationSeconds, restSeconds, startedAt, completedAt }
+ */
+const toStrengthSets = (setMessages) => {
+  const sets = [];
+
+  setMessages.forEach((fields) => {
+    const durationSeconds = scaled(fields[0], 1000);
+    // set_type: 0 = rest, 1 = active
+    if (fields[5] === 0) {
+      if (sets.length > 0 && durationSeconds !== null) {
+        sets[sets.length - 1].restSeconds = Math.round(durationSeconds);
+      }
+      return;
+    }
+
+    const category = Array.isArray(fields[7]) ? fields[7].find((value) => value !== null) : fields[7];
+    sets.push({
+      category: category ?? null,
+      categoryName: EXERCISE_CATEGORIES[category] || null,
+      reps: typeof fields[3] === 'number' ? fields[3] : 0,
+      weightKg: scaled(fields[4], 16) ?? 0,
+      // weight_display_unit: 2 = pound
+      weightUnit: fields[9] === 2 ? 'lb' : 'kg',
+      durationSeconds: durationSeconds !== null ? Math.round(durationSeconds) : null,
+      restSeconds: null,
+      startedAt: toDate(firstOf(fields[6], fields[254])),
+      completedAt: toDate(firstOf(fields[254], fields[6])),
+    });
+  });
+
+  return sets;
+};
+
+/**
+ * Pick the activity type of a session
+ * @param {Object} session - Session fields
+ * @returns {string|null} Cardio activity type, or null for strength training
+ */
+const toActivityType = (session) => {
+  const sport = session[5];
+  const subSport = session[6];
+  if (SUB_SPORT_ACTIVITY_TYPES[subSport]) return SUB_SPORT_ACTIVITY_TYPES[subSport];
+  if (SPORT_ACTIVITY_TYPES[sport]) return SPORT_ACTIVITY_TYPES[sport];
+  return sport === TRAINING_SPORT ? null : 'other';
+};
+
+/**
+ * Parse a FIT activity file into the common activity shape
+ * Only the first session is read. Messages other than file_id, session, lap, record and set are
+ * reported as unsupported.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} Activity { format, name, sport, activityType, startTime, points, laps, calories, sets, unsupportedMessages }
+ * @throws {Error} If the file cannot be decoded or is not an activity file
+ */
+const parseFitActivity = (buffer) => {
+  const { messages } = decodeFit(buffer);
+
+  const byType = {};
+  const unsupported = {};
+  const handled = new Set(Object.values(MESSAGE_NUMBERS));
+  messages.forEach(({ globalMessageNumber, fields }) => {
+    if (handled.has(globalMessageNumber)) {
+      (byType[globalMessageNumber] = byType[globalMessageNumber] || []).push(fields);
+    } else {
+      unsupported[globalMessageNumber] = (unsupported[globalMessageNumber] || 0) + 1;
+    }
+  });
+
+  const [fileId] = byType[MESSAGE_NUMBERS.fileId] || [];
+  // file_id.type: 4 = activity
+  if (fileId && typeof fileId[0] === 'number' && fileId[0] !== 4) {
+    throw new Error(`FIT file type ${fileId[0]} is not an activity`);
+  }
+
+  const [session = {}] = byType[MESSAGE_NUMBERS.session] || [];
+  const points = (byType[MESSAGE_NUMBERS.record] || [])
+    .map(toTrackPoint)
+    .filter((point) => point.time)
+    .sort((a, b) => a.time - b.time);
+
+  const laps = (byType[MESSAGE_NUMBERS.lap] || []).map((lap) => {
+    const start = toDate(lap[2]);
+    const end = toDate(lap[253]);
+    return {
+      points: points.filter((point) => (!start || point.time >= start) && (!end || point.time <= end)),
+      totalTimeSeconds: scaled(lap[8], 1000),
+      distanceMeters: scaled(lap[9], 100),
+      calories: typeof lap[11] === 'number' ? lap[11] : null,
+      avgHeartRate: typeof lap[15] === 'number' ? lap[15] : null,
+      maxHeartRate: typeof lap[16] === 'number' ? lap[16] : null,
+    };
+  });
+
+  return {
+    format: 'fit',
+    name: null,
+    sport: typeof session[5] === 'number' ? session[5] : null,
+    activityType: toActivityType(session),
+    startTime: toDate(session[2]),
+    points,
+    laps,
+    calories: typeof session[11] === 'number' ? session[11] : null,
+    sets: toStrengthSets(byType[MESSAGE_NUMBERS.set] || []),
+    unsupportedMessages: Object.entries(unsupported).map(([number, count]) => ({
+      globalMessageNumber: Number(number),
+      name: MESSAGE_NAMES[number] || `unknown_${number}`,
+      count,
+    })),
+  };
+};
+
+module.exports = {
+  FIT_EPOCH_OFFSET,
+  MESSAGE_NUMBERS,
+  EXERCISE_CATEGORIES,
+  fitCrc,
+  isFitFile,
+  decodeFit,
+  parseFitActivity,
+};
@@ -0,0 +1,296 @@
+/**
+ * @fileoverview iCalendar serialization
+ * @description Building and parsing the RFC 5545 VCALENDAR/VEVENT subset used for workout feeds
+ * @module utils/ical
+ */
+
+const { isValidTimeZone, zonedTimeToUtc } = require('./timeZones');
+
+/**
+ * Product identifier written into generated calendars
+ */
+const PRODID = '-//Fitness Tracker//Workouts//EN';
+
+/**
+ * Maximum octets per content line before folding
+ */
+const MAX_LINE_LENGTH = 75;
+
+/**
+ * Workout status to VEVENT STATUS mapping
+ */
+const EVENT_STATUSES = {
+  planned: 'TENTATIVE',
+  'in-progress': 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Unescape a TEXT property value
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+/**
+ * Fold a content line at 75 octets, continuing with a leading space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  // Fold on character boundaries so multi-byte characters are never split
+  Array.from(line).forEach((char) => {
+    const charSize = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+    if (size + charSize > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  });
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. 20240115T070000Z
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build a VCALENDAR document
+ * @param {Array<Object>} events - Events { uid, summary, description, start, end, status, lastModified }
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar display name
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (events, options = {}) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse a DATE or DATE-TIME property value
+ * Floating times are treated as UTC.
+ * @param {string} value - Property value
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} { date, isAllDay } or null if malformed
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (hour === undefined) {
+    return { date: new Date(Date.UTC(year, month - 1, day)), isAllDay: true };
+  }
+
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  const date = !utc && params.TZID ? zonedTimeToUtc(wallClock, params.TZID) : wallClock;
+
+  return { date, isAllDay: false };
+};
+
+/**
+ * Parse a DURATION value into minutes
+ * @param {string} value - e.g. PT1H30M or P1D
+ * @returns {number|null} Minutes or null if malformed
+ */
+const parseDuration = (value) => {
+  const match = /^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60
+    + Number(minutes) + Math.round(Number(seconds) / 60);
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } or null if malformed
+ */
+const parseContentLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document
+ * Events without a usable DTSTART are skipped.
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Events { uid, summary, description, start, tzid, end, isAllDay, durationMinutes, status, rrule, exdates }
+ */
+const parseCalendar = (text) => {
+  const lines = String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const events = [];
+  let event = null;
+  let nestedDepth = 0;
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !event) {
+        event = { exdates: [] };
+      } else if (event) {
+        // Skip VALARM and other components nested in an event
+        nestedDepth += 1;
+      }
+      return;
+    }
+
+    if (name === 'END' && event) {
+      if (nestedDepth > 0) {
+        nestedDepth -= 1;
+      } else if (value.toUpperCase() === 'VEVENT') {
+        if (event.start) {
+          events.push(event);
+        }
+        event = null;
+      }
+      return;
+    }
+
+    if (!event || nestedDepth > 0) return;
+
+    switch (name) {
+      case 'UID':
+        event.uid = value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeText(value);
+        break;
+      case 'DTSTART': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          event.start = parsed.date;
+          event.isAllDay = parsed.isAllDay;
+          // Repeats keep their local time in the start's zone
+          if (!parsed.isAllDay && isValidTimeZone(params.TZID)) event.tzid = params.TZID;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) event.end = parsed.date;
+        break;
+      }
+      case 'DURATION':
+        event.durationMinutes = parseDuration(value);
+        break;
+      case 'STATUS':
+        event.status = value.trim().toUpperCase();
+        break;
+      case 'RRULE':
+        event.rrule = value.trim();
+        break;
+      case 'EXDATE':
+        value.split(',').forEach((item) => {
+          const parsed = parseDateValue(item, params);
+          if (parsed) event.exdates.push(parsed.date);
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  escapeText,
+  unescapeText,
+  foldLine,
+  formatDateTime,
+  buildCalendar,
+  parseCalendar,
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Image type detection
+ * @description Identifies uploaded images by their file signature rather than the declared type
+ * @module utils/images
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Image formats accepted for uploads
+ */
+const IMAGE_TYPES = [
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    matches: (data) => data.subarray(0, 8).equals(PNG_SIGNATURE),
+  },
+  {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    matches: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+  },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: (data) => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP',
+  },
+];
+
+/**
+ * Detect the format of an image
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { mimeType, extension }, or null for other files
+ */
+const detectImageType = (data) => {
+  if (!Buffer.isBuffer(data) || data.length < 12) {
+    return null;
+  }
+  const type = IMAGE_TYPES.find((candidate) => candidate.matches(data));
+  return type ? { mimeType: type.mimeType, extension: type.extension } : null;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  detectImageType,
+};
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Mailer
+ * @description Sends email through SMTP, or writes or logs it in development and tests
+ * @module utils/mailer
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Give up on SMTP servers that stop responding
+ */
+const TIMEOUT_MS = 30000;
+
+/**
+ * Renders messages without sending them
+ */
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+
+/**
+ * Build an RFC 5322 message
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<Buffer>} Message with CRLF line endings
+ */
+const buildMessage = async (message) => (await composer.sendMail(message)).message;
+
+/**
+ * Delivery through an SMTP server
+ * Credentials are only sent over TLS: either a TLS connection (secure) or STARTTLS.
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = (options) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    requireTLS: Boolean(options.user) && !options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass || '' } : undefined,
+    connectionTimeout: TIMEOUT_MS,
+    greetingTimeout: TIMEOUT_MS,
+    socketTimeout: TIMEOUT_MS,
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+/**
+ * Writes each message as an .eml file, which mail clients can open
+ * @param {Object} options - { directory }
+ * @returns {Object} Transport
+ */
+const createFileTransport = ({ directory }) => ({
+  async send(message) {
+    const file = path.resolve(
+      directory,
+      `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`,
+    );
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(file, await buildMessage(message));
+    logger.info('Email written', { to: message.to, subject: message.subject, file });
+  },
+});
+
+/**
+ * Logs each message with its text body, so links can be copied from the log
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => ({
+  async send(message) {
+    logger.info('Email not sent (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+});
+
+let transport = null;
+
+/**
+ * Get the configured transport
+ * @returns {Object} { send(message) }
+ * @throws {Error} If SMTP is selected without a host, or the transport is unknown
+ */
+const getTransport = () => {
+  if (!transport) {
+    switch (config.email.transport) {
+      case 'smtp':
+        if (!config.email.smtp.host) {
+          throw new Error('SMTP_HOST must be set to send email over SMTP');
+        }
+        transport = createSmtpTransport(config.email.smtp);
+        break;
+      case 'file':
+        transport = createFileTransport({ directory: config.email.outboxDir });
+        break;
+      case 'console':
+        transport = createConsoleTransport();
+        break;
+      default:
+        throw new Error(`Unknown EMAIL_TRANSPORT "${config.email.transport}"`);
+    }
+  }
+  return transport;
+};
+
+/**
+ * Send an email from the configured sender address
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ * @throws {Error} If delivery fails
+ */
+const sendMail = (message) => getTransport().send({ from: config.email.from, ...message });
+
+module.exports = {
+  buildMessage,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  sendMail,
+};
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview OAuth 2.0 helpers
+ * @description Scopes, opaque tokens, PKCE (RFC 7636) and redirect URI rules for third-party apps
+ * @module utils/oauth
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Scopes third-party apps can request
+ */
+const OAUTH_SCOPES = ['workouts:read', 'workouts:write', 'social:write'];
+
+/**
+ * Allowed characters and length of a PKCE code verifier
+ */
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Hosts that may use plain http redirect URIs, for apps running on the user's machine
+ */
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Generate an opaque token (client secrets, authorization codes, refresh tokens)
+ * @param {number} [bytes=32] - Random bytes
+ * @returns {string} URL-safe token
+ */
+const generateOAuthToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashOAuthToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Compute the S256 code challenge of a code verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} base64url SHA-256 of the verifier
+ */
+const codeChallengeFor = (verifier) => crypto.createHash('sha256')
+  .update(verifier)
+  .digest('base64url');
+
+/**
+ * Check a code verifier against the challenge sent with the authorization request
+ * @param {string} verifier - Code verifier from the token request
+ * @param {string} challenge - S256 code challenge
+ * @returns {boolean} True if they match
+ */
+const verifyCodeChallenge = (verifier, challenge) => {
+  if (typeof verifier !== 'string' || !CODE_VERIFIER_PATTERN.test(verifier) || !challenge) {
+    return false;
+  }
+  const expected = Buffer.from(codeChallengeFor(verifier));
+  const actual = Buffer.from(challenge);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Parse a space-separated scope parameter
+ * @param {string} scope - Scope parameter
+ * @returns {Array<string>|null} Unique scopes, or null if empty or any scope is unknown
+ */
+const parseScope = (scope) => {
+  const scopes = [...new Set(String(scope || '').split(' ').filter(Boolean))];
+  if (scopes.length === 0 || !scopes.every((s) => OAUTH_SCOPES.includes(s))) {
+    return null;
+  }
+  return scopes;
+};
+
+/**
+ * Check whether a URI can be registered as a redirect URI
+ * Requires an absolute https URI without fragment; http is only allowed for loopback hosts.
+ * @param {string} uri - Redirect URI
+ * @returns {boolean} True if allowed
+ */
+const isAllowedRedirectUri = (uri) => {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (err) {
+    return false;
+  }
+  if (url.hash || url.username || url.password) {
+    return false;
+  }
+  return url.protocol === 'https:'
+    || (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname));
+};
+
+/**
+ * Add query parameters to a redirect URI, keeping the ones it already has
+ * @param {string} uri - Redirect URI
+ * @param {Object} params - Parameters; undefined values are skipped
+ * @returns {string} URI
+ */
+const withQuery = (uri, params) => {
+  const url = new URL(uri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+/**
+ * Read HTTP Basic client credentials (RFC 6749 section 2.3.1)
+ * @param {string} [header] - Authorization header
+ * @returns {Object|null} { clientId, clientSecret }, or null if absent or malformed
+ */
+const parseBasicCredentials = (header) => {
+  const [type, encoded] = String(header || '').split(' ');
+  if (type !== 'Basic' || !encoded) {
+    return null;
+  }
+  const decoded = Buffer.from(encoded, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  OAUTH_SCOPES,
+  generateOAuthToken,
+  hashOAuthToken,
+  codeChallengeFor,
+  verifyCodeChallenge,
+  parseScope,
+  isAllowedRedirectUri,
+  withQuery,
+  parseBasicCredentials,
+};
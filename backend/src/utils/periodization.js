@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Periodization helpers
+ * @description Load progression and scheduling rules for multi-week training programs
+ * @module utils/periodization
+ */
+
+/**
+ * Progression types
+ * - none: template targets are used every week
+ * - linear: the load rises by a fixed increment each non-deload week
+ * - percentage: each week prescribes a percentage of the lifter's estimated 1RM
+ */
+const PROGRESSION_TYPES = ['none', 'linear', 'percentage'];
+
+/**
+ * Smallest load jump that can be loaded on a bar, per unit
+ */
+const LOAD_INCREMENTS = { kg: 2.5, lb: 5 };
+
+/**
+ * Milliseconds in a day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a load to the nearest loadable increment
+ * @param {number} weight - Load
+ * @param {string} unit - Weight unit ('kg' or 'lb')
+ * @returns {number} Rounded load
+ */
+const roundToIncrement = (weight, unit = 'kg') => {
+  const increment = LOAD_INCREMENTS[unit] || LOAD_INCREMENTS.kg;
+  return Math.round(weight / increment) * increment;
+};
+
+/**
+ * Compute the prescribed load for one template exercise in a given program week
+ * @param {Object} params - Parameters
+ * @param {Object} params.target - Template exercise ({ targetWeight, weightUnit })
+ * @param {Array<Object>} params.weeks - Program weeks ({ isDeload, intensity })
+ * @param {number} params.weekIndex - Zero-based week index
+ * @param {Object} params.progression - Program progression ({ type, increment, deloadFactor })
+ * @param {number|null} params.oneRepMax - Estimated 1RM in kg, if known
+ * @returns {Object} { weight, weightUnit }
+ */
+const computeWeekLoad = ({ target, weeks, weekIndex, progression, oneRepMax = null }) => {
+  const week = weeks[weekIndex];
+  const unit = target.weightUnit || 'kg';
+  let weight = target.targetWeight || 0;
+  let weightUnit = unit;
+
+  if (progression.type === 'linear') {
+    // Deload weeks do not advance the progression
+    const progressedWeeks = weeks.slice(0, weekIndex).filter((w) => !w.isDeload).length;
+    weight += progressedWeeks * progression.increment;
+  } else if (progression.type === 'percentage' && oneRepMax && week.intensity) {
+    weight = (oneRepMax * week.intensity) / 100;
+    weightUnit = 'kg';
+  }
+
+  if (week.isDeload) {
+    weight *= progression.deloadFactor;
+  }
+
+  return {
+    weight: weight > 0 ? roundToIncrement(weight, weightUnit) : 0,
+    weightUnit,
+  };
+};
+
+/**
+ * Compute the calendar date of a program day
+ * @param {Date} startDate - Enrollment start date
+ * @param {number} weekIndex - Zero-based week index
+ * @param {number} dayOffset - Day within the week (0-6)
+ * @returns {Date} Scheduled date
+ */
+const scheduleDate = (startDate, weekIndex, dayOffset) => new Date(
+  new Date(startDate).getTime() + (weekIndex * 7 + dayOffset) * DAY_MS,
+);
+
+module.exports = {
+  PROGRESSION_TYPES,
+  LOAD_INCREMENTS,
+  roundToIncrement,
+  computeWeekLoad,
+  scheduleDate,
+};
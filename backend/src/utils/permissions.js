@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Roles and permissions
+ * @description Maps user roles to the permissions checked by the authorize middleware
+ * @module utils/permissions
+ */
+
+/**
+ * Valid roles; every user has at least 'user'
+ */
+const ROLES = ['user', 'coach', 'moderator', 'admin'];
+
+/**
+ * Permission names
+ */
+const PERMISSIONS = {
+  // Invite clients and work with their training data
+  COACH_CLIENTS: 'clients:coach',
+  // Edit and remove exercises of the global library (those without a creator)
+  CURATE_EXERCISES: 'exercises:curate',
+  // Edit and remove custom exercises created by anyone
+  MANAGE_EXERCISES: 'exercises:manage',
+  // Grant and revoke roles
+  MANAGE_ROLES: 'users:roles',
+};
+
+/**
+ * Permissions granted by each role
+ */
+const ROLE_PERMISSIONS = {
+  user: [],
+  coach: [PERMISSIONS.COACH_CLIENTS],
+  moderator: [PERMISSIONS.CURATE_EXERCISES],
+  admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * Permissions granted by a set of roles
+ * Unknown roles grant nothing.
+ * @param {Array<string>} roles - Roles
+ * @returns {Set<string>} Permissions
+ */
+const permissionsFor = (roles = []) => new Set(
+  roles.flatMap((role) => ROLE_PERMISSIONS[role] || []),
+);
+
+/**
+ * Check whether a set of roles grants every given permission
+ * @param {Array<string>} roles - Roles
+ * @param {...string} permissions - Required permissions
+ * @returns {boolean} True if all are granted
+ */
+const hasPermission = (roles, ...permissions) => {
+  const granted = permissionsFor(roles);
+  return permissions.every((permission) => granted.has(permission));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+};
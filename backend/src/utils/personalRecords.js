@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Personal record calculations
+ * @description One-rep-max estimation and per-exercise record history computed from logged sets
+ * @module utils/personalRecords
+ */
+
+const { toKilograms } = require('./units');
+
+/**
+ * Personal record types
+ * - max-weight: heaviest load lifted for at least one rep
+ * - estimated-1rm: best estimated one-rep max
+ * - max-reps: most reps performed at a given load
+ * - max-volume: highest single-session volume (reps x load) for the exercise
+ */
+const RECORD_TYPES = ['max-weight', 'estimated-1rm', 'max-reps', 'max-volume'];
+
+/**
+ * Sets above this rep count are too far from a true max to estimate a 1RM from
+ */
+const MAX_ESTIMATE_REPS = 12;
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Epley one-rep max estimate
+ * @param {number} weight - Load lifted
+ * @param {number} reps - Reps performed
+ * @returns {number} Estimated 1RM
+ */
+const epley = (weight, reps) => (reps === 1 ? weight : weight * (1 + reps / 30));
+
+/**
+ * Brzycki one-rep max estimate
+ * @param {number} weight - Load lifted
+ * @param {number} reps - Reps performed
+ * @returns {number} Estimated 1RM
+ */
+const brzycki = (weight, reps) => (reps === 1 ? weight : (weight * 36) / (37 - reps));
+
+/**
+ * Estimate a one-rep max with both formulas
+ * Epley is used as the record value; Brzycki is kept alongside for comparison
+ * @param {number} weight - Load lifted in kg
+ * @param {number} reps - Reps performed
+ * @returns {Object|null} { value, epley, brzycki } or null if reps are out of range
+ */
+const estimateOneRepMax = (weight, reps) => {
+  if (!weight || reps < 1 || reps > MAX_ESTIMATE_REPS) {
+    return null;
+  }
+
+  const epleyValue = round(epley(weight, reps));
+  return {
+    value: epleyValue,
+    epley: epleyValue,
+    brzycki: round(brzycki(weight, reps)),
+  };
+};
+
+/**
+ * Compute the full personal record history for one exercise
+ * Walks the workouts in chronological order and emits a record every time a best is beaten.
+ * Warm-up sets and sets without reps never count.
+ * @param {Array<Object>} workouts - Completed workouts (plain objects) sorted by date ascending
+ * @param {string} exerciseId - Exercise ID
+ * @returns {Array<Object>} Record events, the latest per type/load marked isCurrent
+ */
+const computeRecordHistory = (workouts, exerciseId) => {
+  const bests = new Map();
+  const history = [];
+
+  /**
+   * Emit a record event if the candidate beats the current best for its key
+   */
+  const consider = (key, candidate) => {
+    const previous = bests.get(key);
+    if (previous && candidate.value <= previous.value) {
+      return;
+    }
+
+    const record = {
+      ...candidate,
+      previousValue: previous ? previous.value : null,
+      isCurrent: true,
+    };
+    if (previous) {
+      previous.isCurrent = false;
+    }
+    bests.set(key, record);
+    history.push(record);
+  };
+
+  workouts.forEach((workout) => {
+    let sessionVolume = 0;
+    let hasWorkingSets = false;
+
+    workout.exercises.forEach((entry, exerciseIndex) => {
+      const entryExerciseId = (entry.exercise._id || entry.exercise).toString();
+      if (entryExerciseId !== exerciseId.toString()) {
+        return;
+      }
+
+      (entry.sets || []).forEach((set, setIndex) => {
+        if (set.type === 'warmup' || !set.reps) {
+          return;
+        }
+
+        hasWorkingSets = true;
+        const weight = round(toKilograms(set.weight || 0, set.weightUnit));
+        sessionVolume += set.reps * weight;
+
+        const base = {
+          workoutId: workout._id,
+          achievedAt: workout.date,
+          exerciseIndex,
+          setIndex,
+          reps: set.reps,
+          weight,
+        };
+
+        if (weight > 0) {
+          consider('max-weight', { ...base, type: 'max-weight', value: weight, unit: 'kg' });
+        }
+
+        const estimate = estimateOneRepMax(weight, set.reps);
+        if (estimate) {
+          consider('estimated-1rm', {
+            ...base,
+            type: 'estimated-1rm',
+            value: estimate.value,
+            unit: 'kg',
+            details: { epley: estimate.epley, brzycki: estimate.brzycki },
+          });
+        }
+
+        consider(`max-reps:${weight}`, {
+          ...base,
+          type: 'max-reps',
+          value: set.reps,
+          unit: 'reps',
+          load: weight,
+        });
+      });
+    });
+
+    if (hasWorkingSets && sessionVolume > 0) {
+      consider('max-volume', {
+        workoutId: workout._id,
+        achievedAt: workout.date,
+        exerciseIndex: null,
+        setIndex: null,
+        type: 'max-volume',
+        value: round(sessionVolume),
+        unit: 'kg',
+      });
+    }
+  });
+
+  return history;
+};
+
+module.exports = {
+  RECORD_TYPES,
+  MAX_ESTIMATE_REPS,
+  epley,
+  brzycki,
+  estimateOneRepMax,
+  computeRecordHistory,
+};
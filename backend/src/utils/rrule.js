@@ -0,0 +1,309 @@
+/**
+ * @fileoverview iCalendar recurrence rules
+ * @description Parsing, formatting and expansion of the RFC 5545 RRULE subset used for workout schedules
+ * @module utils/rrule
+ */
+
+const { utcToZonedTime, zonedTimeToUtc } = require('./timeZones');
+
+/**
+ * Supported frequencies
+ */
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * RRULE weekday codes, indexed like Date#getUTCDay (0 = Sunday)
+ */
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Milliseconds in a day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Upper bound on returned occurrences, protecting against runaway rules
+ */
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Upper bound on recurrence periods scanned (about 50 years of daily periods)
+ */
+const MAX_PERIODS = 366 * 50;
+
+/**
+ * Parse an RRULE UNTIL value (DATE or UTC DATE-TIME form)
+ * @param {string} value - e.g. 20241231 or 20241231T235959Z
+ * @returns {Date} Parsed date
+ * @throws {Error} If the value is malformed
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+/**
+ * Format a date as an RRULE UTC DATE-TIME value
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. 20241231T235959Z
+ */
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse one BYDAY value
+ * @param {string} value - Weekday code with an optional ordinal, e.g. MO, 1MO or -1FR
+ * @returns {Object} { day, ordinal }; ordinal is null without one
+ * @throws {Error} If the value is malformed
+ */
+const parseByDay = (value) => {
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(value);
+  const day = match ? WEEKDAYS.indexOf(match[2]) : -1;
+  const ordinal = match && match[1] ? parseInt(match[1], 10) : null;
+  if (day === -1 || (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5))) {
+    throw new Error(`Unsupported BYDAY value: ${value}`);
+  }
+  return { day, ordinal };
+};
+
+/**
+ * Parse a recurrence rule
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL and WKST=MO.
+ * BYDAY ordinals (1MO, -1FR) and BYMONTHDAY only go with MONTHLY; other combinations are refused
+ * rather than ignored.
+ * @param {string} value - RRULE value, with or without the "RRULE:" prefix
+ * @returns {Object} { freq, interval, byDay, byNthDay, byMonthDay, count, until }; byDay holds
+ *   plain weekdays, byNthDay { day, ordinal } entries such as the first Monday
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+const parseRRule = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byNthDay: [],
+    byMonthDay: [],
+    count: null,
+    until: null,
+  };
+
+  value
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach((part) => {
+      const [key, rawValue = ''] = part.split('=');
+      const partValue = rawValue.toUpperCase();
+
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(partValue)) {
+            throw new Error(`Unsupported FREQ: ${rawValue}`);
+          }
+          rule.freq = partValue;
+          break;
+        case 'INTERVAL':
+          rule.interval = parseInt(partValue, 10);
+          if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+            throw new Error('INTERVAL must be between 1 and 365');
+          }
+          break;
+        case 'BYDAY': {
+          const days = partValue.split(',').map(parseByDay);
+          rule.byDay = days.filter(({ ordinal }) => ordinal === null).map(({ day }) => day);
+          rule.byNthDay = days.filter(({ ordinal }) => ordinal !== null);
+          break;
+        }
+        case 'BYMONTHDAY':
+          rule.byMonthDay = partValue.split(',').map((day) => {
+            const monthDay = parseInt(day, 10);
+            if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+              throw new Error(`Unsupported BYMONTHDAY value: ${day}`);
+            }
+            return monthDay;
+          });
+          break;
+        case 'COUNT':
+          rule.count = parseInt(partValue, 10);
+          if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+            throw new Error(`COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+          }
+          break;
+        case 'UNTIL':
+          rule.until = parseUntil(partValue);
+          break;
+        case 'WKST':
+          if (partValue !== 'MO') {
+            throw new Error('Only WKST=MO is supported');
+          }
+          break;
+        default:
+          throw new Error(`Unsupported rule part: ${key}`);
+      }
+    });
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot both be set');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byNthDay.length > 0) {
+    throw new Error('BYDAY ordinals are only supported with FREQ=MONTHLY');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byMonthDay.length > 0) {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+
+  return rule;
+};
+
+/**
+ * Format a parsed rule back into an RRULE value
+ * @param {Object} rule - Parsed rule
+ * @returns {string} RRULE value without the "RRULE:" prefix
+ */
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  const byDay = [
+    ...rule.byDay.map((day) => WEEKDAYS[day]),
+    ...rule.byNthDay.map(({ day, ordinal }) => `${ordinal}${WEEKDAYS[day]}`),
+  ];
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+};
+
+/**
+ * Generate the candidate dates of one recurrence period
+ * Works on floating dates, whose UTC fields hold the local date and time.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} dtstart - First occurrence, floating
+ * @param {number} period - Zero-based period number
+ * @returns {Array<Date>} Floating candidate dates in chronological order
+ */
+const periodCandidates = (rule, dtstart, period) => {
+  const timeOfDay = dtstart.getTime() % DAY_MS;
+  const startDay = dtstart.getTime() - timeOfDay;
+
+  if (rule.freq === 'DAILY') {
+    const date = new Date(startDay + period * rule.interval * DAY_MS + timeOfDay);
+    return rule.byDay.length === 0 || rule.byDay.includes(date.getUTCDay()) ? [date] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (WKST=MO)
+    const mondayOffset = (dtstart.getUTCDay() + 6) % 7;
+    const weekStart = startDay - mondayOffset * DAY_MS + period * rule.interval * 7 * DAY_MS;
+    const days = rule.byDay.length > 0 ? rule.byDay : [dtstart.getUTCDay()];
+
+    return days
+      .map((day) => (day + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((offset) => new Date(weekStart + offset * DAY_MS + timeOfDay));
+  }
+
+  // MONTHLY: days that do not exist in a month (e.g. the 31st) are skipped, as in RFC 5545
+  const year = dtstart.getUTCFullYear();
+  const month = dtstart.getUTCMonth() + period * rule.interval;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const byWeekday = rule.byDay.length > 0 || rule.byNthDay.length > 0;
+  const byMonthDay = rule.byMonthDay.length > 0 ? rule.byMonthDay : null;
+  const dates = Array.from({ length: daysInMonth }, (_, index) => (
+    new Date(Date.UTC(year, month, index + 1) + timeOfDay)
+  ));
+
+  // With both BYDAY and BYMONTHDAY a day must match each, e.g. Friday the 13th
+  return dates.filter((date) => {
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+    if (!byWeekday && !byMonthDay) {
+      return day === dtstart.getUTCDate();
+    }
+    if (byMonthDay && !byMonthDay.includes(day)) {
+      return false;
+    }
+    return !byWeekday
+      || rule.byDay.includes(weekday)
+      || rule.byNthDay.some(({ day: nthWeekday, ordinal }) => nthWeekday === weekday
+        && (ordinal > 0
+          ? Math.ceil(day / 7) === ordinal
+          : Math.floor((daysInMonth - day) / 7) + 1 === -ordinal));
+  });
+};
+
+/**
+ * Expand a recurrence rule into occurrence dates
+ * COUNT is applied from dtstart before EXDATEs and the window are applied, per RFC 5545.
+ * Days, weekdays and months are counted in the rule's time zone, so occurrences keep their local
+ * time of day and weekday across DST changes; each is returned as a UTC instant.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} dtstart - First occurrence
+ * @param {Object} options - Expansion options
+ * @param {Date} options.from - Earliest occurrence to return (inclusive)
+ * @param {Date} options.to - Latest occurrence to return (inclusive)
+ * @param {Array<Date>} options.exdates - Excluded occurrences
+ * @param {string} [options.tzid] - IANA time zone of dtstart (defaults to UTC)
+ * @returns {Array<Date>} Occurrence dates
+ */
+const expandRRule = (rule, dtstart, options = {}) => {
+  const start = new Date(dtstart);
+  const from = options.from ? new Date(options.from) : start;
+  const to = options.to ? new Date(options.to) : null;
+  const excluded = new Set((options.exdates || []).map((date) => new Date(date).getTime()));
+  const tzid = options.tzid || 'UTC';
+  const localStart = utcToZonedTime(start, tzid);
+
+  if (!rule.count && !rule.until && !to) {
+    throw new Error('An unbounded rule needs an expansion window');
+  }
+
+  const occurrences = [];
+  let generated = 0;
+
+  for (let period = 0; occurrences.length < MAX_OCCURRENCES && period < MAX_PERIODS; period += 1) {
+    const candidates = periodCandidates(rule, localStart, period)
+      .map((date) => zonedTimeToUtc(date, tzid))
+      .filter((date) => date >= start);
+
+    for (let i = 0; i < candidates.length; i += 1) {
+      const date = candidates[i];
+
+      if ((rule.until && date > rule.until) || (to && date > to)) {
+        return occurrences;
+      }
+
+      generated += 1;
+      if (date >= from && !excluded.has(date.getTime())) {
+        occurrences.push(date);
+      }
+
+      if ((rule.count && generated >= rule.count) || occurrences.length >= MAX_OCCURRENCES) {
+        return occurrences;
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview S3 object requests
+ * @description Minimal AWS Signature Version 4 client for storing and deleting objects in S3 or
+ * an S3-compatible service
+ * @module utils/s3
+ */
+
+const crypto = require('crypto');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * SHA-256 of a string or buffer
+ * @param {string|Buffer} data - Data
+ * @returns {string} Hex digest
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - Key
+ * @param {string} data - Data
+ * @returns {Buffer} Digest
+ */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * URI-encode an object path, keeping the slashes between segments
+ * @param {string} path - URL path
+ * @returns {string} Canonical URI
+ */
+const encodePath = (path) => path
+  .split('/')
+  .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full object URL (no query string)
+ * @param {Object} [request.headers] - Headers to sign besides host and the x-amz-* headers
+ * @param {string} [request.payloadHash] - Hex SHA-256 of the body (defaults to the empty body)
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} [now] - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+const signRequest = (request, credentials, now = new Date()) => {
+  const url = new URL(request.url);
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = request.payloadHash || EMPTY_PAYLOAD_HASH;
+
+  const headers = {
+    ...request.headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]),
+  );
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    request.method,
+    encodePath(url.pathname),
+    '',
+    names.map((name) => `${name}:${lowerHeaders[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${date}/${credentials.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    hmac,
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), credentials.region),
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, `
+      + `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * URL of an object
+ * Virtual-hosted style on AWS; path style on custom endpoints.
+ * @param {Object} options - { bucket, region, endpoint }
+ * @param {string} key - Object key
+ * @returns {string} Object URL
+ */
+const objectUrl = ({ bucket, region, endpoint }, key) => (endpoint
+  ? `${endpoint.replace(/\/+$/, '')}/${bucket}/${key}`
+  : `https://${bucket}.s3.${region}.amazonaws.com/${key}`);
+
+/**
+ * Send a signed object request
+ * @param {string} method - HTTP method
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey }
+ * @param {string} key - Object key
+ * @param {Object} [body] - { data, contentType, cacheControl }
+ * @returns {Promise<Response>} Service response
+ * @throws {Error} If the service rejects the request
+ */
+const send = async (method, options, key, body = null) => {
+  const url = objectUrl(options, key);
+  const headers = body ? {
+    'content-type': body.contentType,
+    ...(body.cacheControl ? { 'cache-control': body.cacheControl } : {}),
+  } : {};
+
+  const response = await fetch(url, {
+    method,
+    headers: signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: body ? sha256(body.data) : EMPTY_PAYLOAD_HASH,
+    }, options),
+    body: body ? body.data : undefined,
+  });
+
+  // Deleting a missing object is not an error
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+  }
+  return response;
+};
+
+/**
+ * Store an object
+ * @param {Object} options - Bucket, region, endpoint and credentials
+ * @param {string} key - Object key
+ * @param {Buffer} data - Object contents
+ * @param {string} contentType - MIME type
+ * @param {string} [cacheControl] - Cache-Control header served with the object
+ * @returns {Promise<void>}
+ */
+const putObject = (options, key, data, contentType, cacheControl) => send(
+  'PUT',
+  options,
+  key,
+  { data, contentType, cacheControl },
+);
+
+/**
+ * Read an object
+ * @param {Object} options - Bucket, region, endpoint and credentials
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>} Object contents
+ */
+const getObject = async (options, key) => {
+  const response = await send('GET', options, key);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Delete an object
+ * @param {Object} options - Bucket, region, endpoint and credentials
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+const deleteObject = (options, key) => send('DELETE', options, key);
+
+module.exports = {
+  signRequest,
+  objectUrl,
+  putObject,
+  getObject,
+  deleteObject,
+};
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Secret encryption
+ * @description Encrypts secrets that must be read back (unlike passwords), such as TOTP secrets
+ * @module utils/secretBox
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Encryption key: TWO_FACTOR_ENCRYPTION_KEY, or one derived from the JWT secret
+ * @returns {Buffer} 32-byte key
+ */
+const encryptionKey = () => (config.twoFactor.encryptionKey
+  ? crypto.createHash('sha256').update(config.twoFactor.encryptionKey).digest()
+  : crypto.createHmac('sha256', config.jwt.secret).update('secret-box').digest());
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret
+ * @returns {string} "v1:<iv>:<tag>:<ciphertext>", base64 parts
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a secret
+ * @param {string} value - Output of encryptSecret
+ * @returns {string} Secret
+ * @throws {Error} If the value was tampered with or encrypted with another key
+ */
+const decryptSecret = (value) => {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !ciphertext) {
+    throw new Error('Unsupported encrypted secret');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+};
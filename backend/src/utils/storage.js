@@ -0,0 +1,173 @@
+/**
+ * @fileoverview File storage
+ * @description Stores uploaded files on local disk or in S3, behind one interface
+ * @module utils/storage
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const {
+  putObject,
+  getObject,
+  deleteObject,
+  objectUrl,
+} = require('./s3');
+const logger = require('./logger');
+
+/**
+ * Object keys the adapters accept: generated names below a folder, never parent paths
+ */
+const KEY_PATTERN = /^[a-z0-9_-]+(\/[a-zA-Z0-9_-]+)*\.[a-z0-9]+$/;
+
+/**
+ * Uploads are stored under unique names, so they can be cached indefinitely
+ */
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Folder of files that are only handed out by the API (e.g. data exports), never served directly;
+ * an S3 bucket policy that makes uploads public must leave it out
+ */
+const PRIVATE_PREFIX = 'private';
+
+/**
+ * Cache-Control of a stored object
+ * @param {string} key - Object key
+ * @returns {string} Cache-Control header value
+ */
+const cacheControlFor = (key) => (key.startsWith(`${PRIVATE_PREFIX}/`) ? 'private, no-store' : CACHE_CONTROL);
+
+/**
+ * Check that a key is safe to use as a path
+ * @param {string} key - Object key
+ * @throws {Error} If the key is malformed
+ */
+const assertKey = (key) => {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+};
+
+/**
+ * Storage on the local disk, served by the API under /uploads
+ * @param {Object} options - { directory, publicUrl }
+ * @returns {Object} Storage adapter
+ */
+const createLocalStorage = ({ directory, publicUrl }) => ({
+  async save(key, data) {
+    assertKey(key);
+    const file = path.resolve(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+    return `${publicUrl}/${key}`;
+  },
+
+  async load(key) {
+    assertKey(key);
+    return fs.readFile(path.resolve(directory, key));
+  },
+
+  async remove(key) {
+    assertKey(key);
+    await fs.rm(path.resolve(directory, key), { force: true });
+  },
+
+  keyFromUrl(url) {
+    const prefix = `${publicUrl}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  },
+});
+
+/**
+ * Storage in an S3 bucket, served from the bucket or a CDN in front of it
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }
+ * @returns {Object} Storage adapter
+ */
+const createS3Storage = (options) => {
+  const baseUrl = (options.publicUrl || objectUrl(options, '')).replace(/\/+$/, '');
+
+  return {
+    async save(key, data, contentType) {
+      assertKey(key);
+      await putObject(options, key, data, contentType, cacheControlFor(key));
+      return `${baseUrl}/${key}`;
+    },
+
+    async load(key) {
+      assertKey(key);
+      return getObject(options, key);
+    },
+
+    async remove(key) {
+      assertKey(key);
+      await deleteObject(options, key);
+    },
+
+    keyFromUrl(url) {
+      const prefix = `${baseUrl}/`;
+      return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+    },
+  };
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} { save(key, data, contentType), load(key), remove(key), keyFromUrl(url) }
+ * @throws {Error} If S3 is selected without a bucket
+ */
+const getStorage = () => {
+  if (!storage) {
+    if (config.storage.driver === 's3') {
+      if (!config.aws.s3Bucket) {
+        throw new Error('AWS_S3_BUCKET must be set to store uploads in S3');
+      }
+      storage = createS3Storage({
+        bucket: config.aws.s3Bucket,
+        region: config.aws.region,
+        endpoint: config.aws.s3Endpoint,
+        accessKeyId: config.aws.accessKeyId,
+        secretAccessKey: config.aws.secretAccessKey,
+        publicUrl: config.aws.s3PublicUrl,
+      });
+    } else {
+      storage = createLocalStorage({
+        directory: config.storage.localDir,
+        publicUrl: config.storage.publicUrl.replace(/\/+$/, ''),
+      });
+    }
+  }
+  return storage;
+};
+
+/**
+ * Delete a stored file by its public URL
+ * URLs the storage did not issue (e.g. external avatars) are ignored. Failures are logged rather
+ * than thrown; an orphaned file does no harm.
+ * @param {string} url - Public URL returned by save()
+ * @returns {Promise<void>}
+ */
+const removeStoredFile = async (url) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  if (!key) {
+    return;
+  }
+
+  try {
+    await storage.remove(key);
+  } catch (err) {
+    logger.error(`Error removing stored file ${key}:`, err);
+  }
+};
+
+module.exports = {
+  CACHE_CONTROL,
+  PRIVATE_PREFIX,
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  removeStoredFile,
+};
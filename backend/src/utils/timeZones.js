@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Time zone helpers
+ * @description Conversions between UTC instants and wall-clock time in IANA time zones
+ * @module utils/timeZones
+ */
+
+/**
+ * Formatters by time zone; building one is much slower than using it
+ */
+const formatters = new Map();
+
+/**
+ * Get a formatter that reads the wall-clock time in a zone
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Berlin
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} If the zone is unknown
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a time zone is a known IANA zone
+ * @param {string} timeZone - Time zone
+ * @returns {boolean} True if known
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock time of an instant in a zone, as milliseconds of the same wall clock in UTC
+ * @param {number} time - Instant in milliseconds
+ * @param {Intl.DateTimeFormat} formatter - Formatter of the zone
+ * @returns {number} Wall-clock milliseconds
+ */
+const wallClockAt = (time, formatter) => {
+  const values = {};
+  formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+    values[type] = parseInt(value, 10);
+  });
+  const seconds = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second,
+  );
+  // Intl drops milliseconds; keep them
+  return seconds + (((time % 1000) + 1000) % 1000);
+};
+
+/**
+ * Convert an instant to wall-clock time in a zone
+ * The result is a "floating" date: its UTC fields hold the local date and time.
+ * Unknown zones fall back to UTC.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Floating date
+ */
+const utcToZonedTime = (date, timeZone) => {
+  if (!isValidTimeZone(timeZone)) {
+    return new Date(date);
+  }
+  return new Date(wallClockAt(new Date(date).getTime(), getFormatter(timeZone)));
+};
+
+/**
+ * Convert wall-clock time in an IANA time zone to UTC
+ * Times skipped by a DST change move forward by the change, as in RFC 5545.
+ * Unknown zones fall back to UTC.
+ * @param {Date} floating - Floating date whose UTC fields hold the local date and time
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Berlin
+ * @returns {Date} UTC date
+ */
+const zonedTimeToUtc = (floating, timeZone) => {
+  const asUtc = new Date(floating).getTime();
+  if (!isValidTimeZone(timeZone)) {
+    return new Date(asUtc);
+  }
+
+  const formatter = getFormatter(timeZone);
+  const offsetAt = (time) => wallClockAt(time, formatter) - time;
+
+  // Two passes settle the offset across DST transitions
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+};
+
+module.exports = {
+  isValidTimeZone,
+  utcToZonedTime,
+  zonedTimeToUtc,
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Time-based one-time passwords
+ * @description TOTP (RFC 6238) codes as used by authenticator apps, plus recovery codes
+ * @module utils/totp
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Seconds each code is valid, and digits per code (the authenticator app defaults)
+ */
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Number of recovery codes issued at a time
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} data - Bytes
+ * @returns {string} Base32 string
+ */
+const base32Encode = (data) => {
+  let bits = '';
+  for (const byte of data) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text - Base32 string
+ * @returns {Buffer} Bytes
+ * @throws {Error} If the string contains other characters
+ */
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new shared secret
+ * @returns {string} 160-bit secret in base32, as entered in authenticator apps
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter (the time step for TOTP)
+ * @param {number} [digits] - Code length
+ * @returns {string} Zero-padded code
+ */
+const hotp = (secret, counter, digits = DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  // Dynamic truncation: the low 4 bits of the last byte pick 31 bits of the digest
+  const offset = digest[digest.length - 1] % 16;
+  const binary = digest.readUInt32BE(offset) % 0x80000000;
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Time step of a moment
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number} Step number
+ */
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * TOTP code at a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} [now] - Time in milliseconds
+ * @param {number} [digits] - Code length
+ * @returns {string} Code
+ */
+const generateTotp = (secret, now = Date.now(), digits = DIGITS) => (
+  hotp(secret, timeStep(now), digits)
+);
+
+/**
+ * Check a TOTP code
+ * One step of clock drift is tolerated either way. Steps up to lastUsedStep are rejected, so a
+ * code cannot be used twice.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { now, lastUsedStep }
+ * @returns {number|null} Time step of the matching code, or null
+ */
+const verifyTotp = (secret, code, { now = Date.now(), lastUsedStep = -1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+
+  const current = timeStep(now);
+  for (const step of [current - 1, current, current + 1]) {
+    if (step > lastUsedStep
+      && crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI understood by authenticator apps, usually shown as a QR code
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} URI
+ */
+const otpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Normalize a recovery code as typed: case, spaces and dashes do not matter
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Hash a recovery code for storage and comparison
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+/**
+ * Generate a set of recovery codes
+ * @returns {string[]} Codes formatted as "xxxxx-xxxxx"
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
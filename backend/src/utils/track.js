@@ -0,0 +1,296 @@
+/**
+ * @fileoverview GPS track metrics
+ * @description Distance, moving time, elevation gain, splits and simplification for recorded tracks
+ * @module utils/track
+ */
+
+/**
+ * Mean Earth radius in meters
+ */
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Slowest speed (m/s) still counted as moving
+ */
+const MIN_MOVING_SPEED = 0.5;
+
+/**
+ * Longest gap between samples (seconds) still counted as moving; longer gaps are pauses
+ */
+const MAX_SAMPLE_GAP_SECONDS = 60;
+
+/**
+ * Climb needed before elevation changes count, filtering GPS and barometer noise
+ */
+const ELEVATION_THRESHOLD_M = 2;
+
+/**
+ * Most points kept in a stored track
+ */
+const MAX_TRACK_POINTS = 500;
+
+/**
+ * Starting tolerance (meters) for route simplification
+ */
+const SIMPLIFY_TOLERANCE_M = 5;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Check whether a point has a usable position
+ * @param {Object} point - Track point
+ * @returns {boolean} True if latitude and longitude are present
+ */
+const hasPosition = (point) => Number.isFinite(point.lat) && Number.isFinite(point.lon);
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - Point { lat, lon }
+ * @param {Object} b - Point { lat, lon }
+ * @returns {number} Distance in meters
+ */
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Cumulative distance at each point
+ * Recorded distances (TCX DistanceMeters) win over positions; points without either carry the
+ * previous total forward.
+ * @param {Array<Object>} points - Track points { lat, lon, distance }
+ * @returns {Array<number>} Meters from the start at each point
+ */
+const cumulativeDistances = (points) => {
+  const distances = [];
+  let total = 0;
+  let previous = null;
+
+  points.forEach((point) => {
+    if (Number.isFinite(point.distance)) {
+      total = Math.max(total, point.distance);
+    } else if (hasPosition(point)) {
+      if (previous) total += haversineDistance(previous, point);
+    }
+    if (hasPosition(point)) previous = point;
+    distances.push(total);
+  });
+
+  return distances;
+};
+
+/**
+ * Total climb with a noise threshold
+ * @param {Array<Object>} points - Track points { ele }
+ * @returns {number} Elevation gain in meters
+ */
+const elevationGain = (points) => {
+  let gain = 0;
+  let reference = null;
+
+  points.forEach(({ ele }) => {
+    if (!Number.isFinite(ele)) return;
+    if (reference === null || ele < reference - ELEVATION_THRESHOLD_M) {
+      reference = ele;
+    } else if (ele >= reference + ELEVATION_THRESHOLD_M) {
+      gain += ele - reference;
+      reference = ele;
+    }
+  });
+
+  return Math.round(gain);
+};
+
+/**
+ * Moving time: intervals with a short sample gap and a speed above walking-still pace
+ * Without distances every short interval counts.
+ * @param {Array<Object>} points - Track points { time }
+ * @param {Array<number>} distances - Cumulative distances from cumulativeDistances
+ * @returns {number} Moving time in seconds
+ */
+const movingTime = (points, distances) => {
+  const hasDistance = distances[distances.length - 1] > 0;
+  let seconds = 0;
+
+  for (let i = 1; i < points.length; i += 1) {
+    const dt = (points[i].time - points[i - 1].time) / 1000;
+    const speed = dt > 0 ? (distances[i] - distances[i - 1]) / dt : 0;
+    if (dt > 0 && dt <= MAX_SAMPLE_GAP_SECONDS && (!hasDistance || speed >= MIN_MOVING_SPEED)) {
+      seconds += dt;
+    }
+  }
+
+  return Math.round(seconds);
+};
+
+/**
+ * Heart-rate summary
+ * @param {Array<Object>} points - Track points { hr }
+ * @returns {Object} { avgHeartRate, maxHeartRate }, null when no samples
+ */
+const heartRate = (points) => {
+  const samples = points.map((point) => point.hr).filter((hr) => Number.isFinite(hr) && hr > 0);
+  if (samples.length === 0) {
+    return { avgHeartRate: null, maxHeartRate: null };
+  }
+  return {
+    avgHeartRate: Math.round(samples.reduce((sum, hr) => sum + hr, 0) / samples.length),
+    maxHeartRate: Math.max(...samples),
+  };
+};
+
+/**
+ * Summarize a run of track points
+ * @param {Array<Object>} points - Time-ordered points { time, lat, lon, ele, hr, distance }
+ * @returns {Object} { distanceMeters, movingTimeSeconds, elapsedTimeSeconds, elevationGain, avgHeartRate, maxHeartRate }
+ */
+const summarizeTrack = (points) => {
+  if (points.length === 0) {
+    return {
+      distanceMeters: 0,
+      movingTimeSeconds: 0,
+      elapsedTimeSeconds: 0,
+      elevationGain: 0,
+      avgHeartRate: null,
+      maxHeartRate: null,
+    };
+  }
+
+  const distances = cumulativeDistances(points);
+  return {
+    distanceMeters: Math.round(distances[distances.length - 1]),
+    movingTimeSeconds: movingTime(points, distances),
+    elapsedTimeSeconds: Math.round((points[points.length - 1].time - points[0].time) / 1000),
+    elevationGain: elevationGain(points),
+    ...heartRate(points),
+  };
+};
+
+/**
+ * Split a track into fixed-distance segments (the last one may be shorter)
+ * @param {Array<Object>} points - Time-ordered track points
+ * @param {number} [splitMeters=1000] - Split length
+ * @returns {Array<Array<Object>>} Point runs, each starting where the previous ended
+ */
+const splitByDistance = (points, splitMeters = 1000) => {
+  const distances = cumulativeDistances(points);
+  const segments = [];
+  let start = 0;
+  let boundary = splitMeters;
+
+  for (let i = 1; i < points.length; i += 1) {
+    if (distances[i] >= boundary) {
+      segments.push(points.slice(start, i + 1));
+      start = i;
+      boundary = Math.floor(distances[i] / splitMeters) * splitMeters + splitMeters;
+    }
+  }
+  if (start < points.length - 1) {
+    segments.push(points.slice(start));
+  }
+
+  return segments;
+};
+
+/**
+ * Perpendicular distance of a point from a segment, on a local flat projection
+ * @param {Object} point - Point { lat, lon }
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @returns {number} Distance in meters
+ */
+const distanceFromSegment = (point, start, end) => {
+  const scale = Math.cos(toRadians(start.lat));
+  const project = (p) => ({
+    x: toRadians(p.lon - start.lon) * scale * EARTH_RADIUS_M,
+    y: toRadians(p.lat - start.lat) * EARTH_RADIUS_M,
+  });
+  const p = project(point);
+  const e = project(end);
+  const lengthSquared = e.x * e.x + e.y * e.y;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (p.x * e.x + p.y * e.y) / lengthSquared)) : 0;
+  return Math.hypot(p.x - t * e.x, p.y - t * e.y);
+};
+
+/**
+ * Ramer-Douglas-Peucker simplification
+ * @param {Array<Object>} points - Positioned points
+ * @param {number} tolerance - Tolerance in meters
+ * @returns {Array<Object>} Kept points, in order
+ */
+const douglasPeucker = (points, tolerance) => {
+  if (points.length <= 2) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  // Iterative to stay clear of the call stack limit on long tracks
+  const ranges = [[0, points.length - 1]];
+
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i += 1) {
+      const distance = distanceFromSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Reduce a track for storage and display
+ * Positioned tracks are simplified by shape, loosening the tolerance until they fit; tracks
+ * without positions (treadmill, trainer) are sampled evenly.
+ * @param {Array<Object>} points - Time-ordered track points
+ * @param {number} [maxPoints=MAX_TRACK_POINTS] - Most points to keep
+ * @returns {Array<Object>} Points { t, lat, lon, ele, hr } with t in seconds from the start
+ */
+const simplifyTrack = (points, maxPoints = MAX_TRACK_POINTS) => {
+  if (points.length === 0) return [];
+
+  const positioned = points.filter(hasPosition);
+  let kept;
+  if (positioned.length >= 2) {
+    let tolerance = SIMPLIFY_TOLERANCE_M;
+    kept = douglasPeucker(positioned, tolerance);
+    while (kept.length > maxPoints) {
+      tolerance *= 2;
+      kept = douglasPeucker(positioned, tolerance);
+    }
+  } else {
+    const step = Math.max(1, Math.ceil(points.length / maxPoints));
+    kept = points.filter((_, i) => i % step === 0);
+  }
+
+  const startTime = points[0].time;
+  return kept.map((point) => ({
+    t: Math.round((point.time - startTime) / 1000),
+    lat: hasPosition(point) ? Math.round(point.lat * 1e6) / 1e6 : null,
+    lon: hasPosition(point) ? Math.round(point.lon * 1e6) / 1e6 : null,
+    ele: Number.isFinite(point.ele) ? Math.round(point.ele * 10) / 10 : null,
+    hr: Number.isFinite(point.hr) ? point.hr : null,
+  }));
+};
+
+module.exports = {
+  MAX_TRACK_POINTS,
+  haversineDistance,
+  cumulativeDistances,
+  elevationGain,
+  summarizeTrack,
+  splitByDistance,
+  simplifyTrack,
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Unit conversion helpers
+ * @description Conversions between the measurement units users can log in
+ * @module utils/units
+ */
+
+/**
+ * Pounds to kilograms conversion factor
+ */
+const LB_TO_KG = 0.45359237;
+
+/**
+ * Miles to kilometers conversion factor
+ */
+const MI_TO_KM = 1.609344;
+
+/**
+ * Convert a logged weight to kilograms
+ * @param {number} weight - Weight value
+ * @param {string} unit - Weight unit ('kg' or 'lb')
+ * @returns {number} Weight in kilograms
+ */
+const toKilograms = (weight, unit = 'kg') => (unit === 'lb' ? weight * LB_TO_KG : weight);
+
+/**
+ * Convert a logged distance to kilometers
+ * @param {number} distance - Distance value
+ * @param {string} unit - Distance unit ('km' or 'mi')
+ * @returns {number} Distance in kilometers
+ */
+const toKilometers = (distance, unit = 'km') => (unit === 'mi' ? distance * MI_TO_KM : distance);
+
+module.exports = {
+  LB_TO_KG,
+  MI_TO_KM,
+  toKilograms,
+  toKilometers,
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Visibility rules
+ * @description Who may see a user's profile, posts and workouts
+ * @module utils/visibility
+ */
+
+/**
+ * Audiences, from the widest to the narrowest: everyone, approved followers, only the owner
+ */
+const VISIBILITY_LEVELS = ['public', 'followers', 'private'];
+
+/**
+ * Narrowest of several visibility levels
+ * A profile setting caps the visibility of everything the user shares.
+ * @param {...string} levels - Visibility levels; missing ones count as public
+ * @returns {string} Visibility level
+ */
+const narrowest = (...levels) => levels.reduce(
+  (result, level) => (VISIBILITY_LEVELS.indexOf(level) > VISIBILITY_LEVELS.indexOf(result)
+    ? level
+    : result),
+  'public',
+);
+
+/**
+ * Check whether a list of IDs contains an ID
+ * @param {Array<ObjectId|string>} ids - IDs
+ * @param {ObjectId|string} id - ID to find
+ * @returns {boolean} True if present
+ */
+const includesId = (ids, id) => ids.some((candidate) => String(candidate) === String(id));
+
+/**
+ * Check whether a viewer may see a user's profile or something they shared
+ * @param {Object} audience - Viewer's relations, from GetAudience
+ * @param {ObjectId|string} ownerId - User who shared it
+ * @param {...string} levels - Visibility levels that apply: the owner's profile setting, and
+ *   that of the post or workout; missing ones count as public
+ * @returns {boolean} True if visible to the viewer
+ */
+const canView = (audience, ownerId, ...levels) => {
+  if (String(ownerId) === String(audience.viewerId)) {
+    return true;
+  }
+  if (includesId(audience.hiddenUserIds, ownerId)) {
+    return false;
+  }
+
+  const level = narrowest(...levels);
+  if (level === 'public') {
+    return true;
+  }
+  return level === 'followers' && includesId(audience.followingIds, ownerId);
+};
+
+/**
+ * Build the query condition matching the posts or workouts a viewer may see
+ * Posts carry their author's profile setting as authorVisibility. Documents without one (posts from
+ * before it existed, workouts) count as public; check their owners' profile setting separately.
+ * @param {Object} audience - Viewer's relations, from GetAudience
+ * @param {string} [ownerField] - Field holding the owner's user ID
+ * @returns {Object} Condition to merge into a query
+ */
+const visibleCondition = (audience, ownerField = 'userId') => ({
+  $or: [
+    { [ownerField]: audience.viewerId },
+    {
+      [ownerField]: { $in: audience.followingIds, $nin: audience.hiddenUserIds },
+      visibility: { $ne: 'private' },
+      authorVisibility: { $ne: 'private' },
+    },
+    {
+      [ownerField]: { $nin: audience.hiddenUserIds },
+      visibility: { $nin: ['followers', 'private'] },
+      authorVisibility: { $nin: ['followers', 'private'] },
+    },
+  ],
+});
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  narrowest,
+  includesId,
+  canView,
+  visibleCondition,
+};
@@ -0,0 +1,402 @@
+/**
+ * @fileoverview Workout CSV parsing
+ * @description Reads set-per-row workout exports from lifting apps (Strong, Hevy, FitNotes and
+ * similar) and groups the sets into workouts
+ * @module utils/workoutCsv
+ */
+
+const { parseCsv } = require('./csv');
+
+/**
+ * Header spellings per field, compared lowercase without spaces or punctuation
+ */
+const COLUMN_ALIASES = {
+  date: ['date', 'starttime', 'workoutdate', 'datetime', 'day'],
+  endTime: ['endtime'],
+  workoutName: ['workoutname', 'workouttitle', 'title', 'workout', 'routinename', 'routine'],
+  duration: ['duration', 'workoutduration'],
+  exerciseName: ['exercisename', 'exercisetitle', 'exercise', 'movement'],
+  setOrder: ['setorder', 'setindex', 'setnumber', 'setno', 'set'],
+  weight: ['weight', 'weightkg', 'weightkgs', 'weightlb', 'weightlbs', 'load'],
+  weightUnit: ['weightunit', 'unit', 'units'],
+  reps: ['reps', 'repetitions', 'rep'],
+  rpe: ['rpe'],
+  setType: ['settype'],
+  notes: ['notes', 'note', 'setnotes', 'exercisenotes', 'comment', 'comments'],
+  workoutNotes: ['workoutnotes', 'description'],
+};
+
+/**
+ * Columns every import needs
+ */
+const REQUIRED_COLUMNS = ['date', 'exerciseName', 'reps'];
+
+/**
+ * Set type spellings, including Strong's set-order letters
+ */
+const SET_TYPE_ALIASES = {
+  normal: 'working',
+  working: 'working',
+  warmup: 'warmup',
+  w: 'warmup',
+  dropset: 'drop',
+  drop: 'drop',
+  d: 'drop',
+  failure: 'failure',
+  f: 'failure',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Title of workouts whose export has no workout name
+ */
+const DEFAULT_TITLE = 'Imported workout';
+
+/**
+ * Most sets kept per exercise, matching the workout schema
+ */
+const MAX_SETS_PER_EXERCISE = 50;
+
+/**
+ * Normalize a header cell for alias lookup
+ * @param {string} header - Header text
+ * @returns {string} Lowercase letters and digits
+ */
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map the header row onto import fields
+ * The first alias found wins, so "Exercise Name" is preferred over a generic "Exercise" column.
+ * @param {Array<string>} header - Header cells
+ * @returns {Object} Column index per field, and the weight unit implied by the weight header
+ */
+const detectColumns = (header) => {
+  const normalized = header.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find((name) => normalized.includes(name));
+    if (alias) columns[field] = normalized.indexOf(alias);
+  });
+
+  let headerWeightUnit = null;
+  if (columns.weight !== undefined) {
+    const weightHeader = normalized[columns.weight];
+    if (/kgs?$/.test(weightHeader)) headerWeightUnit = 'kg';
+    if (/lbs?$/.test(weightHeader)) headerWeightUnit = 'lb';
+  }
+
+  return { columns, headerWeightUnit };
+};
+
+/**
+ * Name the app an export most likely came from
+ * @param {Array<string>} header - Header cells
+ * @returns {string} 'strong', 'hevy', 'fitnotes' or 'generic'
+ */
+const detectFormat = (header) => {
+  const normalized = header.map(normalizeHeader);
+  if (normalized.includes('exercisetitle') && normalized.includes('starttime')) return 'hevy';
+  if (normalized.includes('setorder') && normalized.includes('workoutname')) return 'strong';
+  if (normalized.includes('category') && normalized.includes('exercise')) return 'fitnotes';
+  return 'generic';
+};
+
+/**
+ * Parse a number, accepting a decimal comma
+ * @param {string} value - Cell text
+ * @returns {number|null} Number, or null when empty or malformed
+ */
+const parseNumber = (value) => {
+  const text = String(value || '').trim().replace(/^(\d+),(\d+)$/, '$1.$2');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Build a UTC date from local date parts
+ * @param {Array<number>} parts - [year, month (1-12), day, hours, minutes, seconds]
+ * @param {number} utcOffsetMinutes - Offset of the exporting device's time zone from UTC
+ * @returns {Date|null} Date, or null when the parts are out of range
+ */
+const fromLocalParts = ([year, month, day, hours = 0, minutes = 0, seconds = 0], utcOffsetMinutes) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const date = new Date(utc - utcOffsetMinutes * 60000);
+  // Reject rolled-over dates such as 31 February
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day ? date : null;
+};
+
+/**
+ * Convert a clock time with an optional AM/PM marker to 24-hour parts
+ * @param {string} [hours] - Hours
+ * @param {string} [minutes] - Minutes
+ * @param {string} [seconds] - Seconds
+ * @param {string} [meridiem] - "AM" or "PM"
+ * @returns {Array<number>} [hours, minutes, seconds]
+ */
+const clockParts = (hours, minutes, seconds, meridiem) => {
+  let h = Number(hours || 0);
+  if (meridiem) h = (h % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  return [h, Number(minutes || 0), Number(seconds || 0)];
+};
+
+const TIME = '(?:[ T,]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*([ap]m)?)?';
+
+/**
+ * Parse the date formats of common exports
+ * Dates with an explicit offset or "Z" are exact; others are read in the exporting device's time
+ * zone. Slash and dot dates follow `dateOrder` unless a part over 12 settles it.
+ * @param {string} value - Cell text, e.g. "2024-01-15 18:30:00", "15 Jan 2024, 18:30" or "1/15/2024"
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.dateOrder] - 'mdy' (default) or 'dmy' for slash and dot dates
+ * @param {number} [options.utcOffsetMinutes] - Time zone offset of local dates (default 0)
+ * @returns {Date|null} Date, or null when unrecognized
+ */
+const parseDate = (value, options = {}) => {
+  const text = String(value || '').trim();
+  const { dateOrder = 'mdy', utcOffsetMinutes = 0 } = options;
+  let match;
+
+  if (/\d{2}:\d{2}(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  match = text.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${TIME}$`, 'i'));
+  if (match) {
+    const time = clockParts(...match.slice(4));
+    return fromLocalParts([+match[1], +match[2], +match[3], ...time], utcOffsetMinutes);
+  }
+
+  match = text.match(new RegExp(`^(\\d{1,2})[/.](\\d{1,2})[/.](\\d{4})${TIME}$`, 'i'));
+  if (match) {
+    const [first, second] = [+match[1], +match[2]];
+    const dayFirst = first > 12 || (second <= 12 && dateOrder === 'dmy');
+    const [month, day] = dayFirst ? [second, first] : [first, second];
+    const time = clockParts(...match.slice(4));
+    return fromLocalParts([+match[3], month, day, ...time], utcOffsetMinutes);
+  }
+
+  match = text.match(new RegExp(`^(\\d{1,2})\\s+([a-z]{3})[a-z]*\\.?,?\\s+(\\d{4})${TIME}$`, 'i'));
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    const time = clockParts(...match.slice(4));
+    return fromLocalParts([+match[3], month, +match[1], ...time], utcOffsetMinutes);
+  }
+
+  match = text.match(new RegExp(`^([a-z]{3})[a-z]*\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})${TIME}$`, 'i'));
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    const time = clockParts(...match.slice(4));
+    return fromLocalParts([+match[3], month, +match[2], ...time], utcOffsetMinutes);
+  }
+
+  return null;
+};
+
+/**
+ * Parse a workout duration
+ * @param {string} value - "1h 5m", "45m", "1:05:00", "65:00" or plain minutes
+ * @returns {number|null} Minutes, or null when unrecognized
+ */
+const parseDuration = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === '') return null;
+
+  const units = text.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?\s*(?:(\d+)\s*s)?$/);
+  if (units && (units[1] || units[2] || units[3])) {
+    return Number(units[1] || 0) * 60 + Number(units[2] || 0) + Number(units[3] || 0) / 60;
+  }
+
+  const clock = text.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    return clock[3] !== undefined
+      ? Number(clock[1]) * 60 + Number(clock[2]) + Number(clock[3]) / 60
+      : Number(clock[1]) + Number(clock[2]) / 60;
+  }
+
+  return parseNumber(text);
+};
+
+/**
+ * Parse a workout CSV export into sets
+ * Rows that are not strength sets (rest timers, notes, cardio without reps) or that hold invalid
+ * values are skipped and reported with their line number.
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.weightUnit] - Unit of weights when neither header nor rows name one (default 'kg')
+ * @param {string} [options.dateOrder] - 'mdy' or 'dmy' for slash and dot dates
+ * @param {number} [options.utcOffsetMinutes] - Time zone offset of local dates
+ * @returns {Object} { format, columns, rows, skipped }
+ * @throws {Error} If the file is empty or required columns are missing
+ */
+const parseWorkoutCsv = (text, options = {}) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new Error('File is empty');
+  }
+
+  const { columns, headerWeightUnit } = detectColumns(header);
+  const missing = REQUIRED_COLUMNS.filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const cell = (record, field) => (
+    columns[field] === undefined ? '' : String(record[columns[field]] || '').trim()
+  );
+  const rows = [];
+  const skipped = [];
+  const skip = (record, reason) => skipped.push({ line: record.line, reason });
+
+  records.forEach((record) => {
+    const exerciseName = cell(record, 'exerciseName').replace(/\s+/g, ' ');
+    const setOrderText = cell(record, 'setOrder');
+    const setOrder = parseNumber(setOrderText);
+    const setTypeFromOrder = setOrder === null ? SET_TYPE_ALIASES[setOrderText.toLowerCase()] : null;
+
+    if (!exerciseName) {
+      skip(record, 'No exercise name');
+      return;
+    }
+    if (setOrderText && setOrder === null && !setTypeFromOrder) {
+      skip(record, `Not a set ("${setOrderText}")`);
+      return;
+    }
+
+    const date = parseDate(cell(record, 'date'), options);
+    if (!date) {
+      skip(record, `Unrecognized date "${cell(record, 'date')}"`);
+      return;
+    }
+
+    const reps = parseNumber(cell(record, 'reps'));
+    const weight = parseNumber(cell(record, 'weight')) || 0;
+    if (!reps || reps < 0 || !Number.isInteger(reps)) {
+      skip(record, 'No reps (timed and cardio sets are not imported)');
+      return;
+    }
+    if (reps > 1000 || weight < 0 || weight > 2000) {
+      skip(record, 'Reps or weight out of range');
+      return;
+    }
+
+    const unitText = cell(record, 'weightUnit').toLowerCase().replace(/s$/, '');
+    const rowWeightUnit = ['kg', 'lb'].includes(unitText) ? unitText : null;
+    const rpe = parseNumber(cell(record, 'rpe'));
+    const endTime = parseDate(cell(record, 'endTime'), options);
+    const duration = parseDuration(cell(record, 'duration'));
+
+    rows.push({
+      line: record.line,
+      date,
+      workoutName: cell(record, 'workoutName').slice(0, 100),
+      durationMinutes: duration !== null ? duration : (endTime && (endTime - date) / 60000) || null,
+      exerciseName: exerciseName.slice(0, 100),
+      setOrder,
+      type: setTypeFromOrder || SET_TYPE_ALIASES[normalizeHeader(cell(record, 'setType'))] || 'working',
+      reps,
+      weight,
+      weightUnit: rowWeightUnit || headerWeightUnit || options.weightUnit || 'kg',
+      rpe: rpe >= 1 && rpe <= 10 ? rpe : null,
+      notes: cell(record, 'notes'),
+      workoutNotes: cell(record, 'workoutNotes'),
+    });
+  });
+
+  return {
+    format: detectFormat(header),
+    columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, header[index]])),
+    rows,
+    skipped,
+  };
+};
+
+/**
+ * Group parsed sets into workouts
+ * Sets belong to the same workout when they share a start time and workout name. Exercises keep
+ * the order they first appear in; sets are ordered by their set order when every set has a
+ * number, and otherwise kept in file order.
+ * @param {Array<Object>} rows - Rows from parseWorkoutCsv
+ * @returns {Array<Object>} Workouts { date, title, durationMinutes, notes, exercises, truncatedSets },
+ * oldest first
+ */
+const groupWorkoutRows = (rows) => {
+  const workouts = new Map();
+
+  rows.forEach((row, index) => {
+    const key = `${row.date.toISOString()}|${row.workoutName}`;
+    if (!workouts.has(key)) {
+      workouts.set(key, {
+        date: row.date,
+        title: row.workoutName.length >= 3 ? row.workoutName : DEFAULT_TITLE,
+        durationMinutes: null,
+        notes: '',
+        exercises: new Map(),
+        truncatedSets: 0,
+      });
+    }
+
+    const workout = workouts.get(key);
+    if (row.durationMinutes > 0) {
+      workout.durationMinutes = Math.max(workout.durationMinutes || 0, row.durationMinutes);
+    }
+    if (row.workoutNotes && !workout.notes) workout.notes = row.workoutNotes.slice(0, 1000);
+
+    if (!workout.exercises.has(row.exerciseName)) {
+      workout.exercises.set(row.exerciseName, { name: row.exerciseName, rows: [] });
+    }
+    workout.exercises.get(row.exerciseName).rows.push({ ...row, index });
+  });
+
+  return [...workouts.values()]
+    .map((workout) => {
+      let { truncatedSets } = workout;
+      const exercises = [...workout.exercises.values()].map((exercise) => {
+        // Strong marks warm-up and drop sets with letters, so only fully numbered sets are sorted
+        const numbered = exercise.rows.every((row) => row.setOrder !== null);
+        const ordered = numbered
+          ? [...exercise.rows].sort((a, b) => a.setOrder - b.setOrder || a.index - b.index)
+          : exercise.rows;
+        truncatedSets += Math.max(ordered.length - MAX_SETS_PER_EXERCISE, 0);
+        const notes = [...new Set(ordered.map((row) => row.notes).filter(Boolean))].join('; ');
+
+        return {
+          name: exercise.name,
+          notes: notes.slice(0, 500),
+          sets: ordered.slice(0, MAX_SETS_PER_EXERCISE).map((row) => ({
+            reps: row.reps,
+            weight: row.weight,
+            weightUnit: row.weightUnit,
+            rpe: row.rpe,
+            type: row.type,
+          })),
+        };
+      });
+
+      return {
+        date: workout.date,
+        title: workout.title,
+        durationMinutes: workout.durationMinutes !== null
+          ? Math.min(Math.round(workout.durationMinutes), 1440)
+          : null,
+        notes: workout.notes,
+        exercises,
+        truncatedSets,
+      };
+    })
+    .sort((a, b) => a.date - b.date);
+};
+
+module.exports = {
+  COLUMN_ALIASES,
+  parseDate,
+  parseDuration,
+  parseWorkoutCsv,
+  groupWorkoutRows,
+};
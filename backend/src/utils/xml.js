@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Minimal XML parsing
+ * @description Non-validating parser for the well-formed XML subset used by GPX and TCX files
+ * @module utils/xml
+ */
+
+/**
+ * Predefined entities
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Decode entity and character references
+ * @param {string} value - Raw text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (value) => value.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, ref) => {
+  if (ref[0] === '#') {
+    const code = ref[1] === 'x' || ref[1] === 'X'
+      ? parseInt(ref.slice(2), 16)
+      : parseInt(ref.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return ENTITIES[ref] !== undefined ? ENTITIES[ref] : match;
+});
+
+/**
+ * Drop a namespace prefix (gpxtpx:hr -> hr)
+ * @param {string} name - Qualified name
+ * @returns {string} Local name
+ */
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source - Attribute source text
+ * @returns {Object} Attributes keyed by local name
+ */
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match = pattern.exec(source);
+  while (match) {
+    attributes[localName(match[1])] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    match = pattern.exec(source);
+  }
+  return attributes;
+};
+
+/**
+ * Parse an XML document into an element tree
+ * Namespace prefixes are dropped; comments, processing instructions and DOCTYPE are ignored.
+ * @param {string} text - XML text
+ * @returns {Object} Root element { name, attributes, children, text }
+ * @throws {Error} If the document is not well formed
+ */
+const parseXml = (text) => {
+  const source = String(text || '');
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  while (position < source.length) {
+    const open = source.indexOf('<', position);
+    const current = stack[stack.length - 1];
+
+    if (open === -1) {
+      current.text += decodeEntities(source.slice(position));
+      break;
+    }
+    if (open > position) {
+      current.text += decodeEntities(source.slice(position, open));
+    }
+
+    if (source.startsWith('<!--', open)) {
+      const end = source.indexOf('-->', open + 4);
+      if (end === -1) throw new Error('Unterminated comment');
+      position = end + 3;
+    } else if (source.startsWith('<![CDATA[', open)) {
+      const end = source.indexOf(']]>', open + 9);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      current.text += source.slice(open + 9, end);
+      position = end + 3;
+    } else if (source.startsWith('<?', open)) {
+      const end = source.indexOf('?>', open + 2);
+      if (end === -1) throw new Error('Unterminated processing instruction');
+      position = end + 2;
+    } else if (source.startsWith('<!', open)) {
+      const end = source.indexOf('>', open + 2);
+      if (end === -1) throw new Error('Unterminated declaration');
+      position = end + 1;
+    } else {
+      const end = source.indexOf('>', open + 1);
+      if (end === -1) throw new Error('Unterminated tag');
+      const tag = source.slice(open + 1, end);
+
+      if (tag[0] === '/') {
+        const name = localName(tag.slice(1).trim());
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Unexpected closing tag </${name}>`);
+        }
+        stack.pop();
+      } else {
+        const selfClosing = tag.endsWith('/');
+        const body = selfClosing ? tag.slice(0, -1) : tag;
+        const [qualifiedName] = body.trim().split(/\s/, 1);
+        const element = {
+          name: localName(qualifiedName),
+          attributes: parseAttributes(body.slice(body.indexOf(qualifiedName) + qualifiedName.length)),
+          children: [],
+          text: '',
+        };
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length === 0) {
+    throw new Error('Document has no root element');
+  }
+
+  return root.children[0];
+};
+
+/**
+ * Get the direct children of an element with a given local name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child local name
+ * @returns {Array<Object>} Matching children
+ */
+const childrenNamed = (element, name) => (element ? element.children.filter((child) => child.name === name) : []);
+
+/**
+ * Get the first direct child of an element with a given local name
+ * @param {Object} element - Parent element
+ * @param {string} name - Child local name
+ * @returns {Object|null} Matching child
+ */
+const childNamed = (element, name) => childrenNamed(element, name)[0] || null;
+
+/**
+ * Get every descendant of an element with a given local name, in document order
+ * @param {Object} element - Ancestor element
+ * @param {string} name - Descendant local name
+ * @returns {Array<Object>} Matching descendants
+ */
+const descendantsNamed = (element, name) => {
+  const matches = [];
+  const visit = (node) => {
+    node.children.forEach((child) => {
+      if (child.name === name) matches.push(child);
+      visit(child);
+    });
+  };
+  if (element) visit(element);
+  return matches;
+};
+
+/**
+ * Read the trimmed text of a child element
+ * @param {Object} element - Parent element
+ * @param {string} name - Child local name
+ * @returns {string|null} Text or null if the child is missing
+ */
+const childText = (element, name) => {
+  const child = childNamed(element, name);
+  return child ? child.text.trim() : null;
+};
+
+module.exports = {
+  decodeEntities,
+  parseXml,
+  childrenNamed,
+  childNamed,
+  descendantsNamed,
+  childText,
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview ZIP archive writer
+ * @description Builds PKZIP archives in memory from named entries, deflating each file with zlib
+ * @module utils/zip
+ *
+ * Only what data exports need is supported: files (no directory entries), UTF-8 names and no
+ * ZIP64, so archives are limited to 65535 entries and 4 GiB.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/**
+ * Version needed to extract (2.0: deflate)
+ */
+const VERSION = 20;
+
+/**
+ * General purpose flag bit 11: names are UTF-8
+ */
+const UTF8_FLAG = 0x0800;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum as used by ZIP and gzip
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode a date as MS-DOS time and date fields (local time, 2-second resolution)
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => {
+  // DOS dates start in 1980
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+/**
+ * Build a ZIP archive
+ * Each file is deflated unless that would make it larger.
+ * @param {Array<Object>} entries - Files { name, data (Buffer|string) }
+ * @param {Object} [options] - Archive options
+ * @param {Date} [options.date] - Modification date of every entry (defaults to now)
+ * @returns {Buffer} ZIP archive
+ * @throws {Error} If names repeat or the archive exceeds the non-ZIP64 limits
+ */
+const createZip = (entries, options = {}) => {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} entries`);
+  }
+
+  const { time, date } = toDosDateTime(options.date || new Date());
+  const names = new Set();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach((entry) => {
+    const name = Buffer.from(entry.name.replace(/\\/g, '/').replace(/^\/+/, ''), 'utf8');
+    if (names.has(name.toString())) {
+      throw new Error(`Duplicate ZIP entry "${entry.name}"`);
+    }
+    names.add(name.toString());
+
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+    const body = method === METHOD_DEFLATE ? deflated : data;
+    const crc = crc32(data);
+
+    if (data.length > MAX_SIZE || offset + 30 + name.length + body.length > MAX_SIZE) {
+      throw new Error('ZIP archives are limited to 4 GiB');
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(VERSION, 4);
+    central.writeUInt16LE(VERSION, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Read the files of a ZIP archive written by createZip
+ * Used to verify archives; only stored and deflated entries are supported.
+ * @param {Buffer} buffer - ZIP archive
+ * @returns {Array<Object>} Files { name, data }
+ * @throws {Error} If the archive is malformed or a checksum does not match
+ */
+const readZip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Malformed ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+    const data = method === METHOD_DEFLATE ? zlib.inflateRawSync(body) : Buffer.from(body);
+    if (crc32(data) !== crc) {
+      throw new Error(`ZIP entry "${name}" failed its checksum`);
+    }
+
+    files.push({ name, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+};
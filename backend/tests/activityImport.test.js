@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Activity Import Tests
+ * @description Unit tests for XML, GPX/TCX parsing and GPS track metrics
+ * @module tests/activityImport
+ */
+
+const { expect } = require('chai');
+const { parseXml } = require('../src/utils/xml');
+const { parseActivityFile, toActivityType } = require('../src/utils/activityFiles');
+const {
+  haversineDistance,
+  elevationGain,
+  summarizeTrack,
+  splitByDistance,
+  simplifyTrack,
+} = require('../src/utils/track');
+
+/**
+ * Straight northbound GPX track: 21 points 0.001° (~111 m) and 30 s apart, climbing 1 m each
+ */
+const buildGpx = () => {
+  const points = Array.from({ length: 21 }, (_, i) => `
+      <trkpt lat="${(i * 0.001).toFixed(3)}" lon="10.000">
+        <ele>${100 + i}</ele>
+        <time>${new Date(Date.UTC(2024, 0, 15, 7, 0, i * 30)).toISOString()}</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>${140 + i}</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <trk><name>Morning &amp; Run</name><type>running</type><trkseg>${points}
+  </trkseg></trk>
+</gpx>`;
+};
+
+const TCX = `<?xml version="1.0"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>2024-01-15T07:00:00Z</Id>
+      <Lap StartTime="2024-01-15T07:00:00Z">
+        <TotalTimeSeconds>60</TotalTimeSeconds>
+        <DistanceMeters>500</DistanceMeters>
+        <Calories>20</Calories>
+        <Track>
+          <Trackpoint><Time>2024-01-15T07:00:00Z</Time><DistanceMeters>0</DistanceMeters><HeartRateBpm><Value>120</Value></HeartRateBpm></Trackpoint>
+          <Trackpoint><Time>2024-01-15T07:01:00Z</Time><DistanceMeters>500</DistanceMeters><HeartRateBpm><Value>130</Value></HeartRateBpm></Trackpoint>
+        </Track>
+      </Lap>
+      <Lap StartTime="2024-01-15T07:01:00Z">
+        <TotalTimeSeconds>60</TotalTimeSeconds>
+        <DistanceMeters>600</DistanceMeters>
+        <Calories>25</Calories>
+        <Track>
+          <Trackpoint><Time>2024-01-15T07:02:00Z</Time><DistanceMeters>1100</DistanceMeters></Trackpoint>
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+describe('Activity Import', () => {
+  describe('parseXml', () => {
+    it('should build an element tree without namespace prefixes', () => {
+      const root = parseXml('<a:root x:id="1"><b>one &lt;two&gt;</b><c/><![CDATA[<raw>]]></a:root>');
+
+      expect(root.name).to.equal('root');
+      expect(root.attributes).to.deep.equal({ id: '1' });
+      expect(root.children.map((child) => child.name)).to.deep.equal(['b', 'c']);
+      expect(root.children[0].text).to.equal('one <two>');
+      expect(root.text).to.equal('<raw>');
+    });
+
+    it('should reject malformed documents', () => {
+      expect(() => parseXml('<a><b></a>')).to.throw('Unexpected closing tag');
+      expect(() => parseXml('<a>')).to.throw('Unclosed element');
+    });
+  });
+
+  describe('parseActivityFile', () => {
+    it('should read GPX track points with heart rate', () => {
+      const activity = parseActivityFile(buildGpx());
+
+      expect(activity.format).to.equal('gpx');
+      expect(activity.name).to.equal('Morning & Run');
+      expect(activity.activityType).to.equal('run');
+      expect(activity.points).to.have.length(21);
+      expect(activity.points[20]).to.include({ lat: 0.02, lon: 10, ele: 120, hr: 160 });
+    });
+
+    it('should read TCX laps, distances and calories', () => {
+      const activity = parseActivityFile(TCX);
+
+      expect(activity.format).to.equal('tcx');
+      expect(activity.activityType).to.equal('ride');
+      expect(activity.laps.map((lap) => lap.distanceMeters)).to.deep.equal([500, 600]);
+      expect(activity.points).to.have.length(3);
+      expect(activity.calories).to.equal(45);
+    });
+
+    it('should reject other XML documents', () => {
+      expect(() => parseActivityFile('<kml></kml>')).to.throw('Unsupported activity file format');
+    });
+  });
+
+  describe('track metrics', () => {
+    it('should measure great-circle distance', () => {
+      const distance = haversineDistance({ lat: 0, lon: 0 }, { lat: 1, lon: 0 });
+      expect(distance).to.be.closeTo(111195, 1);
+    });
+
+    it('should ignore elevation noise below the threshold', () => {
+      const points = [100, 101, 100, 101, 100, 105, 104, 108].map((ele) => ({ ele }));
+      expect(elevationGain(points)).to.equal(8);
+    });
+
+    it('should summarize distance, time and heart rate', () => {
+      const { points } = parseActivityFile(buildGpx());
+      const summary = summarizeTrack(points);
+
+      expect(summary.distanceMeters).to.be.closeTo(2224, 1);
+      expect(summary.movingTimeSeconds).to.equal(600);
+      expect(summary.elapsedTimeSeconds).to.equal(600);
+      expect(summary.elevationGain).to.equal(20);
+      expect(summary.avgHeartRate).to.equal(150);
+      expect(summary.maxHeartRate).to.equal(160);
+    });
+
+    it('should exclude long pauses from moving time', () => {
+      const { points } = parseActivityFile(buildGpx());
+      const paused = points.map((point, i) => (
+        i >= 10 ? { ...point, time: new Date(point.time.getTime() + 3600000) } : point
+      ));
+
+      expect(summarizeTrack(paused).movingTimeSeconds).to.equal(570);
+    });
+
+    it('should split the track every kilometer', () => {
+      const { points } = parseActivityFile(buildGpx());
+      const splits = splitByDistance(points, 1000).map((segment) => summarizeTrack(segment).distanceMeters);
+
+      expect(splits).to.have.length(3);
+      expect(splits[0]).to.be.closeTo(1001, 1);
+    });
+
+    it('should simplify a straight track to its end points', () => {
+      const { points } = parseActivityFile(buildGpx());
+      const track = simplifyTrack(points);
+
+      expect(track).to.have.length(2);
+      expect(track[1]).to.deep.equal({ t: 600, lat: 0.02, lon: 10, ele: 120, hr: 160 });
+    });
+  });
+
+  describe('toActivityType', () => {
+    it('should map device sport names', () => {
+      expect(toActivityType('Running')).to.equal('run');
+      expect(toActivityType('mountain biking')).to.equal('ride');
+      expect(toActivityType('Other')).to.equal('other');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview API Key Tests
+ * @description Unit tests for personal API keys and where they are accepted
+ * @module tests/apiKeys
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const request = require('supertest');
+const { expect } = require('chai');
+const ApiKey = require('../src/entities/ApiKey');
+const config = require('../src/config');
+const { authMiddleware, scopedAuth } = require('../src/middleware/auth');
+const { rateLimiter, apiKeyFailureLimiter } = require('../src/middleware/security');
+const { globalErrorHandler } = require('../src/utils/errors');
+const { signAccessToken } = require('../src/utils/authTokens');
+
+describe('API Keys', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  /**
+   * Run a middleware with the given headers
+   * @param {Function} middleware - Express middleware
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { err, req }
+   */
+  const run = (middleware, headers) => new Promise((resolve) => {
+    const req = {
+      method: 'GET',
+      path: '/',
+      header: (name) => headers[name],
+    };
+    middleware(req, { set: () => {} }, (err) => resolve({ err, req }));
+  });
+
+  it('should generate prefixed keys and only keep their hash', () => {
+    const apiKey = new ApiKey({ userId, name: 'Garage rack', scopes: ['workouts:write'] });
+    const key = apiKey.generateKey();
+
+    expect(key).to.match(/^ftk_[A-Za-z0-9_-]{43}$/);
+    expect(apiKey.keyHash).to.equal(ApiKey.hashApiKey(key));
+    expect(key.startsWith(apiKey.prefix)).to.equal(true);
+    expect(apiKey.prefix).to.have.lengthOf(10);
+    expect(apiKey.toJSON()).to.not.have.property('keyHash');
+    expect(apiKey.validateSync()).to.equal(undefined);
+  });
+
+  it('should require known scopes', () => {
+    const apiKey = new ApiKey({ userId, name: 'Script', scopes: [] });
+    apiKey.generateKey();
+    expect(apiKey.validateSync().errors.scopes.message).to.equal('At least one scope is required');
+
+    apiKey.scopes = ['users:roles'];
+    expect(apiKey.validateSync().errors).to.have.property('scopes.0');
+  });
+
+  it('should record a use at most once a minute', () => {
+    const apiKey = new ApiKey({ userId, name: 'Script', scopes: ['workouts:read'] });
+    const now = new Date();
+
+    expect(apiKey.isLastUseStale(now)).to.equal(true);
+    apiKey.lastUsedAt = new Date(now.getTime() - 30 * 1000);
+    expect(apiKey.isLastUseStale(now)).to.equal(false);
+    apiKey.lastUsedAt = new Date(now.getTime() - 61 * 1000);
+    expect(apiKey.isLastUseStale(now)).to.equal(true);
+  });
+
+  it('should refuse API keys on routers without scopes', async () => {
+    const { err } = await run(authMiddleware, { 'X-API-Key': 'ftk_anything' });
+
+    expect(err.statusCode).to.equal(403);
+  });
+
+  it('should leave session tokens unrestricted on scoped routers', async () => {
+    const token = signAccessToken({ _id: userId, username: 'sam', roles: ['user'] }, 'sid');
+    const middleware = scopedAuth({ read: 'workouts:read', write: 'workouts:write' });
+    const { err, req } = await run(middleware, { Authorization: `Bearer ${token}` });
+
+    expect(err).to.equal(undefined);
+    expect(req.user.id).to.equal(String(userId));
+    expect(req.user).to.not.have.property('scopes');
+  });
+
+  describe('rate limits', () => {
+    const max = config.security.rateLimit.maxRequests;
+
+    // Each test uses its own address and key, as the limiters keep their counts between tests
+    let address = 0;
+    let ip;
+    let validKey;
+
+    /**
+     * Build an app behind a rate limiter, trusting the test's X-Forwarded-For
+     * @param {Function} limiter - Rate limiter under test
+     * @returns {Express} App
+     */
+    const limitedBy = (limiter) => {
+      const app = express();
+      app.set('trust proxy', 'loopback');
+      app.use(limiter);
+      app.get('/scoped', scopedAuth({ read: 'workouts:read' }), (req, res) => res.json({}));
+      app.get('/plain', authMiddleware, (req, res) => res.json({}));
+      app.use(globalErrorHandler);
+      return app;
+    };
+    const general = limitedBy(rateLimiter);
+    const failures = limitedBy(apiKeyFailureLimiter);
+
+    const send = (app, path, key, from = ip) => request(app)
+      .get(path)
+      .set('X-Forwarded-For', from)
+      .set('X-API-Key', key);
+
+    beforeEach(() => {
+      address += 1;
+      ip = `203.0.113.${address}`;
+      const apiKey = new ApiKey({
+        userId, name: 'Garage rack', scopes: ['workouts:read'], lastUsedAt: new Date(),
+      });
+      validKey = apiKey.generateKey();
+      sinon.stub(ApiKey, 'findByKey').callsFake(async (key) => (key === validKey ? apiKey : null));
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should count made-up keys against the address', async () => {
+      const first = await send(general, '/scoped', 'ftk_first').expect(401);
+      const second = await send(general, '/scoped', 'ftk_second').expect(401);
+
+      expect(Number(first.headers['ratelimit-remaining'])).to.equal(max - 1);
+      expect(Number(second.headers['ratelimit-remaining'])).to.equal(max - 2);
+    });
+
+    it('should count verified keys per key instead of per address', async () => {
+      await send(general, '/scoped', 'ftk_made-up').expect(401);
+      const verified = await send(general, '/scoped', validKey).expect(200);
+      const after = await send(general, '/scoped', 'ftk_made-up').expect(401);
+
+      // The verified request reports the key's own limit and is handed back to the address
+      expect(Number(verified.headers['ratelimit-remaining'])).to.equal(max - 1);
+      expect(Number(after.headers['ratelimit-remaining'])).to.equal(max - 2);
+    });
+
+    it('should stop addresses after 10 refused or misplaced keys', async () => {
+      await [...Array(10).keys()].reduce(
+        (previous, attempt) => previous.then(() => (attempt % 2
+          ? send(failures, '/scoped', 'ftk_made-up').expect(401)
+          : send(failures, '/plain', validKey).expect(403))),
+        Promise.resolve(),
+      );
+
+      await send(failures, '/scoped', validKey).expect(429);
+      await send(failures, '/scoped', validKey, '198.51.100.1').expect(200);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Auth Session Tests
+ * @description Unit tests for refresh token signing, rotation and reuse detection
+ * @module tests/authSession
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const config = require('../src/config');
+const AuthSession = require('../src/entities/AuthSession');
+const User = require('../src/entities/User');
+const refreshAuthSession = require('../src/useCases/auth/RefreshAuthSession');
+const { UnauthorizedError } = require('../src/utils/errors');
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} = require('../src/utils/authTokens');
+
+describe('Auth Sessions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  describe('authTokens', () => {
+    it('should bind tokens to the session', () => {
+      const accessToken = signAccessToken({ _id: userId, username: 'jane', email: 'j@x.io' }, sessionId);
+      const { token, expiresAt } = signRefreshToken(userId, sessionId);
+
+      expect(jwt.verify(accessToken, config.jwt.secret).sessionId).to.equal(String(sessionId));
+      expect(verifyRefreshToken(token)).to.deep.equal({
+        userId: String(userId),
+        sessionId: String(sessionId),
+      });
+      expect(expiresAt.getTime()).to.be.greaterThan(Date.now());
+    });
+
+    it('should issue distinct refresh tokens and reject foreign ones', () => {
+      const first = signRefreshToken(userId, sessionId).token;
+      const second = signRefreshToken(userId, sessionId).token;
+      const accessToken = signAccessToken({ _id: userId }, sessionId);
+
+      expect(first).to.not.equal(second);
+      expect(verifyRefreshToken(accessToken)).to.equal(null);
+      expect(verifyRefreshToken('not-a-token')).to.equal(null);
+    });
+  });
+
+  describe('AuthSession', () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    it('should rotate tokens and remember the old ones', () => {
+      const session = new AuthSession({ userId });
+      session.rotateToken('first', expiresAt, { userAgent: 'Firefox', ip: '10.0.0.1' });
+      session.rotateToken('second', expiresAt);
+
+      expect(session.isCurrentToken('second')).to.equal(true);
+      expect(session.isCurrentToken('first')).to.equal(false);
+      expect(session.isRotatedToken('first')).to.equal(true);
+      expect(session.isRotatedToken('unknown')).to.equal(false);
+      expect(session.userAgent).to.equal('Firefox');
+      expect(session.toJSON()).to.not.have.any.keys('tokenHash', 'previousTokenHashes');
+    });
+
+    it('should stop being valid once revoked or expired', () => {
+      const session = new AuthSession({ userId });
+      session.rotateToken('first', expiresAt);
+
+      expect(session.isValid()).to.equal(true);
+      expect(session.isValid(new Date(expiresAt.getTime() + 1))).to.equal(false);
+
+      session.revoke('reuse');
+      session.revoke('logout');
+      expect(session.isValid()).to.equal(false);
+      expect(session.revokedReason).to.equal('reuse');
+    });
+  });
+
+  describe('refreshAuthSession', () => {
+    let session;
+    let firstToken;
+
+    beforeEach(() => {
+      firstToken = signRefreshToken(userId, sessionId).token;
+      session = new AuthSession({ _id: sessionId, userId });
+      session.rotateToken(firstToken, new Date(Date.now() + 60 * 60 * 1000));
+
+      sinon.stub(AuthSession, 'findById').returns({ select: async () => session });
+      sinon.stub(AuthSession.prototype, 'save').resolvesThis();
+      sinon.stub(User, 'findById').resolves(new User({ _id: userId, username: 'jane' }));
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should keep the session when two tabs refresh with the same token', async () => {
+      const first = await refreshAuthSession(firstToken);
+      const err = await refreshAuthSession(firstToken).catch((error) => error);
+
+      expect(err).to.be.instanceOf(UnauthorizedError);
+      expect(session.isValid()).to.equal(true);
+      expect(session.isCurrentToken(first.refreshToken)).to.equal(true);
+
+      const next = await refreshAuthSession(first.refreshToken);
+      expect(session.isCurrentToken(next.refreshToken)).to.equal(true);
+    });
+
+    it('should revoke the session when the last token comes back after the grace period', async () => {
+      await refreshAuthSession(firstToken);
+      session.lastUsedAt = new Date(Date.now() - AuthSession.ROTATION_GRACE_MS - 1000);
+
+      const err = await refreshAuthSession(firstToken).catch((error) => error);
+
+      expect(err).to.be.instanceOf(UnauthorizedError);
+      expect(session.revokedReason).to.equal('reuse');
+    });
+
+    it('should revoke the session when an older token comes back', async () => {
+      const first = await refreshAuthSession(firstToken);
+      await refreshAuthSession(first.refreshToken);
+
+      const err = await refreshAuthSession(firstToken).catch((error) => error);
+
+      expect(err).to.be.instanceOf(UnauthorizedError);
+      expect(session.revokedReason).to.equal('reuse');
+    });
+  });
+});
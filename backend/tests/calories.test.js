@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Calorie Estimation Tests
+ * @description Unit tests for MET-based calorie estimates
+ * @module tests/calories
+ */
+
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const Workout = require('../src/entities/Workout');
+const Exercise = require('../src/entities/Exercise');
+const { estimateCalories, REFERENCE_BODY_WEIGHT_KG } = require('../src/utils/calories');
+
+describe('Calorie Estimation', () => {
+  describe('estimateCalories', () => {
+    it('should apply MET x kg x hours', () => {
+      const { total } = estimateCalories({
+        exercises: [{ met: 6, setCount: 5 }],
+        durationMinutes: 30,
+        bodyWeightKg: 80,
+      });
+
+      expect(total).to.equal(240);
+    });
+
+    it('should split the duration by set count', () => {
+      const { perExercise } = estimateCalories({
+        exercises: [{ met: 6, setCount: 3 }, { met: 3, setCount: 1 }],
+        durationMinutes: 60,
+        bodyWeightKg: 100,
+      });
+
+      expect(perExercise).to.deep.equal([450, 75]);
+    });
+
+    it('should fall back to the reference body weight', () => {
+      const { total } = estimateCalories({
+        exercises: [{ met: 5, setCount: 0 }],
+        durationMinutes: 60,
+      });
+
+      expect(total).to.equal(5 * REFERENCE_BODY_WEIGHT_KG);
+    });
+  });
+
+  describe('Workout#calculateEstimatedCalories', () => {
+    it('should record per-exercise estimates ignoring warm-up sets', () => {
+      const squat = new mongoose.Types.ObjectId();
+      const plank = new mongoose.Types.ObjectId();
+      const workout = new Workout({
+        title: 'Leg Day',
+        userId: new mongoose.Types.ObjectId(),
+        duration: 60,
+        exercises: [
+          { exercise: squat, sets: [{ reps: 5, type: 'warmup' }, { reps: 5 }, { reps: 5 }] },
+          { exercise: plank, sets: [{ reps: 1 }, { reps: 1 }] },
+        ],
+      });
+
+      const total = workout.calculateEstimatedCalories(
+        { [squat.toString()]: 6, [plank.toString()]: 3 },
+        80,
+      );
+
+      expect(workout.exercises.map((entry) => entry.estimatedCalories)).to.deep.equal([240, 120]);
+      expect(total).to.equal(360);
+    });
+  });
+
+  describe('Exercise#getMet', () => {
+    it('should default by difficulty when no MET is set', () => {
+      expect(new Exercise({ difficulty: 'Advanced' }).getMet()).to.equal(6);
+      expect(new Exercise({ difficulty: 'Beginner', met: 8 }).getMet()).to.equal(8);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Cardio Tests
+ * @description Unit tests for pace, speed, cardio calorie estimates and cardio edits
+ * @module tests/cardio
+ */
+
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Workout = require('../src/entities/Workout');
+const PersonalRecord = require('../src/entities/PersonalRecord');
+const updateWorkout = require('../src/useCases/workouts/UpdateWorkout');
+const { computePace, computeSpeed } = require('../src/utils/cardio');
+
+describe('Cardio', () => {
+  describe('computePace', () => {
+    it('should return seconds per kilometer', () => {
+      expect(computePace(10, 'km', 3000)).to.equal(300);
+    });
+
+    it('should convert miles to kilometers', () => {
+      expect(computePace(1, 'mi', 480)).to.equal(298);
+    });
+
+    it('should return null without distance or time', () => {
+      expect(computePace(0, 'km', 600)).to.equal(null);
+      expect(computePace(5, 'km', 0)).to.equal(null);
+    });
+  });
+
+  describe('computeSpeed', () => {
+    it('should return kilometers per hour', () => {
+      expect(computeSpeed(30, 'km', 3600)).to.equal(30);
+      expect(computeSpeed(10, 'mi', 3600)).to.equal(16.09);
+    });
+  });
+
+  describe('Workout cardio entries', () => {
+    const buildWorkout = () => new Workout({
+      title: 'Brick',
+      userId: new mongoose.Types.ObjectId(),
+      duration: 60,
+      cardio: Workout.normalizeCardio([
+        {
+          activityType: 'run',
+          distance: 10,
+          movingTimeSeconds: 3000,
+          paceSecondsPerKm: 1,
+          splits: [{ distance: 5, movingTimeSeconds: 1450 }, { distance: 5, movingTimeSeconds: 1550 }],
+        },
+      ]),
+    });
+
+    it('should derive pace and speed on validation', async () => {
+      const workout = buildWorkout();
+      await workout.validate();
+
+      const [entry] = workout.cardio;
+      expect(entry.paceSecondsPerKm).to.equal(300);
+      expect(entry.speedKmh).to.equal(12);
+      expect(entry.splits.map((split) => split.paceSecondsPerKm)).to.deep.equal([290, 310]);
+    });
+
+    it('should cost cardio by moving time and leave the rest to strength work', () => {
+      const workout = buildWorkout();
+      const squat = new mongoose.Types.ObjectId();
+      workout.exercises = [{ exercise: squat, sets: [{ reps: 5 }] }];
+
+      const total = workout.calculateEstimatedCalories({ [squat.toString()]: 6 }, 80);
+
+      // Run: 9.8 x 80 x 50/60 = 653; squats: 6 x 80 x 10/60 = 80
+      expect(workout.cardio[0].estimatedCalories).to.equal(653);
+      expect(workout.exercises[0].estimatedCalories).to.equal(80);
+      expect(total).to.equal(733);
+    });
+  });
+
+  describe('updateWorkout use case', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const track = [{ t: 0, lat: 52.1, lon: 4.3 }, { t: 60, lat: 52.11, lon: 4.31 }];
+    let workout;
+
+    beforeEach(() => {
+      workout = new Workout({
+        title: 'Morning run',
+        userId,
+        source: 'gpx',
+        status: 'completed',
+        caloriesBurned: 400,
+        caloriesSource: 'entered',
+        cardio: [{ activityType: 'run', distance: 5.2, movingTimeSeconds: 1800, track }],
+      });
+      sinon.stub(Workout, 'findById').resolves(workout);
+      sinon.stub(Workout.prototype, 'save').resolvesThis();
+      sinon.stub(Workout.prototype, 'populate').resolvesThis();
+      sinon.stub(PersonalRecord, 'find').returns({ lean: async () => [] });
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should keep the track of an imported activity when its cardio is edited', async () => {
+      await updateWorkout(workout._id, {
+        cardio: [
+          { activityType: 'run', distance: 5, movingTimeSeconds: 1800 },
+          { activityType: 'walk', distance: 1, movingTimeSeconds: 900 },
+        ],
+      }, String(userId));
+
+      expect(workout.cardio[0].distance).to.equal(5);
+      expect(workout.cardio[0].track.map((point) => point.t)).to.deep.equal([0, 60]);
+      expect(workout.cardio[1].track).to.have.lengthOf(0);
+    });
+
+    it('should not move a track onto a different activity', async () => {
+      await updateWorkout(workout._id, {
+        cardio: [{ activityType: 'ride', distance: 20, movingTimeSeconds: 1800 }],
+      }, String(userId));
+
+      expect(workout.cardio[0].track).to.have.lengthOf(0);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Challenge Tests
+ * @description Unit tests for challenge goals, progress and leaderboard ranking
+ * @module tests/challenges
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../src/server');
+const config = require('../src/config');
+const Challenge = require('../src/entities/Challenge');
+const User = require('../src/entities/User');
+const Workout = require('../src/entities/Workout');
+const Follow = require('../src/entities/Follow');
+const Block = require('../src/entities/Block');
+const getChallengeLeaderboard = require('../src/useCases/social/GetChallengeLeaderboard');
+const { signAccessToken } = require('../src/utils/authTokens');
+const {
+  measureWorkout,
+  challengePeriod,
+  rankParticipants,
+} = require('../src/utils/challengeProgress');
+
+describe('Challenges', () => {
+  const squat = new mongoose.Types.ObjectId();
+  const bench = new mongoose.Types.ObjectId();
+
+  const workout = {
+    duration: 45,
+    caloriesBurned: 320,
+    cardio: [
+      { distance: 5, distanceUnit: 'km' },
+      { distance: 2, distanceUnit: 'mi' },
+    ],
+    exercises: [
+      {
+        exercise: squat,
+        sets: [
+          { reps: 10, weight: 60, weightUnit: 'kg', type: 'warmup' },
+          { reps: 5, weight: 100, weightUnit: 'kg', type: 'working' },
+          { reps: 5, weight: 220, weightUnit: 'lb', type: 'working' },
+        ],
+      },
+      { exercise: bench, sets: [{ reps: 5, weight: 80, weightUnit: 'kg', type: 'working' }] },
+    ],
+  };
+
+  it('should measure a workout for each goal metric', () => {
+    expect(measureWorkout(workout, { metric: 'workouts' })).to.equal(1);
+    expect(measureWorkout(workout, { metric: 'minutes' })).to.equal(45);
+    expect(measureWorkout(workout, { metric: 'calories' })).to.equal(320);
+    expect(measureWorkout(workout, { metric: 'distance' })).to.be.closeTo(8.219, 0.001);
+    expect(measureWorkout(workout, { metric: 'exercise-volume', exerciseId: squat }))
+      .to.be.closeTo(500 + 5 * 99.79, 0.01);
+    expect(measureWorkout({}, { metric: 'distance' })).to.equal(0);
+  });
+
+  it('should rank participants, sharing ranks on ties', () => {
+    const [ana, ben, cy, dee] = ['a', 'b', 'c', 'd'].map((letter) => letter.repeat(24));
+    const workouts = [
+      { userId: ana, duration: 30 },
+      { userId: ben, duration: 50 },
+      { userId: cy, duration: 30 },
+      { userId: ben, duration: 40 },
+      { userId: 'e'.repeat(24), duration: 600 },
+    ];
+
+    const leaderboard = rankParticipants([ana, ben, cy, dee], workouts, {
+      metric: 'minutes',
+      target: 60,
+    });
+
+    expect(leaderboard.map((entry) => [entry.userId, entry.rank, entry.value])).to.deep.equal([
+      [ben, 1, 90],
+      [ana, 2, 30],
+      [cy, 2, 30],
+      [dee, 4, 0],
+    ]);
+    expect(leaderboard[0]).to.include({ percent: 100, completed: true });
+    expect(leaderboard[1]).to.include({ percent: 50, completed: false });
+  });
+
+  it('should leave percent out without a target', () => {
+    const [entry] = rankParticipants(['a'.repeat(24)], [], { metric: 'workouts', target: null });
+
+    expect(entry).to.include({ value: 0, percent: null, completed: false, rank: 1 });
+  });
+
+  it('should default goals to counting workouts and require an exercise for volume', () => {
+    const challenge = new Challenge({
+      title: 'Spring squats',
+      createdBy: new mongoose.Types.ObjectId(),
+      endDate: new Date(Date.now() + 86400000),
+    });
+
+    expect(challenge.goal.metric).to.equal('workouts');
+    expect(challenge.validateSync()).to.equal(undefined);
+
+    challenge.goal.metric = 'exercise-volume';
+    expect(challenge.validateSync().errors).to.have.property('goal.exerciseId');
+
+    challenge.goal.exerciseId = squat;
+    challenge.goal.target = 0;
+    expect(challenge.validateSync().errors).to.have.property('goal.target');
+  });
+
+  it('should count workouts until the end of the last day', () => {
+    const period = challengePeriod({
+      startDate: '2024-05-01T00:00:00.000Z',
+      endDate: '2024-05-31T00:00:00.000Z',
+    });
+
+    expect(period.$gte.toISOString()).to.equal('2024-05-01T00:00:00.000Z');
+    expect(period.$lt.toISOString()).to.equal('2024-06-01T00:00:00.000Z');
+    expect(challengePeriod({ startDate: period.$gte, endDate: '2024-05-31T18:30:00.000Z' }).$lt)
+      .to.deep.equal(period.$lt);
+  });
+
+  describe('leaderboard', () => {
+    const user = (username, profile = 'public') => ({
+      _id: new mongoose.Types.ObjectId(),
+      username,
+      profile: { name: username },
+      privacy: { profile },
+    });
+    const viewer = user('viewer', 'private');
+    const open = user('open');
+    const followed = user('followed', 'followers');
+    const unfollowed = user('unfollowed', 'followers');
+    const closed = user('closed', 'private');
+    const blocked = user('blocked');
+    const everyone = [viewer, open, followed, unfollowed, closed, blocked];
+
+    let workoutQuery;
+
+    beforeEach(() => {
+      sinon.stub(Challenge, 'findById').returns({
+        populate: () => ({
+          lean: async () => ({
+            _id: new mongoose.Types.ObjectId(),
+            title: 'May miles',
+            isActive: true,
+            startDate: new Date('2024-05-01T00:00:00.000Z'),
+            endDate: new Date('2024-05-31T00:00:00.000Z'),
+            goal: { metric: 'workouts', target: 10 },
+            participants: everyone.map((participant) => participant._id),
+          }),
+        }),
+      });
+      sinon.stub(Follow, 'getFollowingIds').resolves([followed._id, closed._id]);
+      sinon.stub(Block, 'getHiddenUserIds').resolves([blocked._id]);
+      sinon.stub(User, 'find').callsFake((query) => ({
+        select: () => ({
+          lean: async () => everyone.filter((candidate) => (
+            !query._id.$nin.some((id) => String(id) === String(candidate._id))
+          )),
+        }),
+      }));
+      sinon.stub(Workout, 'find').callsFake((query) => {
+        workoutQuery = query;
+        return {
+          select: () => ({
+            lean: async () => [
+              { userId: open._id },
+              { userId: viewer._id },
+            ],
+          }),
+        };
+      });
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should leave out users the viewer may not see', async () => {
+      const { leaderboard, currentUser } = await getChallengeLeaderboard(viewer._id, 'challenge');
+
+      expect(leaderboard.map((entry) => entry.user.username))
+        .to.have.members(['viewer', 'open', 'followed']);
+      expect(leaderboard[0].user).to.not.have.property('privacy');
+      expect(currentUser).to.include({ value: 1 });
+    });
+
+    it("should count all of a listed participant's workouts, through the end date", async () => {
+      await getChallengeLeaderboard(viewer._id, 'challenge');
+
+      expect(workoutQuery).to.not.have.any.keys('$or', 'authorVisibility', 'visibility');
+      expect(workoutQuery.userId.$in.map(String))
+        .to.have.members([viewer, open, followed].map((participant) => String(participant._id)));
+      expect(workoutQuery.date.$lt.toISOString()).to.equal('2024-06-01T00:00:00.000Z');
+    });
+  });
+
+  describe('POST /social/challenges', () => {
+    const creator = new User({ username: 'creator', email: 'creator@example.com' });
+    let save;
+
+    beforeEach(() => {
+      sinon.stub(User, 'findById').returns({ select: async () => creator });
+      save = sinon.stub(Challenge.prototype, 'save').resolvesThis();
+    });
+
+    afterEach(() => sinon.restore());
+
+    const create = () => request(app)
+      .post(`/api/${config.apiVersion}/social/challenges`)
+      .set('Authorization', `Bearer ${signAccessToken(creator, 'sid')}`)
+      .send({
+        title: 'June miles',
+        startDate: '2024-06-01',
+        endDate: '2024-06-30',
+        goal: { metric: 'distance', target: 100 },
+      });
+
+    it('should refuse users who have not verified their email', async () => {
+      creator.emailVerified = false;
+
+      const res = await create().expect(403);
+
+      expect(res.body.message).to.include('Verify your email address');
+      expect(save.called).to.equal(false);
+    });
+
+    it('should create challenges for verified users', async () => {
+      creator.emailVerified = true;
+      sinon.stub(Challenge.prototype, 'populate').resolvesThis();
+
+      const res = await create().expect(201);
+
+      expect(res.body.data.challenge).to.include({ title: 'June miles' });
+      expect(save.calledOnce).to.equal(true);
+    });
+  });
+});
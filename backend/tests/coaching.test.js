@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Coaching Tests
+ * @description Unit tests for coaching invitations, granted scopes and ending relationships
+ * @module tests/coaching
+ */
+
+const mongoose = require('mongoose');
+const { expect } = require('chai');
+const CoachingRelationship = require('../src/entities/CoachingRelationship');
+
+describe('Coaching', () => {
+  const coachId = new mongoose.Types.ObjectId();
+  const clientId = new mongoose.Types.ObjectId();
+  const invitation = (scopes) => new CoachingRelationship({ coachId, clientId, scopes });
+
+  it('should request every scope by default and grant nothing while pending', () => {
+    const relationship = invitation();
+
+    expect([...relationship.scopes]).to.deep.equal(CoachingRelationship.SCOPES);
+    expect(relationship.status).to.equal('pending');
+    expect(relationship.allows('workouts:read')).to.equal(false);
+  });
+
+  it('should let clients grant a subset of the requested scopes', () => {
+    const relationship = invitation(['workouts:read', 'stats:read']);
+
+    expect(relationship.accept(['workouts:assign'])).to.equal(false);
+    expect(relationship.status).to.equal('pending');
+
+    expect(relationship.accept(['stats:read'])).to.equal(true);
+    expect(relationship.allows('stats:read')).to.equal(true);
+    expect(relationship.allows('workouts:read')).to.equal(false);
+    expect(relationship.respondedAt).to.be.instanceOf(Date);
+  });
+
+  it('should revoke every scope once declined or ended', () => {
+    const declined = invitation();
+    declined.decline();
+    expect(declined.allows('workouts:read')).to.equal(false);
+
+    const ended = invitation();
+    ended.accept();
+    ended.end(clientId);
+    expect(ended.status).to.equal('ended');
+    expect(ended.endedBy).to.deep.equal(clientId);
+    expect(ended.allows('workouts:read')).to.equal(false);
+  });
+
+  it('should reject empty or unknown scopes', () => {
+    expect(invitation([]).validateSync().errors.scopes.message).to.equal('At least one scope is required');
+    expect(invitation(['workouts:delete']).validateSync().errors).to.have.property('scopes.0');
+  });
+});
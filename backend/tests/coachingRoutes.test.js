@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Coaching Route Tests
+ * @description Request-level tests for coaches reaching client data through the API
+ * @module tests/coachingRoutes
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../src/server');
+const User = require('../src/entities/User');
+const Workout = require('../src/entities/Workout');
+const CoachingRelationship = require('../src/entities/CoachingRelationship');
+const CoachingAccessLog = require('../src/entities/CoachingAccessLog');
+const { signAccessToken } = require('../src/utils/authTokens');
+
+describe('Coaching Routes', () => {
+  const coach = new User({
+    username: 'coach', email: 'coach@example.com', password: 'Password123', roles: ['user', 'coach'],
+  });
+  const client = new User({ username: 'client', email: 'client@example.com', password: 'Password123' });
+  const token = signAccessToken(coach, 'sid');
+
+  let relationship;
+  let accessLog;
+  let saveWorkout;
+
+  beforeEach(() => {
+    relationship = new CoachingRelationship({ coachId: coach._id, clientId: client._id });
+    relationship.accept();
+
+    // Answers like the database would: only active relationships between the two users
+    sinon.stub(CoachingRelationship, 'findOne').callsFake(async (query) => (
+      relationship
+      && String(query.coachId) === String(relationship.coachId)
+      && String(query.clientId) === String(relationship.clientId)
+      && query.status === relationship.status
+        ? relationship
+        : null
+    ));
+    const users = new Map([coach, client].map((user) => [String(user._id), user]));
+    sinon.stub(User, 'findById').callsFake((id) => ({
+      select: async () => users.get(String(id)) || null,
+    }));
+    accessLog = sinon.stub(CoachingAccessLog, 'create').resolves();
+    saveWorkout = sinon.stub(Workout.prototype, 'save').resolvesThis();
+    sinon.stub(Workout, 'aggregate').resolves([]);
+  });
+
+  afterEach(() => sinon.restore());
+
+  const assignWorkout = (clientId = client._id) => request(app)
+    .post(`/api/coaching/clients/${clientId}/workouts`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title: 'Easy run',
+      date: '2024-05-01T09:00:00.000Z',
+      cardio: [{ activityType: 'run', distance: 5, distanceUnit: 'km' }],
+    });
+
+  const getStats = (clientId = client._id) => request(app)
+    .get('/api/workouts/stats')
+    .query({ userId: String(clientId) })
+    .set('Authorization', `Bearer ${token}`);
+
+  const expectRefused = async (call) => {
+    const res = await call.expect(403);
+    expect(res.body.message).to.equal('You do not have access to this user\'s data');
+  };
+
+  it('should give coaches the statistics of clients who granted stats:read', async () => {
+    const res = await getStats().expect(200);
+
+    expect(res.body.data.totals).to.include({ totalWorkouts: 0 });
+    expect(accessLog.calledOnce).to.equal(true);
+    expect(accessLog.firstCall.args[0]).to.include({ action: 'stats:view' });
+  });
+
+  it('should refuse users who are not clients of the coach', async () => {
+    const stranger = new mongoose.Types.ObjectId();
+
+    await expectRefused(assignWorkout(stranger));
+    await expectRefused(getStats(stranger));
+
+    expect(accessLog.called).to.equal(false);
+    expect(saveWorkout.called).to.equal(false);
+  });
+
+  it('should refuse clients who ended the relationship', async () => {
+    relationship.end(client._id);
+
+    await expectRefused(assignWorkout());
+    await expectRefused(getStats());
+
+    expect(accessLog.called).to.equal(false);
+    expect(saveWorkout.called).to.equal(false);
+  });
+
+  it('should refuse assigning workouts without workouts:assign', async () => {
+    relationship.scopes = ['workouts:read', 'stats:read'];
+
+    await expectRefused(assignWorkout());
+    await getStats().expect(200);
+
+    expect(saveWorkout.called).to.equal(false);
+  });
+
+  it('should refuse reading statistics without stats:read', async () => {
+    relationship.scopes = ['workouts:read', 'workouts:assign'];
+
+    await expectRefused(getStats());
+
+    expect(accessLog.called).to.equal(false);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview CSV Import Tests
+ * @description Unit tests for CSV reading, workout export parsing and exercise name matching
+ * @module tests/csvImport
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { BadRequestError } = require('../src/utils/errors');
+const Exercise = require('../src/entities/Exercise');
+const Workout = require('../src/entities/Workout');
+const PersonalRecord = require('../src/entities/PersonalRecord');
+const importCsvWorkouts = require('../src/useCases/imports/ImportCsvWorkouts');
+const { parseCsv } = require('../src/utils/csv');
+const { parseDate, parseWorkoutCsv, groupWorkoutRows } = require('../src/utils/workoutCsv');
+const {
+  findBestMatch,
+  inferExerciseDetails,
+  usableExercises,
+  isUsable,
+} = require('../src/utils/exerciseMatching');
+
+describe('CSV Import', () => {
+  describe('parseCsv', () => {
+    it('should read quoted cells, semicolons and line numbers', () => {
+      const rows = parseCsv('\uFEFFa;b\r\n"x;1";"say ""hi""\nthere"\r\n\r\nz;2\r\n');
+
+      expect(rows).to.deep.equal([['a', 'b'], ['x;1', 'say "hi"\nthere'], ['z', '2']]);
+      expect(rows.map((row) => row.line)).to.deep.equal([1, 2, 5]);
+    });
+
+    it('should reject an unterminated quote', () => {
+      expect(() => parseCsv('a,b\n"open,1\n')).to.throw('line 2');
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read app date formats in the given time zone', () => {
+      const offset = { utcOffsetMinutes: 60 };
+
+      expect(parseDate('2024-01-15 18:30:00', offset).toISOString()).to.equal('2024-01-15T17:30:00.000Z');
+      expect(parseDate('15 Jan 2024, 18:30', offset).toISOString()).to.equal('2024-01-15T17:30:00.000Z');
+      expect(parseDate('2024-01-15T18:30:00+02:00', offset).toISOString()).to.equal('2024-01-15T16:30:00.000Z');
+    });
+
+    it('should follow the date order only when a date is ambiguous', () => {
+      expect(parseDate('3/4/2024 6:30 PM').toISOString()).to.equal('2024-03-04T18:30:00.000Z');
+      expect(parseDate('3/4/2024', { dateOrder: 'dmy' }).toISOString()).to.equal('2024-04-03T00:00:00.000Z');
+      expect(parseDate('15/4/2024').toISOString()).to.equal('2024-04-15T00:00:00.000Z');
+      expect(parseDate('2024-02-30')).to.equal(null);
+    });
+  });
+
+  describe('parseWorkoutCsv', () => {
+    it('should group a Strong export into workouts', () => {
+      const csv = [
+        'Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE',
+        '2024-01-15 18:30:00;"Push";1h 5m;"Bench Press (Barbell)";W;40;10;0;0;"";"Felt good";',
+        '2024-01-15 18:30:00;"Push";1h 5m;"Bench Press (Barbell)";1;82,5;8;0;0;"Paused";"";8',
+        '2024-01-15 18:30:00;"Push";1h 5m;"Bench Press (Barbell)";Rest Timer;0;0;0;90;"";"";',
+        '2024-01-15 18:30:00;"Push";1h 5m;"Running";1;0;0;5;1800;"";"";',
+        '2024-01-17 07:00:00;"Legs";45m;"Squat (Barbell)";1;100;5;0;0;"";"";',
+      ].join('\n');
+      const parsed = parseWorkoutCsv(csv, { weightUnit: 'lb' });
+      const workouts = groupWorkoutRows(parsed.rows);
+
+      expect(parsed.format).to.equal('strong');
+      expect(parsed.skipped.map((row) => row.line)).to.deep.equal([4, 5]);
+      expect(workouts).to.have.length(2);
+      expect(workouts[0]).to.include({ title: 'Push', durationMinutes: 65, notes: 'Felt good' });
+      expect(workouts[0].exercises[0]).to.deep.include({ name: 'Bench Press (Barbell)', notes: 'Paused' });
+      expect(workouts[0].exercises[0].sets).to.deep.equal([
+        { reps: 10, weight: 40, weightUnit: 'lb', rpe: null, type: 'warmup' },
+        { reps: 8, weight: 82.5, weightUnit: 'lb', rpe: 8, type: 'working' },
+      ]);
+    });
+
+    it('should read Hevy columns and order sets by index', () => {
+      const csv = [
+        'title,start_time,end_time,description,exercise_title,set_index,set_type,weight_kg,reps,rpe',
+        'Morning,"5 Jan 2023, 18:30","5 Jan 2023, 19:20",,Squat (Barbell),1,normal,100,5,',
+        'Morning,"5 Jan 2023, 18:30","5 Jan 2023, 19:20",,Squat (Barbell),0,warmup,60,5,',
+      ].join('\n');
+      const [workout] = groupWorkoutRows(parseWorkoutCsv(csv, { weightUnit: 'lb' }).rows);
+
+      expect(workout.durationMinutes).to.equal(50);
+      expect(workout.exercises[0].sets.map((set) => [set.type, set.weight, set.weightUnit])).to.deep.equal([
+        ['warmup', 60, 'kg'],
+        ['working', 100, 'kg'],
+      ]);
+    });
+
+    it('should require the date, exercise and reps columns', () => {
+      expect(() => parseWorkoutCsv('Date,Exercise,Weight\n2024-01-01,Squat,100\n')).to.throw('reps');
+    });
+  });
+
+  describe('findBestMatch', () => {
+    const library = [
+      { _id: 1, name: 'Bench Press' },
+      { _id: 2, name: 'Dumbbell Bench Press' },
+      { _id: 3, name: 'Romanian Deadlift' },
+      { _id: 4, name: 'Pull-ups' },
+    ];
+
+    it('should match reordered, abbreviated and equipment-qualified names', () => {
+      expect(findBestMatch('Bench Press (Dumbbell)', library).exercise._id).to.equal(2);
+      expect(findBestMatch('DB Bench Press', library).exercise._id).to.equal(2);
+      expect(findBestMatch('Bench Press (Barbell)', library).exercise._id).to.equal(1);
+      expect(findBestMatch('RDL', library).exercise._id).to.equal(3);
+      expect(findBestMatch('Pull Up', library)).to.deep.include({ score: 1 });
+    });
+
+    it('should not match unrelated exercises', () => {
+      expect(findBestMatch('Landmine Press', library)).to.equal(null);
+    });
+
+    it('should infer details for new exercises', () => {
+      expect(inferExerciseDetails('Incline Bench Press (Dumbbell)')).to.deep.equal({
+        muscleGroup: ['Chest'],
+        equipment: ['Dumbbells'],
+      });
+      expect(inferExerciseDetails('Turkish Get-up')).to.deep.equal({ muscleGroup: ['Full Body'], equipment: [] });
+    });
+
+    it("should only treat active global and the user's own exercises as usable", () => {
+      const userId = new mongoose.Types.ObjectId();
+      const otherId = new mongoose.Types.ObjectId();
+
+      expect(usableExercises(userId)).to.deep.equal({
+        isActive: true,
+        $or: [{ createdBy: null }, { createdBy: userId }],
+      });
+      expect(isUsable({ isActive: true, createdBy: null }, userId)).to.equal(true);
+      expect(isUsable({ isActive: true, createdBy: userId }, String(userId))).to.equal(true);
+      expect(isUsable({ isActive: true, createdBy: otherId }, userId)).to.equal(false);
+      expect(isUsable({ isActive: false, createdBy: null }, userId)).to.equal(false);
+    });
+  });
+
+  describe('importCsvWorkouts', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const otherId = new mongoose.Types.ObjectId();
+    const csv = [
+      'Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE',
+      '2024-01-15 18:30:00;"Push";;"Landmine Press";1;40;10;0;0;"";"";',
+      '2024-01-15 18:30:00;"Push";;"Cable Fly";1;20;12;0;0;"";"";',
+      '2024-01-15 18:30:00;"Push";;"Zottman Curl";1;10;12;0;0;"";"";',
+    ].join('\n');
+
+    // Chainable lean query resolving to a fixed result
+    const query = (result) => {
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        lean: () => Promise.resolve(result),
+      };
+      return chain;
+    };
+
+    afterEach(() => sinon.restore());
+
+    it("should only link to the global library and the user's own active exercises", async () => {
+      const existing = [
+        { _id: new mongoose.Types.ObjectId(), name: 'Landmine Press', isActive: true, createdBy: otherId },
+        { _id: new mongoose.Types.ObjectId(), name: 'Cable Fly', isActive: false, createdBy: null },
+        { _id: new mongoose.Types.ObjectId(), name: 'Cable Fly (imported)', isActive: true, createdBy: otherId },
+        { _id: new mongoose.Types.ObjectId(), name: 'Zottman Curl', isActive: true, createdBy: userId },
+      ];
+      const find = sinon.stub(Exercise, 'find')
+        .callsFake((filter) => query(filter.name ? existing : []));
+      const createExercises = sinon.stub(Exercise, 'insertMany').resolves();
+      sinon.stub(Workout, 'find').returns(query([]));
+      const insertWorkouts = sinon.stub(Workout, 'insertMany').resolves();
+      sinon.stub(PersonalRecord, 'deleteMany').resolves();
+
+      const result = await importCsvWorkouts(csv, userId);
+
+      expect(find.firstCall.args[0]).to.deep.equal({
+        isActive: true,
+        $or: [{ createdBy: null }, { createdBy: userId }],
+      });
+      expect(createExercises.firstCall.args[0].map((exercise) => exercise.name))
+        .to.deep.equal(['Landmine Press (imported)']);
+      expect(result.createdExercises).to.equal(1);
+      expect(result.warnings).to.have.lengthOf(1);
+      expect(result.warnings[0]).to.include('Cable Fly');
+
+      const [workout] = insertWorkouts.firstCall.args[0];
+      expect(workout.exercises.map((entry) => String(entry.exercise))).to.deep.equal([
+        String(createExercises.firstCall.args[0][0]._id),
+        String(existing[3]._id),
+      ]);
+    });
+
+    it("should reject mappings to other users' custom exercises", async () => {
+      const foreign = {
+        _id: new mongoose.Types.ObjectId(), name: 'Landmine Press', isActive: true, createdBy: otherId,
+      };
+      const own = {
+        _id: new mongoose.Types.ObjectId(), name: 'Cable Fly', isActive: true, createdBy: userId,
+      };
+      // Answers mapped lookups like the database would
+      const matches = (filter, exercise) => filter._id.$in.includes(String(exercise._id))
+        && (!filter.$or || filter.$or.some((owner) => (
+          String(owner.createdBy) === String(exercise.createdBy)
+        )));
+      const find = sinon.stub(Exercise, 'find').callsFake((filter) => query(
+        filter._id ? [foreign, own].filter((exercise) => matches(filter, exercise)) : [],
+      ));
+      sinon.stub(Workout, 'find').returns(query([]));
+
+      const err = await importCsvWorkouts(csv, userId, {
+        dryRun: true,
+        mappings: { 'Landmine Press': String(foreign._id), 'Cable Fly': String(own._id) },
+      }).catch((error) => error);
+
+      expect(err).to.be.instanceOf(BadRequestError);
+      expect(err.message).to.equal('Exercise mapped to "Landmine Press" was not found');
+      expect(find.secondCall.args[0]).to.include({ isActive: true });
+    });
+  });
+});
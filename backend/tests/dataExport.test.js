@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Data Export Tests
+ * @description Unit tests for the ZIP writer, CSV serialization and export archive layout
+ * @module tests/dataExport
+ */
+
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { crc32, createZip, readZip } = require('../src/utils/zip');
+const { toCsv } = require('../src/utils/csv');
+const { buildExportEntries } = require('../src/utils/accountExport');
+
+describe('Data Export', () => {
+  describe('zip', () => {
+    it('should compute the standard CRC-32 check value', () => {
+      expect(crc32(Buffer.from('123456789'))).to.equal(0xcbf43926);
+    });
+
+    it('should round-trip stored and deflated entries', () => {
+      const entries = [
+        { name: 'a.txt', data: 'x' },
+        { name: 'dir/b.json', data: JSON.stringify(Array(200).fill({ repeated: true })) },
+        { name: 'über.csv', data: Buffer.from([0, 1, 2]) },
+      ];
+      const zip = createZip(entries);
+
+      expect(zip.readUInt32LE(0)).to.equal(0x04034b50);
+      expect(readZip(zip).map((file) => [file.name, file.data.toString()])).to.deep.equal(
+        entries.map((entry) => [entry.name, entry.data.toString()]),
+      );
+      // The repetitive JSON is deflated
+      expect(zip.length).to.be.lessThan(entries[1].data.length);
+    });
+
+    it('should reject duplicate names', () => {
+      expect(() => createZip([{ name: 'a', data: '' }, { name: 'a', data: '' }])).to.throw('Duplicate');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote delimiters and neutralize formulas', () => {
+      const csv = toCsv(
+        [{ name: 'Smith, "Jo"', note: '=HYPERLINK("x")', tags: ['a', 'b'], count: -3 }],
+        ['name', { key: 'note', header: 'Note' }, 'tags', 'count', 'missing'],
+      );
+
+      expect(csv).to.equal(
+        'name,Note,tags,count,missing\r\n"Smith, ""Jo""","\'=HYPERLINK(""x"")",a; b,-3,\r\n',
+      );
+    });
+  });
+
+  describe('buildExportEntries', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const friend = { _id: new mongoose.Types.ObjectId(), username: 'alex' };
+    const coach = { _id: new mongoose.Types.ObjectId(), username: 'coach' };
+    const relationshipId = new mongoose.Types.ObjectId();
+    const exerciseId = new mongoose.Types.ObjectId();
+    const workoutId = new mongoose.Types.ObjectId();
+
+    const entries = buildExportEntries({
+      user: {
+        _id: userId,
+        username: 'sam',
+        email: 'sam@example.com',
+        profile: { name: 'Sam', fitnessGoals: ['Run 10k'] },
+        privacy: { profile: 'followers' },
+        achievements: [{ badgeName: 'First Workout', dateEarned: new Date('2024-01-01') }],
+      },
+      workouts: [{
+        _id: workoutId,
+        title: 'Push',
+        date: new Date('2024-01-02'),
+        exercises: [{
+          exercise: { _id: exerciseId, name: 'Bench Press' },
+          sets: [{ reps: 8, weight: 80, weightUnit: 'kg' }, { reps: 6, weight: 85, weightUnit: 'kg' }],
+        }],
+        cardio: [{ activityType: 'run', distance: 5, distanceUnit: 'km', track: [{ lat: 1, lon: 2 }] }],
+      }],
+      templates: [{
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Push template',
+        exercises: [{ exercise: { _id: exerciseId, name: 'Bench Press' }, targetSets: 3 }],
+      }],
+      schedules: [],
+      personalRecords: [{
+        _id: new mongoose.Types.ObjectId(),
+        exerciseId: { _id: exerciseId, name: 'Bench Press' },
+        workoutId,
+        type: 'weight',
+        value: 85,
+        unit: 'kg',
+        achievedAt: new Date('2024-01-02'),
+      }],
+      programs: [],
+      programEnrollments: [{
+        _id: new mongoose.Types.ObjectId(),
+        programId: { _id: new mongoose.Types.ObjectId(), title: 'Starting Strength' },
+        startDate: new Date('2024-01-01'),
+        status: 'active',
+      }],
+      posts: [{
+        _id: new mongoose.Types.ObjectId(), content: 'Done', visibility: 'private', likes: [otherId, userId],
+      }],
+      comments: [],
+      challenges: [{ _id: new mongoose.Types.ObjectId(), title: 'January', createdBy: otherId, participants: [otherId, userId] }],
+      follows: [
+        { _id: new mongoose.Types.ObjectId(), followerId: { _id: userId, username: 'sam' }, followingId: friend, status: 'accepted' },
+        { _id: new mongoose.Types.ObjectId(), followerId: coach, followingId: { _id: userId, username: 'sam' }, status: 'pending' },
+      ],
+      blocks: [{ _id: new mongoose.Types.ObjectId(), blockerId: userId, blockedId: null }],
+      coaching: [{
+        _id: relationshipId, coachId: coach, clientId: { _id: userId, username: 'sam' }, status: 'active', scopes: ['workouts:read'],
+      }],
+      coachingAccess: [{
+        _id: new mongoose.Types.ObjectId(), relationshipId, coachId: coach, clientId: userId, action: 'workouts:list', details: { limit: 10 },
+      }],
+      exercises: [{ _id: exerciseId, name: 'Bench Press', muscleGroup: ['Chest'], createdBy: userId }],
+      apiKeys: [{ _id: new mongoose.Types.ObjectId(), name: 'Scale', prefix: 'ft_abc', keyHash: 'secret-hash', scopes: ['workouts:read'] }],
+      oauthApps: [{ _id: new mongoose.Types.ObjectId(), clientId: 'app-1', name: 'Planner', secretHash: 'secret-hash', ownerId: userId }],
+      oauthAuthorizations: [{
+        _id: new mongoose.Types.ObjectId(), clientId: { _id: new mongoose.Types.ObjectId(), clientId: 'app-2', name: 'Watch' }, scopes: ['workouts:write'],
+      }],
+    }, new Date('2024-02-01'));
+    const file = (name) => entries.find((entry) => entry.name === name).data;
+
+    it('should write every dataset as JSON and CSV', () => {
+      [
+        'profile', 'achievements', 'workouts', 'templates', 'schedules', 'personal_records',
+        'programs', 'program_enrollments', 'posts', 'comments', 'challenges', 'follows', 'blocks',
+        'coaching', 'coaching_access', 'exercises', 'api_keys', 'oauth_apps', 'oauth_authorizations',
+      ].forEach((name) => {
+        expect(entries.map((entry) => entry.name)).to.include.members([`json/${name}.json`, `csv/${name}.csv`]);
+      });
+    });
+
+    it('should flatten sets with exercise names', () => {
+      const rows = file('csv/workout_sets.csv').trim().split('\r\n');
+
+      expect(rows).to.have.length(3);
+      expect(rows[2]).to.match(new RegExp(`^${workoutId},2024-01-02T00:00:00.000Z,Push,${exerciseId},Bench Press,2,,6,85,kg`));
+      expect(JSON.parse(file('json/workouts.json'))[0].cardio[0].track).to.have.length(1);
+    });
+
+    it('should resolve exercise and program names', () => {
+      const [template] = JSON.parse(file('json/templates.json'));
+      const [enrollment] = JSON.parse(file('json/program_enrollments.json'));
+
+      expect(template.exercises[0]).to.include({ exercise: exerciseId.toString(), exerciseName: 'Bench Press' });
+      expect(file('csv/personal_records.csv')).to.include(`${exerciseId},Bench Press,weight,85,kg`);
+      expect(enrollment).to.include({ programTitle: 'Starting Strength', status: 'active' });
+    });
+
+    it('should keep privacy settings and post visibility', () => {
+      expect(JSON.parse(file('json/profile.json'))).to.include({ profileVisibility: 'followers' });
+      expect(JSON.parse(file('json/posts.json'))[0]).to.include({ visibility: 'private' });
+      expect(file('csv/posts.csv').split('\r\n')[1]).to.include(',private,2,');
+    });
+
+    it('should name the other user of follows, blocks and coaching', () => {
+      const follows = JSON.parse(file('json/follows.json'));
+      const [relationship] = JSON.parse(file('json/coaching.json'));
+      const [access] = JSON.parse(file('json/coaching_access.json'));
+
+      expect(follows.map(({ direction, username, status }) => [direction, username, status]))
+        .to.deep.equal([['following', 'alex', 'accepted'], ['follower', 'coach', 'pending']]);
+      expect(JSON.parse(file('json/blocks.json'))[0]).to.include({ userId: null, username: null });
+      expect(relationship).to.include({ role: 'client', username: 'coach', status: 'active' });
+      expect(access).to.include({ role: 'client', username: 'coach', action: 'workouts:list' });
+      expect(file('csv/coaching_access.csv')).to.include('"{""limit"":10}"');
+    });
+
+    it('should list custom exercises, keys and apps without secrets', () => {
+      expect(JSON.parse(file('json/exercises.json'))[0]).to.include({ name: 'Bench Press' });
+      expect(JSON.parse(file('json/api_keys.json'))[0]).to.include({ name: 'Scale', prefix: 'ft_abc' });
+      expect(JSON.parse(file('json/oauth_apps.json'))[0]).to.include({ clientId: 'app-1', name: 'Planner' });
+      expect(JSON.parse(file('json/oauth_authorizations.json'))[0])
+        .to.include({ clientId: 'app-2', appName: 'Watch' });
+      expect(entries.map((entry) => entry.data).join('')).not.to.include('secret-hash');
+    });
+
+    it('should not expose other users', () => {
+      const [post] = JSON.parse(file('json/posts.json'));
+      const [challenge] = JSON.parse(file('json/challenges.json'));
+
+      expect(post.likeCount).to.equal(2);
+      expect(post).not.to.have.property('likes');
+      expect(challenge).to.include({ participantCount: 2 });
+      expect(challenge.roles).to.deep.equal(['participant']);
+      expect(entries.map((entry) => entry.data).join('')).not.to.include(otherId.toString());
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Exercise Route Tests
+ * @description Request-level tests for who may edit and delete exercises
+ * @module tests/exerciseRoutes
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../src/server');
+const Exercise = require('../src/entities/Exercise');
+const { signAccessToken } = require('../src/utils/authTokens');
+
+describe('Exercise Routes', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const creatorId = new mongoose.Types.ObjectId();
+
+  const tokenFor = (...roles) => signAccessToken({ _id: userId, roles: ['user', ...roles] }, 'sid');
+  const library = () => new Exercise({ name: 'Deadlift', muscleGroup: ['Back'] });
+  const custom = () => new Exercise({ name: 'Custom Row', muscleGroup: ['Back'], createdBy: creatorId });
+
+  const edit = (exercise, token) => request(app)
+    .put(`/api/exercises/${exercise._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ description: 'Edited' });
+
+  const remove = (exercise, token) => request(app)
+    .delete(`/api/exercises/${exercise._id}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  let save;
+
+  beforeEach(() => {
+    save = sinon.stub(Exercise.prototype, 'save').resolvesThis();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const serve = (exercise) => {
+    sinon.stub(Exercise, 'findById').resolves(exercise);
+    return exercise;
+  };
+
+  describe('plain users', () => {
+    it('should not edit or delete global exercises', async () => {
+      const exercise = serve(library());
+
+      await edit(exercise, tokenFor()).expect(403);
+      await remove(exercise, tokenFor()).expect(403);
+
+      expect(save.called).to.equal(false);
+      expect(exercise.isActive).to.equal(true);
+    });
+
+    it("should not edit or delete other users' custom exercises", async () => {
+      const exercise = serve(custom());
+
+      await edit(exercise, tokenFor()).expect(403);
+      await remove(exercise, tokenFor()).expect(403);
+
+      expect(save.called).to.equal(false);
+    });
+
+    it('should edit and delete their own custom exercises', async () => {
+      const exercise = serve(custom());
+      exercise.createdBy = userId;
+
+      await edit(exercise, tokenFor()).expect(200);
+      await remove(exercise, tokenFor()).expect(200);
+
+      expect(exercise.description).to.equal('Edited');
+      expect(exercise.isActive).to.equal(false);
+    });
+  });
+
+  describe('moderators', () => {
+    it('should edit and delete global exercises', async () => {
+      const exercise = serve(library());
+
+      const res = await edit(exercise, tokenFor('moderator')).expect(200);
+      expect(res.body.data.exercise.description).to.equal('Edited');
+
+      await remove(exercise, tokenFor('moderator')).expect(200);
+      expect(exercise.isActive).to.equal(false);
+    });
+
+    it("should not edit other users' custom exercises", async () => {
+      const exercise = serve(custom());
+
+      await edit(exercise, tokenFor('moderator')).expect(403);
+      expect(save.called).to.equal(false);
+    });
+  });
+
+  describe('admins', () => {
+    it('should edit and delete global exercises', async () => {
+      const exercise = serve(library());
+
+      await edit(exercise, tokenFor('admin')).expect(200);
+      await remove(exercise, tokenFor('admin')).expect(200);
+
+      expect(save.calledTwice).to.equal(true);
+    });
+
+    it("should edit and delete other users' custom exercises", async () => {
+      const exercise = serve(custom());
+
+      await edit(exercise, tokenFor('admin')).expect(200);
+      await remove(exercise, tokenFor('admin')).expect(200);
+
+      expect(exercise.description).to.equal('Edited');
+      expect(exercise.isActive).to.equal(false);
+    });
+  });
+});
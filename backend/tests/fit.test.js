@@ -0,0 +1,87 @@
+/**
+ * @fileoverview FIT Decoder Tests
+ * @description Unit tests for FIT decoding against the fixture files in tests/fixtures
+ * @module tests/fit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { decodeFit, isFitFile, parseFitActivity } = require('../src/utils/fit');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('FIT Decoder', () => {
+  describe('decodeFit', () => {
+    it('should recognize FIT headers', () => {
+      expect(isFitFile(readFixture('run.fit'))).to.equal(true);
+      expect(isFitFile(Buffer.from('<gpx></gpx>'))).to.equal(false);
+    });
+
+    it('should decode every message in order', () => {
+      const { messages } = decodeFit(readFixture('run.fit'));
+
+      expect(messages[0].globalMessageNumber).to.equal(0);
+      expect(messages.filter((message) => message.globalMessageNumber === 20)).to.have.length(21);
+      expect(messages[messages.length - 1].globalMessageNumber).to.equal(18);
+    });
+
+    it('should expand compressed timestamps', () => {
+      const records = decodeFit(readFixture('run.fit')).messages
+        .filter((message) => message.globalMessageNumber === 20);
+
+      expect(records[5].fields[253] - records[4].fields[253]).to.equal(30);
+    });
+
+    it('should reject corrupted and truncated files', () => {
+      const corrupted = Buffer.from(readFixture('run.fit'));
+      corrupted[40] ^= 0xff;
+
+      expect(() => decodeFit(corrupted)).to.throw('checksum');
+      expect(() => decodeFit(readFixture('run.fit').subarray(0, 100))).to.throw('truncated');
+    });
+  });
+
+  describe('parseFitActivity', () => {
+    it('should map session, laps and records of a run', () => {
+      const activity = parseFitActivity(readFixture('run.fit'));
+
+      expect(activity.format).to.equal('fit');
+      expect(activity.activityType).to.equal('run');
+      expect(activity.startTime.toISOString()).to.equal('2024-01-15T07:00:00.000Z');
+      expect(activity.calories).to.equal(145);
+      expect(activity.points).to.have.length(21);
+      expect(activity.points[20]).to.include({ ele: 120, hr: 160, distance: 2000 });
+      expect(activity.points[20].lat).to.be.closeTo(0.018, 1e-6);
+      expect(activity.laps.map((lap) => [lap.distanceMeters, lap.totalTimeSeconds])).to.deep.equal([
+        [1000, 300],
+        [1000, 300],
+      ]);
+    });
+
+    it('should report unsupported message types', () => {
+      const { unsupportedMessages } = parseFitActivity(readFixture('run.fit'));
+
+      expect(unsupportedMessages).to.deep.equal([
+        { globalMessageNumber: 21, name: 'event', count: 1 },
+        { globalMessageNumber: 23, name: 'device_info', count: 1 },
+      ]);
+    });
+
+    it('should read strength sets and attach rest to the preceding set', () => {
+      const activity = parseFitActivity(readFixture('strength.fit'));
+
+      expect(activity.activityType).to.equal(null);
+      expect(activity.sets).to.have.length(4);
+      expect(activity.sets[0]).to.include({
+        categoryName: 'Bench Press',
+        reps: 8,
+        weightKg: 80,
+        weightUnit: 'kg',
+        restSeconds: 120,
+      });
+      expect(activity.sets[2]).to.include({ categoryName: 'Squat', reps: 5, weightUnit: 'lb' });
+      expect(activity.sets[3].categoryName).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview FIT fixture generator
+ * @description Writes the small FIT activity files used by tests/fit.test.js.
+ * Run with `node tests/fixtures/buildFitFixtures.js` after changing the fixtures.
+ * @module tests/fixtures/buildFitFixtures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fitCrc, FIT_EPOCH_OFFSET } = require('../../src/utils/fit');
+
+const UINT8 = 0x02;
+const ENUM = 0x00;
+const UINT16 = 0x84;
+const SINT32 = 0x85;
+const UINT32 = 0x86;
+
+const SIZES = {
+  [UINT8]: 1,
+  [ENUM]: 1,
+  [UINT16]: 2,
+  [SINT32]: 4,
+  [UINT32]: 4,
+};
+
+/**
+ * Seconds since the FIT epoch
+ * @param {string} iso - ISO date
+ * @returns {number} FIT timestamp
+ */
+const fitTime = (iso) => Date.parse(iso) / 1000 - FIT_EPOCH_OFFSET;
+
+/**
+ * Degrees to semicircles
+ * @param {number} degrees - Angle
+ * @returns {number} Semicircles
+ */
+const semicircles = (degrees) => Math.round((degrees * 2 ** 31) / 180);
+
+/**
+ * Minimal little-endian FIT writer
+ */
+const createWriter = () => {
+  const chunks = [];
+  const definitions = {};
+
+  return {
+    /**
+     * Write a definition message
+     * @param {number} localType - Local message type
+     * @param {number} globalNumber - Global message number
+     * @param {Array<Array<number>>} fields - [fieldNumber, baseType, count]
+     */
+    define(localType, globalNumber, fields) {
+      const buffer = Buffer.alloc(6 + fields.length * 3);
+      buffer[0] = 0x40 | localType;
+      buffer.writeUInt16LE(globalNumber, 3);
+      buffer[5] = fields.length;
+      fields.forEach(([number, baseType, count = 1], i) => {
+        buffer[6 + i * 3] = number;
+        buffer[7 + i * 3] = SIZES[baseType] * count;
+        buffer[8 + i * 3] = baseType;
+      });
+      definitions[localType] = fields;
+      chunks.push(buffer);
+    },
+
+    /**
+     * Write a data message
+     * @param {number} localType - Local message type
+     * @param {Array<number|Array<number>>} values - Values in definition order
+     * @param {number} [timeOffset] - Write a compressed-timestamp header with this offset
+     */
+    data(localType, values, timeOffset) {
+      const fields = definitions[localType];
+      const size = fields.reduce((sum, [, baseType, count = 1]) => sum + SIZES[baseType] * count, 0);
+      const buffer = Buffer.alloc(1 + size);
+      buffer[0] = timeOffset === undefined ? localType : 0x80 | (localType << 5) | (timeOffset & 0x1f);
+
+      let offset = 1;
+      fields.forEach(([, baseType, count = 1], i) => {
+        [].concat(values[i]).slice(0, count).forEach((value) => {
+          if (baseType === UINT8 || baseType === ENUM) buffer.writeUInt8(value, offset);
+          if (baseType === UINT16) buffer.writeUInt16LE(value, offset);
+          if (baseType === SINT32) buffer.writeInt32LE(value, offset);
+          if (baseType === UINT32) buffer.writeUInt32LE(value, offset);
+          offset += SIZES[baseType];
+        });
+      });
+      chunks.push(buffer);
+    },
+
+    /**
+     * Assemble the file with a 14-byte header and both CRCs
+     * @returns {Buffer} FIT file
+     */
+    toBuffer() {
+      const data = Buffer.concat(chunks);
+      const header = Buffer.alloc(14);
+      header[0] = 14;
+      header[1] = 0x20;
+      header.writeUInt16LE(2132, 2);
+      header.writeUInt32LE(data.length, 4);
+      header.write('.FIT', 8, 'ascii');
+      header.writeUInt16LE(fitCrc(header, 0, 12), 12);
+
+      const body = Buffer.concat([header, data]);
+      const crc = Buffer.alloc(2);
+      crc.writeUInt16LE(fitCrc(body));
+      return Buffer.concat([body, crc]);
+    },
+  };
+};
+
+/**
+ * 2 km northbound run in two 1 km laps, with a device_info and an event message
+ * @returns {Buffer} FIT file
+ */
+const buildRun = () => {
+  const fit = createWriter();
+  const start = fitTime('2024-01-15T07:00:00Z');
+
+  fit.define(0, 0, [[0, ENUM], [1, UINT16], [4, UINT32]]);
+  fit.data(0, [4, 1, start]);
+  fit.define(1, 23, [[253, UINT32], [2, UINT16]]);
+  fit.data(1, [start, 1]);
+  fit.define(2, 21, [[253, UINT32], [0, ENUM], [1, ENUM]]);
+  fit.data(2, [start, 0, 0]);
+
+  // record: timestamp, lat, long, heart_rate, distance (m x 100), enhanced_altitude ((m + 500) x 5)
+  fit.define(3, 20, [[253, UINT32], [0, SINT32], [1, SINT32], [3, UINT8], [5, UINT32], [78, UINT32]]);
+  for (let i = 0; i <= 20; i += 1) {
+    const values = [
+      start + i * 30,
+      semicircles(i * 0.0009),
+      semicircles(10),
+      140 + i,
+      i * 10000,
+      (100 + i + 500) * 5,
+    ];
+    // Exercise the compressed-timestamp header on one record
+    if (i === 5) {
+      fit.define(0, 20, [[0, SINT32], [1, SINT32], [3, UINT8], [5, UINT32], [78, UINT32]]);
+      fit.data(0, values.slice(1), (start + i * 30) & 0x1f);
+      fit.define(0, 0, [[0, ENUM], [1, UINT16], [4, UINT32]]);
+    } else {
+      fit.data(3, values);
+    }
+  }
+
+  // lap: timestamp, start_time, total_timer_time (s x 1000), total_distance (m x 100), calories, avg/max HR
+  fit.define(4, 19, [[253, UINT32], [2, UINT32], [8, UINT32], [9, UINT32], [11, UINT16], [15, UINT8], [16, UINT8]]);
+  fit.data(4, [start + 300, start, 300000, 100000, 70, 145, 150]);
+  fit.data(4, [start + 600, start + 300, 300000, 100000, 75, 155, 160]);
+
+  // session: timestamp, start_time, sport, sub_sport, total_timer_time, total_distance, calories
+  fit.define(5, 18, [[253, UINT32], [2, UINT32], [5, ENUM], [6, ENUM], [8, UINT32], [9, UINT32], [11, UINT16]]);
+  fit.data(5, [start + 600, start, 1, 0, 600000, 200000, 145]);
+
+  return fit.toBuffer();
+};
+
+/**
+ * Strength session: two bench press sets with rest, a squat set and an uncategorized set
+ * @returns {Buffer} FIT file
+ */
+const buildStrength = () => {
+  const fit = createWriter();
+  const start = fitTime('2024-01-16T18:00:00Z');
+
+  fit.define(0, 0, [[0, ENUM], [4, UINT32]]);
+  fit.data(0, [4, start]);
+
+  // record: heart rate only
+  fit.define(1, 20, [[253, UINT32], [3, UINT8]]);
+  fit.data(1, [start, 90]);
+  fit.data(1, [start + 600, 120]);
+
+  // set: timestamp, duration (s x 1000), repetitions, weight (kg x 16), set_type, start_time,
+  // category, weight_display_unit
+  fit.define(2, 225, [[254, UINT32], [0, UINT32], [3, UINT16], [4, UINT16], [5, UINT8], [6, UINT32], [7, UINT16], [9, UINT16]]);
+  fit.data(2, [start + 40, 40000, 8, 80 * 16, 1, start, 0, 1]);
+  fit.data(2, [start + 160, 120000, 0xffff, 0xffff, 0, start + 40, 0xffff, 1]);
+  fit.data(2, [start + 200, 40000, 6, 85 * 16, 1, start + 160, 0, 1]);
+  fit.data(2, [start + 300, 60000, 5, Math.round(100 * 0.45359237 * 16), 1, start + 240, 28, 2]);
+  fit.data(2, [start + 400, 30000, 12, 0, 1, start + 370, 65534, 1]);
+
+  // session: start_time, sport (training), sub_sport (strength_training), calories
+  fit.define(3, 18, [[253, UINT32], [2, UINT32], [5, ENUM], [6, ENUM], [11, UINT16]]);
+  fit.data(3, [start + 600, start, 10, 20, 60]);
+
+  return fit.toBuffer();
+};
+
+if (require.main === module) {
+  fs.writeFileSync(path.join(__dirname, 'run.fit'), buildRun());
+  fs.writeFileSync(path.join(__dirname, 'strength.fit'), buildStrength());
+}
+
+module.exports = {
+  buildRun,
+  buildStrength,
+};
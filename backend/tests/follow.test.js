@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Follow Tests
+ * @description Unit tests for follow requests, private accounts and feed cursors
+ * @module tests/follow
+ */
+
+const mongoose = require('mongoose');
+const { expect } = require('chai');
+const User = require('../src/entities/User');
+const Follow = require('../src/entities/Follow');
+const { encodeCursor, decodeCursor, cursorCondition } = require('../src/utils/cursor');
+
+describe('Follows', () => {
+  it('should require approval only for private accounts', () => {
+    const user = new User({ username: 'sam', email: 'sam@example.com', password: 'password123' });
+
+    expect(user.privacy.profile).to.equal('public');
+    expect(user.requiresFollowApproval()).to.equal(false);
+
+    user.privacy.profile = 'private';
+    expect(user.requiresFollowApproval()).to.equal(true);
+
+    user.privacy.profile = 'secret';
+    expect(user.validateSync().errors).to.have.property('privacy.profile');
+  });
+
+  it('should accept pending follow requests', () => {
+    const follow = new Follow({
+      followerId: new mongoose.Types.ObjectId(),
+      followingId: new mongoose.Types.ObjectId(),
+      status: 'pending',
+    });
+
+    expect(follow.acceptedAt).to.equal(null);
+    follow.accept();
+    expect(follow.status).to.equal('accepted');
+    expect(follow.acceptedAt).to.be.instanceOf(Date);
+  });
+
+  describe('cursors', () => {
+    const post = {
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date('2026-03-01T08:30:00Z'),
+    };
+
+    it('should round-trip the position of a post', () => {
+      const position = decodeCursor(encodeCursor(post));
+
+      expect(position.createdAt.getTime()).to.equal(post.createdAt.getTime());
+      expect(position.id.equals(post._id)).to.equal(true);
+    });
+
+    it('should continue after the cursor, breaking ties by ID', () => {
+      const condition = cursorCondition(encodeCursor(post));
+
+      expect(condition.$or[0].createdAt.$lt.getTime()).to.equal(post.createdAt.getTime());
+      expect(condition.$or[1]._id.$lt.equals(post._id)).to.equal(true);
+      expect(cursorCondition(undefined)).to.deep.equal({});
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).to.equal(null);
+      expect(decodeCursor(Buffer.from('123.xyz').toString('base64url'))).to.equal(null);
+      expect(decodeCursor(['array'])).to.equal(null);
+    });
+  });
+});
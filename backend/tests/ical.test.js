@@ -0,0 +1,104 @@
+/**
+ * @fileoverview iCalendar Tests
+ * @description Unit tests for building and parsing iCalendar documents
+ * @module tests/ical
+ */
+
+const { expect } = require('chai');
+const { buildCalendar, parseCalendar, foldLine } = require('../src/utils/ical');
+
+describe('iCalendar', () => {
+  describe('buildCalendar', () => {
+    it('should render events with escaped text and UTC times', () => {
+      const ics = buildCalendar([
+        {
+          uid: 'workout-1@fitness-tracker',
+          summary: 'Legs, heavy; 5x5',
+          description: 'Squat\nDeadlift',
+          start: new Date('2024-01-15T07:00:00Z'),
+          end: new Date('2024-01-15T08:00:00Z'),
+          status: 'TENTATIVE',
+        },
+      ]);
+
+      expect(ics).to.match(/^BEGIN:VCALENDAR\r\n/);
+      expect(ics).to.include('DTSTART:20240115T070000Z\r\n');
+      expect(ics).to.include('DTEND:20240115T080000Z\r\n');
+      expect(ics).to.include('SUMMARY:Legs\\, heavy\\; 5x5\r\n');
+      expect(ics).to.include('DESCRIPTION:Squat\\nDeadlift\r\n');
+      expect(ics).to.include('STATUS:TENTATIVE\r\n');
+    });
+
+    it('should fold long lines at 75 octets', () => {
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+
+      folded.split('\r\n').forEach((line) => {
+        expect(Buffer.byteLength(line)).to.be.at.most(75);
+      });
+      expect(folded.replace(/\r\n /g, '')).to.equal(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+
+    it('should round-trip through parseCalendar', () => {
+      const start = new Date('2024-01-15T07:00:00Z');
+      const [event] = parseCalendar(buildCalendar([
+        {
+          uid: 'a',
+          summary: 'Push, pull',
+          description: 'Line one\nLine two',
+          start,
+          end: new Date('2024-01-15T07:45:00Z'),
+        },
+      ]));
+
+      expect(event.summary).to.equal('Push, pull');
+      expect(event.description).to.equal('Line one\nLine two');
+      expect(event.start.getTime()).to.equal(start.getTime());
+    });
+  });
+
+  describe('parseCalendar', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:run-1',
+      'DTSTART;TZID=Europe/Berlin:20240701T070000',
+      'DURATION:PT45M',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,TH',
+      'EXDATE;TZID=Europe/Berlin:20240708T070000',
+      'SUMMARY:Morning',
+      '  run',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20240105',
+      'SUMMARY:Rest day',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No start',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    it('should unfold lines and resolve time zones to UTC', () => {
+      const [event] = parseCalendar(ics);
+
+      expect(event.uid).to.equal('run-1');
+      expect(event.summary).to.equal('Morning run');
+      expect(event.start.toISOString()).to.equal('2024-07-01T05:00:00.000Z');
+      expect(event.durationMinutes).to.equal(45);
+      expect(event.rrule).to.equal('FREQ=WEEKLY;BYDAY=MO,TH');
+      expect(event.exdates.map((date) => date.toISOString())).to.deep.equal(['2024-07-08T05:00:00.000Z']);
+    });
+
+    it('should ignore nested components and events without a start', () => {
+      const events = parseCalendar(ics);
+
+      expect(events).to.have.lengthOf(2);
+      expect(events[0].description).to.equal(undefined);
+      expect(events[1]).to.include({ isAllDay: true, status: 'CANCELLED' });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Mailer Tests
+ * @description Unit tests for message building, SMTP delivery, the file transport and emailed link tokens
+ * @module tests/mailer
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { expect } = require('chai');
+const { buildMessage, createSmtpTransport, createFileTransport } = require('../src/utils/mailer');
+const { signAccountToken, verifyAccountToken, verifyRefreshToken } = require('../src/utils/authTokens');
+
+/**
+ * Start an SMTP server on a random port that accepts everything and records the conversation
+ * @returns {Promise<Object>} { server, port, received }
+ */
+const startSmtpServer = () => new Promise((resolve) => {
+  const received = { commands: [], data: '' };
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      if (inData) {
+        if (buffer.endsWith('\r\n.\r\n')) {
+          received.data = buffer;
+          buffer = '';
+          inData = false;
+          socket.write('250 queued\r\n');
+        }
+        return;
+      }
+      let end = buffer.indexOf('\r\n');
+      while (end !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        received.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test\r\n250 8BITMIME\r\n');
+        else if (line === 'STARTTLS') socket.write('454 TLS not available\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+        end = buffer.indexOf('\r\n');
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+});
+
+describe('Mailer', () => {
+  const message = {
+    from: 'Fitness Tracker <noreply@example.com>',
+    to: 'jane@example.com',
+    subject: 'Grüße',
+    text: 'Hello\n.hidden line',
+    html: '<p>Hello</p>',
+  };
+
+  describe('buildMessage', () => {
+    it('should encode headers and bodies', async () => {
+      const raw = (await buildMessage(message)).toString();
+
+      expect(raw).to.match(/^Subject: =\?UTF-8\?[BQ]\?/m);
+      expect(raw).to.match(/^Date: /m);
+      expect(raw).to.include('Content-Type: multipart/alternative;');
+      expect(raw).to.include('.hidden line');
+    });
+
+    it('should not let header values add headers', async () => {
+      const raw = (await buildMessage({ ...message, subject: 'Hi\r\nBcc: victim@example.com' }))
+        .toString();
+
+      expect(raw).to.not.match(/^Bcc:/m);
+    });
+  });
+
+  describe('createSmtpTransport', () => {
+    it('should deliver a message to an SMTP server', async () => {
+      const { server, port, received } = await startSmtpServer();
+      try {
+        await createSmtpTransport({ host: '127.0.0.1', port }).send(message);
+      } finally {
+        server.close();
+      }
+
+      expect(received.commands).to.include.members([
+        'MAIL FROM:<noreply@example.com>',
+        'RCPT TO:<jane@example.com>',
+        'DATA',
+      ]);
+      expect(received.data).to.include('To: jane@example.com\r\n');
+    });
+
+    it('should refuse to send credentials without TLS', async () => {
+      const { server, port, received } = await startSmtpServer();
+      let error = null;
+      try {
+        await createSmtpTransport({ host: '127.0.0.1', port, user: 'u', pass: 'p' }).send(message);
+      } catch (err) {
+        error = err;
+      } finally {
+        server.close();
+      }
+
+      expect(error).to.be.instanceOf(Error);
+      expect(received.commands.some((command) => command.startsWith('AUTH'))).to.equal(false);
+    });
+  });
+
+  describe('createFileTransport', () => {
+    it('should write messages as .eml files', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+      try {
+        await createFileTransport({ directory }).send(message);
+        const files = fs.readdirSync(directory);
+
+        expect(files).to.have.lengthOf(1);
+        expect(files[0]).to.match(/\.eml$/);
+        expect(fs.readFileSync(path.join(directory, files[0]), 'utf8')).to.include('To: jane@example.com');
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('account tokens', () => {
+    it('should only verify tokens for their own purpose', () => {
+      const accountToken = {
+        _id: new mongoose.Types.ObjectId(),
+        userId: new mongoose.Types.ObjectId(),
+        purpose: 'password_reset',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      };
+      const token = signAccountToken(accountToken);
+
+      expect(verifyAccountToken(token, 'password_reset')).to.deep.equal({
+        userId: String(accountToken.userId),
+        tokenId: String(accountToken._id),
+      });
+      expect(verifyAccountToken(token, 'email_change')).to.equal(null);
+      expect(verifyRefreshToken(token)).to.equal(null);
+    });
+
+    it('should reject expired tokens', () => {
+      const token = signAccountToken({
+        _id: new mongoose.Types.ObjectId(),
+        userId: new mongoose.Types.ObjectId(),
+        purpose: 'email_verification',
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      expect(verifyAccountToken(token, 'email_verification')).to.equal(null);
+    });
+  });
+});
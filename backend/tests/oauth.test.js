@@ -0,0 +1,137 @@
+/**
+ * @fileoverview OAuth Tests
+ * @description Unit tests for PKCE, redirect URIs, app secrets, authorization codes and app access tokens
+ * @module tests/oauth
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { expect } = require('chai');
+const config = require('../src/config');
+const OAuthClient = require('../src/entities/OAuthClient');
+const OAuthGrant = require('../src/entities/OAuthGrant');
+const {
+  codeChallengeFor,
+  verifyCodeChallenge,
+  parseScope,
+  isAllowedRedirectUri,
+  withQuery,
+  parseBasicCredentials,
+} = require('../src/utils/oauth');
+const { signOAuthAccessToken, verifyOAuthAccessToken } = require('../src/utils/authTokens');
+
+describe('OAuth', () => {
+  // RFC 7636 appendix B
+  const verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  const challenge = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+  const redirectUri = 'https://app.example.com/callback';
+  const newGrant = (scopes = ['workouts:read']) => new OAuthGrant({
+    clientId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    scopes,
+    codeChallenge: challenge,
+    redirectUri,
+  });
+
+  describe('helpers', () => {
+    it('should verify S256 code challenges', () => {
+      expect(codeChallengeFor(verifier)).to.equal(challenge);
+      expect(verifyCodeChallenge(verifier, challenge)).to.equal(true);
+      expect(verifyCodeChallenge(`${verifier}x`, challenge)).to.equal(false);
+      expect(verifyCodeChallenge('too-short', codeChallengeFor('too-short'))).to.equal(false);
+    });
+
+    it('should only accept known scopes', () => {
+      expect(parseScope('workouts:read  workouts:read social:write')).to.deep.equal(['workouts:read', 'social:write']);
+      expect(parseScope('workouts:read users:roles')).to.equal(null);
+      expect(parseScope('')).to.equal(null);
+    });
+
+    it('should require https redirect URIs except on loopback', () => {
+      expect(isAllowedRedirectUri(redirectUri)).to.equal(true);
+      expect(isAllowedRedirectUri('http://127.0.0.1:8765/cb')).to.equal(true);
+      expect(isAllowedRedirectUri('http://app.example.com/cb')).to.equal(false);
+      expect(isAllowedRedirectUri('https://app.example.com/cb#token')).to.equal(false);
+      expect(isAllowedRedirectUri('javascript:alert(1)')).to.equal(false);
+    });
+
+    it('should build redirects and read Basic credentials', () => {
+      expect(withQuery('https://app.example.com/cb?x=1', { code: 'a b', state: undefined }))
+        .to.equal('https://app.example.com/cb?x=1&code=a+b');
+
+      const header = `Basic ${Buffer.from('my-app:s%3Acret').toString('base64')}`;
+      expect(parseBasicCredentials(header)).to.deep.equal({ clientId: 'my-app', clientSecret: 's:cret' });
+      expect(parseBasicCredentials('Bearer abc')).to.equal(null);
+    });
+  });
+
+  describe('entities', () => {
+    it('should check client secrets and redirect URIs', () => {
+      const client = new OAuthClient({
+        clientId: 'my-app',
+        name: 'My App',
+        redirectUris: [redirectUri, 'http://example.com/cb'],
+        ownerId: new mongoose.Types.ObjectId(),
+      });
+
+      expect(client.verifySecret('anything')).to.equal(false);
+      client.setSecret('s3cret');
+      expect(client.isConfidential).to.equal(true);
+      expect(client.verifySecret('s3cret')).to.equal(true);
+      expect(client.verifySecret('s3creT')).to.equal(false);
+      expect(client.toJSON()).to.not.have.property('secretHash');
+
+      expect(client.hasRedirectUri(redirectUri)).to.equal(true);
+      expect(client.hasRedirectUri(`${redirectUri}/`)).to.equal(false);
+      expect(client.validateSync().errors).to.have.property('redirectUris');
+    });
+
+    it('should redeem a code once, with the right redirect URI and verifier', () => {
+      const grant = newGrant();
+      grant.issueCode(10);
+
+      expect(grant.redeemCode({ redirectUri, codeVerifier: `${verifier}x` })).to.equal(false);
+      expect(grant.redeemCode({ redirectUri: `${redirectUri}?x`, codeVerifier: verifier })).to.equal(false);
+      expect(grant.redeemCode({ redirectUri, codeVerifier: verifier })).to.equal(true);
+      expect(grant.redeemCode({ redirectUri, codeVerifier: verifier })).to.equal(false);
+
+      const expired = newGrant();
+      expired.issueCode(10);
+      const later = new Date(Date.now() + 11 * 60 * 1000);
+      expect(expired.redeemCode({ redirectUri, codeVerifier: verifier }, later)).to.equal(false);
+    });
+
+    it('should rotate refresh tokens and end on revocation', () => {
+      const grant = newGrant();
+      const first = grant.rotateRefreshToken(new Date(Date.now() + 60000));
+      const second = grant.rotateRefreshToken(new Date(Date.now() + 60000));
+
+      expect(grant.isCurrentRefreshToken(second)).to.equal(true);
+      expect(grant.isCurrentRefreshToken(first)).to.equal(false);
+      expect(grant.previousRefreshTokenHashes).to.have.lengthOf(1);
+
+      grant.revoke('user');
+      expect(grant.isValid()).to.equal(false);
+      expect(grant.revokedReason).to.equal('user');
+    });
+  });
+
+  describe('access tokens', () => {
+    it('should carry the grant and scopes and not pass as session tokens', () => {
+      const grant = newGrant(['workouts:read', 'social:write']);
+      const { token, expiresAt } = signOAuthAccessToken(grant, { clientId: 'my-app' });
+      const claims = verifyOAuthAccessToken(token);
+
+      expect(claims).to.include({ userId: String(grant.userId), clientId: 'my-app', grantId: String(grant._id) });
+      expect(claims.scopes).to.deep.equal(['workouts:read', 'social:write']);
+      expect(claims.expiresAt.getTime()).to.equal(expiresAt.getTime());
+      expect(() => jwt.verify(token, config.jwt.secret)).to.throw();
+      expect(jwt.decode(token)).to.not.have.property('roles');
+    });
+
+    it('should reject session tokens', () => {
+      const sessionToken = jwt.sign({ userId: 'u1', gid: 'g1', sub: 'u1' }, config.jwt.secret);
+      expect(verifyOAuthAccessToken(sessionToken)).to.equal(null);
+    });
+  });
+});
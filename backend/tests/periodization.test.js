@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Periodization Tests
+ * @description Unit tests for program load progression and scheduling
+ * @module tests/periodization
+ */
+
+const { expect } = require('chai');
+const { roundToIncrement, computeWeekLoad, scheduleDate } = require('../src/utils/periodization');
+
+describe('Periodization', () => {
+  const target = { targetWeight: 100, weightUnit: 'kg' };
+  const weeks = [{}, {}, { isDeload: true }, {}];
+
+  describe('roundToIncrement', () => {
+    it('should round to loadable plates per unit', () => {
+      expect(roundToIncrement(101.2, 'kg')).to.equal(100);
+      expect(roundToIncrement(101.3, 'kg')).to.equal(102.5);
+      expect(roundToIncrement(223, 'lb')).to.equal(225);
+    });
+  });
+
+  describe('computeWeekLoad', () => {
+    it('should keep template targets without progression', () => {
+      const progression = { type: 'none', increment: 2.5, deloadFactor: 0.6 };
+
+      expect(computeWeekLoad({ target, weeks, weekIndex: 3, progression }).weight).to.equal(100);
+    });
+
+    it('should add the increment for each non-deload week', () => {
+      const progression = { type: 'linear', increment: 2.5, deloadFactor: 0.6 };
+      const loads = weeks.map((week, weekIndex) => computeWeekLoad({
+        target,
+        weeks,
+        weekIndex,
+        progression,
+      }).weight);
+
+      expect(loads).to.deep.equal([100, 102.5, 62.5, 105]);
+    });
+
+    it('should prescribe a percentage of the estimated 1RM', () => {
+      const progression = { type: 'percentage', increment: 0, deloadFactor: 0.6 };
+      const waveWeeks = [{ intensity: 70 }, { intensity: 80 }];
+
+      const load = computeWeekLoad({
+        target: { targetWeight: 100, weightUnit: 'lb' },
+        weeks: waveWeeks,
+        weekIndex: 1,
+        progression,
+        oneRepMax: 150,
+      });
+
+      expect(load).to.deep.equal({ weight: 120, weightUnit: 'kg' });
+    });
+
+    it('should fall back to the template target when the 1RM is unknown', () => {
+      const progression = { type: 'percentage', increment: 0, deloadFactor: 0.6 };
+
+      const load = computeWeekLoad({
+        target,
+        weeks: [{ intensity: 70 }],
+        weekIndex: 0,
+        progression,
+        oneRepMax: null,
+      });
+
+      expect(load.weight).to.equal(100);
+    });
+  });
+
+  describe('scheduleDate', () => {
+    it('should offset by whole weeks and days from the start date', () => {
+      const date = scheduleDate(new Date('2024-01-01T07:00:00Z'), 2, 3);
+
+      expect(date.toISOString()).to.equal('2024-01-18T07:00:00.000Z');
+    });
+  });
+});
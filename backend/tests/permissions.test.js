@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Permission Tests
+ * @description Unit tests for roles, the authorize middleware and exercise ownership
+ * @module tests/permissions
+ */
+
+const mongoose = require('mongoose');
+const { expect } = require('chai');
+const User = require('../src/entities/User');
+const Exercise = require('../src/entities/Exercise');
+const { authorize } = require('../src/middleware/auth');
+const { PERMISSIONS, permissionsFor, hasPermission } = require('../src/utils/permissions');
+
+describe('Permissions', () => {
+  describe('roles', () => {
+    it('should combine the permissions of several roles', () => {
+      expect([...permissionsFor(['user'])]).to.deep.equal([]);
+      expect(hasPermission(['user', 'coach'], PERMISSIONS.COACH_CLIENTS)).to.equal(true);
+      expect(hasPermission(['user', 'moderator'], PERMISSIONS.MANAGE_EXERCISES)).to.equal(false);
+      expect(hasPermission(['admin'], ...Object.values(PERMISSIONS))).to.equal(true);
+      expect(hasPermission(['unknown'], PERMISSIONS.MANAGE_ROLES)).to.equal(false);
+    });
+
+    it('should default to the user role and reject unknown or missing ones', () => {
+      const user = new User({ username: 'sam', email: 'sam@example.com', password: 'Password123' });
+
+      expect([...user.roles]).to.deep.equal(['user']);
+      expect(user.hasPermission(PERMISSIONS.CURATE_EXERCISES)).to.equal(false);
+
+      user.roles = ['user', 'superuser'];
+      expect(user.validateSync().errors).to.have.property('roles.1');
+      user.roles = ['coach'];
+      expect(user.validateSync().errors.roles.message).to.equal('Every account must keep the user role');
+    });
+  });
+
+  describe('authorize', () => {
+    const run = (middleware, user) => {
+      let result;
+      middleware({ user, path: '/', method: 'PUT' }, {}, (err) => { result = err || 'next'; });
+      return result;
+    };
+
+    it('should only pass users holding every permission', () => {
+      const middleware = authorize(PERMISSIONS.MANAGE_ROLES);
+
+      expect(run(middleware, { id: '1', roles: ['user', 'admin'] })).to.equal('next');
+      expect(run(middleware, { id: '1', roles: ['user', 'moderator'] }).statusCode).to.equal(403);
+      expect(run(middleware, undefined).statusCode).to.equal(401);
+    });
+  });
+
+  describe('exercise ownership', () => {
+    const creatorId = new mongoose.Types.ObjectId();
+    const custom = new Exercise({ name: 'Custom Row', muscleGroup: ['Back'], createdBy: creatorId });
+    const library = new Exercise({ name: 'Deadlift', muscleGroup: ['Back'] });
+
+    it('should let creators and admins edit custom exercises', () => {
+      expect(custom.canBeEditedBy({ id: String(creatorId), roles: ['user'] })).to.equal(true);
+      expect(custom.canBeEditedBy({ id: 'someone-else', roles: ['user', 'moderator'] })).to.equal(false);
+      expect(custom.canBeEditedBy({ id: 'someone-else', roles: ['user', 'admin'] })).to.equal(true);
+    });
+
+    it('should let only moderators and admins edit the global library', () => {
+      expect(library.canBeEditedBy({ id: String(creatorId), roles: ['user', 'coach'] })).to.equal(false);
+      expect(library.canBeEditedBy({ id: 'mod', roles: ['user', 'moderator'] })).to.equal(true);
+      expect(library.canBeEditedBy({ id: 'admin', roles: ['user', 'admin'] })).to.equal(true);
+    });
+  });
+});
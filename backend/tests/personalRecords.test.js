@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Personal Records Tests
+ * @description Unit tests for one-rep-max estimation and record history computation
+ * @module tests/personalRecords
+ */
+
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const {
+  epley,
+  brzycki,
+  estimateOneRepMax,
+  computeRecordHistory,
+} = require('../src/utils/personalRecords');
+
+describe('Personal Records', () => {
+  describe('one-rep max estimation', () => {
+    it('should return the lifted weight for a single', () => {
+      expect(epley(140, 1)).to.equal(140);
+      expect(brzycki(140, 1)).to.equal(140);
+    });
+
+    it('should apply the Epley and Brzycki formulas', () => {
+      expect(epley(100, 5)).to.be.closeTo(116.67, 0.01);
+      expect(brzycki(100, 5)).to.be.closeTo(112.5, 0.01);
+    });
+
+    it('should not estimate from high-rep or weightless sets', () => {
+      expect(estimateOneRepMax(60, 20)).to.equal(null);
+      expect(estimateOneRepMax(0, 5)).to.equal(null);
+    });
+  });
+
+  describe('computeRecordHistory', () => {
+    const exerciseId = new mongoose.Types.ObjectId();
+    const otherExerciseId = new mongoose.Types.ObjectId();
+
+    const workout = (date, sets, exercise = exerciseId) => ({
+      _id: new mongoose.Types.ObjectId(),
+      date: new Date(date),
+      exercises: [{ exercise, sets }],
+    });
+
+    it('should record a new best each time one is beaten', () => {
+      const history = computeRecordHistory(
+        [
+          workout('2024-01-01', [{ reps: 5, weight: 100 }]),
+          workout('2024-01-08', [{ reps: 5, weight: 105 }]),
+          workout('2024-01-15', [{ reps: 5, weight: 95 }]),
+        ],
+        exerciseId,
+      );
+
+      const maxWeight = history.filter((record) => record.type === 'max-weight');
+      expect(maxWeight.map((record) => record.value)).to.deep.equal([100, 105]);
+      expect(maxWeight[1].previousValue).to.equal(100);
+      expect(maxWeight[0].isCurrent).to.equal(false);
+      expect(maxWeight[1].isCurrent).to.equal(true);
+    });
+
+    it('should track rep maxes per load', () => {
+      const history = computeRecordHistory(
+        [workout('2024-01-01', [{ reps: 8, weight: 60 }, { reps: 3, weight: 80 }, { reps: 10, weight: 60 }])],
+        exerciseId,
+      );
+
+      const current = history.filter((record) => record.type === 'max-reps' && record.isCurrent);
+      expect(current.map((record) => [record.load, record.value])).to.deep.equal([
+        [80, 3],
+        [60, 10],
+      ]);
+    });
+
+    it('should ignore warm-up sets and other exercises', () => {
+      const history = computeRecordHistory(
+        [
+          workout('2024-01-01', [{ reps: 1, weight: 200, type: 'warmup' }, { reps: 5, weight: 100 }]),
+          workout('2024-01-02', [{ reps: 1, weight: 300 }], otherExerciseId),
+        ],
+        exerciseId,
+      );
+
+      const maxWeight = history.find((record) => record.type === 'max-weight' && record.isCurrent);
+      expect(maxWeight.value).to.equal(100);
+      expect(maxWeight.setIndex).to.equal(1);
+    });
+
+    it('should convert pounds and sum session volume', () => {
+      const history = computeRecordHistory(
+        [workout('2024-01-01', [{ reps: 10, weight: 100, weightUnit: 'lb' }, { reps: 10, weight: 50 }])],
+        exerciseId,
+      );
+
+      const volume = history.find((record) => record.type === 'max-volume');
+      expect(volume.value).to.be.closeTo(953.6, 0.01);
+      expect(volume.setIndex).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Recurrence Rule Tests
+ * @description Unit tests for RRULE parsing and expansion
+ * @module tests/rrule
+ */
+
+const { expect } = require('chai');
+const { parseRRule, formatRRule, expandRRule } = require('../src/utils/rrule');
+
+describe('Recurrence Rules', () => {
+  const iso = (dates) => dates.map((date) => date.toISOString());
+
+  describe('parseRRule', () => {
+    it('should parse a weekly rule with weekdays', () => {
+      const rule = parseRRule('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20241231');
+
+      expect(rule.freq).to.equal('WEEKLY');
+      expect(rule.byDay).to.deep.equal([1, 3, 5]);
+      expect(rule.until.toISOString()).to.equal('2024-12-31T23:59:59.000Z');
+    });
+
+    it('should reject unsupported or conflicting parts', () => {
+      expect(() => parseRRule('FREQ=YEARLY')).to.throw('Unsupported FREQ');
+      expect(() => parseRRule('FREQ=DAILY;BYHOUR=7')).to.throw('Unsupported rule part');
+      expect(() => parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20241231')).to.throw('cannot both be set');
+      expect(() => parseRRule('INTERVAL=2')).to.throw('FREQ is required');
+    });
+
+    it('should refuse by-day and by-month-day parts the frequency cannot expand', () => {
+      expect(() => parseRRule('FREQ=WEEKLY;BYMONTHDAY=1')).to.throw('BYMONTHDAY is only supported');
+      expect(() => parseRRule('FREQ=DAILY;BYMONTHDAY=15')).to.throw('BYMONTHDAY is only supported');
+      expect(() => parseRRule('FREQ=WEEKLY;BYDAY=2MO')).to.throw('ordinals are only supported');
+      expect(() => parseRRule('FREQ=MONTHLY;BYDAY=6MO')).to.throw('Unsupported BYDAY value');
+      expect(() => parseRRule('FREQ=MONTHLY;BYDAY=0FR')).to.throw('Unsupported BYDAY value');
+    });
+
+    it('should parse monthly weekdays with and without ordinals', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=TU,1MO,-1FR;COUNT=6');
+
+      expect(rule.byDay).to.deep.equal([2]);
+      expect(rule.byNthDay).to.deep.equal([{ day: 1, ordinal: 1 }, { day: 5, ordinal: -1 }]);
+      expect(formatRRule(rule)).to.equal('FREQ=MONTHLY;BYDAY=TU,1MO,-1FR;COUNT=6');
+    });
+
+    it('should round-trip through formatRRule', () => {
+      const value = 'FREQ=DAILY;INTERVAL=2;COUNT=10';
+
+      expect(formatRRule(parseRRule(value))).to.equal(value);
+    });
+  });
+
+  describe('expandRRule', () => {
+    it('should expand weekdays and keep the start time of day', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20240112');
+
+      expect(iso(expandRRule(rule, new Date('2024-01-03T07:00:00Z')))).to.deep.equal([
+        '2024-01-03T07:00:00.000Z',
+        '2024-01-05T07:00:00.000Z',
+        '2024-01-08T07:00:00.000Z',
+        '2024-01-10T07:00:00.000Z',
+        '2024-01-12T07:00:00.000Z',
+      ]);
+    });
+
+    it('should expand monthly rules on every given weekday', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=MO;COUNT=4');
+
+      expect(iso(expandRRule(rule, new Date('2024-01-03T07:00:00Z')))).to.deep.equal([
+        '2024-01-08T07:00:00.000Z',
+        '2024-01-15T07:00:00.000Z',
+        '2024-01-22T07:00:00.000Z',
+        '2024-01-29T07:00:00.000Z',
+      ]);
+    });
+
+    it('should expand monthly rules on the nth or last weekday', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=1MO,-1FR;COUNT=4');
+
+      expect(iso(expandRRule(rule, new Date('2024-01-03T07:00:00Z')))).to.deep.equal([
+        '2024-01-26T07:00:00.000Z',
+        '2024-02-05T07:00:00.000Z',
+        '2024-02-23T07:00:00.000Z',
+        '2024-03-04T07:00:00.000Z',
+      ]);
+    });
+
+    it('should match both BYDAY and BYMONTHDAY when a monthly rule has both', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=2');
+
+      expect(iso(expandRRule(rule, new Date('2024-01-01T07:00:00Z')))).to.deep.equal([
+        '2024-09-13T07:00:00.000Z',
+        '2024-12-13T07:00:00.000Z',
+      ]);
+    });
+
+    it('should count excluded dates towards COUNT', () => {
+      const rule = parseRRule('FREQ=DAILY;INTERVAL=2;COUNT=4');
+      const dates = expandRRule(rule, new Date('2024-01-01T18:00:00Z'), {
+        exdates: [new Date('2024-01-03T18:00:00Z')],
+      });
+
+      expect(iso(dates)).to.deep.equal([
+        '2024-01-01T18:00:00.000Z',
+        '2024-01-05T18:00:00.000Z',
+        '2024-01-07T18:00:00.000Z',
+      ]);
+    });
+
+    it('should skip months without the requested day', () => {
+      const rule = parseRRule('FREQ=MONTHLY;COUNT=3');
+      const dates = expandRRule(rule, new Date('2024-01-31T09:00:00Z'));
+
+      expect(iso(dates)).to.deep.equal([
+        '2024-01-31T09:00:00.000Z',
+        '2024-03-31T09:00:00.000Z',
+        '2024-05-31T09:00:00.000Z',
+      ]);
+    });
+
+    it('should require a window for unbounded rules', () => {
+      const rule = parseRRule('FREQ=DAILY');
+      const dtstart = new Date('2024-01-01T07:00:00Z');
+
+      expect(() => expandRRule(rule, dtstart)).to.throw('expansion window');
+      expect(expandRRule(rule, dtstart, {
+        from: new Date('2024-01-10T00:00:00Z'),
+        to: new Date('2024-01-12T23:59:59Z'),
+      })).to.have.lengthOf(3);
+    });
+
+    it('should keep the local time of day across a DST change', () => {
+      const rule = parseRRule('FREQ=WEEKLY;COUNT=3');
+      const dates = expandRRule(rule, new Date('2024-03-24T06:00:00Z'), { tzid: 'Europe/Berlin' });
+
+      expect(iso(dates)).to.deep.equal([
+        '2024-03-24T06:00:00.000Z',
+        '2024-03-31T05:00:00.000Z',
+        '2024-04-07T05:00:00.000Z',
+      ]);
+    });
+
+    it('should match weekdays in the series time zone', () => {
+      // Monday 20:30 in New York is Tuesday in UTC
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO;COUNT=2');
+      const dates = expandRRule(rule, new Date('2024-11-05T01:30:00Z'), {
+        tzid: 'America/New_York',
+      });
+
+      expect(iso(dates)).to.deep.equal([
+        '2024-11-05T01:30:00.000Z',
+        '2024-11-12T01:30:00.000Z',
+      ]);
+    });
+
+    it('should treat series without a time zone as UTC', () => {
+      const rule = parseRRule('FREQ=WEEKLY;COUNT=2');
+
+      expect(iso(expandRRule(rule, new Date('2024-03-24T06:00:00Z')))).to.deep.equal([
+        '2024-03-24T06:00:00.000Z',
+        '2024-03-31T06:00:00.000Z',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Workout Series Tests
+ * @description Unit tests for materializing recurring workouts when requests overlap
+ * @module tests/schedules
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const Workout = require('../src/entities/Workout');
+const WorkoutSeries = require('../src/entities/WorkoutSeries');
+const materializeSeries = require('../src/useCases/schedules/MaterializeSeries');
+const extendUserSeries = require('../src/useCases/schedules/ExtendUserSeries');
+
+describe('Workout Series', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const buildSeries = () => new WorkoutSeries({
+    title: 'Morning run',
+    userId,
+    rrule: 'FREQ=DAILY;COUNT=3',
+    dtstart: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    materializedUntil: new Date(),
+  });
+
+  /**
+   * Error insertMany gives when some documents hit a unique index
+   * @param {number} count - Number of duplicate documents
+   * @returns {Error} Bulk write error
+   */
+  const duplicateError = (count) => Object.assign(new Error('E11000 duplicate key error'), {
+    code: 11000,
+    writeErrors: Array.from({ length: count }, () => ({ code: 11000 })),
+  });
+
+  let insertMany;
+  let saveSeries;
+
+  beforeEach(() => {
+    sinon.stub(Workout, 'find').returns({ select: () => ({ lean: async () => [] }) });
+    insertMany = sinon.stub(Workout, 'insertMany').resolves([]);
+    saveSeries = sinon.stub(WorkoutSeries.prototype, 'save').resolvesThis();
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('should allow one workout per series occurrence', () => {
+    const [, options] = Workout.schema.indexes()
+      .find(([fields]) => fields.seriesId === 1 && fields.occurrenceDate === 1);
+
+    expect(options.unique).to.equal(true);
+    expect(options.partialFilterExpression).to.deep.equal({ seriesId: { $type: 'objectId' } });
+  });
+
+  describe('materializeSeries', () => {
+    it('should skip occurrences another request created meanwhile', async () => {
+      insertMany.rejects(duplicateError(2));
+
+      expect(await materializeSeries(buildSeries())).to.equal(1);
+      expect(insertMany.firstCall.args[0]).to.have.lengthOf(3);
+      expect(insertMany.firstCall.args[1]).to.deep.equal({ ordered: false });
+      expect(saveSeries.calledOnce).to.equal(true);
+    });
+
+    it('should pass on other write errors', async () => {
+      insertMany.rejects(Object.assign(new Error('Not primary'), { code: 10107 }));
+
+      const err = await materializeSeries(buildSeries()).catch((error) => error);
+
+      expect(err.message).to.equal('Not primary');
+      expect(saveSeries.called).to.equal(false);
+    });
+  });
+
+  describe('extendUserSeries', () => {
+    it('should leave series claimed by a concurrent request alone', async () => {
+      sinon.stub(WorkoutSeries, 'find').resolves([buildSeries()]);
+      const updateOne = sinon.stub(WorkoutSeries, 'updateOne').resolves({ modifiedCount: 0 });
+
+      await extendUserSeries(userId);
+
+      expect(updateOne.calledOnce).to.equal(true);
+      expect(insertMany.called).to.equal(false);
+      expect(saveSeries.called).to.equal(false);
+    });
+
+    it('should materialize series it claims and give the claim back on failure', async () => {
+      const series = buildSeries();
+      const previous = series.materializedUntil;
+      sinon.stub(WorkoutSeries, 'find').resolves([series]);
+      const updateOne = sinon.stub(WorkoutSeries, 'updateOne').resolves({ modifiedCount: 1 });
+
+      await extendUserSeries(userId);
+      expect(insertMany.calledOnce).to.equal(true);
+      expect(updateOne.firstCall.args[0])
+        .to.deep.equal({ _id: series._id, materializedUntil: previous });
+
+      insertMany.rejects(new Error('Not primary'));
+      series.materializedUntil = previous;
+      await extendUserSeries(userId);
+
+      expect(updateOne.lastCall.args[1]).to.deep.equal({ $set: { materializedUntil: previous } });
+    });
+  });
+});
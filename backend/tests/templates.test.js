@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Workout Template Tests
+ * @description Unit tests for template creation, expansion into workouts and ownership
+ * @module tests/templates
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const WorkoutTemplate = require('../src/entities/WorkoutTemplate');
+const Workout = require('../src/entities/Workout');
+const Exercise = require('../src/entities/Exercise');
+const createTemplate = require('../src/useCases/templates/CreateTemplate');
+const getTemplate = require('../src/useCases/templates/GetTemplate');
+const { NotFoundError, ForbiddenError } = require('../src/utils/errors');
+
+describe('Workout Templates', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const squat = new mongoose.Types.ObjectId();
+  const bench = new mongoose.Types.ObjectId();
+
+  const buildTemplate = () => new WorkoutTemplate({
+    title: 'Upper / Lower',
+    userId,
+    exercises: [
+      { exercise: squat, targetSets: 3, targetReps: 5, targetWeight: 100 },
+      { exercise: bench, targetWeight: 135, weightUnit: 'lb', restSeconds: 120 },
+    ],
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('creation', () => {
+    it('should apply target defaults and require at least one exercise', () => {
+      const template = buildTemplate();
+
+      expect(template.validateSync()).to.equal(undefined);
+      expect(template.exercises[1]).to.include({ targetSets: 3, targetReps: 10 });
+
+      template.exercises = [];
+      expect(template.validateSync().errors).to.have.property('exercises');
+    });
+
+    it('should save templates whose exercises all exist', async () => {
+      sinon.stub(Exercise, 'find').resolves([{ _id: squat }, { _id: bench }]);
+      const save = sinon.stub(WorkoutTemplate.prototype, 'save').resolvesThis();
+      sinon.stub(WorkoutTemplate.prototype, 'populate').resolvesThis();
+
+      const template = await createTemplate({
+        title: 'Upper / Lower',
+        exercises: [{ exercise: squat }, { exercise: bench }, { exercise: squat }],
+      }, userId);
+
+      expect(save.calledOnce).to.equal(true);
+      expect(template.userId.toString()).to.equal(userId);
+      expect(template.exercises).to.have.lengthOf(3);
+    });
+
+    it('should reject templates with unknown exercises', async () => {
+      sinon.stub(Exercise, 'find').resolves([{ _id: squat }]);
+      const save = sinon.stub(WorkoutTemplate.prototype, 'save').resolvesThis();
+
+      const err = await createTemplate({
+        title: 'Upper / Lower',
+        exercises: [{ exercise: squat }, { exercise: bench }],
+      }, userId).catch((error) => error);
+
+      expect(err).to.be.instanceOf(NotFoundError);
+      expect(save.called).to.equal(false);
+    });
+  });
+
+  describe('toWorkoutExercises', () => {
+    it('should plan target sets without logging them as performed', () => {
+      const [squatEntry, benchEntry] = buildTemplate().toWorkoutExercises();
+
+      expect(squatEntry.sets).to.have.lengthOf(3);
+      expect(squatEntry.sets[0]).to.include({ targetReps: 5, targetWeight: 100, type: 'working' });
+      expect(squatEntry.sets[0]).to.not.have.property('reps');
+      expect(benchEntry.sets[0]).to.include({ weightUnit: 'lb', restSeconds: 120 });
+
+      const workout = new Workout({ title: 'Planned', userId, exercises: [squatEntry, benchEntry] });
+      expect(workout.validateSync()).to.equal(undefined);
+      expect(workout.exercises[0].sets[0].reps).to.equal(0);
+      expect(workout.calculateTotalVolume()).to.equal(0);
+    });
+
+    it('should take the target load from resolveLoad', () => {
+      const [squatEntry] = buildTemplate().toWorkoutExercises((entry) => ({
+        weight: entry.targetWeight * 0.9,
+        weightUnit: 'kg',
+      }));
+
+      expect(squatEntry.sets[0]).to.include({ targetWeight: 90, weightUnit: 'kg' });
+    });
+  });
+
+  describe('ownership', () => {
+    it('should return the owner their template', async () => {
+      const template = buildTemplate();
+      sinon.stub(WorkoutTemplate, 'findById').resolves(template);
+
+      expect(await getTemplate(template._id, userId)).to.equal(template);
+    });
+
+    it("should refuse other users' templates and hide deleted ones", async () => {
+      const template = buildTemplate();
+      const findById = sinon.stub(WorkoutTemplate, 'findById').resolves(template);
+      const otherUserId = new mongoose.Types.ObjectId().toString();
+
+      expect(await getTemplate(template._id, otherUserId).catch((err) => err))
+        .to.be.instanceOf(ForbiddenError);
+
+      template.isActive = false;
+      expect(await getTemplate(template._id, userId).catch((err) => err))
+        .to.be.instanceOf(NotFoundError);
+
+      findById.resolves(null);
+      expect(await getTemplate(template._id, userId).catch((err) => err))
+        .to.be.instanceOf(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Two-Factor Authentication Tests
+ * @description Unit tests for TOTP codes, recovery codes, secret encryption and login challenges
+ * @module tests/twoFactor
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const User = require('../src/entities/User');
+const restoreAccount = require('../src/useCases/account/RestoreAccount');
+const { UnauthorizedError } = require('../src/utils/errors');
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require('../src/utils/totp');
+const { encryptSecret, decryptSecret } = require('../src/utils/secretBox');
+const {
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require('../src/utils/authTokens');
+
+describe('Two-Factor Authentication', () => {
+  // RFC 6238 appendix B test secret
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('totp', () => {
+    it('should round-trip base32', () => {
+      expect(rfcSecret).to.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(base32Decode(rfcSecret.toLowerCase()).toString()).to.equal('12345678901234567890');
+      expect(() => base32Decode('not base32!')).to.throw('Invalid base32 character');
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+      expect(generateTotp(rfcSecret, 59 * 1000, 8)).to.equal('94287082');
+      expect(generateTotp(rfcSecret, 1111111109 * 1000, 8)).to.equal('07081804');
+      expect(generateTotp(rfcSecret, 2000000000 * 1000, 8)).to.equal('69279037');
+    });
+
+    it('should accept one step of drift and reject used steps', () => {
+      const now = 1700000000000;
+      const previous = generateTotp(rfcSecret, now - 30000);
+      const step = verifyTotp(rfcSecret, previous, { now });
+
+      expect(step).to.equal(Math.floor(now / 30000) - 1);
+      expect(verifyTotp(rfcSecret, previous, { now, lastUsedStep: step })).to.equal(null);
+      expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - 90000), { now })).to.equal(null);
+      expect(verifyTotp(rfcSecret, 'abcdef', { now })).to.equal(null);
+    });
+
+    it('should build an otpauth URI', () => {
+      const uri = otpauthUri({ secret: rfcSecret, accountName: 'jane@x.io', issuer: 'Fitness Tracker' });
+
+      expect(uri).to.match(/^otpauth:\/\/totp\/Fitness%20Tracker:jane%40x\.io\?/);
+      expect(new URL(uri).searchParams.get('secret')).to.equal(rfcSecret);
+    });
+
+    it('should generate distinct recovery codes that hash regardless of formatting', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).to.have.lengthOf(10);
+      expect(new Set(codes).size).to.equal(10);
+      codes.forEach((code) => expect(code).to.match(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+      expect(hashRecoveryCode(` ${codes[0].toUpperCase().replace('-', ' ')} `))
+        .to.equal(hashRecoveryCode(codes[0]));
+    });
+  });
+
+  describe('secretBox', () => {
+    it('should encrypt with a fresh IV and detect tampering', () => {
+      const first = encryptSecret(rfcSecret);
+      const second = encryptSecret(rfcSecret);
+
+      expect(first).to.not.equal(second);
+      expect(first).to.not.include(rfcSecret);
+      expect(decryptSecret(first)).to.equal(rfcSecret);
+
+      const parts = first.split(':');
+      parts[3] = Buffer.from('tampered').toString('base64');
+      expect(() => decryptSecret(parts.join(':'))).to.throw();
+      expect(() => decryptSecret('plain')).to.throw('Unsupported encrypted secret');
+    });
+  });
+
+  describe('User', () => {
+    const enrolledUser = () => {
+      const user = new User({ username: 'jane', email: 'jane@x.io', password: 'Secret123' });
+      const secret = user.startTwoFactorSetup();
+      const recoveryCodes = user.enableTwoFactor(generateTotp(secret, Date.now() - 30000));
+      return { user, secret, recoveryCodes };
+    };
+
+    it('should only enable with a valid code and hide the secrets', () => {
+      const user = new User({ username: 'jane', email: 'jane@x.io', password: 'Secret123' });
+      user.startTwoFactorSetup();
+
+      expect(user.enableTwoFactor('000000')).to.equal(null);
+      expect(user.twoFactor.enabled).to.equal(false);
+
+      const { user: enrolled, recoveryCodes } = enrolledUser();
+      expect(enrolled.twoFactor.enabled).to.equal(true);
+      expect(recoveryCodes).to.have.lengthOf(10);
+      expect(enrolled.toJSON().twoFactor).to.have.all.keys('enabled', 'enabledAt');
+    });
+
+    it('should accept each code once', () => {
+      const { user, secret, recoveryCodes } = enrolledUser();
+      const code = generateTotp(secret);
+
+      expect(user.verifyTwoFactorCode(code)).to.equal('totp');
+      expect(user.verifyTwoFactorCode(code)).to.equal(null);
+      expect(user.verifyTwoFactorCode(recoveryCodes[0].toUpperCase())).to.equal('recovery');
+      expect(user.verifyTwoFactorCode(recoveryCodes[0])).to.equal(null);
+      expect(user.twoFactor.recoveryCodeHashes).to.have.lengthOf(9);
+    });
+
+    it('should invalidate old recovery codes and clear everything on disable', () => {
+      const { user, recoveryCodes } = enrolledUser();
+      user.regenerateRecoveryCodes();
+
+      expect(user.verifyTwoFactorCode(recoveryCodes[1])).to.equal(null);
+
+      user.disableTwoFactor();
+      expect(user.twoFactor.enabled).to.equal(false);
+      expect(user.twoFactor.secret).to.equal(undefined);
+      expect(user.twoFactor.recoveryCodeHashes).to.have.lengthOf(0);
+    });
+  });
+
+  describe('account restore', () => {
+    const deletedUser = () => {
+      const user = new User({ username: 'jane', email: 'jane@x.io', password: 'Secret123' });
+      const secret = user.startTwoFactorSetup();
+      user.enableTwoFactor(generateTotp(secret, Date.now() - 30000));
+      user.scheduleDeletion(30);
+      sinon.stub(user, 'comparePassword').resolves(true);
+      sinon.stub(user, 'save').resolvesThis();
+      sinon.stub(User, 'findByEmailOrUsername').returns({ select: () => Promise.resolve(user) });
+      return { user, secret };
+    };
+
+    afterEach(() => sinon.restore());
+
+    it('should require the second factor', async () => {
+      const { user } = deletedUser();
+
+      const missing = await restoreAccount({ username: 'jane', password: 'Secret123' })
+        .catch((err) => err);
+      const wrong = await restoreAccount({ username: 'jane', password: 'Secret123', code: '000000' })
+        .catch((err) => err);
+
+      expect(missing).to.be.instanceOf(UnauthorizedError);
+      expect(wrong).to.be.instanceOf(UnauthorizedError);
+      expect(user.isActive).to.equal(false);
+    });
+
+    it('should restore with a valid code', async () => {
+      const { user, secret } = deletedUser();
+
+      await restoreAccount({ username: 'jane', password: 'Secret123', code: generateTotp(secret) });
+
+      expect(user.isActive).to.equal(true);
+      expect(user.save.calledOnce).to.equal(true);
+    });
+  });
+
+  describe('login challenge', () => {
+    it('should only accept challenge tokens', () => {
+      const userId = new mongoose.Types.ObjectId();
+      const challenge = signTwoFactorChallenge(userId);
+
+      expect(verifyTwoFactorChallenge(challenge)).to.deep.equal({ userId: String(userId) });
+      expect(verifyTwoFactorChallenge(signAccessToken({ _id: userId }, 'sid'))).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview User Entity Tests
+ * @description Unit tests for account deletion scheduling and restore
+ * @module tests/user
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const User = require('../src/entities/User');
+const Challenge = require('../src/entities/Challenge');
+const purgeDeletedAccounts = require('../src/useCases/account/PurgeDeletedAccounts');
+
+describe('User Entity', () => {
+  describe('account deletion', () => {
+    const requestedAt = new Date('2024-03-01T12:00:00Z');
+
+    const deletedUser = () => {
+      const user = new User({ username: 'sam', email: 'sam@example.com', password: 'Password123' });
+      user.scheduleDeletion(30, requestedAt);
+      return user;
+    };
+
+    it('should deactivate the account and schedule deletion after the grace period', () => {
+      const user = deletedUser();
+
+      expect(user.isActive).to.equal(false);
+      expect(user.deletionRequestedAt).to.deep.equal(requestedAt);
+      expect(user.deletionScheduledFor.toISOString()).to.equal('2024-03-31T12:00:00.000Z');
+    });
+
+    it('should only be restorable during the grace period', () => {
+      const user = deletedUser();
+
+      expect(user.isRestorable(new Date('2024-03-31T11:59:59Z'))).to.equal(true);
+      expect(user.isRestorable(new Date('2024-03-31T12:00:00Z'))).to.equal(false);
+      expect(new User({ isActive: false }).isRestorable()).to.equal(false);
+    });
+
+    it('should clear the schedule when deletion is cancelled', () => {
+      const user = deletedUser();
+      user.cancelDeletion();
+
+      expect(user.isActive).to.equal(true);
+      expect(user.deletionScheduledFor).to.equal(null);
+      expect(user.isRestorable()).to.equal(false);
+    });
+  });
+
+  describe('purge', () => {
+    const userIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      const record = (name) => function stub(...args) {
+        calls.push({ model: this.modelName, name, args });
+        return Promise.resolve({});
+      };
+      // Every model query resolves empty; writes are recorded in order
+      const query = {
+        select: () => query,
+        lean: () => Promise.resolve([]),
+        distinct: () => Promise.resolve([]),
+      };
+      sinon.stub(mongoose.Model, 'find').returns(query);
+      sinon.stub(mongoose.Model, 'updateMany').callsFake(record('updateMany'));
+      sinon.stub(mongoose.Model, 'deleteMany').callsFake(record('deleteMany'));
+      sinon.stub(mongoose.Model, 'deleteOne').callsFake(record('deleteOne'));
+      sinon.stub(User, 'findDueForDeletion').returns({
+        select: () => Promise.resolve(userIds.map((_id) => ({ _id }))),
+      });
+    });
+
+    afterEach(() => sinon.restore());
+
+    it('should hand joined challenges over before deleting the rest', async () => {
+      expect(await purgeDeletedAccounts()).to.equal(2);
+
+      const challengeCalls = calls.filter((call) => call.model === Challenge.modelName);
+      const [transfer] = challengeCalls;
+      expect(transfer.name).to.equal('updateMany');
+      expect(transfer.args[0]).to.deep.equal({
+        createdBy: userIds[0],
+        participants: { $elemMatch: { $ne: userIds[0] } },
+      });
+      expect(challengeCalls.findIndex((call) => call.name === 'deleteMany')).to.be.above(0);
+    });
+
+    it('should purge accounts one after another and carry on after a failure', async () => {
+      mongoose.Model.deleteOne.onFirstCall().rejects(new Error('down'));
+
+      expect(await purgeDeletedAccounts()).to.equal(1);
+      expect(mongoose.Model.deleteOne.args.map(([filter]) => filter._id)).to.deep.equal(userIds);
+    });
+  });
+});
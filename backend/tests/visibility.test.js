@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Visibility Tests
+ * @description Unit tests for profile privacy, post and workout visibility and blocking
+ * @module tests/visibility
+ */
+
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const User = require('../src/entities/User');
+const Post = require('../src/entities/Post');
+const Workout = require('../src/entities/Workout');
+const updateProfile = require('../src/useCases/account/UpdateProfile');
+const { narrowest, canView, visibleCondition } = require('../src/utils/visibility');
+
+describe('Visibility', () => {
+  const viewerId = new mongoose.Types.ObjectId();
+  const publicUser = new mongoose.Types.ObjectId();
+  const followersOnlyUser = new mongoose.Types.ObjectId();
+  const privateUser = new mongoose.Types.ObjectId();
+  const blockedUser = new mongoose.Types.ObjectId();
+
+  const audience = {
+    viewerId,
+    followingIds: [followersOnlyUser, privateUser, blockedUser],
+    hiddenUserIds: [blockedUser],
+  };
+
+  afterEach(() => sinon.restore());
+
+  it('should pick the narrowest visibility level', () => {
+    expect(narrowest()).to.equal('public');
+    expect(narrowest('public', undefined)).to.equal('public');
+    expect(narrowest('followers', 'public')).to.equal('followers');
+    expect(narrowest('public', 'private', 'followers')).to.equal('private');
+  });
+
+  it('should apply the profile setting on top of the item visibility', () => {
+    expect(canView(audience, publicUser)).to.equal(true);
+    expect(canView(audience, publicUser, 'public', 'followers')).to.equal(false);
+    expect(canView(audience, followersOnlyUser, 'followers')).to.equal(true);
+    expect(canView(audience, followersOnlyUser, 'followers', 'private')).to.equal(false);
+    expect(canView(audience, privateUser, 'private')).to.equal(false);
+  });
+
+  it('should hide blocked users and always show the viewer their own items', () => {
+    expect(canView(audience, blockedUser)).to.equal(false);
+    expect(canView(audience, viewerId, 'private')).to.equal(true);
+  });
+
+  it('should build a query matching what canView allows', () => {
+    const [own, followed, everyone] = visibleCondition(audience, 'authorId').$or;
+
+    expect(own).to.deep.equal({ authorId: viewerId });
+    expect(followed.authorId).to.deep.equal({ $in: audience.followingIds, $nin: [blockedUser] });
+    expect(followed.visibility).to.deep.equal({ $ne: 'private' });
+    expect(followed.authorVisibility).to.deep.equal({ $ne: 'private' });
+    expect(everyone.authorId).to.deep.equal({ $nin: [blockedUser] });
+    expect(everyone.visibility).to.deep.equal({ $nin: ['followers', 'private'] });
+    expect(everyone.authorVisibility).to.deep.equal({ $nin: ['followers', 'private'] });
+  });
+
+  it("should show posts within their author's profile setting", async () => {
+    const post = new Post({
+      content: 'Leg day',
+      userId: followersOnlyUser,
+      authorVisibility: 'followers',
+    });
+    sinon.stub(Post, 'findById').resolves(post);
+
+    expect(await Post.findVisible(post._id, audience)).to.equal(post);
+    expect(await Post.findVisible(post._id, { ...audience, followingIds: [] })).to.equal(null);
+
+    post.authorVisibility = 'private';
+    expect(await Post.findVisible(post._id, audience)).to.equal(null);
+  });
+
+  it('should copy a new profile setting onto the posts of the user', async () => {
+    const user = new User({ username: 'sam', email: 'sam@example.com', password: 'Password123' });
+    user.isNew = false;
+    sinon.stub(User, 'findById').resolves(user);
+    sinon.stub(User.prototype, 'save').resolvesThis();
+    const updateMany = sinon.stub(Post, 'updateMany').resolves({ modifiedCount: 2 });
+
+    await updateProfile(user._id, { bio: 'Lifting' });
+    expect(updateMany.called).to.equal(false);
+
+    await updateProfile(user._id, { privacy: { profile: 'private' } });
+    expect(updateMany.calledOnceWith(
+      { userId: user._id },
+      { $set: { authorVisibility: 'private' } },
+    )).to.equal(true);
+  });
+
+  it('should default posts and workouts to public and reject unknown levels', () => {
+    const post = new Post({ content: 'Leg day', userId: viewerId });
+    const workout = new Workout({ title: 'Leg day', userId: viewerId });
+
+    expect(post.visibility).to.equal('public');
+    expect(post.authorVisibility).to.equal('public');
+    expect(workout.visibility).to.equal('public');
+
+    post.visibility = 'friends';
+    expect(post.validateSync().errors).to.have.property('visibility');
+  });
+});
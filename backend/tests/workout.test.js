@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Workout Entity Tests
+ * @description Unit tests for workout exercise entries and set logging
+ * @module tests/workout
+ */
+
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Workout = require('../src/entities/Workout');
+const finishSession = require('../src/useCases/sessions/FinishSession');
+const { BadRequestError, ConflictError } = require('../src/utils/errors');
+
+describe('Workout Entity', () => {
+  const exerciseId = new mongoose.Types.ObjectId().toString();
+  const userId = new mongoose.Types.ObjectId();
+
+  describe('normalizeExercises', () => {
+    it('should accept bare exercise IDs from legacy clients', () => {
+      const entries = Workout.normalizeExercises([exerciseId]);
+
+      expect(entries).to.deep.equal([{ exercise: exerciseId, sets: [], notes: '' }]);
+    });
+
+    it('should keep performed sets in order', () => {
+      const entries = Workout.normalizeExercises([
+        {
+          exercise: exerciseId,
+          sets: [
+            { reps: 10, weight: 60, type: 'warmup' },
+            { reps: 5, weight: 100, rpe: 8 },
+          ],
+        },
+      ]);
+
+      expect(entries[0].sets).to.have.lengthOf(2);
+      expect(entries[0].sets[0].type).to.equal('warmup');
+      expect(entries[0].sets[1].rpe).to.equal(8);
+    });
+
+    it('should return unique exercise IDs', () => {
+      const entries = Workout.normalizeExercises([exerciseId, { exercise: exerciseId }]);
+
+      expect(Workout.getExerciseIds(entries)).to.deep.equal([exerciseId]);
+    });
+  });
+
+  describe('legacy documents', () => {
+    it('should load exercises stored as bare IDs as entries without sets', () => {
+      const legacyId = new mongoose.Types.ObjectId();
+      const workout = Workout.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Old Workout',
+        userId,
+        exercises: [legacyId, { exercise: legacyId, sets: [{ reps: 5, weight: 100 }] }],
+      });
+
+      expect(workout.exercises[0].exercise.equals(legacyId)).to.equal(true);
+      expect(workout.exercises[0].sets).to.have.lengthOf(0);
+      expect(workout.exercises[1].sets[0].reps).to.equal(5);
+      expect(workout.validateSync()).to.equal(undefined);
+    });
+  });
+
+  describe('sets', () => {
+    it('should apply set defaults', () => {
+      const workout = new Workout({
+        title: 'Leg Day',
+        userId,
+        exercises: Workout.normalizeExercises([{ exercise: exerciseId, sets: [{ reps: 5, weight: 100 }] }]),
+      });
+
+      const [set] = workout.exercises[0].sets;
+      expect(workout.validateSync()).to.equal(undefined);
+      expect(set.weightUnit).to.equal('kg');
+      expect(set.type).to.equal('working');
+    });
+
+    it('should reject invalid set types and RPE', () => {
+      const workout = new Workout({
+        title: 'Leg Day',
+        userId,
+        exercises: [{ exercise: exerciseId, sets: [{ reps: 5, type: 'bogus', rpe: 11 }] }],
+      });
+
+      const err = workout.validateSync();
+      expect(err).to.be.an('error');
+      expect(Object.keys(err.errors)).to.include.members([
+        'exercises.0.sets.0.type',
+        'exercises.0.sets.0.rpe',
+      ]);
+    });
+
+    it('should calculate total volume in kg excluding warm-up sets', () => {
+      const workout = new Workout({
+        title: 'Leg Day',
+        userId,
+        exercises: [
+          {
+            exercise: exerciseId,
+            sets: [
+              { reps: 10, weight: 60, type: 'warmup' },
+              { reps: 5, weight: 100 },
+              { reps: 10, weight: 100, weightUnit: 'lb' },
+            ],
+          },
+        ],
+      });
+
+      expect(workout.calculateTotalVolume()).to.be.closeTo(500 + 453.59, 0.01);
+    });
+  });
+
+  describe('live session', () => {
+    const at = (time) => new Date(`2024-01-15T${time}Z`);
+    const createPlanned = () => new Workout({
+      title: 'Push Day',
+      userId,
+      exercises: [
+        { exercise: exerciseId, sets: [{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }] },
+        { exercise: new mongoose.Types.ObjectId(), sets: [{ reps: 10, weight: 20 }] },
+      ],
+    });
+
+    it('should exclude paused time from the duration', () => {
+      const workout = createPlanned();
+
+      workout.startSession(at('07:00:00'));
+      workout.pauseSession(at('07:20:00'));
+      workout.startSession(at('07:30:00'));
+      workout.exercises[0].sets[0].completedAt = at('07:35:00');
+      workout.finishSession(at('07:50:00'));
+
+      expect(workout.status).to.equal('completed');
+      expect(workout.date.getTime()).to.equal(at('07:00:00').getTime());
+      expect(workout.pausedSeconds).to.equal(600);
+      expect(workout.duration).to.equal(40);
+    });
+
+    it('should drop planned sets that were never performed', () => {
+      const workout = createPlanned();
+
+      workout.startSession(at('07:00:00'));
+      workout.exercises[0].sets[1].completedAt = at('07:05:00');
+      workout.finishSession(at('07:10:00'));
+
+      expect(workout.exercises[0].sets).to.have.lengthOf(1);
+      expect(workout.exercises[1].sets).to.have.lengthOf(0);
+    });
+
+    it('should report the current and next exercise', () => {
+      const workout = createPlanned();
+
+      workout.startSession(at('07:00:00'));
+      workout.exercises[0].sets[0].completedAt = at('07:03:00');
+      workout.pauseSession(at('07:05:00'));
+
+      const state = workout.getSessionState(at('07:30:00'));
+      expect(state.current).to.deep.equal({ index: 0, setIndex: 1 });
+      expect(state.next).to.deep.equal({ index: 1, setIndex: 0 });
+      expect(state.isPaused).to.equal(true);
+      expect(state.activeSeconds).to.equal(300);
+      expect(state.lastSetAt.getTime()).to.equal(at('07:03:00').getTime());
+    });
+
+    describe('finishSession use case', () => {
+      afterEach(() => sinon.restore());
+
+      it('should refuse workouts that are not in progress', async () => {
+        sinon.stub(Workout, 'findById').resolves(createPlanned());
+
+        expect(await finishSession('id', userId.toString()).catch((err) => err))
+          .to.be.instanceOf(ConflictError);
+      });
+
+      it('should report validation failures as bad requests', async () => {
+        const workout = createPlanned();
+        workout.startSession(at('07:00:00'));
+        workout.set({ caloriesBurned: 300, caloriesSource: 'entered' });
+        sinon.stub(Workout, 'findById').resolves(workout);
+        sinon.stub(Workout.prototype, 'save').callsFake(function save() {
+          this.title = '';
+          return Promise.reject(this.validateSync());
+        });
+
+        const err = await finishSession('id', userId.toString()).catch((error) => error);
+
+        expect(err).to.be.instanceOf(BadRequestError);
+        expect(err.message).to.match(/title/i);
+      });
+    });
+  });
+});
@@ -15,12 +15,18 @@ import ProtectedRoute from './components/ProtectedRoute';
 import Navbar from './components/Navbar';
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import EmailConfirmation from './components/EmailConfirmation';
 import Dashboard from './components/Dashboard';
 import WorkoutPlanner from './components/WorkoutPlanner';
+import WorkoutSession from './components/WorkoutSession';
 import ExerciseLibrary from './components/ExerciseLibrary';
 import UserProfile from './components/UserProfile';
 import DataVisualization from './components/DataVisualization';
 import SocialFeed from './components/SocialFeed';
+import Coaching from './components/Coaching';
+import OAuthConsent from './components/OAuthConsent';
 
 /**
  * Main App component
@@ -37,6 +43,10 @@ function App() {
                 {/* Public routes */}
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<EmailConfirmation action="verify" />} />
+                <Route path="/confirm-email" element={<EmailConfirmation action="change" />} />
 
                 {/* Protected routes */}
                 <Route
@@ -55,6 +65,14 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/session/:id?"
+                  element={
+                    <ProtectedRoute>
+                      <WorkoutSession />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/exercise-library"
                   element={
@@ -87,6 +105,22 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/coaching"
+                  element={
+                    <ProtectedRoute>
+                      <Coaching />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/oauth/authorize"
+                  element={
+                    <ProtectedRoute>
+                      <OAuthConsent />
+                    </ProtectedRoute>
+                  }
+                />
 
                 {/* 404 */}
                 <Route
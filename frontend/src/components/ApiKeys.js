@@ -0,0 +1,169 @@
+/**
+ * @fileoverview API Keys Component
+ * @description Profile card to create and revoke personal API keys for scripts
+ * @module components/ApiKeys
+ */
+
+import React, { useEffect, useState, useCallback } from 'react';
+import useApi from '../hooks/useApi';
+import { apiService } from '../services/api';
+
+const inputClass = 'w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600';
+const buttonClass =
+  'bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * What each scope lets a key do
+ */
+const SCOPE_LABELS = {
+  'workouts:read': 'Read workouts, statistics and exercises',
+  'workouts:write': 'Create, change and delete workouts and custom exercises',
+  'social:write': 'Post, comment, like and join challenges',
+};
+
+/**
+ * ApiKeys component
+ */
+const ApiKeys = () => {
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['workouts:read']);
+  const [newKey, setNewKey] = useState(null);
+  const { data, execute: fetchKeys } = useApi(apiService.getApiKeys, {
+    showErrorToast: false,
+  });
+  const { loading: creating, execute: createKey } = useApi(apiService.createApiKey, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: revokeKey } = useApi(apiService.revokeApiKey, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const result = await createKey({ name, scopes });
+    if (result.success) {
+      setNewKey(result.data.key);
+      setName('');
+      fetchKeys();
+    }
+  };
+
+  const handleRevoke = useCallback(async (id) => {
+    if (!window.confirm('Revoke this key? Scripts using it will stop working.')) {
+      return;
+    }
+    const result = await revokeKey(id);
+    if (result.success) {
+      fetchKeys();
+    }
+  }, [revokeKey, fetchKeys]);
+
+  const toggleScope = (scope, checked) => {
+    setScopes(checked ? [...scopes, scope] : scopes.filter((s) => s !== scope));
+  };
+
+  const apiKeys = data?.apiKeys || [];
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 lg:col-span-2">
+      <h3 className="text-xl font-semibold mb-2">API Keys</h3>
+      <p className="text-gray-600 mb-4">
+        Keys let your own scripts use the API by sending them in the X-API-Key header.
+      </p>
+
+      {newKey && (
+        <div className="bg-green-50 border border-green-200 rounded p-4 mb-4">
+          <p className="text-sm text-gray-700 mb-2">
+            Copy your new key now. It will not be shown again.
+          </p>
+          <p className="font-mono text-sm break-all bg-white border rounded p-2 mb-2">{newKey}</p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => navigator.clipboard?.writeText(newKey)}
+              className="border border-gray-300 px-3 py-1 rounded text-sm hover:bg-gray-50"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={() => setNewKey(null)}
+              className="text-gray-600 hover:text-gray-800 text-sm"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {apiKeys.length === 0 ? (
+        <p className="text-gray-500 mb-4">You have no API keys.</p>
+      ) : (
+        <ul className="divide-y mb-4">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey._id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium">
+                  {apiKey.name} <span className="font-mono text-gray-500">{apiKey.prefix}…</span>
+                </p>
+                <p className="text-gray-500 text-sm">
+                  {apiKey.scopes.join(', ')} ·{' '}
+                  {apiKey.lastUsedAt
+                    ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(apiKey._id)}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={inputClass}
+          placeholder="Key name, e.g. Garage rack logger"
+          maxLength={100}
+          required
+        />
+        <div className="space-y-1">
+          {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+            <label key={scope} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={scopes.includes(scope)}
+                onChange={(e) => toggleScope(scope, e.target.checked)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={creating || !name.trim() || scopes.length === 0}
+          className={buttonClass}
+        >
+          Create Key
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ApiKeys;
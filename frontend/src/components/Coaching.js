@@ -0,0 +1,460 @@
+/**
+ * @fileoverview Coaching Component
+ * @description Coach-client relationships: invitations, granted access, client overview and workout assignment
+ * @module components/Coaching
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import useApi from '../hooks/useApi';
+import { apiService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * What each scope lets a coach do, as shown to clients
+ */
+const SCOPE_LABELS = {
+  'workouts:read': 'See your workouts',
+  'stats:read': 'See your statistics',
+  'workouts:assign': 'Plan workouts for you',
+};
+
+/**
+ * Access log actions
+ */
+const ACTION_LABELS = {
+  'workouts:list': 'viewed your workouts',
+  'stats:view': 'viewed your statistics',
+  'workout:assign': 'planned a workout for you',
+  'template:assign': 'planned a workout for you from a template',
+};
+
+const ALL_SCOPES = Object.keys(SCOPE_LABELS);
+
+const cardClass = 'bg-white shadow-md rounded-lg p-6';
+const inputClass = 'w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600';
+const buttonClass =
+  'bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Checkboxes to pick scopes
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.options - Scopes to choose from
+ * @param {Array<string>} props.value - Selected scopes
+ * @param {Function} props.onChange - Called with the new selection
+ */
+const ScopePicker = ({ options, value, onChange }) => (
+  <div className="space-y-1">
+    {options.map((scope) => (
+      <label key={scope} className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={value.includes(scope)}
+          onChange={(e) =>
+            onChange(e.target.checked ? [...value, scope] : value.filter((s) => s !== scope))
+          }
+        />
+        {SCOPE_LABELS[scope]}
+      </label>
+    ))}
+  </div>
+);
+
+/**
+ * Overview of one client for their coach: statistics, recent workouts and template assignment
+ * Only the sections the client granted are loaded.
+ * @param {Object} props - Component props
+ * @param {Object} props.relationship - Active relationship, with the client populated
+ */
+const ClientOverview = ({ relationship }) => {
+  const client = relationship.clientId;
+  const can = (scope) => relationship.scopes.includes(scope);
+  const [assignment, setAssignment] = useState({ templateId: '', date: '' });
+
+  const { data: stats, execute: fetchStats } = useApi(apiService.getWorkoutStats, {
+    showErrorToast: true,
+  });
+  const { data: workoutsData, execute: fetchWorkouts } = useApi(apiService.getWorkouts, {
+    showErrorToast: true,
+  });
+  const { data: templatesData, execute: fetchTemplates } = useApi(apiService.getTemplates, {
+    showErrorToast: false,
+  });
+  const { loading: assigning, execute: assignTemplate } = useApi(apiService.assignTemplate, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  useEffect(() => {
+    if (relationship.scopes.includes('stats:read')) {
+      fetchStats({ userId: client._id });
+    }
+    if (relationship.scopes.includes('workouts:read')) {
+      fetchWorkouts({ userId: client._id, limit: 10 });
+    }
+    if (relationship.scopes.includes('workouts:assign')) {
+      fetchTemplates();
+    }
+  }, [relationship, client._id, fetchStats, fetchWorkouts, fetchTemplates]);
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    const result = await assignTemplate(client._id, assignment.templateId, {
+      date: assignment.date,
+    });
+    if (result.success) {
+      setAssignment({ templateId: '', date: '' });
+      if (can('workouts:read')) {
+        fetchWorkouts({ userId: client._id, limit: 10 });
+      }
+    }
+  };
+
+  return (
+    <div className={`${cardClass} lg:col-span-2`}>
+      <h3 className="text-xl font-semibold mb-4">{client.profile?.name || client.username}</h3>
+
+      {can('stats:read') && stats && (
+        <div className="grid grid-cols-3 gap-4 mb-6 text-center">
+          <div>
+            <p className="text-2xl font-bold">{stats.totals.totalWorkouts}</p>
+            <p className="text-gray-500 text-sm">Workouts</p>
+          </div>
+          <div>
+            <p className="text-2xl font-bold">{stats.totals.totalDuration}</p>
+            <p className="text-gray-500 text-sm">Minutes</p>
+          </div>
+          <div>
+            <p className="text-2xl font-bold">{stats.totals.totalCalories}</p>
+            <p className="text-gray-500 text-sm">Calories</p>
+          </div>
+        </div>
+      )}
+
+      {can('workouts:read') && (
+        <div className="mb-6">
+          <h4 className="font-medium mb-2">Recent workouts</h4>
+          {workoutsData?.workouts?.length === 0 && (
+            <p className="text-gray-500 text-sm">No workouts yet.</p>
+          )}
+          <ul className="divide-y">
+            {workoutsData?.workouts?.map((workout) => (
+              <li key={workout._id} className="py-2 flex justify-between text-sm">
+                <span>
+                  {workout.title}
+                  {workout.assignedBy && (
+                    <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                      Assigned
+                    </span>
+                  )}
+                </span>
+                <span className="text-gray-500">
+                  {new Date(workout.date).toLocaleDateString()} · {workout.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {can('workouts:assign') && (
+        <form onSubmit={handleAssign} className="flex flex-col sm:flex-row gap-2">
+          <select
+            value={assignment.templateId}
+            onChange={(e) => setAssignment((prev) => ({ ...prev, templateId: e.target.value }))}
+            className={inputClass}
+            required
+          >
+            <option value="">Choose one of your templates</option>
+            {templatesData?.templates?.map((template) => (
+              <option key={template._id} value={template._id}>
+                {template.title}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={assignment.date}
+            onChange={(e) => setAssignment((prev) => ({ ...prev, date: e.target.value }))}
+            className={inputClass}
+            required
+          />
+          <button type="submit" disabled={assigning} className={buttonClass}>
+            {assigning ? 'Assigning...' : 'Assign'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Coaching component
+ */
+const Coaching = () => {
+  const { user } = useAuth();
+  const isCoach = user?.roles?.some((role) => ['coach', 'admin'].includes(role));
+  const [invitation, setInvitation] = useState({ client: '', scopes: ALL_SCOPES, message: '' });
+  const [grantedScopes, setGrantedScopes] = useState({});
+  const [selectedClientId, setSelectedClientId] = useState(null);
+
+  const { data, loading, execute: fetchCoaching } = useApi(apiService.getCoaching, {
+    showErrorToast: true,
+  });
+  const { data: accessLog, execute: fetchAccessLog } = useApi(apiService.getCoachingAccessLog, {
+    showErrorToast: false,
+  });
+  const { loading: inviting, execute: inviteClient } = useApi(apiService.inviteClient, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: acceptCoaching } = useApi(apiService.acceptCoaching, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: declineCoaching } = useApi(apiService.declineCoaching, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: endCoaching } = useApi(apiService.endCoaching, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  useEffect(() => {
+    fetchCoaching();
+    fetchAccessLog({ limit: 20 });
+  }, [fetchCoaching, fetchAccessLog]);
+
+  const handleInvite = useCallback(async (e) => {
+    e.preventDefault();
+    const result = await inviteClient(invitation);
+    if (result.success) {
+      setInvitation({ client: '', scopes: ALL_SCOPES, message: '' });
+      fetchCoaching();
+    }
+  }, [inviteClient, invitation, fetchCoaching]);
+
+  const handleAccept = useCallback(async (relationship) => {
+    const scopes = grantedScopes[relationship._id] || relationship.scopes;
+    const result = await acceptCoaching(relationship._id, { scopes });
+    if (result.success) {
+      fetchCoaching();
+    }
+  }, [acceptCoaching, grantedScopes, fetchCoaching]);
+
+  const handleDecline = useCallback(async (id) => {
+    const result = await declineCoaching(id);
+    if (result.success) {
+      fetchCoaching();
+    }
+  }, [declineCoaching, fetchCoaching]);
+
+  const handleEnd = useCallback(async (id, question) => {
+    if (!window.confirm(question)) {
+      return;
+    }
+    const result = await endCoaching(id);
+    if (result.success) {
+      setSelectedClientId((current) => (current === id ? null : current));
+      fetchCoaching();
+    }
+  }, [endCoaching, fetchCoaching]);
+
+  if (loading && !data) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const coaches = data?.coaches || [];
+  const clients = data?.clients || [];
+  const invitations = coaches.filter((relationship) => relationship.status === 'pending');
+  const activeCoaches = coaches.filter((relationship) => relationship.status === 'active');
+  const selectedClient = clients.find(
+    (relationship) => relationship._id === selectedClientId && relationship.status === 'active'
+  );
+
+  return (
+    <div className="container mx-auto p-4">
+      <h2 className="text-3xl font-bold mb-6">Coaching</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Invitations from coaches */}
+        {invitations.map((relationship) => (
+          <div key={relationship._id} className={`${cardClass} border border-blue-200`}>
+            <h3 className="text-xl font-semibold mb-2">
+              {relationship.coachId.username} wants to coach you
+            </h3>
+            {relationship.message && (
+              <p className="text-gray-600 italic mb-3">&ldquo;{relationship.message}&rdquo;</p>
+            )}
+            <p className="text-gray-600 mb-2">Choose what your coach can do:</p>
+            <ScopePicker
+              options={relationship.scopes}
+              value={grantedScopes[relationship._id] || relationship.scopes}
+              onChange={(scopes) =>
+                setGrantedScopes((prev) => ({ ...prev, [relationship._id]: scopes }))
+              }
+            />
+            <div className="flex gap-2 mt-4">
+              <button
+                type="button"
+                onClick={() => handleAccept(relationship)}
+                disabled={(grantedScopes[relationship._id] || relationship.scopes).length === 0}
+                className={buttonClass}
+              >
+                Accept
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDecline(relationship._id)}
+                className="border border-gray-300 px-4 py-2 rounded hover:bg-gray-50 transition"
+              >
+                Decline
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {/* The user's coaches */}
+        <div className={cardClass}>
+          <h3 className="text-xl font-semibold mb-4">Your Coaches</h3>
+          {activeCoaches.length === 0 ? (
+            <p className="text-gray-500">You are not coached by anyone.</p>
+          ) : (
+            <ul className="divide-y">
+              {activeCoaches.map((relationship) => (
+                <li key={relationship._id} className="py-3 flex justify-between items-start">
+                  <div>
+                    <p className="font-medium">{relationship.coachId.username}</p>
+                    <p className="text-gray-500 text-sm">
+                      Can: {relationship.scopes.map((scope) => SCOPE_LABELS[scope]).join(', ')}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleEnd(relationship._id, 'Stop sharing your data with this coach?')
+                    }
+                    className="text-red-600 hover:text-red-800 text-sm"
+                  >
+                    End
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Record of coach access */}
+        <div className={cardClass}>
+          <h3 className="text-xl font-semibold mb-4">Coach Activity</h3>
+          {!accessLog?.entries?.length ? (
+            <p className="text-gray-500">No coach has accessed your data.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {accessLog.entries.map((entry) => (
+                <li key={entry._id}>
+                  <span className="font-medium">{entry.coachId?.username || 'A former coach'}</span>{' '}
+                  {ACTION_LABELS[entry.action]}
+                  <span className="text-gray-500"> · {new Date(entry.createdAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {isCoach && (
+          <>
+            {/* Invite a client */}
+            <div className={cardClass}>
+              <h3 className="text-xl font-semibold mb-4">Invite a Client</h3>
+              <form onSubmit={handleInvite} className="space-y-4">
+                <input
+                  type="text"
+                  value={invitation.client}
+                  onChange={(e) => setInvitation((prev) => ({ ...prev, client: e.target.value }))}
+                  className={inputClass}
+                  placeholder="Username or email"
+                  required
+                />
+                <ScopePicker
+                  options={ALL_SCOPES}
+                  value={invitation.scopes}
+                  onChange={(scopes) => setInvitation((prev) => ({ ...prev, scopes }))}
+                />
+                <textarea
+                  value={invitation.message}
+                  onChange={(e) => setInvitation((prev) => ({ ...prev, message: e.target.value }))}
+                  className={inputClass}
+                  placeholder="Message (optional)"
+                  maxLength={500}
+                  rows={2}
+                />
+                <button
+                  type="submit"
+                  disabled={inviting || invitation.scopes.length === 0}
+                  className={buttonClass}
+                >
+                  {inviting ? 'Sending...' : 'Send invitation'}
+                </button>
+              </form>
+            </div>
+
+            {/* Clients of the coach */}
+            <div className={cardClass}>
+              <h3 className="text-xl font-semibold mb-4">Your Clients</h3>
+              {clients.length === 0 ? (
+                <p className="text-gray-500">No clients yet.</p>
+              ) : (
+                <ul className="divide-y">
+                  {clients.map((relationship) => (
+                    <li key={relationship._id} className="py-3 flex justify-between items-center">
+                      <button
+                        type="button"
+                        onClick={() => setSelectedClientId(relationship._id)}
+                        disabled={relationship.status !== 'active'}
+                        className="font-medium text-left hover:text-blue-600 disabled:hover:text-inherit"
+                      >
+                        {relationship.clientId.username}
+                        {relationship.status === 'pending' && (
+                          <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                            Invited
+                          </span>
+                        )}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          handleEnd(
+                            relationship._id,
+                            relationship.status === 'pending'
+                              ? 'Withdraw this invitation?'
+                              : 'Stop coaching this client?'
+                          )
+                        }
+                        className="text-red-600 hover:text-red-800 text-sm"
+                      >
+                        {relationship.status === 'pending' ? 'Withdraw' : 'End'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {selectedClient && (
+              <ClientOverview key={selectedClient._id} relationship={selectedClient} />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Coaching;
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Connected Apps Component
+ * @description Profile card listing the third-party apps with access to the account
+ * @module components/ConnectedApps
+ */
+
+import React, { useEffect, useCallback } from 'react';
+import useApi from '../hooks/useApi';
+import { apiService } from '../services/api';
+
+/**
+ * ConnectedApps component
+ */
+const ConnectedApps = () => {
+  const { data, execute: fetchApps } = useApi(apiService.getConnectedApps, {
+    showErrorToast: false,
+  });
+  const { execute: disconnectApp } = useApi(apiService.disconnectApp, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  useEffect(() => {
+    fetchApps();
+  }, [fetchApps]);
+
+  const handleDisconnect = useCallback(async (id) => {
+    if (!window.confirm('Disconnect this app? It will lose access immediately.')) {
+      return;
+    }
+    const result = await disconnectApp(id);
+    if (result.success) {
+      fetchApps();
+    }
+  }, [disconnectApp, fetchApps]);
+
+  const authorizations = data?.authorizations || [];
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 lg:col-span-2">
+      <h3 className="text-xl font-semibold mb-2">Connected Apps</h3>
+      <p className="text-gray-600 mb-4">Apps you have allowed to use your account.</p>
+      {authorizations.length === 0 ? (
+        <p className="text-gray-500">No apps are connected.</p>
+      ) : (
+        <ul className="divide-y">
+          {authorizations.map((authorization) => (
+            <li key={authorization._id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium">{authorization.clientId.name}</p>
+                <p className="text-gray-500 text-sm">
+                  {authorization.scopes.join(', ')} · Authorized{' '}
+                  {new Date(authorization.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDisconnect(authorization._id)}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Disconnect
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConnectedApps;
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview CSV Import Component
+ * @description Imports workout history exported from other lifting apps, with a preview of how
+ * exercise names map onto the library
+ * @module components/CsvImport
+ */
+
+import React, { useState, useCallback, useMemo } from 'react';
+import { format } from 'date-fns';
+import { apiService } from '../services/api';
+import useApi from '../hooks/useApi';
+
+/**
+ * Mapping value that creates a new custom exercise
+ */
+const CREATE_NEW = 'new';
+
+/**
+ * Labels of recognized export formats
+ */
+const FORMAT_LABELS = {
+  strong: 'Strong',
+  hevy: 'Hevy',
+  fitnotes: 'FitNotes',
+  generic: 'CSV',
+};
+
+/**
+ * CsvImport component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.exercises - Library exercises offered as mapping targets
+ */
+const CsvImport = ({ exercises = [] }) => {
+  const [csv, setCsv] = useState(null);
+  const [options, setOptions] = useState({ weightUnit: 'kg', dateOrder: 'mdy' });
+  const [mappings, setMappings] = useState({});
+
+  const {
+    data: preview,
+    loading: previewLoading,
+    execute: previewImport,
+    reset: resetPreview,
+  } = useApi(apiService.previewCsvImport, { showErrorToast: true });
+  const {
+    data: result,
+    loading: importLoading,
+    execute: importWorkouts,
+    reset: resetResult,
+  } = useApi(apiService.importCsvWorkouts, { showSuccessToast: true, showErrorToast: true });
+
+  const requestBody = useCallback((text, overrides = {}) => ({
+    csv: text,
+    ...options,
+    ...overrides,
+    // Dates without a time zone are read in the browser's zone
+    utcOffsetMinutes: -new Date().getTimezoneOffset(),
+  }), [options]);
+
+  const handleFile = useCallback(
+    async (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (!file) return;
+
+      const text = await file.text();
+      setCsv(text);
+      setMappings({});
+      resetResult();
+      await previewImport(requestBody(text));
+    },
+    [previewImport, requestBody, resetResult],
+  );
+
+  const handleOptionChange = useCallback(
+    async (e) => {
+      const { name, value } = e.target;
+      setOptions((prev) => ({ ...prev, [name]: value }));
+      if (csv) {
+        await previewImport(requestBody(csv, { [name]: value, mappings }));
+      }
+    },
+    [csv, mappings, previewImport, requestBody],
+  );
+
+  const handleMappingChange = useCallback((name, value) => {
+    setMappings((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    setCsv(null);
+    setMappings({});
+    resetPreview();
+  }, [resetPreview]);
+
+  const handleImport = useCallback(async () => {
+    const response = await importWorkouts(requestBody(csv, { mappings }));
+    if (response.success) {
+      handleCancel();
+    }
+  }, [csv, handleCancel, importWorkouts, mappings, requestBody]);
+
+  // Matched exercises may be outside the loaded page of the library
+  const libraryOptions = useMemo(() => {
+    const byId = new Map(exercises.map((exercise) => [exercise._id, exercise]));
+    (preview?.exercises || []).forEach((entry) => {
+      if (entry.exercise && !byId.has(entry.exercise._id)) {
+        byId.set(entry.exercise._id, entry.exercise);
+      }
+    });
+    return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [exercises, preview]);
+
+  const selectedValue = (entry) => mappings[entry.name]
+    || (entry.exercise ? entry.exercise._id : CREATE_NEW);
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <h4 className="font-semibold mb-2">Import From Another App</h4>
+      <p className="text-sm text-gray-600 mb-2">
+        Bring in your history from a CSV export of Strong, Hevy, FitNotes or a similar app.
+        You can check how exercises are matched before anything is saved.
+      </p>
+      <div className="flex gap-2 mb-2">
+        <select
+          name="weightUnit"
+          value={options.weightUnit}
+          onChange={handleOptionChange}
+          className="p-1 border rounded text-sm"
+          aria-label="Weight unit"
+        >
+          <option value="kg">Weights in kg</option>
+          <option value="lb">Weights in lb</option>
+        </select>
+        <select
+          name="dateOrder"
+          value={options.dateOrder}
+          onChange={handleOptionChange}
+          className="p-1 border rounded text-sm"
+          aria-label="Date order"
+        >
+          <option value="mdy">Dates as month/day</option>
+          <option value="dmy">Dates as day/month</option>
+        </select>
+      </div>
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFile}
+        disabled={previewLoading || importLoading}
+        className="text-sm"
+      />
+
+      {preview && csv && (
+        <div className="mt-3 text-sm">
+          <p className="text-gray-700">
+            {FORMAT_LABELS[preview.format]} export: {preview.workoutCount} workouts and{' '}
+            {preview.setCount} sets
+            {preview.dateRange && (
+              <>
+                {' '}from {format(new Date(preview.dateRange.from), 'MMM d, yyyy')} to{' '}
+                {format(new Date(preview.dateRange.to), 'MMM d, yyyy')}
+              </>
+            )}
+            .
+          </p>
+          {preview.duplicateCount > 0 && (
+            <p className="text-gray-600">
+              {preview.duplicateCount} workouts were imported before and will be skipped.
+            </p>
+          )}
+          {preview.skippedCount > 0 && (
+            <details className="text-gray-600">
+              <summary>{preview.skippedCount} rows will be skipped</summary>
+              <ul className="list-disc list-inside">
+                {preview.skipped.map((row) => (
+                  <li key={row.line}>
+                    Line {row.line}: {row.reason}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <table className="w-full mt-3">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1">Exercise in file</th>
+                <th className="py-1">Sets</th>
+                <th className="py-1">Import as</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.exercises.map((entry) => (
+                <tr key={entry.name} className="border-t">
+                  <td className="py-1 pr-2">{entry.name}</td>
+                  <td className="py-1 pr-2">{entry.setCount}</td>
+                  <td className="py-1">
+                    <select
+                      value={selectedValue(entry)}
+                      onChange={(e) => handleMappingChange(entry.name, e.target.value)}
+                      className="w-full p-1 border rounded"
+                    >
+                      <option value={CREATE_NEW}>Create new exercise</option>
+                      {libraryOptions.map((exercise) => (
+                        <option key={exercise._id} value={exercise._id}>
+                          {exercise.name}
+                        </option>
+                      ))}
+                    </select>
+                    {entry.action === 'match' && !mappings[entry.name] && (
+                      <span className="text-xs text-gray-500">
+                        Matched ({Math.round(entry.score * 100)}%)
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex gap-2 mt-3">
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={importLoading || preview.workoutCount === 0}
+              className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {importLoading ? 'Importing...' : `Import ${preview.workoutCount} Workouts`}
+            </button>
+            <button
+              type="button"
+              onClick={handleCancel}
+              disabled={importLoading}
+              className="px-3 py-2 border rounded hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-2 text-sm text-gray-700">
+          <p>
+            Imported {result.imported} workouts
+            {result.createdExercises > 0 && ` and created ${result.createdExercises} exercises`}.
+          </p>
+          {result.warnings.length > 0 && (
+            <ul className="text-yellow-700 list-disc list-inside">
+              {result.warnings.map((warning) => (
+                <li key={warning}>{warning}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvImport;
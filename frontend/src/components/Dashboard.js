@@ -5,10 +5,34 @@
  */
 
 import React, { useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { apiService } from '../services/api';
 import useApi from '../hooks/useApi';
 import LoadingSpinner from './LoadingSpinner';
+import RouteMap from './RouteMap';
+
+/**
+ * Human-readable labels for personal record types
+ */
+const RECORD_LABELS = {
+  'max-weight': 'Heaviest lift',
+  'estimated-1rm': 'Estimated 1RM',
+  'max-reps': 'Most reps',
+  'max-volume': 'Best session volume',
+};
+
+/**
+ * Format a personal record value for display
+ * @param {Object} record - Personal record summary
+ * @returns {string} Formatted value
+ */
+const formatRecord = (record) => {
+  if (record.type === 'max-reps') {
+    return `${record.value} reps @ ${record.load} kg`;
+  }
+  return `${record.value} kg`;
+};
 
 /**
  * Dashboard component
@@ -32,6 +56,21 @@ const Dashboard = () => {
     return workoutsData?.workouts || [];
   }, [workoutsData]);
 
+  // Memoize personal records set in recent workouts
+  const recentRecords = useMemo(() => {
+    return workouts.flatMap((workout) =>
+      (workout.personalRecords || []).map((record) => ({
+        ...record,
+        workoutId: workout._id || workout.id,
+        date: workout.date,
+        exerciseName:
+          workout.exercises?.find(
+            (entry) => (entry.exercise?._id || entry.exercise) === record.exerciseId,
+          )?.exercise?.name || 'Exercise',
+      })),
+    );
+  }, [workouts]);
+
   // Memoize recent activities
   const recentActivities = useMemo(() => {
     return workouts.slice(0, 5);
@@ -78,6 +117,28 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Personal Records */}
+      {recentRecords.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 shadow-md rounded-lg p-6 mb-6">
+          <h3 className="text-xl font-semibold mb-4">🏆 New Personal Records</h3>
+          <ul className="space-y-2">
+            {recentRecords.map((record) => (
+              <li
+                key={`${record.workoutId}-${record.type}-${record.exerciseId}-${record.load}`}
+                className="text-gray-700"
+              >
+                <span className="font-semibold">{record.exerciseName}</span> –{' '}
+                {RECORD_LABELS[record.type]}: {formatRecord(record)}
+                {record.previousValue !== null && (
+                  <span className="text-gray-500"> (previous best {record.previousValue})</span>
+                )}{' '}
+                on {new Date(record.date).toLocaleDateString()}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Workout History */}
       <div className="bg-white shadow-md rounded-lg p-6 mb-6">
         <h3 className="text-xl font-semibold mb-4">Recent Workouts</h3>
@@ -90,15 +151,46 @@ const Dashboard = () => {
                 key={workout._id || workout.id}
                 className="border rounded-lg p-4 hover:shadow-lg transition"
               >
-                <h4 className="text-lg font-medium">{workout.title}</h4>
+                <h4 className="text-lg font-medium">
+                  {workout.title}
+                  {workout.personalRecords?.length > 0 && (
+                    <span className="ml-2 text-sm bg-yellow-200 text-yellow-800 px-2 py-0.5 rounded">
+                      🏆 {workout.personalRecords.length} PR
+                    </span>
+                  )}
+                </h4>
                 <p className="text-gray-600">
                   Date: {new Date(workout.date).toLocaleDateString()}
                 </p>
                 <p className="text-gray-600">Duration: {workout.duration} min</p>
-                <p className="text-gray-600">Calories: {workout.caloriesBurned}</p>
                 <p className="text-gray-600">
-                  Exercises: {workout.exercises?.length || 0}
+                  Calories: {workout.caloriesBurned}
+                  {workout.caloriesSource === 'met' && (
+                    <span className="text-gray-400" title="Estimated from exercise METs and body weight">
+                      {' '}
+                      (est.)
+                    </span>
+                  )}
                 </p>
+                {workout.exercises?.length > 0 && (
+                  <p className="text-gray-600">Exercises: {workout.exercises.length}</p>
+                )}
+                {workout.cardio?.map((entry, index) => (
+                  <div key={index}>
+                    <p className="text-gray-600 capitalize">
+                      {entry.activityType}: {entry.distance} {entry.distanceUnit}
+                    </p>
+                    <RouteMap track={entry.track} className="mt-2" />
+                  </div>
+                ))}
+                {(workout.status === 'planned' || workout.status === 'in-progress') && (
+                  <Link
+                    to={`/session/${workout._id || workout.id}`}
+                    className="inline-block mt-2 bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+                  >
+                    {workout.status === 'in-progress' ? 'Resume' : 'Start'}
+                  </Link>
+                )}
               </div>
             ))}
           </div>
@@ -30,6 +30,14 @@ ChartJS.register(
   Legend,
 );
 
+/**
+ * Format a pace in seconds per kilometer as m:ss /km
+ * @param {number|null} seconds - Pace in seconds per km
+ * @returns {string} Formatted pace
+ */
+const formatPace = (seconds) =>
+  seconds ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} /km` : '–';
+
 /**
  * DataVisualization component
  * Optimized with useMemo for chart data
@@ -149,6 +157,31 @@ const DataVisualization = () => {
               <div style={{ height: '400px' }}>
                 <Line data={chartData} options={chartOptions} />
               </div>
+              {statsData?.cardio?.weekly?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-xl font-semibold mb-4">Weekly Cardio</h3>
+                  <table className="w-full text-left">
+                    <thead>
+                      <tr className="text-gray-600 border-b">
+                        <th className="py-2">Week</th>
+                        <th className="py-2">Activity</th>
+                        <th className="py-2">Distance</th>
+                        <th className="py-2">Avg Pace</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {statsData.cardio.weekly.map((row) => (
+                        <tr key={`${row.week}-${row.activityType}`} className="border-b">
+                          <td className="py-2">{row.week}</td>
+                          <td className="py-2 capitalize">{row.activityType}</td>
+                          <td className="py-2">{row.distanceKm} km</td>
+                          <td className="py-2">{formatPace(row.avgPaceSecondsPerKm)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </>
           )}
         </div>
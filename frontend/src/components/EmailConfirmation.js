@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Email Confirmation Component
+ * @description Completes email verification or an email change from an emailed link
+ * @module components/EmailConfirmation
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { apiService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * What each kind of link does
+ */
+const ACTIONS = {
+  verify: {
+    request: apiService.verifyEmail,
+    success: 'Your email address is verified.',
+  },
+  change: {
+    request: apiService.confirmEmailChange,
+    success: 'Your email address has been changed.',
+  },
+};
+
+/**
+ * EmailConfirmation component
+ * @param {Object} props - { action: 'verify' | 'change' }
+ */
+const EmailConfirmation = ({ action }) => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, user, updateUser } = useAuth();
+  const [result, setResult] = useState({ status: 'pending', message: '' });
+  const submitted = useRef(false);
+
+  // Links work once, so the token is sent only once even if the effect runs again
+  useEffect(() => {
+    if (submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    const confirm = async () => {
+      try {
+        const response = await ACTIONS[action].request(searchParams.get('token') || '');
+        if (user && String(user.id || user._id) === String(response.data.user.id)) {
+          updateUser({ email: response.data.user.email, emailVerified: true });
+        }
+        setResult({ status: 'success', message: ACTIONS[action].success });
+      } catch (error) {
+        setResult({ status: 'error', message: error.message || 'This link is invalid or has expired.' });
+      }
+    };
+    confirm();
+  }, [action, searchParams, user, updateUser]);
+
+  return (
+    <div className="max-w-md mx-auto mt-12 bg-white shadow-md rounded-lg p-6 text-center">
+      {result.status === 'pending' && (
+        <span className="flex items-center justify-center">
+          <LoadingSpinner size="sm" className="mr-2" />
+          Confirming...
+        </span>
+      )}
+      {result.status !== 'pending' && (
+        <>
+          <p className={result.status === 'success' ? 'text-green-700' : 'text-red-600'}>
+            {result.message}
+          </p>
+          <Link
+            to={isAuthenticated ? '/profile' : '/login'}
+            className="inline-block mt-4 font-medium text-blue-600 hover:text-blue-500"
+          >
+            {isAuthenticated ? 'Go to your profile' : 'Sign in'}
+          </Link>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EmailConfirmation;
@@ -175,6 +175,11 @@ const ExerciseLibrary = () => {
                       {exercise.difficulty}
                     </span>
                   </p>
+                  {exercise.met && (
+                    <p className="text-gray-600">
+                      <strong>MET:</strong> {exercise.met}
+                    </p>
+                  )}
                 </div>
                 {exercise.media?.imageUrl && (
                   <img
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Forgot Password Component
+ * @description Requests a password reset link by email
+ * @module components/ForgotPassword
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { apiService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * ForgotPassword component
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      await apiService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.message || 'Failed to send reset link');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+        {sent ? (
+          <div className="rounded-md bg-green-50 border border-green-300 p-4 text-sm text-green-800">
+            If an account uses {email}, we sent a link to reset its password. Check your inbox.
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="sr-only">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder="Email address"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={sending}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {sending ? (
+                <span className="flex items-center">
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Sending...
+                </span>
+              ) : (
+                'Send reset link'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
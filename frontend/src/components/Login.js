@@ -1,12 +1,14 @@
 /**
  * @fileoverview Login Component
- * @description User login form with validation
+ * @description User login form with validation and the two-factor code step
  * @module components/Login
  */
 
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
+import { apiService } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
 
 /**
@@ -14,12 +16,23 @@ import LoadingSpinner from './LoadingSpinner';
  */
 const Login = () => {
   const navigate = useNavigate();
-  const { login, loading } = useAuth();
+  const location = useLocation();
+  const { login, completeTwoFactorLogin, loading } = useAuth();
   const [formData, setFormData] = useState({
     username: '',
     password: '',
   });
   const [errors, setErrors] = useState({});
+  const [pendingDeletion, setPendingDeletion] = useState('');
+  const [restoring, setRestoring] = useState(false);
+  const [restoreCode, setRestoreCode] = useState('');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Page that sent the user here, e.g. an app's consent screen
+  const from = location.state?.from;
+  const destination = from ? `${from.pathname}${from.search}` : '/';
 
   /**
    * Handle input change
@@ -63,10 +76,153 @@ const Login = () => {
 
     const result = await login(formData);
     if (result.success) {
-      navigate('/');
+      navigate(destination);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.status === 403) {
+      // Account is scheduled for deletion and can still be restored
+      setPendingDeletion(result.error);
+    }
+  };
+
+  /**
+   * Submit the authenticator or recovery code
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setErrors({ code: 'Code is required' });
+      return;
+    }
+
+    const result = await completeTwoFactorLogin(challengeToken, code.trim());
+    if (result.success) {
+      navigate(destination);
+    } else {
+      setCode('');
     }
   };
 
+  /**
+   * Leave the code step and start over with the password
+   */
+  const handleBackToPassword = () => {
+    setChallengeToken('');
+    setCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+    setFormData((prev) => ({ ...prev, password: '' }));
+  };
+
+  /**
+   * Cancel the pending deletion and sign in
+   */
+  const handleRestore = async () => {
+    setRestoring(true);
+    try {
+      await apiService.restoreAccount({
+        ...formData,
+        ...(restoreCode.trim() && { code: restoreCode.trim() }),
+      });
+      toast.success('Account restored');
+      setPendingDeletion('');
+      setRestoreCode('');
+      const result = await login(formData);
+      if (result.success) {
+        navigate(destination);
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore account');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes. Each code works only once.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            <div>
+              <label htmlFor="code" className="sr-only">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  setErrors({});
+                }}
+                className={`appearance-none relative block w-full px-3 py-2 border ${
+                  errors.code ? 'border-red-300' : 'border-gray-300'
+                } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm tracking-widest`}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+              {errors.code && <p className="mt-1 text-sm text-red-600">{errors.code}</p>}
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setCode('');
+                }}
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={handleBackToPassword}
+                className="font-medium text-gray-600 hover:text-gray-500"
+              >
+                Back
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <span className="flex items-center">
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    Verifying...
+                  </span>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -81,6 +237,32 @@ const Login = () => {
             </Link>
           </p>
         </div>
+        {pendingDeletion && (
+          <div className="rounded-md bg-yellow-50 border border-yellow-300 p-4">
+            <p className="text-sm text-yellow-800 mb-3">{pendingDeletion}</p>
+            <label htmlFor="restoreCode" className="block text-sm text-yellow-800 mb-1">
+              Authentication or recovery code (if two-factor authentication is on)
+            </label>
+            <input
+              id="restoreCode"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={restoreCode}
+              onChange={(e) => setRestoreCode(e.target.value)}
+              className="block w-full mb-3 px-3 py-2 border border-yellow-300 rounded-md text-sm focus:outline-none focus:ring-yellow-500 focus:border-yellow-500"
+              placeholder="123456"
+            />
+            <button
+              type="button"
+              onClick={handleRestore}
+              disabled={restoring}
+              className="bg-yellow-600 text-white px-4 py-2 rounded text-sm hover:bg-yellow-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {restoring ? 'Restoring...' : 'Restore my account'}
+            </button>
+          </div>
+        )}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="rounded-md shadow-sm -space-y-px">
             <div>
@@ -125,6 +307,12 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="text-sm text-right">
+            <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
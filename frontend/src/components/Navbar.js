@@ -43,6 +43,12 @@ const Navbar = memo(() => {
                 >
                   Workout Planner
                 </Link>
+                <Link
+                  to="/session"
+                  className="hover:bg-blue-700 px-3 py-2 rounded transition duration-200"
+                >
+                  Session
+                </Link>
                 <Link
                   to="/exercise-library"
                   className="hover:bg-blue-700 px-3 py-2 rounded transition duration-200"
@@ -67,6 +73,12 @@ const Navbar = memo(() => {
                 >
                   Social
                 </Link>
+                <Link
+                  to="/coaching"
+                  className="hover:bg-blue-700 px-3 py-2 rounded transition duration-200"
+                >
+                  Coaching
+                </Link>
                 <div className="flex items-center space-x-2 border-l border-blue-500 pl-4">
                   <span className="text-sm">Welcome, {user?.username}</span>
                   <button
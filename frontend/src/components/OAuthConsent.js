@@ -0,0 +1,138 @@
+/**
+ * @fileoverview OAuth Consent Component
+ * @description Consent screen where the user allows or denies a third-party app access to their account
+ * @module components/OAuthConsent
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { apiService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * What each scope lets an app do
+ */
+const SCOPE_DESCRIPTIONS = {
+  'workouts:read': 'See your workouts, statistics, records and exercises',
+  'workouts:write': 'Create, change and delete your workouts and custom exercises',
+  'social:write': 'Post, comment, like and join challenges as you',
+};
+
+/**
+ * Parameters of the authorization request, passed through unchanged
+ */
+const REQUEST_PARAMS = [
+  'response_type',
+  'client_id',
+  'redirect_uri',
+  'scope',
+  'state',
+  'code_challenge',
+  'code_challenge_method',
+];
+
+/**
+ * OAuthConsent component
+ * Apps send the user to /oauth/authorize with their authorization request. The backend checks it
+ * first; requests it rejects after identifying the app are sent straight back to the app.
+ */
+const OAuthConsent = () => {
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const params = Object.fromEntries(
+    REQUEST_PARAMS.filter((name) => searchParams.has(name)).map((name) => [
+      name,
+      searchParams.get(name),
+    ])
+  );
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    const check = async () => {
+      try {
+        const response = await apiService.getOAuthRequest(JSON.parse(paramsKey));
+        if (response.data.redirectTo) {
+          window.location.assign(response.data.redirectTo);
+          return;
+        }
+        setRequest(response.data);
+      } catch (err) {
+        setError(err.message || 'This authorization request is invalid.');
+      }
+    };
+    check();
+  }, [paramsKey]);
+
+  /**
+   * Send the user's answer and return to the app
+   */
+  const handleAnswer = async (approve) => {
+    setSubmitting(true);
+    try {
+      const response = await apiService.answerOAuthRequest({ ...params, approve });
+      window.location.assign(response.data.redirectTo);
+    } catch (err) {
+      setError(err.message || 'Failed to answer the authorization request.');
+      setSubmitting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="max-w-md mx-auto mt-12 bg-white shadow-md rounded-lg p-6 text-center">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (!request) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto mt-12 bg-white shadow-md rounded-lg p-6">
+      <h2 className="text-2xl font-bold mb-2">Authorize {request.client.name}</h2>
+      <p className="text-gray-600 mb-4">
+        <span className="font-medium">{request.client.name}</span> wants to access the account of{' '}
+        <span className="font-medium">{user?.username}</span>. It will be able to:
+      </p>
+      <ul className="list-disc list-inside space-y-1 mb-4">
+        {request.scopes.map((scope) => (
+          <li key={scope}>{SCOPE_DESCRIPTIONS[scope]}</li>
+        ))}
+      </ul>
+      <p className="text-gray-500 text-sm mb-6">
+        The app never sees your password. You can disconnect it at any time from your profile.
+      </p>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => handleAnswer(true)}
+          disabled={submitting}
+          className="flex-1 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Allow
+        </button>
+        <button
+          type="button"
+          onClick={() => handleAnswer(false)}
+          disabled={submitting}
+          className="flex-1 border border-gray-300 px-4 py-2 rounded hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          Deny
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthConsent;
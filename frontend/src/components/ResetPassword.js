@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Reset Password Component
+ * @description Sets a new password from an emailed reset link
+ * @module components/ResetPassword
+ */
+
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { apiService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * ResetPassword component
+ */
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [passwords, setPasswords] = useState({ password: '', confirmPassword: '' });
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Handle input change
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (passwords.password !== passwords.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await apiService.resetPassword({ token, password: passwords.password });
+      toast.success('Password reset. Sign in with your new password.');
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+        {!token ? (
+          <p className="text-center text-red-600">
+            This link is incomplete.{' '}
+            <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+              Request a new one
+            </Link>
+          </p>
+        ) : (
+          <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
+            <input
+              name="password"
+              type="password"
+              autoComplete="new-password"
+              minLength={8}
+              required
+              value={passwords.password}
+              onChange={handleChange}
+              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="New password"
+            />
+            <input
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={passwords.confirmPassword}
+              onChange={handleChange}
+              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              placeholder="Confirm new password"
+            />
+            <p className="text-gray-500 text-sm">
+              At least 8 characters with an uppercase letter, a lowercase letter and a number.
+            </p>
+            <button
+              type="submit"
+              disabled={saving}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? (
+                <span className="flex items-center">
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Saving...
+                </span>
+              ) : (
+                'Reset password'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Route Map Component
+ * @description Draws the stored track of an imported activity as an SVG outline
+ * @module components/RouteMap
+ */
+
+import React, { useMemo } from 'react';
+
+/**
+ * RouteMap component
+ * Projects latitude/longitude onto a flat plane scaled to the route, which is accurate enough
+ * at activity scale and needs no map tiles.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.track - Track points { lat, lon }
+ * @param {number} props.height - Height in pixels
+ * @param {string} props.className - Additional CSS classes
+ */
+const RouteMap = ({ track = [], height = 120, className = '' }) => {
+  const path = useMemo(() => {
+    const points = track.filter((point) => point.lat !== null && point.lon !== null);
+    if (points.length < 2) return null;
+
+    const meanLat = points.reduce((sum, point) => sum + point.lat, 0) / points.length;
+    const scale = Math.cos((meanLat * Math.PI) / 180);
+    const projected = points.map((point) => ({ x: point.lon * scale, y: -point.lat }));
+
+    const xs = projected.map((p) => p.x);
+    const ys = projected.map((p) => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+
+    return {
+      points: projected
+        .map((p) => `${(((p.x - minX) / size) * 100).toFixed(2)},${(((p.y - minY) / size) * 100).toFixed(2)}`)
+        .join(' '),
+      width: ((Math.max(...xs) - minX) / size) * 100,
+      height: ((Math.max(...ys) - minY) / size) * 100,
+    };
+  }, [track]);
+
+  if (!path) return null;
+
+  return (
+    <svg
+      viewBox={`-4 -4 ${path.width + 8} ${path.height + 8}`}
+      style={{ height }}
+      className={`w-full bg-gray-50 rounded ${className}`}
+      role="img"
+      aria-label="Route"
+    >
+      <polyline
+        points={path.points}
+        fill="none"
+        stroke="#1a73e8"
+        strokeWidth="2"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
+
+export default RouteMap;
@@ -1,31 +1,111 @@
 /**
  * @fileoverview Social Feed Component
- * @description Social features: posts, comments, likes, challenges
+ * @description Social features: following and discover feeds, follows, blocks, comments, likes, challenges
+ *   and their leaderboards
  * @module components/SocialFeed
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { apiService } from '../services/api';
 import useApi from '../hooks/useApi';
 import LoadingSpinner from './LoadingSpinner';
 
+/**
+ * Feed tabs: posts of followed users and one's own, or everyone's posts
+ */
+const TABS = [
+  ['following', 'Following'],
+  ['discover', 'Discover'],
+];
+
+/**
+ * Follow button labels by follow status
+ */
+const FOLLOW_LABELS = {
+  accepted: 'Following',
+  pending: 'Requested',
+};
+
+/**
+ * Who can see a new post; the profile setting may narrow it further
+ */
+const POST_VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'followers', label: 'Followers' },
+  { value: 'private', label: 'Only me' },
+];
+
+/**
+ * Labels of posts not shared with everyone
+ */
+const VISIBILITY_LABELS = {
+  followers: 'Followers',
+  private: 'Only me',
+};
+
+/**
+ * Units of challenge goal metrics
+ */
+const GOAL_UNITS = {
+  workouts: 'workouts',
+  minutes: 'minutes',
+  calories: 'kcal',
+  distance: 'km',
+  'exercise-volume': 'kg',
+};
+
+/**
+ * Describe a challenge goal, e.g. "100 km" or "Most workouts"
+ * @param {Object} [goal] - Challenge goal { metric, target, exerciseId }
+ * @returns {string} Goal description
+ */
+const describeGoal = (goal = {}) => {
+  const metric = goal.metric || 'workouts';
+  const unit =
+    metric === 'exercise-volume'
+      ? `kg of ${goal.exerciseId?.name || 'an exercise'}`
+      : GOAL_UNITS[metric];
+  return goal.target ? `${goal.target} ${unit}` : `Most ${unit}`;
+};
+
 /**
  * SocialFeed component
  * Optimized with useCallback
  */
 const SocialFeed = () => {
   const { user } = useAuth();
+  const [tab, setTab] = useState('following');
+  const [feed, setFeed] = useState({ posts: [], nextCursor: null });
   const [newPost, setNewPost] = useState('');
+  const [newPostVisibility, setNewPostVisibility] = useState('public');
   const [newComment, setNewComment] = useState({});
+  const [openLeaderboard, setOpenLeaderboard] = useState(null);
 
-  // Fetch posts
+  // Fetch posts of followed users, a page at a time
+  const { loading: feedLoading, execute: fetchFeed } = useApi(apiService.getFeed, {
+    showErrorToast: true,
+  });
+
+  // Fetch everyone's posts
   const {
     data: postsData,
     loading: postsLoading,
     execute: fetchPosts,
   } = useApi(apiService.getPosts, { showErrorToast: true });
 
+  // Fetch requests to follow the user
+  const { data: requestsData, execute: fetchFollowRequests } = useApi(
+    apiService.getFollowRequests,
+    { showErrorToast: false },
+  );
+
+  // Fetch the users the user blocked
+  const { data: blockedData, execute: fetchBlockedUsers } = useApi(apiService.getBlockedUsers, {
+    showErrorToast: false,
+  });
+
   // Fetch challenges
   const {
     data: challengesData,
@@ -33,6 +113,13 @@ const SocialFeed = () => {
     execute: fetchChallenges,
   } = useApi(apiService.getChallenges, { showErrorToast: true });
 
+  // Fetch a challenge's leaderboard
+  const {
+    data: leaderboardData,
+    loading: leaderboardLoading,
+    execute: fetchLeaderboard,
+  } = useApi(apiService.getChallengeLeaderboard, { showErrorToast: true });
+
   // Create post
   const { loading: createPostLoading, execute: createPost } = useApi(
     apiService.createPost,
@@ -57,10 +144,68 @@ const SocialFeed = () => {
     showErrorToast: true,
   });
 
+  // Follow and unfollow
+  const { execute: followUser } = useApi(apiService.followUser, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: unfollowUser } = useApi(apiService.unfollowUser, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  // Answer follow requests
+  const { execute: acceptFollowRequest } = useApi(apiService.acceptFollowRequest, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: removeFollower } = useApi(apiService.removeFollower, {
+    showSuccessToast: false,
+    showErrorToast: true,
+  });
+
+  // Block and unblock
+  const { execute: blockUser } = useApi(apiService.blockUser, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { execute: unblockUser } = useApi(apiService.unblockUser, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  // Load the first page of the feed, or append the page after the cursor
+  const loadFeed = useCallback(
+    async (cursor) => {
+      const result = await fetchFeed({ limit: 20, ...(cursor && { cursor }) });
+      if (result.success) {
+        setFeed((prev) => ({
+          posts: cursor ? [...prev.posts, ...result.data.posts] : result.data.posts,
+          nextCursor: result.data.nextCursor,
+        }));
+      }
+    },
+    [fetchFeed],
+  );
+
+  // Reload the posts of the open tab
+  const refreshPosts = useCallback(() => {
+    if (tab === 'following') {
+      loadFeed();
+    } else {
+      fetchPosts({ limit: 20 });
+    }
+  }, [tab, loadFeed, fetchPosts]);
+
+  useEffect(() => {
+    refreshPosts();
+  }, [refreshPosts]);
+
   useEffect(() => {
-    fetchPosts({ limit: 20 });
     fetchChallenges({ limit: 10 });
-  }, [fetchPosts, fetchChallenges]);
+    fetchFollowRequests();
+    fetchBlockedUsers();
+  }, [fetchChallenges, fetchFollowRequests, fetchBlockedUsers]);
 
   // Handle post creation
   const handleCreatePost = useCallback(
@@ -68,13 +213,13 @@ const SocialFeed = () => {
       e.preventDefault();
       if (!newPost.trim()) return;
 
-      const result = await createPost({ content: newPost });
+      const result = await createPost({ content: newPost, visibility: newPostVisibility });
       if (result.success) {
         setNewPost('');
-        fetchPosts({ limit: 20 });
+        refreshPosts();
       }
     },
-    [newPost, createPost, fetchPosts],
+    [newPost, newPostVisibility, createPost, refreshPosts],
   );
 
   // Handle like toggle
@@ -82,10 +227,10 @@ const SocialFeed = () => {
     async (postId) => {
       const result = await likePost(postId);
       if (result.success) {
-        fetchPosts({ limit: 20 });
+        refreshPosts();
       }
     },
-    [likePost, fetchPosts],
+    [likePost, refreshPosts],
   );
 
   // Handle comment creation
@@ -97,10 +242,10 @@ const SocialFeed = () => {
       const result = await createComment({ postId, content: commentText });
       if (result.success) {
         setNewComment((prev) => ({ ...prev, [postId]: '' }));
-        fetchPosts({ limit: 20 });
+        refreshPosts();
       }
     },
-    [newComment, createComment, fetchPosts],
+    [newComment, createComment, refreshPosts],
   );
 
   // Handle join challenge
@@ -109,13 +254,95 @@ const SocialFeed = () => {
       const result = await joinChallenge(challengeId);
       if (result.success) {
         fetchChallenges({ limit: 10 });
+        if (openLeaderboard === challengeId) {
+          fetchLeaderboard(challengeId);
+        }
+      }
+    },
+    [joinChallenge, fetchChallenges, openLeaderboard, fetchLeaderboard],
+  );
+
+  // Show or hide a challenge's leaderboard
+  const handleToggleLeaderboard = useCallback(
+    (challengeId) => {
+      if (openLeaderboard === challengeId) {
+        setOpenLeaderboard(null);
+        return;
       }
+      setOpenLeaderboard(challengeId);
+      fetchLeaderboard(challengeId);
     },
-    [joinChallenge, fetchChallenges],
+    [openLeaderboard, fetchLeaderboard],
   );
 
-  const posts = postsData?.posts || [];
+  // Follow an author, or unfollow them or withdraw the request
+  const handleToggleFollow = useCallback(
+    async (authorId, followStatus) => {
+      const result = followStatus ? await unfollowUser(authorId) : await followUser(authorId);
+      if (result.success) {
+        fetchPosts({ limit: 20 });
+      }
+    },
+    [followUser, unfollowUser, fetchPosts],
+  );
+
+  // Accept or decline a follow request
+  const handleFollowRequest = useCallback(
+    async (followerId, accept) => {
+      const result = accept
+        ? await acceptFollowRequest(followerId)
+        : await removeFollower(followerId);
+      if (result.success) {
+        fetchFollowRequests();
+      }
+    },
+    [acceptFollowRequest, removeFollower, fetchFollowRequests],
+  );
+
+  // Block an author; their posts, comments, likes and challenge participation disappear
+  const handleBlock = useCallback(
+    async (author) => {
+      if (!window.confirm(`Block ${author.username}? You will stop following each other.`)) {
+        return;
+      }
+
+      const result = await blockUser(author._id);
+      if (result.success) {
+        refreshPosts();
+        fetchChallenges({ limit: 10 });
+        fetchFollowRequests();
+        fetchBlockedUsers();
+      }
+    },
+    [blockUser, refreshPosts, fetchChallenges, fetchFollowRequests, fetchBlockedUsers],
+  );
+
+  // Unblock a user
+  const handleUnblock = useCallback(
+    async (blockedId) => {
+      const result = await unblockUser(blockedId);
+      if (result.success) {
+        fetchBlockedUsers();
+        refreshPosts();
+        fetchChallenges({ limit: 10 });
+      }
+    },
+    [unblockUser, fetchBlockedUsers, refreshPosts, fetchChallenges],
+  );
+
+  const userId = user?.id || user?._id;
+  const posts = tab === 'following' ? feed.posts : postsData?.posts || [];
+  const followStatuses = postsData?.followStatuses || {};
+  const loadingPosts = tab === 'following' ? feedLoading && feed.posts.length === 0 : postsLoading;
+  const followRequests = requestsData?.follows || [];
+  const blockedUsers = blockedData?.blocks || [];
   const challenges = challengesData?.challenges || [];
+  const leaderboard =
+    leaderboardData && String(leaderboardData.challenge._id) === String(openLeaderboard)
+      ? leaderboardData
+      : null;
+  // Without a target, progress bars compare participants to the leader
+  const leaderValue = leaderboard?.leaderboard[0]?.value || 0;
 
   return (
     <div className="p-6">
@@ -126,6 +353,15 @@ const SocialFeed = () => {
         <div className="lg:col-span-2">
           <div className="bg-white shadow-md rounded-lg p-6 mb-6">
             <h3 className="text-xl font-semibold mb-4">Create Post</h3>
+            {user?.emailVerified === false && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-300 rounded p-2 mb-2">
+                Confirm your email address to post, comment and create challenges. You can resend the link from your{' '}
+                <Link to="/profile" className="underline">
+                  profile
+                </Link>
+                .
+              </p>
+            )}
             <form onSubmit={handleCreatePost}>
               <textarea
                 value={newPost}
@@ -134,24 +370,57 @@ const SocialFeed = () => {
                 placeholder="Share your fitness journey..."
                 rows="4"
               />
-              <button
-                type="submit"
-                disabled={createPostLoading || !newPost.trim()}
-                className="mt-2 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
-              >
-                {createPostLoading ? 'Posting...' : 'Post'}
-              </button>
+              <div className="flex items-center gap-3 mt-2">
+                <button
+                  type="submit"
+                  disabled={createPostLoading || !newPost.trim() || user?.emailVerified === false}
+                  className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                  {createPostLoading ? 'Posting...' : 'Post'}
+                </button>
+                <select
+                  value={newPostVisibility}
+                  onChange={(e) => setNewPostVisibility(e.target.value)}
+                  className="p-2 border rounded"
+                  aria-label="Who can see this post"
+                >
+                  {POST_VISIBILITY_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </form>
           </div>
 
           <div className="bg-white shadow-md rounded-lg p-6">
-            <h3 className="text-xl font-semibold mb-4">Posts</h3>
-            {postsLoading ? (
+            <div className="flex border-b mb-4">
+              {TABS.map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setTab(value)}
+                  className={`px-4 py-2 -mb-px border-b-2 font-semibold ${
+                    tab === value
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {loadingPosts ? (
               <div className="flex items-center justify-center py-12">
                 <LoadingSpinner size="lg" />
               </div>
             ) : posts.length === 0 ? (
-              <p className="text-gray-500">No posts available</p>
+              <p className="text-gray-500">
+                {tab === 'following'
+                  ? 'No posts yet. Follow people from the Discover tab to see their posts here.'
+                  : 'No posts available'}
+              </p>
             ) : (
               posts.map((post) => (
                 <div key={post._id || post.id} className="border-b py-4 last:border-b-0">
@@ -159,6 +428,31 @@ const SocialFeed = () => {
                     <div className="flex-1">
                       <p className="font-semibold">
                         {post.userId?.username || 'Unknown User'}
+                        {tab === 'discover' && post.userId && post.userId._id !== userId && (
+                          <button
+                            type="button"
+                            onClick={() =>
+                              handleToggleFollow(post.userId._id, followStatuses[post.userId._id])
+                            }
+                            className="ml-3 text-sm font-normal text-blue-600 hover:text-blue-800"
+                          >
+                            {FOLLOW_LABELS[followStatuses[post.userId._id]] || 'Follow'}
+                          </button>
+                        )}
+                        {post.userId && post.userId._id !== userId && (
+                          <button
+                            type="button"
+                            onClick={() => handleBlock(post.userId)}
+                            className="ml-3 text-sm font-normal text-gray-500 hover:text-red-600"
+                          >
+                            Block
+                          </button>
+                        )}
+                        {VISIBILITY_LABELS[post.visibility] && (
+                          <span className="ml-3 text-xs font-normal text-gray-500 bg-gray-100 rounded px-2 py-0.5">
+                            {VISIBILITY_LABELS[post.visibility]}
+                          </span>
+                        )}
                       </p>
                       <p className="text-gray-700">{post.content}</p>
                       <p className="text-gray-500 text-sm mt-1">
@@ -200,35 +494,162 @@ const SocialFeed = () => {
                 </div>
               ))
             )}
+            {tab === 'following' && feed.nextCursor && (
+              <button
+                type="button"
+                onClick={() => loadFeed(feed.nextCursor)}
+                disabled={feedLoading}
+                className="mt-4 w-full border border-gray-300 px-4 py-2 rounded hover:bg-gray-50 transition disabled:opacity-50"
+              >
+                {feedLoading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
           </div>
         </div>
 
-        {/* Challenges Section */}
-        <div className="bg-white shadow-md rounded-lg p-6">
-          <h3 className="text-xl font-semibold mb-4">Challenges</h3>
-          {challengesLoading ? (
-            <div className="flex items-center justify-center py-12">
-              <LoadingSpinner size="lg" />
+        <div className="space-y-6">
+          {/* Follow Requests Section */}
+          {followRequests.length > 0 && (
+            <div className="bg-white shadow-md rounded-lg p-6">
+              <h3 className="text-xl font-semibold mb-4">Follow Requests</h3>
+              <ul className="divide-y">
+                {followRequests.map((request) => (
+                  <li key={request._id} className="flex items-center justify-between py-2">
+                    <span className="font-medium">{request.followerId.username}</span>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        type="button"
+                        onClick={() => handleFollowRequest(request.followerId._id, true)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleFollowRequest(request.followerId._id, false)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Decline
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Blocked Users Section */}
+          {blockedUsers.length > 0 && (
+            <div className="bg-white shadow-md rounded-lg p-6">
+              <h3 className="text-xl font-semibold mb-4">Blocked Users</h3>
+              <ul className="divide-y">
+                {blockedUsers.map((block) => (
+                  <li key={block._id} className="flex items-center justify-between py-2">
+                    <span className="font-medium">{block.blockedId.username}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleUnblock(block.blockedId._id)}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Unblock
+                    </button>
+                  </li>
+                ))}
+              </ul>
             </div>
-          ) : challenges.length === 0 ? (
-            <p className="text-gray-500">No challenges available</p>
-          ) : (
-            challenges.map((challenge) => (
-              <div key={challenge._id || challenge.id} className="border-b py-4 last:border-b-0">
-                <h4 className="text-lg font-medium">{challenge.title}</h4>
-                <p className="text-gray-600 text-sm">{challenge.description || 'No description'}</p>
-                <p className="text-gray-500 text-sm mt-1">
-                  Participants: {challenge.participants?.length || 0}
-                </p>
-                <button
-                  onClick={() => handleJoinChallenge(challenge._id || challenge.id)}
-                  className="mt-2 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition text-sm"
-                >
-                  Join Challenge
-                </button>
-              </div>
-            ))
           )}
+
+          {/* Challenges Section */}
+          <div className="bg-white shadow-md rounded-lg p-6">
+            <h3 className="text-xl font-semibold mb-4">Challenges</h3>
+            {challengesLoading ? (
+              <div className="flex items-center justify-center py-12">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : challenges.length === 0 ? (
+              <p className="text-gray-500">No challenges available</p>
+            ) : (
+              challenges.map((challenge) => (
+                <div key={challenge._id || challenge.id} className="border-b py-4 last:border-b-0">
+                  <h4 className="text-lg font-medium">{challenge.title}</h4>
+                  <p className="text-gray-600 text-sm">{challenge.description || 'No description'}</p>
+                  <p className="text-gray-500 text-sm mt-1">
+                    Goal: {describeGoal(challenge.goal)}
+                  </p>
+                  <p className="text-gray-500 text-sm mt-1">
+                    Participants: {challenge.participants?.length || 0}
+                  </p>
+                  <div className="flex items-center gap-3 mt-2">
+                    <button
+                      onClick={() => handleJoinChallenge(challenge._id || challenge.id)}
+                      className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition text-sm"
+                    >
+                      Join Challenge
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleToggleLeaderboard(challenge._id || challenge.id)}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      {openLeaderboard === (challenge._id || challenge.id)
+                        ? 'Hide leaderboard'
+                        : 'Leaderboard'}
+                    </button>
+                  </div>
+                  {openLeaderboard === (challenge._id || challenge.id) &&
+                    (!leaderboard ? (
+                      leaderboardLoading && (
+                        <div className="flex justify-center py-4">
+                          <LoadingSpinner />
+                        </div>
+                      )
+                    ) : leaderboard.leaderboard.length === 0 ? (
+                      <p className="text-gray-500 text-sm mt-3">No participants yet</p>
+                    ) : (
+                      <div className="mt-3">
+                        {leaderboard.currentUser && (
+                          <p className="text-sm text-gray-600 mb-2">
+                            You are #{leaderboard.currentUser.rank} of{' '}
+                            {leaderboard.leaderboard.length}
+                          </p>
+                        )}
+                        <ol className="space-y-2">
+                          {leaderboard.leaderboard.map((entry) => {
+                            const percent =
+                              entry.percent ??
+                              (leaderValue > 0 ? Math.round((entry.value / leaderValue) * 100) : 0);
+                            return (
+                              <li
+                                key={entry.user._id}
+                                className={`text-sm ${entry.user._id === userId ? 'font-semibold' : ''}`}
+                              >
+                                <div className="flex justify-between">
+                                  <span>
+                                    #{entry.rank} {entry.user.username}
+                                    {entry.completed && (
+                                      <span className="ml-2 text-green-600">Goal reached</span>
+                                    )}
+                                  </span>
+                                  <span className="text-gray-600">
+                                    {entry.value} {leaderboard.unit}
+                                  </span>
+                                </div>
+                                <div className="w-full bg-gray-200 rounded h-2 mt-1">
+                                  <div
+                                    className={`h-2 rounded ${entry.completed ? 'bg-green-500' : 'bg-blue-600'}`}
+                                    style={{ width: `${percent}%` }}
+                                  />
+                                </div>
+                              </li>
+                            );
+                          })}
+                        </ol>
+                      </div>
+                    ))}
+                </div>
+              ))
+            )}
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Two-Factor Settings Component
+ * @description Profile card to set up, disable and manage two-factor authentication
+ * @module components/TwoFactorSettings
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import useApi from '../hooks/useApi';
+import { apiService } from '../services/api';
+
+const inputClass =
+  'w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600';
+const buttonClass =
+  'bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Recovery codes, shown once after they are generated
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.codes - Recovery codes
+ * @param {Function} props.onDone - Called when the user has saved them
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(codes.join('\n'));
+  };
+
+  return (
+    <div>
+      <p className="text-gray-600 mb-3">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose access to
+        your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border rounded p-4 mb-4">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="border border-gray-300 px-4 py-2 rounded hover:bg-gray-50 transition"
+        >
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className={buttonClass}>
+          I saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * TwoFactorSettings component
+ * Setup takes two steps: the password unlocks a new secret, then a code from the app proves it
+ * was added. No QR library is bundled, so the secret is shown for manual entry, with the
+ * otpauth:// link for authenticator apps on the same device.
+ */
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const enabled = Boolean(user?.twoFactor?.enabled);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const { loading: startingSetup, execute: setupTwoFactor } = useApi(apiService.setupTwoFactor, {
+    showErrorToast: true,
+  });
+  const { loading: enabling, execute: enableTwoFactor } = useApi(apiService.enableTwoFactor, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { loading: disabling, execute: disableTwoFactor } = useApi(apiService.disableTwoFactor, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { loading: regenerating, execute: regenerateRecoveryCodes } = useApi(
+    apiService.regenerateRecoveryCodes,
+    { showSuccessToast: true, showErrorToast: true },
+  );
+
+  const resetForm = () => {
+    setPassword('');
+    setCode('');
+  };
+
+  const handleStartSetup = useCallback(async (e) => {
+    e.preventDefault();
+    const result = await setupTwoFactor(password);
+    if (result.success) {
+      setSetup(result.data);
+      resetForm();
+    }
+  }, [setupTwoFactor, password]);
+
+  const handleEnable = useCallback(async (e) => {
+    e.preventDefault();
+    const result = await enableTwoFactor(code.trim());
+    if (result.success) {
+      setSetup(null);
+      setRecoveryCodes(result.data.recoveryCodes);
+      updateUser({ twoFactor: { ...user?.twoFactor, enabled: true } });
+      resetForm();
+    }
+  }, [enableTwoFactor, code, updateUser, user]);
+
+  const handleDisable = useCallback(async () => {
+    if (!window.confirm('Turn off two-factor authentication?')) {
+      return;
+    }
+    const result = await disableTwoFactor({ password, code: code.trim() });
+    if (result.success) {
+      updateUser({ twoFactor: { enabled: false } });
+      resetForm();
+    }
+  }, [disableTwoFactor, password, code, updateUser]);
+
+  const handleRegenerate = useCallback(async () => {
+    const result = await regenerateRecoveryCodes({ password, code: code.trim() });
+    if (result.success) {
+      setRecoveryCodes(result.data.recoveryCodes);
+      resetForm();
+    }
+  }, [regenerateRecoveryCodes, password, code]);
+
+  let content;
+  if (recoveryCodes) {
+    content = <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  } else if (setup) {
+    content = (
+      <form onSubmit={handleEnable}>
+        <p className="text-gray-600 mb-3">
+          Add this key to your authenticator app, then enter the 6-digit code it shows.
+        </p>
+        <p className="font-mono text-sm bg-gray-50 border rounded p-3 mb-2 break-all">
+          {setup.secret.match(/.{1,4}/g).join(' ')}
+        </p>
+        <p className="text-sm mb-4">
+          <a href={setup.otpauthUri} className="text-blue-600 hover:text-blue-800">
+            Open in authenticator app
+          </a>
+        </p>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClass}
+            placeholder="123456"
+            required
+          />
+          <button type="submit" disabled={enabling || !code.trim()} className={buttonClass}>
+            {enabling ? 'Verifying...' : 'Enable'}
+          </button>
+        </div>
+        <button
+          type="button"
+          onClick={() => setSetup(null)}
+          className="text-gray-600 hover:text-gray-800 text-sm mt-3"
+        >
+          Cancel
+        </button>
+      </form>
+    );
+  } else if (enabled) {
+    content = (
+      <div>
+        <p className="text-gray-600 mb-4">
+          <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded mr-2">On</span>
+          Signing in asks for a code from your authenticator app. Confirm with your password and a
+          code to turn it off or to get new recovery codes.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-4">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className={inputClass}
+            placeholder="Current password"
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            className={inputClass}
+            placeholder="Authentication or recovery code"
+          />
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <button
+            type="button"
+            onClick={handleRegenerate}
+            disabled={regenerating || !password || !code.trim()}
+            className={buttonClass}
+          >
+            {regenerating ? 'Generating...' : 'New recovery codes'}
+          </button>
+          <button
+            type="button"
+            onClick={handleDisable}
+            disabled={disabling || !password || !code.trim()}
+            className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {disabling ? 'Turning off...' : 'Turn off'}
+          </button>
+        </div>
+      </div>
+    );
+  } else {
+    content = (
+      <form onSubmit={handleStartSetup}>
+        <p className="text-gray-600 mb-4">
+          Protect your account with a code from an authenticator app in addition to your password.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className={inputClass}
+            placeholder="Confirm with your password"
+            required
+          />
+          <button type="submit" disabled={startingSetup || !password} className={buttonClass}>
+            {startingSetup ? 'Starting...' : 'Set up'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 lg:col-span-2">
+      <h3 className="text-xl font-semibold mb-2">Two-Factor Authentication</h3>
+      {content}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
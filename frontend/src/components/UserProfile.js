@@ -4,50 +4,303 @@
  * @module components/UserProfile
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
+import useApi from '../hooks/useApi';
+import { apiService } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
+import TwoFactorSettings from './TwoFactorSettings';
+import ConnectedApps from './ConnectedApps';
+import ApiKeys from './ApiKeys';
+
+/**
+ * How often a running data export is checked
+ */
+const EXPORT_POLL_MS = 3000;
+
+/**
+ * Avatar upload limits, matching the API
+ */
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Who can see the profile, and what the user shares
+ */
+const PROFILE_VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'followers', label: 'Followers I approve' },
+  { value: 'private', label: 'Only me' },
+];
+
+/**
+ * Short device description from a User-Agent header
+ * @param {string} userAgent - User-Agent
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent = '') => {
+  const browser =
+    [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Firefox', /Firefox\//],
+      ['Chrome', /Chrome\//],
+      ['Safari', /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown browser';
+  const os =
+    [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * Editable profile fields of a user, as form values
+ * @param {Object} user - User
+ * @returns {Object} Form state
+ */
+const toProfileForm = (user) => ({
+  name: user?.profile?.name || '',
+  age: user?.profile?.age ?? '',
+  bodyWeight: user?.profile?.bodyWeight ?? '',
+  bodyWeightUnit: user?.profile?.bodyWeightUnit || 'kg',
+  fitnessGoals: user?.profile?.fitnessGoals || [],
+  bio: user?.profile?.bio || '',
+  profileVisibility: user?.privacy?.profile || 'public',
+});
 
 /**
  * UserProfile component
  * Optimized with useCallback
  */
 const UserProfile = () => {
-  const { user, updateUser } = useAuth();
-  const [profile, setProfile] = useState({
-    name: user?.profile?.name || '',
-    age: user?.profile?.age || '',
-    fitnessGoals: user?.profile?.fitnessGoals || [],
-  });
+  const navigate = useNavigate();
+  const { user, updateUser, logout } = useAuth();
+  const [profile, setProfile] = useState(() => toProfileForm(user));
   const [newGoal, setNewGoal] = useState('');
-  const [loading, setLoading] = useState(false);
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [dataExport, setDataExport] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [emailChange, setEmailChange] = useState({ email: '', password: '' });
+  const [pendingEmail, setPendingEmail] = useState('');
+  const [downloadUrl, setDownloadUrl] = useState('');
+
+  const { loading: exportRequesting, execute: requestDataExport } = useApi(
+    apiService.requestDataExport,
+    { showErrorToast: true },
+  );
+  const { execute: fetchDataExport } = useApi(apiService.getDataExport, { showErrorToast: false });
+  const { execute: fetchCurrentUser } = useApi(apiService.getCurrentUser, { showErrorToast: false });
+  const { loading, execute: updateProfile } = useApi(apiService.updateProfile, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { loading: changingPassword, execute: changePassword } = useApi(
+    apiService.changePassword,
+    { showSuccessToast: true, showErrorToast: true },
+  );
+  const { loading: uploadingAvatar, execute: uploadAvatar } = useApi(apiService.uploadAvatar, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { loading: removingAvatar, execute: removeAvatar } = useApi(apiService.removeAvatar, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { loading: resendingVerification, execute: resendVerificationEmail } = useApi(
+    apiService.resendVerificationEmail,
+    { showSuccessToast: true, showErrorToast: true },
+  );
+  const { loading: changingEmail, execute: changeEmail } = useApi(apiService.changeEmail, {
+    showErrorToast: true,
+  });
+  const { execute: fetchSessions } = useApi(apiService.getSessions, { showErrorToast: false });
+  const { execute: revokeSession } = useApi(apiService.revokeSession, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const [deletePassword, setDeletePassword] = useState('');
+  const { loading: deleting, execute: deleteAccount } = useApi(apiService.deleteAccount, {
+    showErrorToast: true,
+  });
+
+  // Deactivate the account; it can be restored from the login page until the deletion date
+  const handleDeleteAccount = useCallback(async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? All your workouts and posts will be removed.')) {
+      return;
+    }
+
+    const result = await deleteAccount(deletePassword);
+    if (result.success) {
+      const date = new Date(result.data.deletionScheduledFor).toLocaleDateString();
+      logout();
+      toast.info(`Your account will be deleted on ${date}. Sign in before then to restore it.`);
+      navigate('/login');
+    }
+  }, [deleteAccount, deletePassword, logout, navigate]);
+
+  // Request a copy of all account data
+  const handleRequestExport = useCallback(async () => {
+    const result = await requestDataExport();
+    if (result.success) {
+      setDataExport(result.data.export);
+      setDownloadUrl(result.data.downloadUrl);
+    }
+  }, [requestDataExport]);
+
+  // Poll the export until the archive is ready or generation fails
+  useEffect(() => {
+    if (!dataExport || !['pending', 'processing'].includes(dataExport.status)) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const result = await fetchDataExport(dataExport._id);
+      if (result.success) {
+        setDataExport(result.data.export);
+      }
+    }, EXPORT_POLL_MS);
+
+    return () => clearTimeout(timer);
+  }, [dataExport, fetchDataExport]);
+
+  // Load the saved profile; the stored user may be stale or from before a profile change
+  useEffect(() => {
+    const loadUser = async () => {
+      const result = await fetchCurrentUser();
+      if (result.success) {
+        updateUser(result.data.user);
+        setProfile(toProfileForm(result.data.user));
+      }
+    };
+    loadUser();
+  }, [fetchCurrentUser, updateUser]);
+
+  // Load the devices signed in to the account
+  const loadSessions = useCallback(async () => {
+    const result = await fetchSessions();
+    if (result.success) {
+      setSessions(result.data.sessions);
+    }
+  }, [fetchSessions]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // Sign another device out
+  const handleRevokeSession = useCallback(
+    async (id) => {
+      const result = await revokeSession(id);
+      if (result.success) {
+        setSessions((prev) => prev.filter((session) => session.id !== id));
+      }
+    },
+    [revokeSession],
+  );
 
   // Handle profile update
   const handleUpdateProfile = useCallback(
     async (e) => {
       e.preventDefault();
-      setLoading(true);
-
-      try {
-        // Update local state
-        updateUser({
-          profile: {
-            ...profile,
-            age: profile.age ? parseInt(profile.age, 10) : null,
-          },
-        });
-
-        // In a real app, you'd call an API here
-        // await apiService.updateProfile(profile);
-      } catch (error) {
-        console.error('Update profile error:', error);
-      } finally {
-        setLoading(false);
+
+      const { profileVisibility, ...fields } = profile;
+      const result = await updateProfile({
+        ...fields,
+        age: profile.age !== '' ? parseInt(profile.age, 10) : null,
+        bodyWeight: profile.bodyWeight !== '' ? parseFloat(profile.bodyWeight) : null,
+        privacy: { profile: profileVisibility },
+      });
+      if (result.success) {
+        updateUser(result.data.user);
+      }
+    },
+    [profile, updateProfile, updateUser],
+  );
+
+  // Handle password change
+  const handleChangePassword = useCallback(
+    async (e) => {
+      e.preventDefault();
+      if (passwords.newPassword !== passwords.confirmPassword) {
+        toast.error('New passwords do not match');
+        return;
+      }
+
+      const result = await changePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      if (result.success) {
+        setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+        // Other devices were signed out
+        loadSessions();
       }
     },
-    [profile, updateUser],
+    [changePassword, passwords, loadSessions],
   );
 
+  // Send a confirmation link to the new address; the email changes once it is followed
+  const handleChangeEmail = useCallback(
+    async (e) => {
+      e.preventDefault();
+      const result = await changeEmail(emailChange);
+      if (result.success) {
+        setPendingEmail(result.data.pendingEmail);
+        setEmailChange({ email: '', password: '' });
+      }
+    },
+    [changeEmail, emailChange],
+  );
+
+  const handleEmailChangeInput = useCallback((e) => {
+    const { name, value } = e.target;
+    setEmailChange((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  // Upload a new profile picture
+  const handleAvatarChange = useCallback(
+    async (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (!file) return;
+
+      if (!AVATAR_TYPES.includes(file.type)) {
+        toast.error('Choose a PNG, JPEG or WebP image');
+        return;
+      }
+      if (file.size > AVATAR_MAX_BYTES) {
+        toast.error('Images can be at most 2 MB');
+        return;
+      }
+
+      const result = await uploadAvatar(file);
+      if (result.success) {
+        updateUser(result.data.user);
+      }
+    },
+    [uploadAvatar, updateUser],
+  );
+
+  // Remove the profile picture
+  const handleRemoveAvatar = useCallback(async () => {
+    const result = await removeAvatar();
+    if (result.success) {
+      updateUser(result.data.user);
+    }
+  }, [removeAvatar, updateUser]);
+
   // Handle adding a new fitness goal
   const handleAddGoal = useCallback(() => {
     if (newGoal.trim() && !profile.fitnessGoals.includes(newGoal.trim())) {
@@ -76,14 +329,71 @@ const UserProfile = () => {
     setProfile((prev) => ({ ...prev, [name]: value }));
   }, []);
 
+  // Handle password input change
+  const handlePasswordChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setPasswords((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
   return (
     <div className="p-6">
       <h2 className="text-3xl font-bold text-blue-600 mb-6">User Profile</h2>
 
+      {user?.emailVerified === false && (
+        <div className="rounded-md bg-yellow-50 border border-yellow-300 p-4 mb-6 flex items-center justify-between">
+          <p className="text-sm text-yellow-800">
+            Confirm your email address with the link we sent to {user.email} to post and comment.
+          </p>
+          <button
+            type="button"
+            onClick={() => resendVerificationEmail()}
+            disabled={resendingVerification}
+            className="bg-yellow-600 text-white px-4 py-2 rounded text-sm hover:bg-yellow-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {resendingVerification ? 'Sending...' : 'Resend email'}
+          </button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Profile Form */}
         <div className="bg-white shadow-md rounded-lg p-6">
           <h3 className="text-xl font-semibold mb-4">Edit Profile</h3>
+          <div className="flex items-center gap-4 mb-6">
+            {user?.profile?.avatar ? (
+              <img
+                src={user.profile.avatar}
+                alt="Profile"
+                className="w-20 h-20 rounded-full object-cover border"
+              />
+            ) : (
+              <div className="w-20 h-20 rounded-full bg-gray-200 flex items-center justify-center text-2xl text-gray-500">
+                {(user?.profile?.name || user?.username || '?').charAt(0).toUpperCase()}
+              </div>
+            )}
+            <div className="flex flex-col gap-2">
+              <label className="cursor-pointer text-blue-600 hover:text-blue-800">
+                {uploadingAvatar ? 'Uploading...' : 'Change picture'}
+                <input
+                  type="file"
+                  accept={AVATAR_TYPES.join(',')}
+                  onChange={handleAvatarChange}
+                  disabled={uploadingAvatar}
+                  className="hidden"
+                />
+              </label>
+              {user?.profile?.avatar && (
+                <button
+                  type="button"
+                  onClick={handleRemoveAvatar}
+                  disabled={removingAvatar}
+                  className="text-left text-red-500 hover:text-red-700 disabled:opacity-50"
+                >
+                  Remove picture
+                </button>
+              )}
+            </div>
+          </div>
           <form onSubmit={handleUpdateProfile}>
             <div className="mb-4">
               <label className="block text-gray-700 mb-2">Name</label>
@@ -109,6 +419,63 @@ const UserProfile = () => {
                 placeholder="Enter your age"
               />
             </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Body Weight</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  name="bodyWeight"
+                  value={profile.bodyWeight}
+                  onChange={handleChange}
+                  min="20"
+                  max="1000"
+                  step="0.1"
+                  className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  placeholder="Used to estimate calories"
+                />
+                <select
+                  name="bodyWeightUnit"
+                  value={profile.bodyWeightUnit}
+                  onChange={handleChange}
+                  className="p-2 border rounded"
+                >
+                  <option value="kg">kg</option>
+                  <option value="lb">lb</option>
+                </select>
+              </div>
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Bio</label>
+              <textarea
+                name="bio"
+                value={profile.bio}
+                onChange={handleChange}
+                maxLength={500}
+                rows={3}
+                className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+                placeholder="Tell others about your training"
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Who can see my profile</label>
+              <select
+                name="profileVisibility"
+                value={profile.profileVisibility}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              >
+                {PROFILE_VISIBILITY_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-gray-500 text-sm mt-1">
+                This also limits who sees your posts and shared workouts. Unless your profile is
+                visible to everyone, you approve each new follower; opening it up accepts pending
+                requests.
+              </p>
+            </div>
             <div className="mb-4">
               <label className="block text-gray-700 mb-2">Fitness Goals</label>
               <div className="flex items-center mb-2">
@@ -165,6 +532,107 @@ const UserProfile = () => {
           </form>
         </div>
 
+        {/* Password Section */}
+        <div className="bg-white shadow-md rounded-lg p-6">
+          <h3 className="text-xl font-semibold mb-4">Change Password</h3>
+          <form onSubmit={handleChangePassword}>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Current Password</label>
+              <input
+                type="password"
+                name="currentPassword"
+                value={passwords.currentPassword}
+                onChange={handlePasswordChange}
+                autoComplete="current-password"
+                required
+                className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">New Password</label>
+              <input
+                type="password"
+                name="newPassword"
+                value={passwords.newPassword}
+                onChange={handlePasswordChange}
+                autoComplete="new-password"
+                minLength={8}
+                required
+                className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+              <p className="text-gray-500 text-sm mt-1">
+                At least 8 characters with an uppercase letter, a lowercase letter and a number.
+              </p>
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Confirm New Password</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={passwords.confirmPassword}
+                onChange={handlePasswordChange}
+                autoComplete="new-password"
+                required
+                className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={changingPassword}
+              className="w-full bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {changingPassword ? 'Changing...' : 'Change Password'}
+            </button>
+          </form>
+        </div>
+
+        {/* Email Section */}
+        <div className="bg-white shadow-md rounded-lg p-6">
+          <h3 className="text-xl font-semibold mb-4">Email Address</h3>
+          <p className="text-gray-600 mb-4">
+            Current address: <span className="font-medium">{user?.email}</span>
+          </p>
+          {pendingEmail && (
+            <p className="text-sm text-green-700 mb-4">
+              We sent a confirmation link to {pendingEmail}. Your address changes once you follow
+              it.
+            </p>
+          )}
+          <form onSubmit={handleChangeEmail}>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">New Email</label>
+              <input
+                type="email"
+                name="email"
+                value={emailChange.email}
+                onChange={handleEmailChangeInput}
+                autoComplete="email"
+                required
+                className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Current Password</label>
+              <input
+                type="password"
+                name="password"
+                value={emailChange.password}
+                onChange={handleEmailChangeInput}
+                autoComplete="current-password"
+                required
+                className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={changingEmail}
+              className="w-full bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {changingEmail ? 'Sending...' : 'Change Email'}
+            </button>
+          </form>
+        </div>
+
         {/* Achievements Section */}
         <div className="bg-white shadow-md rounded-lg p-6">
           <h3 className="text-xl font-semibold mb-4">Achievements</h3>
@@ -189,6 +657,120 @@ const UserProfile = () => {
             </div>
           )}
         </div>
+
+        {/* Two-Factor Section */}
+        <TwoFactorSettings />
+
+        {/* Sessions Section */}
+        <div className="bg-white shadow-md rounded-lg p-6 lg:col-span-2">
+          <h3 className="text-xl font-semibold mb-2">Active Sessions</h3>
+          <p className="text-gray-600 mb-4">
+            Devices signed in to your account. Changing your password signs out all other devices.
+          </p>
+          <ul className="divide-y">
+            {sessions.map((session) => (
+              <li key={session.id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="font-medium">
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <span className="ml-2 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-gray-500 text-sm">
+                    {session.ip} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    type="button"
+                    onClick={() => handleRevokeSession(session.id)}
+                    className="text-red-600 hover:text-red-800 text-sm"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Connected Apps Section */}
+        <ConnectedApps />
+
+        {/* API Keys Section */}
+        <ApiKeys />
+
+        {/* Data Export Section */}
+        <div className="bg-white shadow-md rounded-lg p-6 lg:col-span-2">
+          <h3 className="text-xl font-semibold mb-2">Your Data</h3>
+          <p className="text-gray-600 mb-4">
+            Download a ZIP of your profile, workouts, posts, comments, challenges and achievements
+            as JSON and CSV files.
+          </p>
+          {dataExport?.status === 'ready' ? (
+            <p>
+              <a
+                href={downloadUrl}
+                className="inline-block bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition"
+              >
+                Download export
+              </a>
+              <span className="text-gray-500 text-sm ml-3">
+                Link expires {new Date(dataExport.expiresAt).toLocaleString()}
+              </span>
+            </p>
+          ) : (
+            <button
+              type="button"
+              onClick={handleRequestExport}
+              disabled={exportRequesting || ['pending', 'processing'].includes(dataExport?.status)}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {['pending', 'processing'].includes(dataExport?.status) ? (
+                <span className="flex items-center">
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Preparing export...
+                </span>
+              ) : (
+                'Export my data'
+              )}
+            </button>
+          )}
+          {dataExport?.status === 'failed' && (
+            <p className="text-red-600 text-sm mt-2">{dataExport.error}</p>
+          )}
+        </div>
+
+        {/* Delete Account Section */}
+        <div className="bg-white shadow-md rounded-lg p-6 lg:col-span-2 border border-red-200">
+          <h3 className="text-xl font-semibold text-red-600 mb-2">Delete Account</h3>
+          <p className="text-gray-600 mb-4">
+            Your account is deactivated right away and permanently deleted, together with your
+            workouts, posts and comments, after a grace period. Signing in before then lets you
+            restore it.
+          </p>
+          <form onSubmit={handleDeleteAccount} className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              className="p-2 border rounded focus:outline-none focus:ring-2 focus:ring-red-600"
+              placeholder="Confirm with your password"
+              autoComplete="current-password"
+              required
+            />
+            <button
+              type="submit"
+              disabled={deleting || !deletePassword}
+              className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {deleting ? 'Deleting...' : 'Delete my account'}
+            </button>
+          </form>
+        </div>
       </div>
     </div>
   );
@@ -11,6 +11,199 @@ import { format } from 'date-fns';
 import { apiService } from '../services/api';
 import useApi from '../hooks/useApi';
 import LoadingSpinner from './LoadingSpinner';
+import CsvImport from './CsvImport';
+
+/**
+ * Available set types
+ */
+const SET_TYPES = [
+  { value: 'warmup', label: 'Warm-up' },
+  { value: 'working', label: 'Working' },
+  { value: 'drop', label: 'Drop' },
+  { value: 'failure', label: 'Failure' },
+];
+
+/**
+ * Available cardio activity types
+ */
+const ACTIVITY_TYPES = [
+  { value: 'run', label: 'Run' },
+  { value: 'ride', label: 'Ride' },
+  { value: 'walk', label: 'Walk' },
+  { value: 'hike', label: 'Hike' },
+  { value: 'row', label: 'Row' },
+  { value: 'swim', label: 'Swim' },
+  { value: 'elliptical', label: 'Elliptical' },
+  { value: 'other', label: 'Other' },
+];
+
+/**
+ * Upload content types by activity file extension
+ */
+const ACTIVITY_FILE_TYPES = {
+  gpx: 'application/gpx+xml',
+  tcx: 'application/vnd.garmin.tcx+xml',
+  fit: 'application/vnd.ant.fit',
+};
+
+/**
+ * Repeat options for recurring workouts
+ */
+const REPEAT_OPTIONS = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'daily', label: 'Every day' },
+  { value: 'alternate', label: 'Every other day' },
+  { value: 'weekly', label: 'Weekly on...' },
+];
+
+/**
+ * Who can see a workout shared in a post; the profile setting may narrow it further
+ */
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'followers', label: 'Followers' },
+  { value: 'private', label: 'Only me' },
+];
+
+/**
+ * RRULE weekday codes, indexed like Date#getDay (0 = Sunday)
+ */
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Build the recurrence payload for a repeating workout
+ * The series follows the browser's time zone, so weekdays and the time of day stay local across DST.
+ * @param {Object} repeat - Repeat form values
+ * @param {Date} date - Selected start date
+ * @returns {Object} { rrule, dtstart, tzid }
+ */
+const buildRecurrence = (repeat, date) => {
+  const [hours, minutes] = repeat.time.split(':').map(Number);
+  const dtstart = new Date(date);
+  dtstart.setHours(hours, minutes, 0, 0);
+
+  const parts = [repeat.frequency === 'weekly' ? 'FREQ=WEEKLY' : 'FREQ=DAILY'];
+  if (repeat.frequency === 'alternate') parts.push('INTERVAL=2');
+  if (repeat.frequency === 'weekly') {
+    const days = repeat.weekdays.length > 0 ? repeat.weekdays : [dtstart.getDay()];
+    parts.push(`BYDAY=${days.map((day) => WEEKDAYS[day]).join(',')}`);
+  }
+  if (repeat.until) {
+    const until = new Date(`${repeat.until}T23:59:59`);
+    parts.push(`UNTIL=${until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+
+  return {
+    rrule: parts.join(';'),
+    dtstart: dtstart.toISOString(),
+    tzid: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
+};
+
+/**
+ * Create an empty set row
+ * @returns {Object} Blank set form values
+ */
+const createEmptySet = () => ({
+  reps: '',
+  weight: '',
+  weightUnit: 'kg',
+  rpe: '',
+  restSeconds: '',
+  type: 'working',
+});
+
+/**
+ * Convert set form values into the API payload shape
+ * @param {Object} set - Set form values
+ * @returns {Object} Set payload
+ */
+const toSetPayload = (set) => ({
+  reps: parseInt(set.reps, 10) || 0,
+  weight: parseFloat(set.weight) || 0,
+  weightUnit: set.weightUnit,
+  rpe: set.rpe === '' ? null : parseFloat(set.rpe),
+  restSeconds: set.restSeconds === '' ? null : parseInt(set.restSeconds, 10),
+  type: set.type,
+  ...(set.targetReps && { targetReps: set.targetReps }),
+  ...(set.targetWeight && { targetWeight: set.targetWeight }),
+});
+
+/**
+ * Create an empty cardio activity row
+ * @returns {Object} Blank cardio form values
+ */
+const createEmptyCardio = () => ({
+  activityType: 'run',
+  distance: '',
+  distanceUnit: 'km',
+  minutes: '',
+  elevationGain: '',
+  avgHeartRate: '',
+  maxHeartRate: '',
+  splits: [],
+});
+
+/**
+ * Parse an optional numeric form value
+ * @param {string} value - Form value
+ * @returns {number|null} Parsed number or null when blank
+ */
+const toOptionalNumber = (value) => (value === '' ? null : parseFloat(value));
+
+/**
+ * Convert cardio form values into the API payload shape
+ * Times are entered in minutes and sent in seconds
+ * @param {Object} entry - Cardio form values
+ * @returns {Object} Cardio payload
+ */
+const toCardioPayload = (entry) => ({
+  activityType: entry.activityType,
+  distance: parseFloat(entry.distance) || 0,
+  distanceUnit: entry.distanceUnit,
+  movingTimeSeconds: Math.round((parseFloat(entry.minutes) || 0) * 60),
+  elevationGain: toOptionalNumber(entry.elevationGain),
+  avgHeartRate: toOptionalNumber(entry.avgHeartRate),
+  maxHeartRate: toOptionalNumber(entry.maxHeartRate),
+  splits: entry.splits.map((split) => ({
+    distance: parseFloat(split.distance) || 0,
+    movingTimeSeconds: Math.round((parseFloat(split.minutes) || 0) * 60),
+  })),
+});
+
+/**
+ * Expand a template exercise into set form rows
+ * Targets are kept apart from the performed reps and weight, which stay empty until logged
+ * @param {Object} entry - Template exercise entry
+ * @returns {Object} Selected exercise entry with target sets
+ */
+const fromTemplateExercise = (entry) => ({
+  exercise: entry.exercise?._id || entry.exercise,
+  sets: Array.from({ length: entry.targetSets }, () => ({
+    ...createEmptySet(),
+    targetReps: entry.targetReps,
+    targetWeight: entry.targetWeight || null,
+    weightUnit: entry.weightUnit || 'kg',
+    restSeconds: entry.restSeconds === null || entry.restSeconds === undefined ? '' : String(entry.restSeconds),
+  })),
+});
+
+/**
+ * Summarize a selected exercise's sets as template targets
+ * @param {Object} entry - Selected exercise entry
+ * @returns {Object} Template exercise payload
+ */
+const toTemplateExercise = (entry) => {
+  const [firstSet] = entry.sets.map(toSetPayload);
+  return {
+    exercise: entry.exercise,
+    targetSets: Math.max(entry.sets.length, 1),
+    targetReps: Math.max(firstSet?.reps || firstSet?.targetReps || 0, 1),
+    targetWeight: firstSet?.weight || firstSet?.targetWeight || 0,
+    weightUnit: firstSet?.weightUnit || 'kg',
+    restSeconds: firstSet?.restSeconds ?? null,
+  };
+};
 
 /**
  * WorkoutPlanner component
@@ -18,13 +211,23 @@ import LoadingSpinner from './LoadingSpinner';
  */
 const WorkoutPlanner = () => {
   const [selectedExercises, setSelectedExercises] = useState([]);
+  const [cardio, setCardio] = useState([]);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     duration: '',
     caloriesBurned: '',
+    visibility: 'public',
+    completed: false,
   });
   const [date, setDate] = useState(new Date());
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [repeat, setRepeat] = useState({
+    frequency: 'none',
+    weekdays: [],
+    time: '07:00',
+    until: '',
+  });
 
   // Fetch exercises
   const {
@@ -40,28 +243,218 @@ const WorkoutPlanner = () => {
     reset: resetCreate,
   } = useApi(apiService.createWorkout, { showSuccessToast: true, showErrorToast: true });
 
+  // Create recurring series
+  const { loading: createSeriesLoading, execute: createSeries } = useApi(apiService.createSeries, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  // Calendar sync
+  const {
+    data: calendarTokenData,
+    loading: calendarTokenLoading,
+    execute: createCalendarToken,
+  } = useApi(apiService.createCalendarToken, { showErrorToast: true });
+  const { loading: importLoading, execute: importCalendar } = useApi(apiService.importCalendar, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const {
+    data: activityImportData,
+    loading: activityImportLoading,
+    execute: importActivity,
+  } = useApi(
+    apiService.importActivity,
+    { showSuccessToast: true, showErrorToast: true },
+  );
+
+  // Templates
+  const { data: templatesData, execute: fetchTemplates } = useApi(apiService.getTemplates, {
+    showErrorToast: true,
+  });
+  const { loading: saveTemplateLoading, execute: saveTemplate } = useApi(apiService.createTemplate, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+  const { loading: instantiateLoading, execute: instantiateTemplate } = useApi(
+    apiService.instantiateTemplate,
+    { showSuccessToast: true, showErrorToast: true },
+  );
+
   useEffect(() => {
     fetchExercises({ limit: 100 });
-  }, [fetchExercises]);
+    fetchTemplates({ limit: 100 });
+  }, [fetchExercises, fetchTemplates]);
+
+  // Memoize templates list
+  const templates = useMemo(() => {
+    return templatesData?.templates || [];
+  }, [templatesData]);
+
+  const selectedTemplate = useMemo(() => {
+    return templates.find((template) => template._id === selectedTemplateId) || null;
+  }, [templates, selectedTemplateId]);
+
+  // Load a template into the form so it can be tweaked before saving
+  const handleLoadTemplate = useCallback(() => {
+    if (!selectedTemplate) return;
+
+    setFormData((prev) => ({
+      ...prev,
+      title: selectedTemplate.title,
+      description: selectedTemplate.description || '',
+      duration: selectedTemplate.estimatedDuration ? String(selectedTemplate.estimatedDuration) : '',
+    }));
+    setSelectedExercises(selectedTemplate.exercises.map(fromTemplateExercise));
+  }, [selectedTemplate]);
+
+  // Schedule the template as-is on the selected date
+  const handleScheduleTemplate = useCallback(async () => {
+    if (!selectedTemplate) return;
+
+    await instantiateTemplate(selectedTemplate._id, { date: format(date, 'yyyy-MM-dd') });
+  }, [selectedTemplate, date, instantiateTemplate]);
+
+  // Save the current form as a reusable template
+  const handleSaveTemplate = useCallback(async () => {
+    if (!formData.title || selectedExercises.length === 0) return;
+
+    const result = await saveTemplate({
+      title: formData.title,
+      description: formData.description || '',
+      exercises: selectedExercises.map(toTemplateExercise),
+      estimatedDuration: parseInt(formData.duration, 10) || 0,
+    });
+    if (result.success) {
+      fetchTemplates({ limit: 100 });
+    }
+  }, [formData, selectedExercises, saveTemplate, fetchTemplates]);
 
   // Memoize exercises list
   const exercises = useMemo(() => {
     return exercisesData?.exercises || [];
   }, [exercisesData]);
 
+  // Map exercise IDs to names for the set editor
+  const exerciseNames = useMemo(() => {
+    return exercises.reduce((acc, exercise) => {
+      acc[exercise._id || exercise.id] = exercise.name;
+      return acc;
+    }, {});
+  }, [exercises]);
+
   // Handle exercise toggle
   const handleExerciseToggle = useCallback((exerciseId) => {
     setSelectedExercises((prev) =>
-      prev.includes(exerciseId)
-        ? prev.filter((id) => id !== exerciseId)
-        : [...prev, exerciseId],
+      prev.some((entry) => entry.exercise === exerciseId)
+        ? prev.filter((entry) => entry.exercise !== exerciseId)
+        : [...prev, { exercise: exerciseId, sets: [createEmptySet()] }],
+    );
+  }, []);
+
+  // Handle set field change
+  const handleSetChange = useCallback((exerciseId, setIndex, field, value) => {
+    setSelectedExercises((prev) =>
+      prev.map((entry) =>
+        entry.exercise === exerciseId
+          ? {
+              ...entry,
+              sets: entry.sets.map((set, i) => (i === setIndex ? { ...set, [field]: value } : set)),
+            }
+          : entry,
+      ),
+    );
+  }, []);
+
+  // Add a set, copying the previous one to speed up entry
+  const handleAddSet = useCallback((exerciseId) => {
+    setSelectedExercises((prev) =>
+      prev.map((entry) => {
+        if (entry.exercise !== exerciseId) return entry;
+        const lastSet = entry.sets[entry.sets.length - 1];
+        return { ...entry, sets: [...entry.sets, lastSet ? { ...lastSet } : createEmptySet()] };
+      }),
+    );
+  }, []);
+
+  // Remove a set
+  const handleRemoveSet = useCallback((exerciseId, setIndex) => {
+    setSelectedExercises((prev) =>
+      prev.map((entry) =>
+        entry.exercise === exerciseId
+          ? { ...entry, sets: entry.sets.filter((_, i) => i !== setIndex) }
+          : entry,
+      ),
+    );
+  }, []);
+
+  // Add a cardio activity
+  const handleAddCardio = useCallback(() => {
+    setCardio((prev) => [...prev, createEmptyCardio()]);
+  }, []);
+
+  // Remove a cardio activity
+  const handleRemoveCardio = useCallback((index) => {
+    setCardio((prev) => prev.filter((_, i) => i !== index));
+  }, []);
+
+  // Handle cardio field change
+  const handleCardioChange = useCallback((index, field, value) => {
+    setCardio((prev) => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  }, []);
+
+  // Apply an update to an activity's laps
+  const handleSplitsChange = useCallback((index, update) => {
+    setCardio((prev) =>
+      prev.map((entry, i) => (i === index ? { ...entry, splits: update(entry.splits) } : entry)),
     );
   }, []);
 
   // Handle form change
   const handleChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  }, []);
+
+  // Import an .ics file as planned workouts
+  const handleImportCalendar = useCallback(
+    async (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (!file) return;
+
+      await importCalendar(await file.text());
+    },
+    [importCalendar],
+  );
+
+  // Import a recorded GPX, TCX or FIT activity as a completed workout
+  const handleImportActivity = useCallback(
+    async (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (!file) return;
+
+      const extension = file.name.toLowerCase().split('.').pop();
+      await importActivity(file, ACTIVITY_FILE_TYPES[extension] || 'application/octet-stream');
+    },
+    [importActivity],
+  );
+
+  // Handle repeat field change
+  const handleRepeatChange = useCallback((e) => {
     const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+    setRepeat((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  // Toggle a weekday for weekly repeats
+  const handleWeekdayToggle = useCallback((day) => {
+    setRepeat((prev) => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter((d) => d !== day)
+        : [...prev.weekdays, day].sort((a, b) => a - b),
+    }));
   }, []);
 
   // Handle form submission
@@ -69,20 +462,38 @@ const WorkoutPlanner = () => {
     async (e) => {
       e.preventDefault();
 
-      if (!formData.title || selectedExercises.length === 0) {
+      if (!formData.title || (selectedExercises.length === 0 && cardio.length === 0)) {
         return;
       }
 
       const workoutData = {
         title: formData.title,
         description: formData.description || '',
-        exercises: selectedExercises,
+        exercises: selectedExercises.map((entry) => ({
+          exercise: entry.exercise,
+          sets: entry.sets.map(toSetPayload),
+        })),
+        cardio: cardio.map(toCardioPayload),
         duration: parseInt(formData.duration, 10) || 0,
-        caloriesBurned: parseInt(formData.caloriesBurned, 10) || 0,
+        // Omitted calories are estimated from exercise METs and body weight
+        ...(formData.caloriesBurned !== '' && {
+          caloriesBurned: parseInt(formData.caloriesBurned, 10) || 0,
+        }),
         date: format(date, 'yyyy-MM-dd'),
+        status: formData.completed ? 'completed' : 'planned',
+        visibility: formData.visibility,
       };
 
-      const result = await createWorkout(workoutData);
+      const isRecurring = repeat.frequency !== 'none';
+      const result = isRecurring
+        ? await createSeries({
+            title: workoutData.title,
+            description: workoutData.description,
+            exercises: workoutData.exercises,
+            duration: workoutData.duration,
+            ...buildRecurrence(repeat, date),
+          })
+        : await createWorkout(workoutData);
       if (result.success) {
         // Reset form
         setFormData({
@@ -90,15 +501,23 @@ const WorkoutPlanner = () => {
           description: '',
           duration: '',
           caloriesBurned: '',
+          visibility: 'public',
+          completed: false,
         });
         setSelectedExercises([]);
+        setCardio([]);
         setDate(new Date());
+        setRepeat((prev) => ({ ...prev, frequency: 'none', weekdays: [], until: '' }));
         resetCreate();
       }
     },
-    [formData, selectedExercises, date, createWorkout, resetCreate],
+    [formData, selectedExercises, cardio, date, repeat, createWorkout, createSeries, resetCreate],
   );
 
+  // Recurring schedules repeat strength exercises only
+  const hasContent =
+    selectedExercises.length > 0 || (cardio.length > 0 && repeat.frequency === 'none');
+
   if (exercisesLoading) {
     return (
       <div className="p-6 flex items-center justify-center min-h-screen">
@@ -115,6 +534,39 @@ const WorkoutPlanner = () => {
         {/* Workout Form */}
         <div className="bg-white shadow-md rounded-lg p-6">
           <h3 className="text-xl font-semibold mb-4">Create Workout</h3>
+          <div className="mb-4 p-3 bg-gray-50 border rounded">
+            <label className="block text-gray-700 mb-2">Start from template</label>
+            <div className="flex flex-wrap gap-2">
+              <select
+                value={selectedTemplateId}
+                onChange={(e) => setSelectedTemplateId(e.target.value)}
+                className="flex-1 p-2 border rounded"
+              >
+                <option value="">Select a template</option>
+                {templates.map((template) => (
+                  <option key={template._id} value={template._id}>
+                    {template.title} ({template.exercises.length} exercises)
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleLoadTemplate}
+                disabled={!selectedTemplate}
+                className="px-3 py-2 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+              >
+                Load
+              </button>
+              <button
+                type="button"
+                onClick={handleScheduleTemplate}
+                disabled={!selectedTemplate || instantiateLoading}
+                className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                Schedule on {format(date, 'MMM d')}
+              </button>
+            </div>
+          </div>
           <form onSubmit={handleSubmit}>
             <div className="mb-4">
               <label className="block text-gray-700 mb-2">Title *</label>
@@ -160,11 +612,26 @@ const WorkoutPlanner = () => {
                 onChange={handleChange}
                 min="0"
                 className="w-full p-2 border rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
-                placeholder="Enter calories burned"
+                placeholder="Leave blank to estimate"
               />
             </div>
             <div className="mb-4">
-              <label className="block text-gray-700 mb-2">Select Exercises *</label>
+              <label className="block text-gray-700 mb-2">Who can see it when shared</label>
+              <select
+                name="visibility"
+                value={formData.visibility}
+                onChange={handleChange}
+                className="w-full p-2 border rounded"
+              >
+                {VISIBILITY_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Select Exercises</label>
               <div className="max-h-40 overflow-y-auto border rounded p-2">
                 {exercises.length === 0 ? (
                   <p className="text-gray-500">No exercises available</p>
@@ -173,7 +640,9 @@ const WorkoutPlanner = () => {
                     <div key={exercise._id || exercise.id} className="flex items-center mb-2">
                       <input
                         type="checkbox"
-                        checked={selectedExercises.includes(exercise._id || exercise.id)}
+                        checked={selectedExercises.some(
+                          (entry) => entry.exercise === (exercise._id || exercise.id),
+                        )}
                         onChange={() => handleExerciseToggle(exercise._id || exercise.id)}
                         className="mr-2"
                       />
@@ -185,20 +654,313 @@ const WorkoutPlanner = () => {
                 )}
               </div>
             </div>
+            {selectedExercises.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-gray-700 mb-2">Sets</label>
+                {selectedExercises.map((entry) => (
+                  <div key={entry.exercise} className="border rounded p-2 mb-2">
+                    <p className="font-medium mb-2">{exerciseNames[entry.exercise]}</p>
+                    {entry.sets.map((set, setIndex) => (
+                      <div key={setIndex} className="flex flex-wrap items-center gap-2 mb-2">
+                        <span className="text-gray-600 w-6">{setIndex + 1}.</span>
+                        <input
+                          type="number"
+                          value={set.reps}
+                          onChange={(e) => handleSetChange(entry.exercise, setIndex, 'reps', e.target.value)}
+                          min="0"
+                          className="w-16 p-1 border rounded"
+                          placeholder={set.targetReps ? `${set.targetReps} reps` : 'Reps'}
+                        />
+                        <input
+                          type="number"
+                          value={set.weight}
+                          onChange={(e) => handleSetChange(entry.exercise, setIndex, 'weight', e.target.value)}
+                          min="0"
+                          step="0.5"
+                          className="w-20 p-1 border rounded"
+                          placeholder={set.targetWeight ? `${set.targetWeight} ${set.weightUnit}` : 'Weight'}
+                        />
+                        <select
+                          value={set.weightUnit}
+                          onChange={(e) => handleSetChange(entry.exercise, setIndex, 'weightUnit', e.target.value)}
+                          className="p-1 border rounded"
+                        >
+                          <option value="kg">kg</option>
+                          <option value="lb">lb</option>
+                        </select>
+                        <input
+                          type="number"
+                          value={set.rpe}
+                          onChange={(e) => handleSetChange(entry.exercise, setIndex, 'rpe', e.target.value)}
+                          min="1"
+                          max="10"
+                          step="0.5"
+                          className="w-16 p-1 border rounded"
+                          placeholder="RPE"
+                        />
+                        <input
+                          type="number"
+                          value={set.restSeconds}
+                          onChange={(e) => handleSetChange(entry.exercise, setIndex, 'restSeconds', e.target.value)}
+                          min="0"
+                          className="w-20 p-1 border rounded"
+                          placeholder="Rest (s)"
+                        />
+                        <select
+                          value={set.type}
+                          onChange={(e) => handleSetChange(entry.exercise, setIndex, 'type', e.target.value)}
+                          className="p-1 border rounded"
+                        >
+                          {SET_TYPES.map((type) => (
+                            <option key={type.value} value={type.value}>
+                              {type.label}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveSet(entry.exercise, setIndex)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => handleAddSet(entry.exercise)}
+                      className="text-blue-600 hover:underline"
+                    >
+                      + Add set
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Cardio</label>
+              {cardio.map((entry, index) => (
+                <div key={index} className="border rounded p-2 mb-2">
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <select
+                      value={entry.activityType}
+                      onChange={(e) => handleCardioChange(index, 'activityType', e.target.value)}
+                      className="p-1 border rounded"
+                    >
+                      {ACTIVITY_TYPES.map((type) => (
+                        <option key={type.value} value={type.value}>
+                          {type.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={entry.distance}
+                      onChange={(e) => handleCardioChange(index, 'distance', e.target.value)}
+                      min="0"
+                      step="0.01"
+                      className="w-20 p-1 border rounded"
+                      placeholder="Distance"
+                    />
+                    <select
+                      value={entry.distanceUnit}
+                      onChange={(e) => handleCardioChange(index, 'distanceUnit', e.target.value)}
+                      className="p-1 border rounded"
+                    >
+                      <option value="km">km</option>
+                      <option value="mi">mi</option>
+                    </select>
+                    <input
+                      type="number"
+                      value={entry.minutes}
+                      onChange={(e) => handleCardioChange(index, 'minutes', e.target.value)}
+                      min="0"
+                      step="0.1"
+                      className="w-24 p-1 border rounded"
+                      placeholder="Time (min)"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveCardio(index)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <input
+                      type="number"
+                      value={entry.elevationGain}
+                      onChange={(e) => handleCardioChange(index, 'elevationGain', e.target.value)}
+                      min="0"
+                      className="w-24 p-1 border rounded"
+                      placeholder="Elev. (m)"
+                    />
+                    <input
+                      type="number"
+                      value={entry.avgHeartRate}
+                      onChange={(e) => handleCardioChange(index, 'avgHeartRate', e.target.value)}
+                      min="30"
+                      max="250"
+                      className="w-20 p-1 border rounded"
+                      placeholder="Avg HR"
+                    />
+                    <input
+                      type="number"
+                      value={entry.maxHeartRate}
+                      onChange={(e) => handleCardioChange(index, 'maxHeartRate', e.target.value)}
+                      min="30"
+                      max="250"
+                      className="w-20 p-1 border rounded"
+                      placeholder="Max HR"
+                    />
+                  </div>
+                  {entry.splits.map((split, splitIndex) => (
+                    <div key={splitIndex} className="flex flex-wrap items-center gap-2 mb-2">
+                      <span className="text-gray-600">Lap {splitIndex + 1}</span>
+                      <input
+                        type="number"
+                        value={split.distance}
+                        onChange={(e) =>
+                          handleSplitsChange(index, (splits) =>
+                            splits.map((s, i) => (i === splitIndex ? { ...s, distance: e.target.value } : s)),
+                          )
+                        }
+                        min="0"
+                        step="0.01"
+                        className="w-20 p-1 border rounded"
+                        placeholder={entry.distanceUnit}
+                      />
+                      <input
+                        type="number"
+                        value={split.minutes}
+                        onChange={(e) =>
+                          handleSplitsChange(index, (splits) =>
+                            splits.map((s, i) => (i === splitIndex ? { ...s, minutes: e.target.value } : s)),
+                          )
+                        }
+                        min="0"
+                        step="0.1"
+                        className="w-24 p-1 border rounded"
+                        placeholder="Time (min)"
+                      />
+                      <button
+                        type="button"
+                        onClick={() =>
+                          handleSplitsChange(index, (splits) => splits.filter((_, i) => i !== splitIndex))
+                        }
+                        className="text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleSplitsChange(index, (splits) => [...splits, { distance: '', minutes: '' }])
+                    }
+                    className="text-blue-600 hover:underline"
+                  >
+                    + Add lap
+                  </button>
+                </div>
+              ))}
+              <button type="button" onClick={handleAddCardio} className="text-blue-600 hover:underline">
+                + Add cardio activity
+              </button>
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Repeat</label>
+              <div className="flex flex-wrap gap-2">
+                <select
+                  name="frequency"
+                  value={repeat.frequency}
+                  onChange={handleRepeatChange}
+                  className="flex-1 p-2 border rounded"
+                >
+                  {REPEAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {repeat.frequency !== 'none' && (
+                  <>
+                    <input
+                      type="time"
+                      name="time"
+                      value={repeat.time}
+                      onChange={handleRepeatChange}
+                      required
+                      className="p-2 border rounded"
+                    />
+                    <input
+                      type="date"
+                      name="until"
+                      value={repeat.until}
+                      onChange={handleRepeatChange}
+                      className="p-2 border rounded"
+                      title="Repeat until (optional)"
+                    />
+                  </>
+                )}
+              </div>
+              {repeat.frequency === 'weekly' && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {WEEKDAYS.map((code, day) => (
+                    <button
+                      key={code}
+                      type="button"
+                      onClick={() => handleWeekdayToggle(day)}
+                      className={`px-2 py-1 border rounded ${
+                        repeat.weekdays.includes(day) ? 'bg-blue-600 text-white' : 'text-gray-700'
+                      }`}
+                    >
+                      {code}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="mb-4 flex items-center">
+              <input
+                type="checkbox"
+                id="completed"
+                name="completed"
+                checked={formData.completed && repeat.frequency === 'none'}
+                onChange={handleChange}
+                disabled={repeat.frequency !== 'none'}
+                className="mr-2"
+              />
+              <label htmlFor="completed" className="text-gray-700">
+                Already completed (log sets and check for personal records)
+              </label>
+            </div>
             <button
               type="submit"
-              disabled={createLoading || !formData.title || selectedExercises.length === 0}
+              disabled={createLoading || createSeriesLoading || !formData.title || !hasContent}
               className="w-full bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {createLoading ? (
+              {createLoading || createSeriesLoading ? (
                 <span className="flex items-center justify-center">
                   <LoadingSpinner size="sm" className="mr-2" />
                   Creating...
                 </span>
+              ) : repeat.frequency !== 'none' ? (
+                'Create Recurring Workout'
               ) : (
                 'Create Workout'
               )}
             </button>
+            <button
+              type="button"
+              onClick={handleSaveTemplate}
+              disabled={saveTemplateLoading || !formData.title || selectedExercises.length === 0}
+              className="w-full mt-2 border border-blue-600 text-blue-600 px-4 py-2 rounded hover:bg-blue-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save as Template
+            </button>
           </form>
         </div>
 
@@ -209,6 +971,62 @@ const WorkoutPlanner = () => {
           <p className="mt-4 text-gray-700">
             Selected Date: {format(date, 'MMMM d, yyyy')}
           </p>
+
+          <div className="mt-6 pt-4 border-t">
+            <h4 className="font-semibold mb-2">Calendar Sync</h4>
+            <p className="text-sm text-gray-600 mb-2">
+              Subscribe to your workouts from any calendar app. Creating a new link revokes the old one.
+            </p>
+            <button
+              type="button"
+              onClick={() => createCalendarToken()}
+              disabled={calendarTokenLoading}
+              className="px-3 py-2 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+            >
+              {calendarTokenData ? 'Create New Feed Link' : 'Get Feed Link'}
+            </button>
+            {calendarTokenData?.feedUrl && (
+              <input
+                type="text"
+                readOnly
+                value={calendarTokenData.feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="w-full mt-2 p-2 border rounded text-sm bg-gray-50"
+              />
+            )}
+            <label className="block text-gray-700 mt-4 mb-2">Import .ics file</label>
+            <input
+              type="file"
+              accept=".ics,text/calendar"
+              onChange={handleImportCalendar}
+              disabled={importLoading}
+              className="text-sm"
+            />
+          </div>
+
+          <div className="mt-6 border-t pt-4">
+            <h4 className="font-semibold mb-2">Import Activity</h4>
+            <p className="text-sm text-gray-600 mb-2">
+              Add a run, ride, gym session or other activity recorded on a watch or bike computer
+              (.gpx, .tcx or .fit file).
+            </p>
+            <input
+              type="file"
+              accept=".gpx,.tcx,.fit"
+              onChange={handleImportActivity}
+              disabled={activityImportLoading}
+              className="text-sm"
+            />
+            {activityImportData?.warnings?.length > 0 && (
+              <ul className="mt-2 text-sm text-yellow-700 list-disc list-inside">
+                {activityImportData.warnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <CsvImport exercises={exercises} />
         </div>
       </div>
     </div>
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Workout Session Component
+ * @description Live workout mode with elapsed time, rest timer and set logging
+ * @module components/WorkoutSession
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { apiService } from '../services/api';
+import useApi from '../hooks/useApi';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * Rest used when the last set has no rest prescribed
+ */
+const DEFAULT_REST_SECONDS = 90;
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ * @param {number} totalSeconds - Seconds to format
+ * @returns {string} Formatted time
+ */
+const formatClock = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Find the most recently completed set, which drives the rest timer
+ * Derived from server state so the timer survives a page reload
+ * @param {Object} workout - Session workout
+ * @returns {Object|null} Last completed set
+ */
+const findLastSet = (workout) => {
+  const sets = workout.exercises.flatMap((entry) => entry.sets).filter((set) => set.completedAt);
+  return sets.reduce(
+    (latest, set) => (!latest || new Date(set.completedAt) > new Date(latest.completedAt) ? set : latest),
+    null,
+  );
+};
+
+/**
+ * Build the set form from a planned set, prefilled with its targets
+ * @param {Object} [set] - Planned set
+ * @returns {Object} Set form values
+ */
+const toSetForm = (set) => ({
+  reps: String(set?.reps || set?.targetReps || ''),
+  weight: String(set?.weight || set?.targetWeight || ''),
+  weightUnit: set?.weightUnit || 'kg',
+  rpe: set?.rpe ? String(set.rpe) : '',
+});
+
+/**
+ * WorkoutSession component
+ * Resumes the running session on load, so a reload never loses progress
+ */
+const WorkoutSession = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [workout, setWorkout] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [loadedAt, setLoadedAt] = useState(Date.now());
+  const [setForm, setSetForm] = useState(toSetForm());
+
+  const { loading: activeLoading, execute: fetchActive } = useApi(apiService.getActiveSession, {
+    showErrorToast: true,
+  });
+  const { loading: startLoading, execute: startSession } = useApi(apiService.startSession, {
+    showErrorToast: true,
+  });
+  const { loading: pauseLoading, execute: pauseSession } = useApi(apiService.pauseSession, {
+    showErrorToast: true,
+  });
+  const { loading: logLoading, execute: logSet } = useApi(apiService.logSessionSet, {
+    showErrorToast: true,
+  });
+  const { loading: finishLoading, execute: finishSession } = useApi(apiService.finishSession, {
+    showSuccessToast: true,
+    showErrorToast: true,
+  });
+
+  // Store the latest session snapshot and the time it was taken
+  const applyResult = useCallback((result) => {
+    if (result.success) {
+      setWorkout(result.data.workout);
+      setLoadedAt(Date.now());
+    }
+    return result;
+  }, []);
+
+  useEffect(() => {
+    fetchActive().then(applyResult);
+  }, [fetchActive, applyResult]);
+
+  // Tick once a second for the clocks
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const session = workout?.session;
+  const workoutId = workout?._id || workout?.id;
+
+  const currentEntry = session?.current ? workout.exercises[session.current.index] : null;
+  const nextEntry = session?.next ? workout.exercises[session.next.index] : null;
+  const plannedSet = currentEntry ? currentEntry.sets[session.current.setIndex] : null;
+
+  // Prefill the form from the next planned set
+  useEffect(() => {
+    setSetForm(toSetForm(plannedSet));
+  }, [plannedSet]);
+
+  const elapsedSeconds = useMemo(() => {
+    if (!session) return 0;
+    const sinceLoad = session.isPaused ? 0 : (now - loadedAt) / 1000;
+    return session.activeSeconds + sinceLoad;
+  }, [session, now, loadedAt]);
+
+  const restRemaining = useMemo(() => {
+    if (!workout || session?.isPaused) return 0;
+    const lastSet = findLastSet(workout);
+    if (!lastSet) return 0;
+    const rest = lastSet.restSeconds ?? DEFAULT_REST_SECONDS;
+    return rest - (now - new Date(lastSet.completedAt).getTime()) / 1000;
+  }, [workout, session, now]);
+
+  const handleStart = useCallback(async () => {
+    await startSession(id).then(applyResult);
+  }, [id, startSession, applyResult]);
+
+  const handlePause = useCallback(async () => {
+    const action = session?.isPaused ? startSession : pauseSession;
+    await action(workoutId).then(applyResult);
+  }, [session, workoutId, startSession, pauseSession, applyResult]);
+
+  const handleFormChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setSetForm((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  // Complete the planned set, or append an extra one to the current exercise
+  const handleLogSet = useCallback(
+    async (extra = false) => {
+      const entry = currentEntry || workout.exercises[workout.exercises.length - 1];
+      if (!entry) return;
+
+      await logSet(workoutId, {
+        exercise: entry.exercise?._id || entry.exercise,
+        ...(!extra && currentEntry && { setIndex: session.current.setIndex }),
+        reps: parseInt(setForm.reps, 10) || 0,
+        weight: parseFloat(setForm.weight) || 0,
+        weightUnit: setForm.weightUnit,
+        ...(setForm.rpe !== '' && { rpe: parseFloat(setForm.rpe) }),
+        restSeconds: plannedSet?.restSeconds ?? null,
+      }).then(applyResult);
+    },
+    [currentEntry, workout, workoutId, session, setForm, plannedSet, logSet, applyResult],
+  );
+
+  const handleFinish = useCallback(async () => {
+    const result = await finishSession(workoutId);
+    if (result.success) {
+      navigate('/');
+    }
+  }, [workoutId, finishSession, navigate]);
+
+  if (activeLoading && !workout) {
+    return (
+      <div className="p-6 flex items-center justify-center min-h-screen">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  // No running session: offer to start the requested workout
+  if (!workout || (id && workoutId !== id)) {
+    return (
+      <div className="p-6">
+        <h2 className="text-3xl font-bold text-blue-600 mb-6">Workout Session</h2>
+        <div className="bg-white shadow-md rounded-lg p-6">
+          {workout && (
+            <p className="text-gray-700 mb-4">
+              &quot;{workout.title}&quot; is still in progress. Finish it before starting another
+              workout.
+            </p>
+          )}
+          {!workout && !id && <p className="text-gray-500">No workout session in progress.</p>}
+          {workout ? (
+            <button
+              type="button"
+              onClick={() => navigate(`/session/${workoutId}`)}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+            >
+              Resume &quot;{workout.title}&quot;
+            </button>
+          ) : (
+            id && (
+              <button
+                type="button"
+                onClick={handleStart}
+                disabled={startLoading}
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                Start Workout
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap items-center justify-between mb-6 gap-2">
+        <h2 className="text-3xl font-bold text-blue-600">{workout.title}</h2>
+        <div className="text-3xl font-mono">{formatClock(elapsedSeconds)}</div>
+      </div>
+
+      {session.isPaused && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-6">
+          Paused – the clock is stopped.
+        </div>
+      )}
+
+      {restRemaining > 0 && (
+        <div className="bg-blue-50 border border-blue-300 rounded-lg p-6 mb-6 text-center">
+          <p className="text-gray-600">Rest</p>
+          <p className="text-5xl font-mono text-blue-600">{formatClock(restRemaining)}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white shadow-md rounded-lg p-6">
+          <p className="text-gray-600">Current exercise</p>
+          <h3 className="text-2xl font-semibold mb-4">
+            {currentEntry ? currentEntry.exercise?.name : 'All planned sets done'}
+          </h3>
+          {currentEntry && (
+            <p className="text-gray-600 mb-4">
+              Set {session.current.setIndex + 1} of {currentEntry.sets.length}
+            </p>
+          )}
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <input
+              type="number"
+              name="reps"
+              value={setForm.reps}
+              onChange={handleFormChange}
+              min="0"
+              className="w-20 p-2 border rounded"
+              placeholder="Reps"
+            />
+            <input
+              type="number"
+              name="weight"
+              value={setForm.weight}
+              onChange={handleFormChange}
+              min="0"
+              step="0.5"
+              className="w-24 p-2 border rounded"
+              placeholder="Weight"
+            />
+            <select
+              name="weightUnit"
+              value={setForm.weightUnit}
+              onChange={handleFormChange}
+              className="p-2 border rounded"
+            >
+              <option value="kg">kg</option>
+              <option value="lb">lb</option>
+            </select>
+            <input
+              type="number"
+              name="rpe"
+              value={setForm.rpe}
+              onChange={handleFormChange}
+              min="1"
+              max="10"
+              step="0.5"
+              className="w-20 p-2 border rounded"
+              placeholder="RPE"
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {currentEntry && (
+              <button
+                type="button"
+                onClick={() => handleLogSet(false)}
+                disabled={logLoading || session.isPaused}
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                Complete Set
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleLogSet(true)}
+              disabled={logLoading || session.isPaused || workout.exercises.length === 0}
+              className="border border-blue-600 text-blue-600 px-4 py-2 rounded hover:bg-blue-50 disabled:opacity-50"
+            >
+              + Extra Set
+            </button>
+          </div>
+          {nextEntry && (
+            <p className="text-gray-600 mt-4">
+              Next: <span className="font-medium">{nextEntry.exercise?.name}</span>
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white shadow-md rounded-lg p-6">
+          <h3 className="text-xl font-semibold mb-4">Progress</h3>
+          <ul className="space-y-2 mb-6">
+            {workout.exercises.map((entry, index) => (
+              <li key={`${entry.exercise?._id || entry.exercise}-${index}`} className="text-gray-700">
+                <span className="font-medium">{entry.exercise?.name}</span>:{' '}
+                {entry.sets.filter((set) => set.completedAt).length}/{entry.sets.length} sets
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handlePause}
+              disabled={pauseLoading || startLoading}
+              className="flex-1 border border-gray-400 text-gray-700 px-4 py-2 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              {session.isPaused ? 'Resume' : 'Pause'}
+            </button>
+            <button
+              type="button"
+              onClick={handleFinish}
+              disabled={finishLoading}
+              className="flex-1 bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50"
+            >
+              Finish Workout
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkoutSession;
@@ -35,6 +35,7 @@ export const AuthProvider = ({ children }) => {
       } catch (error) {
         console.error('Error parsing stored user:', error);
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
       }
     }
@@ -50,13 +51,14 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.register(userData);
       
       if (response.status === 'success' && response.data) {
-        const { user: newUser, token: newToken } = response.data;
+        const { user: newUser, token: newToken, refreshToken } = response.data;
         
         setUser(newUser);
         setToken(newToken);
         setIsAuthenticated(true);
         
         localStorage.setItem('token', newToken);
+        localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('user', JSON.stringify(newUser));
         
         toast.success('Registration successful!');
@@ -73,8 +75,28 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Store the session of a completed login
+   */
+  const startSession = useCallback((data) => {
+    const { user: loggedInUser, token: newToken, refreshToken } = data;
+
+    setUser(loggedInUser);
+    setToken(newToken);
+    setIsAuthenticated(true);
+
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(loggedInUser));
+
+    toast.success('Login successful!');
+    return loggedInUser;
+  }, []);
+
   /**
    * Login user
+   * With two-factor authentication enabled, resolves with { twoFactorRequired, challengeToken }
+   * for completeTwoFactorLogin instead of signing in.
    */
   const login = useCallback(async (credentials) => {
     try {
@@ -82,38 +104,71 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.login(credentials);
       
       if (response.status === 'success' && response.data) {
-        const { user: loggedInUser, token: newToken } = response.data;
-        
-        setUser(loggedInUser);
-        setToken(newToken);
-        setIsAuthenticated(true);
-        
-        localStorage.setItem('token', newToken);
-        localStorage.setItem('user', JSON.stringify(loggedInUser));
-        
-        toast.success('Login successful!');
-        return { success: true, user: loggedInUser };
+        if (response.data.twoFactorRequired) {
+          return {
+            success: false,
+            twoFactorRequired: true,
+            challengeToken: response.data.challengeToken,
+          };
+        }
+
+        return { success: true, user: startSession(response.data) };
       }
       
       throw new Error('Login failed');
     } catch (error) {
       const message = error.message || 'Invalid credentials. Please try again.';
       toast.error(message);
-      return { success: false, error: message };
+      return { success: false, error: message, status: error.status };
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [startSession]);
+
+  /**
+   * Second login step: authenticator code or recovery code
+   */
+  const completeTwoFactorLogin = useCallback(async (challengeToken, code) => {
+    try {
+      setLoading(true);
+      const response = await apiService.completeTwoFactorLogin({ challengeToken, code });
+
+      if (response.status === 'success' && response.data) {
+        const { recoveryCodesRemaining } = response.data;
+        if (recoveryCodesRemaining !== undefined) {
+          toast.warning(
+            `Recovery code used - ${recoveryCodesRemaining} left. Generate new ones in your profile.`
+          );
+        }
+        return { success: true, user: startSession(response.data) };
+      }
+
+      throw new Error('Login failed');
+    } catch (error) {
+      const message = error.message || 'Invalid authentication code. Please try again.';
+      toast.error(message);
+      return { success: false, error: message, status: error.status };
+    } finally {
+      setLoading(false);
+    }
+  }, [startSession]);
 
   /**
    * Logout user
+   * Ends the session on the server too; the local state is cleared either way.
    */
   const logout = useCallback(() => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      apiService.logout(refreshToken).catch(() => {});
+    }
+
     setUser(null);
     setToken(null);
     setIsAuthenticated(false);
     
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     
     toast.info('Logged out successfully');
@@ -121,11 +176,15 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Update user data
+   * Merges into the latest state, so the callback stays the same across user changes.
    */
   const updateUser = useCallback((userData) => {
-    setUser((prevUser) => ({ ...prevUser, ...userData }));
-    localStorage.setItem('user', JSON.stringify({ ...user, ...userData }));
-  }, [user]);
+    setUser((prevUser) => {
+      const nextUser = { ...prevUser, ...userData };
+      localStorage.setItem('user', JSON.stringify(nextUser));
+      return nextUser;
+    });
+  }, []);
 
   const value = {
     user,
@@ -134,6 +193,7 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     register,
     login,
+    completeTwoFactorLogin,
     logout,
     updateUser,
   };
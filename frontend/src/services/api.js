@@ -33,23 +33,124 @@ api.interceptors.request.use(
 );
 
 /**
- * Response interceptor - Handle errors globally
+ * Requests that must not trigger a token refresh: their 401 means bad credentials
+ */
+const AUTH_ENDPOINTS = [
+  '/users/login',
+  '/users/login/2fa',
+  '/users/register',
+  '/users/refresh',
+  '/users/logout',
+];
+
+/**
+ * Refresh in flight, shared by every request that failed with 401 meanwhile
+ */
+let refreshPromise = null;
+
+/**
+ * Clear the stored session and send the user to the login page
+ */
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+/**
+ * Run a refresh while holding a lock shared by every tab of the app
+ * Browsers without the Web Locks API run it straight away.
+ * @param {Function} callback - Async refresh
+ * @returns {Promise<*>} Result of the callback
+ */
+const withRefreshLock = (callback) =>
+  navigator.locks ? navigator.locks.request('refresh-token', callback) : callback();
+
+/**
+ * Exchange the refresh token for a new token pair
+ * Uses plain axios so the refresh call itself bypasses these interceptors. Tabs share the refresh
+ * token, so they refresh one at a time: a tab that waited for another one uses the pair that tab
+ * stored instead of sending the exchanged token again.
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const expiredRefreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = withRefreshLock(async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      if (refreshToken !== expiredRefreshToken) {
+        return localStorage.getItem('token');
+      }
+      try {
+        const response = await axios.post(
+          `${API_CONFIG.baseURL}/users/refresh`,
+          { refreshToken },
+          { timeout: API_CONFIG.timeout, headers: API_CONFIG.headers },
+        );
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      } catch (error) {
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      }
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Response interceptor - Refresh expired tokens and handle errors globally
  */
 api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const request = error.config;
+
+    // Expired access token - refresh once and retry the request
+    if (
+      error.response?.status === 401 &&
+      request &&
+      !request._retried &&
+      !AUTH_ENDPOINTS.includes(request.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      request._retried = true;
+      try {
+        const sentToken = request.headers.Authorization?.replace('Bearer ', '');
+        const storedToken = localStorage.getItem('token');
+        // Another request may have refreshed already
+        const token =
+          storedToken && storedToken !== sentToken ? storedToken : await refreshAccessToken();
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch (refreshError) {
+        endSession();
+      }
+    }
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
       const { status, data } = error.response;
 
-      if (status === 401) {
-        // Unauthorized - clear token and redirect to login
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
+      if (status === 401 && !AUTH_ENDPOINTS.includes(request?.url)) {
+        // Unauthorized - clear the session and redirect to login
+        // (a rejected sign-in stays on its form, e.g. to retry a two-factor code)
+        endSession();
       }
 
       // Return error message from server or default
@@ -78,6 +179,44 @@ export const apiService = {
   // Auth
   register: (userData) => api.post('/users/register', userData),
   login: (credentials) => api.post('/users/login', credentials),
+  completeTwoFactorLogin: (data) => api.post('/users/login/2fa', data),
+  logout: (refreshToken) => api.post('/users/logout', { refreshToken }),
+  forgotPassword: (email) => api.post('/users/forgot-password', { email }),
+  resetPassword: (data) => api.post('/users/reset-password', data),
+  verifyEmail: (token) => api.post('/users/verify-email', { token }),
+  confirmEmailChange: (token) => api.post('/users/confirm-email', { token }),
+
+  // Account
+  getCurrentUser: () => api.get('/users/me'),
+  updateProfile: (profileData) => api.patch('/users/me', profileData),
+  changePassword: (passwords) => api.post('/users/me/password', passwords),
+  resendVerificationEmail: () => api.post('/users/me/verify-email'),
+  changeEmail: (data) => api.post('/users/me/email', data),
+  getSessions: () => api.get('/users/me/sessions'),
+  revokeSession: (id) => api.delete(`/users/me/sessions/${id}`),
+  setupTwoFactor: (password) => api.post('/users/me/2fa/setup', { password }),
+  enableTwoFactor: (code) => api.post('/users/me/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/users/me/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/users/me/2fa/recovery-codes', data),
+  uploadAvatar: (file) =>
+    api.put('/users/me/avatar', file, { headers: { 'Content-Type': file.type } }),
+  removeAvatar: () => api.delete('/users/me/avatar'),
+  deleteAccount: (password) => api.delete('/users/me', { data: { password } }),
+  restoreAccount: (credentials) => api.post('/users/me/restore', credentials),
+  requestDataExport: () => api.post('/users/me/export'),
+  getDataExport: (id) => api.get(`/users/me/export/${id}`),
+  getApiKeys: () => api.get('/users/me/api-keys'),
+  createApiKey: (keyData) => api.post('/users/me/api-keys', keyData),
+  revokeApiKey: (id) => api.delete(`/users/me/api-keys/${id}`),
+
+  // Third-party apps (OAuth)
+  getOAuthRequest: (params) => api.get('/oauth/authorize', { params }),
+  answerOAuthRequest: (data) => api.post('/oauth/authorize', data),
+  getConnectedApps: () => api.get('/oauth/authorizations'),
+  disconnectApp: (id) => api.delete(`/oauth/authorizations/${id}`),
+  getOAuthClients: () => api.get('/oauth/clients'),
+  registerOAuthClient: (clientData) => api.post('/oauth/clients', clientData),
+  deleteOAuthClient: (id) => api.delete(`/oauth/clients/${id}`),
 
   // Workouts
   getWorkouts: (params) => api.get('/workouts', { params }),
@@ -85,6 +224,56 @@ export const apiService = {
   updateWorkout: (id, workoutData) => api.put(`/workouts/${id}`, workoutData),
   deleteWorkout: (id) => api.delete(`/workouts/${id}`),
   getWorkoutStats: (params) => api.get('/workouts/stats', { params }),
+  getPersonalRecords: (params) => api.get('/workouts/records', { params }),
+  getActiveSession: () => api.get('/workouts/session/active'),
+  startSession: (id) => api.post(`/workouts/${id}/start`),
+  pauseSession: (id) => api.post(`/workouts/${id}/pause`),
+  logSessionSet: (id, setData) => api.post(`/workouts/${id}/sets`, setData),
+  finishSession: (id) => api.post(`/workouts/${id}/finish`),
+  createCalendarToken: () => api.post('/workouts/calendar/token'),
+  importCalendar: (icsText) =>
+    api.post('/workouts/calendar/import', icsText, { headers: { 'Content-Type': 'text/calendar' } }),
+  importActivity: (file, contentType, params) =>
+    api.post('/workouts/import', file, { headers: { 'Content-Type': contentType }, params }),
+  previewCsvImport: (importData) => api.post('/workouts/import/csv/preview', importData),
+  importCsvWorkouts: (importData) => api.post('/workouts/import/csv', importData),
+
+  // Templates
+  getTemplates: (params) => api.get('/templates', { params }),
+  getTemplate: (id) => api.get(`/templates/${id}`),
+  createTemplate: (templateData) => api.post('/templates', templateData),
+  updateTemplate: (id, templateData) => api.put(`/templates/${id}`, templateData),
+  deleteTemplate: (id) => api.delete(`/templates/${id}`),
+  instantiateTemplate: (id, data) => api.post(`/templates/${id}/instantiate`, data),
+
+  // Coaching
+  getCoaching: () => api.get('/coaching'),
+  getCoachingAccessLog: (params) => api.get('/coaching/access-log', { params }),
+  inviteClient: (data) => api.post('/coaching/invitations', data),
+  acceptCoaching: (id, data) => api.post(`/coaching/invitations/${id}/accept`, data),
+  declineCoaching: (id) => api.post(`/coaching/invitations/${id}/decline`),
+  endCoaching: (id) => api.delete(`/coaching/${id}`),
+  assignWorkout: (clientId, workoutData) =>
+    api.post(`/coaching/clients/${clientId}/workouts`, workoutData),
+  assignTemplate: (clientId, templateId, data) =>
+    api.post(`/coaching/clients/${clientId}/templates/${templateId}`, data),
+
+  // Programs
+  getPrograms: (params) => api.get('/programs', { params }),
+  getProgram: (id) => api.get(`/programs/${id}`),
+  createProgram: (programData) => api.post('/programs', programData),
+  deleteProgram: (id) => api.delete(`/programs/${id}`),
+  enrollInProgram: (id, data) => api.post(`/programs/${id}/enroll`, data),
+  getEnrollments: (params) => api.get('/programs/enrollments', { params }),
+  rescheduleEnrollment: (id, data) => api.patch(`/programs/enrollments/${id}`, data),
+  cancelEnrollment: (id) => api.delete(`/programs/enrollments/${id}`),
+
+  // Schedules
+  getSeries: () => api.get('/schedules'),
+  createSeries: (seriesData) => api.post('/schedules', seriesData),
+  updateSeries: (id, seriesData) => api.put(`/schedules/${id}`, seriesData),
+  deleteSeries: (id) => api.delete(`/schedules/${id}`),
+  getSeriesOccurrences: (id, params) => api.get(`/schedules/${id}/occurrences`, { params }),
 
   // Exercises
   getExercises: (params) => api.get('/exercises', { params }),
@@ -92,16 +281,30 @@ export const apiService = {
   createExercise: (exerciseData) => api.post('/exercises', exerciseData),
   updateExercise: (id, exerciseData) => api.put(`/exercises/${id}`, exerciseData),
   deleteExercise: (id) => api.delete(`/exercises/${id}`),
+  getExerciseRecords: (id) => api.get(`/exercises/${id}/records`),
 
   // Social
   getPosts: (params) => api.get('/social/posts', { params }),
   createPost: (postData) => api.post('/social/posts', postData),
+  getFeed: (params) => api.get('/social/feed', { params }),
   likePost: (id) => api.post(`/social/posts/${id}/like`),
   getComments: (params) => api.get('/social/comments', { params }),
   createComment: (commentData) => api.post('/social/comments', commentData),
   getChallenges: (params) => api.get('/social/challenges', { params }),
   createChallenge: (challengeData) => api.post('/social/challenges', challengeData),
   joinChallenge: (id) => api.post(`/social/challenges/${id}/join`),
+  getChallengeLeaderboard: (id) => api.get(`/social/challenges/${id}/leaderboard`),
+  getSocialProfile: (userId) => api.get(`/social/users/${userId}`),
+  followUser: (userId) => api.post(`/social/users/${userId}/follow`),
+  unfollowUser: (userId) => api.delete(`/social/users/${userId}/follow`),
+  getFollowers: (userId, params) => api.get(`/social/users/${userId}/followers`, { params }),
+  getFollowing: (userId, params) => api.get(`/social/users/${userId}/following`, { params }),
+  getFollowRequests: (params) => api.get('/social/follow-requests', { params }),
+  acceptFollowRequest: (userId) => api.post(`/social/follow-requests/${userId}/accept`),
+  removeFollower: (userId) => api.delete(`/social/followers/${userId}`),
+  blockUser: (userId) => api.post(`/social/users/${userId}/block`),
+  unblockUser: (userId) => api.delete(`/social/users/${userId}/block`),
+  getBlockedUsers: () => api.get('/social/blocks'),
 
   // Health
   healthCheck: () => api.get('/health'),